@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "AIUsageRecord" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "operation" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "promptTokens" INTEGER NOT NULL DEFAULT 0,
+    "completionTokens" INTEGER NOT NULL DEFAULT 0,
+    "totalTokens" INTEGER NOT NULL DEFAULT 0,
+    "costUsd" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "workflowId" TEXT,
+    "purchaseOrderId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AIUsageRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "AIUsageRecord_merchantId_createdAt_idx" ON "AIUsageRecord"("merchantId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AIUsageRecord_merchantId_operation_idx" ON "AIUsageRecord"("merchantId", "operation");
+
+-- AddForeignKey
+ALTER TABLE "AIUsageRecord" ADD CONSTRAINT "AIUsageRecord_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
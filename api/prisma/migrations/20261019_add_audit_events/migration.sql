@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "AuditEvent" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "staffUserId" TEXT,
+    "actorName" TEXT,
+    "actorRole" TEXT,
+    "action" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "changedFields" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "metadata" JSONB NOT NULL DEFAULT '{}',
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "AuditEvent_merchantId_createdAt_idx" ON "AuditEvent"("merchantId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AuditEvent_merchantId_entityType_entityId_idx" ON "AuditEvent"("merchantId", "entityType", "entityId");
+CREATE INDEX IF NOT EXISTS "AuditEvent_merchantId_action_idx" ON "AuditEvent"("merchantId", "action");
+
+-- Audit events are append-only: reject any UPDATE or DELETE
+CREATE OR REPLACE FUNCTION reject_audit_event_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'AuditEvent rows are append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_event_append_only ON "AuditEvent";
+CREATE TRIGGER audit_event_append_only
+    BEFORE UPDATE OR DELETE ON "AuditEvent"
+    FOR EACH ROW
+    EXECUTE FUNCTION reject_audit_event_change();
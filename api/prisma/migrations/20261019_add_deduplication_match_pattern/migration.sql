@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "DeduplicationRule" ADD COLUMN IF NOT EXISTS "matchPattern" TEXT;
+
+-- Move patterns saved in mergeBehavior onto their own column
+UPDATE "DeduplicationRule"
+SET "matchPattern" = "mergeBehavior"->>'pattern'
+WHERE "matchAlgorithm" = 'REGEX_PATTERN'
+  AND "matchPattern" IS NULL
+  AND "mergeBehavior" ? 'pattern';
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "ExchangeRate" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "baseCurrency" TEXT NOT NULL,
+    "quoteCurrency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "effectiveDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "ExchangeRate_merchantId_baseCurrency_quoteCurrency_key" ON "ExchangeRate"("merchantId", "baseCurrency", "quoteCurrency");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "ExchangeRate_merchantId_idx" ON "ExchangeRate"("merchantId");
+
+-- AddForeignKey
+ALTER TABLE "ExchangeRate" ADD CONSTRAINT "ExchangeRate_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AlterTable: keep the supplier-currency amounts alongside converted costs for audit
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "originalUnitCost" DOUBLE PRECISION;
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "originalTotalCost" DOUBLE PRECISION;
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "originalCurrency" TEXT;
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "exchangeRate" DOUBLE PRECISION;
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "exchangeRateDate" TIMESTAMP(3);
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "exchangeRateSource" TEXT;
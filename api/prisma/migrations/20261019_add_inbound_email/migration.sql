@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Merchant" ADD COLUMN IF NOT EXISTS "inboundEmailToken" TEXT;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "InboundEmail" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "supplierId" TEXT,
+    "messageId" TEXT,
+    "fromAddress" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "subject" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'received',
+    "attachmentCount" INTEGER NOT NULL DEFAULT 0,
+    "uploadIds" JSONB NOT NULL DEFAULT '[]',
+    "errorMessage" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InboundEmail_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "Merchant_inboundEmailToken_key" ON "Merchant"("inboundEmailToken");
+CREATE UNIQUE INDEX IF NOT EXISTS "InboundEmail_merchantId_messageId_key" ON "InboundEmail"("merchantId", "messageId");
+CREATE INDEX IF NOT EXISTS "InboundEmail_merchantId_receivedAt_idx" ON "InboundEmail"("merchantId", "receivedAt");
+
+-- AddForeignKey
+ALTER TABLE "InboundEmail" ADD CONSTRAINT "InboundEmail_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "InboundEmail" ADD CONSTRAINT "InboundEmail_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE SET NULL ON UPDATE CASCADE;
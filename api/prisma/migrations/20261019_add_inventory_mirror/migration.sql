@@ -0,0 +1,74 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "ShopifyVariant" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "shopifyProductId" TEXT NOT NULL,
+    "shopifyVariantId" TEXT NOT NULL,
+    "inventoryItemId" TEXT,
+    "sku" TEXT,
+    "title" TEXT,
+    "productTitle" TEXT,
+    "vendor" TEXT,
+    "price" DOUBLE PRECISION,
+    "inventoryQuantity" INTEGER,
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopifyVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "InventoryLevel" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "shopifyVariantId" TEXT,
+    "sku" TEXT,
+    "shopifyUpdatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InventoryLevel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "InventoryChange" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "inventoryItemId" TEXT,
+    "locationId" TEXT,
+    "shopifyVariantId" TEXT,
+    "sku" TEXT,
+    "quantityBefore" INTEGER,
+    "quantityAfter" INTEGER,
+    "delta" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "referenceId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "ShopifyVariant_merchantId_shopifyVariantId_key" ON "ShopifyVariant"("merchantId", "shopifyVariantId");
+CREATE INDEX IF NOT EXISTS "ShopifyVariant_merchantId_shopifyProductId_idx" ON "ShopifyVariant"("merchantId", "shopifyProductId");
+CREATE INDEX IF NOT EXISTS "ShopifyVariant_merchantId_inventoryItemId_idx" ON "ShopifyVariant"("merchantId", "inventoryItemId");
+CREATE INDEX IF NOT EXISTS "ShopifyVariant_merchantId_sku_idx" ON "ShopifyVariant"("merchantId", "sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "InventoryLevel_merchantId_inventoryItemId_locationId_key" ON "InventoryLevel"("merchantId", "inventoryItemId", "locationId");
+CREATE INDEX IF NOT EXISTS "InventoryLevel_merchantId_sku_idx" ON "InventoryLevel"("merchantId", "sku");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "InventoryChange_merchantId_createdAt_idx" ON "InventoryChange"("merchantId", "createdAt");
+CREATE INDEX IF NOT EXISTS "InventoryChange_merchantId_inventoryItemId_idx" ON "InventoryChange"("merchantId", "inventoryItemId");
+CREATE INDEX IF NOT EXISTS "InventoryChange_merchantId_sku_idx" ON "InventoryChange"("merchantId", "sku");
+CREATE INDEX IF NOT EXISTS "InventoryChange_source_idx" ON "InventoryChange"("source");
+
+-- AddForeignKey
+ALTER TABLE "ShopifyVariant" ADD CONSTRAINT "ShopifyVariant_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "InventoryLevel" ADD CONSTRAINT "InventoryLevel_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "InventoryChange" ADD CONSTRAINT "InventoryChange_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
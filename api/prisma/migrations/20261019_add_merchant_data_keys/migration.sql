@@ -0,0 +1,3 @@
+-- AlterTable: per-merchant data key, wrapped by the master encryption key
+ALTER TABLE "Merchant" ADD COLUMN IF NOT EXISTS "dataKey" TEXT;
+ALTER TABLE "Merchant" ADD COLUMN IF NOT EXISTS "dataKeyRotatedAt" TIMESTAMP(3);
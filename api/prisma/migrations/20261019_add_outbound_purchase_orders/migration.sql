@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "direction" TEXT NOT NULL DEFAULT 'inbound';
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "linkedPurchaseOrderId" TEXT;
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "sentAt" TIMESTAMP(3);
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "confirmedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "PurchaseOrder_merchantId_direction_idx" ON "PurchaseOrder"("merchantId", "direction");
+CREATE INDEX IF NOT EXISTS "PurchaseOrder_linkedPurchaseOrderId_idx" ON "PurchaseOrder"("linkedPurchaseOrderId");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseOrder" ADD CONSTRAINT "PurchaseOrder_linkedPurchaseOrderId_fkey" FOREIGN KEY ("linkedPurchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "PriceAlert" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "purchaseOrderId" TEXT NOT NULL,
+    "lineItemId" TEXT,
+    "supplierId" TEXT,
+    "supplierName" TEXT,
+    "sku" TEXT NOT NULL,
+    "productName" TEXT,
+    "previousUnitCost" DOUBLE PRECISION NOT NULL,
+    "newUnitCost" DOUBLE PRECISION NOT NULL,
+    "changePercent" DOUBLE PRECISION NOT NULL,
+    "thresholdPercent" DOUBLE PRECISION NOT NULL,
+    "previousPurchaseOrderId" TEXT,
+    "previousPurchaseOrderNumber" TEXT,
+    "currency" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "acknowledgedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PriceAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "PriceAlert_merchantId_status_idx" ON "PriceAlert"("merchantId", "status");
+CREATE INDEX IF NOT EXISTS "PriceAlert_purchaseOrderId_idx" ON "PriceAlert"("purchaseOrderId");
+CREATE INDEX IF NOT EXISTS "PriceAlert_merchantId_sku_idx" ON "PriceAlert"("merchantId", "sku");
+
+-- AddForeignKey
+ALTER TABLE "PriceAlert" ADD CONSTRAINT "PriceAlert_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PriceAlert" ADD CONSTRAINT "PriceAlert_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
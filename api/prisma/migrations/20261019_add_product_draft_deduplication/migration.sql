@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "ProductDraft" ADD COLUMN IF NOT EXISTS "duplicateOfId" TEXT;
+ALTER TABLE "ProductDraft" ADD COLUMN IF NOT EXISTS "deduplicationRuleId" TEXT;
+ALTER TABLE "ProductDraft" ADD COLUMN IF NOT EXISTS "deduplicationMatch" JSONB;
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "ProductDraft_deduplicationRuleId_idx" ON "ProductDraft"("deduplicationRuleId");
+
+-- AddForeignKey
+ALTER TABLE "ProductDraft" ADD CONSTRAINT "ProductDraft_deduplicationRuleId_fkey" FOREIGN KEY ("deduplicationRuleId") REFERENCES "DeduplicationRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
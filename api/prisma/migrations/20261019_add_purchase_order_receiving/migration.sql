@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "receivedAt" TIMESTAMP(3);
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "quantityReceived" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "POLineItem" ADD COLUMN IF NOT EXISTS "quantityDamaged" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "PurchaseOrderReceipt" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "purchaseOrderId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "locationName" TEXT,
+    "reference" TEXT,
+    "notes" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseOrderReceipt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "PurchaseOrderReceiptLine" (
+    "id" TEXT NOT NULL,
+    "receiptId" TEXT NOT NULL,
+    "lineItemId" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "quantityReceived" INTEGER NOT NULL,
+    "quantityDamaged" INTEGER NOT NULL DEFAULT 0,
+    "inventoryDelta" INTEGER NOT NULL,
+    "inventoryItemId" TEXT,
+    "inventoryStatus" TEXT NOT NULL DEFAULT 'pending',
+    "inventoryError" TEXT,
+    "adjustedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseOrderReceiptLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "PurchaseOrderReceipt_merchantId_idx" ON "PurchaseOrderReceipt"("merchantId");
+CREATE INDEX IF NOT EXISTS "PurchaseOrderReceipt_purchaseOrderId_idx" ON "PurchaseOrderReceipt"("purchaseOrderId");
+CREATE INDEX IF NOT EXISTS "PurchaseOrderReceiptLine_receiptId_idx" ON "PurchaseOrderReceiptLine"("receiptId");
+CREATE INDEX IF NOT EXISTS "PurchaseOrderReceiptLine_lineItemId_idx" ON "PurchaseOrderReceiptLine"("lineItemId");
+CREATE INDEX IF NOT EXISTS "PurchaseOrderReceiptLine_inventoryStatus_idx" ON "PurchaseOrderReceiptLine"("inventoryStatus");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseOrderReceipt" ADD CONSTRAINT "PurchaseOrderReceipt_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PurchaseOrderReceipt" ADD CONSTRAINT "PurchaseOrderReceipt_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PurchaseOrderReceiptLine" ADD CONSTRAINT "PurchaseOrderReceiptLine_receiptId_fkey" FOREIGN KEY ("receiptId") REFERENCES "PurchaseOrderReceipt"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PurchaseOrderReceiptLine" ADD CONSTRAINT "PurchaseOrderReceiptLine_lineItemId_fkey" FOREIGN KEY ("lineItemId") REFERENCES "POLineItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
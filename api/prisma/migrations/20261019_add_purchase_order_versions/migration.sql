@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "PurchaseOrderVersion" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "purchaseOrderId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'processing',
+    "workflowId" TEXT,
+    "fileName" TEXT,
+    "number" TEXT NOT NULL,
+    "supplierName" TEXT,
+    "totalAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "currency" TEXT,
+    "lineItems" JSONB NOT NULL DEFAULT '[]',
+    "revisionOfPurchaseOrderId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseOrderVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "PurchaseOrderVersion_purchaseOrderId_version_key" ON "PurchaseOrderVersion"("purchaseOrderId", "version");
+CREATE INDEX IF NOT EXISTS "PurchaseOrderVersion_merchantId_idx" ON "PurchaseOrderVersion"("merchantId");
+CREATE INDEX IF NOT EXISTS "PurchaseOrderVersion_revisionOfPurchaseOrderId_idx" ON "PurchaseOrderVersion"("revisionOfPurchaseOrderId");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseOrderVersion" ADD CONSTRAINT "PurchaseOrderVersion_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PurchaseOrderVersion" ADD CONSTRAINT "PurchaseOrderVersion_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "PurchaseOrderVersion" ADD CONSTRAINT "PurchaseOrderVersion_revisionOfPurchaseOrderId_fkey" FOREIGN KEY ("revisionOfPurchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE SET NULL ON UPDATE CASCADE;
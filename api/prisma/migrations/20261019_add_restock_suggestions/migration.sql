@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "ReorderPoint" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "shopifyVariantId" TEXT,
+    "threshold" INTEGER,
+    "reorderQuantity" INTEGER,
+    "useSalesVelocity" BOOLEAN NOT NULL DEFAULT false,
+    "leadTimeDays" INTEGER NOT NULL DEFAULT 7,
+    "safetyStockDays" INTEGER NOT NULL DEFAULT 7,
+    "isEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReorderPoint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "RestockSuggestion" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "supplierId" TEXT,
+    "supplierName" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "notes" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RestockSuggestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "RestockSuggestionItem" (
+    "id" TEXT NOT NULL,
+    "suggestionId" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "shopifyVariantId" TEXT,
+    "inventoryItemId" TEXT,
+    "productTitle" TEXT,
+    "available" INTEGER NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "thresholdSource" TEXT,
+    "suggestedQuantity" INTEGER NOT NULL,
+    "salesVelocity" DOUBLE PRECISION,
+    "lastUnitCost" DOUBLE PRECISION,
+    "lastPurchaseOrderId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RestockSuggestionItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "ReorderPoint_merchantId_sku_key" ON "ReorderPoint"("merchantId", "sku");
+CREATE INDEX IF NOT EXISTS "ReorderPoint_merchantId_idx" ON "ReorderPoint"("merchantId");
+CREATE INDEX IF NOT EXISTS "RestockSuggestion_merchantId_status_idx" ON "RestockSuggestion"("merchantId", "status");
+CREATE INDEX IF NOT EXISTS "RestockSuggestion_supplierId_idx" ON "RestockSuggestion"("supplierId");
+CREATE UNIQUE INDEX IF NOT EXISTS "RestockSuggestionItem_suggestionId_sku_key" ON "RestockSuggestionItem"("suggestionId", "sku");
+CREATE INDEX IF NOT EXISTS "RestockSuggestionItem_sku_idx" ON "RestockSuggestionItem"("sku");
+
+-- AddForeignKey
+ALTER TABLE "ReorderPoint" ADD CONSTRAINT "ReorderPoint_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "RestockSuggestion" ADD CONSTRAINT "RestockSuggestion_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "RestockSuggestion" ADD CONSTRAINT "RestockSuggestion_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "RestockSuggestionItem" ADD CONSTRAINT "RestockSuggestionItem_suggestionId_fkey" FOREIGN KEY ("suggestionId") REFERENCES "RestockSuggestion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "ShipNotice" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "purchaseOrderId" TEXT NOT NULL,
+    "supplierId" TEXT,
+    "shipmentId" TEXT NOT NULL,
+    "carrier" TEXT,
+    "trackingNumber" TEXT,
+    "shippedAt" TIMESTAMP(3),
+    "expectedArrivalDate" TIMESTAMP(3),
+    "lines" JSONB NOT NULL DEFAULT '[]',
+    "unmatchedLines" JSONB NOT NULL DEFAULT '[]',
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "receiptId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShipNotice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "ShipNotice_purchaseOrderId_shipmentId_key" ON "ShipNotice"("purchaseOrderId", "shipmentId");
+CREATE INDEX IF NOT EXISTS "ShipNotice_merchantId_idx" ON "ShipNotice"("merchantId");
+CREATE INDEX IF NOT EXISTS "ShipNotice_purchaseOrderId_status_idx" ON "ShipNotice"("purchaseOrderId", "status");
+
+-- AddForeignKey
+ALTER TABLE "ShipNotice" ADD CONSTRAINT "ShipNotice_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ShipNotice" ADD CONSTRAINT "ShipNotice_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "ShipNotice" ADD CONSTRAINT "ShipNotice_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "StaffUser" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "shopifyUserId" TEXT NOT NULL,
+    "email" TEXT,
+    "firstName" TEXT,
+    "lastName" TEXT,
+    "accountOwner" BOOLEAN NOT NULL DEFAULT false,
+    "role" TEXT NOT NULL DEFAULT 'buyer',
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffUser_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "StaffUser_merchantId_shopifyUserId_key" ON "StaffUser"("merchantId", "shopifyUserId");
+CREATE INDEX IF NOT EXISTS "StaffUser_merchantId_idx" ON "StaffUser"("merchantId");
+
+-- AddForeignKey
+ALTER TABLE "StaffUser" ADD CONSTRAINT "StaffUser_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SupplierColumnMapping" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "columns" JSONB NOT NULL DEFAULT '{}',
+    "timesUsed" INTEGER NOT NULL DEFAULT 0,
+    "lastUsedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SupplierColumnMapping_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "SupplierColumnMapping_supplierId_key" ON "SupplierColumnMapping"("supplierId");
+CREATE INDEX IF NOT EXISTS "SupplierColumnMapping_merchantId_idx" ON "SupplierColumnMapping"("merchantId");
+
+-- AddForeignKey
+ALTER TABLE "SupplierColumnMapping" ADD CONSTRAINT "SupplierColumnMapping_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SupplierColumnMapping" ADD CONSTRAINT "SupplierColumnMapping_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "expectedShipDate" TIMESTAMP(3);
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "expectedArrivalDate" TIMESTAMP(3);
+ALTER TABLE "PurchaseOrder" ADD COLUMN IF NOT EXISTS "shippedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "SupplierMetrics" ADD COLUMN IF NOT EXISTS "deliveriesMeasured" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "SupplierMetrics" ADD COLUMN IF NOT EXISTS "avgLeadTimeDays" DOUBLE PRECISION;
+ALTER TABLE "SupplierMetrics" ADD COLUMN IF NOT EXISTS "leadTimeStdDevDays" DOUBLE PRECISION;
+ALTER TABLE "SupplierMetrics" ADD COLUMN IF NOT EXISTS "avgArrivalDelayDays" DOUBLE PRECISION;
+ALTER TABLE "SupplierMetrics" ADD COLUMN IF NOT EXISTS "inFullRate" DOUBLE PRECISION;
+ALTER TABLE "SupplierMetrics" ADD COLUMN IF NOT EXISTS "otifRate" DOUBLE PRECISION;
@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SupplierFetchRun" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "filesFound" INTEGER NOT NULL DEFAULT 0,
+    "filesQueued" INTEGER NOT NULL DEFAULT 0,
+    "filesSkipped" INTEGER NOT NULL DEFAULT 0,
+    "files" JSONB NOT NULL DEFAULT '[]',
+    "errorMessage" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SupplierFetchRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SupplierFetchedFile" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "fileHash" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "remotePath" TEXT NOT NULL,
+    "fileSize" INTEGER NOT NULL,
+    "uploadId" TEXT,
+    "fetchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SupplierFetchedFile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SupplierFetchRun_supplierId_startedAt_idx" ON "SupplierFetchRun"("supplierId", "startedAt");
+CREATE INDEX IF NOT EXISTS "SupplierFetchRun_merchantId_idx" ON "SupplierFetchRun"("merchantId");
+CREATE UNIQUE INDEX IF NOT EXISTS "SupplierFetchedFile_supplierId_fileHash_key" ON "SupplierFetchedFile"("supplierId", "fileHash");
+CREATE INDEX IF NOT EXISTS "SupplierFetchedFile_merchantId_idx" ON "SupplierFetchedFile"("merchantId");
+
+-- AddForeignKey
+ALTER TABLE "SupplierFetchRun" ADD CONSTRAINT "SupplierFetchRun_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SupplierFetchRun" ADD CONSTRAINT "SupplierFetchRun_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SupplierFetchedFile" ADD CONSTRAINT "SupplierFetchedFile_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SupplierFetchedFile" ADD CONSTRAINT "SupplierFetchedFile_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE CASCADE ON UPDATE CASCADE;
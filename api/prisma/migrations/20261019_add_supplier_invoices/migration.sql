@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SupplierInvoice" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "purchaseOrderId" TEXT,
+    "supplierId" TEXT,
+    "supplierName" TEXT,
+    "invoiceNumber" TEXT,
+    "poReference" TEXT,
+    "invoiceDate" TIMESTAMP(3),
+    "currency" TEXT,
+    "totalAmount" DOUBLE PRECISION,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "matchMethod" TEXT,
+    "matchScore" DOUBLE PRECISION,
+    "fileName" TEXT,
+    "fileSize" INTEGER,
+    "fileUrl" TEXT,
+    "rawData" JSONB,
+    "lineItems" JSONB NOT NULL DEFAULT '[]',
+    "discrepancyReport" JSONB,
+    "errorMessage" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNotes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SupplierInvoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SupplierInvoice_merchantId_idx" ON "SupplierInvoice"("merchantId");
+CREATE INDEX IF NOT EXISTS "SupplierInvoice_purchaseOrderId_idx" ON "SupplierInvoice"("purchaseOrderId");
+CREATE INDEX IF NOT EXISTS "SupplierInvoice_merchantId_status_idx" ON "SupplierInvoice"("merchantId", "status");
+
+-- AddForeignKey
+ALTER TABLE "SupplierInvoice" ADD CONSTRAINT "SupplierInvoice_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SupplierInvoice" ADD CONSTRAINT "SupplierInvoice_purchaseOrderId_fkey" FOREIGN KEY ("purchaseOrderId") REFERENCES "PurchaseOrder"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "SupplierInvoice" ADD CONSTRAINT "SupplierInvoice_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE SET NULL ON UPDATE CASCADE;
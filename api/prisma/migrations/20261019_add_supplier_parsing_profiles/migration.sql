@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SupplierParsingProfile" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "columnMappings" JSONB NOT NULL DEFAULT '[]',
+    "skuFormats" JSONB NOT NULL DEFAULT '[]',
+    "packSizeRules" JSONB NOT NULL DEFAULT '[]',
+    "artifactPatterns" JSONB NOT NULL DEFAULT '[]',
+    "examples" JSONB NOT NULL DEFAULT '[]',
+    "correctionCount" INTEGER NOT NULL DEFAULT 0,
+    "lastLearnedAt" TIMESTAMP(3),
+    "lastAppliedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SupplierParsingProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "SupplierParsingProfile_supplierId_key" ON "SupplierParsingProfile"("supplierId");
+CREATE INDEX IF NOT EXISTS "SupplierParsingProfile_merchantId_idx" ON "SupplierParsingProfile"("merchantId");
+
+-- AddForeignKey
+ALTER TABLE "SupplierParsingProfile" ADD CONSTRAINT "SupplierParsingProfile_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SupplierParsingProfile" ADD CONSTRAINT "SupplierParsingProfile_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SyncSchedule" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "supplierId" TEXT,
+    "supplierName" TEXT NOT NULL,
+    "description" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "frequency" TEXT NOT NULL DEFAULT 'daily',
+    "time" TEXT,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "weekdays" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "monthlyDay" INTEGER,
+    "config" JSONB NOT NULL DEFAULT '{}',
+    "lastRunAt" TIMESTAMP(3),
+    "lastStatus" TEXT,
+    "lastError" TEXT,
+    "lastItemCount" INTEGER NOT NULL DEFAULT 0,
+    "nextRunAt" TIMESTAMP(3),
+    "consecutiveFailures" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SyncSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SyncScheduleRun" (
+    "id" TEXT NOT NULL,
+    "merchantId" TEXT NOT NULL,
+    "scheduleId" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "itemsFound" INTEGER NOT NULL DEFAULT 0,
+    "itemsQueued" INTEGER NOT NULL DEFAULT 0,
+    "itemsSkipped" INTEGER NOT NULL DEFAULT 0,
+    "items" JSONB NOT NULL DEFAULT '[]',
+    "errorMessage" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SyncScheduleRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SyncSchedule_merchantId_idx" ON "SyncSchedule"("merchantId");
+CREATE INDEX IF NOT EXISTS "SyncSchedule_enabled_nextRunAt_idx" ON "SyncSchedule"("enabled", "nextRunAt");
+CREATE INDEX IF NOT EXISTS "SyncScheduleRun_scheduleId_startedAt_idx" ON "SyncScheduleRun"("scheduleId", "startedAt");
+CREATE INDEX IF NOT EXISTS "SyncScheduleRun_merchantId_idx" ON "SyncScheduleRun"("merchantId");
+
+-- AddForeignKey
+ALTER TABLE "SyncSchedule" ADD CONSTRAINT "SyncSchedule_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SyncSchedule" ADD CONSTRAINT "SyncSchedule_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "SyncScheduleRun" ADD CONSTRAINT "SyncScheduleRun_merchantId_fkey" FOREIGN KEY ("merchantId") REFERENCES "Merchant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "SyncScheduleRun" ADD CONSTRAINT "SyncScheduleRun_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "SyncSchedule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- Deleting a line item no longer cascades away the receipt lines recorded against it
+ALTER TABLE "PurchaseOrderReceiptLine" DROP CONSTRAINT IF EXISTS "PurchaseOrderReceiptLine_lineItemId_fkey";
+ALTER TABLE "PurchaseOrderReceiptLine" ADD CONSTRAINT "PurchaseOrderReceiptLine_lineItemId_fkey" FOREIGN KEY ("lineItemId") REFERENCES "POLineItem"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "PurchaseOrderVersion" ADD COLUMN IF NOT EXISTS "status" TEXT NOT NULL DEFAULT 'applied';
+ALTER TABLE "PurchaseOrderVersion" ADD COLUMN IF NOT EXISTS "stagedResult" JSONB;
+ALTER TABLE "PurchaseOrderVersion" ADD COLUMN IF NOT EXISTS "reviewedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "PurchaseOrderVersion_purchaseOrderId_status_idx" ON "PurchaseOrderVersion"("purchaseOrderId", "status");
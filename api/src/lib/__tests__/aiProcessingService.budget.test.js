@@ -0,0 +1,98 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals'
+
+class AIBudgetExceededError extends Error {
+  constructor() {
+    super('Monthly AI budget reached')
+    this.code = 'AI_BUDGET_EXCEEDED'
+  }
+}
+
+const assertWithinBudget = jest.fn()
+const record = jest.fn()
+const parseSpreadsheet = jest.fn()
+
+jest.unstable_mockModule('openai', () => ({
+  default: jest.fn().mockImplementation(() => ({}))
+}))
+
+jest.unstable_mockModule('../openaiRateLimiter.js', () => ({
+  ResilientOpenAIService: jest.fn().mockImplementation(() => ({}))
+}))
+
+jest.unstable_mockModule('../databasePersistenceService.js', () => ({
+  DatabasePersistenceService: jest.fn().mockImplementation(() => ({}))
+}))
+
+jest.unstable_mockModule('../shopifySyncService.js', () => ({
+  ShopifySyncService: jest.fn().mockImplementation(() => ({}))
+}))
+
+jest.unstable_mockModule('../../services/aiUsageService.js', () => ({
+  aiUsageService: { assertWithinBudget, record },
+  AIBudgetExceededError
+}))
+
+jest.unstable_mockModule('../../services/columnMappingService.js', () => ({
+  columnMappingService: { parseSpreadsheet }
+}))
+
+const { AIProcessingService } = await import('../aiProcessingService.js')
+
+const csv = { buffer: Buffer.from('SKU,Qty,Price\nA-1,2,5.00\n'), mimeType: 'text/csv', supplierId: null }
+
+describe('AIProcessingService budget fallback', () => {
+  let service
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    service = new AIProcessingService()
+    service.extractPurchaseOrderData = jest.fn().mockResolvedValue({ success: true, model: 'gpt-4o-mini', tokensUsed: 120 })
+  })
+
+  it('uses and meters the AI while within budget', async () => {
+    assertWithinBudget.mockResolvedValue(undefined)
+
+    const result = await service.extractWithinBudget({ text: 'PO' }, 'po.csv', 'merchant_1', {}, csv)
+
+    expect(result.model).toBe('gpt-4o-mini')
+    expect(record).toHaveBeenCalledWith('merchant_1', expect.objectContaining({ operation: 'parse' }))
+    expect(parseSpreadsheet).not.toHaveBeenCalled()
+  })
+
+  it('maps spreadsheet columns instead of failing once the budget is spent', async () => {
+    assertWithinBudget.mockRejectedValue(new AIBudgetExceededError())
+    parseSpreadsheet.mockResolvedValue({
+      parsedResult: {
+        confidence: 0.9,
+        extractedData: {
+          poNumber: 'PO-9',
+          supplier: { name: 'Acme' },
+          lineItems: [{ sku: 'A-1', quantity: 2, unitPrice: 5, total: 10 }],
+          dates: { orderDate: '2026-10-01' },
+          totals: { total: 10 }
+        },
+        issues: []
+      }
+    })
+
+    const result = await service.extractWithinBudget({ text: 'PO' }, 'po.csv', 'merchant_1', {}, csv)
+
+    expect(service.extractPurchaseOrderData).not.toHaveBeenCalled()
+    expect(result).toMatchObject({
+      success: true,
+      model: 'column-mapping',
+      tokensUsed: 0,
+      confidence: { overall: 90 },
+      extractedData: { poNumber: 'PO-9', orderDate: '2026-10-01', vendor: { name: 'Acme' } }
+    })
+    expect(record).not.toHaveBeenCalled()
+  })
+
+  it('still reports the budget when no deterministic parser can read the file', async () => {
+    assertWithinBudget.mockRejectedValue(new AIBudgetExceededError())
+
+    await expect(
+      service.extractWithinBudget({ text: 'PO' }, 'po.pdf', 'merchant_1', {}, { buffer: Buffer.from('%PDF'), mimeType: 'application/pdf' })
+    ).rejects.toMatchObject({ code: 'AI_BUDGET_EXCEEDED' })
+  })
+})
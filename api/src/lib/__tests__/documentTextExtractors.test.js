@@ -0,0 +1,119 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  resolveMimeType,
+  htmlToText,
+  docxXmlToText,
+  parseEmail,
+  parseOutlookMessage,
+  buildEmailCandidates
+} from '../documentTextExtractors.js'
+
+describe('documentTextExtractors', () => {
+  it('resolves generic MIME types from the file extension', () => {
+    expect(resolveMimeType('application/octet-stream', 'Order 7781.msg')).toBe('application/vnd.ms-outlook')
+    expect(resolveMimeType('', 'po.eml')).toBe('message/rfc822')
+    expect(resolveMimeType('text/html; charset=utf-8', 'po.html')).toBe('text/html')
+    expect(resolveMimeType('application/pdf', 'po.msg')).toBe('application/pdf')
+  })
+
+  it('keeps HTML table rows on one line with tab-separated cells', () => {
+    const html = `<html><head><style>td { color: red }</style></head><body>
+      <p>Purchase Order &#35;PO-1001</p>
+      <table>
+        <tr><th>SKU</th><th>Description</th><th>Qty</th></tr>
+        <tr><td>AB-1</td><td>Widget&nbsp;&amp; Bolt</td><td>12</td></tr>
+      </table>
+      Thanks,<br>Acme</body></html>`
+
+    expect(htmlToText(html)).toBe('Purchase Order #PO-1001\n\nSKU\tDescription\tQty\nAB-1\tWidget & Bolt\t12\n\nThanks,\nAcme')
+  })
+
+  it('reads Word paragraphs and tables, ignoring paragraph tab definitions', () => {
+    const xml = `<w:document><w:body>
+      <w:p><w:pPr><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr><w:r><w:t>PO Number:</w:t></w:r><w:r><w:tab/><w:t xml:space="preserve">PO-88 </w:t></w:r></w:p>
+      <w:tbl>
+        <w:tr><w:tc><w:p><w:r><w:t>SKU</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Qty</w:t></w:r></w:p></w:tc></w:tr>
+        <w:tr><w:tc><w:p><w:r><w:t>ZX-9</w:t></w:r></w:p><w:p><w:r><w:t>(blue)</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>4</w:t></w:r></w:p></w:tc></w:tr>
+      </w:tbl>
+      <w:p><w:r><w:t>Total &amp; tax</w:t></w:r></w:p>
+    </w:body></w:document>`
+
+    const { text, tables } = docxXmlToText(xml)
+    expect(tables).toBe(1)
+    expect(text).toBe('PO Number:\tPO-88\n\nSKU\tQty\nZX-9 (blue)\t4\n\nTotal & tax')
+  })
+
+  it('parses MIME emails into body text and decoded attachments', () => {
+    const pdf = Buffer.from('%PDF-1.4 fake')
+    const raw = [
+      'From: =?UTF-8?B?SsO8cmdlbg==?= <orders@acme-supply.com>',
+      'To: buyer@shop.example',
+      'Subject: =?UTF-8?Q?PO_1001_=E2=80=93_confirmed?=',
+      'Content-Type: multipart/mixed; boundary="outer"',
+      '',
+      '--outer',
+      'Content-Type: multipart/alternative; boundary="inner"',
+      '',
+      '--inner',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Please find our order attached. Caf=C3=A9 blend x 10 =',
+      'at $4.50',
+      '--inner',
+      'Content-Type: text/html',
+      '',
+      '<p>ignored when plain text exists</p>',
+      '--inner--',
+      '--outer',
+      'Content-Type: application/octet-stream',
+      "Content-Disposition: attachment; filename*=UTF-8''Bestellung%20%C3%BC.pdf",
+      'Content-Transfer-Encoding: base64',
+      '',
+      pdf.toString('base64'),
+      '--outer--',
+      ''
+    ].join('\r\n')
+
+    const email = parseEmail(Buffer.from(raw, 'latin1'))
+    expect(email.from).toBe('Jürgen <orders@acme-supply.com>')
+    expect(email.subject).toBe('PO 1001 – confirmed')
+    expect(email.text).toBe('Please find our order attached. Café blend x 10 at $4.50')
+    expect(email.attachments).toHaveLength(1)
+    expect(email.attachments[0]).toMatchObject({ fileName: 'Bestellung ü.pdf', mimeType: 'application/pdf', size: pdf.length })
+    expect(email.attachments[0].content.equals(pdf)).toBe(true)
+
+    // Short covering note: only the attachment is a candidate
+    const candidates = buildEmailCandidates(email, { isSupported: (type) => type === 'application/pdf' })
+    expect(candidates.map((candidate) => candidate.source)).toEqual(['attachment'])
+
+    // Body carrying the order itself is parsed alongside attachments
+    const withBody = buildEmailCandidates(email, { isSupported: () => true, minBodyChars: 10 })
+    expect(withBody.map((candidate) => candidate.source)).toEqual(['body', 'attachment'])
+    expect(withBody[0].content.toString('utf-8')).toContain('From: Jürgen <orders@acme-supply.com>')
+  })
+
+  it('builds an email from Outlook .msg property streams', () => {
+    const utf16 = (value) => Buffer.from(`${value}\0`, 'utf16le')
+    const streams = new Map([
+      ['__substg1.0_0037001F', utf16('Order 55')],
+      ['__substg1.0_0C1A001F', utf16('Acme Supply')],
+      ['__substg1.0_0C1F001F', utf16('orders@acme-supply.com')],
+      ['__substg1.0_1000001F', utf16('See attached.')],
+      ['__attach_version1.0_#00000000/__substg1.0_3707001F', utf16('order-55.xlsx')],
+      ['__attach_version1.0_#00000000/__substg1.0_37010102', Buffer.from('PK fake')]
+    ])
+
+    const email = parseOutlookMessage(streams)
+    expect(email).toMatchObject({
+      subject: 'Order 55',
+      from: 'Acme Supply <orders@acme-supply.com>',
+      text: 'See attached.'
+    })
+    expect(email.attachments).toEqual([expect.objectContaining({
+      fileName: 'order-55.xlsx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      size: 7
+    })])
+  })
+})
@@ -87,6 +87,15 @@ describe('EnhancedAIService text preprocessing integration', () => {
       }
     }))
 
+    jest.unstable_mockModule('../../services/aiUsageService.js', () => ({
+      aiUsageService: {
+        checkBudget: jest.fn().mockResolvedValue({ state: 'ok', enforced: true }),
+        assertWithinBudget: jest.fn().mockResolvedValue(undefined),
+        record: jest.fn()
+      },
+      AIBudgetExceededError: class AIBudgetExceededError extends Error {}
+    }))
+
   ;({ EnhancedAIService } = await import('../enhancedAIService.js'))
   ;({ textPreprocessor } = await import('../textPreprocessor.js'))
   })
@@ -0,0 +1,77 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  findLowTextPages,
+  locateItemPage,
+  mergePageExtractions
+} from '../pdfRasterizer.js'
+
+describe('pdfRasterizer', () => {
+  it('flags pages without a usable text layer', () => {
+    const pageTexts = [
+      'Purchase Order PO-5512\nSupplier: Acme Wholesale\nSKU Qty Price',
+      '  \n ',
+      'Page 3'
+    ]
+
+    expect(findLowTextPages(pageTexts)).toEqual([2, 3])
+    expect(findLowTextPages(pageTexts, { minTextChars: 5 })).toEqual([2])
+    expect(findLowTextPages([])).toEqual([])
+  })
+
+  it('locates the page a text line item came from', () => {
+    const pageTexts = {
+      1: 'PO-5512 header\nAB-100 Blue widget 4 $2.00',
+      2: 'CD-200 Red widget 10 $1.50'
+    }
+
+    expect(locateItemPage({ productCode: 'CD-200' }, pageTexts, [1, 2])).toBe(2)
+    expect(locateItemPage({ description: 'Blue widget' }, pageTexts, [1, 2])).toBe(1)
+    expect(locateItemPage({ description: 'Unknown' }, pageTexts, [1, 2])).toBe(1)
+  })
+
+  it('merges page extractions into one purchase order with page provenance', () => {
+    const merged = mergePageExtractions([
+      {
+        pages: [3],
+        confidence: 0.6,
+        issues: ['Low image contrast'],
+        extractedData: {
+          poNumber: null,
+          supplier: { name: '', email: 'orders@acme.test' },
+          lineItems: [{ productCode: 'EF-300', quantity: 2 }],
+          totals: { subtotal: 70, total: 77 }
+        }
+      },
+      {
+        pages: [1, 2],
+        confidence: 0.9,
+        pageTexts: { 1: 'PO-5512 AB-100', 2: 'CD-200' },
+        extractedData: {
+          poNumber: 'PO-5512',
+          supplier: { name: 'Acme Wholesale', email: null },
+          lineItems: [
+            { productCode: 'AB-100', quantity: 4 },
+            { productCode: 'CD-200', quantity: 10 }
+          ],
+          totals: { subtotal: null, total: 50 }
+        }
+      }
+    ])
+
+    expect(merged.extractedData.poNumber).toBe('PO-5512')
+    expect(merged.extractedData.supplier).toEqual({ name: 'Acme Wholesale', email: 'orders@acme.test' })
+    // Totals come from the last page that has them
+    expect(merged.extractedData.totals).toEqual({ subtotal: 70, total: 77 })
+    expect(merged.extractedData.lineItems.map((item) => [item.productCode, item.sourcePage])).toEqual([
+      ['AB-100', 1],
+      ['CD-200', 2],
+      ['EF-300', 3]
+    ])
+    expect(merged.confidence).toBeCloseTo((0.9 * 2 + 0.6 * 1) / 3)
+    expect(merged.issues).toEqual(['Page 3: Low image contrast'])
+    expect(merged.pages).toEqual([
+      { pages: [1, 2], lineItems: 2, confidence: 0.9 },
+      { pages: [3], lineItems: 1, confidence: 0.6 }
+    ])
+  })
+})
@@ -0,0 +1,18 @@
+import { describe, expect, it } from '@jest/globals'
+import { resolvePublicHost } from '../publicHostResolver.js'
+
+describe('resolvePublicHost', () => {
+  it('rejects hosts that resolve to loopback however they are written', async () => {
+    for (const host of ['127.1', '2130706433', '0x7f000001', 'localhost']) {
+      await expect(resolvePublicHost(host)).rejects.toMatchObject({ code: 'PRIVATE_HOST', address: '127.0.0.1' })
+    }
+  })
+
+  it('returns the checked address when private hosts are allowed', async () => {
+    await expect(resolvePublicHost('127.1', { allowPrivate: true })).resolves.toEqual({ address: '127.0.0.1', family: 4 })
+  })
+
+  it('returns public literals unchanged', async () => {
+    await expect(resolvePublicHost('8.8.8.8')).resolves.toEqual({ address: '8.8.8.8', family: 4 })
+  })
+})
@@ -0,0 +1,279 @@
+import { beforeEach, describe, expect, it, jest } from '@jest/globals'
+
+const MERCHANT_ID = 'merchant_1'
+const LOCATION_ID = 'gid://shopify/Location/1'
+
+let purchaseOrder
+let receipt
+
+// Any Prisma model/method resolves to {} unless a test set it up below
+const modelProxy = (overrides = {}) => new Proxy(overrides, {
+  get: (target, method) => target[method] || jest.fn().mockResolvedValue({})
+})
+const prismaMock = new Proxy({}, {
+  get: (_, model) => {
+    if (model === 'purchaseOrder') {
+      return modelProxy({ findUnique: jest.fn(async () => purchaseOrder) })
+    }
+    if (model === 'purchaseOrderReceipt') {
+      return modelProxy({ findFirst: jest.fn(async () => receipt) })
+    }
+    if (model === 'shopifyVariant') {
+      return modelProxy({ findFirst: jest.fn().mockResolvedValue(null) })
+    }
+    return modelProxy()
+  }
+})
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: class {
+    constructor() {
+      return prismaMock
+    }
+  }
+}))
+
+jest.unstable_mockModule('node-fetch', () => ({
+  default: jest.fn(() => { throw new Error('No network in tests') })
+}))
+
+jest.unstable_mockModule('../db.js', () => ({
+  prismaOperation: (operation) => operation(prismaMock),
+  db: { getClient: async () => prismaMock }
+}))
+
+const { ShopifyService } = await import('../shopifyService.js')
+const { shopifySyncService } = await import('../shopifySyncService.js')
+const { receivingService } = await import('../../services/receivingService.js')
+
+/**
+ * In-memory Shopify store standing in for the Admin API calls the sync makes
+ */
+function createFakeShop(existingProducts = []) {
+  const shop = new ShopifyService('test-shop.myshopify.com', 'token')
+  const products = new Map()
+  const stock = new Map()
+  let nextId = 1
+
+  const addVariant = (product, input) => {
+    const id = nextId++
+    const variant = {
+      id: `gid://shopify/ProductVariant/${id}`,
+      sku: input.sku,
+      title: input.title,
+      inventoryItem: { id: `gid://shopify/InventoryItem/${id}` }
+    }
+    product.variants.push(variant)
+    stock.set(variant.inventoryItem.id, input.inventoryQuantities?.[0]?.availableQuantity ?? input.inventoryQty ?? 0)
+    return variant
+  }
+
+  const addProduct = ({ title, variants }) => {
+    const product = { id: `gid://shopify/Product/${nextId++}`, title, status: 'DRAFT', variants: [] }
+    products.set(product.id, product)
+    variants.forEach(variant => addVariant(product, variant))
+    return product
+  }
+
+  const toNode = (product) => product && {
+    ...product,
+    variants: { edges: product.variants.map(variant => ({ node: variant })) }
+  }
+
+  existingProducts.forEach(addProduct)
+
+  Object.assign(shop, {
+    testConnection: async () => ({ success: true, shop: { name: 'Test Shop' } }),
+    getPrimaryLocationId: async () => LOCATION_ID,
+    getProductById: async (id) => toNode(products.get(id)),
+    findProductBySku: async (sku) => {
+      for (const product of products.values()) {
+        const variant = product.variants.find(candidate => candidate.sku === sku)
+        if (variant) return { found: true, product: toNode(product), variant }
+      }
+      return { found: false, product: null, variant: null }
+    },
+    createProduct: jest.fn(async ({ title, variants }) => ({ product: addProduct({ title, variants }) })),
+    updateProduct: jest.fn(async () => ({})),
+    updateVariant: jest.fn(async () => ({})),
+    createVariant: jest.fn(async (productId, input) => addVariant(products.get(productId), input)),
+    setInventoryQuantity: jest.fn(async (inventoryItemId, locationId, quantity) => {
+      stock.set(inventoryItemId, quantity)
+    }),
+    adjustInventoryQuantity: jest.fn(async (inventoryItemId, locationId, delta) => {
+      stock.set(inventoryItemId, (stock.get(inventoryItemId) || 0) + delta)
+    })
+  })
+
+  return {
+    shop,
+    products,
+    productIdForSku: (sku) => [...products.values()].find(product => product.variants.some(variant => variant.sku === sku))?.id,
+    stockForSku: (sku) => {
+      for (const product of products.values()) {
+        const variant = product.variants.find(candidate => candidate.sku === sku)
+        if (variant) return stock.get(variant.inventoryItem.id)
+      }
+      return undefined
+    }
+  }
+}
+
+const lineItem = (id, sku, quantity, extra = {}) => ({
+  id,
+  sku,
+  productName: `Product ${sku}`,
+  quantity,
+  unitCost: 5,
+  status: 'pending',
+  ...extra
+})
+
+function approvedPurchaseOrder(lineItems, productDrafts = []) {
+  return {
+    id: 'po_1',
+    number: 'PO-1001',
+    status: 'approved',
+    merchantId: MERCHANT_ID,
+    supplierName: 'Acme Supply',
+    supplier: { name: 'Acme Supply' },
+    merchant: { shopDomain: 'test-shop.myshopify.com' },
+    lineItems,
+    productDrafts
+  }
+}
+
+function useShop(fake) {
+  shopifySyncService.shopifyClients.set(MERCHANT_ID, fake.shop)
+}
+
+describe('approval sync and receiving', () => {
+  beforeEach(() => {
+    shopifySyncService.shopifyClients.clear()
+  })
+
+  it('leaves stock to receipts so received units are counted once', async () => {
+    const fake = createFakeShop([
+      { title: 'Existing widget', variants: [{ sku: 'OLD-1', inventoryQty: 40 }] }
+    ])
+    useShop(fake)
+    purchaseOrder = approvedPurchaseOrder([
+      lineItem('li_1', 'NEW-1', 10),
+      lineItem('li_2', 'OLD-1', 12)
+    ])
+
+    const approval = await shopifySyncService.syncPurchaseOrderToShopify('po_1')
+
+    expect(approval.status).toBe('synced')
+    expect(fake.shop.setInventoryQuantity).not.toHaveBeenCalled()
+    expect(fake.stockForSku('NEW-1')).toBe(0)
+    expect(fake.stockForSku('OLD-1')).toBe(40)
+
+    // Only part of the order arrives
+    receipt = {
+      id: 'receipt_1',
+      locationId: LOCATION_ID,
+      lines: [
+        { id: 'rl_1', sku: 'NEW-1', inventoryDelta: 6, lineItem: { sku: 'NEW-1' } },
+        { id: 'rl_2', sku: 'OLD-1', inventoryDelta: 12, lineItem: { sku: 'OLD-1' } }
+      ]
+    }
+    const received = await receivingService.adjustInventoryForReceipt(MERCHANT_ID, 'receipt_1', fake.shop)
+
+    expect(received).toEqual({ adjusted: 2, failed: 0, errors: [] })
+    expect(fake.stockForSku('NEW-1')).toBe(6)
+    expect(fake.stockForSku('OLD-1')).toBe(52)
+  })
+
+  it('refuses to replace the line items of a PO with receipts', async () => {
+    const client = (receiptCount) => ({ purchaseOrderReceipt: { count: jest.fn(async () => receiptCount) } })
+
+    await expect(receivingService.assertNoReceipts(client(0), 'po_1')).resolves.toBeUndefined()
+    await expect(receivingService.assertNoReceipts(client(2), 'po_1')).rejects.toMatchObject({
+      code: 'PO_HAS_RECEIPTS',
+      receiptCount: 2
+    })
+  })
+})
+
+describe('deduplication strategies at sync time', () => {
+  const existingWidget = { title: 'Blue Widget', variants: [{ sku: 'BLUE-1', inventoryQty: 25 }] }
+
+  const draftFor = (item, extra = {}) => ({
+    id: `draft_${item.id}`,
+    lineItemId: item.id,
+    sku: item.sku,
+    originalTitle: item.productName,
+    status: 'DRAFT',
+    images: [],
+    variants: [],
+    ...extra
+  })
+
+  async function approve(lineItems, productDrafts = []) {
+    purchaseOrder = approvedPurchaseOrder(lineItems, productDrafts)
+    return shopifySyncService.syncPurchaseOrderToShopify('po_1')
+  }
+
+  it('SKIP leaves duplicate line items out of the sync', async () => {
+    const fake = createFakeShop([existingWidget])
+    useShop(fake)
+
+    const result = await approve([
+      lineItem('li_1', 'BLUE-1', 5, { status: 'duplicate' }),
+      lineItem('li_2', 'RED-1', 3)
+    ])
+
+    expect(result.syncResult.summary).toMatchObject({ createdCount: 1, updatedCount: 0 })
+    expect(fake.shop.updateProduct).not.toHaveBeenCalled()
+    expect(fake.products.size).toBe(2)
+    expect(fake.stockForSku('BLUE-1')).toBe(25)
+  })
+
+  it('UPDATE_EXISTING updates the matched product without touching its stock', async () => {
+    const fake = createFakeShop([existingWidget])
+    useShop(fake)
+    const item = lineItem('li_1', 'BLUE-1', 5)
+
+    const result = await approve([item], [
+      draftFor(item, { shopifyProductId: fake.productIdForSku('BLUE-1'), duplicateOfId: 'draft_old' })
+    ])
+
+    expect(result.syncResult.summary).toMatchObject({ createdCount: 0, updatedCount: 1 })
+    expect(fake.shop.updateProduct).toHaveBeenCalledWith(fake.productIdForSku('BLUE-1'), expect.any(Object))
+    expect(fake.shop.createVariant).not.toHaveBeenCalled()
+    expect(fake.stockForSku('BLUE-1')).toBe(25)
+  })
+
+  it('CREATE_VARIANT adds the item as a variant of the matched product', async () => {
+    const fake = createFakeShop([existingWidget])
+    useShop(fake)
+    const item = lineItem('li_1', 'BLUE-2', 5)
+
+    await approve([item], [
+      draftFor(item, { shopifyProductId: fake.productIdForSku('BLUE-1'), duplicateOfId: 'draft_old' })
+    ])
+
+    expect(fake.products.size).toBe(1)
+    expect(fake.productIdForSku('BLUE-2')).toBe(fake.productIdForSku('BLUE-1'))
+    expect(fake.stockForSku('BLUE-2')).toBe(0)
+    expect(fake.stockForSku('BLUE-1')).toBe(25)
+  })
+
+  it('CREATE_ANYWAY and QUEUE_FOR_REVIEW create their own products once the PO is approved', async () => {
+    const fake = createFakeShop([existingWidget])
+    useShop(fake)
+    const anyway = lineItem('li_1', 'BLUE-XL', 5)
+    const reviewed = lineItem('li_2', 'BLUE-SM', 2)
+
+    const result = await approve([anyway, reviewed], [
+      draftFor(anyway, { duplicateOfId: 'draft_old' }),
+      draftFor(reviewed, { duplicateOfId: 'draft_old', status: 'PENDING_REVIEW' })
+    ])
+
+    expect(result.syncResult.summary).toMatchObject({ createdCount: 2, updatedCount: 0 })
+    expect(fake.products.size).toBe(3)
+    expect(fake.stockForSku('BLUE-XL')).toBe(0)
+    expect(fake.stockForSku('BLUE-1')).toBe(25)
+  })
+})
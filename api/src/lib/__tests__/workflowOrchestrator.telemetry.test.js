@@ -87,6 +87,30 @@ jest.unstable_mockModule('../stageResultStore.js', () => ({
   }
 }))
 
+jest.unstable_mockModule('../shopifySyncService.js', () => ({
+  shopifySyncService: {
+    processSyncJob: jest.fn()
+  }
+}))
+
+jest.unstable_mockModule('../../services/exchangeRateService.js', () => ({
+  exchangeRateService: {
+    getRate: jest.fn().mockResolvedValue(null)
+  }
+}))
+
+jest.unstable_mockModule('../../services/outboundPurchaseOrderService.js', () => ({
+  outboundPurchaseOrderService: {
+    linkConfirmation: jest.fn().mockResolvedValue(null)
+  }
+}))
+
+jest.unstable_mockModule('../../services/priceHistoryService.js', () => ({
+  priceHistoryService: {
+    checkPurchaseOrder: jest.fn().mockResolvedValue([])
+  }
+}))
+
 jest.unstable_mockModule('../refinementPipelineService.js', () => ({
   RefinementPipelineService: class {}
 }))
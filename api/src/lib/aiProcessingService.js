@@ -8,10 +8,18 @@ import { ResilientOpenAIService } from './openaiRateLimiter.js'
 import { DatabasePersistenceService } from './databasePersistenceService.js'
 import { ShopifySyncService } from './shopifySyncService.js'
 import { AI_PROCESSING_FORMAT, validateAIResult } from './aiProcessingFormat.js'
+import { aiUsageService, AIBudgetExceededError } from '../services/aiUsageService.js'
+import { isEdiDocument } from '../services/ediEngine.js'
 import dotenv from 'dotenv'
 
 dotenv.config()
 
+const SPREADSHEET_MIME_TYPES = [
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+]
+
 export class AIProcessingService {
   constructor() {
     // Initialize OpenAI client
@@ -163,6 +171,81 @@ export class AIProcessingService {
     }
   }
 
+  /**
+   * Extract PO data with the AI while the merchant's monthly budget allows it,
+   * otherwise with the deterministic parsers (EDI segments, spreadsheet column mapping)
+   * @param {Object} source - { buffer, mimeType, supplierId } of the uploaded file
+   * @throws {AIBudgetExceededError} when over budget and no deterministic parser can read the file
+   */
+  async extractWithinBudget(parsedContent, fileName, merchantId, aiSettings = {}, source = {}) {
+    try {
+      await aiUsageService.assertWithinBudget(merchantId)
+    } catch (error) {
+      if (!(error instanceof AIBudgetExceededError)) throw error
+
+      console.log(`💸 AI budget reached for merchant ${merchantId} - reading ${fileName} without the AI`)
+      const deterministicResult = await this.extractDeterministically(parsedContent, merchantId, source)
+      if (!deterministicResult) throw error
+      return deterministicResult
+    }
+
+    const aiResult = await this.extractPurchaseOrderData(parsedContent, fileName, aiSettings)
+    if (aiResult.tokensUsed) {
+      // Only the total is reported here, so it is billed at the output rate
+      await aiUsageService.record(merchantId, {
+        operation: 'parse',
+        model: aiResult.model,
+        usage: { totalTokens: aiResult.tokensUsed }
+      })
+    }
+    return aiResult
+  }
+
+  /**
+   * EDI or column-mapped extraction in the production format
+   * @returns {Promise<Object|null>} null when neither parser can read the file
+   */
+  async extractDeterministically(parsedContent, merchantId, { buffer, mimeType, supplierId } = {}) {
+    if (!Buffer.isBuffer(buffer)) return null
+
+    let parsedResult = null
+    let method = null
+    if (isEdiDocument(buffer, mimeType)) {
+      const { ediService } = await import('../services/ediService.js')
+      const edi = await ediService.parseOrderDocument(merchantId, buffer, { supplierId })
+      parsedResult = edi.parsedResult
+      method = `edi-${edi.standard}`
+    } else if (SPREADSHEET_MIME_TYPES.includes(mimeType)) {
+      const { columnMappingService } = await import('../services/columnMappingService.js')
+      const tabular = await columnMappingService.parseSpreadsheet(merchantId, buffer, { mimeType, supplierId })
+      parsedResult = tabular?.parsedResult || null
+      method = 'column-mapping'
+    }
+    if (!parsedResult) return null
+
+    const { supplier, dates, ...extractedData } = parsedResult.extractedData
+    const overall = Math.round((parsedResult.confidence || 0) * 100)
+    return {
+      success: true,
+      model: method,
+      tokensUsed: 0,
+      processingTime: 0,
+      processingMethod: method,
+      inputType: parsedContent?.type || 'text',
+      documentType: 'purchase_order',
+      industry: null,
+      confidence: { overall },
+      dataQuality: overall >= 80 ? 'good' : 'fair',
+      extractedData: {
+        ...extractedData,
+        orderDate: dates?.orderDate || null,
+        vendor: { name: supplier?.name || null }
+      },
+      warnings: parsedResult.issues || [],
+      processingNotes: `Read by ${method} - the monthly AI budget has been reached`
+    }
+  }
+
   /**
    * Process text content using enhanced prompt engineering
    */
@@ -989,11 +1072,15 @@ Use the same JSON structure as specified in the system prompt. Pay special atten
     try {
       console.log(`🚀 Starting AI processing and database persistence for ${fileName}`)
       
-      // Step 1: Extract purchase order data using AI
-      const aiResult = await this.extractPurchaseOrderData(parsedContent, fileName, {
+      // Step 1: Extract purchase order data using AI (deterministic parsers once over budget)
+      const aiResult = await this.extractWithinBudget(parsedContent, fileName, merchantId, {
         ...options,
         industry: options.industry || 'retail',
         customFields: options.customFields || []
+      }, {
+        buffer: options.buffer,
+        mimeType: options.mimeType,
+        supplierId: options.supplierId
       })
       
       // Step 2: Add processing metadata
@@ -5,6 +5,8 @@
 
 import { shopify, validateSessionToken, getShopFromToken } from './shopifyConfig.js'
 import { db } from './db.js'
+import { staffUserService } from '../services/staffUserService.js'
+import { permissionsForRole } from '../services/staffRoleEngine.js'
 
 /**
  * Production Shopify authentication middleware
@@ -117,10 +119,24 @@ export async function verifyShopifyRequest(req, res, next) {
       })
     }
 
+    // Resolve the acting staff member from the token's Shopify user
+    let staffUser
+    try {
+      staffUser = await staffUserService.resolve(merchant.id, payload)
+    } catch (dbError) {
+      console.error('Database error during staff lookup:', dbError)
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection error',
+        code: 'DB_ERROR'
+      })
+    }
+
     console.log(`🔐 Auth success for merchant ${merchant.id} (${merchant.shopDomain}) on ${method} ${originalUrl}`)
 
-    // Add merchant and token info to request
+    // Add merchant, staff and token info to request
     req.merchant = merchant
+    req.staffUser = staffUser
     req.shop = merchant
     req.shopDomain = shopDomain
     req.sessionToken = sessionToken
@@ -220,6 +236,21 @@ export async function devBypassAuth(req, res, next) {
       sub: 'dev_user_123'
     }
 
+    try {
+      req.staffUser = await staffUserService.resolve(merchant.id, req.tokenPayload)
+    } catch (staffError) {
+      console.warn('Staff lookup unavailable, using mock admin for development:', staffError.message)
+      req.staffUser = {
+        id: 'dev-staff-123',
+        shopifyUserId: 'dev_user_123',
+        email: merchant.email,
+        name: 'Development Admin',
+        accountOwner: true,
+        role: 'admin',
+        permissions: permissionsForRole('admin')
+      }
+    }
+
     console.log(`[DEV MODE] Using development merchant: ${merchant.name}`)
     next()
   } catch (error) {
@@ -1,5 +1,7 @@
 import { db, prismaOperation } from './db.js'
 import { autoMatchSupplier } from '../services/supplierMatchingService.js'
+import { purchaseOrderVersionService } from '../services/purchaseOrderVersionService.js'
+import { receivingService } from '../services/receivingService.js'
 
 /**
  * Database Persistence Service for AI Processing Results
@@ -90,6 +92,35 @@ export class DatabasePersistenceService {
           console.log(`🔒 [${txId}] Inside transaction (age: ${txAge}ms)`)
         // Supplier already resolved above - just use the result
         
+        // 1. A re-run of a PO that already has lines is kept as a pending version;
+        //    the PO and its lines stay as they are until the merchant accepts it
+        if (options.purchaseOrderId && !options.stagedVersionId) {
+          const staged = await purchaseOrderVersionService.stageVersion(tx, {
+            purchaseOrderId: options.purchaseOrderId,
+            aiResult,
+            lineItems: this.buildLineItemRows(lineItemsData, options.purchaseOrderId, aiResult.confidence?.itemBreakdown || []),
+            workflowId: options.workflowId,
+            fileName,
+            revisionOfNumber: options.revisionOfNumber
+          })
+
+          if (staged) {
+            const { lineItems: currentLineItems, ...currentPurchaseOrder } = staged.purchaseOrder
+            const auditRecord = await this.createAIAuditRecord(tx, aiResult, options.purchaseOrderId, fileName, options)
+            console.log(`🗂️ [${txId}] Staged PO version ${staged.version.version} for review - current lines kept`)
+
+            return {
+              purchaseOrder: currentPurchaseOrder,
+              supplier,
+              lineItems: currentLineItems,
+              auditRecord,
+              version: staged.version,
+              stagedVersion: staged.version,
+              processingTime: Date.now() - startTime
+            }
+          }
+        }
+
         // 2. Update existing purchase order or create new one
         console.log(`🔍 Database save mode check:`)
         console.log(`   options.purchaseOrderId:`, options.purchaseOrderId)
@@ -118,6 +149,12 @@ export class DatabasePersistenceService {
         
         // 3. Delete existing line items if updating (to avoid duplicates/stale data)
         if (options.purchaseOrderId) {
+          // Receipt lines hang off these line items - replacing them would lose what was received
+          await receivingService.assertNoReceipts(tx, purchaseOrder.id)
+
+          // Keep the lines we're about to replace if this PO has never been versioned
+          await purchaseOrderVersionService.recordBaseline(tx, purchaseOrder.id)
+
           console.log(`🗑️ Deleting existing line items for PO update...`)
           const step2Start = Date.now()
           const deletedCount = await tx.pOLineItem.deleteMany({
@@ -141,6 +178,17 @@ export class DatabasePersistenceService {
           null // 📊 Do NOT pass progress helper inside transaction
         )
         console.log(`⏱️ [${txId}] Step 3 (CREATE ${lineItems.length} line items) took ${Date.now() - step3Start}ms`)
+
+        // Snapshot this run so later reprocessing can be diffed against it
+        const version = await purchaseOrderVersionService.recordVersion(tx, {
+          purchaseOrder,
+          lineItems,
+          workflowId: options.workflowId,
+          fileName,
+          revisionOfNumber: options.revisionOfNumber,
+          stagedVersionId: options.stagedVersionId
+        })
+        console.log(`🗂️ [${txId}] Recorded PO version ${version.version} (${version.source})`)
         
         console.log(`✅ Line items created in transaction:`)
         console.log(`   Count: ${lineItems.length}`)
@@ -193,6 +241,7 @@ export class DatabasePersistenceService {
           supplier,
           lineItems,
           auditRecord,
+          version,
           processingTime: Date.now() - startTime
         }
       }, {
@@ -254,6 +303,9 @@ export class DatabasePersistenceService {
             console.log(`📝 [UPDATE CONFLICT] Conflict on UPDATE - will skip number change and keep existing PO number`)
             console.log(`   Existing PO ID: ${options.purchaseOrderId}`)
             console.log(`   Conflicting number: ${error.conflictPoNumber}`)
+
+            // The upload revises the PO that already has this number
+            options.revisionOfNumber = error.conflictPoNumber
             
             // CRITICAL FIX: Fetch the existing PO number from database to preserve it
             const prisma = await db.getClient()
@@ -284,6 +336,7 @@ export class DatabasePersistenceService {
             const prisma = await db.getClient()
             const basePoNumber = error.conflictPoNumber
             const maxSuffixAttempts = 10
+            options.revisionOfNumber = basePoNumber
             
             // Try suffixes 1-10
             let resolvedNumber = null
@@ -331,8 +384,10 @@ export class DatabasePersistenceService {
                            error.code === 'P2024'    // Timed out fetching
         
         if (!isRetryable || attempt === maxRetries) {
-          // Non-retryable error or max retries reached - throw
-          throw new Error(`Database persistence failed after ${attempt} attempts: ${error.message}`)
+          // Non-retryable error or max retries reached - throw, keeping the code callers check for
+          const failure = new Error(`Database persistence failed after ${attempt} attempts: ${error.message}`)
+          failure.code = error.code
+          throw failure
         }
         
         // Transaction expired/closed - force reconnect before retry
@@ -603,6 +658,7 @@ export class DatabasePersistenceService {
           supplierName: extractedData.vendor?.name || extractedData.supplierName || 'Unknown',
           orderDate: parseDate(extractedData.orderDate || extractedData.date),
           dueDate: parseDate(extractedData.dueDate || extractedData.deliveryDate),
+          expectedArrivalDate: parseDate(extractedData.dates?.expectedDelivery || extractedData.expectedDelivery),
           totalAmount: totalAmount,
           currency: extractedData.currency || 'USD',
           status: status,
@@ -729,6 +785,12 @@ export class DatabasePersistenceService {
       updatedAt: new Date()
     }
     
+    // Only overwrite the expected arrival when the document states one - it may have been set by hand
+    const expectedArrivalDate = parseDate(extractedData.dates?.expectedDelivery || extractedData.expectedDelivery)
+    if (expectedArrivalDate) {
+      updateData.expectedArrivalDate = expectedArrivalDate
+    }
+
     // Update PO number if extracted by AI
     // Note: If conflict occurs, the ENTIRE update will be included in updateData
     // but we'll just skip changing the number (keep existing)
@@ -823,8 +885,36 @@ export class DatabasePersistenceService {
     // 📊 CRITICAL FIX: Progress updates removed from inside transaction (called outside instead)
     // Keeping progressHelper parameter for backward compatibility but not using it
     
-    // Prepare all line item data
-    const lineItemsToCreate = lineItemsData.map((item, i) => {
+    const lineItemsToCreate = this.buildLineItemRows(lineItemsData, purchaseOrderId, lineItemsConfidence)
+    
+    // Single batch insert - 50x faster than sequential creates!
+    const result = await tx.pOLineItem.createMany({
+      data: lineItemsToCreate,
+      skipDuplicates: false
+    })
+    
+    console.log(`✅ [BATCH CREATE] Created ${result.count} line items in ${Date.now() - batchStart}ms`)
+    
+    // 📊 CRITICAL FIX: Progress updates removed from transaction
+    
+    // Fetch the created items to return them (createMany doesn't return created records)
+    const lineItems = await tx.pOLineItem.findMany({
+      where: { purchaseOrderId },
+      orderBy: { createdAt: 'asc' }
+    })
+    
+    // 📊 CRITICAL FIX: Progress updates removed from transaction
+    
+    console.log(`  📦 Sample items: ${lineItems.slice(0, 2).map(li => `${li.productName} x${li.quantity}`).join(', ')}`)
+    
+    return lineItems
+  }
+
+  /**
+   * Map AI-extracted items to POLineItem rows
+   */
+  buildLineItemRows(lineItemsData, purchaseOrderId, lineItemsConfidence = []) {
+    return lineItemsData.map((item, i) => {
       const itemConfidence = lineItemsConfidence[i] || lineItemsConfidence.overall || 50
       
       // 📦 SMART QUANTITY EXTRACTION: Try to get quantity from AI, then fallback to parsing product name
@@ -873,28 +963,6 @@ export class DatabasePersistenceService {
         purchaseOrderId: purchaseOrderId
       }
     })
-    
-    // Single batch insert - 50x faster than sequential creates!
-    const result = await tx.pOLineItem.createMany({
-      data: lineItemsToCreate,
-      skipDuplicates: false
-    })
-    
-    console.log(`✅ [BATCH CREATE] Created ${result.count} line items in ${Date.now() - batchStart}ms`)
-    
-    // 📊 CRITICAL FIX: Progress updates removed from transaction
-    
-    // Fetch the created items to return them (createMany doesn't return created records)
-    const lineItems = await tx.pOLineItem.findMany({
-      where: { purchaseOrderId },
-      orderBy: { createdAt: 'asc' }
-    })
-    
-    // 📊 CRITICAL FIX: Progress updates removed from transaction
-    
-    console.log(`  📦 Sample items: ${lineItems.slice(0, 2).map(li => `${li.productName} x${li.quantity}`).join(', ')}`)
-    
-    return lineItems
   }
 
   /**
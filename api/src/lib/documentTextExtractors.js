@@ -0,0 +1,468 @@
+/**
+ * Document Text Extractors
+ *
+ * Text extraction for Word (document.xml), HTML, plain text and email
+ * (RFC822 .eml and Outlook .msg property streams). Container handling
+ * (DOCX zip, .msg compound file) stays in fileParsingService; everything here
+ * works on strings and buffers only.
+ */
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+export const DOCUMENT_MIME_TYPES = {
+  docx: DOCX_MIME_TYPE,
+  html: 'text/html',
+  text: 'text/plain',
+  eml: 'message/rfc822',
+  msg: 'application/vnd.ms-outlook'
+}
+
+// Browsers and mail clients often send these as application/octet-stream
+const EXTENSION_MIME_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xls: 'application/vnd.ms-excel',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  docx: DOCX_MIME_TYPE,
+  htm: 'text/html',
+  html: 'text/html',
+  txt: 'text/plain',
+  eml: 'message/rfc822',
+  msg: 'application/vnd.ms-outlook',
+  edi: 'application/edi-x12',
+  x12: 'application/edi-x12',
+  850: 'application/edi-x12',
+  856: 'application/edi-x12',
+  edifact: 'application/edifact',
+  edf: 'application/edifact'
+}
+
+// Text files some systems label text/plain although the extension says otherwise
+const TEXT_PLAIN_EXTENSIONS = ['csv', 'edi', 'x12', 'edifact', 'edf']
+
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'application/x-msdownload', 'binary/octet-stream']
+
+// Email bodies shorter than this are covering notes when the PO is attached
+const MIN_BODY_CANDIDATE_CHARS = 200
+
+/**
+ * Resolve the MIME type for an uploaded file, falling back to its extension
+ * when the sender gave a generic or legacy type
+ */
+export function resolveMimeType(mimeType, fileName = '') {
+  const normalized = String(mimeType || '').split(';')[0].trim().toLowerCase()
+  const extension = String(fileName).split('.').pop().toLowerCase()
+
+  if (normalized === 'application/csv' || normalized === 'text/comma-separated-values') return 'text/csv'
+  if (normalized === 'application/xhtml+xml') return 'text/html'
+  if (GENERIC_MIME_TYPES.includes(normalized) || (normalized === 'text/plain' && TEXT_PLAIN_EXTENSIONS.includes(extension))) {
+    return EXTENSION_MIME_TYPES[extension] || normalized
+  }
+  return normalized
+}
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  pound: '£',
+  euro: '€',
+  copy: '©',
+  reg: '®',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…'
+}
+
+export function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+function tidyLines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/[ \u00a0]+/g, ' ').replace(/[ \t]+$/, '').replace(/^ +/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+/**
+ * HTML to text, keeping table rows on one line with tab-separated cells
+ */
+export function htmlToText(html) {
+  const text = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(td|th)\s*>/gi, '\t')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|blockquote|pre|section|article|header|footer)\s*>/gi, '\n')
+    .replace(/<(p|div|h[1-6]|table|ul|ol)\b[^>]*>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, '')
+
+  return tidyLines(decodeEntities(text))
+}
+
+/**
+ * WordprocessingML (word/document.xml) to text
+ * Paragraphs become lines; table rows become tab-separated lines
+ */
+export function docxXmlToText(xml) {
+  const tagPattern = /<(\/?)w:([A-Za-z]+)\b[^>]*?(\/?)>|([^<]+)/g
+  let output = ''
+  let inText = false
+  let propertyDepth = 0
+  let cellDepth = 0
+  let tables = 0
+  let match
+
+  while ((match = tagPattern.exec(String(xml || ''))) !== null) {
+    const [, closing, name, selfClosing, content] = match
+
+    if (content !== undefined) {
+      if (inText) output += decodeEntities(content)
+      continue
+    }
+
+    if (name === 'pPr' || name === 'rPr') {
+      if (!selfClosing) propertyDepth += closing ? -1 : 1
+      continue
+    }
+    if (propertyDepth > 0) continue
+
+    if (name === 't') {
+      inText = !closing && !selfClosing
+    } else if (name === 'tab' && !closing) {
+      output += '\t'
+    } else if ((name === 'br' || name === 'cr') && !closing) {
+      output += '\n'
+    } else if (name === 'p' && closing) {
+      output += cellDepth > 0 ? ' ' : '\n'
+    } else if (name === 'tc') {
+      if (closing) {
+        output = output.replace(/ +$/, '') + '\t'
+        cellDepth -= 1
+      } else if (!selfClosing) {
+        cellDepth += 1
+      }
+    } else if (name === 'tr' && closing) {
+      output = output.replace(/\t$/, '') + '\n'
+    } else if (name === 'tbl') {
+      if (!closing) tables += 1
+      output += '\n'
+    }
+  }
+
+  return { text: tidyLines(output), tables }
+}
+
+function decodeCharset(buffer, charset) {
+  const label = String(charset || 'utf-8').trim().toLowerCase()
+  try {
+    return new TextDecoder(label).decode(buffer)
+  } catch {
+    return buffer.toString('utf-8')
+  }
+}
+
+export function decodeQuotedPrintable(text) {
+  const source = String(text).replace(/=\r?\n/g, '')
+  const bytes = []
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index]
+    const hex = source.slice(index + 1, index + 3)
+    if (char === '=' && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16))
+      index += 2
+    } else {
+      bytes.push(source.charCodeAt(index) & 0xff)
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?UTF-8?B?...?=) in header values
+ */
+export function decodeMimeWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, data) => {
+      const buffer = encoding.toLowerCase() === 'b'
+        ? Buffer.from(data, 'base64')
+        : decodeQuotedPrintable(data.replace(/_/g, ' '))
+      return decodeCharset(buffer, charset)
+    })
+}
+
+function parseHeaders(block) {
+  const headers = {}
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ')
+  for (const line of unfolded.split(/\r?\n/)) {
+    const separator = line.indexOf(':')
+    if (separator <= 0) continue
+    const name = line.slice(0, separator).trim().toLowerCase()
+    if (!(name in headers)) headers[name] = line.slice(separator + 1).trim()
+  }
+  return headers
+}
+
+/**
+ * Split a structured header into its value and parameters
+ * e.g. 'attachment; filename="po.pdf"' → { value: 'attachment', params: { filename: 'po.pdf' } }
+ */
+export function parseHeaderValue(header = '') {
+  const [value, ...rest] = String(header).split(';')
+  const params = {}
+  const paramText = rest.join(';')
+  const paramPattern = /([\w*-]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g
+  let match
+  while ((match = paramPattern.exec(paramText)) !== null) {
+    let [, name, raw] = match
+    let paramValue = raw.trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1')
+    name = name.toLowerCase()
+    // RFC 2231: filename*=UTF-8''purchase%20order.pdf
+    if (name.endsWith('*')) {
+      name = name.slice(0, -1)
+      const [charset, , encoded = paramValue] = paramValue.split("'")
+      const bytes = encoded.replace(/%([0-9a-f]{2})/gi, (percent, hex) => String.fromCharCode(parseInt(hex, 16)))
+      paramValue = decodeCharset(Buffer.from(bytes, 'latin1'), charset || 'utf-8')
+    }
+    params[name] = decodeMimeWords(paramValue)
+  }
+  return { value: value.trim().toLowerCase(), params }
+}
+
+function decodeTransferEncoding(body, encoding) {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64')
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body)
+    default:
+      return Buffer.from(body, 'latin1')
+  }
+}
+
+function splitHeaderAndBody(raw) {
+  const match = /\r?\n\r?\n/.exec(raw)
+  return match
+    ? [raw.slice(0, match.index), raw.slice(match.index + match[0].length)]
+    : [raw, '']
+}
+
+function walkMimePart(raw, email) {
+  const [headerBlock, body] = splitHeaderAndBody(raw)
+  const headers = parseHeaders(headerBlock)
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain')
+  const disposition = parseHeaderValue(headers['content-disposition'] || '')
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const delimiter = `--${contentType.params.boundary}`
+    const sections = body.split(delimiter).slice(1)
+    for (const section of sections) {
+      if (section.startsWith('--')) break
+      walkMimePart(section.replace(/^[ \t]*\r?\n/, ''), email)
+    }
+    return
+  }
+
+  const content = decodeTransferEncoding(body, headers['content-transfer-encoding'])
+  const fileName = disposition.params.filename || contentType.params.name || null
+  const isInlineText = !fileName && disposition.value !== 'attachment'
+
+  if (isInlineText && contentType.value === 'text/plain' && email.text === null) {
+    email.text = decodeCharset(content, contentType.params.charset)
+  } else if (isInlineText && contentType.value === 'text/html' && email.html === null) {
+    email.html = decodeCharset(content, contentType.params.charset)
+  } else if (fileName || disposition.value === 'attachment' || contentType.value === 'message/rfc822') {
+    const extension = contentType.value === 'message/rfc822' ? 'eml' : 'bin'
+    const name = fileName || `attachment-${email.attachments.length + 1}.${extension}`
+    email.attachments.push({
+      fileName: name,
+      mimeType: resolveMimeType(contentType.value, name),
+      content,
+      size: content.length
+    })
+  }
+}
+
+function finishEmail(email) {
+  const html = email.html || null
+  let text = email.text
+  if (!text || !text.trim()) text = html ? htmlToText(html) : ''
+  return { ...email, html, text: text.replace(/\r\n/g, '\n').trim() }
+}
+
+/**
+ * Parse an RFC822 / MIME message
+ * @param {Buffer|string} raw - the .eml file
+ * @returns {{ subject, from, to, date, text, html, attachments: Array<{ fileName, mimeType, content: Buffer, size }> }}
+ */
+export function parseEmail(raw) {
+  // latin1 keeps 8bit parts byte-for-byte until their charset is known
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : String(raw || '')
+  const [headerBlock] = splitHeaderAndBody(source)
+  const headers = parseHeaders(headerBlock)
+
+  const email = {
+    subject: decodeMimeWords(headers.subject || ''),
+    from: decodeMimeWords(headers.from || ''),
+    to: decodeMimeWords(headers.to || ''),
+    cc: decodeMimeWords(headers.cc || ''),
+    replyTo: decodeMimeWords(headers['reply-to'] || ''),
+    deliveredTo: headers['delivered-to'] || headers['x-original-to'] || '',
+    date: headers.date || null,
+    messageId: headers['message-id'] || null,
+    text: null,
+    html: null,
+    attachments: []
+  }
+
+  walkMimePart(source, email)
+  return finishEmail(email)
+}
+
+// MAPI property tags used in Outlook .msg compound files
+const MSG_PROPERTIES = {
+  subject: '0037',
+  senderName: '0C1A',
+  senderEmail: '0C1F',
+  displayTo: '0E04',
+  body: '1000',
+  html: '1013',
+  attachData: '3701',
+  attachFileName: '3704',
+  attachLongFileName: '3707',
+  attachMimeTag: '370E'
+}
+
+function readMsgString(streams, prefix, property) {
+  const unicode = streams.get(`${prefix}__substg1.0_${property}001F`)
+  if (unicode) return unicode.toString('utf16le').replace(/\0+$/, '')
+  const ansi = streams.get(`${prefix}__substg1.0_${property}001E`)
+  if (ansi) return ansi.toString('latin1').replace(/\0+$/, '')
+  return null
+}
+
+/**
+ * Build an email from Outlook .msg property streams
+ * @param {Map<string, Buffer>} streams - stream path (relative to the root storage) → content
+ */
+export function parseOutlookMessage(streams) {
+  const senderName = readMsgString(streams, '', MSG_PROPERTIES.senderName)
+  const senderEmail = readMsgString(streams, '', MSG_PROPERTIES.senderEmail)
+  const htmlStream = streams.get(`__substg1.0_${MSG_PROPERTIES.html}0102`)
+
+  const attachmentFolders = [...new Set(
+    [...streams.keys()]
+      .map((path) => path.match(/^(__attach_version1\.0_#[0-9A-F]{8}\/)/i)?.[1])
+      .filter(Boolean)
+  )].sort()
+
+  const attachments = attachmentFolders.flatMap((folder, index) => {
+    const content = streams.get(`${folder}__substg1.0_${MSG_PROPERTIES.attachData}0102`)
+    // Embedded messages are stored as storages, not data streams; they are skipped
+    if (!content) return []
+    const fileName = readMsgString(streams, folder, MSG_PROPERTIES.attachLongFileName) ||
+      readMsgString(streams, folder, MSG_PROPERTIES.attachFileName) ||
+      `attachment-${index + 1}.bin`
+    return [{
+      fileName,
+      mimeType: resolveMimeType(readMsgString(streams, folder, MSG_PROPERTIES.attachMimeTag) || '', fileName),
+      content,
+      size: content.length
+    }]
+  })
+
+  return finishEmail({
+    subject: readMsgString(streams, '', MSG_PROPERTIES.subject) || '',
+    from: senderEmail ? (senderName ? `${senderName} <${senderEmail}>` : senderEmail) : (senderName || ''),
+    to: readMsgString(streams, '', MSG_PROPERTIES.displayTo) || '',
+    cc: '',
+    replyTo: '',
+    deliveredTo: '',
+    date: null,
+    messageId: null,
+    text: readMsgString(streams, '', MSG_PROPERTIES.body),
+    html: htmlStream ? htmlStream.toString('utf-8') : null,
+    attachments
+  })
+}
+
+/**
+ * Text of an email body with the headers that identify the supplier
+ */
+export function emailBodyText(email) {
+  const header = [
+    email.subject && `Subject: ${email.subject}`,
+    email.from && `From: ${email.from}`,
+    email.to && `To: ${email.to}`,
+    email.date && `Date: ${email.date}`
+  ].filter(Boolean).join('\n')
+
+  return [header, email.text].filter(Boolean).join('\n\n')
+}
+
+/**
+ * Split an email into PO candidates: each supported attachment, plus the body
+ * when it carries the order itself (or there is nothing else)
+ * @param {Function} isSupported - (mimeType) => boolean
+ * @returns {Array<{ source: 'body'|'attachment', fileName, mimeType, content: Buffer }>}
+ */
+export function buildEmailCandidates(email, { isSupported = () => true, minBodyChars = MIN_BODY_CANDIDATE_CHARS } = {}) {
+  const attachments = email.attachments
+    .filter((attachment) => attachment.size > 0 && isSupported(attachment.mimeType))
+    .map((attachment) => ({
+      source: 'attachment',
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      content: attachment.content
+    }))
+
+  const bodyLength = (email.text || '').trim().length
+  if (bodyLength === 0 || (attachments.length > 0 && bodyLength < minBodyChars)) {
+    return attachments
+  }
+
+  const subject = (email.subject || 'email').replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60)
+  return [
+    {
+      source: 'body',
+      fileName: `${subject || 'email'}.txt`,
+      mimeType: 'text/plain',
+      content: Buffer.from(emailBodyText(email), 'utf-8')
+    },
+    ...attachments
+  ]
+}
+
+export default {
+  DOCUMENT_MIME_TYPES,
+  resolveMimeType,
+  decodeEntities,
+  htmlToText,
+  docxXmlToText,
+  decodeQuotedPrintable,
+  decodeMimeWords,
+  parseHeaderValue,
+  parseEmail,
+  parseOutlookMessage,
+  emailBodyText,
+  buildEmailCandidates
+}
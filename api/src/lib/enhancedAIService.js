@@ -7,7 +7,11 @@
 import OpenAI from 'openai'
 import { errorHandlingService, CONFIDENCE_THRESHOLDS } from './errorHandlingService.js'
 import { extractAnchors } from './anchorExtractor.js'
+import { DOCUMENT_MIME_TYPES, resolveMimeType } from './documentTextExtractors.js'
+import { findLowTextPages, mergePageExtractions, rasterizePdfPages } from './pdfRasterizer.js'
 import { productConsolidationService } from './productConsolidationService.js'
+import { isEdiDocument } from '../services/ediEngine.js'
+import { aiUsageService, AIBudgetExceededError } from '../services/aiUsageService.js'
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -921,6 +925,288 @@ export class EnhancedAIService {
     return this.fewShotMessages.map(message => JSON.parse(JSON.stringify(message)))
   }
 
+  /**
+   * Parsing profile for the supplier this document comes from (learned from corrections)
+   */
+  async _resolveSupplierProfile(text, options = {}) {
+    if (!options.merchantId || options.disableSupplierProfile) {
+      return null
+    }
+    try {
+      const { supplierProfileService } = await import('../services/supplierProfileService.js')
+      return await supplierProfileService.resolveForDocument(options.merchantId, {
+        supplierId: options.supplierId,
+        text
+      })
+    } catch (error) {
+      console.warn('⚠️ Supplier parsing profile lookup failed:', error.message)
+      return null
+    }
+  }
+
+  async _applySupplierProfile(parsedResult, supplierProfile) {
+    const { supplierProfileService } = await import('../services/supplierProfileService.js')
+    return supplierProfileService.applyToResult(parsedResult, supplierProfile)
+  }
+
+  _buildSupplierHintMessages(hints) {
+    return hints ? [{ role: 'system', content: hints }] : []
+  }
+
+  _isSpreadsheet(mimeType) {
+    return [
+      'text/csv',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel'
+    ].includes(mimeType)
+  }
+
+  /**
+   * Column-mapped extraction for CSV/Excel POs, in the same shape as an AI parse
+   * @returns {Promise<Object|null>} null when no mapping fits
+   */
+  async _parseSpreadsheet(fileContent, workflowId, options = {}) {
+    let tabular
+    try {
+      const { columnMappingService } = await import('../services/columnMappingService.js')
+      tabular = await columnMappingService.parseSpreadsheet(options.merchantId, fileContent, {
+        mimeType: options.mimeType,
+        supplierId: options.supplierId
+      })
+    } catch (error) {
+      console.warn('⚠️ Column mapping failed, falling back to AI parsing:', error.message)
+      return null
+    }
+    if (!tabular) {
+      return null
+    }
+
+    const enhancedResult = await this.enhanceAIResult(tabular.parsedResult, workflowId, {
+      preprocessingMetadata: { columnMapping: tabular.summary, extractionMethod: 'column-mapping' },
+      model: 'column-mapping'
+    })
+    return await this._finalizeParseResult(enhancedResult, workflowId, options)
+  }
+
+  /**
+   * X12 850 / EDIFACT ORDERS mapped segment by segment, in the same shape as an AI parse
+   */
+  async _parseEdi(fileContent, workflowId, options = {}) {
+    const { ediService } = await import('../services/ediService.js')
+    const { parsedResult, standard, supplier } = await ediService.parseOrderDocument(options.merchantId, fileContent, {
+      supplierId: options.supplierId
+    })
+
+    const enhancedResult = await this.enhanceAIResult(parsedResult, workflowId, {
+      preprocessingMetadata: { extractionMethod: `edi-${standard}`, ediSupplierId: supplier?.id || null },
+      model: `edi-${standard}`
+    })
+    return await this._finalizeParseResult(enhancedResult, workflowId, options)
+  }
+
+  /**
+   * Read a PDF with scanned pages: low-text pages are rasterized and parsed one by one
+   * through the vision path, pages with a text layer are parsed together as text, and
+   * the extractions merge into one PO with sourcePage on every line item
+   * @param {Object|null} parseResult - pdf2json result, or null when text extraction failed
+   */
+  async _parseScannedPdf(fileContent, parseResult, workflowId, options = {}) {
+    const progressHelper = options.progressHelper || null
+    const pageTexts = parseResult?.pageTexts || []
+    const scannedPages = parseResult ? findLowTextPages(pageTexts) : null
+    const textPages = pageTexts.map((_, index) => index + 1).filter((pageNumber) => !scannedPages?.includes(pageNumber))
+
+    const { pageCount, images } = await rasterizePdfPages(fileContent, scannedPages)
+    const requestedPages = scannedPages || Array.from({ length: pageCount }, (_, index) => index + 1)
+    console.log(`🖨️ Scanned PDF: ${requestedPages.length} image page(s), ${textPages.length} text page(s)`)
+
+    const baseName = (options.fileName || 'document.pdf').replace(/\.pdf$/i, '')
+    const pageOptions = {
+      ...options,
+      progressHelper: null, // Progress is reported per page below
+      deferResultHandling: true,
+      disablePageRasterization: true
+    }
+    const toPart = (result, pages) => ({
+      pages,
+      extractedData: result.extractedData,
+      confidence: result.confidence?.normalized,
+      issues: result.issues,
+      fieldConfidences: result.fieldConfidences,
+      pageTexts: Object.fromEntries(pages.map((pageNumber) => [pageNumber, pageTexts[pageNumber - 1]]))
+    })
+
+    const parts = []
+    const failedPages = []
+
+    if (textPages.length > 0) {
+      try {
+        const text = textPages.map((pageNumber) => pageTexts[pageNumber - 1]).join('\n\n')
+        const result = await this.parseDocument(Buffer.from(text, 'utf-8'), workflowId, {
+          ...pageOptions,
+          fileName: `${baseName}-text.txt`,
+          mimeType: 'text/plain',
+          extractionMethod: parseResult.extractionMethod
+        })
+        parts.push(toPart(result, textPages))
+      } catch (error) {
+        console.warn('⚠️ Text pages of scanned PDF could not be parsed:', error.message)
+        failedPages.push(...textPages)
+      }
+    }
+
+    for (const [index, page] of images.entries()) {
+      try {
+        const result = await this.parseDocument(page.image, workflowId, {
+          ...pageOptions,
+          fileName: `${baseName}-page-${page.pageNumber}.jpg`,
+          mimeType: 'image/jpeg'
+        })
+        parts.push(toPart(result, [page.pageNumber]))
+      } catch (error) {
+        console.warn(`⚠️ Scanned page ${page.pageNumber} could not be parsed:`, error.message)
+        failedPages.push(page.pageNumber)
+      }
+
+      if (progressHelper) {
+        try {
+          await progressHelper.publishSubStageProgress(
+            ((index + 1) / images.length) * 100,
+            20,
+            60,
+            `Read scanned page ${index + 1}/${images.length}`,
+            { currentPage: page.pageNumber, totalPages: pageCount }
+          )
+        } catch (progressError) {
+          console.warn('⚠️ Failed to publish page progress:', progressError.message)
+        }
+      }
+    }
+
+    if (parts.length === 0) {
+      throw new Error('No page of the scanned PDF could be read')
+    }
+
+    const merged = mergePageExtractions(parts)
+    const skippedPages = requestedPages.filter((pageNumber) => !images.some((image) => image.pageNumber === pageNumber))
+    const issues = [
+      ...merged.issues,
+      ...failedPages.sort((a, b) => a - b).map((pageNumber) => `Page ${pageNumber} could not be read`),
+      ...(skippedPages.length > 0 ? [`Pages ${skippedPages.join(', ')} were not read (page limit reached)`] : [])
+    ]
+
+    const enhancedResult = await this.enhanceAIResult({
+      confidence: merged.confidence,
+      extractedData: merged.extractedData,
+      fieldConfidences: parts[0].fieldConfidences,
+      issues
+    }, workflowId, {
+      preprocessingMetadata: {
+        extractionMethod: 'pdf-rasterized',
+        pageCount,
+        rasterizedPages: images.map((image) => image.pageNumber),
+        textPages,
+        failedPages,
+        skippedPages,
+        pages: merged.pages
+      }
+    })
+
+    return await this._finalizeParseResult(enhancedResult, workflowId, options)
+  }
+
+  _isTextDocument(mimeType, fileName) {
+    return Object.values(DOCUMENT_MIME_TYPES).includes(resolveMimeType(mimeType, fileName))
+  }
+
+  /**
+   * Parse every PO candidate of an email (body and attachments) and keep the best extraction
+   * The others are listed in metadata.email.candidates
+   */
+  async _parseEmailCandidates(document, workflowId, options = {}) {
+    if (document.candidates.length === 0) {
+      throw new Error('Email has no body text or supported attachments to parse')
+    }
+
+    console.log(`📧 Parsing ${document.candidates.length} PO candidate(s) from email "${document.email.subject}"`)
+
+    const outcomes = []
+    for (const candidate of document.candidates) {
+      try {
+        const result = await this.parseDocument(candidate.content, workflowId, {
+          ...options,
+          fileName: candidate.fileName,
+          fileType: candidate.fileName.split('.').pop().toLowerCase(),
+          mimeType: candidate.mimeType,
+          deferResultHandling: true
+        })
+        outcomes.push({ candidate, result })
+      } catch (error) {
+        console.warn(`⚠️ Email candidate ${candidate.fileName} could not be parsed:`, error.message)
+        outcomes.push({ candidate, error: error.message })
+      }
+    }
+
+    const lineItemCount = (result) => result?.extractedData?.lineItems?.length || 0
+    const ranked = outcomes
+      .filter((outcome) => outcome.result)
+      .sort((a, b) =>
+        (lineItemCount(b.result) > 0) - (lineItemCount(a.result) > 0) ||
+        (b.result.confidence?.normalized || 0) - (a.result.confidence?.normalized || 0) ||
+        lineItemCount(b.result) - lineItemCount(a.result)
+      )
+
+    if (ranked.length === 0) {
+      throw new Error(`No purchase order could be read from the email (${outcomes.length} candidate(s) failed)`)
+    }
+
+    const best = ranked[0]
+    console.log(`📧 Using ${best.candidate.source} candidate ${best.candidate.fileName} (${lineItemCount(best.result)} line items)`)
+
+    const enhancedResult = {
+      ...best.result,
+      metadata: {
+        ...best.result.metadata,
+        email: {
+          ...document.email,
+          extractionMethod: document.extractionMethod,
+          selectedCandidate: best.candidate.fileName,
+          candidates: outcomes.map(({ candidate, result, error }) => ({
+            source: candidate.source,
+            fileName: candidate.fileName,
+            mimeType: candidate.mimeType,
+            lineItems: lineItemCount(result),
+            confidence: result?.confidence?.overall ?? null,
+            error: error || null
+          }))
+        }
+      }
+    }
+
+    return await this._finalizeParseResult(enhancedResult, workflowId, options)
+  }
+
+  /**
+   * Hand a parse result to error handling (confidence routing, review queue)
+   * Deferred for email candidates until the best one is chosen
+   */
+  async _finalizeParseResult(enhancedResult, workflowId, options = {}) {
+    if (options.deferResultHandling) {
+      return enhancedResult
+    }
+
+    const handlingResult = await errorHandlingService.handleAIParsingResult(
+      workflowId,
+      enhancedResult,
+      options.confidenceThreshold || CONFIDENCE_THRESHOLDS.MANUAL_REVIEW
+    )
+
+    return {
+      ...enhancedResult,
+      handlingResult
+    }
+  }
+
   async _runTextPreprocessor(text, options = {}) {
     const { textPreprocessor } = await import('./textPreprocessor.js')
     return textPreprocessor.preprocess(text, options)
@@ -951,7 +1237,7 @@ export class EnhancedAIService {
     return anchorResult
   }
 
-  async _extractTextFromImage(fileContent, fileType, { progressHelper } = {}) {
+  async _extractTextFromImage(fileContent, fileType, { progressHelper, usageMeter } = {}) {
     const fileSizeMB = fileContent.length / (1024 * 1024)
     const baseTimeout = 90000
     const additionalTimeout = Math.min(
@@ -972,7 +1258,7 @@ export class EnhancedAIService {
       }, adaptiveTimeout)
     })
 
-    const apiCallPromise = openai.chat.completions.create({
+    const apiCallPromise = this._createCompletion({
       model: 'gpt-4o-mini',
       messages: [
         {
@@ -996,7 +1282,8 @@ export class EnhancedAIService {
       max_tokens: 6000,
       temperature: 0
     }, {
-      signal: controller.signal
+      signal: controller.signal,
+      usageMeter
     })
 
     let response
@@ -1132,7 +1419,7 @@ export class EnhancedAIService {
     return messages
   }
 
-  async _processImageWithVisionFallback(fileContent, fileType) {
+  async _processImageWithVisionFallback(fileContent, fileType, { usageMeter } = {}) {
     console.log('⚠️ Falling back to direct vision structured extraction')
 
     const fileSizeMB = fileContent.length / (1024 * 1024)
@@ -1177,7 +1464,7 @@ export class EnhancedAIService {
       }
     ]
 
-    const apiCallPromise = openai.chat.completions.create({
+    const apiCallPromise = this._createCompletion({
       model: 'gpt-4o-mini',
       messages: fallbackMessages,
       functions: [this.getStructuredOutputSchema()],
@@ -1185,7 +1472,8 @@ export class EnhancedAIService {
       max_tokens: 8000,
       temperature: 0
     }, {
-      signal: controller.signal
+      signal: controller.signal,
+      usageMeter
     })
 
     let response
@@ -1224,6 +1512,58 @@ export class EnhancedAIService {
       
   // Store progress helper locally so concurrent parses stay isolated
   const progressHelper = options.progressHelper || null
+  const usageMeter = { merchantId: options.merchantId, workflowId, operation: 'parse' }
+
+      // EDI purchase orders carry their structure in the segments - no LLM call
+      if (Buffer.isBuffer(fileContent) && !options.isProcessedContent && isEdiDocument(fileContent, resolveMimeType(options.mimeType, options.fileName))) {
+        return await this._parseEdi(fileContent, workflowId, options)
+      }
+
+      // Past the monthly AI budget only the deterministic parsers may run
+      const budget = await aiUsageService.checkBudget(options.merchantId).catch(error => {
+        console.warn(`⚠️ Could not check AI budget for workflow ${workflowId}:`, error.message)
+        return null
+      })
+      const overBudget = budget?.state === 'exceeded' && budget.enforced
+
+      // Spreadsheets with a recognisable table are mapped deterministically - no LLM call
+      if (this._isSpreadsheet(options.mimeType) && Buffer.isBuffer(fileContent) && !options.isProcessedContent && (!options.disableColumnMapping || overBudget)) {
+        const tabularResult = await this._parseSpreadsheet(fileContent, workflowId, options)
+        if (tabularResult) {
+          return tabularResult
+        }
+        if (overBudget) {
+          throw new AIBudgetExceededError(budget)
+        }
+
+        // No mapping fits: the AI reads Excel workbooks through the CSV/text path
+        if (options.mimeType !== 'text/csv') {
+          const { fileParsingService } = await import('./fileParsingService.js')
+          const workbook = await fileParsingService.parseExcel(fileContent)
+          fileContent = Buffer.from(workbook.text, 'utf-8')
+          options = { ...options, mimeType: 'text/csv' }
+        }
+      }
+
+      // Word, HTML, text and email POs are read as text; emails are split into PO candidates
+      if (this._isTextDocument(options.mimeType, options.fileName) && Buffer.isBuffer(fileContent) && !options.isProcessedContent) {
+        const { fileParsingService } = await import('./fileParsingService.js')
+        const document = await fileParsingService.parseFile(fileContent, options.mimeType, options.fileName)
+
+        if (document.candidates) {
+          return await this._parseEmailCandidates(document, workflowId, options)
+        }
+        if (!document.text) {
+          throw new Error(`No text could be extracted from ${options.fileName || 'document'}`)
+        }
+
+        fileContent = Buffer.from(document.text, 'utf-8')
+        options = { ...options, mimeType: 'text/plain', extractionMethod: options.extractionMethod || document.extractionMethod }
+      }
+
+      if (overBudget) {
+        throw new AIBudgetExceededError(budget)
+      }
       
       let fileType
       
@@ -1236,6 +1576,8 @@ export class EnhancedAIService {
           fileType = { type: options.mimeType.split('/')[1], mimeType: options.mimeType }
         } else if (options.mimeType === 'text/csv') {
           fileType = { type: 'csv', mimeType: 'text/csv' }
+        } else if (options.mimeType === 'text/plain') {
+          fileType = { type: 'text', mimeType: 'text/plain' }
         } else {
           // Fallback to detection for unknown MIME types
           fileType = this.detectFileType(fileContent)
@@ -1251,8 +1593,9 @@ export class EnhancedAIService {
   const mimeType = options.mimeType || fileType?.mimeType || ''
       
   let response
-  let preprocessingMetadata = null
+  let preprocessingMetadata = options.extractionMethod ? { extractionMethod: options.extractionMethod } : null
   let preprocessingIssues = []
+  let supplierProfile = null
       
       if (fileType.type === 'pdf') {
         // For PDFs, we need to extract text first, then process with text-based AI
@@ -1260,9 +1603,21 @@ export class EnhancedAIService {
         
         // Import file parsing service to extract text
         const { fileParsingService } = await import('./fileParsingService.js')
-        const parseResult = await fileParsingService.parseFile(fileContent, 'application/pdf')
+        let parseResult
+        try {
+          parseResult = await fileParsingService.parseFile(fileContent, 'application/pdf')
+        } catch (pdfError) {
+          if (options.disablePageRasterization) throw pdfError
+          console.warn(`⚠️ PDF text extraction failed (${pdfError.message}) - rasterizing every page`)
+          return await this._parseScannedPdf(fileContent, null, workflowId, options)
+        }
         
         console.log('📊 Parse result:', { hasText: !!parseResult.text, textLength: parseResult.text?.length, pages: parseResult.pages })
+
+        // Scanned or image-only pages have no usable text layer - render them for the vision path
+        if (!options.disablePageRasterization && findLowTextPages(parseResult.pageTexts).length > 0) {
+          return await this._parseScannedPdf(fileContent, parseResult, workflowId, options)
+        }
         
         if (!parseResult.text || parseResult.text.length === 0) {
           throw new Error('PDF text extraction returned empty content')
@@ -1272,6 +1627,7 @@ export class EnhancedAIService {
         
         let processedText = parseResult.text
         let anchorResult = null
+        supplierProfile = await this._resolveSupplierProfile(processedText, options)
 
         if (processedText && processedText.length > 0 && !options.disableTextPreprocessing) {
           try {
@@ -1280,7 +1636,7 @@ export class EnhancedAIService {
               normalizeWhitespace: true,
               compressPatterns: true,
               compressTables: true,
-              vendorKey: options.vendorKey || options.merchantId,
+              vendorKey: supplierProfile?.vendorKey || options.vendorKey || options.merchantId,
               extraArtifacts: options.extraArtifacts || []
             }
             if (parseResult.pages && parseResult.pages > 4) {
@@ -1364,7 +1720,13 @@ export class EnhancedAIService {
         console.log('📊 API Key configured:', !!process.env.OPENAI_API_KEY)
         console.log('📊 Content length:', processedText.length)
 
-        response = await this._processWithOpenAI(processedText, { preprocessingMetadata, progressHelper, segments: segmentData })
+        response = await this._processWithOpenAI(processedText, {
+          preprocessingMetadata,
+          progressHelper,
+          segments: segmentData,
+          supplierHints: supplierProfile?.hints,
+          usageMeter
+        })
         
       } else if (['jpeg', 'png', 'gif', 'webp'].includes(fileType.type)) {
         console.log('📊 Processing image with OCR text pipeline...')
@@ -1372,12 +1734,13 @@ export class EnhancedAIService {
         let anchorResult = null
 
         try {
-          const extraction = await this._extractTextFromImage(fileContent, fileType, { progressHelper })
+          const extraction = await this._extractTextFromImage(fileContent, fileType, { progressHelper, usageMeter })
           if (!extraction.text) {
             throw new Error('Vision text extraction returned empty content')
           }
 
           processedText = extraction.text
+          supplierProfile = await this._resolveSupplierProfile(processedText, options)
           preprocessingMetadata = {
             ...(preprocessingMetadata || {}),
             visionExtraction: {
@@ -1393,7 +1756,7 @@ export class EnhancedAIService {
                 normalizeWhitespace: true,
                 compressPatterns: true,
                 compressTables: true,
-                vendorKey: options.vendorKey || options.merchantId,
+                vendorKey: supplierProfile?.vendorKey || options.vendorKey || options.merchantId,
                 extraArtifacts: options.extraArtifacts || []
               })
               processedText = preprocessResult.text
@@ -1453,7 +1816,9 @@ export class EnhancedAIService {
           response = await this._processWithOpenAI(processedText, {
             preprocessingMetadata,
             progressHelper,
-            segments: segmentData
+            segments: segmentData,
+            supplierHints: supplierProfile?.hints,
+            usageMeter
           })
         } catch (ocrError) {
           console.error('⚠️ Vision OCR pipeline failed, using structured fallback:', ocrError.message)
@@ -1462,12 +1827,12 @@ export class EnhancedAIService {
             ...(preprocessingMetadata || {}),
             visionFallback: true
           }
-          response = await this._processImageWithVisionFallback(fileContent, fileType)
+          response = await this._processImageWithVisionFallback(fileContent, fileType, { usageMeter })
         }
         
-      } else if (fileType.type === 'csv' || mimeType === 'text/csv') {
-        // Handle CSV files with direct text content processing
-        console.log('📊 Processing CSV file with text analysis')
+      } else if (fileType.type === 'csv' || fileType.type === 'text' || mimeType === 'text/csv') {
+        // Handle CSV files (and documents already converted to text) with direct text content processing
+        console.log(`📊 Processing ${fileType.type === 'text' ? 'text document' : 'CSV file'} with text analysis`)
         
         // Convert buffer to text content
         const csvContent = fileContent.toString('utf-8')
@@ -1479,6 +1844,7 @@ export class EnhancedAIService {
         
         let processedCsvContent = csvContent
         let anchorResult = null
+        supplierProfile = await this._resolveSupplierProfile(csvContent, options)
         if (!options.disableTextPreprocessing) {
           try {
             const preprocessResult = await this._runTextPreprocessor(processedCsvContent, {
@@ -1486,7 +1852,7 @@ export class EnhancedAIService {
               normalizeWhitespace: true,
               compressPatterns: true,
               compressTables: true,
-              vendorKey: options.vendorKey || options.merchantId,
+              vendorKey: supplierProfile?.vendorKey || options.vendorKey || options.merchantId,
               extraArtifacts: options.extraArtifacts || []
             })
             processedCsvContent = preprocessResult.text
@@ -1547,11 +1913,13 @@ export class EnhancedAIService {
         response = await this._processWithOpenAI(processedCsvContent, {
           preprocessingMetadata,
           progressHelper,
-          segments: segmentData
+          segments: segmentData,
+          supplierHints: supplierProfile?.hints,
+          usageMeter
         })
         
       } else {
-        throw new Error(`Unsupported file type: ${fileType.type}. Supported formats: PDF, JPEG, PNG, GIF, WebP, CSV`)
+        throw new Error(`Unsupported file type: ${fileType.type}. Supported formats: PDF, JPEG, PNG, GIF, WebP, CSV, Excel, Word, HTML, text, email`)
       }
 
       let parsedResult
@@ -1571,6 +1939,23 @@ export class EnhancedAIService {
         }
       }
 
+      // Supplier-specific rules learned from merchant corrections
+      if (supplierProfile) {
+        try {
+          const appliedRules = await this._applySupplierProfile(parsedResult, supplierProfile)
+          preprocessingMetadata = {
+            ...(preprocessingMetadata || {}),
+            supplierProfile: {
+              supplierId: supplierProfile.supplierId,
+              supplierName: supplierProfile.supplierName,
+              appliedRules
+            }
+          }
+        } catch (profileError) {
+          console.warn('⚠️ Failed to apply supplier parsing profile:', profileError.message)
+        }
+      }
+
       // Validate and enhance the result
       if (preprocessingIssues.length > 0) {
         parsedResult.issues = Array.isArray(parsedResult.issues)
@@ -1581,19 +1966,23 @@ export class EnhancedAIService {
       const enhancedResult = await this.enhanceAIResult(parsedResult, workflowId, { preprocessingMetadata })
       
       // Handle confidence and determine next steps
-      const handlingResult = await errorHandlingService.handleAIParsingResult(
-        workflowId, 
-        enhancedResult,
-        options.confidenceThreshold || CONFIDENCE_THRESHOLDS.MANUAL_REVIEW
-      )
-      
-      return {
-        ...enhancedResult,
-        handlingResult
-      }
+      return await this._finalizeParseResult(enhancedResult, workflowId, options)
 
     } catch (error) {
       console.error(`❌ AI parsing failed for workflow ${workflowId}:`, error)
+
+      // Email candidates report failures to _parseEmailCandidates, not to the workflow
+      if (options.deferResultHandling) {
+        throw error
+      }
+
+      if (error.code === 'AI_BUDGET_EXCEEDED') {
+        return {
+          success: false,
+          error: error.message,
+          handlingResult: await errorHandlingService.handleAIBudgetExceeded(workflowId, error.budget)
+        }
+      }
       
       // Handle AI parsing error through error handling service
       const handlingResult = await errorHandlingService.handleCriticalError(
@@ -1619,13 +2008,13 @@ export class EnhancedAIService {
       metadata: {
         workflowId,
         processedAt: new Date().toISOString(),
-        aiModel: 'gpt-4o-mini', // Optimized model for all document processing
+        aiModel: context.model || 'gpt-4o-mini', // Optimized model for all document processing
         preprocessing: context.preprocessingMetadata || null
       }
     }
 
     // CRITICAL: Add top-level model field for database persistence
-    enhanced.model = 'gpt-4o-mini' // Optimized model used for all processing (text and images)
+    enhanced.model = context.model || 'gpt-4o-mini' // Optimized model used for all processing (text and images)
 
     // Validate confidence score - convert to nested structure if needed
     let confidenceValue = 0.5 // Default
@@ -1825,6 +2214,7 @@ export class EnhancedAIService {
    */
   async reprocessDocument(fileContent, workflowId, previousResult, options = {}) {
     console.log(`🔄 Re-processing document for workflow ${workflowId}`)
+    await aiUsageService.assertWithinBudget(options.merchantId)
     
     // Modify prompt based on previous issues
     let enhancedPrompt = this.defaultPrompt
@@ -1843,7 +2233,7 @@ export class EnhancedAIService {
     }, 60000)
     
     try {
-      const response = await openai.chat.completions.create({
+      const response = await this._createCompletion({
         model: "gpt-4o-mini", // Optimized: faster and cheaper for text extraction
         messages: [
           {
@@ -1866,7 +2256,8 @@ export class EnhancedAIService {
         max_tokens: 8000, // Optimized: sufficient for 50+ line items, faster response
         temperature: 0 // Changed from 0.3 - we want accuracy, not "different perspective"
       }, {
-        signal: controller.signal // Enable request cancellation
+        signal: controller.signal, // Enable request cancellation
+        usageMeter: { merchantId: options.merchantId, workflowId, operation: 'parse' }
       })
       
       clearTimeout(timeoutId)
@@ -2081,6 +2472,26 @@ export class EnhancedAIService {
     return intersection.size / union.size
   }
 
+  /**
+   * Chat completion metered against the merchant's AI budget
+   * @param {Object} params - chat.completions.create params
+   * @param {Object} options - { signal, usageMeter: { merchantId, workflowId, operation } }
+   * @returns {Promise<Object>} - OpenAI API response
+   */
+  async _createCompletion(params, { usageMeter, ...requestOptions } = {}) {
+    const response = await openai.chat.completions.create(params, requestOptions)
+    if (usageMeter?.merchantId) {
+      // record() never throws; don't hold the parse up on it
+      aiUsageService.record(usageMeter.merchantId, {
+        operation: usageMeter.operation || 'parse',
+        model: response?.model || params.model,
+        usage: response?.usage,
+        workflowId: usageMeter.workflowId
+      })
+    }
+    return response
+  }
+
   /**
    * Process text with OpenAI API with enhanced timeout, retry logic, and chunking
    * @param {string} text - The text content to process
@@ -2127,6 +2538,7 @@ export class EnhancedAIService {
         role: 'system',
         content: this.optimizedPrompt
       },
+      ...this._buildSupplierHintMessages(context.supplierHints),
       ...fewShotMessages,
       ...segmentMessages,
       {
@@ -2163,14 +2575,14 @@ export class EnhancedAIService {
           }
         }
 
-        const response = await openai.chat.completions.create({
+        const response = await this._createCompletion({
           model: "gpt-4o-mini",
           messages,
           functions: [this.getStructuredOutputSchema()],
           function_call: { name: 'extract_purchase_order' },
           max_tokens: 16000,
           temperature: 0
-        })
+        }, { usageMeter: context.usageMeter })
         
         const duration = Date.now() - startTime
         console.log(`✅ OpenAI API call completed successfully in ${duration}ms on attempt ${attempt}`)
@@ -2289,6 +2701,7 @@ export class EnhancedAIService {
       
       const chunkMessages = [
         { role: 'system', content: this.optimizedPrompt },
+        ...this._buildSupplierHintMessages(context.supplierHints),
         ...this._buildFewShotMessages(),
         {
           role: 'user',
@@ -2305,14 +2718,14 @@ Document chunk:\n${chunkPlan[0].text}`
         }
       ]
 
-      firstResponse = await openai.chat.completions.create({
+      firstResponse = await this._createCompletion({
         model: "gpt-4o-mini",
         messages: chunkMessages,
         functions: [this.getStructuredOutputSchema()],
         function_call: { name: 'extract_purchase_order' },
         max_tokens: 16000,
         temperature: 0
-      })
+      }, { usageMeter: context.usageMeter })
     } catch (error) {
       console.error('❌ Failed to process first chunk:', error.message)
       // Fallback to truncated version of entire document
@@ -2422,17 +2835,18 @@ Only call extract_po_line_items once per complete product.
 Document chunk:\n${chunkPlan[i].text}`
       
       try {
-        const chunkResponse = await openai.chat.completions.create({
+        const chunkResponse = await this._createCompletion({
           model: "gpt-4o-mini",
           messages: [
             { role: 'system', content: this.chunkLineItemPrompt },
+            ...this._buildSupplierHintMessages(context.supplierHints),
             { role: 'user', content: chunkInstructions }
           ],
           functions: [this.getLineItemSchema()],
           function_call: { name: 'extract_po_line_items' },
           max_tokens: 16000,
           temperature: 0
-        })
+        }, { usageMeter: context.usageMeter })
         
         const chunkResult = this._parseStructuredResponse(chunkResponse)
         const chunkItems = this._extractLineItemsFromChunk(chunkResult)
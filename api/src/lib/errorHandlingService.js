@@ -46,6 +46,7 @@ export const MERCHANT_MESSAGES = {
   NETWORK_ERROR: '❌ Network error - Will retry automatically',
   VALIDATION_ERROR: '❌ Data validation failed - Please review document',
   SYSTEM_ERROR: '❌ System error - Support has been notified',
+  AI_BUDGET_EXCEEDED: '❌ Monthly AI budget reached - Only spreadsheet mapping is available',
   
   // Processing states
   PROCESSING: '⏳ Processing document...',
@@ -362,6 +363,36 @@ export class ErrorHandlingService {
     }
   }
 
+  /**
+   * Handle a document refused because the merchant's monthly AI budget is spent.
+   * Not a system fault: no support alert, and it can be retried next month or
+   * once the budget is raised.
+   */
+  async handleAIBudgetExceeded(workflowId, budget) {
+    console.log(`🛑 AI budget reached for workflow ${workflowId} ($${budget.spentUsd} of $${budget.budgetUsd}) - Document needs deterministic parsing`)
+
+    await this.logError(workflowId, 'ai_budget', new Error('Monthly AI budget exceeded'), {
+      severity: ERROR_SEVERITY.LOW,
+      budget
+    })
+
+    await this.updateWorkflowStatus(workflowId, 'failed', {
+      reason: 'ai_budget_exceeded',
+      budget,
+      merchantMessage: MERCHANT_MESSAGES.AI_BUDGET_EXCEEDED,
+      requiresAction: true,
+      canRetry: true,
+      actionNeeded: 'Upload a CSV or Excel file with a saved column mapping, or raise the AI budget for this plan'
+    })
+
+    return {
+      success: false,
+      merchantMessage: MERCHANT_MESSAGES.AI_BUDGET_EXCEEDED,
+      canRetry: true,
+      budget
+    }
+  }
+
   /**
    * Log error for analysis and monitoring
    */
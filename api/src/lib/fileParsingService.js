@@ -1,6 +1,6 @@
 /**
  * File Processing Service
- * Handles parsing of PDF, Excel, CSV, and image files to extract PO data
+ * Handles parsing of PDF, Excel, CSV, image, Word, HTML, text, email and EDI files to extract PO data
  * Updated: Fixed PDF.js worker configuration for serverless
  */
 
@@ -8,6 +8,32 @@ import * as XLSX from 'xlsx'
 import csv from 'csv-parser'
 import sharp from 'sharp'
 import { Readable } from 'stream'
+import {
+  DOCUMENT_MIME_TYPES,
+  buildEmailCandidates,
+  docxXmlToText,
+  emailBodyText,
+  htmlToText,
+  parseEmail,
+  parseOutlookMessage,
+  resolveMimeType
+} from './documentTextExtractors.js'
+
+export const SUPPORTED_MIME_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'text/csv',
+  'image/jpeg',
+  'image/png',
+  'image/jpg',
+  'image/webp',
+  'application/edi-x12',
+  'application/edifact',
+  ...Object.values(DOCUMENT_MIME_TYPES)
+]
+
+export { resolveMimeType }
 
 export class FileParsingService {
   /**
@@ -18,8 +44,9 @@ export class FileParsingService {
     
     try {
       console.log(`Starting file parsing for ${fileName} (${mimeType})`)
+      const resolvedType = resolveMimeType(mimeType, fileName)
       
-      switch (mimeType) {
+      switch (resolvedType) {
         case 'application/pdf':
           return await this.parsePDF(buffer, progressHelper)
         
@@ -33,7 +60,23 @@ export class FileParsingService {
         case 'image/jpeg':
         case 'image/png':
         case 'image/jpg':
+        case 'image/webp':
           return await this.parseImage(buffer)
+
+        case DOCUMENT_MIME_TYPES.docx:
+          return this.parseDocx(buffer)
+
+        case DOCUMENT_MIME_TYPES.html:
+          return this.parseHTML(buffer)
+
+        case DOCUMENT_MIME_TYPES.text:
+        case 'application/edi-x12':
+        case 'application/edifact':
+          return this.parsePlainText(buffer)
+
+        case DOCUMENT_MIME_TYPES.eml:
+        case DOCUMENT_MIME_TYPES.msg:
+          return this.parseEmail(buffer, resolvedType)
         
         default:
           throw new Error(`Unsupported file type: ${mimeType}`)
@@ -257,6 +300,24 @@ export class FileParsingService {
     }
   }
 
+  /**
+   * Read CSV/Excel files as raw rows per sheet (no header assumptions)
+   * Used by the deterministic column mapper; header rows may sit below titles
+   * @returns {Array<{ name: string, rows: Array<Array<string|number>> }>}
+   */
+  readSpreadsheetRows(buffer, mimeType) {
+    const isCsv = mimeType === 'text/csv'
+    // CSV stays text so SKUs like 00123 or 1-2 are not turned into numbers/dates
+    const workbook = isCsv
+      ? XLSX.read(buffer.toString('utf-8'), { type: 'string', raw: true })
+      : XLSX.read(buffer, { type: 'buffer' })
+
+    return workbook.SheetNames.map(sheetName => ({
+      name: sheetName,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', blankrows: false })
+    }))
+  }
+
   /**
    * Parse CSV files
    */
@@ -287,6 +348,117 @@ export class FileParsingService {
     })
   }
 
+  /**
+   * Parse Word (.docx) documents, keeping tables as tab-separated rows
+   */
+  parseDocx(buffer) {
+    try {
+      const streams = this._readContainer(buffer)
+      const documentXml = streams.get('word/document.xml')
+      if (!documentXml) {
+        throw new Error('word/document.xml not found - not a Word document')
+      }
+
+      const { text, tables } = docxXmlToText(documentXml.toString('utf-8'))
+      console.log(`Word document parsed successfully: ${text.length} characters, ${tables} tables`)
+      return {
+        text,
+        rawContent: text,
+        metadata: { tables },
+        confidence: 0.9,
+        extractionMethod: 'docx-text'
+      }
+    } catch (error) {
+      console.error('Word parsing error:', error)
+      throw new Error(`Word parsing failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Parse HTML documents (web POs, saved email bodies)
+   */
+  parseHTML(buffer) {
+    const text = htmlToText(buffer.toString('utf-8'))
+    console.log(`HTML parsed successfully: ${text.length} characters`)
+    return {
+      text,
+      rawContent: text,
+      confidence: 0.85,
+      extractionMethod: 'html-text'
+    }
+  }
+
+  /**
+   * Parse plain text documents
+   */
+  parsePlainText(buffer) {
+    const text = buffer.toString('utf-8').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').trim()
+    console.log(`Text parsed successfully: ${text.length} characters`)
+    return {
+      text,
+      rawContent: text,
+      confidence: 0.85,
+      extractionMethod: 'plain-text'
+    }
+  }
+
+  /**
+   * Parse RFC822 (.eml) or Outlook (.msg) emails
+   * The body and every supported attachment become separate PO candidates
+   */
+  parseEmail(buffer, mimeType = DOCUMENT_MIME_TYPES.eml) {
+    try {
+      const email = mimeType === DOCUMENT_MIME_TYPES.msg
+        ? parseOutlookMessage(this._readContainer(buffer))
+        : parseEmail(buffer)
+
+      const candidates = buildEmailCandidates(email, {
+        // Nested emails are unpacked when their candidate is parsed
+        isSupported: (candidateType) => SUPPORTED_MIME_TYPES.includes(candidateType)
+      })
+      const text = emailBodyText(email)
+
+      console.log(`Email parsed successfully: "${email.subject}", ${email.attachments.length} attachments, ${candidates.length} PO candidates`)
+      return {
+        text,
+        rawContent: text,
+        email: {
+          subject: email.subject,
+          from: email.from,
+          to: email.to,
+          date: email.date,
+          messageId: email.messageId
+        },
+        attachments: email.attachments.map(({ fileName, mimeType: attachmentType, size }) => ({
+          fileName,
+          mimeType: attachmentType,
+          size
+        })),
+        candidates,
+        confidence: 0.85,
+        extractionMethod: mimeType === DOCUMENT_MIME_TYPES.msg ? 'outlook-msg' : 'email-mime'
+      }
+    } catch (error) {
+      console.error('Email parsing error:', error)
+      throw new Error(`Email parsing failed: ${error.message}`)
+    }
+  }
+
+  /**
+   * Read a zip (DOCX) or compound file (MSG) container into path → content
+   * Paths are relative to the container root
+   */
+  _readContainer(buffer) {
+    const container = XLSX.CFB.read(buffer, { type: 'buffer' })
+    const streams = new Map()
+    container.FullPaths.forEach((fullPath, index) => {
+      const entry = container.FileIndex[index]
+      if (!entry || !entry.content || fullPath.endsWith('/')) return
+      streams.set(fullPath.replace(/^[^/]*\//, ''), Buffer.from(entry.content))
+    })
+    return streams
+  }
+
   /**
    * Parse image files (basic OCR preparation)
    */
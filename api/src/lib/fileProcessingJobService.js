@@ -207,10 +207,13 @@ export class FileProcessingJobService {
       // Step 2: AI processing (60% progress)  
       await this.updateJobProgress(job, uploadId, 60, 'processing', 'Extracting data with AI...')
       
-      const extractedData = await aiProcessingService.extractPurchaseOrderData(
+      // Past the monthly AI budget EDI and spreadsheet POs are still read deterministically
+      const extractedData = await aiProcessingService.extractWithinBudget(
         parsedContent, 
         fileName, 
-        aiSettings
+        merchantId,
+        aiSettings,
+        { buffer, mimeType, supplierId }
       )
 
       // Step 3: Save to database (80% progress)
@@ -65,16 +65,13 @@ export async function authenticateMerchantJobRequest(req, res, next) {
       console.warn('Redis rate limiting unavailable:', redisError.message)
     }
 
-    // Add merchant context with job permissions
+    // Add merchant context with the acting staff member's permissions
     req.merchantContext = {
       merchantId: req.shop.id,
       shopDomain: req.shop.shopDomain,
-      permissions: {
-        canViewJobs: true,
-        canRetryJobs: true,
-        canCancelJobs: true,
-        canViewMetrics: true
-      },
+      staffUserId: req.staffUser?.id || null,
+      role: req.staffUser?.role || null,
+      permissions: req.staffUser?.permissions || {},
       rateLimit: {
         remaining: Math.max(0, 100 - (requestCount || 0))
       }
@@ -105,6 +102,31 @@ export function requireJobPermission(permission) {
   }
 }
 
+/**
+ * Middleware to check a staff permission on any authenticated route
+ * Uses the role of the staff member resolved by the Shopify auth middleware
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.staffUser) {
+      return res.status(403).json({
+        success: false,
+        error: 'Staff identity required for this action',
+        code: 'NO_STAFF_USER'
+      })
+    }
+    if (!req.staffUser.permissions?.[permission]) {
+      return res.status(403).json({
+        success: false,
+        error: `Missing required permission: ${permission}`,
+        code: 'FORBIDDEN',
+        role: req.staffUser.role
+      })
+    }
+    next()
+  }
+}
+
 /**
  * Middleware to validate job ownership
  * Ensures merchants can only access their own jobs
@@ -0,0 +1,197 @@
+/**
+ * PDF Page Rasterizer
+ *
+ * Scanned PDFs have no text layer for pdf2json to read. Pages with little or
+ * no extractable text are rendered to JPEG with pdf.js onto a @napi-rs/canvas
+ * surface (prebuilt binaries, no system libraries) so the vision path can read
+ * them one page at a time; the per-page extractions are then merged back into
+ * one purchase order with the source page recorded on every line item.
+ */
+
+import { createRequire } from 'module'
+import path from 'path'
+
+const require = createRequire(import.meta.url)
+
+export const RASTER_DEFAULTS = {
+  minTextChars: 40, // Pages with fewer non-whitespace characters are treated as scanned
+  dpi: 150,
+  jpegQuality: 80,
+  maxPages: 20
+}
+
+/**
+ * Pages (1-based) whose text layer is missing or too thin to parse
+ */
+export function findLowTextPages(pageTexts = [], { minTextChars = RASTER_DEFAULTS.minTextChars } = {}) {
+  return pageTexts
+    .map((text, index) => ({ pageNumber: index + 1, chars: String(text || '').replace(/\s+/g, '').length }))
+    .filter((page) => page.chars < minTextChars)
+    .map((page) => page.pageNumber)
+}
+
+/**
+ * Render PDF pages to JPEG
+ * @param {Buffer} buffer - PDF file
+ * @param {Array<number>|null} pageNumbers - 1-based pages, or null for every page
+ * @returns {Promise<{ pageCount: number, images: Array<{ pageNumber, image: Buffer, width, height }> }>}
+ */
+export async function rasterizePdfPages(buffer, pageNumbers = null, options = {}) {
+  const { dpi, jpegQuality, maxPages } = { ...RASTER_DEFAULTS, ...options }
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs')
+  const { createCanvas } = await import('@napi-rs/canvas')
+
+  const document = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: standardFontDataUrl(),
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise
+  try {
+    const pageCount = document.numPages
+    const requested = pageNumbers || Array.from({ length: pageCount }, (_, index) => index + 1)
+    const selected = requested.filter((pageNumber) => pageNumber >= 1 && pageNumber <= pageCount).slice(0, maxPages)
+    const scale = dpi / 72
+
+    const images = []
+    for (const pageNumber of selected) {
+      const page = await document.getPage(pageNumber)
+      try {
+        const viewport = page.getViewport({ scale })
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height))
+        const canvasContext = canvas.getContext('2d')
+        // JPEG has no alpha, so paint the paper white before drawing the page
+        canvasContext.fillStyle = '#ffffff'
+        canvasContext.fillRect(0, 0, canvas.width, canvas.height)
+        await page.render({ canvasContext, viewport }).promise
+
+        images.push({
+          pageNumber,
+          image: await canvas.encode('jpeg', jpegQuality),
+          width: canvas.width,
+          height: canvas.height
+        })
+      } finally {
+        page.cleanup()
+      }
+    }
+
+    console.log(`🖨️ Rasterized ${images.length}/${requested.length} PDF page(s) at ${dpi} DPI`)
+    return { pageCount, images }
+  } finally {
+    await document.destroy()
+  }
+}
+
+/**
+ * Fonts pdf.js substitutes for PDFs that reference the standard 14 without embedding them
+ */
+function standardFontDataUrl() {
+  const packageDir = path.dirname(require.resolve('pdfjs-dist/package.json'))
+  return path.join(packageDir, 'standard_fonts') + path.sep
+}
+
+const isEmpty = (value) => {
+  if (value === null || value === undefined || value === '') return true
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === 'object') return Object.values(value).every(isEmpty)
+  return false
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Merge one page's field into what earlier pages found
+ * Header fields keep the first page's value; totals (preferLater) take the last page's
+ */
+function mergeField(current, incoming, { preferLater = false } = {}) {
+  if (isPlainObject(current) && isPlainObject(incoming)) {
+    const merged = { ...current }
+    for (const [key, value] of Object.entries(incoming)) {
+      merged[key] = mergeField(current[key], value, { preferLater })
+    }
+    return merged
+  }
+  if (preferLater) return isEmpty(incoming) ? current : incoming
+  return isEmpty(current) ? incoming : current
+}
+
+/**
+ * Page of a multi-page text extraction a line item came from, by SKU or description
+ */
+export function locateItemPage(item, pageTexts = {}, pages = []) {
+  const needles = [item.productCode, item.sku, item.description, item.name]
+    .filter((value) => typeof value === 'string' && value.trim().length >= 3)
+    .map((value) => value.trim().toLowerCase().slice(0, 40))
+
+  for (const needle of needles) {
+    const page = pages.find((pageNumber) => String(pageTexts[pageNumber] || '').toLowerCase().includes(needle))
+    if (page) return page
+  }
+  return pages[0] ?? null
+}
+
+const formatPages = (pages) => (pages.length === 1 ? `${pages[0]}` : `${pages[0]}-${pages[pages.length - 1]}`)
+
+/**
+ * Merge per-page extractions into one purchase order
+ * @param {Array<{ pages: number[], extractedData, confidence: number, issues?: Array, pageTexts?: Object }>} parts
+ * @returns {{ confidence: number, extractedData: Object, issues: Array, pages: Array }}
+ */
+export function mergePageExtractions(parts = []) {
+  const ordered = [...parts].sort((a, b) => a.pages[0] - b.pages[0])
+  const extractedData = {}
+  const lineItems = []
+  const issues = []
+  let weightedConfidence = 0
+  let totalWeight = 0
+
+  for (const part of ordered) {
+    const data = part.extractedData || {}
+
+    for (const [key, value] of Object.entries(data)) {
+      if (key === 'lineItems') continue
+      extractedData[key] = mergeField(extractedData[key], value, { preferLater: key === 'totals' })
+    }
+
+    const partItems = Array.isArray(data.lineItems) ? data.lineItems : []
+    for (const item of partItems) {
+      lineItems.push({
+        ...item,
+        sourcePage: part.pages.length === 1 ? part.pages[0] : locateItemPage(item, part.pageTexts, part.pages)
+      })
+    }
+
+    // Pages contribute to overall confidence by how many line items they carried
+    const weight = Math.max(1, partItems.length)
+    weightedConfidence += (typeof part.confidence === 'number' ? part.confidence : 0.5) * weight
+    totalWeight += weight
+
+    for (const issue of part.issues || []) {
+      issues.push(typeof issue === 'string'
+        ? `Page ${formatPages(part.pages)}: ${issue}`
+        : { ...issue, pages: part.pages })
+    }
+  }
+
+  extractedData.lineItems = lineItems
+
+  return {
+    confidence: totalWeight > 0 ? weightedConfidence / totalWeight : 0,
+    extractedData,
+    issues,
+    pages: ordered.map((part) => ({
+      pages: part.pages,
+      lineItems: Array.isArray(part.extractedData?.lineItems) ? part.extractedData.lineItems.length : 0,
+      confidence: part.confidence ?? null
+    }))
+  }
+}
+
+export default {
+  RASTER_DEFAULTS,
+  findLowTextPages,
+  rasterizePdfPages,
+  locateItemPage,
+  mergePageExtractions
+}
@@ -5,6 +5,7 @@
 
 import { db } from '../lib/db.js'
 import { enhancedJobService } from '../lib/enhancedJobService.js'
+import { receivingService } from '../services/receivingService.js'
 
 export class POAnalysisJobProcessor {
   constructor() {
@@ -259,6 +260,8 @@ export class POAnalysisJobProcessor {
    * Save line items to database
    */
   async saveLineItems(prisma, purchaseOrderId, lineItems) {
+    await receivingService.assertNoReceipts(prisma, purchaseOrderId)
+
     // Delete existing line items
     await prisma.pOLineItem.deleteMany({
       where: { purchaseOrderId }
@@ -0,0 +1,64 @@
+/**
+ * Public Host Resolver
+ *
+ * Supplier SFTP and API hosts are typed in by merchants, so a connection only
+ * goes ahead once the name has been resolved and none of the addresses it maps
+ * to is private, loopback or link-local. The connection then uses the address
+ * that was checked rather than looking the name up again.
+ */
+
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import { isPrivateAddress } from '../services/syncScheduleEngine.js'
+
+export class PrivateHostError extends Error {
+  constructor(hostname, address) {
+    super(`${hostname} resolves to a private or local address (${address})`)
+    this.code = 'PRIVATE_HOST'
+    this.hostname = hostname
+    this.address = address
+  }
+}
+
+/**
+ * Resolve a host and check every address it returns
+ * @param {string} hostname - Name or IP literal as configured
+ * @param {Object} options - { allowPrivate } skips the address check
+ * @returns {Promise<{ address: string, family: number }>} the address to connect to
+ */
+export async function resolvePublicHost(hostname, { allowPrivate = false } = {}) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '')
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true })
+  if (addresses.length === 0) {
+    throw new Error(`${hostname} did not resolve to any address`)
+  }
+
+  if (!allowPrivate) {
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address))
+    if (blocked) throw new PrivateHostError(hostname, blocked.address)
+  }
+  return addresses[0]
+}
+
+/**
+ * HTTP(S) agent that connects to an already-resolved address
+ * TLS still verifies the certificate against the hostname in the URL
+ */
+export function pinnedAgent(protocol, { address, family }) {
+  const lookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+    if (options?.all) return callback(null, [{ address, family }])
+    callback(null, address, family)
+  }
+  return protocol === 'https:' ? new https.Agent({ lookup }) : new http.Agent({ lookup })
+}
+
+export default {
+  PrivateHostError,
+  resolvePublicHost,
+  pinnedAgent
+}
@@ -12,6 +12,7 @@
  */
 
 import { RefinementConfigService } from '../services/refinementConfigService.js'
+import { convertAmount } from '../services/exchangeRateService.js'
 import { db, prismaOperation } from './db.js'
 import { imageProcessingService } from './imageProcessingService.js'
 import { merchantImageReviewService } from './merchantImageReviewService.js'
@@ -31,13 +32,32 @@ export class RefinementPipelineService {
     // Ensure merchantConfig has required properties
     const config = merchantConfig || {}
     const baseCurrency = config.baseCurrency || 'USD'
+    // { fromCurrency, toCurrency, rate, rateDate, source } resolved by the caller
+    const conversion = config.currencyConversion?.rate && config.currencyConversion.fromCurrency !== baseCurrency
+      ? config.currencyConversion
+      : null
     
     console.log('🔧 [PIPELINE] Using base currency:', baseCurrency)
+    if (conversion) {
+      console.log(`💱 [PIPELINE] Converting ${conversion.fromCurrency} → ${baseCurrency} at ${conversion.rate} (${conversion.source})`)
+    }
     
     const normalizedItems = lineItems.map(item => {
-      // Normalize currency amounts
-      const normalizedUnitCost = this.normalizeCurrency(item.unitCost || 0, baseCurrency)
-      const normalizedTotalCost = this.normalizeCurrency(item.totalCost || 0, baseCurrency)
+      // Normalize currency amounts - always convert from the supplier amount so re-runs don't compound
+      const sourceUnitCost = item.originalUnitCost ?? item.unitCost ?? 0
+      const sourceTotalCost = item.originalTotalCost ?? item.totalCost ?? 0
+      const normalizedUnitCost = this.normalizeCurrency(sourceUnitCost, baseCurrency, conversion)
+      const normalizedTotalCost = this.normalizeCurrency(sourceTotalCost, baseCurrency, conversion)
+      const currencyAudit = conversion
+        ? {
+            originalUnitCost: this.normalizeCurrency(sourceUnitCost, conversion.fromCurrency),
+            originalTotalCost: this.normalizeCurrency(sourceTotalCost, conversion.fromCurrency),
+            originalCurrency: conversion.fromCurrency,
+            exchangeRate: conversion.rate,
+            exchangeRateDate: conversion.rateDate,
+            exchangeRateSource: conversion.source
+          }
+        : {}
       
       // Normalize quantities and units
       const normalizedQuantity = this.normalizeQuantity(item.quantity || 1)
@@ -51,6 +71,7 @@ export class RefinementPipelineService {
       
       return {
         ...item,
+        ...currencyAudit,
         unitCost: normalizedUnitCost,
         totalCost: normalizedTotalCost,
         quantity: normalizedQuantity,
@@ -79,7 +100,16 @@ export class RefinementPipelineService {
       // Apply pricing refinement
       const refinedPricing = await this.refinementConfig.calculateRefinedPricing(
         item.unitCost,
-        merchantConfig
+        merchantConfig,
+        {
+          sku: item.sku,
+          title: item.productName,
+          quantity: item.quantity,
+          category: item.category,
+          productType: item.productType,
+          supplierId: item.supplierId,
+          supplierName: item.supplierName
+        }
       )
       
       // Apply category mapping
@@ -415,12 +445,23 @@ export class RefinementPipelineService {
 
   // ====== UTILITY METHODS ======
 
-  normalizeCurrency(amount, baseCurrency = 'USD') {
+  /**
+   * Parse an amount and, when a conversion is given, convert it into baseCurrency
+   * @param {number|string} amount
+   * @param {string} baseCurrency - Currency the result is expressed in
+   * @param {Object|null} conversion - { fromCurrency, rate } from ExchangeRateService.getRate
+   */
+  normalizeCurrency(amount, baseCurrency = 'USD', conversion = null) {
     if (typeof amount === 'string') {
       // Remove currency symbols and parse
       amount = parseFloat(amount.replace(/[$,£€¥]/g, ''))
     }
-    return isNaN(amount) ? 0 : parseFloat(amount.toFixed(2))
+    if (isNaN(amount)) return 0
+
+    if (conversion?.rate && conversion.fromCurrency !== baseCurrency) {
+      return convertAmount(amount, conversion.rate)
+    }
+    return parseFloat(amount.toFixed(2))
   }
 
   normalizeQuantity(quantity) {
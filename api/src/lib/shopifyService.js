@@ -618,7 +618,13 @@ export class ShopifyService {
     }
 
     const locationId = options.locationId || await this.getPrimaryLocationId()
+    const updateInventory = options.updateInventory !== false
     const variantInputs = this.buildVariantInputsFromDraft(draft, locationId)
+      // Without an inventory write, new variants start with no stock
+      .map(input => updateInventory ? input : {
+        ...input,
+        inventoryQuantities: input.inventoryQuantities.map(level => ({ ...level, availableQuantity: 0 }))
+      })
 
     if (variantInputs.length === 0) {
       throw new Error('No variants with SKU available for Shopify sync')
@@ -671,7 +677,7 @@ export class ShopifyService {
 
     await this.syncVariantsForProduct(productDetails, variantInputs, {
       locationId,
-      updateInventory: options.updateInventory !== false
+      updateInventory
     })
 
     const finalProduct = await this.getProductById(productId)
@@ -892,6 +898,30 @@ export class ShopifyService {
     return this.primaryLocationId
   }
 
+  /**
+   * List active store locations (for choosing where stock is received)
+   */
+  async getLocations() {
+    const query = `
+      query listLocations {
+        locations(first: 50) {
+          edges {
+            node {
+              id
+              name
+              isActive
+            }
+          }
+        }
+      }
+    `
+
+    const data = await this.graphqlRequest(query)
+    return data.locations.edges
+      .map(edge => edge.node)
+      .filter(location => location.isActive)
+  }
+
   /**
    * Sync purchase order line items to Shopify products
    */
@@ -922,7 +952,8 @@ export class ShopifyService {
     }
 
     const preferExisting = options.preferExisting !== false
-    const updateInventory = options.updateInventory !== false
+    // Stock follows receipts; setting it here would count every unit twice
+    const updateInventory = options.updateInventory === true
     const publishProducts = options.publishProducts ?? false
     const productStatus = options.productStatus
     const locationId = options.locationId || await this.getPrimaryLocationId()
@@ -1022,6 +1053,7 @@ export class ShopifyService {
         purchaseOrder,
         supplier: selectedDraft?.supplier || supplier,
         status: selectedDraft?.status,
+        shopifyProductId: selectedDraft?.shopifyProductId || lineItem.shopifyProductId,
         handle: selectedDraft?.handle,
         weight: selectedDraft?.weight,
         weightUnit: selectedDraft?.weightUnit
@@ -7,6 +7,10 @@
 
 import ShopifyService from './shopifyService.js'
 import { PrismaClient } from '@prisma/client'
+import { secretStoreService } from '../services/secretStoreService.js'
+
+// PO statuses from which a Shopify sync may be started without forceSync
+const SYNCABLE_STATUSES = ['approved', 'processing', 'sync_failed']
 
 export class ShopifySyncService {
   constructor() {
@@ -35,7 +39,8 @@ export class ShopifySyncService {
       throw new Error(`Shopify credentials not configured for merchant: ${merchantId}`)
     }
 
-    const shopifyClient = new ShopifyService(merchant.shopDomain, merchant.accessToken)
+    const accessToken = await secretStoreService.open(merchantId, merchant.accessToken)
+    const shopifyClient = new ShopifyService(merchant.shopDomain, accessToken)
     this.shopifyClients.set(merchantId, shopifyClient)
 
     return shopifyClient
@@ -71,8 +76,8 @@ export class ShopifySyncService {
         throw new Error(`Purchase order not found: ${purchaseOrderId}`)
       }
 
-      if (purchaseOrder.status !== 'processing' && !options.forceSync) {
-        throw new Error(`Purchase order status is ${purchaseOrder.status}, expected 'processing'`)
+      if (!SYNCABLE_STATUSES.includes(purchaseOrder.status) && !options.forceSync) {
+        throw new Error(`Purchase order status is ${purchaseOrder.status}, expected one of: ${SYNCABLE_STATUSES.join(', ')}`)
       }
 
       console.log(`📋 PO: ${purchaseOrder.number} (${purchaseOrder.lineItems.length} items)`)
@@ -98,19 +103,26 @@ export class ShopifySyncService {
         }
       })
 
-      // Step 5: Sync to Shopify
+      // Line items a deduplication rule skipped already exist in the store
+      const lineItems = purchaseOrder.lineItems.filter(item => item.status !== 'duplicate')
+      if (lineItems.length < purchaseOrder.lineItems.length) {
+        console.log(`🔁 Skipping ${purchaseOrder.lineItems.length - lineItems.length} duplicate line item(s)`)
+      }
+
+      // Step 5: Sync products and variants to Shopify. Stock is never written
+      // here - it only changes when goods are received (receivingService)
       const syncResult = await shopifyClient.syncPurchaseOrderToShopify(
         purchaseOrder,
-        purchaseOrder.lineItems,
+        lineItems,
         purchaseOrder.supplier,
-        options
+        { ...options, updateInventory: false }
       )
 
       // Step 6: Update line items with Shopify data
       await this.updateLineItemsWithShopifyData(syncResult)
 
       // Step 7: Update PO status based on sync results
-      const finalStatus = syncResult.success ? 'synced' : 'sync_error'
+      const finalStatus = syncResult.success ? 'synced' : 'sync_failed'
       const processingTime = Date.now() - startTime
 
       await this.prisma.purchaseOrder.update({
@@ -147,7 +159,7 @@ export class ShopifySyncService {
         await this.prisma.purchaseOrder.update({
           where: { id: purchaseOrderId },
           data: {
-            status: 'sync_error',
+            status: 'sync_failed',
             syncCompletedAt: new Date(),
             processingNotes: `Sync failed: ${error.message}`,
             totalProcessingTime: Date.now() - startTime
@@ -157,6 +169,13 @@ export class ShopifySyncService {
         console.error('Failed to update PO error status:', updateError.message)
       }
 
+      // Every attempt gets an audit row, including ones that never reached Shopify
+      try {
+        await this.createFailedSyncAuditRecord(purchaseOrderId, error, Date.now() - startTime)
+      } catch (auditError) {
+        console.error('Failed to create sync audit record:', auditError.message)
+      }
+
       return {
         success: false,
         error: error.message,
@@ -278,6 +297,27 @@ export class ShopifySyncService {
     })
   }
 
+  /**
+   * Create audit record for a sync attempt that failed before producing results
+   */
+  async createFailedSyncAuditRecord(purchaseOrderId, error, processingTime) {
+    await this.prisma.shopifySyncAudit.create({
+      data: {
+        purchaseOrderId,
+        syncStartTime: new Date(Date.now() - processingTime),
+        syncEndTime: new Date(),
+        processingTime,
+        success: false,
+        itemsProcessed: 0,
+        itemsCreated: 0,
+        itemsUpdated: 0,
+        itemsErrored: 0,
+        syncResults: { success: false, error: error.message },
+        errorMessage: error.message
+      }
+    })
+  }
+
   /**
    * Generate processing notes from sync results
    */
@@ -318,6 +358,11 @@ export class ShopifySyncService {
         }
       })
 
+      await this.prisma.purchaseOrder.update({
+        where: { id: purchaseOrderId },
+        data: { syncJobId: syncJob.id }
+      })
+
       console.log(`📋 Queued Shopify sync job: ${syncJob.id} for PO: ${purchaseOrderId}`)
 
       return {
@@ -362,69 +407,104 @@ export class ShopifySyncService {
       const results = []
 
       for (const job of jobs) {
-        try {
-          // Update job status to processing
-          await this.prisma.syncJob.update({
-            where: { id: job.id },
-            data: {
-              status: 'processing',
-              startedAt: new Date()
-            }
-          })
+        results.push(await this.runSyncJob(job))
+      }
 
-          // Process the sync
-          const syncResult = await this.syncPurchaseOrderToShopify(job.purchaseOrderId)
+      return {
+        success: true,
+        processedJobs: results.length,
+        results
+      }
 
-          // Update job with results
-          await this.prisma.syncJob.update({
-            where: { id: job.id },
-            data: {
-              status: syncResult.success ? 'completed' : 'failed',
-              completedAt: new Date(),
-              results: syncResult,
-              errorMessage: syncResult.success ? null : syncResult.error
-            }
-          })
+    } catch (error) {
+      console.error('Failed to process sync jobs:', error.message)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
 
-          results.push({
-            jobId: job.id,
-            purchaseOrderId: job.purchaseOrderId,
-            success: syncResult.success,
-            error: syncResult.error
-          })
+  /**
+   * Process a single queued sync job by ID
+   */
+  async processSyncJob(syncJobId) {
+    const job = await this.prisma.syncJob.findUnique({
+      where: { id: syncJobId }
+    })
 
-        } catch (error) {
-          console.error(`❌ Sync job ${job.id} failed:`, error.message)
+    if (!job) {
+      throw new Error(`Sync job not found: ${syncJobId}`)
+    }
 
-          // Update job with failure and increment retry count
-          await this.prisma.syncJob.update({
-            where: { id: job.id },
-            data: {
-              status: job.retryCount >= 2 ? 'failed' : 'queued',
-              retryCount: { increment: 1 },
-              errorMessage: error.message,
-              lastFailedAt: new Date()
-            }
-          })
+    if (job.status !== 'queued') {
+      console.log(`⏭️ Sync job ${syncJobId} is ${job.status}, skipping`)
+      return {
+        jobId: job.id,
+        purchaseOrderId: job.purchaseOrderId,
+        success: job.status === 'completed',
+        skipped: true
+      }
+    }
 
-          results.push({
-            jobId: job.id,
-            purchaseOrderId: job.purchaseOrderId,
-            success: false,
-            error: error.message
-          })
+    return this.runSyncJob(job)
+  }
+
+  /**
+   * Run a sync job and record its outcome on the job row
+   */
+  async runSyncJob(job) {
+    try {
+      // Update job status to processing
+      await this.prisma.syncJob.update({
+        where: { id: job.id },
+        data: {
+          status: 'processing',
+          startedAt: new Date()
         }
-      }
+      })
+
+      // Process the sync
+      const syncResult = await this.syncPurchaseOrderToShopify(job.purchaseOrderId)
+      const succeeded = syncResult.success && syncResult.status === 'synced'
+      const errorMessage = syncResult.error || (succeeded ? null : 'Sync completed with errors')
+
+      // Update job with results
+      await this.prisma.syncJob.update({
+        where: { id: job.id },
+        data: {
+          status: succeeded ? 'completed' : 'failed',
+          completedAt: new Date(),
+          results: syncResult,
+          errorMessage
+        }
+      })
 
       return {
-        success: true,
-        processedJobs: results.length,
-        results
+        jobId: job.id,
+        purchaseOrderId: job.purchaseOrderId,
+        success: succeeded,
+        status: syncResult.status || 'sync_failed',
+        error: errorMessage
       }
 
     } catch (error) {
-      console.error('Failed to process sync jobs:', error.message)
+      console.error(`❌ Sync job ${job.id} failed:`, error.message)
+
+      // Update job with failure and increment retry count
+      await this.prisma.syncJob.update({
+        where: { id: job.id },
+        data: {
+          status: job.retryCount >= 2 ? 'failed' : 'queued',
+          retryCount: { increment: 1 },
+          errorMessage: error.message,
+          lastFailedAt: new Date()
+        }
+      })
+
       return {
+        jobId: job.id,
+        purchaseOrderId: job.purchaseOrderId,
         success: false,
         error: error.message
       }
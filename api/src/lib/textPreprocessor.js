@@ -524,7 +524,11 @@ export class TextPreprocessor {
     }
   }
 
-  registerVendorArtifacts(vendorKey, patterns = []) {
+  /**
+   * Add artifact patterns stripped for one vendor
+   * @param {boolean} options.replace - Swap out previously registered patterns (learned profiles)
+   */
+  registerVendorArtifacts(vendorKey, patterns = [], { replace = false } = {}) {
     if (!vendorKey || typeof vendorKey !== 'string') {
       throw new Error('vendorKey must be a non-empty string')
     }
@@ -535,7 +539,7 @@ export class TextPreprocessor {
       throw new Error('All vendor artifact patterns must be regular expressions')
     }
 
-    const existing = this.vendorArtifacts.get(vendorKey) || []
+    const existing = replace ? [] : (this.vendorArtifacts.get(vendorKey) || [])
     this.vendorArtifacts.set(vendorKey, [...existing, ...normalized])
   }
 
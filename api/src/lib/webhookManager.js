@@ -43,6 +43,11 @@ export class WebhookManager {
         address: `${appUrl}/api/webhooks/products/update`,
         format: 'json'
       },
+      {
+        topic: 'products/delete',
+        address: `${appUrl}/api/webhooks/products/delete`,
+        format: 'json'
+      },
       {
         topic: 'inventory_levels/update',
         address: `${appUrl}/api/webhooks/inventory_levels/update`,
@@ -293,6 +298,7 @@ export class WebhookManager {
         'orders/cancelled',
         'products/create',
         'products/update',
+        'products/delete',
         'inventory_levels/update',
         'app/uninstalled'
       ]
@@ -6,6 +6,21 @@
 import crypto from 'crypto'
 import { PrismaClient } from '@prisma/client'
 import Bull from 'bull'
+import { restockService } from '../services/restockService.js'
+
+/**
+ * Webhook payloads use numeric IDs; synced records store Admin GraphQL GIDs
+ */
+function toGid(type, id) {
+  if (id === null || id === undefined || id === '') return null
+  const value = String(id)
+  return value.startsWith('gid://') ? value : `gid://shopify/${type}/${value}`
+}
+
+function idForms(type, id) {
+  const gid = toGid(type, id)
+  return gid ? [gid, gid.split('/').pop()] : []
+}
 
 export class WebhookService {
   constructor() {
@@ -117,6 +132,7 @@ export class WebhookService {
     // Product webhooks
     this.webhookQueue.process('products/create', this.processProductCreated.bind(this))
     this.webhookQueue.process('products/update', this.processProductUpdated.bind(this))
+    this.webhookQueue.process('products/delete', this.processProductDeleted.bind(this))
     
     // Inventory webhooks
     this.webhookQueue.process('inventory_levels/update', this.processInventoryUpdated.bind(this))
@@ -254,6 +270,9 @@ export class WebhookService {
       // Sync product to local database if needed
       await this.syncProductToDatabase(payload, merchant.id)
       
+      // Link PO line items with matching SKUs to the new product
+      await this.updateRelatedPOItems(payload, merchant.id)
+      
       console.log(`✅ Product created processed: ${payload.id}`)
       
     } catch (error) {
@@ -294,6 +313,35 @@ export class WebhookService {
     }
   }
 
+  /**
+   * Process product deleted webhook
+   */
+  async processProductDeleted(job) {
+    const { payload, headers } = job.data
+    const shopDomain = headers['x-shopify-shop-domain']
+    
+    console.log(`🗑️ Processing product deleted: ${payload.id} from ${shopDomain}`)
+    
+    try {
+      const merchant = await this.prisma.merchant.findUnique({
+        where: { shopDomain }
+      })
+      
+      if (!merchant) {
+        throw new Error(`Merchant not found for shop: ${shopDomain}`)
+      }
+
+      // Drop links from line items and drafts to the deleted product
+      await this.removeProductFromDatabase(payload, merchant.id)
+      
+      console.log(`✅ Product deleted processed: ${payload.id}`)
+      
+    } catch (error) {
+      console.error(`❌ Failed to process product deleted: ${payload.id}`, error.message)
+      throw error
+    }
+  }
+
   /**
    * Process inventory updated webhook
    */
@@ -313,12 +361,10 @@ export class WebhookService {
       }
 
       // Update local inventory tracking
-      await this.updateLocalInventory(payload, merchant.id)
+      const level = await this.updateLocalInventory(payload, merchant.id)
       
-      // Check for low stock alerts
-      if (payload.available < 10) { // Configurable threshold
-        await this.triggerLowStockAlert(payload, merchant.id)
-      }
+      // Check the SKU against its reorder point
+      await this.triggerLowStockAlert(level, merchant.id)
       
       console.log(`✅ Inventory updated processed: ${payload.inventory_item_id}`)
       
@@ -419,47 +465,350 @@ export class WebhookService {
   /**
    * Helper methods for business logic
    */
+
+  /**
+   * Record order line items as inventory movements.
+   * Shopify adjusts stock itself and follows up with inventory_levels/update,
+   * so levels are not touched here - the history feeds sales velocity.
+   */
   async updateInventoryFromOrder(order, merchantId, operation) {
-    // Implementation for inventory updates based on orders
-    // This would update local inventory tracking
+    const sign = operation === 'increase' ? 1 : -1
+    const source = operation === 'increase' ? 'order_cancelled' : 'order_created'
+
+    for (const item of order.line_items || []) {
+      if (!item.variant_id || !item.quantity) continue
+
+      const variant = await this.prisma.shopifyVariant.findUnique({
+        where: {
+          merchantId_shopifyVariantId: {
+            merchantId,
+            shopifyVariantId: toGid('ProductVariant', item.variant_id)
+          }
+        }
+      })
+
+      await this.prisma.inventoryChange.create({
+        data: {
+          merchantId,
+          inventoryItemId: variant?.inventoryItemId || null,
+          shopifyVariantId: toGid('ProductVariant', item.variant_id),
+          sku: item.sku || variant?.sku || null,
+          delta: sign * item.quantity,
+          source,
+          referenceId: String(order.id)
+        }
+      })
+    }
   }
 
+  /**
+   * Re-evaluate ordered variants - new sales raise velocity-derived thresholds
+   */
   async checkRestockAlerts(lineItems, merchantId) {
-    // Implementation for checking if items need restocking
-    // This would trigger alerts when stock is low
+    for (const item of lineItems || []) {
+      if (!item.variant_id) continue
+
+      const variant = await this.prisma.shopifyVariant.findUnique({
+        where: {
+          merchantId_shopifyVariantId: {
+            merchantId,
+            shopifyVariantId: toGid('ProductVariant', item.variant_id)
+          }
+        }
+      })
+      if (!variant?.sku || !variant.inventoryItemId) continue
+
+      await restockService.evaluateVariant(merchantId, {
+        sku: variant.sku,
+        inventoryItemId: variant.inventoryItemId,
+        shopifyVariantId: variant.shopifyVariantId,
+        productTitle: variant.productTitle
+      })
+    }
   }
 
+  /**
+   * Mirror a Shopify product's variants locally and link matching PO line items
+   */
   async syncProductToDatabase(product, merchantId) {
-    // Implementation for syncing Shopify products to local database
-    // This keeps local product data in sync
+    const productGid = product.admin_graphql_api_id || toGid('Product', product.id)
+    const seenVariantIds = []
+
+    for (const variant of product.variants || []) {
+      const variantGid = variant.admin_graphql_api_id || toGid('ProductVariant', variant.id)
+      seenVariantIds.push(variantGid)
+
+      const data = {
+        shopifyProductId: productGid,
+        inventoryItemId: variant.inventory_item_id ? String(variant.inventory_item_id) : null,
+        sku: variant.sku || null,
+        title: variant.title || null,
+        productTitle: product.title || null,
+        vendor: product.vendor || null,
+        price: variant.price !== undefined && variant.price !== null ? parseFloat(variant.price) : null,
+        inventoryQuantity: variant.inventory_quantity ?? null,
+        deletedAt: null
+      }
+
+      await this.prisma.shopifyVariant.upsert({
+        where: {
+          merchantId_shopifyVariantId: { merchantId, shopifyVariantId: variantGid }
+        },
+        update: data,
+        create: { merchantId, shopifyVariantId: variantGid, ...data }
+      })
+    }
+
+    // Variants removed from the product in Shopify
+    await this.prisma.shopifyVariant.updateMany({
+      where: {
+        merchantId,
+        shopifyProductId: productGid,
+        shopifyVariantId: { notIn: seenVariantIds },
+        deletedAt: null
+      },
+      data: { deletedAt: new Date() }
+    })
+
+    return seenVariantIds
   }
 
+  /**
+   * Refresh the mirror and push merchant edits onto linked product drafts
+   */
   async updateProductInDatabase(product, merchantId) {
-    // Implementation for updating existing products in local database
+    await this.syncProductToDatabase(product, merchantId)
+
+    const productIds = idForms('Product', product.admin_graphql_api_id || product.id)
+    const drafts = await this.prisma.productDraft.findMany({
+      where: { merchantId, shopifyProductId: { in: productIds } },
+      include: { POLineItem: { select: { sku: true } } }
+    })
+
+    for (const draft of drafts) {
+      const variants = product.variants || []
+      const draftVariantIds = draft.shopifyVariantId ? idForms('ProductVariant', draft.shopifyVariantId) : []
+      const sku = draft.sku || draft.POLineItem?.sku
+      const variant = variants.find(v => draftVariantIds.includes(String(v.id)) || draftVariantIds.includes(v.admin_graphql_api_id)) ||
+        (sku ? variants.find(v => v.sku && v.sku === sku) : null) ||
+        (variants.length === 1 ? variants[0] : null)
+
+      await this.prisma.productDraft.update({
+        where: { id: draft.id },
+        data: {
+          refinedTitle: product.title ?? draft.refinedTitle,
+          refinedDescription: product.body_html ?? draft.refinedDescription,
+          vendor: product.vendor ?? draft.vendor,
+          productType: product.product_type || draft.productType,
+          tags: typeof product.tags === 'string'
+            ? product.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+            : draft.tags,
+          shopifyVariantId: variant
+            ? (variant.admin_graphql_api_id || toGid('ProductVariant', variant.id))
+            : null,
+          priceRefined: variant?.price !== undefined && variant?.price !== null
+            ? parseFloat(variant.price)
+            : draft.priceRefined
+        }
+      })
+    }
+
+    console.log(`🔄 Updated ${drafts.length} product drafts from Shopify product ${product.id}`)
   }
 
+  /**
+   * Keep POLineItem Shopify IDs pointing at variants that still exist
+   */
   async updateRelatedPOItems(product, merchantId) {
-    // Implementation for updating PO line items when products change
+    const productGid = product.admin_graphql_api_id || toGid('Product', product.id)
+    const productIds = idForms('Product', productGid)
+    const variants = product.variants || []
+    let updated = 0
+
+    for (const variant of variants) {
+      const variantGid = variant.admin_graphql_api_id || toGid('ProductVariant', variant.id)
+      const variantIds = idForms('ProductVariant', variantGid)
+
+      // Line items already linked to this variant, plus unlinked ones with the same SKU
+      const matchers = [{ shopifyVariantId: { in: variantIds } }]
+      if (variant.sku) {
+        matchers.push({ sku: variant.sku, shopifyProductId: null })
+        matchers.push({ sku: variant.sku, shopifyProductId: { in: productIds }, shopifyVariantId: null })
+      }
+
+      const result = await this.prisma.pOLineItem.updateMany({
+        where: {
+          purchaseOrder: { merchantId },
+          OR: matchers
+        },
+        data: {
+          shopifyProductId: productGid,
+          shopifyVariantId: variantGid
+        }
+      })
+      updated += result.count
+    }
+
+    // Variants deleted from the product - unlink their line items
+    const liveVariantIds = variants.flatMap(variant =>
+      idForms('ProductVariant', variant.admin_graphql_api_id || variant.id)
+    )
+    const unlinked = await this.prisma.pOLineItem.updateMany({
+      where: {
+        purchaseOrder: { merchantId },
+        shopifyProductId: { in: productIds },
+        shopifyVariantId: { not: null, notIn: liveVariantIds }
+      },
+      data: { shopifyVariantId: null }
+    })
+
+    console.log(`🔗 Linked ${updated} PO line items to product ${product.id}, unlinked ${unlinked.count}`)
+  }
+
+  /**
+   * Clear local references to a product deleted in Shopify
+   */
+  async removeProductFromDatabase(product, merchantId) {
+    const productIds = idForms('Product', product.admin_graphql_api_id || product.id)
+
+    await this.prisma.shopifyVariant.updateMany({
+      where: { merchantId, shopifyProductId: { in: productIds }, deletedAt: null },
+      data: { deletedAt: new Date() }
+    })
+
+    const lineItems = await this.prisma.pOLineItem.updateMany({
+      where: { purchaseOrder: { merchantId }, shopifyProductId: { in: productIds } },
+      data: {
+        shopifyProductId: null,
+        shopifyVariantId: null,
+        shopifySync: 'deleted',
+        shopifySyncAt: new Date()
+      }
+    })
+
+    const drafts = await this.prisma.productDraft.findMany({
+      where: { merchantId, shopifyProductId: { in: productIds } },
+      select: { id: true, reviewNotes: true }
+    })
+
+    for (const draft of drafts) {
+      await this.prisma.productDraft.update({
+        where: { id: draft.id },
+        data: {
+          shopifyProductId: null,
+          shopifyVariantId: null,
+          status: 'DRAFT',
+          reviewNotes: [draft.reviewNotes, `Product deleted in Shopify on ${new Date().toISOString()}`]
+            .filter(Boolean)
+            .join('\n')
+        }
+      })
+    }
+
+    console.log(`🗑️ Cleared product ${product.id} from ${lineItems.count} line items and ${drafts.length} drafts`)
   }
 
+  /**
+   * Store the new available quantity and record the movement
+   */
   async updateLocalInventory(inventory, merchantId) {
-    // Implementation for updating local inventory levels
+    const inventoryItemId = String(inventory.inventory_item_id)
+    const locationId = String(inventory.location_id)
+    const available = Number.isFinite(Number(inventory.available)) ? Number(inventory.available) : 0
+
+    const [variant, previous] = await Promise.all([
+      this.prisma.shopifyVariant.findFirst({
+        where: { merchantId, inventoryItemId, deletedAt: null }
+      }),
+      this.prisma.inventoryLevel.findUnique({
+        where: {
+          merchantId_inventoryItemId_locationId: { merchantId, inventoryItemId, locationId }
+        }
+      })
+    ])
+
+    const data = {
+      available,
+      shopifyVariantId: variant?.shopifyVariantId || previous?.shopifyVariantId || null,
+      sku: variant?.sku || previous?.sku || null,
+      shopifyUpdatedAt: inventory.updated_at ? new Date(inventory.updated_at) : new Date()
+    }
+
+    await this.prisma.inventoryLevel.upsert({
+      where: {
+        merchantId_inventoryItemId_locationId: { merchantId, inventoryItemId, locationId }
+      },
+      update: data,
+      create: { merchantId, inventoryItemId, locationId, ...data }
+    })
+
+    const quantityBefore = previous?.available ?? null
+    if (quantityBefore !== available) {
+      await this.prisma.inventoryChange.create({
+        data: {
+          merchantId,
+          inventoryItemId,
+          locationId,
+          shopifyVariantId: data.shopifyVariantId,
+          sku: data.sku,
+          quantityBefore,
+          quantityAfter: available,
+          delta: available - (quantityBefore ?? 0),
+          source: 'inventory_levels/update'
+        }
+      })
+    }
+
+    if (variant) {
+      const totals = await this.prisma.inventoryLevel.aggregate({
+        where: { merchantId, inventoryItemId },
+        _sum: { available: true }
+      })
+      await this.prisma.shopifyVariant.update({
+        where: { id: variant.id },
+        data: { inventoryQuantity: totals._sum.available ?? available }
+      })
+    }
+
+    return {
+      inventoryItemId,
+      locationId,
+      available,
+      quantityBefore,
+      sku: data.sku,
+      shopifyVariantId: data.shopifyVariantId,
+      productTitle: variant?.productTitle || null
+    }
   }
 
-  async triggerLowStockAlert(inventory, merchantId) {
-    // Implementation for low stock alerts
+  /**
+   * Add the SKU to a restock suggestion when it is below its reorder point
+   */
+  async triggerLowStockAlert(level, merchantId) {
+    if (!level?.sku) {
+      console.log(`ℹ️ Inventory item ${level?.inventoryItemId} has no known SKU - skipping reorder check`)
+      return null
+    }
+
+    const result = await restockService.evaluateVariant(merchantId, level)
+    if (result?.needsRestock) {
+      console.warn(`⚠️ Low stock for ${level.sku}: ${result.available} available, reorder point ${result.threshold}`)
+    }
+    return result
   }
 
   async logOrderProcessing(orderId, merchantId, action) {
-    // Implementation for logging order processing actions
+    console.log(`🧾 Order ${orderId} ${action} for merchant ${merchantId}`)
   }
 
   async handleFulfillmentUpdate(order, merchantId) {
-    // Implementation for handling fulfillment status changes
+    // Fulfillment does not change stock counts beyond what orders/created recorded
+    console.log(`🚚 Order ${order.id} fulfillment status: ${order.fulfillment_status} (merchant ${merchantId})`)
   }
 
   async handleFinancialStatusUpdate(order, merchantId) {
-    // Implementation for handling financial status changes
+    // Refunds that restock arrive as inventory_levels/update, so only log here
+    console.log(`💳 Order ${order.id} financial status: ${order.financial_status} (merchant ${merchantId})`)
   }
 
   /**
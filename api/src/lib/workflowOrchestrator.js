@@ -28,6 +28,10 @@ import { SimpleProductDraftService } from '../services/simpleProductDraftService
 import { RefinementConfigService } from '../services/refinementConfigService.js'
 import { RefinementPipelineService } from './refinementPipelineService.js'
 import { ProgressHelper } from './progressHelper.js'
+import { shopifySyncService } from './shopifySyncService.js'
+import { exchangeRateService } from '../services/exchangeRateService.js'
+import { priceHistoryService } from '../services/priceHistoryService.js'
+import { outboundPurchaseOrderService } from '../services/outboundPurchaseOrderService.js'
 
 /**
  * Convert BigInt values to strings for JSON serialization
@@ -454,6 +458,56 @@ export class WorkflowOrchestrator {
     return workflowId
   }
 
+  /**
+   * Start a Shopify sync workflow for a merchant-approved purchase order
+   * @param {Object} data - { purchaseOrderId, merchantId, syncJobId }
+   * @returns {Promise<string>} - Workflow ID
+   */
+  async startShopifySync(data) {
+    const workflowId = `sync_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+    console.log(`🎬 Starting Shopify sync workflow ${workflowId} for PO: ${data.purchaseOrderId}`)
+
+    const workflowMetadata = {
+      workflowId,
+      status: 'active',
+      currentStage: WORKFLOW_STAGES.SHOPIFY_SYNC,
+      stages: {
+        [WORKFLOW_STAGES.SHOPIFY_SYNC]: { status: 'pending' }
+      },
+      startedAt: new Date().toISOString(),
+      progress: 0,
+      data
+    }
+
+    // Status is 'processing' (not 'pending') so the ingestion cron never picks this up
+    try {
+      const prisma = await db.getClient()
+      await prisma.workflowExecution.create({
+        data: {
+          workflowId,
+          type: 'shopify_sync',
+          status: 'processing',
+          currentStage: WORKFLOW_STAGES.SHOPIFY_SYNC,
+          stagesTotal: 1,
+          stagesCompleted: 0,
+          progressPercent: 0,
+          inputData: data,
+          merchantId: data.merchantId,
+          purchaseOrderId: data.purchaseOrderId,
+          startedAt: new Date()
+        }
+      })
+    } catch (dbError) {
+      console.error(`⚠️ Failed to create database workflow record:`, dbError.message)
+    }
+
+    await this.setWorkflowMetadata(workflowId, workflowMetadata)
+    await this.scheduleNextStage(workflowId, WORKFLOW_STAGES.SHOPIFY_SYNC, { ...data, approvedSync: true })
+
+    return workflowId
+  }
+
   /**
    * Enhanced stage scheduling with data accumulation
    * @param {string} workflowId - Workflow ID
@@ -1147,8 +1201,13 @@ export class WorkflowOrchestrator {
           console.log(`🛠️ Extraction method: ${parsedResult.extractionMethod}`)
         }
         } catch (parseError) {
-          console.error('❌ File parsing failed:', parseError)
-          throw new Error(`File parsing failed: ${parseError.message}`)
+          // Scanned PDFs pdf2json cannot read are rasterized page by page by the AI service
+          if (mimeType !== 'application/pdf') {
+            console.error('❌ File parsing failed:', parseError)
+            throw new Error(`File parsing failed: ${parseError.message}`)
+          }
+          console.warn('⚠️ PDF text extraction failed, pages will be rasterized:', parseError.message)
+          contentForProcessing = 'PDF without a readable text layer'
         }
       }
       
@@ -1189,6 +1248,8 @@ export class WorkflowOrchestrator {
           mimeType, // Pass the original MIME type
           isProcessedContent: !fileBuffer, // Flag to indicate if this is already processed content
           progressHelper, // 📊 Pass progress helper for granular chunk tracking
+          merchantId, // 🧠 Supplier parsing profiles are per merchant
+          supplierId: data.supplierId || undefined,
           ...options
         })
         
@@ -1564,10 +1625,19 @@ export class WorkflowOrchestrator {
       console.log(`   - Purchase Order ID: ${dbResult.purchaseOrder.id}`)
       console.log(`   - Line Items: ${dbResult.lineItems.length}`)
       
+      // If this upload is a supplier's confirmation of one of our outbound POs, link it back (non-fatal)
+      let confirmationMatch = null
+      try {
+        confirmationMatch = await outboundPurchaseOrderService.linkConfirmation(merchantId, dbResult.purchaseOrder.id)
+      } catch (confirmationError) {
+        console.warn('⚠️ Failed to match supplier confirmation (non-fatal):', confirmationError.message)
+      }
+      
       // Save database result to stage store and prepare next stage data
       const stageResult = {
         dbResult,
         purchaseOrderId: dbResult.purchaseOrder.id, // Now guaranteed to exist
+        confirmationMatch,
         merchantId,
         fileName,
         uploadId,
@@ -1780,6 +1850,9 @@ export class WorkflowOrchestrator {
 
       // Create product drafts for each line item
       const productDrafts = []
+      const skippedDuplicates = []
+      // Deduplication rules and candidates, loaded once for the whole PO
+      let deduplicationContext
       
       for (let index = 0; index < lineItemsFromDb.length; index++) {
         const lineItem = lineItemsFromDb[index]
@@ -1813,6 +1886,57 @@ export class WorkflowOrchestrator {
             continue
           }
 
+          // Lazy initialize refinementConfigService if not already initialized
+          if (!this.refinementConfigService) {
+            console.log('⚠️ RefinementConfigService not initialized, initializing now...')
+            const prisma = await db.getClient()
+            this.refinementConfigService = new RefinementConfigService(prisma)
+          }
+
+          // Run deduplication rules against prior drafts and synced products
+          let duplicateMatch = null
+          try {
+            if (deduplicationContext === undefined) {
+              deduplicationContext = await this.refinementConfigService.loadDeduplicationContext(merchantId, purchaseOrder.id)
+            }
+            duplicateMatch = await this.refinementConfigService.findDuplicateProduct(merchantId, {
+              purchaseOrderId: purchaseOrder.id,
+              sku: lineItem.sku,
+              title: lineItem.productName,
+              vendor: purchaseOrder.supplierName,
+              supplierId: purchaseOrder.supplierId,
+              supplierName: purchaseOrder.supplierName
+            }, { recordMatch: true, context: deduplicationContext })
+          } catch (dedupError) {
+            console.warn(`⚠️ Deduplication check failed for line item ${lineItem.id}:`, dedupError.message)
+          }
+
+          if (duplicateMatch) {
+            console.log(`🔁 Line item ${lineItem.id} matched deduplication rule "${duplicateMatch.rule.name}" (${duplicateMatch.action}, score ${duplicateMatch.score})`)
+          }
+
+          if (duplicateMatch?.action === 'SKIP') {
+            await prismaOperation(
+              (prisma) => prisma.pOLineItem.update({
+                where: { id: lineItem.id },
+                data: {
+                  status: 'duplicate',
+                  shopifyProductId: lineItem.shopifyProductId || duplicateMatch.candidate.shopifyProductId || null,
+                  shopifyVariantId: lineItem.shopifyVariantId || duplicateMatch.candidate.shopifyVariantId || null,
+                  aiNotes: `Skipped as duplicate of ${duplicateMatch.candidate.source} ${duplicateMatch.candidate.id} (rule "${duplicateMatch.rule.name}", score ${duplicateMatch.score})`
+                }
+              }),
+              `Mark line item ${lineItem.id} as duplicate`
+            )
+            skippedDuplicates.push({
+              lineItemId: lineItem.id,
+              candidateSource: duplicateMatch.candidate.source,
+              candidateId: duplicateMatch.candidate.id,
+              ruleId: duplicateMatch.rule.id
+            })
+            continue
+          }
+
           // Find a session for this merchant (required by our schema)
           // Wrap in retry logic to handle engine warmup delays
           let session
@@ -1853,19 +1977,15 @@ export class WorkflowOrchestrator {
           // Apply refinement rules to pricing
           console.log(`🔧 Applying refinement rules for merchant ${merchantId}...`)
           
-          // Lazy initialize refinementConfigService if not already initialized
-          if (!this.refinementConfigService) {
-            console.log('⚠️ RefinementConfigService not initialized, initializing now...')
-            const prisma = await db.getClient()
-            this.refinementConfigService = new RefinementConfigService(prisma)
-          }
-          
-          const refinementResult = await this.refinementConfigService.testPricingRules(merchantId, {
+          const refinementResult = await this.refinementConfigService.applyPricingRules(merchantId, {
             title: lineItem.productName || `Product from PO ${purchaseOrder.number}`,
             price: (lineItem.unitCost || 0).toString(),
             sku: lineItem.sku || '',
-            description: lineItem.description || ''
-          })
+            description: lineItem.description || '',
+            quantity: lineItem.quantity,
+            supplierId: purchaseOrder.supplierId,
+            supplierName: purchaseOrder.supplierName
+          }, { recordUsage: true })
 
           const originalPrice = lineItem.unitCost || 0
           // Ensure priceRefined is always a Float, not a string
@@ -1888,7 +2008,42 @@ export class WorkflowOrchestrator {
             estimatedMargin: estimatedMargin.toFixed(1) + '%'
           })
 
+          const deduplicationFields = {}
+          if (duplicateMatch) {
+            const { rule, candidate, score, fieldScores, action } = duplicateMatch
+            // duplicateOfId only points at product drafts; a synced line item is identified in the match details
+            deduplicationFields.duplicateOfId = candidate.source === 'product_draft' ? candidate.id : null
+            deduplicationFields.deduplicationRuleId = rule.id
+            deduplicationFields.deduplicationMatch = {
+              ruleName: rule.name,
+              action,
+              score,
+              fieldScores,
+              matchAlgorithm: rule.matchAlgorithm,
+              candidateSource: candidate.source,
+              candidateId: candidate.id,
+              candidateLineItemId: candidate.lineItemId || null,
+              candidatePurchaseOrderId: candidate.purchaseOrderId,
+              matchedAt: new Date().toISOString()
+            }
+
+            if (action === 'QUEUE_FOR_REVIEW') {
+              deduplicationFields.status = 'PENDING_REVIEW'
+              reviewNotes += `\nPossible duplicate of ${candidate.source} ${candidate.id} (rule "${rule.name}", score ${score})`
+            } else if (action === 'UPDATE_EXISTING' || action === 'CREATE_VARIANT') {
+              // Sync will update the existing Shopify product instead of creating a new one
+              deduplicationFields.shopifyProductId = candidate.shopifyProductId || null
+              if (action === 'UPDATE_EXISTING') {
+                deduplicationFields.shopifyVariantId = candidate.shopifyVariantId || null
+              }
+              reviewNotes += `\nDuplicate of ${candidate.source} ${candidate.id} (rule "${rule.name}") - ${action === 'UPDATE_EXISTING' ? 'updating existing product' : 'adding as variant'}`
+            } else {
+              reviewNotes += `\nMatched deduplication rule "${rule.name}" (created anyway)`
+            }
+          }
+
           const productDraft = await this.productDraftService.createProductDraft({
+            ...deduplicationFields,
             sessionId: session.id,
             merchantId: merchantId,
             purchaseOrderId: purchaseOrder.id,
@@ -1941,6 +2096,7 @@ export class WorkflowOrchestrator {
       const stageResult = {
         productDrafts,
         productDraftCount: productDrafts.length,
+        skippedDuplicates,
         purchaseOrderId,
         merchantId,
         timestamp: new Date().toISOString(),
@@ -2842,29 +2998,27 @@ export class WorkflowOrchestrator {
     }
     
     try {
-      // For now, we'll simulate Shopify sync
-      // In the future, this would integrate with actual Shopify API
-      console.log('🛍️ Syncing purchase order to Shopify...')
+      // Approved syncs finish here - the ingestion status update would overwrite synced/sync_failed
+      if (data.approvedSync) {
+        return await this.runApprovedShopifySync(job, workflowId, data)
+      }
+
+      // During ingestion the PO has not been reviewed yet, so nothing is pushed to Shopify.
+      // The real sync is started by POST /api/purchase-orders/:id/approve.
+      console.log('🛍️ PO awaiting merchant approval - deferring Shopify sync')
       job.progress(50)
-      
-      // Simulate sync delay
-      await new Promise(resolve => setTimeout(resolve, 1000))
-      
+
       const shopifyResult = {
         success: true,
-        message: 'Purchase order synced to Shopify successfully',
-        shopifyOrderId: `shopify_${purchaseOrderId}_${Date.now()}`
+        deferred: true,
+        message: 'Shopify sync deferred until the purchase order is approved'
       }
-      
-      console.log('✅ Shopify sync completed successfully')
-      console.log('   Shopify Order ID:', shopifyResult.shopifyOrderId)
-      
+
       job.progress(90)
       
       // Save Shopify result to stage store and prepare next stage data
       const stageResult = {
         shopifyResult,
-        shopifyOrderId: shopifyResult.shopifyOrderId,
         timestamp: new Date().toISOString(),
         stage: WORKFLOW_STAGES.SHOPIFY_SYNC
       }
@@ -2906,7 +3060,7 @@ export class WorkflowOrchestrator {
           stage: 'shopify_sync',
           poId: purchaseOrderId,
           workflowId,
-          shopifyOrderId: shopifyResult.shopifyOrderId
+          deferred: true
         })
       }
       
@@ -2939,6 +3093,81 @@ export class WorkflowOrchestrator {
     }
   }
 
+  /**
+   * Run the Shopify sync for an approved purchase order and complete its workflow
+   * @param {Object} job - Bull job object
+   * @param {string} workflowId - Workflow ID
+   * @param {Object} data - Stage data ({ purchaseOrderId, merchantId, syncJobId })
+   */
+  async runApprovedShopifySync(job, workflowId, data) {
+    const { purchaseOrderId, merchantId, syncJobId } = data
+
+    console.log(`🛍️ Running approved Shopify sync job ${syncJobId} for PO ${purchaseOrderId}`)
+    job.progress(30)
+
+    const syncOutcome = await shopifySyncService.processSyncJob(syncJobId)
+
+    job.progress(90)
+
+    await stageResultStore.saveStageResult(workflowId, WORKFLOW_STAGES.SHOPIFY_SYNC, {
+      ...syncOutcome,
+      timestamp: new Date().toISOString(),
+      stage: WORKFLOW_STAGES.SHOPIFY_SYNC
+    })
+
+    if (!syncOutcome.success) {
+      // failWorkflow only touches the workflow records here; the sync service already set sync_failed
+      const syncError = new Error(syncOutcome.error || 'Shopify sync failed')
+      if (merchantId && purchaseOrderId) {
+        await redisManagerInstance.publishMerchantError(merchantId, {
+          stage: 'shopify_sync',
+          poId: purchaseOrderId,
+          workflowId,
+          error: syncError.message
+        })
+      }
+      await this.failWorkflow(workflowId, WORKFLOW_STAGES.SHOPIFY_SYNC, syncError)
+
+      job.progress(100)
+      return {
+        success: false,
+        stage: WORKFLOW_STAGES.SHOPIFY_SYNC,
+        syncResult: syncOutcome,
+        nextStageData: null,
+        isComplete: true,
+        purchaseOrderId,
+        merchantId
+      }
+    }
+
+    await this.completeWorkflow(workflowId, {
+      success: true,
+      message: 'Purchase order synced to Shopify',
+      purchaseOrderId,
+      syncJobId
+    })
+
+    if (merchantId && purchaseOrderId) {
+      await redisManagerInstance.publishMerchantCompletion(merchantId, {
+        stage: 'shopify_sync',
+        poId: purchaseOrderId,
+        workflowId,
+        syncJobId
+      })
+    }
+
+    job.progress(100)
+    return {
+      success: true,
+      stage: WORKFLOW_STAGES.SHOPIFY_SYNC,
+      syncResult: syncOutcome,
+      nextStageData: null,
+      isComplete: true,
+      purchaseOrderId,
+      merchantId
+    }
+  }
+
   /**
    * Process status update stage (final stage) - Enhanced with data accumulation
    * @param {Object} job - Bull job object
@@ -2976,6 +3205,9 @@ export class WorkflowOrchestrator {
       const workflowMetadata = await this.getWorkflowMetadata(workflowId)
       const isReviewNeeded = workflowMetadata?.stages?.review_needed?.status
       
+      // A re-run staged as a pending version leaves the PO as it was until the merchant accepts it
+      const stagedVersion = enrichedData.dbResult?.stagedVersion || null
+      
       // Update final status in database if needed
       if (purchaseOrderId) {
         console.log('📊 Updating purchase order final status with accumulated data...')
@@ -2986,21 +3218,27 @@ export class WorkflowOrchestrator {
         console.log('   Shopify Result Available:', !!enrichedData.shopifyResult)
         
         try {
-          const finalStatus = isReviewNeeded ? 'review_needed' : 'completed'
+          const finalStatus = isReviewNeeded || stagedVersion ? 'review_needed' : 'completed'
+          
+          let processingNotes = isReviewNeeded 
+            ? 'Processing completed - requires merchant review due to low confidence or complexity'
+            : 'Processing completed successfully - all stages completed'
+          if (stagedVersion) {
+            processingNotes = `Version ${stagedVersion.version} is waiting for review - accept it to replace the current line items`
+          }
           
           // Prepare update data with status fields
           const updateData = {
             status: finalStatus,
             jobStatus: 'completed',
             jobCompletedAt: new Date(),
-            processingNotes: isReviewNeeded 
-              ? 'Processing completed - requires merchant review due to low confidence or complexity'
-              : 'Processing completed successfully - all stages completed',
+            processingNotes,
             updatedAt: new Date()
           }
           
           // Add AI-derived fields if available (now from accumulated data)
-          if (enrichedData.aiResult) {
+          // A staged version keeps them until it's accepted
+          if (enrichedData.aiResult && !stagedVersion) {
             console.log('   Adding AI result data from accumulated store to update...')
             console.log('   AI Result keys:', Object.keys(enrichedData.aiResult))
             
@@ -3124,7 +3362,7 @@ export class WorkflowOrchestrator {
               (prisma) => prisma.purchaseOrder.update({
                 where: { id: purchaseOrderId },
                 data: {
-                  status: isReviewNeeded ? 'review_needed' : 'completed',
+                  status: isReviewNeeded || stagedVersion ? 'review_needed' : 'completed',
                   jobStatus: 'completed',
                   jobCompletedAt: new Date(),
                   updatedAt: new Date()
@@ -3148,7 +3386,8 @@ export class WorkflowOrchestrator {
       const stageResult = {
         finalStatus: purchaseOrderId ? 'database_updated' : 'no_po_id',
         purchaseOrderId,
-        requiresReview: !!isReviewNeeded,
+        requiresReview: !!(isReviewNeeded || stagedVersion),
+        stagedVersion: stagedVersion?.version || null,
         timestamp: new Date().toISOString(),
         stage: WORKFLOW_STAGES.STATUS_UPDATE
       }
@@ -3259,6 +3498,8 @@ export class WorkflowOrchestrator {
                 quantity: true,
                 unitCost: true,
                 totalCost: true,
+                originalUnitCost: true,
+                originalTotalCost: true,
                 confidence: true,
                 status: true
               }
@@ -3309,17 +3550,82 @@ export class WorkflowOrchestrator {
       } catch (error) {
         console.warn('⚠️ Could not fetch merchant config, using defaults:', error.message)
       }
+
+      // Resolve conversion from the PO (supplier) currency into the store currency
+      const normalizationPoId = accumulatedData.purchaseOrderId ||
+                                accumulatedData.dbResult?.purchaseOrder?.id ||
+                                data.purchaseOrderId
+      let poCurrency = accumulatedData.dbResult?.purchaseOrder?.currency
+      if (!poCurrency && normalizationPoId) {
+        const po = await prismaOperation(
+          (prisma) => prisma.purchaseOrder.findUnique({
+            where: { id: normalizationPoId },
+            select: { currency: true }
+          }),
+          `Fetch currency for PO ${normalizationPoId}`
+        )
+        poCurrency = po?.currency
+      }
+
+      let currencyConversion = null
+      if (poCurrency && poCurrency.toUpperCase() !== merchantConfig.baseCurrency.toUpperCase()) {
+        currencyConversion = await exchangeRateService.getRate(merchantId, poCurrency, merchantConfig.baseCurrency)
+        if (!currencyConversion) {
+          console.warn(`⚠️ No exchange rate for ${poCurrency} → ${merchantConfig.baseCurrency}, costs left in ${poCurrency}`)
+        }
+      }
+      merchantConfig.currencyConversion = currencyConversion
       
       job.progress(30)
       
       // Initialize pipeline service and normalize data
       const pipelineService = new RefinementPipelineService()
       const normalizedItems = await pipelineService.normalizeLineItems(lineItems, merchantConfig)
+
+      // Persist converted costs so drafts and sync use store-currency amounts
+      if (currencyConversion) {
+        for (const item of normalizedItems) {
+          if (!item.id) continue
+          await prismaOperation(
+            (prisma) => prisma.pOLineItem.update({
+              where: { id: item.id },
+              data: {
+                unitCost: item.unitCost,
+                totalCost: item.totalCost,
+                originalUnitCost: item.originalUnitCost,
+                originalTotalCost: item.originalTotalCost,
+                originalCurrency: item.originalCurrency,
+                exchangeRate: item.exchangeRate,
+                exchangeRateDate: item.exchangeRateDate,
+                exchangeRateSource: item.exchangeRateSource
+              }
+            }),
+            `Save converted costs for line item ${item.id}`
+          )
+        }
+        console.log(`💱 Converted ${normalizedItems.length} line items from ${currencyConversion.fromCurrency} to ${currencyConversion.toCurrency}`)
+      }
+      
+      // Flag supplier price moves now that costs are in store currency (non-fatal)
+      let priceAlerts = []
+      if (normalizationPoId) {
+        try {
+          priceAlerts = await priceHistoryService.checkPurchaseOrder(merchantId, normalizationPoId)
+        } catch (priceError) {
+          console.warn('⚠️ Failed to check supplier price changes (non-fatal):', priceError.message)
+        }
+      }
       
       job.progress(70)
       
       // Save stage results
-      const stageResult = { normalizedItems }
+      const stageResult = {
+        normalizedItems,
+        priceAlerts: priceAlerts.length,
+        currencyConversion: currencyConversion || (poCurrency && poCurrency.toUpperCase() !== merchantConfig.baseCurrency.toUpperCase()
+          ? { fromCurrency: poCurrency, toCurrency: merchantConfig.baseCurrency, status: 'missing_rate' }
+          : null)
+      }
       const enrichedNextStageData = await this.saveAndAccumulateStageData(
         workflowId,
         WORKFLOW_STAGES.DATA_NORMALIZATION,
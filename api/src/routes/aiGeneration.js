@@ -6,6 +6,7 @@
 import express from 'express'
 import OpenAI from 'openai'
 import { db } from '../lib/db.js'
+import { aiUsageService } from '../services/aiUsageService.js'
 
 const router = express.Router()
 
@@ -14,6 +15,33 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 })
 
+/**
+ * Chat completion metered as 'generation' against the requesting merchant's
+ * AI budget
+ */
+async function createCompletion(req, params) {
+  const completion = await openai.chat.completions.create(params)
+  aiUsageService.record(req.merchant?.id, {
+    operation: 'generation',
+    model: completion.model || params.model,
+    usage: completion.usage
+  })
+  return completion
+}
+
+/**
+ * The merchant's monthly AI budget is spent: 402 with the budget so the app can
+ * explain why generation is unavailable
+ */
+function budgetExceededResponse(res, error) {
+  return res.status(402).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    budget: error.budget
+  })
+}
+
 /**
  * Helper function to remove pack/case quantities from product names
  * Removes patterns like: "Case of 12", "Pack of 6", "12-Pack", "24ct", etc.
@@ -62,6 +90,8 @@ router.post('/product-content', async (req, res) => {
       })
     }
 
+    await aiUsageService.assertWithinBudget(req.merchant?.id)
+
     console.log('🤖 Generating AI content for:', productName)
     
     // Clean the product name by removing pack/case quantities
@@ -100,7 +130,7 @@ CRITICAL REQUIREMENTS:
 
 Generate only the title, no explanations:`
 
-    const titleCompletion = await openai.chat.completions.create({
+    const titleCompletion = await createCompletion(req, {
       model: 'gpt-4o-mini',
       messages: [
         {
@@ -142,7 +172,7 @@ CRITICAL REQUIREMENTS:
 
 Generate only the description, no explanations:`
 
-    const descriptionCompletion = await openai.chat.completions.create({
+    const descriptionCompletion = await createCompletion(req, {
       model: 'gpt-4o-mini',
       messages: [
         {
@@ -199,6 +229,7 @@ Generate only the description, no explanations:`
     })
 
   } catch (error) {
+    if (error.code === 'AI_BUDGET_EXCEEDED') return budgetExceededResponse(res, error)
     console.error('❌ AI generation error:', error)
     res.status(500).json({
       success: false,
@@ -230,6 +261,8 @@ router.post('/product-tags', async (req, res) => {
       })
     }
 
+    await aiUsageService.assertWithinBudget(req.merchant?.id)
+
     console.log('🏷️  Generating AI tags for:', productName)
 
     // Build context for OpenAI
@@ -269,7 +302,7 @@ Format your response as JSON:
   "tags": ["tag1", "tag2", "tag3", "tag4", "tag5"]
 }`
 
-    const completion = await openai.chat.completions.create({
+    const completion = await createCompletion(req, {
       model: 'gpt-4o-mini',
       messages: [
         {
@@ -328,6 +361,7 @@ Format your response as JSON:
     })
 
   } catch (error) {
+    if (error.code === 'AI_BUDGET_EXCEEDED') return budgetExceededResponse(res, error)
     console.error('❌ AI tags generation error:', error)
     res.status(500).json({
       success: false,
@@ -351,6 +385,8 @@ router.post('/bulk-product-content', async (req, res) => {
       })
     }
 
+    await aiUsageService.assertWithinBudget(req.merchant?.id)
+
     console.log(`🤖 Generating AI content for ${products.length} products`)
 
   const results = []
@@ -359,6 +395,9 @@ router.post('/bulk-product-content', async (req, res) => {
 
     for (const product of products) {
       try {
+        // The budget can run out part-way through a batch
+        await aiUsageService.assertWithinBudget(req.merchant?.id)
+
         // Clean the product name by removing pack/case quantities
         const cleanedProductName = removePackQuantities(product.productName)
         console.log('📝 Bulk: Cleaned product name:', cleanedProductName, '(original:', product.productName, ')')
@@ -394,7 +433,7 @@ Format your response as JSON:
   "description": "your compelling description here"
 }`
 
-        const completion = await openai.chat.completions.create({
+        const completion = await createCompletion(req, {
           model: 'gpt-4o-mini',
           messages: [
             {
@@ -454,6 +493,7 @@ Format your response as JSON:
           error: productError.message,
           success: false
         })
+        if (productError.code === 'AI_BUDGET_EXCEEDED') break
       }
     }
 
@@ -473,6 +513,7 @@ Format your response as JSON:
     })
 
   } catch (error) {
+    if (error.code === 'AI_BUDGET_EXCEEDED') return budgetExceededResponse(res, error)
     console.error('❌ Bulk AI generation error:', error)
     res.status(500).json({
       success: false,
@@ -0,0 +1,49 @@
+/**
+ * AI Usage API routes
+ * Monthly OpenAI spend against the merchant's plan budget, for the usage chart
+ * in settings. Parse and generation calls are metered by aiUsageService.
+ */
+
+import express from 'express'
+import { requirePermission } from '../lib/merchantAuth.js'
+import { aiUsageService } from '../services/aiUsageService.js'
+
+const router = express.Router()
+
+// GET /api/ai-usage?month=YYYY-MM - Budget status plus daily, per-operation and per-model spend
+router.get('/', requirePermission('canViewMetrics'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let usage
+    try {
+      usage = await aiUsageService.usage(merchant.id, { month: req.query.month })
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.json({
+      success: true,
+      data: usage
+    })
+  } catch (error) {
+    console.error('Error fetching AI usage:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI usage',
+      details: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,96 @@
+/**
+ * Audit Log API routes
+ * Query and export the merchant's audit trail for compliance reviews
+ *
+ * Filters (query string): action (exact, or prefix with `.*`), entityType,
+ * entityId, actorId (staff user ID), from, to (ISO dates), limit, cursor.
+ */
+
+import express from 'express'
+import { requirePermission } from '../lib/merchantAuth.js'
+import { auditLogService } from '../services/auditLogService.js'
+
+const router = express.Router()
+
+// GET /api/audit-log - Newest-first page of audit events
+router.get('/', requirePermission('canViewAuditLog'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let result
+    try {
+      result = await auditLogService.list(merchant.id, req.query)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        auditLogging: await auditLogService.isEnabled(merchant)
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching audit log:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/audit-log/export?format=csv|json - Download every matching event, oldest first
+router.get('/export', requirePermission('canViewAuditLog'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const format = req.query.format === 'json' ? 'json' : 'csv'
+
+    let result
+    try {
+      result = await auditLogService.export(merchant.id, req.query, format)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    const date = new Date().toISOString().slice(0, 10)
+    res.set({
+      'Content-Type': format === 'json' ? 'application/json' : 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${date}.${format}"`,
+      'X-Audit-Event-Count': String(result.count),
+      'X-Audit-Export-Truncated': String(result.truncated)
+    })
+    res.send(result.body)
+  } catch (error) {
+    console.error('Error exporting audit log:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit log',
+      details: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,156 @@
+/**
+ * EDI API routes
+ * Inbound X12 / EDIFACT interchanges, 855 acknowledgements and ship notices
+ *
+ * POST /inbound takes the raw interchange (any non-JSON content type) or JSON
+ * { content, fileName, supplierId }. The trading partner is matched from the
+ * interchange sender ID unless supplierId is given.
+ */
+
+import express from 'express'
+import { ediService } from '../services/ediService.js'
+import { ACK_TYPES } from '../services/ediEngine.js'
+
+const router = express.Router()
+
+const MAX_INTERCHANGE_SIZE = '25mb'
+
+// JSON bodies are parsed by the app-level parser; everything else arrives raw
+const rawInterchangeParser = express.raw({ type: (req) => !req.is('application/json'), limit: MAX_INTERCHANGE_SIZE })
+
+// POST /api/edi/inbound - Import 850 / ORDERS purchase orders and 856 ship notices
+router.post('/inbound', rawInterchangeParser, async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let buffer = req.body
+    let { fileName, supplierId } = req.query
+    if (!Buffer.isBuffer(buffer)) {
+      const { content } = req.body || {}
+      buffer = typeof content === 'string' ? Buffer.from(content, 'utf-8') : null
+      fileName = fileName || req.body?.fileName
+      supplierId = supplierId || req.body?.supplierId
+    }
+
+    if (!buffer || buffer.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'EDI interchange content required'
+      })
+    }
+
+    let result
+    try {
+      result = await ediService.ingest(merchant.id, {
+        buffer,
+        fileName: fileName || undefined,
+        supplierId: supplierId || null,
+        source: 'edi'
+      })
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.status(202).json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error importing EDI interchange:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import EDI interchange',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/edi/purchase-orders/:id/ship-notices - Ship notices received for a PO
+router.get('/purchase-orders/:id/ship-notices', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const shipNotices = await ediService.listShipNotices(merchant.id, req.params.id)
+
+    res.json({
+      success: true,
+      data: shipNotices
+    })
+  } catch (error) {
+    console.error('Error fetching ship notices:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ship notices',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/edi/purchase-orders/:id/855?ackType=AD - Download an X12 855 acknowledgement for the PO
+router.get('/purchase-orders/:id/855', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const ackType = req.query.ackType || 'AD'
+    if (!ACK_TYPES[ackType]) {
+      return res.status(400).json({
+        success: false,
+        error: `ackType must be one of: ${Object.keys(ACK_TYPES).join(', ')}`
+      })
+    }
+
+    let acknowledgement
+    try {
+      acknowledgement = await ediService.buildAcknowledgement(merchant.id, req.params.id, { ackType })
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!acknowledgement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
+
+    res.set('Content-Type', 'application/edi-x12')
+    res.set('Content-Disposition', `attachment; filename="${acknowledgement.fileName}"`)
+    res.set('X-EDI-Control-Number', String(acknowledgement.controlNumber))
+    res.send(acknowledgement.content)
+  } catch (error) {
+    console.error('Error generating 855 acknowledgement:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate acknowledgement',
+      details: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,191 @@
+/**
+ * Exchange Rate API routes
+ * Per-merchant currency rates used to convert supplier PO costs
+ */
+
+import express from 'express'
+import { exchangeRateService } from '../services/exchangeRateService.js'
+
+const router = express.Router()
+
+// GET /api/exchange-rates - List the merchant's stored rates
+router.get('/', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const rates = await exchangeRateService.listRates(merchant.id)
+
+    res.json({
+      success: true,
+      data: rates
+    })
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exchange rates',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/exchange-rates/resolve?from=EUR&to=USD - Resolve a rate through the provider chain
+router.get('/resolve', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { from, to } = req.query
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to currency codes are required'
+      })
+    }
+
+    const rate = await exchangeRateService.getRate(merchant.id, from, to)
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        error: `No exchange rate available for ${from} to ${to}`
+      })
+    }
+
+    res.json({
+      success: true,
+      data: rate
+    })
+  } catch (error) {
+    console.error('Error resolving exchange rate:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resolve exchange rate',
+      details: error.message
+    })
+  }
+})
+
+// PUT /api/exchange-rates - Create or update a rate for a currency pair
+router.put('/', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { baseCurrency, quoteCurrency, rate, effectiveDate } = req.body || {}
+
+    let saved
+    try {
+      saved = await exchangeRateService.upsertRate(merchant.id, { baseCurrency, quoteCurrency, rate, effectiveDate })
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.json({
+      success: true,
+      data: saved
+    })
+  } catch (error) {
+    console.error('Error saving exchange rate:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save exchange rate',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/exchange-rates/refresh - Pull rates from the configured feed into the table
+router.post('/refresh', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { baseCurrency, quoteCurrencies } = req.body || {}
+    if (!baseCurrency || !Array.isArray(quoteCurrencies) || quoteCurrencies.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'baseCurrency and a non-empty quoteCurrencies array are required'
+      })
+    }
+
+    if (!exchangeRateService.getProvider('feed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'No exchange rate feed configured'
+      })
+    }
+
+    const saved = await exchangeRateService.refreshFromFeed(merchant.id, baseCurrency, quoteCurrencies)
+
+    res.json({
+      success: true,
+      data: saved
+    })
+  } catch (error) {
+    console.error('Error refreshing exchange rates:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh exchange rates',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /api/exchange-rates/:id - Remove a stored rate
+router.delete('/:id', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const deleted = await exchangeRateService.deleteRate(merchant.id, req.params.id)
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exchange rate not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted'
+    })
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete exchange rate',
+      details: error.message
+    })
+  }
+})
+
+export default router
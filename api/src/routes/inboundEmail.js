@@ -0,0 +1,93 @@
+/**
+ * Inbound Email API routes
+ * The merchant's inbound PO address and the messages received at it
+ */
+
+import express from 'express'
+import { inboundEmailService } from '../services/inboundEmailService.js'
+
+const router = express.Router()
+
+// GET /api/inbound-email/address - Inbound address (assigned on first request)
+router.get('/address', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const address = await inboundEmailService.getAddress(merchant.id)
+
+    res.json({
+      success: true,
+      data: address
+    })
+  } catch (error) {
+    console.error('Error fetching inbound address:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inbound address',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/inbound-email/address/regenerate - Replace the inbound address
+router.post('/address/regenerate', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const address = await inboundEmailService.regenerateAddress(merchant.id)
+
+    res.json({
+      success: true,
+      data: address,
+      message: 'Inbound address replaced. Messages to the old address will be rejected.'
+    })
+  } catch (error) {
+    console.error('Error regenerating inbound address:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate inbound address',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/inbound-email/messages?limit= - Recently received messages
+router.get('/messages', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const messages = await inboundEmailService.listMessages(merchant.id, { limit: req.query.limit })
+
+    res.json({
+      success: true,
+      data: messages
+    })
+  } catch (error) {
+    console.error('Error fetching inbound emails:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inbound emails',
+      details: error.message
+    })
+  }
+})
+
+export default router
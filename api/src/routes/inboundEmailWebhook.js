@@ -0,0 +1,97 @@
+/**
+ * Inbound Email Webhook
+ * Receives raw MIME messages from an SMTP relay (or a local SMTP stand-in).
+ * Not Shopify-authenticated: callers send the shared secret in
+ * X-Inbound-Email-Secret (INBOUND_EMAIL_WEBHOOK_SECRET).
+ *
+ * Body: the raw message (Content-Type message/rfc822, text/plain or
+ * application/octet-stream), or JSON { rawMessage, recipient } with rawMessage
+ * as text or base64 (encoding: 'base64'). The SMTP envelope recipient may also
+ * be given as ?recipient= or X-Envelope-To.
+ */
+
+import crypto from 'crypto'
+import express from 'express'
+import { inboundEmailService } from '../services/inboundEmailService.js'
+
+const router = express.Router()
+
+const MAX_MESSAGE_SIZE = '30mb'
+
+const secretMatches = (provided, expected) => {
+  const providedBuffer = Buffer.from(String(provided || ''))
+  const expectedBuffer = Buffer.from(expected)
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+}
+
+const authenticateRelay = (req, res, next) => {
+  const secret = process.env.INBOUND_EMAIL_WEBHOOK_SECRET
+  if (!secret) {
+    return res.status(503).json({
+      success: false,
+      error: 'Inbound email is not configured'
+    })
+  }
+
+  if (!secretMatches(req.get('X-Inbound-Email-Secret'), secret)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid inbound email secret'
+    })
+  }
+
+  next()
+}
+
+// JSON bodies are parsed by the app-level parser; everything else arrives raw
+const rawMessageParser = express.raw({ type: (req) => !req.is('application/json'), limit: MAX_MESSAGE_SIZE })
+
+// POST /api/inbound-email/receive - Ingest one raw MIME message
+router.post('/', authenticateRelay, rawMessageParser, async (req, res) => {
+  try {
+    let rawMessage = req.body
+    let recipient = req.query.recipient || req.get('X-Envelope-To')
+
+    if (!Buffer.isBuffer(rawMessage)) {
+      const { rawMessage: message, encoding, recipient: bodyRecipient } = req.body || {}
+      rawMessage = typeof message === 'string'
+        ? Buffer.from(message, encoding === 'base64' ? 'base64' : 'utf-8')
+        : null
+      recipient = recipient || bodyRecipient
+    }
+
+    if (!rawMessage || rawMessage.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Raw MIME message required'
+      })
+    }
+
+    const result = await inboundEmailService.receive(rawMessage, { recipient })
+
+    if (result.status === 'unknown_recipient') {
+      return res.status(404).json({
+        success: false,
+        error: 'No merchant uses this inbound address'
+      })
+    }
+
+    res.status(result.status === 'duplicate' ? 200 : 202).json({
+      success: true,
+      data: {
+        status: result.status,
+        inboundEmailId: result.inboundEmail?.id,
+        uploads: result.uploads
+      }
+    })
+  } catch (error) {
+    console.error('Inbound email error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to ingest inbound email',
+      details: error.message
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,242 @@
+/**
+ * Supplier Invoice API routes
+ * Upload supplier invoices and three-way match them against POs and receipts
+ */
+
+import express from 'express'
+import multer from 'multer'
+import { supplierInvoiceService, INVOICE_STATUSES } from '../services/supplierInvoiceService.js'
+import { requirePermission } from '../lib/merchantAuth.js'
+
+const router = express.Router()
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/pdf',
+      'image/jpeg',
+      'image/png',
+      'image/jpg',
+      'image/webp',
+      'text/csv'
+    ]
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only PDF, images and CSV invoices are allowed.'))
+    }
+  }
+})
+
+// POST /api/invoices/upload - Upload a supplier invoice (optionally for a known PO)
+router.post('/upload', upload.single('file'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      })
+    }
+
+    const { purchaseOrderId, supplierId } = req.body || {}
+
+    let invoice
+    try {
+      invoice = await supplierInvoiceService.createFromUpload(merchant.id, req.file, { purchaseOrderId, supplierId })
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.status(202).json({
+      success: true,
+      data: invoice,
+      message: 'Invoice uploaded and queued for matching'
+    })
+  } catch (error) {
+    console.error('Error uploading invoice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload invoice',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/invoices?status=needs_review&purchaseOrderId= - List supplier invoices
+router.get('/', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { status, purchaseOrderId, limit = 50 } = req.query
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${INVOICE_STATUSES.join(', ')}`
+      })
+    }
+
+    const invoices = await supplierInvoiceService.listInvoices(merchant.id, {
+      status,
+      purchaseOrderId,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    })
+
+    res.json({
+      success: true,
+      data: invoices
+    })
+  } catch (error) {
+    console.error('Error fetching invoices:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoices',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/invoices/:id - Invoice with its discrepancy report
+router.get('/:id', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const invoice = await supplierInvoiceService.getInvoice(merchant.id, req.params.id)
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    })
+  } catch (error) {
+    console.error('Error fetching invoice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/invoices/:id/match - Re-run matching, or link to a specific PO
+router.post('/:id/match', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { purchaseOrderId } = req.body || {}
+
+    let invoice
+    try {
+      invoice = await supplierInvoiceService.matchInvoice(merchant.id, req.params.id, purchaseOrderId || null)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    })
+  } catch (error) {
+    console.error('Error matching invoice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to match invoice',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/invoices/:id/approve - Accept an invoice after review
+router.post('/:id/approve', requirePermission('canApprovePurchaseOrders'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let invoice
+    try {
+      invoice = await supplierInvoiceService.approveInvoice(merchant.id, req.params.id, req.body?.notes)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    })
+  } catch (error) {
+    console.error('Error approving invoice:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve invoice',
+      details: error.message
+    })
+  }
+})
+
+export default router
@@ -5,6 +5,7 @@
 import express from 'express'
 import { db } from '../lib/db.js'
 import { productConsolidationService } from '../lib/productConsolidationService.js'
+import { supplierProfileService } from '../services/supplierProfileService.js'
 
 const router = express.Router()
 
@@ -113,7 +114,7 @@ router.put('/:id', async (req, res) => {
       where: { id: req.params.id },
       include: {
         purchaseOrder: {
-          select: { merchantId: true }
+          select: { merchantId: true, supplierId: true }
         }
       }
     })
@@ -130,6 +131,15 @@ router.put('/:id', async (req, res) => {
       data: req.body
     })
 
+    // Feed the correction into the supplier's parsing profile (learning mode)
+    try {
+      await supplierProfileService.learnFromLineItemEdits(merchant.id, lineItem.purchaseOrder.supplierId, [
+        { before: lineItem, after: req.body }
+      ])
+    } catch (learningError) {
+      console.warn('⚠️ Failed to learn from line item correction:', learningError.message)
+    }
+
     res.json({
       success: true,
       data: updatedLineItem
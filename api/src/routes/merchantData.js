@@ -326,7 +326,8 @@ router.get('/notifications', async (req, res) => {
     const [
       failedJobs,
       recentPOs,
-      pendingReviews
+      pendingReviews,
+      priceAlerts
     ] = await Promise.all([
       // Failed jobs in last 24 hours
       prisma.purchaseOrder.findMany({
@@ -381,6 +382,28 @@ router.get('/notifications', async (req, res) => {
           createdAt: true
         },
         take: 5
+      }),
+
+      // Supplier unit cost changes awaiting review
+      prisma.priceAlert.findMany({
+        where: {
+          merchantId: merchant.id,
+          status: 'open'
+        },
+        select: {
+          id: true,
+          purchaseOrderId: true,
+          sku: true,
+          supplierName: true,
+          previousUnitCost: true,
+          newUnitCost: true,
+          changePercent: true,
+          currency: true,
+          createdAt: true,
+          purchaseOrder: { select: { number: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 5
       })
     ])
 
@@ -435,6 +458,23 @@ router.get('/notifications', async (req, res) => {
       })
     })
 
+    // Add supplier price change notifications
+    priceAlerts.forEach(alert => {
+      const direction = alert.changePercent > 0 ? 'up' : 'down'
+      notifications.push({
+        id: `price-${alert.id}`,
+        type: 'warning',
+        title: 'Supplier Price Change',
+        message: `${alert.sku} ${direction} ${Math.abs(alert.changePercent)}% on ${alert.purchaseOrder?.number || 'a new PO'}`,
+        details: `${alert.supplierName || 'Supplier'}: ${alert.currency || ''} ${alert.previousUnitCost} → ${alert.newUnitCost}`.trim(),
+        timestamp: alert.createdAt,
+        action: {
+          type: 'review',
+          poId: alert.purchaseOrderId
+        }
+      })
+    })
+
     // Sort by timestamp descending
     notifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
 
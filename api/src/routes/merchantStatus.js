@@ -8,6 +8,7 @@ import express from 'express'
 import { errorHandlingService } from '../lib/errorHandlingService.js'
 import { workflowOrchestrator } from '../lib/workflowOrchestrator.js'
 import { db } from '../lib/db.js'
+import { requirePermission } from '../lib/merchantAuth.js'
 
 const router = express.Router()
 
@@ -155,7 +156,7 @@ router.post('/retry/:workflowId', async (req, res) => {
  * POST /api/merchant/approve/:workflowId
  * Approve a workflow that requires manual review
  */
-router.post('/approve/:workflowId', async (req, res) => {
+router.post('/approve/:workflowId', requirePermission('canApprovePurchaseOrders'), async (req, res) => {
   try {
     const { workflowId } = req.params
     const { approvedData, notes } = req.body
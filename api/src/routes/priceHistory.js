@@ -0,0 +1,203 @@
+/**
+ * Price History API routes
+ * Supplier unit cost history per SKU / supplier and cost-change alerts
+ */
+
+import express from 'express'
+import { priceHistoryService, PRICE_ALERT_STATUSES } from '../services/priceHistoryService.js'
+
+const router = express.Router()
+
+// GET /api/price-history/sku/:sku?supplierId= - Unit cost history for a SKU
+router.get('/sku/:sku', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const history = await priceHistoryService.getSkuHistory(merchant.id, req.params.sku, {
+      supplierId: req.query.supplierId || undefined
+    })
+
+    res.json({
+      success: true,
+      data: history
+    })
+  } catch (error) {
+    console.error('Error fetching SKU price history:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price history',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/price-history/supplier/:supplierId - Latest cost and change per SKU for a supplier
+router.get('/supplier/:supplierId', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const history = await priceHistoryService.getSupplierHistory(merchant.id, req.params.supplierId)
+
+    res.json({
+      success: true,
+      data: history
+    })
+  } catch (error) {
+    console.error('Error fetching supplier price history:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supplier price history',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/price-history/alerts?status=open&purchaseOrderId=&sku= - Cost-change alerts
+router.get('/alerts', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { status, purchaseOrderId, sku, limit = 50 } = req.query
+    if (status && !PRICE_ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${PRICE_ALERT_STATUSES.join(', ')}`
+      })
+    }
+
+    const alerts = await priceHistoryService.listAlerts(merchant.id, {
+      status,
+      purchaseOrderId,
+      sku,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    })
+
+    res.json({
+      success: true,
+      data: alerts
+    })
+  } catch (error) {
+    console.error('Error fetching price alerts:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price alerts',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/price-history/alerts/:id/acknowledge - Mark a cost change as reviewed
+router.post('/alerts/:id/acknowledge', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const updated = await priceHistoryService.acknowledgeAlert(merchant.id, req.params.id)
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price alert not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Price alert acknowledged'
+    })
+  } catch (error) {
+    console.error('Error acknowledging price alert:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge price alert',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/price-history/settings - Alert threshold
+router.get('/settings', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const settings = await priceHistoryService.getSettings(merchant.id)
+
+    res.json({
+      success: true,
+      data: settings
+    })
+  } catch (error) {
+    console.error('Error fetching price alert settings:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price alert settings',
+      details: error.message
+    })
+  }
+})
+
+// PUT /api/price-history/settings - Change the alert threshold (percent)
+router.put('/settings', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let settings
+    try {
+      settings = await priceHistoryService.updateSettings(merchant.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.json({
+      success: true,
+      data: settings
+    })
+  } catch (error) {
+    console.error('Error updating price alert settings:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update price alert settings',
+      details: error.message
+    })
+  }
+})
+
+export default router
@@ -259,7 +259,16 @@ function estimateProcessingTime(fileSize, mimeType) {
     'image/webp': 22,
     'text/csv': 5,
     'application/vnd.ms-excel': 8,
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 8
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 8,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 10,
+    'text/html': 8,
+    'text/plain': 8,
+    // Each attachment is parsed as its own candidate
+    'message/rfc822': 25,
+    'application/vnd.ms-outlook': 25,
+    // Mapped from segments, no AI call
+    'application/edi-x12': 3,
+    'application/edifact': 3
   }
 
   const baseTime = baseTimes[mimeType] || 15
@@ -1,10 +1,41 @@
 import express from 'express'
-import { SimpleProductDraftService } from '../services/simpleProductDraftService.js'
+import { SimpleProductDraftService, reviewAction } from '../services/simpleProductDraftService.js'
+import { auditLogService } from '../services/auditLogService.js'
 import { db } from '../lib/db.js'
 
 const router = express.Router()
 const productDraftService = new SimpleProductDraftService(db)
 
+// Statuses that decide a draft's fate; setting them is a review
+const REVIEW_DECISIONS = ['APPROVED', 'REJECTED']
+
+function canApplyStatus(req, status) {
+  return !REVIEW_DECISIONS.includes(status) || req.staffUser?.permissions?.canReviewProductDrafts === true
+}
+
+async function findAuditSnapshot(id) {
+  const prisma = await db.getClient()
+  return prisma.productDraft.findUnique({ where: { id } })
+}
+
+// Update one draft as the acting staff member and record the change in the audit log
+async function updateDraftWithAudit(req, id, updateData) {
+  const before = await findAuditSnapshot(id)
+  const productDraft = await productDraftService.updateProductDraft(id, updateData, {
+    reviewer: req.staffUser?.name || null
+  })
+
+  await auditLogService.recordFromRequest(req, {
+    action: `product_draft.${reviewAction(updateData?.status)}`,
+    entityType: 'product_draft',
+    entityId: id,
+    before,
+    after: productDraft
+  })
+
+  return productDraft
+}
+
 // Get product draft by line item ID
 router.get('/by-line-item/:lineItemId', async (req, res) => {
   try {
@@ -308,13 +339,20 @@ router.post('/', async (req, res) => {
   }
 })
 
-// Update a product draft
+// Update a product draft (approving or rejecting needs canReviewProductDrafts)
 router.patch('/:id', async (req, res) => {
   try {
     const { id } = req.params
     const updateData = req.body
     
-    const productDraft = await productDraftService.updateProductDraft(id, updateData)
+    if (!canApplyStatus(req, updateData?.status)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Missing required permission: canReviewProductDrafts'
+      })
+    }
+
+    const productDraft = await updateDraftWithAudit(req, id, updateData)
     
     res.json({
       success: true,
@@ -342,7 +380,15 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params
     
+    const before = await findAuditSnapshot(id)
     await productDraftService.deleteProductDraft(id)
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'product_draft.deleted',
+      entityType: 'product_draft',
+      entityId: id,
+      before
+    })
     
     res.json({
       success: true,
@@ -397,8 +443,15 @@ router.patch('/bulk/update', async (req, res) => {
       })
     }
     
+    if (!canApplyStatus(req, updateData?.status)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Missing required permission: canReviewProductDrafts'
+      })
+    }
+
     const updatePromises = productDraftIds.map(id => 
-      productDraftService.updateProductDraft(id, updateData)
+      updateDraftWithAudit(req, id, updateData)
     )
     
     const results = await Promise.allSettled(updatePromises)
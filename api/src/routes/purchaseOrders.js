@@ -4,10 +4,30 @@
 
 import express from 'express'
 import { db } from '../lib/db.js'
+import { requirePermission } from '../lib/merchantAuth.js'
 import { workflowOrchestrator } from '../lib/workflowOrchestrator.js'
+import { shopifySyncService } from '../lib/shopifySyncService.js'
+import { outboundPurchaseOrderService } from '../services/outboundPurchaseOrderService.js'
+import { buildPurchaseOrderCsv, buildPurchaseOrderPdf } from '../services/outboundPurchaseOrderEngine.js'
+import { receivingService } from '../services/receivingService.js'
+import { supplierInvoiceService } from '../services/supplierInvoiceService.js'
+import { purchaseOrderVersionService } from '../services/purchaseOrderVersionService.js'
+import { supplierProfileService } from '../services/supplierProfileService.js'
+import { auditLogService } from '../services/auditLogService.js'
+import { VERSION_STATUSES } from '../services/purchaseOrderVersionEngine.js'
+import { DatabasePersistenceService } from '../lib/databasePersistenceService.js'
 
 const router = express.Router()
 
+// Purchase order with its line items, as recorded in audit snapshots
+async function findAuditSnapshot(merchantId, id) {
+  const prisma = await db.getClient()
+  return prisma.purchaseOrder.findFirst({
+    where: { id, merchantId },
+    include: { lineItems: { orderBy: { createdAt: 'asc' } } }
+  })
+}
+
 // Test endpoint to verify route registration
 router.get('/test', (req, res) => {
   res.json({ success: true, message: 'Purchase orders route is working!', merchant: req.merchant?.id })
@@ -23,148 +43,830 @@ router.get('/', async (req, res) => {
       'Expires': '0',
       'Surrogate-Control': 'no-store'
     })
-    
-    // Get merchant from authenticated request (set by verifyShopifyRequest middleware)
+    
+    // Get merchant from authenticated request (set by verifyShopifyRequest middleware)
+    const merchant = req.merchant
+    
+    if (!merchant || !merchant.id) {
+      console.error('No authenticated merchant found in request')
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+    
+    console.log(`📋 Fetching purchase orders for merchant: ${merchant.shopDomain} (${merchant.id})`)
+
+    // Parse and validate query parameters
+    const limit = Math.min(parseInt(req.query.limit) || 50, 10000) // Cap at 10000 to load all orders
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0)   // Non-negative
+    const status = req.query.status?.toString().trim()
+    const supplierId = req.query.supplierId?.toString().trim()
+    const direction = req.query.direction?.toString().trim()
+
+    // Build where clause
+    const where = { merchantId: merchant.id }
+    if (status && ['pending', 'processing', 'completed', 'failed', 'review_needed', 'approved', 'syncing', 'synced', 'sync_failed', 'draft', 'sent', 'confirmed', 'cancelled', 'partially_received', 'received'].includes(status)) {
+      where.status = status
+    }
+    if (direction && ['inbound', 'outbound'].includes(direction)) {
+      where.direction = direction
+    }
+    if (supplierId) {
+      where.supplierId = supplierId
+    }
+
+    // Handle date filtering safely
+    if (req.query.dateFrom || req.query.dateTo) {
+      where.createdAt = {}
+      if (req.query.dateFrom) {
+        const fromDate = new Date(req.query.dateFrom)
+        if (!isNaN(fromDate.getTime())) {
+          where.createdAt.gte = fromDate
+        }
+      }
+      if (req.query.dateTo) {
+        const toDate = new Date(req.query.dateTo)
+        if (!isNaN(toDate.getTime())) {
+          where.createdAt.lte = toDate
+        }
+      }
+    }
+
+    // Execute database queries with error handling
+    let orders = []
+    let total = 0
+
+    const prisma = await db.getClient()
+
+    try {
+      // Get orders with safe includes
+      orders = await prisma.purchaseOrder.findMany({
+        where,
+        select: {
+          id: true,
+          number: true,
+          supplierName: true,
+          orderDate: true,
+          dueDate: true,
+          totalAmount: true,
+          currency: true,
+          status: true,
+          direction: true,
+          linkedPurchaseOrderId: true,
+          sentAt: true,
+          confirmedAt: true,
+          confidence: true,
+          fileName: true,
+          fileSize: true,
+          processingNotes: true,
+          rawData: true, // Include AI analysis data
+          createdAt: true,
+          updatedAt: true,
+          supplierId: true,
+          supplier: {
+            select: {
+              id: true,
+              name: true,
+              status: true
+            }
+          },
+          lineItems: {
+            select: {
+              id: true,
+              productName: true,    // Fixed: was itemName
+              description: true,    // Fixed: was itemDescription
+              quantity: true,
+              unitCost: true,       // Fixed: was unitPrice
+              totalCost: true,      // Fixed: was totalPrice
+              sku: true,            // Using sku instead of productCode
+              status: true,
+              confidence: true,
+              createdAt: true
+            },
+            orderBy: {
+              createdAt: 'asc'
+            }
+          },
+          _count: {
+            select: {
+              lineItems: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      })
+
+      // Get total count
+  total = await prisma.purchaseOrder.count({ where })
+
+    } catch (queryError) {
+      console.error('Database query error:', queryError)
+      // Return empty result instead of failing
+      orders = []
+      total = 0
+    }
+
+    // Transform data to match frontend expectations
+    const transformedOrders = orders.map(order => ({
+      ...order,
+      totalItems: order._count?.lineItems || 0
+    }))
+
+    console.log(`Purchase orders endpoint: Found ${orders.length} orders, total: ${total}`)
+
+    res.json({
+      success: true,
+      data: {
+        orders: transformedOrders,
+        total,
+        limit,
+        offset
+      }
+    })
+
+  } catch (error) {
+    console.error('Purchase orders endpoint error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error - please try again later',
+      code: 'INTERNAL_ERROR'
+    })
+  }
+})
+
+// GET /api/purchase-orders/outbound/last-costs?skus=A,B&supplierId= - Last price paid per SKU
+router.get('/outbound/last-costs', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const skus = (req.query.skus?.toString() || '')
+      .split(',')
+      .map((sku) => sku.trim())
+      .filter(Boolean)
+      .slice(0, 100)
+    const supplierId = req.query.supplierId?.toString().trim() || null
+
+    const costs = await outboundPurchaseOrderService.getLastPaidCosts(merchant.id, skus, supplierId)
+
+    res.json({
+      success: true,
+      data: costs
+    })
+  } catch (error) {
+    console.error('Error fetching last paid costs:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch last paid costs',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/purchase-orders/outbound - Create a draft PO to send to a supplier
+router.post('/outbound', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let order
+    try {
+      order = await outboundPurchaseOrderService.createDraft(merchant.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code === 'P2002') {
+        return res.status(400).json({
+          success: false,
+          error: 'Purchase order number already exists'
+        })
+      }
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.created',
+      entityType: 'purchase_order',
+      entityId: order.id,
+      after: order,
+      metadata: { direction: 'outbound' }
+    })
+
+    res.status(201).json({
+      success: true,
+      data: order
+    })
+  } catch (error) {
+    console.error('Error creating outbound purchase order:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create outbound purchase order',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/purchase-orders/outbound/from-restock/:suggestionId - Draft a PO from a restock suggestion
+router.post('/outbound/from-restock/:suggestionId', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let order
+    try {
+      order = await outboundPurchaseOrderService.createFromRestockSuggestion(
+        merchant.id,
+        req.params.suggestionId,
+        req.body || {}
+      )
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Restock suggestion not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.created',
+      entityType: 'purchase_order',
+      entityId: order.id,
+      after: order,
+      metadata: { direction: 'outbound', restockSuggestionId: req.params.suggestionId }
+    })
+
+    res.status(201).json({
+      success: true,
+      data: order
+    })
+  } catch (error) {
+    console.error('Error creating PO from restock suggestion:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create purchase order from restock suggestion',
+      details: error.message
+    })
+  }
+})
+
+// PATCH /api/purchase-orders/outbound/:id/status - Mark an outbound PO sent, confirmed or cancelled
+router.patch('/outbound/:id/status', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { status } = req.body || {}
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
+
+    let updated
+    try {
+      updated = await outboundPurchaseOrderService.updateStatus(merchant.id, req.params.id, status)
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Outbound purchase order not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.status_changed',
+      entityType: 'purchase_order',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id)
+    })
+
+    res.json({
+      success: true,
+      message: `Purchase order marked ${status}`
+    })
+  } catch (error) {
+    console.error('Error updating outbound purchase order:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update outbound purchase order',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/purchase-orders/outbound/:id/export.:format - Download an outbound PO as CSV or PDF
+router.get('/outbound/:id/export.:format', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { format } = req.params
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be csv or pdf'
+      })
+    }
+
+    const order = await outboundPurchaseOrderService.getOrder(merchant.id, req.params.id)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Outbound purchase order not found'
+      })
+    }
+
+    const fileName = `${order.number.replace(/[^A-Za-z0-9_-]/g, '_')}.${format}`
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`)
+
+    if (format === 'csv') {
+      res.type('text/csv').send(buildPurchaseOrderCsv(order))
+    } else {
+      res.type('application/pdf').send(buildPurchaseOrderPdf(order))
+    }
+  } catch (error) {
+    console.error('Error exporting outbound purchase order:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export purchase order',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/purchase-orders/receiving/locations - Shopify locations stock can be received into
+router.get('/receiving/locations', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const locations = await receivingService.listLocations(merchant.id)
+
+    res.json({
+      success: true,
+      data: locations
+    })
+  } catch (error) {
+    console.error('Error fetching receiving locations:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch locations',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/purchase-orders/:id/receiving - Received/short/over/damaged counts and receipt history
+router.get('/:id/receiving', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const receiving = await receivingService.getReceiving(merchant.id, req.params.id)
+    if (!receiving) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: receiving
+    })
+  } catch (error) {
+    console.error('Error fetching receiving status:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch receiving status',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/purchase-orders/:id/versions - Snapshots recorded on each processing run
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const versions = await purchaseOrderVersionService.listVersions(merchant.id, req.params.id)
+
+    res.json({
+      success: true,
+      data: versions
+    })
+  } catch (error) {
+    console.error('Error fetching purchase order versions:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase order versions',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/purchase-orders/:id/versions/diff?from=1&to=2&compareTo=<poId> - Added, removed and changed line items
+router.get('/:id/versions/diff', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const from = req.query.from ? parseInt(req.query.from) : undefined
+    const to = req.query.to ? parseInt(req.query.to) : undefined
+    if ((req.query.from && !Number.isInteger(from)) || (req.query.to && !Number.isInteger(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be version numbers'
+      })
+    }
+
+    let diff
+    try {
+      diff = await purchaseOrderVersionService.getDiff(merchant.id, req.params.id, {
+        from,
+        to,
+        compareTo: req.query.compareTo || undefined
+      })
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        error: 'No versions recorded for this purchase order'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    })
+  } catch (error) {
+    console.error('Error diffing purchase order versions:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff purchase order versions',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/purchase-orders/:id/versions/:version/accept - Replace the PO's lines with a pending version
+router.post('/:id/versions/:version/accept', requirePermission('canApprovePurchaseOrders'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const versionNumber = parseInt(req.params.version)
+    const version = Number.isInteger(versionNumber)
+      ? await purchaseOrderVersionService.getVersion(merchant.id, req.params.id, versionNumber)
+      : null
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      })
+    }
+    if (version.status !== VERSION_STATUSES.PENDING) {
+      return res.status(409).json({
+        success: false,
+        error: `Version ${version.version} is ${version.status} and can no longer be accepted`
+      })
+    }
+
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
+
+    let result
+    try {
+      result = await new DatabasePersistenceService().persistAIResults(
+        version.stagedResult,
+        merchant.id,
+        version.fileName,
+        {
+          purchaseOrderId: req.params.id,
+          stagedVersionId: version.id,
+          workflowId: version.workflowId,
+          source: 'version_accept'
+        }
+      )
+    } catch (persistError) {
+      if (persistError.code === 'VERSION_NOT_PENDING') {
+        return res.status(409).json({
+          success: false,
+          error: `Version ${version.version} has already been reviewed`
+        })
+      }
+      if (persistError.code !== 'PO_HAS_RECEIPTS') throw persistError
+      return res.status(409).json({
+        success: false,
+        error: 'Purchase order has received shipments and its line items can no longer be replaced'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.edited',
+      entityType: 'purchase_order',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id),
+      metadata: { acceptedVersion: version.version }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        purchaseOrder: result.purchaseOrder,
+        lineItems: result.lineItems,
+        version: result.version
+      }
+    })
+  } catch (error) {
+    console.error('Error accepting purchase order version:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept purchase order version',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/purchase-orders/:id/versions/:version/reject - Discard a pending version and keep the current lines
+router.post('/:id/versions/:version/reject', requirePermission('canApprovePurchaseOrders'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const versionNumber = parseInt(req.params.version)
+    if (!Number.isInteger(versionNumber)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      })
+    }
+
+    const rejected = await purchaseOrderVersionService.rejectVersion(merchant.id, req.params.id, versionNumber)
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        error: `Version ${versionNumber} is not waiting for review`
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await purchaseOrderVersionService.getVersion(merchant.id, req.params.id, versionNumber)
+    })
+  } catch (error) {
+    console.error('Error rejecting purchase order version:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject purchase order version',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/purchase-orders/:id/discrepancies - Three-way match report for each invoice billed against the PO
+router.get('/:id/discrepancies', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const discrepancies = await supplierInvoiceService.getPurchaseOrderDiscrepancies(merchant.id, req.params.id)
+    if (!discrepancies) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: discrepancies
+    })
+  } catch (error) {
+    console.error('Error fetching invoice discrepancies:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invoice discrepancies',
+      details: error.message
+    })
+  }
+})
+
+// PATCH /api/purchase-orders/:id/delivery - Expected ship/arrival dates and when the supplier shipped
+router.patch('/:id/delivery', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
+
+    let dates
+    try {
+      dates = await receivingService.updateDeliveryDates(merchant.id, req.params.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!dates) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.delivery_updated',
+      entityType: 'purchase_order',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id)
+    })
+
+    res.json({
+      success: true,
+      data: dates
+    })
+  } catch (error) {
+    console.error('Error updating delivery dates:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update delivery dates',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/purchase-orders/:id/receipts - Record a shipment and add the received stock in Shopify
+router.post('/:id/receipts', async (req, res) => {
+  try {
     const merchant = req.merchant
-    
     if (!merchant || !merchant.id) {
-      console.error('No authenticated merchant found in request')
       return res.status(401).json({
         success: false,
         error: 'Merchant authentication required'
       })
     }
-    
-    console.log(`📋 Fetching purchase orders for merchant: ${merchant.shopDomain} (${merchant.id})`)
-
-    // Parse and validate query parameters
-    const limit = Math.min(parseInt(req.query.limit) || 50, 10000) // Cap at 10000 to load all orders
-    const offset = Math.max(parseInt(req.query.offset) || 0, 0)   // Non-negative
-    const status = req.query.status?.toString().trim()
-    const supplierId = req.query.supplierId?.toString().trim()
 
-    // Build where clause
-    const where = { merchantId: merchant.id }
-    if (status && ['pending', 'processing', 'completed', 'failed', 'review_needed'].includes(status)) {
-      where.status = status
-    }
-    if (supplierId) {
-      where.supplierId = supplierId
+    let result
+    try {
+      result = await receivingService.recordReceipt(merchant.id, req.params.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
     }
 
-    // Handle date filtering safely
-    if (req.query.dateFrom || req.query.dateTo) {
-      where.createdAt = {}
-      if (req.query.dateFrom) {
-        const fromDate = new Date(req.query.dateFrom)
-        if (!isNaN(fromDate.getTime())) {
-          where.createdAt.gte = fromDate
-        }
-      }
-      if (req.query.dateTo) {
-        const toDate = new Date(req.query.dateTo)
-        if (!isNaN(toDate.getTime())) {
-          where.createdAt.lte = toDate
-        }
-      }
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
     }
 
-    // Execute database queries with error handling
-    let orders = []
-    let total = 0
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.received',
+      entityType: 'purchase_order',
+      entityId: req.params.id,
+      after: result
+    })
 
-    const prisma = await db.getClient()
+    res.status(201).json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error recording receipt:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record receipt',
+      details: error.message
+    })
+  }
+})
 
-    try {
-      // Get orders with safe includes
-      orders = await prisma.purchaseOrder.findMany({
-        where,
-        select: {
-          id: true,
-          number: true,
-          supplierName: true,
-          orderDate: true,
-          dueDate: true,
-          totalAmount: true,
-          currency: true,
-          status: true,
-          confidence: true,
-          fileName: true,
-          fileSize: true,
-          processingNotes: true,
-          rawData: true, // Include AI analysis data
-          createdAt: true,
-          updatedAt: true,
-          supplierId: true,
-          supplier: {
-            select: {
-              id: true,
-              name: true,
-              status: true
-            }
-          },
-          lineItems: {
-            select: {
-              id: true,
-              productName: true,    // Fixed: was itemName
-              description: true,    // Fixed: was itemDescription
-              quantity: true,
-              unitCost: true,       // Fixed: was unitPrice
-              totalCost: true,      // Fixed: was totalPrice
-              sku: true,            // Using sku instead of productCode
-              status: true,
-              confidence: true,
-              createdAt: true
-            },
-            orderBy: {
-              createdAt: 'asc'
-            }
-          },
-          _count: {
-            select: {
-              lineItems: true
-            }
-          }
-        },
-        orderBy: { createdAt: 'desc' },
-        take: limit,
-        skip: offset
+// POST /api/purchase-orders/:id/receipts/:receiptId/retry-inventory - Retry failed Shopify adjustments
+router.post('/:id/receipts/:receiptId/retry-inventory', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
       })
-
-      // Get total count
-  total = await prisma.purchaseOrder.count({ where })
-
-    } catch (queryError) {
-      console.error('Database query error:', queryError)
-      // Return empty result instead of failing
-      orders = []
-      total = 0
     }
 
-    // Transform data to match frontend expectations
-    const transformedOrders = orders.map(order => ({
-      ...order,
-      totalItems: order._count?.lineItems || 0
-    }))
-
-    console.log(`Purchase orders endpoint: Found ${orders.length} orders, total: ${total}`)
+    const result = await receivingService.adjustInventoryForReceipt(merchant.id, req.params.receiptId)
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Receipt not found'
+      })
+    }
 
     res.json({
       success: true,
-      data: {
-        orders: transformedOrders,
-        total,
-        limit,
-        offset
-      }
+      data: result
     })
-
   } catch (error) {
-    console.error('Purchase orders endpoint error:', error)
+    console.error('Error retrying inventory adjustment:', error)
     res.status(500).json({
       success: false,
-      error: 'Server error - please try again later',
-      code: 'INTERNAL_ERROR'
+      error: 'Failed to retry inventory adjustment',
+      details: error.message
     })
   }
 })
@@ -258,6 +960,13 @@ router.post('/', async (req, res) => {
       }
     })
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.created',
+      entityType: 'purchase_order',
+      entityId: order.id,
+      after: order
+    })
+
     res.status(201).json({
       success: true,
       data: order
@@ -289,6 +998,7 @@ router.put('/:id', async (req, res) => {
     }
 
   const prisma = await db.getClient()
+  const before = await findAuditSnapshot(merchant.id, req.params.id)
 
   const order = await prisma.purchaseOrder.updateMany({
       where: { 
@@ -317,6 +1027,14 @@ router.put('/:id', async (req, res) => {
       }
     })
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.updated',
+      entityType: 'purchase_order',
+      entityId: req.params.id,
+      before,
+      after: updatedOrder
+    })
+
     res.json({
       success: true,
       data: updatedOrder
@@ -331,7 +1049,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/purchase-orders/:id - Delete purchase order
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('canDeletePurchaseOrders'), async (req, res) => {
   try {
     const merchant = req.merchant
     if (!merchant || !merchant.id) {
@@ -343,6 +1061,13 @@ router.delete('/:id', async (req, res) => {
 
     const poId = req.params.id
     const prisma = await db.getClient()
+    const before = await findAuditSnapshot(merchant.id, poId)
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
 
     // Manually delete related records in the correct order to respect foreign key constraints
     // 1. Delete product images (depends on product drafts)
@@ -413,14 +1138,21 @@ router.delete('/:id', async (req, res) => {
       }
     })
 
-    // 9. Delete PO line items
+    // 9. Delete receipts (their lines reference the line items below)
+    await prisma.purchaseOrderReceipt.deleteMany({
+      where: {
+        purchaseOrderId: poId
+      }
+    })
+
+    // 10. Delete PO line items
     await prisma.pOLineItem.deleteMany({
       where: {
         purchaseOrderId: poId
       }
     })
 
-    // 10. Finally, delete the purchase order itself
+    // 11. Finally, delete the purchase order itself
     const order = await prisma.purchaseOrder.deleteMany({
       where: { 
         id: poId,
@@ -435,6 +1167,13 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.deleted',
+      entityType: 'purchase_order',
+      entityId: poId,
+      before
+    })
+
     res.json({
       success: true,
       message: 'Purchase order deleted successfully'
@@ -450,7 +1189,7 @@ router.delete('/:id', async (req, res) => {
 })
 
 // POST /api/purchase-orders/:id/deny - Deny a purchase order
-router.post('/:id/deny', async (req, res) => {
+router.post('/:id/deny', requirePermission('canApprovePurchaseOrders'), async (req, res) => {
   try {
     const merchant = req.merchant
     if (!merchant || !merchant.id) {
@@ -462,6 +1201,14 @@ router.post('/:id/deny', async (req, res) => {
 
     const { reason } = req.body
 
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
+
     // Update the purchase order status to denied
     const prisma = await db.getClient()
 
@@ -481,6 +1228,15 @@ router.post('/:id/deny', async (req, res) => {
 
     console.log(`Purchase order ${req.params.id} denied by merchant: ${reason || 'No reason provided'}`)
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.denied',
+      entityType: 'purchase_order',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id),
+      metadata: { reason: reason || null }
+    })
+
     res.json({
       success: true,
       message: 'Purchase order denied successfully',
@@ -496,7 +1252,7 @@ router.post('/:id/deny', async (req, res) => {
 })
 
 // POST /api/purchase-orders/:id/approve - Approve and sync to Shopify
-router.post('/:id/approve', async (req, res) => {
+router.post('/:id/approve', requirePermission('canApprovePurchaseOrders'), async (req, res) => {
   try {
     const merchant = req.merchant
     if (!merchant || !merchant.id) {
@@ -508,11 +1264,28 @@ router.post('/:id/approve', async (req, res) => {
 
     const { editedData } = req.body
 
+    const prisma = await db.getClient()
+
+    const existingOrder = await prisma.purchaseOrder.findFirst({
+      where: {
+        id: req.params.id,
+        merchantId: merchant.id
+      },
+      select: { id: true, status: true }
+    })
+
+    if (!existingOrder) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
+
+    const before = await findAuditSnapshot(merchant.id, existingOrder.id)
+
     // Update the purchase order with any edited data
     const updateData = {
-      status: 'completed', // Change from 'approved' to 'completed' - the final successful state
-      jobStatus: 'processing',
-      jobStartedAt: new Date(),
+      status: 'approved', // syncing -> synced/sync_failed is driven by the Shopify sync job
       updatedAt: new Date()
     }
 
@@ -525,34 +1298,76 @@ router.post('/:id/approve', async (req, res) => {
       if (editedData.processingNotes) updateData.processingNotes = editedData.processingNotes
     }
 
-    const prisma = await db.getClient()
-
-    const updatedOrder = await prisma.purchaseOrder.update({
-      where: { 
-        id: req.params.id,
-        merchantId: merchant.id 
+    // Conditional so a sync that started after the lookup above isn't approved again
+    const approved = await prisma.purchaseOrder.updateMany({
+      where: {
+        id: existingOrder.id,
+        merchantId: merchant.id,
+        status: { notIn: ['syncing', 'synced'] }
       },
       data: updateData
     })
 
+    if (approved.count === 0) {
+      const current = await prisma.purchaseOrder.findUnique({
+        where: { id: existingOrder.id },
+        select: { status: true }
+      })
+      return res.status(409).json({
+        success: false,
+        error: `Purchase order is already ${current?.status || 'syncing'}`
+      })
+    }
+
+    const updatedOrder = await prisma.purchaseOrder.findUnique({
+      where: { id: existingOrder.id }
+    })
+
     console.log(`Purchase order ${req.params.id} approved by merchant - initiating Shopify sync`)
 
-    // TODO: Trigger Shopify sync workflow here
-    // For now, just mark as completed (approved and ready)
-    await prisma.purchaseOrder.update({
-      where: { id: req.params.id },
-      data: {
-        status: 'completed', // Final successful state after approval
-        jobStatus: 'completed',
-        jobCompletedAt: new Date(),
-        processingNotes: (updateData.processingNotes || '') + ' (Approved by merchant, Shopify sync pending)'
+    let queued
+    let workflowId
+    try {
+      queued = await shopifySyncService.queuePurchaseOrderSync(updatedOrder.id, 'high')
+      if (!queued.success) {
+        throw new Error(`Failed to queue Shopify sync: ${queued.error}`)
       }
+
+      workflowId = await workflowOrchestrator.startShopifySync({
+        purchaseOrderId: updatedOrder.id,
+        merchantId: merchant.id,
+        syncJobId: queued.jobId
+      })
+    } catch (syncError) {
+      console.error(`Failed to start Shopify sync for purchase order ${updatedOrder.id}:`, syncError)
+
+      // Nothing will move the PO on from approved, so mark it failed and let it be approved again
+      await prisma.purchaseOrder.update({
+        where: { id: updatedOrder.id },
+        data: { status: 'sync_failed', updatedAt: new Date() }
+      })
+
+      return res.status(500).json({
+        success: false,
+        error: 'Purchase order approved but the Shopify sync could not be started - approve it again to retry'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.approved',
+      entityType: 'purchase_order',
+      entityId: updatedOrder.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, updatedOrder.id),
+      metadata: { syncJobId: queued.jobId, workflowId }
     })
 
     res.json({
       success: true,
-      message: 'Purchase order approved successfully',
-      data: updatedOrder
+      message: 'Purchase order approved - Shopify sync started',
+      data: updatedOrder,
+      syncJobId: queued.jobId,
+      workflowId
     })
   } catch (error) {
     console.error('Approve purchase order error:', error)
@@ -597,6 +1412,7 @@ router.post('/:id/edit', async (req, res) => {
     if (editedData.status) updateData.status = editedData.status
 
     const prisma = await db.getClient()
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
 
     const updatedOrder = await prisma.purchaseOrder.update({
       where: { 
@@ -615,6 +1431,10 @@ router.post('/:id/edit', async (req, res) => {
       }
     })
 
+    // Line items as parsed, before the merchant's edits
+    const parsedLineItems = new Map(updatedOrder.lineItems.map(item => [item.id, item]))
+    const lineItemEdits = []
+
     // Handle line items updates if provided
     if (editedData.lineItems && Array.isArray(editedData.lineItems)) {
       console.log(`Updating ${editedData.lineItems.length} line items for PO ${req.params.id}`)
@@ -623,6 +1443,9 @@ router.post('/:id/edit', async (req, res) => {
       // In a full implementation, you'd handle create/update/delete operations
       for (const item of editedData.lineItems) {
         if (item.id) {
+          if (parsedLineItems.has(item.id)) {
+            lineItemEdits.push({ before: parsedLineItems.get(item.id), after: item })
+          }
           await prisma.pOLineItem.update({
             where: { id: item.id },
             data: {
@@ -639,8 +1462,40 @@ router.post('/:id/edit', async (req, res) => {
       }
     }
 
+    // Lines the merchant removed as not being products (headers, freight, notes)
+    const removedLineItems = Array.isArray(editedData.removedLineItemIds)
+      ? editedData.removedLineItemIds.map(id => parsedLineItems.get(id)).filter(Boolean)
+      : []
+    if (removedLineItems.length > 0) {
+      await prisma.pOLineItem.deleteMany({
+        where: {
+          id: { in: removedLineItems.map(item => item.id) },
+          purchaseOrderId: updatedOrder.id,
+          // Lines with goods received against them stay
+          receiptLines: { none: {} }
+        }
+      })
+    }
+
+    // Feed corrections into the supplier's parsing profile (learning mode)
+    try {
+      await supplierProfileService.learnFromLineItemEdits(merchant.id, updatedOrder.supplierId, lineItemEdits)
+      await supplierProfileService.learnArtifactLines(merchant.id, updatedOrder.supplierId, removedLineItems)
+    } catch (learningError) {
+      console.warn('⚠️ Failed to learn from purchase order corrections:', learningError.message)
+    }
+
     console.log(`Purchase order ${req.params.id} edited by merchant`)
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.edited',
+      entityType: 'purchase_order',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id),
+      metadata: { removedLineItemIds: removedLineItems.map(item => item.id) }
+    })
+
     res.json({
       success: true,
       message: 'Purchase order updated successfully',
@@ -658,28 +1513,49 @@ router.post('/:id/edit', async (req, res) => {
 
 
 // POST /api/purchase-orders/:id/reject - Reject a purchase order
-router.post('/:id/reject', async (req, res) => {
+router.post('/:id/reject', requirePermission('canApprovePurchaseOrders'), async (req, res) => {
   try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
     const { id } = req.params
     const { reason } = req.body
+
+    const before = await findAuditSnapshot(merchant.id, id)
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      })
+    }
     
     // Update PO status to rejected with reason
     const prisma = await db.getClient()
 
     const updatedPO = await prisma.purchaseOrder.update({
-      where: { id },
+      where: { id: before.id },
       data: {
         status: 'rejected',
-        aiResponse: {
-          ...updatedPO?.aiResponse || {},
-          rejectionReason: reason,
-          rejectedAt: new Date().toISOString()
-        },
+        processingNotes: reason || 'Rejected by merchant',
         updatedAt: new Date()
       }
     })
     
     console.log(`Purchase order ${id} rejected: ${reason}`)
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.rejected',
+      entityType: 'purchase_order',
+      entityId: id,
+      before,
+      after: await findAuditSnapshot(merchant.id, id),
+      metadata: { reason: reason || null }
+    })
     
     res.json({
       success: true,
@@ -706,7 +1582,8 @@ router.post('/:id/reprocess', async (req, res) => {
     const po = await prisma.purchaseOrder.findUnique({
       where: { id },
       include: {
-        upload: true
+        upload: true,
+        _count: { select: { receipts: true } }
       }
     })
     
@@ -716,6 +1593,14 @@ router.post('/:id/reprocess', async (req, res) => {
         error: 'Purchase order or associated upload not found'
       })
     }
+
+    // Reprocessing replaces every line item, and with them what was received
+    if (po._count.receipts > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Purchase order has received shipments and can no longer be reprocessed'
+      })
+    }
     
     // Use the singleton workflowOrchestrator instance
     // (Already imported at the top of the file)
@@ -1,38 +1,82 @@
 import express from 'express'
-import { verifyShopifyRequest } from '../lib/auth.js'
+import { verifyShopifyRequest, devBypassAuth } from '../lib/auth.js'
 import { redisManager } from '../lib/redisManager.js'
 import { db } from '../lib/db.js'
+import { resolveTtlSeconds, signRealtimeToken, verifyRealtimeToken } from '../services/realtimeTokenEngine.js'
 
 const router = express.Router()
 
+const sessionAuth = process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest
+
+/**
+ * Secret for signing stream tokens (falls back to the app's Shopify secret)
+ */
+function getTokenSecret() {
+  const secret = process.env.REALTIME_TOKEN_SECRET || process.env.SHOPIFY_API_SECRET
+  if (!secret && process.env.NODE_ENV === 'production') {
+    throw new Error('REALTIME_TOKEN_SECRET or SHOPIFY_API_SECRET is required for production')
+  }
+  return secret || 'development_secret'
+}
+
+/**
+ * POST /api/realtime/token
+ * Trade the Shopify session for a short-lived stream token
+ */
+router.post('/token', sessionAuth, (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { token, expiresAt } = signRealtimeToken(
+      { merchantId: merchant.id, staffUserId: req.staffUser?.id || null },
+      { secret: getTokenSecret(), ttlSeconds: resolveTtlSeconds(process.env.REALTIME_TOKEN_TTL_SECONDS) }
+    )
+
+    res.json({
+      success: true,
+      data: { token, expiresAt }
+    })
+  } catch (error) {
+    console.error('Error issuing realtime token:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue realtime token'
+    })
+  }
+})
+
 /**
  * SSE-specific authentication middleware
- * EventSource cannot send custom headers, so we use shop domain from query params
- * and verify against active merchants in the database
+ * EventSource cannot send custom headers, so the stream token from
+ * POST /api/realtime/token comes in the query string; it is bound to one
+ * merchant and expires after a few minutes
  */
 async function verifySSEConnection(req, res, next) {
   try {
-    const shop = req.query.shop
+    const result = verifyRealtimeToken(req.query.token, { secret: getTokenSecret() })
     
-    if (!shop) {
-      console.warn('🔐 SSE Auth rejected: missing shop parameter')
-      return res.status(401).json({ error: 'Missing shop parameter' })
+    if (!result.valid) {
+      console.warn(`🔐 SSE Auth rejected: ${result.reason} token`)
+      return res.status(401).json({ error: 'Invalid or expired stream token', reason: result.reason })
     }
     
     // Get merchant from database
     const prisma = await db.getClient()
     const merchant = await prisma.merchant.findFirst({
       where: {
-        OR: [
-          { shopDomain: shop },
-          { shopDomain: `${shop}.myshopify.com` }
-        ],
+        id: result.payload.merchantId,
         status: 'active'
       }
     })
     
     if (!merchant) {
-      console.warn(`🔐 SSE Auth rejected: merchant not found for shop ${shop}`)
+      console.warn(`🔐 SSE Auth rejected: merchant ${result.payload.merchantId} not active`)
       return res.status(401).json({ error: 'Unauthorized merchant' })
     }
     
@@ -40,6 +84,7 @@ async function verifySSEConnection(req, res, next) {
     req.merchant = merchant
     req.shop = merchant
     req.shopDomain = merchant.shopDomain
+    req.realtimeToken = result.payload
     
     console.log(`🔐 SSE Auth success for merchant ${merchant.id} (${merchant.shopDomain})`)
     next()
@@ -51,7 +96,10 @@ async function verifySSEConnection(req, res, next) {
 
 /**
  * SSE endpoint for real-time updates
- * GET /api/realtime/events?shop=example.myshopify.com
+ * GET /api/realtime/events?token=<stream token>
+ *
+ * The stream ends with a `token_expired` event when its token runs out; the
+ * client reconnects with a fresh token.
  */
 router.get('/events', verifySSEConnection, async (req, res) => {
   const merchantId = req.merchant.id
@@ -106,13 +154,27 @@ router.get('/events', verifySSEConnection, async (req, res) => {
       res.write(`: heartbeat ${Date.now()}\n\n`)
     }, 15000)
     
-    // Cleanup on client disconnect
-    req.on('close', () => {
-      console.log(`🔌 SSE disconnected for merchant: ${merchantId}`)
+    let closed = false
+    const cleanup = () => {
+      if (closed) return
+      closed = true
       clearInterval(heartbeat)
+      clearTimeout(expiry)
       subscriber.unsubscribe(...channels)
       subscriber.disconnect()
       res.end()
+    }
+    
+    // Close the stream when its token expires; the client reconnects with a new one
+    const expiry = setTimeout(() => {
+      res.write(`event: token_expired\ndata: ${JSON.stringify({ type: 'token_expired', timestamp: Date.now() })}\n\n`)
+      cleanup()
+    }, Math.max(req.realtimeToken.exp * 1000 - Date.now(), 0))
+    
+    // Cleanup on client disconnect
+    req.on('close', () => {
+      console.log(`🔌 SSE disconnected for merchant: ${merchantId}`)
+      cleanup()
     })
     
   } catch (error) {
@@ -2,6 +2,8 @@
 import { Router } from 'express';
 import { RefinementConfigService } from '../services/refinementConfigService.js';
 import { db } from '../lib/db.js';
+import { requirePermission } from '../lib/merchantAuth.js';
+import { auditLogService } from '../services/auditLogService.js';
 
 const router = Router();
 const refinementConfigService = new RefinementConfigService();
@@ -57,7 +59,7 @@ router.get('/', async (req, res) => {
  * PUT /api/refinement-config
  * Update merchant's refinement configuration
  */
-router.put('/', async (req, res) => {
+router.put('/', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const configUpdates = req.body;
@@ -69,11 +71,20 @@ router.put('/', async (req, res) => {
       });
     }
 
+    const before = await refinementConfigService.getMerchantConfig(merchant.id);
     const updatedConfig = await refinementConfigService.updateMerchantConfig(
       merchant.id,
       configUpdates
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'refinement_config.updated',
+      entityType: 'refinement_config',
+      entityId: updatedConfig?.id,
+      before,
+      after: updatedConfig
+    });
+
     res.json({
       success: true,
       data: updatedConfig
@@ -93,7 +104,7 @@ router.put('/', async (req, res) => {
  * POST /api/refinement-config/category-mappings
  * Add a new category mapping rule
  */
-router.post('/category-mappings', async (req, res) => {
+router.post('/category-mappings', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const mappingData = req.body;
@@ -110,6 +121,13 @@ router.post('/category-mappings', async (req, res) => {
       mappingData
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'category_mapping.created',
+      entityType: 'category_mapping',
+      entityId: mapping.id,
+      after: mapping
+    });
+
     res.json({
       success: true,
       data: mapping
@@ -129,7 +147,7 @@ router.post('/category-mappings', async (req, res) => {
  * PUT /api/refinement-config/category-mappings/:id
  * Update a category mapping rule
  */
-router.put('/category-mappings/:id', async (req, res) => {
+router.put('/category-mappings/:id', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const { id } = req.params;
@@ -142,12 +160,24 @@ router.put('/category-mappings/:id', async (req, res) => {
       });
     }
 
+    const prisma = await db.getClient();
+    const before = await prisma.categoryMapping.findFirst({
+      where: { id, merchantId: merchant.id }
+    });
     const mapping = await refinementConfigService.updateCategoryMapping(
       merchant.id,
       id,
       mappingData
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'category_mapping.updated',
+      entityType: 'category_mapping',
+      entityId: id,
+      before,
+      after: mapping
+    });
+
     res.json({
       success: true,
       data: mapping
@@ -167,7 +197,7 @@ router.put('/category-mappings/:id', async (req, res) => {
  * POST /api/refinement-config/pricing-rules
  * Add a new pricing rule
  */
-router.post('/pricing-rules', async (req, res) => {
+router.post('/pricing-rules', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const ruleData = req.body;
@@ -179,10 +209,26 @@ router.post('/pricing-rules', async (req, res) => {
       });
     }
 
-    const rule = await refinementConfigService.addPricingRule(
-      merchant.id,
-      ruleData
-    );
+    let rule;
+    try {
+      rule = await refinementConfigService.addPricingRule(
+        merchant.id,
+        ruleData
+      );
+    } catch (validationError) {
+      if (validationError.code) throw validationError;
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'pricing_rule.created',
+      entityType: 'pricing_rule',
+      entityId: rule.id,
+      after: rule
+    });
 
     res.json({
       success: true,
@@ -203,7 +249,7 @@ router.post('/pricing-rules', async (req, res) => {
  * POST /api/refinement-config/content-rules
  * Add a new content enrichment rule
  */
-router.post('/content-rules', async (req, res) => {
+router.post('/content-rules', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const ruleData = req.body;
@@ -220,6 +266,13 @@ router.post('/content-rules', async (req, res) => {
       ruleData
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'content_rule.created',
+      entityType: 'content_rule',
+      entityId: rule.id,
+      after: rule
+    });
+
     res.json({
       success: true,
       data: rule
@@ -239,7 +292,7 @@ router.post('/content-rules', async (req, res) => {
  * POST /api/refinement-config/deduplication-rules
  * Add a new deduplication rule
  */
-router.post('/deduplication-rules', async (req, res) => {
+router.post('/deduplication-rules', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const ruleData = req.body;
@@ -251,10 +304,26 @@ router.post('/deduplication-rules', async (req, res) => {
       });
     }
 
-    const rule = await refinementConfigService.addDeduplicationRule(
-      merchant.id,
-      ruleData
-    );
+    let rule;
+    try {
+      rule = await refinementConfigService.addDeduplicationRule(
+        merchant.id,
+        ruleData
+      );
+    } catch (validationError) {
+      if (validationError.code) throw validationError;
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'deduplication_rule.created',
+      entityType: 'deduplication_rule',
+      entityId: rule.id,
+      after: rule
+    });
 
     res.json({
       success: true,
@@ -372,7 +441,7 @@ router.post('/validate', async (req, res) => {
  * DELETE /api/refinement-config/category-mappings/:id
  * Delete a category mapping
  */
-router.delete('/category-mappings/:id', async (req, res) => {
+router.delete('/category-mappings/:id', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const { id } = req.params;
@@ -389,6 +458,13 @@ router.delete('/category-mappings/:id', async (req, res) => {
       id
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'category_mapping.deleted',
+      entityType: 'category_mapping',
+      entityId: id,
+      before: deleted
+    });
+
     res.json({
       success: true,
       data: { deleted, id }
@@ -408,7 +484,7 @@ router.delete('/category-mappings/:id', async (req, res) => {
  * DELETE /api/refinement-config/pricing-rules/:id
  * Delete a pricing rule
  */
-router.delete('/pricing-rules/:id', async (req, res) => {
+router.delete('/pricing-rules/:id', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const { id } = req.params;
@@ -425,6 +501,13 @@ router.delete('/pricing-rules/:id', async (req, res) => {
       id
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'pricing_rule.deleted',
+      entityType: 'pricing_rule',
+      entityId: id,
+      before: deleted
+    });
+
     res.json({
       success: true,
       data: { deleted, id }
@@ -444,7 +527,7 @@ router.delete('/pricing-rules/:id', async (req, res) => {
  * DELETE /api/refinement-config/content-rules/:id
  * Delete a content rule
  */
-router.delete('/content-rules/:id', async (req, res) => {
+router.delete('/content-rules/:id', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const { id } = req.params;
@@ -461,6 +544,13 @@ router.delete('/content-rules/:id', async (req, res) => {
       id
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'content_rule.deleted',
+      entityType: 'content_rule',
+      entityId: id,
+      before: deleted
+    });
+
     res.json({
       success: true,
       data: { deleted, id }
@@ -480,7 +570,7 @@ router.delete('/content-rules/:id', async (req, res) => {
  * DELETE /api/refinement-config/deduplication-rules/:id
  * Delete a deduplication rule
  */
-router.delete('/deduplication-rules/:id', async (req, res) => {
+router.delete('/deduplication-rules/:id', requirePermission('canEditRefinementConfig'), async (req, res) => {
   try {
     const merchant = req.merchant;
     const { id } = req.params;
@@ -497,6 +587,13 @@ router.delete('/deduplication-rules/:id', async (req, res) => {
       id
     );
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'deduplication_rule.deleted',
+      entityType: 'deduplication_rule',
+      entityId: id,
+      before: deleted
+    });
+
     res.json({
       success: true,
       data: { deleted, id }
@@ -0,0 +1,181 @@
+/**
+ * Restock API routes
+ * Reorder points per SKU and the restock suggestions generated from inventory webhooks
+ */
+
+import express from 'express'
+import { restockService } from '../services/restockService.js'
+
+const router = express.Router()
+
+// GET /api/restock/suggestions?status=open - List restock suggestions grouped by supplier
+router.get('/suggestions', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { status = 'open', limit = 50 } = req.query
+    const suggestions = await restockService.listSuggestions(merchant.id, {
+      status,
+      limit: Math.min(parseInt(limit) || 50, 200)
+    })
+
+    res.json({
+      success: true,
+      data: suggestions
+    })
+  } catch (error) {
+    console.error('Error fetching restock suggestions:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch restock suggestions',
+      details: error.message
+    })
+  }
+})
+
+// PATCH /api/restock/suggestions/:id - Dismiss, mark ordered or reopen a suggestion
+router.patch('/suggestions/:id', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const { status } = req.body || {}
+
+    let updated
+    try {
+      updated = await restockService.updateSuggestionStatus(merchant.id, req.params.id, status)
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Restock suggestion not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: `Restock suggestion marked ${status}`
+    })
+  } catch (error) {
+    console.error('Error updating restock suggestion:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update restock suggestion',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/restock/reorder-points - List per-SKU reorder points
+router.get('/reorder-points', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const points = await restockService.listReorderPoints(merchant.id)
+
+    res.json({
+      success: true,
+      data: points
+    })
+  } catch (error) {
+    console.error('Error fetching reorder points:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reorder points',
+      details: error.message
+    })
+  }
+})
+
+// PUT /api/restock/reorder-points - Create or update a SKU's reorder point
+router.put('/reorder-points', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let point
+    try {
+      point = await restockService.upsertReorderPoint(merchant.id, req.body || {})
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.json({
+      success: true,
+      data: point
+    })
+  } catch (error) {
+    console.error('Error saving reorder point:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save reorder point',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /api/restock/reorder-points/:id - Remove a reorder point
+router.delete('/reorder-points/:id', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const deleted = await restockService.deleteReorderPoint(merchant.id, req.params.id)
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reorder point not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Reorder point deleted'
+    })
+  } catch (error) {
+    console.error('Error deleting reorder point:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete reorder point',
+      details: error.message
+    })
+  }
+})
+
+export default router
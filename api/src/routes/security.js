@@ -1,6 +1,8 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { encrypt, decrypt } from '../utils/encryption.js';
+import { requirePermission } from '../lib/merchantAuth.js';
+import { auditLogService } from '../services/auditLogService.js';
+import { secretStoreService } from '../services/secretStoreService.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,7 +13,7 @@ const prisma = new PrismaClient();
  */
 router.get('/status', async (req, res) => {
   try {
-    const merchantId = req.session?.merchantId || 'default-merchant';
+    const merchantId = req.merchant?.id || req.session?.merchantId || 'default-merchant';
 
     const merchant = await prisma.merchant.findUnique({
       where: { id: merchantId },
@@ -53,10 +55,10 @@ router.get('/status', async (req, res) => {
  * POST /api/security/shopify-credentials
  * Save encrypted Shopify credentials
  */
-router.post('/shopify-credentials', async (req, res) => {
+router.post('/shopify-credentials', requirePermission('canManageCredentials'), async (req, res) => {
   try {
     const { apiKey, webhookSecret, shopDomain } = req.body;
-    const merchantId = req.session?.merchantId || 'default-merchant';
+    const merchantId = req.merchant?.id || req.session?.merchantId || 'default-merchant';
 
     // Validate inputs
     if (!apiKey || !shopDomain) {
@@ -72,16 +74,21 @@ router.post('/shopify-credentials', async (req, res) => {
       });
     }
 
-    // Encrypt credentials
-    const encryptedApiKey = encrypt(apiKey);
-    const encryptedWebhookSecret = webhookSecret ? encrypt(webhookSecret) : null;
+    const before = await prisma.merchant.findUnique({
+      where: { id: merchantId },
+      select: { shopDomain: true, accessToken: true, webhookSecret: true }
+    });
+
+    // Seal credentials (kept as plain text when data encryption is off)
+    const storedApiKey = await secretStoreService.seal(merchantId, apiKey);
+    const storedWebhookSecret = webhookSecret ? await secretStoreService.seal(merchantId, webhookSecret) : null;
 
     // Update or create merchant record
     const merchant = await prisma.merchant.upsert({
       where: { id: merchantId },
       update: {
-        accessToken: encryptedApiKey,
-        webhookSecret: encryptedWebhookSecret,
+        accessToken: storedApiKey,
+        webhookSecret: storedWebhookSecret,
         shopDomain: shopDomain,
         updatedAt: new Date()
       },
@@ -89,8 +96,8 @@ router.post('/shopify-credentials', async (req, res) => {
         id: merchantId,
         shopDomain: shopDomain,
         name: shopDomain.replace('.myshopify.com', ''),
-        accessToken: encryptedApiKey,
-        webhookSecret: encryptedWebhookSecret,
+        accessToken: storedApiKey,
+        webhookSecret: storedWebhookSecret,
         dataEncryption: true,
         auditLogging: true
       }
@@ -98,6 +105,18 @@ router.post('/shopify-credentials', async (req, res) => {
 
     console.log(`✅ Shopify credentials saved for merchant: ${merchantId}`);
 
+    await auditLogService.recordFromRequest(req, {
+      action: before?.accessToken ? 'credentials.rotated' : 'credentials.saved',
+      entityType: 'credentials',
+      entityId: merchantId,
+      before,
+      after: {
+        shopDomain: merchant.shopDomain,
+        accessToken: merchant.accessToken,
+        webhookSecret: merchant.webhookSecret
+      }
+    });
+
     res.json({ 
       success: true, 
       message: 'Credentials saved successfully',
@@ -116,9 +135,9 @@ router.post('/shopify-credentials', async (req, res) => {
  * POST /api/security/test-connection
  * Test Shopify API connection without exposing credentials
  */
-router.post('/test-connection', async (req, res) => {
+router.post('/test-connection', requirePermission('canManageCredentials'), async (req, res) => {
   try {
-    const merchantId = req.session?.merchantId || 'default-merchant';
+    const merchantId = req.merchant?.id || req.session?.merchantId || 'default-merchant';
 
     const merchant = await prisma.merchant.findUnique({
       where: { id: merchantId },
@@ -134,8 +153,8 @@ router.post('/test-connection', async (req, res) => {
       });
     }
 
-    // Decrypt the API key
-    const apiKey = decrypt(merchant.accessToken);
+    // Open the stored API key
+    const apiKey = await secretStoreService.open(merchantId, merchant.accessToken);
 
     // Test the Shopify API connection
     try {
@@ -194,21 +213,35 @@ router.post('/test-connection', async (req, res) => {
  * DELETE /api/security/shopify-credentials
  * Remove stored Shopify credentials
  */
-router.delete('/shopify-credentials', async (req, res) => {
+router.delete('/shopify-credentials', requirePermission('canManageCredentials'), async (req, res) => {
   try {
-    const merchantId = req.session?.merchantId || 'default-merchant';
+    const merchantId = req.merchant?.id || req.session?.merchantId || 'default-merchant';
 
-    await prisma.merchant.update({
+    const before = await prisma.merchant.findUnique({
+      where: { id: merchantId },
+      select: { shopDomain: true, accessToken: true, webhookSecret: true }
+    });
+
+    const merchant = await prisma.merchant.update({
       where: { id: merchantId },
       data: {
         accessToken: null,
         webhookSecret: null,
         updatedAt: new Date()
-      }
+      },
+      select: { shopDomain: true, accessToken: true, webhookSecret: true }
     });
 
     console.log(`🗑️ Shopify credentials removed for merchant: ${merchantId}`);
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'credentials.removed',
+      entityType: 'credentials',
+      entityId: merchantId,
+      before,
+      after: merchant
+    });
+
     res.json({ 
       success: true, 
       message: 'Credentials removed successfully' 
@@ -226,10 +259,15 @@ router.delete('/shopify-credentials', async (req, res) => {
  * PUT /api/security/settings
  * Update security settings (encryption, audit logging)
  */
-router.put('/settings', async (req, res) => {
+router.put('/settings', requirePermission('canManageCredentials'), async (req, res) => {
   try {
     const { dataEncryption, auditLogging } = req.body;
-    const merchantId = req.session?.merchantId || 'default-merchant';
+    const merchantId = req.merchant?.id || req.session?.merchantId || 'default-merchant';
+
+    const before = await prisma.merchant.findUnique({
+      where: { id: merchantId },
+      select: { dataEncryption: true, auditLogging: true }
+    });
 
     const merchant = await prisma.merchant.update({
       where: { id: merchantId },
@@ -246,9 +284,31 @@ router.put('/settings', async (req, res) => {
 
     console.log(`⚙️ Security settings updated for merchant: ${merchantId}`);
 
+    // Encrypt or decrypt stored secrets to match; the nightly job retries failures
+    let reencryption = null;
+    if (before && before.dataEncryption !== merchant.dataEncryption) {
+      secretStoreService.invalidate(merchantId);
+      try {
+        reencryption = await secretStoreService.rotateMerchant(merchantId);
+      } catch (rotationError) {
+        console.error('Error re-encrypting stored secrets:', rotationError);
+      }
+    }
+
+    // Always recorded, so switching audit logging off leaves a trace
+    await auditLogService.recordFromRequest(req, {
+      action: 'security_settings.updated',
+      entityType: 'security_settings',
+      entityId: merchantId,
+      before,
+      after: merchant,
+      force: true
+    });
+
     res.json({ 
       success: true,
-      settings: merchant
+      settings: merchant,
+      reencryption
     });
   } catch (error) {
     console.error('Error updating security settings:', error);
@@ -259,6 +319,75 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/security/encryption
+ * How stored secrets are sealed (key IDs, not key material)
+ */
+router.get('/encryption', requirePermission('canManageCredentials'), async (req, res) => {
+  try {
+    const merchantId = req.merchant?.id || req.session?.merchantId || 'default-merchant';
+
+    const status = await secretStoreService.status(merchantId);
+    if (!status) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error checking encryption status:', error);
+    res.status(500).json({ 
+      error: 'Failed to check encryption status',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * POST /api/security/encryption/rotate
+ * Re-encrypt stored secrets with the active key ({ rotateDataKey } also
+ * replaces the merchant's data key)
+ */
+router.post('/encryption/rotate', requirePermission('canManageCredentials'), async (req, res) => {
+  try {
+    const merchantId = req.merchant?.id || req.session?.merchantId || 'default-merchant';
+
+    const before = await secretStoreService.status(merchantId);
+    if (!before) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const summary = await secretStoreService.rotateMerchant(merchantId, {
+      rotateDataKey: req.body?.rotateDataKey === true
+    });
+    const after = await secretStoreService.status(merchantId);
+
+    console.log(`🔐 Re-encrypted secrets for merchant ${merchantId}: ${summary.resealed} re-sealed, ${summary.encrypted} encrypted, ${summary.decrypted} decrypted`);
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'security_settings.secrets_reencrypted',
+      entityType: 'security_settings',
+      entityId: merchantId,
+      before,
+      after,
+      metadata: { dataKeyRotated: req.body?.rotateDataKey === true, failed: summary.failed }
+    });
+
+    res.json({
+      success: true,
+      data: { ...summary, status: after }
+    });
+  } catch (error) {
+    console.error('Error re-encrypting secrets:', error);
+    res.status(500).json({ 
+      error: 'Failed to re-encrypt secrets',
+      details: error.message 
+    });
+  }
+});
+
 /**
  * Helper function to get decrypted Shopify credentials for internal use
  * This should only be called from server-side code, never exposed to frontend
@@ -278,8 +407,8 @@ export async function getShopifyCredentials(merchantId) {
   }
 
   return {
-    apiKey: decrypt(merchant.accessToken),
-    webhookSecret: merchant.webhookSecret ? decrypt(merchant.webhookSecret) : null,
+    apiKey: await secretStoreService.open(merchantId, merchant.accessToken),
+    webhookSecret: await secretStoreService.open(merchantId, merchant.webhookSecret),
     shopDomain: merchant.shopDomain
   };
 }
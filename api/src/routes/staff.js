@@ -0,0 +1,119 @@
+/**
+ * Staff API routes
+ * Staff members of the merchant (Shopify users who opened the app) and their roles
+ */
+
+import express from 'express'
+import { requirePermission } from '../lib/merchantAuth.js'
+import { staffUserService } from '../services/staffUserService.js'
+import { auditLogService } from '../services/auditLogService.js'
+import { STAFF_ROLES } from '../services/staffRoleEngine.js'
+
+const router = express.Router()
+
+// GET /api/staff/me - The acting staff member, their role and permissions
+router.get('/me', async (req, res) => {
+  const merchant = req.merchant
+  if (!merchant || !merchant.id) {
+    return res.status(401).json({
+      success: false,
+      error: 'Merchant authentication required'
+    })
+  }
+
+  if (!req.staffUser) {
+    return res.status(404).json({
+      success: false,
+      error: 'No staff user on this session'
+    })
+  }
+
+  res.json({
+    success: true,
+    data: req.staffUser
+  })
+})
+
+// GET /api/staff - All staff for the merchant
+router.get('/', requirePermission('canManageStaff'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const staff = await staffUserService.list(merchant.id)
+
+    res.json({
+      success: true,
+      data: { staff, roles: STAFF_ROLES }
+    })
+  } catch (error) {
+    console.error('Error fetching staff:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch staff',
+      details: error.message
+    })
+  }
+})
+
+// PUT /api/staff/:id/role - Change a staff member's role ({ role })
+router.put('/:id/role', requirePermission('canManageStaff'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const before = await staffUserService.get(merchant.id, req.params.id)
+
+    let staff
+    try {
+      staff = await staffUserService.updateRole(merchant.id, req.params.id, req.body?.role)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff user not found'
+      })
+    }
+
+    console.log(`👤 ${req.staffUser.name} set ${staff.name} to ${staff.role} for merchant ${merchant.id}`)
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'staff_user.role_changed',
+      entityType: 'staff_user',
+      entityId: staff.id,
+      before,
+      after: staff
+    })
+
+    res.json({
+      success: true,
+      data: staff
+    })
+  } catch (error) {
+    console.error('Error updating staff role:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update staff role',
+      details: error.message
+    })
+  }
+})
+
+export default router
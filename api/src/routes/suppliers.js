@@ -3,12 +3,60 @@
  */
 
 import express from 'express'
+import multer from 'multer'
 import { db } from '../lib/db.js'
+import { requirePermission } from '../lib/merchantAuth.js'
 import { getSupplierMetrics, calculateSupplierMetrics } from '../services/supplierMetricsService.js'
 import { findMatchingSuppliers, autoMatchSupplier, suggestSuppliers } from '../services/supplierMatchingService.js'
+import { supplierProfileService } from '../services/supplierProfileService.js'
+import { buildPromptHints } from '../services/supplierProfileEngine.js'
+import { columnMappingService, isSpreadsheet } from '../services/columnMappingService.js'
+import { supplierFileFetchService } from '../services/supplierFileFetchService.js'
+import { FETCH_CONNECTION_TYPES, maskSecrets } from '../services/supplierFileFetchEngine.js'
+import { ediService } from '../services/ediService.js'
+import { auditLogService } from '../services/auditLogService.js'
 
 const router = express.Router()
 
+// Supplier row as recorded in audit snapshots (connection settings included, secrets redacted)
+async function findAuditSnapshot(merchantId, id) {
+  const prisma = await db.getClient()
+  return prisma.supplier.findFirst({ where: { id, merchantId } })
+}
+
+// Connection and schedule fields only change through PUT /:id/file-fetch, which
+// validates the config, pins the SFTP host key and seals the secrets
+const PROTECTED_FIELDS = [
+  'id',
+  'merchantId',
+  'connectionType',
+  'connectionConfig',
+  'syncEnabled',
+  'syncFrequency',
+  'syncTime',
+  'lastSync',
+  'nextSync'
+]
+
+const withMaskedConnection = (supplier) => supplier && {
+  ...supplier,
+  connectionConfig: maskSecrets(supplier.connectionConfig || {})
+}
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (isSpreadsheet(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Invalid file type. Only CSV and Excel files can be mapped.'))
+    }
+  }
+})
+
 // GET /api/suppliers - Get all suppliers
 router.get('/', async (req, res) => {
   try {
@@ -28,7 +76,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      data: suppliers
+      data: suppliers.map(withMaskedConnection)
     })
   } catch (error) {
     console.error('Get suppliers error:', error)
@@ -73,7 +121,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: supplier
+      data: withMaskedConnection(supplier)
     })
   } catch (error) {
     console.error('Get supplier error:', error)
@@ -114,7 +162,8 @@ router.post('/', async (req, res) => {
       status: req.body.status || 'active',
       category: req.body.category || null,
       priority: req.body.priority || 'medium',
-      connectionType: req.body.connectionType || 'manual',
+      // File drops are set up through PUT /:id/file-fetch
+      connectionType: FETCH_CONNECTION_TYPES.includes(req.body.connectionType) ? 'manual' : req.body.connectionType || 'manual',
       merchantId: merchant.id
     }
 
@@ -129,6 +178,13 @@ router.post('/', async (req, res) => {
 
     console.log('✅ Supplier created:', supplier.name)
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.created',
+      entityType: 'supplier',
+      entityId: supplier.id,
+      after: supplier
+    })
+
     res.status(201).json({
       success: true,
       data: supplier,
@@ -161,12 +217,16 @@ router.put('/:id', async (req, res) => {
       })
     }
 
+    const data = { ...req.body }
+    for (const field of PROTECTED_FIELDS) delete data[field]
+
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
     const supplier = await prisma.supplier.updateMany({
       where: { 
         id: req.params.id,
         merchantId: merchant.id 
       },
-      data: req.body
+      data
     })
 
     if (supplier.count === 0) {
@@ -184,9 +244,17 @@ router.put('/:id', async (req, res) => {
       }
     })
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.updated',
+      entityType: 'supplier',
+      entityId: req.params.id,
+      before,
+      after: updatedSupplier
+    })
+
     res.json({
       success: true,
-      data: updatedSupplier
+      data: withMaskedConnection(updatedSupplier)
     })
   } catch (error) {
     console.error('Update supplier error:', error)
@@ -224,6 +292,7 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
     const supplier = await prisma.supplier.deleteMany({
       where: { 
         id: req.params.id,
@@ -238,6 +307,13 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.deleted',
+      entityType: 'supplier',
+      entityId: req.params.id,
+      before
+    })
+
     res.json({
       success: true,
       message: 'Supplier deleted successfully'
@@ -346,6 +422,513 @@ router.post('/:id/metrics/refresh', async (req, res) => {
   }
 })
 
+// GET /api/suppliers/:id/parsing-profile - Extraction profile learned from merchant corrections
+router.get('/:id/parsing-profile', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const profile = await supplierProfileService.getProfile(merchant.id, req.params.id)
+
+    res.json({
+      success: true,
+      data: profile
+        ? { ...profile, promptHints: buildPromptHints(profile, profile.supplier?.name) }
+        : null
+    })
+  } catch (error) {
+    console.error('Get supplier parsing profile error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get parsing profile'
+    })
+  }
+})
+
+// DELETE /api/suppliers/:id/parsing-profile - Forget everything learned for this supplier
+router.delete('/:id/parsing-profile', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const reset = await supplierProfileService.resetProfile(merchant.id, req.params.id)
+    if (!reset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Parsing profile not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.parsing_profile_reset',
+      entityType: 'supplier',
+      entityId: req.params.id
+    })
+
+    res.json({
+      success: true,
+      message: 'Parsing profile reset'
+    })
+  } catch (error) {
+    console.error('Reset supplier parsing profile error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset parsing profile'
+    })
+  }
+})
+
+// GET /api/suppliers/:id/column-mapping - Saved CSV/Excel column mapping
+router.get('/:id/column-mapping', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const mapping = await columnMappingService.getMapping(merchant.id, req.params.id)
+
+    res.json({
+      success: true,
+      data: mapping
+    })
+  } catch (error) {
+    console.error('Get column mapping error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get column mapping'
+    })
+  }
+})
+
+// POST /api/suppliers/:id/column-mapping/preview - Detected headers and sample rows for a sample file
+router.post('/:id/column-mapping/preview', spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded'
+      })
+    }
+
+    const sheets = columnMappingService.previewSpreadsheet(req.file.buffer, req.file.mimetype)
+
+    res.json({
+      success: true,
+      data: { sheets }
+    })
+  } catch (error) {
+    console.error('Preview column mapping error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read spreadsheet',
+      details: error.message
+    })
+  }
+})
+
+// PUT /api/suppliers/:id/column-mapping - Save header names per field ({ columns: { sku: 'Item #', ... } })
+router.put('/:id/column-mapping', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const prisma = await db.getClient()
+    const supplier = await prisma.supplier.findFirst({
+      where: {
+        id: req.params.id,
+        merchantId: merchant.id
+      }
+    })
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      })
+    }
+
+    const before = await columnMappingService.getMapping(merchant.id, supplier.id)
+
+    let mapping
+    try {
+      mapping = await columnMappingService.saveMapping(merchant.id, supplier.id, req.body?.columns)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.column_mapping_saved',
+      entityType: 'supplier',
+      entityId: supplier.id,
+      before,
+      after: mapping
+    })
+
+    res.json({
+      success: true,
+      data: mapping,
+      message: 'Column mapping saved'
+    })
+  } catch (error) {
+    console.error('Save column mapping error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save column mapping'
+    })
+  }
+})
+
+// DELETE /api/suppliers/:id/column-mapping - Remove the saved mapping (files fall back to detection / AI)
+router.delete('/:id/column-mapping', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const before = await columnMappingService.getMapping(merchant.id, req.params.id)
+    const deleted = await columnMappingService.deleteMapping(merchant.id, req.params.id)
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Column mapping not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.column_mapping_removed',
+      entityType: 'supplier',
+      entityId: req.params.id,
+      before
+    })
+
+    res.json({
+      success: true,
+      message: 'Column mapping removed'
+    })
+  } catch (error) {
+    console.error('Delete column mapping error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove column mapping'
+    })
+  }
+})
+
+// GET /api/suppliers/:id/file-fetch - SFTP / folder drop settings (secrets masked)
+router.get('/:id/file-fetch', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const settings = await supplierFileFetchService.getSettings(merchant.id, req.params.id)
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: settings
+    })
+  } catch (error) {
+    console.error('Get file fetch settings error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get file fetch settings'
+    })
+  }
+})
+
+// PUT /api/suppliers/:id/file-fetch - Save drop connection and schedule ({ connectionType, config, syncEnabled, syncFrequency, syncTime })
+router.put('/:id/file-fetch', requirePermission('canManageCredentials'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
+
+    let settings
+    try {
+      settings = await supplierFileFetchService.saveSettings(merchant.id, req.params.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.file_fetch_updated',
+      entityType: 'supplier',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id)
+    })
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'File fetch settings saved'
+    })
+  } catch (error) {
+    console.error('Save file fetch settings error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save file fetch settings'
+    })
+  }
+})
+
+// GET /api/suppliers/:id/file-fetch/runs - Fetch history, newest first
+router.get('/:id/file-fetch/runs', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const runs = await supplierFileFetchService.listRuns(merchant.id, req.params.id, { limit: req.query.limit })
+
+    res.json({
+      success: true,
+      data: runs
+    })
+  } catch (error) {
+    console.error('Get file fetch runs error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get fetch history'
+    })
+  }
+})
+
+// POST /api/suppliers/:id/file-fetch/run - Poll the drop now
+router.post('/:id/file-fetch/run', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let run
+    try {
+      run = await supplierFileFetchService.fetchNow(merchant.id, req.params.id)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(409).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: run
+    })
+  } catch (error) {
+    console.error('Run file fetch error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch supplier files'
+    })
+  }
+})
+
+// GET /api/suppliers/:id/edi - EDI trading partner IDs (connectionConfig.edi)
+router.get('/:id/edi', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const partner = await ediService.getTradingPartner(merchant.id, req.params.id)
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: partner
+    })
+  } catch (error) {
+    console.error('Get EDI trading partner error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get EDI trading partner'
+    })
+  }
+})
+
+// PUT /api/suppliers/:id/edi - Save trading partner IDs ({ standard, partnerId, partnerQualifier, ourId, ourQualifier })
+router.put('/:id/edi', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
+
+    let partner
+    try {
+      partner = await ediService.saveTradingPartner(merchant.id, req.params.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.edi_updated',
+      entityType: 'supplier',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id)
+    })
+
+    res.json({
+      success: true,
+      data: partner,
+      message: 'EDI trading partner saved'
+    })
+  } catch (error) {
+    console.error('Save EDI trading partner error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save EDI trading partner'
+    })
+  }
+})
+
+// DELETE /api/suppliers/:id/edi - Stop treating the supplier as an EDI trading partner
+router.delete('/:id/edi', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const before = await findAuditSnapshot(merchant.id, req.params.id)
+    const partner = await ediService.saveTradingPartner(merchant.id, req.params.id, null)
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Supplier not found'
+      })
+    }
+
+    await auditLogService.recordFromRequest(req, {
+      action: 'supplier.edi_removed',
+      entityType: 'supplier',
+      entityId: req.params.id,
+      before,
+      after: await findAuditSnapshot(merchant.id, req.params.id)
+    })
+
+    res.json({
+      success: true,
+      data: partner,
+      message: 'EDI trading partner removed'
+    })
+  } catch (error) {
+    console.error('Delete EDI trading partner error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove EDI trading partner'
+    })
+  }
+})
+
 // POST /api/suppliers/match - Find matching suppliers for parsed supplier data
 router.post('/match', async (req, res) => {
   try {
@@ -588,6 +1171,14 @@ router.put('/link/:purchaseOrderId/:supplierId', async (req, res) => {
       }
     })
 
+    await auditLogService.recordFromRequest(req, {
+      action: 'purchase_order.supplier_linked',
+      entityType: 'purchase_order',
+      entityId: purchaseOrder.id,
+      before: purchaseOrder,
+      after: updatedPO
+    })
+
     res.json({
       success: true,
       data: {
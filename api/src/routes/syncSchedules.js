@@ -0,0 +1,300 @@
+/**
+ * Sync Schedule API routes
+ * Server-side supplier API pulls configured in the sync scheduler
+ *
+ * Bodies use the scheduler dialog's ScheduleConfig shape. Secrets come back
+ * masked; sending the mask (or leaving a secret out) keeps the stored value.
+ */
+
+import express from 'express'
+import { requirePermission } from '../lib/merchantAuth.js'
+import { syncScheduleService } from '../services/syncScheduleService.js'
+
+const router = express.Router()
+
+// GET /api/sync-schedules - Schedules plus the 30-day run success rate
+router.get('/', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const result = await syncScheduleService.list(merchant.id)
+
+    res.json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error fetching sync schedules:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sync schedules',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/sync-schedules - Create a schedule
+router.post('/', requirePermission('canManageCredentials'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let schedule
+    try {
+      schedule = await syncScheduleService.create(merchant.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    })
+  } catch (error) {
+    console.error('Error creating sync schedule:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create sync schedule',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/sync-schedules/test - Check auth and endpoints ({ ...config, scheduleId? }) without queueing anything
+router.post('/test', requirePermission('canManageCredentials'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let result
+    try {
+      result = await syncScheduleService.testConnection(merchant.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync schedule not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    console.error('Error testing sync schedule connection:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test connection',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/sync-schedules/:id - One schedule
+router.get('/:id', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const schedule = await syncScheduleService.get(merchant.id, req.params.id)
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync schedule not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: schedule
+    })
+  } catch (error) {
+    console.error('Error fetching sync schedule:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sync schedule',
+      details: error.message
+    })
+  }
+})
+
+// PUT /api/sync-schedules/:id - Update a schedule (fields left out are kept)
+router.put('/:id', requirePermission('canManageCredentials'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let schedule
+    try {
+      schedule = await syncScheduleService.update(merchant.id, req.params.id, req.body || {})
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync schedule not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: schedule
+    })
+  } catch (error) {
+    console.error('Error updating sync schedule:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update sync schedule',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /api/sync-schedules/:id - Delete a schedule and its run history
+router.delete('/:id', requirePermission('canManageCredentials'), async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const removed = await syncScheduleService.remove(merchant.id, req.params.id)
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync schedule not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id }
+    })
+  } catch (error) {
+    console.error('Error deleting sync schedule:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete sync schedule',
+      details: error.message
+    })
+  }
+})
+
+// GET /api/sync-schedules/:id/runs - Run history, newest first
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    const runs = await syncScheduleService.listRuns(merchant.id, req.params.id, { limit: req.query.limit })
+
+    res.json({
+      success: true,
+      data: runs
+    })
+  } catch (error) {
+    console.error('Error fetching sync schedule runs:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch run history',
+      details: error.message
+    })
+  }
+})
+
+// POST /api/sync-schedules/:id/run - Run the schedule now
+router.post('/:id/run', async (req, res) => {
+  try {
+    const merchant = req.merchant
+    if (!merchant || !merchant.id) {
+      return res.status(401).json({
+        success: false,
+        error: 'Merchant authentication required'
+      })
+    }
+
+    let run
+    try {
+      run = await syncScheduleService.runNow(merchant.id, req.params.id)
+    } catch (validationError) {
+      if (validationError.code) throw validationError
+      return res.status(409).json({
+        success: false,
+        error: validationError.message
+      })
+    }
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync schedule not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: run
+    })
+  } catch (error) {
+    console.error('Error running sync schedule:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run sync schedule',
+      details: error.message
+    })
+  }
+})
+
+export default router
@@ -8,6 +8,9 @@ import https from 'https'
 import { db } from '../lib/db.js'
 import { storageService } from '../lib/storageService.js'
 import { workflowIntegration } from '../lib/workflowIntegration.js'
+import { SUPPORTED_MIME_TYPES, resolveMimeType } from '../lib/fileParsingService.js'
+import { ediService } from '../services/ediService.js'
+import { isEdiDocument } from '../services/ediEngine.js'
 import path from 'path'
 
 const router = express.Router()
@@ -20,21 +23,13 @@ const upload = multer({
     fileSize: 25 * 1024 * 1024, // 25MB limit for high-quality scans
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'image/jpeg',
-      'image/png',
-      'image/jpg',
-      'image/webp',
-      'text/csv',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    ]
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // .msg/.eml/.edi files often arrive as application/octet-stream; the extension decides
+    file.mimetype = resolveMimeType(file.mimetype, file.originalname)
+
+    if (SUPPORTED_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true)
     } else {
-      cb(new Error('Invalid file type. Only PDF, images, CSV, and Excel files are allowed.'))
+      cb(new Error('Invalid file type. Only PDF, images, CSV, Excel, Word, HTML, text, email and EDI files are allowed.'))
     }
   }
 })
@@ -63,6 +58,43 @@ router.post('/po-file', upload.single('file'), async (req, res) => {
       confidenceThreshold,
       customRules 
     } = req.body
+
+    // An interchange can hold several orders and ship notices: each order
+    // becomes its own upload and ASNs are applied, like the EDI inbox
+    if (isEdiDocument(req.file.buffer, req.file.mimetype)) {
+      let imported
+      try {
+        imported = await ediService.ingest(merchant.id, {
+          buffer: req.file.buffer,
+          fileName: req.file.originalname,
+          supplierId: supplierId || null,
+          source: 'upload',
+          metadata: { uploadedAt: new Date().toISOString() }
+        })
+      } catch (validationError) {
+        if (validationError.code) throw validationError
+        return res.status(400).json({
+          success: false,
+          error: validationError.message
+        })
+      }
+
+      const [first] = imported.uploads
+      const message = `EDI file imported: ${imported.uploads.length} order(s) queued, ${imported.shipNotices.length} ship notice(s) applied`
+      return res.json({
+        success: true,
+        data: {
+          poId: first?.purchaseOrderId || null,
+          uploadId: first?.uploadId || null,
+          fileName: req.file.originalname,
+          fileSize: req.file.size,
+          status: first ? 'processing' : 'completed',
+          message,
+          edi: imported
+        },
+        message
+      })
+    }
     
     const prisma = await db.getClient()
 
@@ -119,6 +119,17 @@ import suppliersRouter from './routes/suppliers.js'
 import searchRouter from './routes/search.js'
 import realtimeRouter from './routes/realtime.js'
 import queueAdminRouter from './routes/queueAdmin.js'
+import exchangeRatesRouter from './routes/exchangeRates.js'
+import restockRouter from './routes/restock.js'
+import invoicesRouter from './routes/invoices.js'
+import priceHistoryRouter from './routes/priceHistory.js'
+import inboundEmailRouter from './routes/inboundEmail.js'
+import inboundEmailWebhookRouter from './routes/inboundEmailWebhook.js'
+import ediRouter from './routes/edi.js'
+import syncSchedulesRouter from './routes/syncSchedules.js'
+import staffRouter from './routes/staff.js'
+import auditLogRouter from './routes/auditLog.js'
+import aiUsageRouter from './routes/aiUsage.js'
 
 // Import queue handlers (internal endpoints - no auth required)
 import processUploadQueueHandler from './queues/process-upload.js'
@@ -143,6 +154,17 @@ app.use('/api/ai-generation', process.env.NODE_ENV === 'development' ? devBypass
 app.use('/api/security', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, securityRouter)
 app.use('/api/suppliers', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, suppliersRouter)
 app.use('/api/search', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, searchRouter)
+app.use('/api/exchange-rates', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, exchangeRatesRouter)
+app.use('/api/restock', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, restockRouter)
+app.use('/api/invoices', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, invoicesRouter)
+app.use('/api/price-history', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, priceHistoryRouter)
+app.use('/api/inbound-email/receive', inboundEmailWebhookRouter) // SMTP relay webhook - authenticates with a shared secret
+app.use('/api/inbound-email', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, inboundEmailRouter)
+app.use('/api/edi', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, ediRouter)
+app.use('/api/sync-schedules', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, syncSchedulesRouter)
+app.use('/api/staff', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, staffRouter)
+app.use('/api/audit-log', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, auditLogRouter)
+app.use('/api/ai-usage', process.env.NODE_ENV === 'development' ? devBypassAuth : verifyShopifyRequest, aiUsageRouter)
 app.use('/api/realtime', realtimeRouter) // SSE endpoint - handles auth internally
 app.use('/api/files', filesRouter) // File serving doesn't need auth verification
 
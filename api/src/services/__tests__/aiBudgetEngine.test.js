@@ -0,0 +1,71 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  budgetStatus,
+  costForUsage,
+  monthWindow,
+  priceForModel,
+  resolveBudget,
+  summarizeUsage
+} from '../aiBudgetEngine.js'
+
+describe('aiBudgetEngine', () => {
+  it('prices calls per model, billing input and output tokens separately', () => {
+    expect(priceForModel('gpt-4o-mini-2024-07-18')).toMatchObject({ model: 'gpt-4o-mini', known: true })
+    expect(priceForModel('gpt-4o')).toMatchObject({ model: 'gpt-4o', input: 2.5 })
+    expect(priceForModel('some-new-model')).toMatchObject({ model: null, input: 2.5, output: 10, known: false })
+
+    expect(costForUsage('gpt-4o-mini', { prompt_tokens: 1000000, completion_tokens: 500000, total_tokens: 1500000 })).toEqual({
+      promptTokens: 1000000,
+      completionTokens: 500000,
+      totalTokens: 1500000,
+      costUsd: 0.45
+    })
+
+    // Total only: billed at the output rate
+    expect(costForUsage('gpt-4o-mini', { totalTokens: 2000 }).costUsd).toBe(0.0012)
+    expect(costForUsage('gpt-4o', undefined).costUsd).toBe(0)
+  })
+
+  it('resolves budgets from the plan, falling back to basic', () => {
+    expect(resolveBudget('professional')).toEqual({ plan: 'professional', budgetUsd: 50 })
+    expect(resolveBudget('legacy-plan')).toEqual({ plan: 'basic', budgetUsd: 10 })
+    expect(resolveBudget('basic', { budgetUsd: 25 })).toEqual({ plan: 'basic', budgetUsd: 25 })
+    expect(resolveBudget('basic', { planBudgets: { basic: 5 } })).toEqual({ plan: 'basic', budgetUsd: 5 })
+  })
+
+  it('warns past the soft limit and stops at the budget', () => {
+    expect(budgetStatus({ spentUsd: 2, budgetUsd: 10 })).toEqual({
+      state: 'ok',
+      spentUsd: 2,
+      budgetUsd: 10,
+      softLimitUsd: 8,
+      remainingUsd: 8,
+      percentUsed: 20
+    })
+    expect(budgetStatus({ spentUsd: 8.5, budgetUsd: 10 }).state).toBe('warning')
+    expect(budgetStatus({ spentUsd: 10.2, budgetUsd: 10 })).toMatchObject({ state: 'exceeded', remainingUsd: 0 })
+    expect(budgetStatus({ spentUsd: 0, budgetUsd: 0 }).state).toBe('exceeded')
+  })
+
+  it('rolls usage up by day, operation and model for the month', () => {
+    const window = monthWindow(new Date('2026-02-14T12:00:00Z'))
+    expect(window).toEqual({
+      start: new Date('2026-02-01T00:00:00Z'),
+      end: new Date('2026-03-01T00:00:00Z'),
+      key: '2026-02'
+    })
+
+    const summary = summarizeUsage([
+      { operation: 'parse', model: 'gpt-4o-mini', totalTokens: 1200, costUsd: 0.0004, createdAt: '2026-02-03T09:00:00Z' },
+      { operation: 'parse', model: 'gpt-4o', totalTokens: 800, costUsd: 0.005, createdAt: '2026-02-03T18:00:00Z' },
+      { operation: 'generation', model: 'gpt-4o-mini', totalTokens: 300, costUsd: 0.0001, createdAt: '2026-02-10T09:00:00Z' }
+    ], window)
+
+    expect(summary.totals).toEqual({ calls: 3, tokens: 2300, costUsd: 0.0055 })
+    expect(summary.byOperation.parse).toEqual({ calls: 2, tokens: 2000, costUsd: 0.0054 })
+    expect(summary.byModel['gpt-4o-mini']).toEqual({ calls: 2, tokens: 1500, costUsd: 0.0005 })
+    expect(summary.daily).toHaveLength(28)
+    expect(summary.daily[2]).toEqual({ date: '2026-02-03', calls: 2, tokens: 2000, costUsd: 0.0054 })
+    expect(summary.daily[0].calls).toBe(0)
+  })
+})
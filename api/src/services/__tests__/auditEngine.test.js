@@ -0,0 +1,89 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  REDACTED,
+  auditEventsToCsv,
+  buildAuditWhere,
+  changedFields,
+  normalizeAuditFilters,
+  toSnapshot
+} from '../auditEngine.js'
+
+describe('auditEngine', () => {
+  it('snapshots records as JSON with secrets redacted and bulky columns dropped', () => {
+    const order = {
+      id: 'po_1',
+      status: 'pending',
+      orderDate: new Date('2026-10-18T09:00:00Z'),
+      rawData: { pages: ['...'] },
+      supplier: { id: 'sup_1', connectionConfig: { sftp: { host: 'files.example.com', password: 'hunter2' } } },
+      lineItems: [{ sku: 'A-1', quantity: 2n }]
+    }
+
+    expect(toSnapshot('purchase_order', order)).toEqual({
+      id: 'po_1',
+      status: 'pending',
+      orderDate: '2026-10-18T09:00:00.000Z',
+      supplier: { id: 'sup_1', connectionConfig: { sftp: { host: 'files.example.com', password: REDACTED } } },
+      lineItems: [{ sku: 'A-1', quantity: '2' }]
+    })
+
+    expect(toSnapshot('credentials', { shopDomain: 'a.myshopify.com', accessToken: 'enc:abc', webhookSecret: null }))
+      .toEqual({ shopDomain: 'a.myshopify.com', accessToken: REDACTED, webhookSecret: null })
+    expect(toSnapshot('supplier', null)).toBeNull()
+  })
+
+  it('lists the top-level fields an event changed', () => {
+    const before = { status: 'pending', totalAmount: 10, lineItems: [{ sku: 'A' }], updatedAt: '1' }
+    const after = { status: 'approved', totalAmount: 10, lineItems: [{ sku: 'B' }], updatedAt: '2', notes: 'ok' }
+    expect(changedFields(before, after)).toEqual(['lineItems', 'notes', 'status'])
+    expect(changedFields(null, after)).toEqual([])
+  })
+
+  it('validates filters and builds a merchant-scoped query', () => {
+    const filters = normalizeAuditFilters({
+      action: 'purchase_order.*',
+      entityType: 'purchase_order',
+      from: '2026-10-01',
+      to: '2026-10-19T23:59:59Z',
+      limit: '500'
+    })
+    expect(filters.limit).toBe(200)
+    expect(buildAuditWhere('m_1', filters)).toEqual({
+      merchantId: 'm_1',
+      action: { startsWith: 'purchase_order.' },
+      entityType: 'purchase_order',
+      createdAt: { gte: new Date('2026-10-01'), lte: new Date('2026-10-19T23:59:59Z') }
+    })
+
+    expect(buildAuditWhere('m_1', normalizeAuditFilters({ action: 'purchase_order.approved', actorId: 'staff_1' })))
+      .toEqual({ merchantId: 'm_1', action: 'purchase_order.approved', staffUserId: 'staff_1' })
+    expect(normalizeAuditFilters({}).limit).toBe(50)
+    expect(normalizeAuditFilters({ limit: '5000' }, { maxLimit: 10000 }).limit).toBe(5000)
+
+    expect(() => normalizeAuditFilters({ entityType: 'invoice_line' })).toThrow('entityType')
+    expect(() => normalizeAuditFilters({ from: 'yesterday' })).toThrow('from must be a valid date')
+    expect(() => normalizeAuditFilters({ from: '2026-10-19', to: '2026-10-01' })).toThrow('before')
+  })
+
+  it('exports events as CSV with embedded snapshots', () => {
+    const csv = auditEventsToCsv([{
+      createdAt: new Date('2026-10-19T10:00:00Z'),
+      actorName: 'Ada Lovelace',
+      actorRole: 'approver',
+      action: 'purchase_order.denied',
+      entityType: 'purchase_order',
+      entityId: 'po_1',
+      changedFields: ['processingNotes', 'status'],
+      ipAddress: '10.0.0.1',
+      before: { status: 'pending' },
+      after: { status: 'denied', processingNotes: 'Wrong prices, resend' }
+    }])
+
+    expect(csv.split('\r\n')).toEqual([
+      'Time,Actor,Role,Action,Entity Type,Entity ID,Changed Fields,IP Address,Before,After',
+      '2026-10-19T10:00:00.000Z,Ada Lovelace,approver,purchase_order.denied,purchase_order,po_1,processingNotes status,10.0.0.1,' +
+        '"{""status"":""pending""}","{""status"":""denied"",""processingNotes"":""Wrong prices, resend""}"',
+      ''
+    ])
+  })
+})
@@ -0,0 +1,102 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  buildExtractionResult,
+  detectHeaderRow,
+  extractFromSheets,
+  locateSavedMapping,
+  parseNumber
+} from '../columnMappingEngine.js'
+
+const orderSheet = {
+  name: 'Order',
+  rows: [
+    ['Candyville Wholesale'],
+    ['PO Number:', 'PO-7781', '', 'PO Date', 46000],
+    ['Vendor: Candyville Inc.'],
+    [],
+    ['Item #', 'Description', 'UPC', 'Qty', 'Unit Price', 'Ext. Price'],
+    ['CV-1001', 'Sour Straws - Case of 12', '012345678905', '2', '$18.00', '$36.00'],
+    ['Seasonal'],
+    ['CV-1002', 'Gummy Bears 1kg', '', 5, 7.5, ''],
+    ['', '', '', '', '', ''],
+    ['Subtotal', '', '', '', '', '73.50'],
+    ['Tax', '', '', '', '', '9.56'],
+    ['Total', '', '', '', '', '83.06']
+  ]
+}
+
+describe('columnMappingEngine', () => {
+  it('finds a header row below titles and maps columns by alias', () => {
+    expect(detectHeaderRow(orderSheet.rows)).toEqual({
+      headerRowIndex: 4,
+      columns: { sku: 0, description: 1, barcode: 2, quantity: 3, unitCost: 4, total: 5 }
+    })
+    expect(detectHeaderRow([['Notes'], ['Call before delivery']])).toBeNull()
+  })
+
+  it('parses currency and locale formatted numbers', () => {
+    expect(parseNumber('$1,234.50')).toBe(1234.5)
+    expect(parseNumber('1.234,50 €')).toBe(1234.5)
+    expect(parseNumber('(12.00)')).toBe(-12)
+    expect(parseNumber('n/a')).toBeNull()
+  })
+
+  it('extracts line items, totals and header fields across sheets', () => {
+    const extraction = extractFromSheets([
+      { name: 'Cover', rows: [['Thank you for your order']] },
+      orderSheet,
+      {
+        name: 'Backorders',
+        rows: [['SKU', 'Product Name', 'Quantity', 'Cost'], ['CV-2001', 'Licorice Wheels', 3, 4]]
+      }
+    ])
+
+    expect(extraction.sheets.map((sheet) => [sheet.name, sheet.lineItems, sheet.skippedRows])).toEqual([
+      ['Order', 2, 1],
+      ['Backorders', 1, 0]
+    ])
+    expect(extraction.lineItems[0]).toEqual({
+      productCode: 'CV-1001',
+      sku: 'CV-1001',
+      description: 'Sour Straws - Case of 12',
+      quantity: 2,
+      unitPrice: 18,
+      total: 36,
+      barcode: '012345678905'
+    })
+    expect(extraction.lineItems[1]).toMatchObject({ quantity: 5, unitPrice: 7.5, total: 37.5 })
+    expect(extraction.totals).toEqual({ subtotal: 73.5, tax: 9.56, total: 83.06 })
+    expect(extraction.headerFields).toEqual({
+      poNumber: 'PO-7781',
+      orderDate: '2025-12-09',
+      supplierName: 'Candyville Inc.'
+    })
+  })
+
+  it('uses saved header names ahead of detection', () => {
+    const rows = [['Ref', 'Article', 'Ordered', 'Net'], ['A-1', 'Widget', 4, 2.5]]
+    expect(detectHeaderRow(rows)).toBeNull()
+
+    const saved = { sku: 'Ref', description: 'Article', quantity: 'Ordered', unitCost: 'Net' }
+    expect(locateSavedMapping(rows, saved)).toEqual({
+      headerRowIndex: 0,
+      columns: { sku: 0, description: 1, quantity: 2, unitCost: 3 }
+    })
+    expect(extractFromSheets([{ name: 'Sheet1', rows }], { savedColumns: saved }).lineItems).toHaveLength(1)
+    expect(locateSavedMapping(rows, { ...saved, sku: 'Item #' })).toBeNull()
+  })
+
+  it('wraps the extraction in the AI result shape', () => {
+    const result = buildExtractionResult(extractFromSheets([orderSheet]))
+
+    expect(result.confidence).toBe(0.95)
+    expect(result.extractedData).toMatchObject({
+      poNumber: 'PO-7781',
+      supplier: { name: 'Candyville Inc.' },
+      dates: { orderDate: '2025-12-09' },
+      totals: { subtotal: 73.5, tax: 9.56, total: 83.06 }
+    })
+    expect(result.extractedData.lineItems).toHaveLength(2)
+    expect(result.issues).toEqual([])
+  })
+})
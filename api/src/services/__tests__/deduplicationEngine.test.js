@@ -0,0 +1,80 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  findDuplicate,
+  fuzzySimilarity,
+  scoreCandidate,
+  tokenSimilarity,
+  validateDeduplicationRule
+} from '../deduplicationEngine.js'
+
+const baseRule = {
+  isEnabled: true,
+  priority: 0,
+  matchFields: ['sku'],
+  matchThreshold: 1,
+  matchAlgorithm: 'EXACT',
+  onDuplicateAction: 'SKIP',
+  mergeBehavior: null
+}
+
+const candidates = [
+  { source: 'product_draft', id: 'draft_1', sku: ['ABC-123', 'ABC-123-1'], barcode: ['0123456789'], title: ['Blue Cotton Widget'], supplierId: 'sup_1' },
+  { source: 'shopify_product', id: 'li_2', sku: 'XYZ-9', title: 'Red Gadget Large', supplierId: 'sup_2', shopifyProductId: 'gid://shopify/Product/2' }
+]
+
+describe('deduplicationEngine', () => {
+  it('matches exact SKUs regardless of case and punctuation', () => {
+    const match = findDuplicate({ incoming: { sku: 'abc 123' }, rules: [baseRule], candidates })
+
+    expect(match.candidate.id).toBe('draft_1')
+    expect(match.action).toBe('SKIP')
+    expect(match.score).toBe(1)
+  })
+
+  it('treats fields missing on either side as non-matching', () => {
+    const rule = { ...baseRule, matchFields: ['sku', 'barcode'] }
+    const result = scoreCandidate(rule, { sku: 'ABC-123' }, candidates[0])
+
+    expect(result.fieldScores).toEqual({ sku: 1, barcode: 0 })
+    expect(findDuplicate({ incoming: { sku: 'ABC-123' }, rules: [rule], candidates })).toBeNull()
+  })
+
+  it('scores fuzzy and semantic title similarity', () => {
+    expect(fuzzySimilarity('Blue Cotton Widget', 'Blue Coton Widget')).toBeGreaterThan(0.9)
+    expect(tokenSimilarity('Large Red Gadget', 'Red Gadget Large')).toBe(1)
+
+    const match = findDuplicate({
+      incoming: { title: 'Gadget, Red (Large)' },
+      rules: [{ ...baseRule, matchFields: ['title'], matchAlgorithm: 'SEMANTIC', matchThreshold: 0.8, onDuplicateAction: 'UPDATE_EXISTING' }],
+      candidates
+    })
+    expect(match.candidate.shopifyProductId).toBe('gid://shopify/Product/2')
+    expect(match.action).toBe('UPDATE_EXISTING')
+  })
+
+  it('compares regex capture groups', () => {
+    const rule = { ...baseRule, matchAlgorithm: 'REGEX_PATTERN', matchPattern: '^([A-Z]+-\\d+)' }
+
+    expect(findDuplicate({ incoming: { sku: 'ABC-123-XL' }, rules: [rule], candidates }).candidate.id).toBe('draft_1')
+    expect(findDuplicate({ incoming: { sku: 'ABD-123' }, rules: [rule], candidates })).toBeNull()
+  })
+
+  it('rejects regex rules without a usable pattern', () => {
+    expect(() => validateDeduplicationRule({ matchAlgorithm: 'REGEX_PATTERN' })).toThrow('needs a pattern')
+    expect(() => validateDeduplicationRule({ matchAlgorithm: 'REGEX_PATTERN', matchPattern: '([A-Z]+' })).toThrow('Invalid regex pattern')
+    expect(() => validateDeduplicationRule({ matchAlgorithm: 'REGEX_PATTERN', matchPattern: '^([A-Z]+)' })).not.toThrow()
+    expect(() => validateDeduplicationRule({ matchAlgorithm: 'EXACT' })).not.toThrow()
+  })
+
+  it('uses the highest-priority rule that fires and skips disabled rules', () => {
+    const rules = [
+      { ...baseRule, id: 'low', priority: 1, onDuplicateAction: 'CREATE_ANYWAY' },
+      { ...baseRule, id: 'off', priority: 20, isEnabled: false },
+      { ...baseRule, id: 'high', priority: 10, onDuplicateAction: 'QUEUE_FOR_REVIEW' }
+    ]
+
+    const match = findDuplicate({ incoming: { sku: 'XYZ-9' }, rules, candidates })
+    expect(match.rule.id).toBe('high')
+    expect(match.action).toBe('QUEUE_FOR_REVIEW')
+  })
+})
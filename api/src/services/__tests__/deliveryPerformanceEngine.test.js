@@ -0,0 +1,92 @@
+import { describe, expect, it } from '@jest/globals'
+import { buildDeliveryRecord, summarizeDeliveryPerformance } from '../deliveryPerformanceEngine.js'
+
+const now = new Date('2026-10-19T12:00:00Z')
+
+const line = (quantity, quantityReceived, quantityDamaged = 0) => ({ quantity, quantityReceived, quantityDamaged })
+
+describe('deliveryPerformanceEngine', () => {
+  it('measures lead time and lateness from receipts, not processing time', () => {
+    const record = buildDeliveryRecord({
+      orderDate: '2026-09-01T00:00:00Z',
+      expectedArrivalDate: '2026-09-10T00:00:00Z',
+      jobCompletedAt: '2026-09-01T00:05:00Z',
+      status: 'received',
+      lineItems: [line(10, 10)],
+      receipts: [{ receivedAt: '2026-09-08T15:00:00Z' }, { receivedAt: '2026-09-12T09:00:00Z' }]
+    }, now)
+
+    expect(record.leadTimeDays).toBe(7.63)
+    expect(record.complete).toBe(true)
+    expect(record.inFull).toBe(true)
+    expect(record.onTime).toBe(false)
+    expect(record.arrivalDelayDays).toBe(2.38)
+  })
+
+  it('treats arrival on the expected day as on time, and short closes as not in full', () => {
+    const record = buildDeliveryRecord({
+      createdAt: '2026-09-01T00:00:00Z',
+      dueDate: '2026-09-10T00:00:00Z',
+      status: 'received',
+      lineItems: [line(10, 10, 2)],
+      receipts: [{ receivedAt: '2026-09-10T18:00:00Z' }]
+    }, now)
+
+    expect(record.onTime).toBe(true)
+    expect(record.inFull).toBe(false)
+  })
+
+  it('counts open POs only once they are overdue', () => {
+    const pending = buildDeliveryRecord({
+      createdAt: '2026-10-01T00:00:00Z',
+      expectedArrivalDate: '2026-10-25T00:00:00Z',
+      status: 'partially_received',
+      lineItems: [line(10, 4)],
+      receipts: [{ receivedAt: '2026-10-10T00:00:00Z' }]
+    }, now)
+    expect(pending.onTime).toBeNull()
+    expect(pending.inFull).toBeNull()
+
+    const overdue = buildDeliveryRecord({
+      createdAt: '2026-09-01T00:00:00Z',
+      expectedArrivalDate: '2026-10-01T00:00:00Z',
+      status: 'sent',
+      lineItems: [line(10, 0)],
+      receipts: []
+    }, now)
+    expect(overdue.onTime).toBe(false)
+    expect(overdue.leadTimeDays).toBeNull()
+  })
+
+  it('summarizes lead time variance and OTIF', () => {
+    const summary = summarizeDeliveryPerformance([
+      { leadTimeDays: 6, arrivalDelayDays: -1, onTime: true, inFull: true, complete: true },
+      { leadTimeDays: 10, arrivalDelayDays: 3, onTime: false, inFull: true, complete: true },
+      { leadTimeDays: 8, arrivalDelayDays: 0, onTime: true, inFull: false, complete: true },
+      { leadTimeDays: null, arrivalDelayDays: null, onTime: false, inFull: null, complete: false },
+      { leadTimeDays: null, arrivalDelayDays: null, onTime: null, inFull: null, complete: false }
+    ])
+
+    expect(summary).toEqual({
+      deliveriesMeasured: 4,
+      avgLeadTimeDays: 8,
+      leadTimeStdDevDays: 1.63,
+      avgArrivalDelayDays: 0.67,
+      onTimeRate: 50,
+      inFullRate: 66.67,
+      otifRate: 25
+    })
+  })
+
+  it('returns nulls when nothing has been delivered', () => {
+    expect(summarizeDeliveryPerformance([])).toEqual({
+      deliveriesMeasured: 0,
+      avgLeadTimeDays: null,
+      leadTimeStdDevDays: null,
+      avgArrivalDelayDays: null,
+      onTimeRate: null,
+      inFullRate: null,
+      otifRate: null
+    })
+  })
+})
@@ -0,0 +1,207 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  buildEdiParsedResult,
+  buildX12Acknowledgement,
+  detectEdiStandard,
+  extractTransactionDocument,
+  isEdiDocument,
+  matchShipNoticeLines,
+  matchTradingPartner,
+  normalizeTradingPartner,
+  parseEdifact,
+  parseEdifactOrder,
+  parseX12,
+  parseX12PurchaseOrder,
+  parseX12ShipNotice
+} from '../ediEngine.js'
+
+const isa = (senderId, receiverId, control) => [
+  'ISA', '00', '          ', '00', '          ', 'ZZ', senderId.padEnd(15), 'ZZ', receiverId.padEnd(15),
+  '261019', '1200', 'U', '00401', control, '0', 'P', '>'
+].join('*')
+
+const X12_850 = [
+  isa('ACMEWHOLESALE', 'OURSHOP', '000000101'),
+  'GS*PO*ACMEWHOLESALE*OURSHOP*20261019*1200*101*X*004010',
+  'ST*850*0001',
+  'BEG*00*SA*PO-7781**20261018',
+  'CUR*BY*USD',
+  'DTM*002*20261101',
+  'N1*SU*Acme Wholesale*92*ACME01',
+  'N1*ST*Main Warehouse',
+  'N3*1 Dock Road',
+  'N4*Portland*OR*97201*US',
+  'PO1*1*12*EA*4.50**VP*WID-1*UP*012345678905',
+  'PID*F****Blue widget',
+  'PO1*2*3*CA*20**VP*GAD-9',
+  'PID*F****Gadget case',
+  'SAC*C*D240***1500',
+  'CTT*2',
+  'SE*14*0001',
+  'GE*1*101',
+  'IEA*1*000000101'
+].join('~\n') + '~\n'
+
+const EDIFACT_ORDERS = [
+  "UNA:+,? '",
+  'UNB+UNOC:3+5412345000013:14+5098765000019:14+261019:1200+77',
+  'UNH+1+ORDERS:D:96A:UN',
+  'BGM+220+ORD-55+9',
+  'DTM+137:20261018:102',
+  'DTM+2:202611011400:203',
+  'CUX+2:EUR:9',
+  'NAD+SU+5412345000013::9++Fournisseur SA',
+  'LIN+1++4000862141404:EN',
+  'PIA+1+ART-1:SA',
+  "IMD+F++:::Caf?' Creme",
+  'QTY+21:6',
+  'PRI+AAA:2,5',
+  'UNS+S',
+  'MOA+86:15',
+  'CNT+2:1',
+  'UNT+13+1',
+  'UNZ+1+77'
+].join("'") + "'"
+
+describe('ediEngine', () => {
+  it('detects the EDI standard from the interchange header', () => {
+    expect(detectEdiStandard(X12_850)).toBe('x12')
+    expect(detectEdiStandard(EDIFACT_ORDERS)).toBe('edifact')
+    expect(detectEdiStandard('PO Number,SKU,Qty')).toBeNull()
+
+    expect(isEdiDocument(Buffer.from(X12_850), 'text/plain')).toBe(true)
+    expect(isEdiDocument(Buffer.from('hello'), 'application/edifact')).toBe(true)
+    expect(isEdiDocument(Buffer.from('PO Number,SKU,Qty'), 'text/plain')).toBe(false)
+    expect(isEdiDocument(Buffer.from(X12_850), 'application/pdf')).toBe(false)
+  })
+
+  it('parses an X12 850 into the persisted PO shape', () => {
+    const interchange = parseX12(X12_850)
+    expect(interchange.interchange).toMatchObject({ senderId: 'ACMEWHOLESALE', receiverId: 'OURSHOP', controlNumber: '000000101' })
+    expect(interchange.transactions).toHaveLength(1)
+
+    const order = parseX12PurchaseOrder(interchange.transactions[0])
+    expect(order).toMatchObject({ poNumber: 'PO-7781', orderDate: '2026-10-18', currency: 'USD', declaredLineCount: 2 })
+    expect(order.parties.ST).toMatchObject({ name: 'Main Warehouse', city: 'Portland', postalCode: '97201' })
+    expect(order.lineItems[0]).toMatchObject({ sku: 'WID-1', barcode: '012345678905', quantity: 12, unitPrice: 4.5, description: 'Blue widget' })
+
+    const result = buildEdiParsedResult(order, { standard: 'x12', interchange: interchange.interchange })
+    expect(result.confidence).toBe(0.99)
+    expect(result.issues).toEqual([])
+    expect(result.extractedData).toMatchObject({
+      poNumber: 'PO-7781',
+      vendor: { name: 'Acme Wholesale' },
+      dates: { orderDate: '2026-10-18', expectedDelivery: '2026-11-01' },
+      totals: { subtotal: 114, shipping: 15, total: 129 },
+      edi: { standard: 'x12', senderId: 'ACMEWHOLESALE' }
+    })
+    expect(result.extractedData.lineItems[1]).toMatchObject({ sku: 'GAD-9', quantity: 3, total: 60 })
+  })
+
+  it('parses an EDIFACT ORDERS message with UNA delimiters and release characters', () => {
+    const interchange = parseEdifact(EDIFACT_ORDERS)
+    expect(interchange.delimiters.decimal).toBe(',')
+    expect(interchange.interchange).toMatchObject({ senderId: '5412345000013', senderQualifier: '14', controlNumber: '77' })
+    expect(interchange.transactions[0].type).toBe('ORDERS')
+
+    const order = parseEdifactOrder(interchange.transactions[0], { decimal: ',' })
+    expect(order).toMatchObject({ poNumber: 'ORD-55', orderDate: '2026-10-18', currency: 'EUR', declaredLineCount: 1 })
+    expect(order.dates.expectedDelivery).toBe('2026-11-01T14:00:00.000Z')
+    expect(order.totals.total).toBe(15)
+    expect(order.lineItems[0]).toMatchObject({ sku: 'ART-1', barcode: '4000862141404', quantity: 6, unitPrice: 2.5, description: "Caf' Creme" })
+  })
+
+  it('re-wraps each transaction in its own envelope', () => {
+    const interchange = parseX12(X12_850)
+    const document = extractTransactionDocument(interchange, interchange.transactions[0])
+    const reparsed = parseX12(document)
+    expect(reparsed.transactions).toHaveLength(1)
+    expect(parseX12PurchaseOrder(reparsed.transactions[0]).lineItems).toHaveLength(2)
+
+    const edifact = parseEdifact(EDIFACT_ORDERS)
+    const single = parseEdifact(extractTransactionDocument(edifact, edifact.transactions[0]))
+    expect(parseEdifactOrder(single.transactions[0], { decimal: ',' }).poNumber).toBe('ORD-55')
+  })
+
+  it('builds an 855 acknowledgement with a correct segment count', () => {
+    const ack = buildX12Acknowledgement({
+      poNumber: 'PO-7781',
+      orderDate: '2026-10-18',
+      lineItems: [
+        { sku: 'WID-1', quantity: 12, unitPrice: 4.5 },
+        { sku: 'GAD-9', quantity: 3, uom: 'CA', unitPrice: 20, status: 'rejected' }
+      ]
+    }, { senderId: 'OURSHOP', receiverId: 'ACMEWHOLESALE', controlNumber: 42, ackType: 'AC', date: new Date('2026-10-19T09:30:00Z') })
+
+    const parsed = parseX12(ack)
+    expect(parsed.interchange).toMatchObject({ senderId: 'OURSHOP', receiverId: 'ACMEWHOLESALE', controlNumber: '000000042' })
+    expect(parsed.interchange.raw).toHaveLength(105)
+
+    const transaction = parsed.transactions[0]
+    expect(transaction.type).toBe('855')
+    expect(transaction.segments.find((segment) => segment[0] === 'BAK')).toEqual(['BAK', '00', 'AC', 'PO-7781', '20261018', '', '', '', '', '20261019'])
+    expect(transaction.segments.filter((segment) => segment[0] === 'ACK').map((segment) => segment[1])).toEqual(['IA', 'IR'])
+    const se = transaction.raw[transaction.raw.length - 1].split('*')
+    expect(Number(se[1])).toBe(transaction.raw.length)
+
+    expect(() => buildX12Acknowledgement({ lineItems: [] }, { senderId: 'A', receiverId: 'B', ackType: 'XX' })).toThrow('ackType')
+  })
+
+  it('parses an 856 ship notice and matches it to PO lines', () => {
+    const asn = [
+      isa('ACMEWHOLESALE', 'OURSHOP', '000000102'),
+      'GS*SH*ACMEWHOLESALE*OURSHOP*20261025*0800*102*X*004010',
+      'ST*856*0001',
+      'BSN*00*SHP-900*20261025*0800',
+      'DTM*011*20261025',
+      'DTM*017*20261029',
+      'HL*1**S',
+      'TD5**2*UPSN**UPS Ground',
+      'REF*CN*1Z999',
+      'HL*2*1*O',
+      'PRF*PO-7781',
+      'HL*3*2*I',
+      'LIN*1*VP*WID-1',
+      'SN1*1*8*EA',
+      'HL*4*2*I',
+      'LIN*2*UP*999999999999',
+      'SN1*2*1*EA',
+      'SE*16*0001',
+      'GE*1*102',
+      'IEA*1*000000102'
+    ].join('~') + '~'
+
+    const notice = parseX12ShipNotice(parseX12(asn).transactions[0])
+    expect(notice).toMatchObject({
+      shipmentId: 'SHP-900',
+      shippedAt: '2026-10-25',
+      expectedArrivalDate: '2026-10-29',
+      carrier: 'UPS Ground',
+      trackingNumber: '1Z999'
+    })
+    expect(notice.orders).toHaveLength(1)
+    expect(notice.orders[0].poNumber).toBe('PO-7781')
+
+    const matched = matchShipNoticeLines([{ id: 'line-1', sku: 'wid-1' }, { id: 'line-2', sku: 'GAD-9' }], notice.orders[0].items)
+    expect(matched.lines).toEqual([{ lineItemId: 'line-1', sku: 'wid-1', quantityShipped: 8 }])
+    expect(matched.unmatched).toHaveLength(1)
+  })
+
+  it('matches trading partners on Supplier.connectionConfig.edi', () => {
+    const suppliers = [
+      { id: 'a', connectionConfig: { edi: { partnerId: 'ACMEWHOLESALE', partnerQualifier: 'ZZ' } } },
+      { id: 'b', connectionConfig: { edi: { partnerId: '5412345000013' } } },
+      { id: 'c', connectionConfig: null }
+    ]
+    expect(matchTradingPartner(suppliers, { senderId: 'acmewholesale', senderQualifier: 'ZZ' })?.id).toBe('a')
+    expect(matchTradingPartner(suppliers, { senderId: 'ACMEWHOLESALE', senderQualifier: '01' })).toBeNull()
+    expect(matchTradingPartner(suppliers, { senderId: '5412345000013', senderQualifier: '14' })?.id).toBe('b')
+    expect(matchTradingPartner(suppliers, {})).toBeNull()
+
+    expect(normalizeTradingPartner({ partnerId: ' ACMEWHOLESALE ', ourId: 'OURSHOP' }))
+      .toMatchObject({ standard: 'x12', partnerId: 'ACMEWHOLESALE', partnerQualifier: null, ourId: 'OURSHOP', lastControlNumber: 0 })
+    expect(() => normalizeTradingPartner({ standard: 'x12', partnerId: 'A'.repeat(16) })).toThrow('15 characters')
+    expect(() => normalizeTradingPartner({ standard: 'csv', partnerId: 'A' })).toThrow('standard')
+    expect(() => normalizeTradingPartner({})).toThrow('sender ID')
+  })
+})
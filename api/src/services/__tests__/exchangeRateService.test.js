@@ -0,0 +1,68 @@
+import { describe, expect, it, jest } from '@jest/globals'
+
+const findMany = jest.fn()
+
+jest.unstable_mockModule('../../lib/db.js', () => ({
+  prismaOperation: jest.fn((operation) => operation({ exchangeRate: { findMany } }))
+}))
+
+const {
+  ExchangeRateService,
+  convertAmount,
+  createFeedProvider,
+  merchantTableProvider
+} = await import('../exchangeRateService.js')
+
+describe('exchangeRateService', () => {
+  it('converts amounts to cents', () => {
+    expect(convertAmount(10, 1.0825)).toBe(10.83)
+    expect(convertAmount('abc', 1.1)).toBe(0)
+  })
+
+  it('returns an identity rate for matching currencies', async () => {
+    const service = new ExchangeRateService([])
+    const result = await service.getRate('m1', 'usd', 'USD')
+
+    expect(result.rate).toBe(1)
+    expect(result.source).toBe('identity')
+  })
+
+  it('reads direct and inverse rates from the merchant table', async () => {
+    findMany.mockResolvedValueOnce([{ baseCurrency: 'EUR', quoteCurrency: 'USD', rate: 1.1, effectiveDate: new Date('2026-01-01') }])
+    expect((await merchantTableProvider.getRate({ merchantId: 'm1', fromCurrency: 'EUR', toCurrency: 'USD' })).rate).toBe(1.1)
+
+    findMany.mockResolvedValueOnce([{ baseCurrency: 'USD', quoteCurrency: 'GBP', rate: 0.8, effectiveDate: new Date('2026-01-01') }])
+    expect((await merchantTableProvider.getRate({ merchantId: 'm1', fromCurrency: 'GBP', toCurrency: 'USD' })).rate).toBe(1.25)
+  })
+
+  it('falls through the provider chain and skips failing providers', async () => {
+    const broken = { name: 'broken', getRate: jest.fn().mockRejectedValue(new Error('down')) }
+    const empty = { name: 'empty', getRate: jest.fn().mockResolvedValue(null) }
+    const fallback = { name: 'fallback', getRate: jest.fn().mockResolvedValue({ rate: 0.9, rateDate: '2026-02-01' }) }
+    const service = new ExchangeRateService([broken, empty])
+    service.registerProvider(fallback)
+
+    const result = await service.getRate('m1', 'EUR', 'USD')
+
+    expect(result).toMatchObject({ fromCurrency: 'EUR', toCurrency: 'USD', rate: 0.9, source: 'fallback' })
+    expect(broken.getRate).toHaveBeenCalled()
+  })
+
+  it('returns null when no provider has a rate', async () => {
+    const service = new ExchangeRateService([{ name: 'empty', getRate: async () => null }])
+    expect(await service.getRate('m1', 'EUR', 'USD')).toBeNull()
+  })
+
+  it('reads rates from a feed and caches per base currency', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ base: 'EUR', date: '2026-03-01', rates: { USD: 1.08 } })
+    })
+    const feed = createFeedProvider({ url: 'https://rates.example.com/latest', fetchImpl })
+
+    expect((await feed.getRate({ fromCurrency: 'EUR', toCurrency: 'USD' })).rate).toBe(1.08)
+    expect(await feed.getRate({ fromCurrency: 'EUR', toCurrency: 'JPY' })).toBeNull()
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+    expect(fetchImpl.mock.calls[0][0]).toBe('https://rates.example.com/latest?base=EUR')
+  })
+})
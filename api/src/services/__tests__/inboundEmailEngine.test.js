@@ -0,0 +1,55 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  buildInboundToken,
+  matchSupplierBySender,
+  parseRecipientToken,
+  senderCandidates
+} from '../inboundEmailEngine.js'
+
+const extractDomain = (value) => {
+  if (!value) return null
+  if (value.includes('@')) return value.split('@')[1].toLowerCase()
+  return new URL(value.startsWith('http') ? value : `https://${value}`).hostname.replace('www.', '')
+}
+
+describe('inboundEmailEngine', () => {
+  it('builds inbound tokens from the shop domain', () => {
+    expect(buildInboundToken('Acme-Store.myshopify.com', 'K3F9')).toBe('acme-store-k3f9')
+    expect(buildInboundToken(null, 'ab12')).toBe('store-ab12')
+  })
+
+  it('reads the token from inbound recipients, including plus-addressing', () => {
+    expect(parseRecipientToken('acme-store-k3f9@inbound.example.com', 'inbound.example.com')).toBe('acme-store-k3f9')
+    expect(parseRecipientToken('Orders+Acme-Store-K3F9@Inbound.Example.com', 'inbound.example.com')).toBe('acme-store-k3f9')
+    expect(parseRecipientToken('acme-store-k3f9@elsewhere.com', 'inbound.example.com')).toBeNull()
+    expect(parseRecipientToken('not-an-address', 'inbound.example.com')).toBeNull()
+  })
+
+  it('prefers the original sender of forwarded messages', () => {
+    const forwarded = {
+      subject: 'Fwd: PO 5512',
+      from: 'Buyer <buyer@acme-store.com>',
+      text: '---------- Forwarded message ---------\nFrom: Orders <orders@wholesale.test>\nSubject: PO 5512'
+    }
+    expect(senderCandidates(forwarded)).toEqual(['orders@wholesale.test', 'buyer@acme-store.com'])
+
+    const direct = { subject: 'PO 5512', from: 'orders@wholesale.test', replyTo: 'sales@wholesale.test', text: '' }
+    expect(senderCandidates(direct)).toEqual(['sales@wholesale.test', 'orders@wholesale.test'])
+  })
+
+  it('matches suppliers by exact address or an unambiguous domain', () => {
+    const suppliers = [
+      { id: 'wholesale', contactEmail: 'sales@wholesale.test', website: null },
+      { id: 'gmail-supplier', contactEmail: 'jo.supplies@gmail.com', website: null },
+      { id: 'shared-a', contactEmail: 'a@shared.test', website: null },
+      { id: 'shared-b', contactEmail: null, website: 'https://www.shared.test' }
+    ]
+
+    expect(matchSupplierBySender(suppliers, ['orders@wholesale.test'], extractDomain))
+      .toEqual({ supplierId: 'wholesale', address: 'orders@wholesale.test', domain: 'wholesale.test', matchedBy: 'domain' })
+    expect(matchSupplierBySender(suppliers, ['jo.supplies@gmail.com'], extractDomain)?.matchedBy).toBe('address')
+    // Free-mail and ambiguous domains do not identify a supplier
+    expect(matchSupplierBySender(suppliers, ['someone@gmail.com', 'x@shared.test'], extractDomain)).toBeNull()
+    expect(matchSupplierBySender(suppliers, ['buyer@wholesale.test'], extractDomain, { excludeDomains: ['wholesale.test'] })).toBeNull()
+  })
+})
@@ -0,0 +1,91 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  buildPurchaseOrderCsv,
+  buildPurchaseOrderPdf,
+  calculateLineTotals,
+  findConfirmationMatch,
+  nextOutboundNumber,
+  scoreConfirmationMatch
+} from '../outboundPurchaseOrderEngine.js'
+
+const outbound = {
+  id: 'po-out-1',
+  number: 'OUT-00012',
+  supplierId: 'sup-1',
+  supplierName: 'Acme Wholesale',
+  currency: 'USD',
+  totalAmount: 62.5,
+  createdAt: '2026-05-01T00:00:00Z',
+  lineItems: [
+    { sku: 'TEE-BLK-M', productName: 'Tee, "Black" M', quantity: 10, unitCost: 4.5, totalCost: 45 },
+    { sku: 'TEE-WHT-M', productName: 'Tee White M', quantity: 5, unitCost: 3.5, totalCost: 17.5 }
+  ]
+}
+
+describe('outboundPurchaseOrderEngine', () => {
+  it('calculates line and order totals', () => {
+    const { lineItems, totalAmount } = calculateLineTotals([
+      { sku: 'A', quantity: 3, unitCost: 1.335 },
+      { sku: 'B', quantity: '2', unitCost: '10' }
+    ])
+
+    expect(lineItems.map((item) => item.totalCost)).toEqual([4.02, 20])
+    expect(totalAmount).toBe(24.02)
+  })
+
+  it('renders a CSV with escaped cells', () => {
+    const csv = buildPurchaseOrderCsv(outbound).split('\r\n')
+
+    expect(csv[0]).toBe('PO Number,Supplier,SKU,Product,Quantity,Unit Cost,Total Cost,Currency')
+    expect(csv[1]).toBe('OUT-00012,Acme Wholesale,TEE-BLK-M,"Tee, ""Black"" M",10,4.50,45.00,USD')
+  })
+
+  it('renders a PDF with a valid cross-reference table', () => {
+    const pdf = buildPurchaseOrderPdf(outbound).toString('latin1')
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true)
+    expect(pdf).toContain('(PO Number: OUT-00012) Tj')
+
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1])
+    expect(pdf.slice(startxref, startxref + 4)).toBe('xref')
+
+    const firstOffset = Number(pdf.match(/0000000000 65535 f \n(\d{10})/)[1])
+    expect(pdf.slice(firstOffset, firstOffset + 7)).toBe('1 0 obj')
+  })
+
+  it('matches confirmations by PO reference or supplier and SKU overlap', () => {
+    const byReference = scoreConfirmationMatch(
+      { number: 'SO-5531', supplierName: 'Someone Else', rawData: { customerPo: 'out 00012' }, lineItems: [] },
+      outbound
+    )
+    expect(byReference).toMatchObject({ score: 1, referenceMatch: true })
+
+    const bySkus = scoreConfirmationMatch(
+      { number: 'SO-5532', supplierName: 'ACME Wholesale', lineItems: [{ sku: 'tee-blk-m' }, { sku: 'TEE-WHT-M' }] },
+      outbound
+    )
+    expect(bySkus).toMatchObject({ score: 1, referenceMatch: false, supplierMatch: true, skuOverlap: 1 })
+
+    const otherSupplier = scoreConfirmationMatch(
+      { number: 'SO-5533', supplierId: 'sup-2', supplierName: 'Other', lineItems: [{ sku: 'TEE-BLK-M' }] },
+      outbound
+    )
+    expect(otherSupplier.score).toBe(0)
+  })
+
+  it('numbers new orders after the highest OUT- number in use', () => {
+    expect(nextOutboundNumber([])).toBe('OUT-00001')
+    // Order 2 was deleted: counting rows would hand out OUT-00003 a second time
+    expect(nextOutboundNumber(['OUT-00001', 'OUT-00003'])).toBe('OUT-00004')
+    expect(nextOutboundNumber(['OUT-99999', 'OUT-00012', 'OUT-SPECIAL'])).toBe('OUT-100000')
+  })
+
+  it('picks the best outbound order above the threshold', () => {
+    const older = { ...outbound, id: 'po-out-0', number: 'OUT-00009', sentAt: '2026-04-01T00:00:00Z' }
+    const newer = { ...outbound, sentAt: '2026-05-02T00:00:00Z' }
+    const inbound = { number: 'SO-1', supplierId: 'sup-1', lineItems: [{ sku: 'TEE-BLK-M' }, { sku: 'TEE-WHT-M' }] }
+
+    expect(findConfirmationMatch(inbound, [older, newer]).order.id).toBe('po-out-1')
+    expect(findConfirmationMatch({ ...inbound, lineItems: [{ sku: 'TEE-BLK-M' }] }, [newer])).toBeNull()
+  })
+})
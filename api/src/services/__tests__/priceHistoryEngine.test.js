@@ -0,0 +1,51 @@
+import { describe, expect, it } from '@jest/globals'
+import { buildPriceHistory, calculateChangePercent, detectPriceChanges } from '../priceHistoryEngine.js'
+
+describe('priceHistoryEngine', () => {
+  it('calculates percentage change', () => {
+    expect(calculateChangePercent(4, 4.5)).toBe(12.5)
+    expect(calculateChangePercent(10, 9)).toBe(-10)
+    expect(calculateChangePercent(0, 5)).toBeNull()
+  })
+
+  it('flags cost moves at or beyond the threshold against the last PO', () => {
+    const changes = detectPriceChanges([
+      { id: 'li-1', sku: 'TEE-BLK-M', productName: 'Black Tee M', unitCost: 5.6 },
+      { id: 'li-2', sku: 'TEE-WHT-M', unitCost: 4.1 },
+      { id: 'li-3', sku: 'CAP-RED', unitCost: 7 },
+      { id: 'li-4', sku: 'NEW-SKU', unitCost: 3 }
+    ], {
+      'TEE-BLK-M': { unitCost: 5, purchaseOrderId: 'po-1', purchaseOrderNumber: 'PO-1' },
+      'TEE-WHT-M': { unitCost: 4, purchaseOrderId: 'po-1', purchaseOrderNumber: 'PO-1' },
+      'CAP-RED': { unitCost: 10, purchaseOrderId: 'po-0', purchaseOrderNumber: 'PO-0' }
+    }, 10)
+
+    expect(changes).toEqual([
+      {
+        lineItemId: 'li-1',
+        sku: 'TEE-BLK-M',
+        productName: 'Black Tee M',
+        previousUnitCost: 5,
+        newUnitCost: 5.6,
+        changePercent: 12,
+        direction: 'increase',
+        previousPurchaseOrderId: 'po-1',
+        previousPurchaseOrderNumber: 'PO-1'
+      },
+      expect.objectContaining({ sku: 'CAP-RED', changePercent: -30, direction: 'decrease' })
+    ])
+  })
+
+  it('builds a chronological history with per-supplier summaries', () => {
+    const history = buildPriceHistory([
+      { date: '2026-03-01', unitCost: 5.5, supplierId: 'sup-1', supplierName: 'Acme' },
+      { date: '2026-01-01', unitCost: 5, supplierId: 'sup-1', supplierName: 'Acme' },
+      { date: '2026-02-01', unitCost: 4.8, supplierId: 'sup-2', supplierName: 'Basics Co' }
+    ])
+
+    expect(history.points.map((point) => point.unitCost)).toEqual([5, 4.8, 5.5])
+    expect(history.summary).toEqual({ count: 3, latest: 5.5, min: 4.8, max: 5.5, average: 5.1, changePercent: 10 })
+    expect(history.suppliers).toHaveLength(2)
+    expect(history.suppliers[0]).toMatchObject({ supplierId: 'sup-1', summary: { count: 2, changePercent: 10 } })
+  })
+})
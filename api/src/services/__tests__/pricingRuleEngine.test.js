@@ -0,0 +1,137 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  evaluatePricing,
+  evaluateFormula,
+  roundPrice,
+  ruleMatchesProduct,
+  validatePricingRule
+} from '../pricingRuleEngine.js'
+
+const baseRule = {
+  isEnabled: true,
+  priority: 0,
+  conditions: {},
+  markupType: 'PERCENTAGE',
+  markupValue: 50,
+  roundingRule: 'NONE',
+  minPrice: null,
+  maxPrice: null,
+  sourceCurrency: 'USD',
+  targetCurrency: 'USD',
+  exchangeRate: null
+}
+
+describe('pricingRuleEngine', () => {
+  it('applies every rounding rule', () => {
+    expect(roundPrice(12.4, 'PSYCHOLOGICAL_99')).toBe(12.99)
+    expect(roundPrice(13, 'PSYCHOLOGICAL_99')).toBe(12.99)
+    expect(roundPrice(12.4, 'PSYCHOLOGICAL_95')).toBe(12.95)
+    expect(roundPrice(12.337, 'NEAREST_CENT')).toBe(12.34)
+    expect(roundPrice(12.33, 'NEAREST_NICKEL')).toBe(12.35)
+    expect(roundPrice(12.33, 'NEAREST_DIME')).toBe(12.3)
+    expect(roundPrice(12.33, 'NEAREST_QUARTER')).toBe(12.25)
+    expect(roundPrice(12.33, 'NEAREST_HALF')).toBe(12.5)
+    expect(roundPrice(12.5, 'NEAREST_DOLLAR')).toBe(13)
+    expect(roundPrice(12.337, 'NONE')).toBe(12.337)
+    expect(roundPrice(12.4, 'psychological_99')).toBe(12.99)
+  })
+
+  it('matches rules by type', () => {
+    const product = { cost: 20, sku: 'ABC-123', title: 'Blue Widget', category: 'Widgets', supplierId: 'sup_1', supplierName: 'Acme' }
+
+    expect(ruleMatchesProduct({ ...baseRule, ruleType: 'CATEGORY', conditions: { categories: ['widgets'] } }, product)).toBe(true)
+    expect(ruleMatchesProduct({ ...baseRule, ruleType: 'SUPPLIER', conditions: { supplierNames: ['ACME'] } }, product)).toBe(true)
+    expect(ruleMatchesProduct({ ...baseRule, ruleType: 'SKU_PATTERN', conditions: { pattern: '^ABC-' } }, product)).toBe(true)
+    expect(ruleMatchesProduct({ ...baseRule, ruleType: 'PRICE_RANGE', conditions: { minCost: 25 } }, product)).toBe(false)
+    expect(ruleMatchesProduct({
+      ...baseRule,
+      ruleType: 'CONDITIONAL',
+      conditions: {
+        match: 'all',
+        rules: [
+          { field: 'product_title', operator: 'contains', value: 'widget' },
+          { field: 'price_range', operator: 'range', value: [10, 30] }
+        ]
+      }
+    }, product)).toBe(true)
+  })
+
+  it('picks the highest-priority matching rule and traces each step', () => {
+    const rules = [
+      { ...baseRule, id: 'low', name: 'Everything', ruleType: 'GLOBAL', priority: 1, markupValue: 100 },
+      { ...baseRule, id: 'high', name: 'ABC parts', ruleType: 'SKU_PATTERN', priority: 10, conditions: { pattern: '^ABC' }, markupType: 'FIXED_AMOUNT', markupValue: 5, roundingRule: 'PSYCHOLOGICAL_99' }
+    ]
+
+    const result = evaluatePricing({ product: { cost: 10.5, sku: 'ABC-1' }, rules, pricingConfig: {} })
+
+    expect(result.matchedRule.id).toBe('high')
+    expect(result.adjustedPrice).toBe(15.99)
+    expect(result.appliedRules.map(rule => rule.type)).toEqual(['pricing_rule', 'rounding'])
+  })
+
+  it('supports margin-based and formula markups with price bounds', () => {
+    const margin = evaluatePricing({
+      product: { cost: 60 },
+      rules: [{ ...baseRule, id: 'm', name: 'Margin', ruleType: 'GLOBAL', markupType: 'MARGIN_BASED', markupValue: 40 }]
+    })
+    expect(margin.adjustedPrice).toBe(100)
+
+    const formula = evaluatePricing({
+      product: { cost: 10 },
+      rules: [{ ...baseRule, id: 'f', name: 'Formula', ruleType: 'GLOBAL', markupType: 'CUSTOM_FORMULA', conditions: { formula: 'max(cost * 3, cost + 25)' }, maxPrice: 30 }]
+    })
+    expect(formula.adjustedPrice).toBe(30)
+    expect(formula.appliedRules.some(rule => rule.type === 'price_bounds')).toBe(true)
+  })
+
+  it('converts currency before applying markup', () => {
+    const result = evaluatePricing({
+      product: { cost: 10 },
+      rules: [{ ...baseRule, id: 'fx', name: 'EUR supplier', ruleType: 'GLOBAL', sourceCurrency: 'EUR', targetCurrency: 'USD', exchangeRate: 1.1, markupValue: 100 }]
+    })
+    expect(result.adjustedPrice).toBe(22)
+    expect(result.appliedRules[0].type).toBe('currency_conversion')
+  })
+
+  it('falls back to the global markup when no rule matches', () => {
+    const result = evaluatePricing({
+      product: { cost: 10, sku: 'XYZ' },
+      rules: [{ ...baseRule, id: 'skip', name: 'ABC only', ruleType: 'SKU_PATTERN', conditions: { pattern: '^ABC' } }],
+      pricingConfig: { globalMarkup: { type: 'percentage', value: 1.5 }, roundingRules: { enabled: true, rule: 'psychological_99' } }
+    })
+    expect(result.matchedRule).toBeNull()
+    expect(result.adjustedPrice).toBe(14.99)
+  })
+
+  it('skips a rule that cannot price the product and notes it in the trace', () => {
+    const result = evaluatePricing({
+      product: { cost: 10 },
+      rules: [
+        { ...baseRule, id: 'broken', name: 'Broken formula', ruleType: 'GLOBAL', priority: 10, markupType: 'CUSTOM_FORMULA', conditions: {} },
+        { ...baseRule, id: 'margin', name: 'Impossible margin', ruleType: 'GLOBAL', priority: 5, markupType: 'MARGIN_BASED', markupValue: 100 },
+        { ...baseRule, id: 'fallback', name: 'Everything', ruleType: 'GLOBAL', priority: 1 }
+      ]
+    })
+
+    expect(result.matchedRule.id).toBe('fallback')
+    expect(result.adjustedPrice).toBe(15)
+    expect(result.appliedRules.map(rule => [rule.type, rule.ruleId])).toEqual([
+      ['rule_error', 'broken'],
+      ['rule_error', 'margin'],
+      ['pricing_rule', 'fallback']
+    ])
+  })
+
+  it('validates formulas and margins before a rule is saved', () => {
+    expect(() => validatePricingRule({ markupType: 'MARGIN_BASED', markupValue: 100 })).toThrow('below 100%')
+    expect(() => validatePricingRule({ markupType: 'CUSTOM_FORMULA', conditions: {} })).toThrow('needs a formula')
+    expect(() => validatePricingRule({ markupType: 'CUSTOM_FORMULA', conditions: { formula: 'cost * margin' } })).toThrow('Unknown identifier')
+    expect(() => validatePricingRule({ markupType: 'CUSTOM_FORMULA', conditions: { formula: 'cost * (1 + markup / 100)' }, markupValue: 40 })).not.toThrow()
+    expect(() => validatePricingRule({ markupType: 'MARGIN_BASED', markupValue: 40 })).not.toThrow()
+  })
+
+  it('rejects unsafe formulas', () => {
+    expect(() => evaluateFormula('process.exit()', { cost: 1 })).toThrow()
+    expect(evaluateFormula('(cost + 2) * 2', { cost: 3 })).toBe(10)
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, expect, it } from '@jest/globals'
+import { buildVersionLines, diffVersionLines, pickStagedResult } from '../purchaseOrderVersionEngine.js'
+
+const original = buildVersionLines([
+  { sku: 'TEE-BLK-M', productName: 'Black Tee M', quantity: 10, unitCost: 5, totalCost: 50 },
+  { sku: 'TEE-WHT-M', productName: 'White Tee M', quantity: 6, unitCost: 4, totalCost: 24 },
+  { sku: 'CAP-RED', productName: 'Red Cap', quantity: 2, unitCost: 8, totalCost: 16 }
+])
+
+describe('purchaseOrderVersionEngine', () => {
+  it('reports added, removed and changed lines with field-level changes', () => {
+    const revised = buildVersionLines([
+      { sku: 'TEE-BLK-M', productName: 'Black Tee M', quantity: 12, unitCost: 4.75 },
+      { sku: 'TEE-WHT-M-2', productName: 'White Tee M', quantity: 6, unitCost: 4 },
+      { sku: 'SOCK-1', productName: 'Crew Socks', quantity: 20, unitCost: 1.5 }
+    ])
+
+    const diff = diffVersionLines(original, revised)
+
+    expect(diff.added.map((line) => line.sku)).toEqual(['SOCK-1'])
+    expect(diff.removed.map((line) => line.sku)).toEqual(['CAP-RED'])
+    expect(diff.changed).toHaveLength(2)
+    expect(diff.changed[0].changes).toEqual([
+      { field: 'quantity', from: 10, to: 12, difference: 2 },
+      { field: 'unitCost', from: 5, to: 4.75, difference: -0.25 }
+    ])
+    expect(diff.changed[1].changes).toEqual([{ field: 'sku', from: 'TEE-WHT-M', to: 'TEE-WHT-M-2' }])
+    expect(diff.summary).toMatchObject({ added: 1, removed: 1, changed: 2, unchanged: 0, hasChanges: true, fromTotal: 90, toTotal: 111 })
+  })
+
+  it('prefers SKU pairs over product name pairs', () => {
+    const from = buildVersionLines([
+      { sku: 'A', productName: 'Widget', quantity: 1, unitCost: 1 },
+      { sku: 'B', productName: 'Widget', quantity: 2, unitCost: 1 }
+    ])
+    const to = buildVersionLines([
+      { sku: 'C', productName: 'Widget', quantity: 1, unitCost: 1 },
+      { sku: 'A', productName: 'Widget', quantity: 1, unitCost: 1 }
+    ])
+
+    const diff = diffVersionLines(from, to)
+    expect(diff.unchanged).toBe(1)
+    expect(diff.changed[0].changes).toEqual([
+      { field: 'sku', from: 'B', to: 'C' },
+      { field: 'quantity', from: 2, to: 1, difference: -1 }
+    ])
+  })
+
+  it('treats every line as added when there is no earlier version', () => {
+    const diff = diffVersionLines([], original)
+    expect(diff.summary).toMatchObject({ added: 3, removed: 0, changed: 0, hasChanges: true })
+    expect(diffVersionLines(original, original).summary.hasChanges).toBe(false)
+  })
+
+  it('keeps only what persistence needs to apply a pending version later', () => {
+    const staged = pickStagedResult({
+      model: 'gpt-4o',
+      confidence: { overall: 91 },
+      extractedData: { poNumber: 'PO-7', lineItems: [{ sku: 'A', quantity: 1 }] },
+      rawText: 'full document text',
+      metadata: { preprocessing: {} }
+    })
+
+    expect(staged).toEqual({
+      model: 'gpt-4o',
+      confidence: { overall: 91 },
+      extractedData: { poNumber: 'PO-7', lineItems: [{ sku: 'A', quantity: 1 }] }
+    })
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, expect, it } from '@jest/globals'
+import { resolveTtlSeconds, signRealtimeToken, verifyRealtimeToken } from '../realtimeTokenEngine.js'
+
+const secret = 'test-signing-secret'
+const now = new Date('2026-10-19T10:00:00Z')
+
+describe('realtimeTokenEngine', () => {
+  it('issues tokens bound to a merchant that verify until they expire', () => {
+    const { token, expiresAt } = signRealtimeToken({ merchantId: 'm_1', staffUserId: 'staff_1' }, { secret, ttlSeconds: 300, now })
+    expect(expiresAt).toEqual(new Date('2026-10-19T10:05:00Z'))
+
+    expect(verifyRealtimeToken(token, { secret, now: new Date('2026-10-19T10:04:59Z') })).toEqual({
+      valid: true,
+      payload: { v: 1, merchantId: 'm_1', staffUserId: 'staff_1', iat: now.getTime() / 1000, exp: expiresAt.getTime() / 1000 }
+    })
+    expect(verifyRealtimeToken(token, { secret, now: expiresAt })).toEqual({ valid: false, reason: 'expired' })
+  })
+
+  it('rejects forged, tampered and malformed tokens', () => {
+    const { token } = signRealtimeToken({ merchantId: 'm_1' }, { secret, now })
+    const [payload, signature] = token.split('.')
+
+    expect(verifyRealtimeToken(token, { secret: 'another-secret', now }).reason).toBe('bad_signature')
+
+    const otherMerchant = Buffer.from(
+      Buffer.from(payload, 'base64url').toString('utf8').replace('m_1', 'm_2')
+    ).toString('base64url')
+    expect(verifyRealtimeToken(`${otherMerchant}.${signature}`, { secret, now }).reason).toBe('bad_signature')
+
+    expect(verifyRealtimeToken(undefined, { secret, now }).reason).toBe('missing')
+    expect(verifyRealtimeToken('example.myshopify.com', { secret, now }).reason).toBe('malformed')
+    expect(verifyRealtimeToken(`${payload}.`, { secret, now }).reason).toBe('malformed')
+    expect(verifyRealtimeToken(`${payload}.${signature.slice(2)}`, { secret, now }).reason).toBe('bad_signature')
+
+    expect(() => signRealtimeToken({}, { secret })).toThrow('merchantId')
+    expect(() => verifyRealtimeToken(token, {})).toThrow('secret')
+  })
+
+  it('keeps token lifetimes within bounds', () => {
+    expect(resolveTtlSeconds(undefined)).toBe(300)
+    expect(resolveTtlSeconds('120')).toBe(120)
+    expect(resolveTtlSeconds('5')).toBe(30)
+    expect(resolveTtlSeconds(86400)).toBe(3600)
+  })
+})
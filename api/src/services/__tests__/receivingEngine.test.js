@@ -0,0 +1,60 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  applyReceiptToLineItems,
+  deriveReceivingStatus,
+  summarizeLineItem,
+  summarizeReceiving,
+  validateReceiptLines
+} from '../receivingEngine.js'
+
+const lineItems = [
+  { id: 'li-1', sku: 'TEE-BLK-M', quantity: 10, quantityReceived: 0, quantityDamaged: 0 },
+  { id: 'li-2', sku: 'TEE-WHT-M', quantity: 5, quantityReceived: 0, quantityDamaged: 0 }
+]
+
+describe('receivingEngine', () => {
+  it('validates receipt lines and computes the inventory delta', () => {
+    const lines = validateReceiptLines(lineItems, [
+      { lineItemId: 'li-1', quantityReceived: 6, quantityDamaged: 1 },
+      { lineItemId: 'li-2', quantityReceived: 0 }
+    ])
+
+    expect(lines).toEqual([
+      { lineItemId: 'li-1', sku: 'TEE-BLK-M', quantityReceived: 6, quantityDamaged: 1, inventoryDelta: 5 }
+    ])
+  })
+
+  it('rejects invalid receipts', () => {
+    expect(() => validateReceiptLines(lineItems, [])).toThrow('At least one line')
+    expect(() => validateReceiptLines(lineItems, [{ lineItemId: 'other', quantityReceived: 1 }])).toThrow('does not belong')
+    expect(() => validateReceiptLines(lineItems, [{ lineItemId: 'li-1', quantityReceived: 2, quantityDamaged: 3 }])).toThrow('cannot exceed')
+    expect(() => validateReceiptLines(lineItems, [{ lineItemId: 'li-1', quantityReceived: -1 }])).toThrow('non-negative')
+    expect(() => validateReceiptLines(lineItems, [
+      { lineItemId: 'li-1', quantityReceived: 1 },
+      { lineItemId: 'li-1', quantityReceived: 1 }
+    ])).toThrow('more than once')
+    expect(() => validateReceiptLines(lineItems, [{ lineItemId: 'li-1', quantityReceived: 0 }])).toThrow('no received quantities')
+  })
+
+  it('tracks over, short and damaged counts across shipments', () => {
+    const first = applyReceiptToLineItems(lineItems, [{ lineItemId: 'li-1', quantityReceived: 6, quantityDamaged: 1 }])
+    const second = applyReceiptToLineItems(first, [
+      { lineItemId: 'li-1', quantityReceived: 6, quantityDamaged: 0 },
+      { lineItemId: 'li-2', quantityReceived: 3, quantityDamaged: 0 }
+    ])
+
+    expect(summarizeLineItem(second[0])).toEqual({ ordered: 10, received: 12, damaged: 1, accepted: 11, short: 0, over: 2 })
+    expect(summarizeReceiving(second)).toEqual({ ordered: 15, received: 15, damaged: 1, short: 2, over: 2 })
+  })
+
+  it('derives the PO receiving status', () => {
+    expect(deriveReceivingStatus(lineItems)).toBeNull()
+
+    const partial = applyReceiptToLineItems(lineItems, [{ lineItemId: 'li-1', quantityReceived: 10, quantityDamaged: 0 }])
+    expect(deriveReceivingStatus(partial)).toBe('partially_received')
+    expect(deriveReceivingStatus(partial, { closeShort: true })).toBe('received')
+
+    const full = applyReceiptToLineItems(partial, [{ lineItemId: 'li-2', quantityReceived: 5, quantityDamaged: 2 }])
+    expect(deriveReceivingStatus(full)).toBe('received')
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  calculateSalesVelocity,
+  evaluateRestockNeed,
+  resolveThreshold,
+  suggestReorderQuantity
+} from '../reorderPointEngine.js'
+
+const now = new Date('2026-05-31T00:00:00Z')
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000)
+
+const changes = [
+  { source: 'order_created', delta: -20, createdAt: daysAgo(2) },
+  { source: 'order_created', delta: -15, createdAt: daysAgo(10) },
+  { source: 'order_cancelled', delta: 5, createdAt: daysAgo(9) },
+  { source: 'order_created', delta: -100, createdAt: daysAgo(45) },
+  { source: 'inventory_levels/update', delta: -7, createdAt: daysAgo(1) }
+]
+
+describe('reorderPointEngine', () => {
+  it('derives sales velocity from order history inside the window', () => {
+    expect(calculateSalesVelocity(changes, 30, now)).toBe(1)
+    expect(calculateSalesVelocity([], 30, now)).toBe(0)
+  })
+
+  it('prefers manual thresholds, then velocity, then the merchant default', () => {
+    expect(resolveThreshold({ reorderPoint: { threshold: 12 }, velocity: 3 })).toEqual({ threshold: 12, source: 'manual' })
+    expect(resolveThreshold({
+      reorderPoint: { threshold: 12, useSalesVelocity: true, leadTimeDays: 5, safetyStockDays: 2 },
+      velocity: 3
+    })).toEqual({ threshold: 21, source: 'velocity' })
+    expect(resolveThreshold({ velocity: 0, settings: { defaultThreshold: 4 } })).toEqual({ threshold: 4, source: 'default' })
+    expect(resolveThreshold({ velocity: 0 })).toEqual({ threshold: null, source: null })
+    expect(resolveThreshold({ reorderPoint: { threshold: 12, isEnabled: false }, velocity: 3 }).threshold).toBeNull()
+  })
+
+  it('sizes reorders from velocity or the explicit reorder quantity', () => {
+    expect(suggestReorderQuantity({ available: 2, threshold: 10, velocity: 1, coverageDays: 30 })).toBe(38)
+    expect(suggestReorderQuantity({ available: 2, threshold: 10 })).toBe(18)
+    expect(suggestReorderQuantity({ available: 2, threshold: 10, reorderQuantity: 48 })).toBe(48)
+  })
+
+  it('flags variants below their threshold', () => {
+    const low = evaluateRestockNeed({ available: 5, changes, now })
+    expect(low).toMatchObject({ needsRestock: true, threshold: 14, thresholdSource: 'velocity', velocity: 1 })
+
+    const healthy = evaluateRestockNeed({ available: 50, changes, now })
+    expect(healthy.needsRestock).toBe(false)
+  })
+})
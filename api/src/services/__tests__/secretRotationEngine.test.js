@@ -0,0 +1,122 @@
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals'
+import {
+  decrypt,
+  decryptWithDataKey,
+  encrypt,
+  encryptWithDataKey,
+  generateDataKey,
+  dataKeyId,
+  needsReencryption,
+  unwrapDataKey,
+  wrapDataKey
+} from '../../utils/encryption.js'
+import { listSecrets, mapSecrets, planSecret, summarizeSecrets } from '../secretRotationEngine.js'
+
+const ENV_KEYS = ['ENCRYPTION_KEY', 'ENCRYPTION_KEYS', 'ENCRYPTION_KEY_ID']
+
+describe('secretRotationEngine', () => {
+  let savedEnv
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]))
+    for (const key of ENV_KEYS) delete process.env[key]
+    process.env.ENCRYPTION_KEYS = '2026-10:new-master-secret,2025-01:old-master-secret'
+  })
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key]
+      else process.env[key] = savedEnv[key]
+    }
+  })
+
+  it('seals with the active key and still opens values from retired and legacy keys', () => {
+    const sealed = encrypt('shpat_123')
+    expect(sealed.startsWith('v2:2026-10:')).toBe(true)
+    expect(decrypt(sealed)).toBe('shpat_123')
+    expect(needsReencryption(sealed)).toBe(false)
+
+    process.env.ENCRYPTION_KEY_ID = '2025-01'
+    const retired = encrypt('shpat_456')
+    delete process.env.ENCRYPTION_KEY_ID
+    expect(needsReencryption(retired)).toBe(true)
+    expect(decrypt(retired)).toBe('shpat_456')
+
+    // Unversioned values written before key IDs existed
+    process.env.ENCRYPTION_KEYS = 'legacy:old-env-key'
+    const legacy = encrypt('whsec_1').split(':').slice(2).join(':')
+    process.env.ENCRYPTION_KEYS = '2026-10:new-master-secret,2025-01:old-env-key'
+    expect(needsReencryption(legacy)).toBe(true)
+    expect(decrypt(legacy)).toBe('whsec_1')
+
+    process.env.ENCRYPTION_KEYS = '2026-10:new-master-secret'
+    expect(() => decrypt(retired)).toThrow('Failed to decrypt data')
+  })
+
+  it('wraps per-merchant data keys with the master key', () => {
+    const dataKey = generateDataKey()
+    const wrapped = wrapDataKey(dataKey)
+    expect(wrapped.startsWith('v2:2026-10:')).toBe(true)
+    expect(unwrapDataKey(wrapped).equals(dataKey)).toBe(true)
+
+    const sealed = encryptWithDataKey('sftp-password', dataKey)
+    expect(sealed.split(':').slice(0, 2)).toEqual(['dk1', dataKeyId(dataKey)])
+    expect(decryptWithDataKey(sealed, dataKey)).toBe('sftp-password')
+    expect(() => decryptWithDataKey(sealed, generateDataKey())).toThrow('Failed to decrypt data')
+    expect(() => decrypt(sealed)).toThrow('Failed to decrypt data')
+  })
+
+  it('plans what each stored secret needs', () => {
+    const current = encrypt('a')
+    process.env.ENCRYPTION_KEY_ID = '2025-01'
+    const retired = encrypt('b')
+    delete process.env.ENCRYPTION_KEY_ID
+    const dataKey = generateDataKey()
+    const envelope = encryptWithDataKey('c', dataKey)
+
+    const master = { encryptAtRest: true, activeKeyId: '2026-10' }
+    expect(planSecret(null, master)).toBe('keep')
+    expect(planSecret('shpat_plain', master)).toBe('encrypt')
+    expect(planSecret(current, master)).toBe('keep')
+    expect(planSecret(retired, master)).toBe('reseal')
+    expect(planSecret(envelope, master)).toBe('reseal')
+
+    const withDataKey = { ...master, dataKeyId: dataKeyId(dataKey) }
+    expect(planSecret(envelope, withDataKey)).toBe('keep')
+    expect(planSecret(current, withDataKey)).toBe('reseal')
+    expect(planSecret(encryptWithDataKey('d', generateDataKey()), withDataKey)).toBe('reseal')
+
+    expect(planSecret(current, { encryptAtRest: false })).toBe('decrypt')
+    expect(planSecret('shpat_plain', { encryptAtRest: false })).toBe('keep')
+  })
+
+  it('finds secrets on merchants, supplier drops and sync schedules', () => {
+    const upper = (value) => value.toUpperCase()
+
+    expect(mapSecrets('merchant', { id: 'm_1', accessToken: 'tok', webhookSecret: null }, upper))
+      .toEqual({ id: 'm_1', accessToken: 'TOK', webhookSecret: null })
+    expect(mapSecrets('supplier_connection', { host: 'sftp', password: 'pw', edi: { isaId: 'ACME' } }, upper))
+      .toEqual({ host: 'sftp', password: 'PW', edi: { isaId: 'ACME' } })
+
+    const schedule = { endpoint: 'https://api', apiKey: 'key', customHeaders: [{ key: 'X-Token', value: 'abc' }, { key: 'X-Empty', value: '' }] }
+    expect(mapSecrets('sync_schedule', schedule, upper)).toEqual({
+      endpoint: 'https://api',
+      apiKey: 'KEY',
+      customHeaders: [{ key: 'X-Token', value: 'ABC' }, { key: 'X-Empty', value: '' }]
+    })
+    expect(schedule.apiKey).toBe('key')
+    expect(listSecrets('sync_schedule', schedule)).toEqual([
+      { path: 'apiKey', value: 'key' },
+      { path: 'customHeaders.0', value: 'abc' }
+    ])
+
+    expect(mapSecrets('supplier_connection', null, upper)).toBeNull()
+    expect(() => mapSecrets('invoice', {}, upper)).toThrow('Unknown secret kind')
+  })
+
+  it('summarizes how stored secrets are sealed', () => {
+    const legacy = encrypt('x').split(':').slice(2).join(':')
+    expect(summarizeSecrets([encrypt('a'), encrypt('b'), legacy, 'plain', null, encryptWithDataKey('c', generateDataKey())]))
+      .toEqual({ total: 5, plaintext: 1, legacy: 1, byKey: { '2026-10': 2 }, dataKey: 1 })
+  })
+})
@@ -0,0 +1,52 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  STAFF_PERMISSIONS,
+  hasPermission,
+  initialRole,
+  permissionsForRole,
+  staffDisplayName,
+  validateRoleChange
+} from '../staffRoleEngine.js'
+
+describe('staffRoleEngine', () => {
+  it('grants each role its own permissions plus those of the roles below it', () => {
+    expect(permissionsForRole('viewer')).toMatchObject({ canViewJobs: true, canRetryJobs: false, canApprovePurchaseOrders: false })
+    expect(permissionsForRole('buyer')).toMatchObject({ canViewJobs: true, canRetryJobs: true, canApprovePurchaseOrders: false })
+    expect(permissionsForRole('approver')).toMatchObject({
+      canRetryJobs: true,
+      canApprovePurchaseOrders: true,
+      canDeletePurchaseOrders: true,
+      canReviewProductDrafts: true,
+      canEditRefinementConfig: false,
+      canManageCredentials: false
+    })
+    expect(Object.values(permissionsForRole('admin')).every(Boolean)).toBe(true)
+    expect(Object.keys(permissionsForRole('admin'))).toEqual(STAFF_PERMISSIONS)
+
+    expect(Object.values(permissionsForRole('owner')).some(Boolean)).toBe(false)
+    expect(hasPermission('approver', 'canManageStaff')).toBe(false)
+    expect(hasPermission('admin', 'canManageStaff')).toBe(true)
+  })
+
+  it('makes store owners and the first staff member admins', () => {
+    expect(initialRole({ accountOwner: true })).toBe('admin')
+    expect(initialRole({ isFirstStaff: true })).toBe('admin')
+    expect(initialRole()).toBe('buyer')
+    expect(initialRole({ defaultRole: 'viewer' })).toBe('viewer')
+    expect(initialRole({ defaultRole: 'superuser' })).toBe('buyer')
+  })
+
+  it('rejects unknown roles and demoting the last admin', () => {
+    expect(validateRoleChange({ currentRole: 'buyer', nextRole: 'approver', adminCount: 1 })).toBe('approver')
+    expect(validateRoleChange({ currentRole: 'admin', nextRole: 'viewer', adminCount: 2 })).toBe('viewer')
+    expect(() => validateRoleChange({ currentRole: 'buyer', nextRole: 'owner', adminCount: 1 })).toThrow('Role must be one of')
+    expect(() => validateRoleChange({ currentRole: 'admin', nextRole: 'approver', adminCount: 1 })).toThrow('at least one admin')
+  })
+
+  it('names staff by full name, then email, then Shopify user ID', () => {
+    expect(staffDisplayName({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' })).toBe('Ada Lovelace')
+    expect(staffDisplayName({ email: 'ada@example.com', shopifyUserId: '42' })).toBe('ada@example.com')
+    expect(staffDisplayName({ shopifyUserId: '42' })).toBe('Shopify user 42')
+    expect(staffDisplayName(null)).toBeNull()
+  })
+})
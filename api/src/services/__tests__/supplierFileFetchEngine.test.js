@@ -0,0 +1,93 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  SECRET_PLACEHOLDER,
+  computeNextSync,
+  hostKeyFingerprint,
+  maskSecrets,
+  matchesPattern,
+  mergeSecrets,
+  normalizeFetchConfig,
+  normalizeHostFingerprint,
+  selectFiles,
+  summarizeRun
+} from '../supplierFileFetchEngine.js'
+
+const FINGERPRINT = hostKeyFingerprint(Buffer.from('acme host key'))
+
+describe('supplierFileFetchEngine', () => {
+  it('validates SFTP and folder connection configs', () => {
+    expect(normalizeFetchConfig('sftp', { host: ' sftp.acme.test ', username: 'po', password: 'secret', remoteDir: '/outbound', hostFingerprint: FINGERPRINT }))
+      .toMatchObject({ host: 'sftp.acme.test', port: 22, remoteDir: '/outbound', pattern: '*', afterFetch: 'keep', hostFingerprint: FINGERPRINT })
+    expect(normalizeFetchConfig('folder', { path: 'acme/outbound', pattern: '*.csv' }))
+      .toEqual({ path: 'acme/outbound', pattern: '*.csv', afterFetch: 'keep', archiveDir: null })
+
+    expect(() => normalizeFetchConfig('ftp', {})).toThrow('Unsupported connection type')
+    expect(() => normalizeFetchConfig('sftp', { host: 'h', username: 'u' })).toThrow('password or private key')
+    expect(() => normalizeFetchConfig('sftp', { host: 'h', username: 'u', password: 'p', port: 70000 })).toThrow('port')
+    expect(() => normalizeFetchConfig('folder', { path: 'in', afterFetch: 'move' })).toThrow('archiveDir')
+  })
+
+  it('requires a pinned SFTP host key', () => {
+    const sftp = { host: 'sftp.acme.test', username: 'po', password: 'secret', hostFingerprint: FINGERPRINT }
+
+    expect(() => normalizeFetchConfig('sftp', { ...sftp, hostFingerprint: undefined })).toThrow('fingerprint')
+    expect(() => normalizeFetchConfig('sftp', { ...sftp, hostFingerprint: 'MD5:aa:bb' })).toThrow('fingerprint')
+
+    // Accepted with or without the prefix and base64 padding
+    const bare = FINGERPRINT.replace('SHA256:', '')
+    expect(normalizeHostFingerprint(`${bare}=`)).toBe(FINGERPRINT)
+    expect(normalizeHostFingerprint(` sha256:${bare} `)).toBe(FINGERPRINT)
+    expect(hostKeyFingerprint(Buffer.from('another key'))).not.toBe(FINGERPRINT)
+  })
+
+  it('masks secrets and keeps stored ones the client sent back masked', () => {
+    const stored = { host: 'h', password: 'enc-password', privateKey: null }
+    const masked = maskSecrets(stored)
+    expect(masked.password).toBe(SECRET_PLACEHOLDER)
+    expect(masked.privateKey).toBeNull()
+
+    expect(mergeSecrets(stored, { ...masked, host: 'new-host' })).toMatchObject({ host: 'new-host', password: 'enc-password' })
+    expect(mergeSecrets(stored, { password: 'changed' }).password).toBe('changed')
+  })
+
+  it('selects supported, matching files oldest first', () => {
+    const entries = [
+      { name: 'PO-2.csv', size: 100, modifiedAt: 2000, isFile: true },
+      { name: 'PO-1.CSV', size: 100, modifiedAt: 1000, isFile: true },
+      { name: 'notes.exe', size: 100, modifiedAt: 500, isFile: true },
+      { name: 'huge.pdf', size: 50 * 1024 * 1024, modifiedAt: 500, isFile: true },
+      { name: 'archive', size: 0, modifiedAt: 0, isFile: false },
+      { name: '.PO-3.csv.part', size: 10, modifiedAt: 0, isFile: true }
+    ]
+
+    const { selected, skipped } = selectFiles(entries, {
+      pattern: '*.csv, *.pdf, *.exe',
+      isSupported: (name) => !name.endsWith('.exe')
+    })
+
+    expect(selected.map((file) => file.name)).toEqual(['PO-1.CSV', 'PO-2.csv'])
+    expect(skipped).toEqual([
+      { name: 'notes.exe', reason: 'unsupported_type' },
+      { name: 'huge.pdf', reason: 'too_large' }
+    ])
+    expect(matchesPattern('PO_0042.xml', 'PO_????.xml')).toBe(true)
+    expect(matchesPattern('invoice.csv', 'PO*.csv')).toBe(false)
+  })
+
+  it('schedules the next poll from the frequency and sync time', () => {
+    const from = new Date('2026-10-19T10:00:00Z')
+
+    expect(computeNextSync('every_15min', from).toISOString()).toBe('2026-10-19T10:15:00.000Z')
+    expect(computeNextSync('daily', from).toISOString()).toBe('2026-10-20T10:00:00.000Z')
+    expect(computeNextSync('daily', from, '02:30').toISOString()).toBe('2026-10-20T02:30:00.000Z')
+    expect(computeNextSync('daily', from, '23:00').toISOString()).toBe('2026-10-19T23:00:00.000Z')
+    expect(computeNextSync('weekly', from, '23:00').toISOString()).toBe('2026-10-25T23:00:00.000Z')
+  })
+
+  it('summarizes run outcomes', () => {
+    expect(summarizeRun([{ status: 'queued' }, { status: 'duplicate' }, { status: 'failed' }]))
+      .toEqual({ status: 'partial', filesFound: 3, filesQueued: 1, filesSkipped: 1, filesFailed: 1 })
+    expect(summarizeRun([{ status: 'skipped' }]).status).toBe('success')
+    expect(summarizeRun([], 'Connection refused').status).toBe('failed')
+  })
+})
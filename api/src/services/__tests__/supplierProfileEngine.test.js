@@ -0,0 +1,91 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  applyProfileToLineItems,
+  buildArtifactPatterns,
+  buildPromptHints,
+  emptyProfile,
+  isNonProductLine,
+  learnArtifactLine,
+  learnFromLineEdit,
+  matchSupplierByText
+} from '../supplierProfileEngine.js'
+
+const parsedLine = {
+  sku: '1234',
+  productName: 'Sour Straws - Case of 12',
+  quantity: 1,
+  unitCost: 24
+}
+
+describe('supplierProfileEngine', () => {
+  it('learns SKU prefixes, pack size conventions and column mappings from edits', () => {
+    let profile = emptyProfile()
+    profile = learnFromLineEdit(profile, parsedLine, { sku: 'CV-1234', quantity: 12, unitCost: 2 })
+    profile = learnFromLineEdit(profile, { ...parsedLine, sku: '5678' }, { sku: 'CV-5678', quantity: 12, unitCost: 2 })
+
+    expect(profile.correctionCount).toBe(6)
+    expect(profile.skuFormats).toEqual([{ shape: 'AA-9999', prefix: 'CV-', example: 'CV-5678', count: 2 }])
+    expect(profile.packSizeRules).toEqual([
+      expect.objectContaining({ field: 'quantity', mode: 'multiply', count: 2 }),
+      expect.objectContaining({ field: 'unitCost', mode: 'divide', count: 2 })
+    ])
+
+    const swapped = learnFromLineEdit(emptyProfile(), { sku: null, productName: 'AB-100', quantity: 2 }, { sku: 'AB-100', productName: 'Gummy Bears' })
+    expect(swapped.columnMappings).toEqual([{ from: 'productName', to: 'sku', count: 1 }])
+  })
+
+  it('ignores edits that do not change anything', () => {
+    const profile = emptyProfile()
+    expect(learnFromLineEdit(profile, parsedLine, { quantity: '1', sku: '1234' })).toBe(profile)
+  })
+
+  it('applies only confirmed rules to new extractions', () => {
+    let profile = emptyProfile()
+    profile = learnFromLineEdit(profile, parsedLine, { sku: 'CV-1234', quantity: 12 })
+    const once = applyProfileToLineItems([{ productCode: '9999', description: 'Gum - Case of 24', quantity: 1, unitPrice: 30 }], profile)
+    expect(once.applied).toEqual([])
+
+    profile = learnFromLineEdit(profile, { ...parsedLine, sku: '5678' }, { sku: 'CV-5678', quantity: 12 })
+    const { lineItems, applied } = applyProfileToLineItems([
+      { productCode: '9999', sku: null, description: 'Gum - Case of 24', quantity: 1, unitPrice: 30 },
+      { productCode: 'CV-1111', description: 'Loose candy', quantity: 3, unitPrice: 1 }
+    ], profile)
+
+    expect(lineItems[0]).toMatchObject({ sku: 'CV-9999', productCode: 'CV-9999', quantity: 24, unitPrice: 30 })
+    expect(lineItems[1]).toMatchObject({ productCode: 'CV-1111', quantity: 3 })
+    expect(applied).toEqual(['SKU prefix CV-', 'quantity × pack size'])
+  })
+
+  it('turns lines removed more than once into artifact patterns and prompt hints', () => {
+    const once = learnArtifactLine(emptyProfile(), 'Fuel surcharge 2025')
+    expect(buildArtifactPatterns(once)).toEqual([])
+    expect(buildPromptHints(once, 'Candyville')).toBeNull()
+
+    const profile = learnArtifactLine(once, 'Fuel surcharge 2026')
+    const [pattern] = buildArtifactPatterns(profile)
+
+    expect('Widget 4\nFuel  surcharge 2027 $5.00\nGadget'.replace(pattern, '')).toBe('Widget 4\n\nGadget')
+    expect(buildPromptHints(profile, 'Candyville')).toContain('"Fuel surcharge 2026" are not products')
+  })
+
+  it('only treats removed lines without a product shape as artifacts', () => {
+    expect(isNonProductLine({ productName: 'Freight charge', quantity: 1, unitCost: 35 })).toBe(true)
+    expect(isNonProductLine({ productName: 'Page 2 of 3', quantity: 0, unitCost: 0 })).toBe(true)
+    expect(isNonProductLine({ productName: 'Ordered by: J. Smith' })).toBe(true)
+
+    // Products the merchant simply didn't want
+    expect(isNonProductLine(parsedLine)).toBe(false)
+    expect(isNonProductLine({ productName: 'Gummy Bears 1kg', quantity: 6, unitCost: 8.5 })).toBe(false)
+  })
+
+  it('matches a document to a profiled supplier by name or email domain', () => {
+    const candidates = [
+      { supplierId: 'sup-1', name: 'Candyville Inc.', contactEmail: 'orders@candyville.ca' },
+      { supplierId: 'sup-2', name: 'Northern Supply LLC', contactEmail: null }
+    ]
+
+    expect(matchSupplierByText(candidates, 'NORTHERN SUPPLY\nInvoice 42')).toBe('sup-2')
+    expect(matchSupplierByText(candidates, 'Questions? orders@candyville.ca')).toBe('sup-1')
+    expect(matchSupplierByText(candidates, 'Acme Corp purchase order')).toBeNull()
+  })
+})
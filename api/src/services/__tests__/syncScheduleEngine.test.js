@@ -0,0 +1,196 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  SECRET_PLACEHOLDER,
+  buildRequestHeaders,
+  computeNextRun,
+  extractOrderRecords,
+  isPrivateAddress,
+  isPrivateHost,
+  maskScheduleSecrets,
+  mergeScheduleSecrets,
+  nextFailureState,
+  normalizeSchedule,
+  orderToCsv,
+  resolveEndpointUrl,
+  summarizeScheduleRun,
+  toCronExpression
+} from '../syncScheduleEngine.js'
+
+const dialogConfig = {
+  supplierName: ' TechnoSupply Co. ',
+  authMethod: 'api_key',
+  apiKey: 'key-123',
+  baseUrl: 'https://api.technosupply.example/',
+  endpoints: { orders: '/api/v1/orders', products: '/api/v1/products', inventory: '', status: '/api/v1/status' },
+  frequency: 'daily',
+  time: '09:00',
+  timezone: 'America/New_York',
+  enabled: true,
+  weekdays: ['friday', 'monday'],
+  monthlyDay: 1,
+  customHeaders: [{ key: 'X-Account', value: 'acct-9' }, { key: '', value: 'ignored' }],
+  retryAttempts: 12,
+  batchSize: 50
+}
+
+describe('syncScheduleEngine', () => {
+  it('normalizes the dialog config and rejects unusable schedules', () => {
+    const schedule = normalizeSchedule(dialogConfig)
+    expect(schedule).toMatchObject({
+      supplierName: 'TechnoSupply Co.',
+      frequency: 'daily',
+      timezone: 'America/New_York',
+      weekdays: ['monday', 'friday']
+    })
+    expect(schedule.config).toMatchObject({
+      baseUrl: 'https://api.technosupply.example',
+      customHeaders: [{ key: 'X-Account', value: 'acct-9' }],
+      retryAttempts: 5,
+      batchSize: 50
+    })
+
+    expect(() => normalizeSchedule({ ...dialogConfig, supplierName: '' })).toThrow('Supplier name')
+    expect(() => normalizeSchedule({ ...dialogConfig, frequency: 'yearly' })).toThrow('frequency')
+    expect(() => normalizeSchedule({ ...dialogConfig, timezone: 'Mars/Olympus' })).toThrow('timezone')
+    expect(() => normalizeSchedule({ ...dialogConfig, baseUrl: 'ftp://example.com' })).toThrow('http(s)')
+    expect(() => normalizeSchedule({ ...dialogConfig, baseUrl: 'http://169.254.169.254' })).toThrow('private')
+    expect(normalizeSchedule({ ...dialogConfig, baseUrl: 'http://localhost:4000' }, { allowPrivateHosts: true }).config.baseUrl)
+      .toBe('http://localhost:4000')
+    expect(() => normalizeSchedule({ ...dialogConfig, authMethod: 'basic_auth', username: 'u' })).toThrow('Username and password')
+    expect(() => normalizeSchedule({ ...dialogConfig, authMethod: 'oauth2', apiSecret: 's' })).toThrow('token URL')
+  })
+
+  it('flags private and local hosts', () => {
+    expect(isPrivateHost('10.1.2.3')).toBe(true)
+    expect(isPrivateHost('192.168.0.10')).toBe(true)
+    expect(isPrivateHost('[::1]')).toBe(true)
+    expect(isPrivateHost('db.internal')).toBe(true)
+    expect(isPrivateHost('172.32.0.1')).toBe(false)
+    expect(isPrivateHost('fcbarcelona.com')).toBe(false)
+    expect(isPrivateHost('api.supplier.com')).toBe(false)
+  })
+
+  it('treats shorthand IPv4 literals like the resolver does', () => {
+    expect(isPrivateHost('127.1')).toBe(true)
+    expect(isPrivateHost('2130706433')).toBe(true)
+    expect(isPrivateHost('0x7f000001')).toBe(true)
+    expect(isPrivateHost('0177.0.0.1')).toBe(true)
+    expect(isPrivateHost('134744072')).toBe(false)
+  })
+
+  it('checks resolved addresses across IPv4 and IPv6 ranges', () => {
+    expect(isPrivateAddress('169.254.169.254')).toBe(true)
+    expect(isPrivateAddress('100.64.0.1')).toBe(true)
+    expect(isPrivateAddress('::ffff:10.0.0.1')).toBe(true)
+    expect(isPrivateAddress('::ffff:7f00:1')).toBe(true)
+    expect(isPrivateAddress('fe80::1')).toBe(true)
+    expect(isPrivateAddress('fd12:3456::1')).toBe(true)
+    expect(isPrivateAddress('8.8.8.8')).toBe(false)
+    expect(isPrivateAddress('2606:4700::1111')).toBe(false)
+  })
+
+  it('masks secrets for the browser and keeps them when sent back masked', () => {
+    const stored = normalizeSchedule({ ...dialogConfig, apiSecret: 'secret' }).config
+    const masked = maskScheduleSecrets(stored)
+    expect(masked).toMatchObject({ apiKey: SECRET_PLACEHOLDER, apiSecret: SECRET_PLACEHOLDER, password: null })
+    expect(masked.customHeaders).toEqual([{ key: 'X-Account', value: SECRET_PLACEHOLDER }])
+
+    const merged = mergeScheduleSecrets(stored, { ...masked, customHeaders: [...masked.customHeaders, { key: 'X-New', value: 'v' }] })
+    expect(merged).toMatchObject({ apiKey: 'key-123', apiSecret: 'secret' })
+    expect(merged.customHeaders).toEqual([{ key: 'X-Account', value: 'acct-9' }, { key: 'X-New', value: 'v' }])
+    expect(mergeScheduleSecrets(stored, { apiKey: 'rotated' }).apiKey).toBe('rotated')
+  })
+
+  it('builds cron expressions for each frequency', () => {
+    expect(toCronExpression({ frequency: 'every_15min', weekdays: [] })).toBe('*/15 * * * *')
+    expect(toCronExpression({ frequency: 'every_4h', weekdays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] })).toBe('0 */4 * * 1,2,3,4,5')
+    expect(toCronExpression({ frequency: 'daily', time: '09:30', weekdays: ['friday', 'monday'] })).toBe('30 9 * * 1,5')
+    expect(toCronExpression({ frequency: 'weekly', time: '14:30', weekdays: ['wednesday'] })).toBe('30 14 * * 3')
+    expect(toCronExpression({ frequency: 'monthly', time: '06:00', monthlyDay: 15 })).toBe('0 6 15 * *')
+  })
+
+  it('computes the next run in the schedule timezone', () => {
+    // Monday 2026-10-19 12:00 UTC is 08:00 in New York (EDT, UTC-4)
+    const from = new Date('2026-10-19T12:00:00Z')
+    const daily = { frequency: 'daily', time: '09:00', timezone: 'America/New_York', weekdays: [] }
+    expect(computeNextRun(daily, from).toISOString()).toBe('2026-10-19T13:00:00.000Z')
+    expect(computeNextRun(daily, new Date('2026-10-19T13:00:00Z')).toISOString()).toBe('2026-10-20T13:00:00.000Z')
+
+    // Friday-only daily run skips to the Friday
+    expect(computeNextRun({ ...daily, weekdays: ['friday'] }, from).toISOString()).toBe('2026-10-23T13:00:00.000Z')
+
+    // New York leaves daylight saving on 2026-11-01; 09:00 becomes 14:00 UTC
+    expect(computeNextRun({ ...daily, frequency: 'weekly', weekdays: ['monday'] }, new Date('2026-10-30T12:00:00Z')).toISOString())
+      .toBe('2026-11-02T14:00:00.000Z')
+    expect(computeNextRun({ ...daily, frequency: 'monthly', monthlyDay: 1 }, from).toISOString()).toBe('2026-11-01T14:00:00.000Z')
+
+    expect(computeNextRun({ frequency: 'every_15min', timezone: 'UTC', weekdays: [] }, new Date('2026-10-19T12:07:30Z')).toISOString())
+      .toBe('2026-10-19T12:15:00.000Z')
+    expect(computeNextRun({ frequency: 'every_4h', timezone: 'UTC', weekdays: ['monday', 'tuesday'] }, new Date('2026-10-20T21:00:00Z')).toISOString())
+      .toBe('2026-10-26T00:00:00.000Z')
+  })
+
+  it('resolves endpoints and builds auth headers', () => {
+    expect(resolveEndpointUrl('https://api.example.com/v2', '/orders?status=open')).toBe('https://api.example.com/v2/orders?status=open')
+    expect(resolveEndpointUrl('https://api.example.com', 'https://api.example.com/feeds/po')).toBe('https://api.example.com/feeds/po')
+    expect(() => resolveEndpointUrl('https://api.example.com', 'https://elsewhere.example.com/po')).toThrow('same host')
+
+    expect(buildRequestHeaders({ authMethod: 'api_key', apiKey: 'k', customHeaders: [{ key: 'X-Account', value: '9' }] }))
+      .toMatchObject({ 'X-API-Key': 'k', 'X-Account': '9' })
+    expect(buildRequestHeaders({ authMethod: 'basic_auth', username: 'user', password: 'pass' }).Authorization)
+      .toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`)
+    expect(buildRequestHeaders({ authMethod: 'oauth2' }, { accessToken: 'tok' }).Authorization).toBe('Bearer tok')
+  })
+
+  it('turns JSON order responses into CSV purchase orders', () => {
+    const body = {
+      data: {
+        orders: [
+          {
+            po_number: 'PO-1001',
+            order_date: '2026-10-18',
+            vendor: { name: 'TechnoSupply Co.' },
+            line_items: [
+              { product_id: 'WID-1', product_name: 'Widget, blue', qty: 4, unit_price: 2.5 },
+              { product_id: 'GAD-9', product_name: 'Gadget "XL"', qty: 1, unit_price: 10, total: 9 }
+            ]
+          },
+          { id: 'not-an-order' }
+        ]
+      }
+    }
+    const orders = extractOrderRecords(body)
+    expect(orders).toHaveLength(1)
+    expect(extractOrderRecords(orders[0])).toHaveLength(1)
+    expect(extractOrderRecords('<html>')).toEqual([])
+
+    const document = orderToCsv(orders[0], { sku: 'product_id', description: 'product_name', quantity: 'qty' })
+    expect(document).toMatchObject({ key: 'order:PO-1001', poNumber: 'PO-1001', lineCount: 2 })
+    expect(document.csv.split('\n')).toEqual([
+      'PO Number,PO-1001',
+      'Supplier,TechnoSupply Co.',
+      'Order Date,2026-10-18',
+      '',
+      'SKU,Description,Quantity,Unit Price,Total,Barcode',
+      'WID-1,"Widget, blue",4,2.5,10,',
+      'GAD-9,"Gadget ""XL""",1,10,9,',
+      ''
+    ])
+  })
+
+  it('summarizes runs and tracks failure streaks', () => {
+    expect(summarizeScheduleRun([{ status: 'queued' }, { status: 'duplicate' }, { status: 'failed' }])).toEqual({
+      status: 'partial',
+      itemsFound: 3,
+      itemsQueued: 1,
+      itemsSkipped: 1,
+      itemsFailed: 1
+    })
+    expect(summarizeScheduleRun([], 'HTTP 401').status).toBe('failed')
+
+    const schedule = { consecutiveFailures: 2, config: { criticalErrorThreshold: 3, autoDisableOnErrors: true } }
+    expect(nextFailureState(schedule, 'failed')).toEqual({ consecutiveFailures: 3, disable: true })
+    expect(nextFailureState(schedule, 'partial')).toEqual({ consecutiveFailures: 0, disable: false })
+    expect(nextFailureState({ ...schedule, config: { criticalErrorThreshold: 3 } }, 'failed').disable).toBe(false)
+  })
+})
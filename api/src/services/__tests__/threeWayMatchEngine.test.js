@@ -0,0 +1,99 @@
+import { describe, expect, it } from '@jest/globals'
+import {
+  buildDiscrepancyReport,
+  extractDocumentReferences,
+  findPurchaseOrderMatch,
+  normalizeInvoiceLines
+} from '../threeWayMatchEngine.js'
+
+const purchaseOrder = {
+  id: 'po-1',
+  number: 'PO-1042',
+  supplierId: 'sup-1',
+  supplierName: 'Acme Supply',
+  createdAt: '2026-09-01T00:00:00Z',
+  lineItems: [
+    { id: 'li-1', sku: 'TEE-BLK-M', productName: 'Black Tee M', quantity: 10, unitCost: 5, quantityReceived: 10 },
+    { id: 'li-2', sku: 'TEE-WHT-M', productName: 'White Tee M', quantity: 6, unitCost: 4, quantityReceived: 4 }
+  ]
+}
+
+describe('threeWayMatchEngine', () => {
+  it('extracts invoice and PO numbers from document text', () => {
+    const refs = extractDocumentReferences('ACME SUPPLY\nInvoice No: INV-7781\nPO Number: PO-1042\n')
+    expect(refs).toEqual({ invoiceNumber: 'INV-7781', poNumbers: ['PO-1042'] })
+  })
+
+  it('normalizes AI line items and derives missing unit prices', () => {
+    expect(normalizeInvoiceLines([
+      { productCode: 'TEE-BLK-M', description: 'Black Tee M', quantity: '10', total: '$50.00' },
+      { description: null, quantity: 1 }
+    ])).toEqual([
+      { sku: 'TEE-BLK-M', description: 'Black Tee M', quantity: 10, unitPrice: 5, total: 50 }
+    ])
+  })
+
+  it('matches by PO number first, then by supplier and SKU overlap', () => {
+    const other = { ...purchaseOrder, id: 'po-2', number: 'PO-2000', createdAt: '2026-10-01T00:00:00Z' }
+
+    const byReference = findPurchaseOrderMatch({ poReferences: ['po 1042'], lineItems: [] }, [other, purchaseOrder])
+    expect(byReference.purchaseOrder.id).toBe('po-1')
+    expect(byReference.referenceMatch).toBe(true)
+
+    const bySupplier = findPurchaseOrderMatch({
+      supplierName: 'acme supply',
+      lineItems: [{ sku: 'TEE-BLK-M' }, { sku: 'TEE-WHT-M' }]
+    }, [purchaseOrder, other])
+    expect(bySupplier.purchaseOrder.id).toBe('po-2')
+    expect(bySupplier.score).toBe(1)
+
+    expect(findPurchaseOrderMatch({ supplierName: 'Someone Else', lineItems: [{ sku: 'TEE-BLK-M' }] }, [purchaseOrder])).toBeNull()
+  })
+
+  it('flags price and quantity variances beyond tolerance', () => {
+    const report = buildDiscrepancyReport({
+      purchaseOrder,
+      invoiceLines: [
+        { sku: 'TEE-BLK-M', description: 'Black Tee M', quantity: 10, unitPrice: 5.05, total: 50.5 },
+        { sku: 'TEE-WHT-M', description: 'White Tee M', quantity: 6, unitPrice: 4.5, total: 27 },
+        { sku: 'HAT-1', description: 'Cap', quantity: 1, unitPrice: 9, total: 9 }
+      ]
+    })
+
+    expect(report.status).toBe('needs_review')
+    expect(report.lines[0].variances).toEqual([])
+    expect(report.lines[1].variances.map((variance) => variance.type)).toEqual(['price', 'quantity_vs_received'])
+    expect(report.lines[1].variances[0]).toMatchObject({ expected: 4, actual: 4.5, difference: 0.5, percent: 12.5 })
+    expect(report.lines[2].variances[0].type).toBe('not_on_po')
+    expect(report.totals).toEqual({ poTotal: 74, receivedValue: 66, invoiceTotal: 86.5, difference: 20.5 })
+  })
+
+  it('does not count damaged units as received when checking what was billed', () => {
+    const report = buildDiscrepancyReport({
+      purchaseOrder: {
+        lineItems: [{ id: 'li-1', sku: 'TEE-BLK-M', quantity: 10, unitCost: 5, quantityReceived: 10, quantityDamaged: 3 }]
+      },
+      invoiceLines: [{ sku: 'TEE-BLK-M', quantity: 10, unitPrice: 5, total: 50 }]
+    })
+
+    expect(report.lines[0].variances).toEqual([
+      { type: 'quantity_vs_received', expected: 7, actual: 10, difference: 3 }
+    ])
+    expect(report.lines[0]).toMatchObject({ receivedQuantity: 10, damagedQuantity: 3 })
+    expect(report.totals).toMatchObject({ receivedValue: 35, difference: 15 })
+  })
+
+  it('reports a clean match within tolerance', () => {
+    const report = buildDiscrepancyReport({
+      purchaseOrder,
+      invoiceLines: [
+        { sku: 'TEE-BLK-M', quantity: 10, unitPrice: 5, total: 50 },
+        { sku: 'TEE-WHT-M', quantity: 4, unitPrice: 4, total: 16 }
+      ],
+      tolerances: { quantityTolerance: 2 }
+    })
+
+    expect(report.status).toBe('matched')
+    expect(report.issueCount).toBe(0)
+  })
+})
@@ -0,0 +1,181 @@
+/**
+ * AI Budget Engine
+ *
+ * Prices OpenAI calls and checks a merchant's monthly spend against the budget
+ * for their plan:
+ * - Per-model price table (USD per 1M tokens, input and output billed apart)
+ * - Monthly budget per Merchant.plan, with a soft warning before the hard stop
+ * - Daily / per-operation / per-model rollups for the usage chart
+ *
+ * Kept free of I/O so the numbers can be tested directly.
+ */
+
+// USD per 1M tokens. Dated model ids (gpt-4o-mini-2024-07-18) match by prefix.
+export const AI_MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5': { input: 1.25, output: 10 }
+}
+
+// Unknown models are billed at gpt-4o rates so spend is never under-counted
+export const DEFAULT_MODEL_PRICING = AI_MODEL_PRICING['gpt-4o']
+
+// Monthly AI spend per Merchant.plan (USD)
+export const PLAN_BUDGETS = {
+  basic: 10,
+  professional: 50,
+  enterprise: 250
+}
+
+export const DEFAULT_PLAN = 'basic'
+
+// Share of the budget at which merchants start seeing a warning
+export const SOFT_LIMIT_RATIO = 0.8
+
+export const AI_OPERATIONS = ['parse', 'generation']
+
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6
+
+/**
+ * Look up the price for a model id
+ * @param {string} model
+ * @returns {{ model: string|null, input: number, output: number, known: boolean }}
+ */
+export function priceForModel(model) {
+  const id = String(model || '').toLowerCase()
+  const match = Object.keys(AI_MODEL_PRICING)
+    .filter(key => id === key || id.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0]
+
+  if (!match) return { model: null, ...DEFAULT_MODEL_PRICING, known: false }
+  return { model: match, ...AI_MODEL_PRICING[match], known: true }
+}
+
+/**
+ * Cost of one completion from its usage block
+ * @param {string} model - model id reported by the API
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens } (camelCase also accepted)
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number, costUsd: number }}
+ */
+export function costForUsage(model, usage = {}) {
+  const promptTokens = Number(usage?.prompt_tokens ?? usage?.promptTokens) || 0
+  const completionTokens = Number(usage?.completion_tokens ?? usage?.completionTokens) || 0
+  const totalTokens = Number(usage?.total_tokens ?? usage?.totalTokens) || promptTokens + completionTokens
+  const price = priceForModel(model)
+
+  // Only a total was reported (legacy callers): bill the unsplit part at the output rate
+  const unsplitTokens = Math.max(totalTokens - promptTokens - completionTokens, 0)
+
+  const costUsd =
+    (promptTokens * price.input + completionTokens * price.output + unsplitTokens * price.output) / 1e6
+
+  return { promptTokens, completionTokens, totalTokens, costUsd: roundUsd(costUsd) }
+}
+
+/**
+ * Monthly budget for a merchant
+ * @param {string} plan - Merchant.plan
+ * @param {Object} overrides - { budgetUsd } from merchant settings, { planBudgets } from env
+ * @returns {{ plan: string, budgetUsd: number }}
+ */
+export function resolveBudget(plan, { budgetUsd, planBudgets = {} } = {}) {
+  const budgets = { ...PLAN_BUDGETS, ...planBudgets }
+  const resolvedPlan = budgets[plan] !== undefined ? plan : DEFAULT_PLAN
+  const override = Number(budgetUsd)
+
+  return {
+    plan: resolvedPlan,
+    budgetUsd: Number.isFinite(override) && override >= 0 ? override : budgets[resolvedPlan]
+  }
+}
+
+/**
+ * Where a month's spend stands against its budget
+ * @param {Object} params - { spentUsd, budgetUsd, softLimitRatio }
+ * @returns {{ state: 'ok'|'warning'|'exceeded', spentUsd, budgetUsd, softLimitUsd, remainingUsd, percentUsed }}
+ */
+export function budgetStatus({ spentUsd = 0, budgetUsd, softLimitRatio = SOFT_LIMIT_RATIO }) {
+  const spent = roundUsd(Math.max(Number(spentUsd) || 0, 0))
+  const softLimitUsd = roundUsd(budgetUsd * softLimitRatio)
+
+  let state = 'ok'
+  if (spent >= budgetUsd) state = 'exceeded'
+  else if (spent >= softLimitUsd) state = 'warning'
+
+  return {
+    state,
+    spentUsd: spent,
+    budgetUsd,
+    softLimitUsd,
+    remainingUsd: roundUsd(Math.max(budgetUsd - spent, 0)),
+    percentUsed: budgetUsd > 0 ? Math.round((spent / budgetUsd) * 1000) / 10 : 100
+  }
+}
+
+/**
+ * Calendar month (UTC) containing a date; budgets reset on the 1st
+ * @param {Date} now
+ * @returns {{ start: Date, end: Date, key: string }} end is exclusive
+ */
+export function monthWindow(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+  const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  return { start, end, key: start.toISOString().slice(0, 7) }
+}
+
+/**
+ * Roll usage records up for the dashboard
+ * @param {Array} records - { operation, model, totalTokens, costUsd, createdAt }
+ * @param {Object} window - { start, end } from monthWindow
+ * @returns {{ totals, byOperation, byModel, daily }} daily has one entry per day in the window
+ */
+export function summarizeUsage(records = [], { start, end }) {
+  const totals = { calls: 0, tokens: 0, costUsd: 0 }
+  const byOperation = {}
+  const byModel = {}
+  const daily = new Map()
+
+  for (let day = new Date(start); day < end; day = new Date(day.getTime() + 86400000)) {
+    const date = day.toISOString().slice(0, 10)
+    daily.set(date, { date, calls: 0, tokens: 0, costUsd: 0 })
+  }
+
+  const add = (bucket, record) => {
+    bucket.calls += 1
+    bucket.tokens += record.totalTokens || 0
+    bucket.costUsd = roundUsd(bucket.costUsd + (record.costUsd || 0))
+  }
+
+  for (const record of records) {
+    add(totals, record)
+    add(byOperation[record.operation] ||= { calls: 0, tokens: 0, costUsd: 0 }, record)
+    add(byModel[record.model] ||= { calls: 0, tokens: 0, costUsd: 0 }, record)
+
+    const day = daily.get(new Date(record.createdAt).toISOString().slice(0, 10))
+    if (day) add(day, record)
+  }
+
+  return { totals, byOperation, byModel, daily: [...daily.values()] }
+}
+
+export default {
+  AI_MODEL_PRICING,
+  DEFAULT_MODEL_PRICING,
+  PLAN_BUDGETS,
+  DEFAULT_PLAN,
+  SOFT_LIMIT_RATIO,
+  AI_OPERATIONS,
+  priceForModel,
+  costForUsage,
+  resolveBudget,
+  budgetStatus,
+  monthWindow,
+  summarizeUsage
+}
@@ -0,0 +1,194 @@
+/**
+ * AI Usage Service
+ *
+ * Meters every OpenAI call against the merchant that caused it and enforces
+ * the monthly budget for their plan (see aiBudgetEngine):
+ * - record() stores tokens and cost for one completion; it never throws, so
+ *   metering can't break the call it measures
+ * - checkBudget() / assertWithinBudget() gate new calls; past the soft limit a
+ *   warning is logged once per month, at the budget calls are refused and
+ *   parsing falls back to deterministic column mapping
+ * - usage() feeds the usage chart in settings
+ *
+ * Budgets come from Merchant.plan; AI_PLAN_BUDGETS (JSON, e.g. {"basic":20})
+ * overrides the plan table and settings.aiMonthlyBudgetUsd a single merchant.
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { budgetStatus, costForUsage, monthWindow, resolveBudget, summarizeUsage } from './aiBudgetEngine.js'
+
+// Spend is re-read from the database at most this often per merchant
+const CACHE_TTL_MS = 60 * 1000
+
+export class AIBudgetExceededError extends Error {
+  constructor(budget) {
+    super(`Monthly AI budget of $${budget.budgetUsd.toFixed(2)} reached for the ${budget.plan} plan`)
+    this.code = 'AI_BUDGET_EXCEEDED'
+    this.budget = budget
+  }
+}
+
+function planBudgetsFromEnv() {
+  if (!process.env.AI_PLAN_BUDGETS) return {}
+  try {
+    return JSON.parse(process.env.AI_PLAN_BUDGETS)
+  } catch {
+    console.warn('⚠️ AI_PLAN_BUDGETS is not valid JSON, using default plan budgets')
+    return {}
+  }
+}
+
+export class AIUsageService {
+  constructor() {
+    this.cache = new Map()
+    this.warned = new Set()
+  }
+
+  get enforced() {
+    return process.env.AI_BUDGET_ENFORCEMENT !== 'false'
+  }
+
+  invalidate(merchantId) {
+    this.cache.delete(merchantId)
+  }
+
+  async _loadBudget(merchantId, window) {
+    const [merchant, spend] = await prismaOperation(
+      (client) => Promise.all([
+        client.merchant.findUnique({
+          where: { id: merchantId },
+          select: { plan: true, settings: true }
+        }),
+        client.aIUsageRecord.aggregate({
+          where: { merchantId, createdAt: { gte: window.start, lt: window.end } },
+          _sum: { costUsd: true }
+        })
+      ]),
+      `Load AI budget for merchant ${merchantId}`
+    )
+
+    const { plan, budgetUsd } = resolveBudget(merchant?.plan, {
+      budgetUsd: merchant?.settings?.aiMonthlyBudgetUsd,
+      planBudgets: planBudgetsFromEnv()
+    })
+
+    return { plan, budgetUsd, spentUsd: spend._sum.costUsd || 0 }
+  }
+
+  /**
+   * Current month's spend against the merchant's budget
+   * @param {string} merchantId
+   * @returns {Promise<Object>} budgetStatus() plus plan, month and enforced
+   */
+  async checkBudget(merchantId) {
+    const window = monthWindow()
+    if (!merchantId) {
+      return { ...budgetStatus({ spentUsd: 0, budgetUsd: Infinity }), plan: null, month: window.key, enforced: false }
+    }
+
+    let entry = this.cache.get(merchantId)
+    if (!entry || entry.month !== window.key || Date.now() - entry.loadedAt > CACHE_TTL_MS) {
+      entry = { ...(await this._loadBudget(merchantId, window)), month: window.key, loadedAt: Date.now() }
+      this.cache.set(merchantId, entry)
+    }
+
+    return {
+      ...budgetStatus({ spentUsd: entry.spentUsd, budgetUsd: entry.budgetUsd }),
+      plan: entry.plan,
+      month: entry.month,
+      enforced: this.enforced
+    }
+  }
+
+  /**
+   * Refuse a new AI call once the budget is spent
+   * @throws {AIBudgetExceededError}
+   * @returns {Promise<Object>} the budget status when the call may go ahead
+   */
+  async assertWithinBudget(merchantId) {
+    const budget = await this.checkBudget(merchantId)
+    if (budget.state === 'exceeded' && budget.enforced) {
+      throw new AIBudgetExceededError(budget)
+    }
+    return budget
+  }
+
+  /**
+   * Store the tokens and cost of one completion
+   * @param {string} merchantId
+   * @param {Object} call - { operation, model, usage, workflowId, purchaseOrderId }
+   *   usage is the completion's usage block ({ prompt_tokens, completion_tokens, total_tokens })
+   * @returns {Promise<Object|null>} the stored record, or null when nothing was stored
+   */
+  async record(merchantId, { operation, model, usage, workflowId = null, purchaseOrderId = null }) {
+    if (!merchantId || !usage) return null
+
+    try {
+      const cost = costForUsage(model, usage)
+      const record = await prismaOperation(
+        (client) => client.aIUsageRecord.create({
+          data: { merchantId, operation, model: model || 'unknown', ...cost, workflowId, purchaseOrderId }
+        }),
+        `Record AI usage for merchant ${merchantId}`
+      )
+
+      const entry = this.cache.get(merchantId)
+      if (entry?.month === monthWindow(record.createdAt).key) {
+        entry.spentUsd += cost.costUsd
+      }
+      await this._warnIfNearLimit(merchantId)
+
+      return record
+    } catch (error) {
+      console.error(`❌ Failed to record AI usage for merchant ${merchantId}:`, error.message)
+      return null
+    }
+  }
+
+  async _warnIfNearLimit(merchantId) {
+    const budget = await this.checkBudget(merchantId)
+    const key = `${merchantId}:${budget.month}:${budget.state}`
+    if (budget.state === 'ok' || this.warned.has(key)) return
+
+    this.warned.add(key)
+    console.warn(
+      budget.state === 'exceeded'
+        ? `🛑 Merchant ${merchantId} reached its AI budget ($${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd.toFixed(2)}); falling back to deterministic parsing`
+        : `⚠️ Merchant ${merchantId} has used ${budget.percentUsed}% of its AI budget ($${budget.spentUsd.toFixed(2)} of $${budget.budgetUsd.toFixed(2)})`
+    )
+  }
+
+  /**
+   * Usage for the settings dashboard
+   * @param {string} merchantId
+   * @param {Object} query - { month: 'YYYY-MM' }, defaults to the current month
+   * @returns {Promise<Object>} { month, budget, totals, byOperation, byModel, daily }
+   */
+  async usage(merchantId, { month } = {}) {
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      throw new Error('month must be in YYYY-MM format')
+    }
+    const window = month ? monthWindow(new Date(`${month}-01T00:00:00Z`)) : monthWindow()
+
+    const records = await prismaOperation(
+      (client) => client.aIUsageRecord.findMany({
+        where: { merchantId, createdAt: { gte: window.start, lt: window.end } },
+        select: { operation: true, model: true, totalTokens: true, costUsd: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      `Load AI usage for merchant ${merchantId}`
+    )
+
+    this.invalidate(merchantId)
+    const budget = await this.checkBudget(merchantId)
+
+    return {
+      month: window.key,
+      budget,
+      ...summarizeUsage(records, window)
+    }
+  }
+}
+
+export const aiUsageService = new AIUsageService()
+export default aiUsageService
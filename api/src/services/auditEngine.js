@@ -0,0 +1,201 @@
+/**
+ * Audit Engine
+ *
+ * Pure helpers for the merchant audit log: JSON-safe before/after snapshots
+ * with secrets redacted, the list of fields an event changed, query filter
+ * validation and the CSV export used for compliance reviews.
+ */
+
+export const AUDIT_ENTITY_TYPES = [
+  'purchase_order',
+  'product_draft',
+  'supplier',
+  'refinement_config',
+  'category_mapping',
+  'pricing_rule',
+  'content_rule',
+  'deduplication_rule',
+  'credentials',
+  'security_settings',
+  'staff_user'
+]
+
+export const AUDIT_LIMITS = {
+  defaultPageSize: 50,
+  maxPageSize: 200,
+  maxExportRows: 10000,
+  maxSnapshotDepth: 6,
+  maxSnapshotArray: 500
+}
+
+export const REDACTED = '[REDACTED]'
+
+// Key names whose values never reach the audit log
+const SECRET_KEY_PATTERN = /(password|passphrase|secret|token|apikey|api_key|privatekey|private_key|credential)/i
+
+// Bulky or derived columns left out of snapshots per entity type
+const SNAPSHOT_OMIT = {
+  purchase_order: ['rawData', 'syncResults', 'aiAuditTrail', 'merchant'],
+  product_draft: ['Session', 'merchant', 'purchaseOrder', 'POLineItem', 'images', 'variants', 'reviewHistory'],
+  supplier: ['merchant', 'purchaseOrders']
+}
+
+function snapshotValue(value, depth) {
+  if (value === null || value === undefined) return null
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === 'bigint') return value.toString()
+  if (typeof value === 'function') return undefined
+  if (typeof value !== 'object') return value
+  if (typeof value.toJSON === 'function') return snapshotValue(value.toJSON(), depth)
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`
+  if (depth >= AUDIT_LIMITS.maxSnapshotDepth) return '[truncated]'
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, AUDIT_LIMITS.maxSnapshotArray).map(item => snapshotValue(item, depth + 1))
+    if (value.length > AUDIT_LIMITS.maxSnapshotArray) {
+      items.push(`[${value.length - AUDIT_LIMITS.maxSnapshotArray} more]`)
+    }
+    return items
+  }
+
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEY_PATTERN.test(key)) {
+      result[key] = item === null || item === undefined || item === '' ? null : REDACTED
+      continue
+    }
+    const snapped = snapshotValue(item, depth + 1)
+    if (snapped !== undefined) result[key] = snapped
+  }
+  return result
+}
+
+/**
+ * JSON-safe copy of a record for the audit log: dates as ISO strings, secrets
+ * redacted at any depth, bulky columns for the entity type dropped
+ */
+export function toSnapshot(entityType, record) {
+  if (record === null || record === undefined) return null
+  const omit = new Set(SNAPSHOT_OMIT[entityType] || [])
+  const value = typeof record === 'object' && !Array.isArray(record)
+    ? Object.fromEntries(Object.entries(record).filter(([key]) => !omit.has(key)))
+    : record
+  return snapshotValue(value, 0)
+}
+
+/**
+ * Top-level fields that differ between two snapshots, sorted.
+ * updatedAt is ignored since every write changes it.
+ */
+export function changedFields(before, after) {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value)
+  if (!isObject(before) || !isObject(after)) return []
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  keys.delete('updatedAt')
+  return [...keys]
+    .filter(key => JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null))
+    .sort()
+}
+
+function parseDate(value, label) {
+  if (value === undefined || value === null || value === '') return null
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${label} must be a valid date`)
+  }
+  return date
+}
+
+/**
+ * Validated filters for listing and exporting events.
+ * `action` ending in `.*` matches every action with that prefix (e.g. purchase_order.*).
+ */
+export function normalizeAuditFilters(query = {}, { maxLimit = AUDIT_LIMITS.maxPageSize } = {}) {
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null)
+
+  const entityType = text(query.entityType)
+  if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+    throw new Error(`entityType must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`)
+  }
+
+  const from = parseDate(query.from, 'from')
+  const to = parseDate(query.to, 'to')
+  if (from && to && from > to) {
+    throw new Error('from must be before to')
+  }
+
+  const requested = Number.parseInt(query.limit, 10)
+  const limit = Number.isFinite(requested) && requested > 0
+    ? Math.min(requested, maxLimit)
+    : Math.min(AUDIT_LIMITS.defaultPageSize, maxLimit)
+
+  return {
+    action: text(query.action),
+    entityType,
+    entityId: text(query.entityId),
+    actorId: text(query.actorId),
+    from,
+    to,
+    limit,
+    cursor: text(query.cursor)
+  }
+}
+
+/**
+ * Prisma `where` for normalized filters, always scoped to the merchant
+ */
+export function buildAuditWhere(merchantId, filters) {
+  const where = { merchantId }
+  if (filters.action) {
+    where.action = filters.action.endsWith('.*')
+      ? { startsWith: filters.action.slice(0, -1) }
+      : filters.action
+  }
+  if (filters.entityType) where.entityType = filters.entityType
+  if (filters.entityId) where.entityId = filters.entityId
+  if (filters.actorId) where.staffUserId = filters.actorId
+  if (filters.from || filters.to) {
+    where.createdAt = {}
+    if (filters.from) where.createdAt.gte = filters.from
+    if (filters.to) where.createdAt.lte = filters.to
+  }
+  return where
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * One row per event; snapshots are embedded as JSON so the file stands on its own
+ */
+export function auditEventsToCsv(events) {
+  const header = ['Time', 'Actor', 'Role', 'Action', 'Entity Type', 'Entity ID', 'Changed Fields', 'IP Address', 'Before', 'After']
+  const rows = events.map(event => [
+    event.createdAt instanceof Date ? event.createdAt.toISOString() : event.createdAt,
+    event.actorName,
+    event.actorRole,
+    event.action,
+    event.entityType,
+    event.entityId,
+    (event.changedFields || []).join(' '),
+    event.ipAddress,
+    event.before === null || event.before === undefined ? '' : JSON.stringify(event.before),
+    event.after === null || event.after === undefined ? '' : JSON.stringify(event.after)
+  ])
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+export default {
+  AUDIT_ENTITY_TYPES,
+  AUDIT_LIMITS,
+  REDACTED,
+  toSnapshot,
+  changedFields,
+  normalizeAuditFilters,
+  buildAuditWhere,
+  auditEventsToCsv
+}
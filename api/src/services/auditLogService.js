@@ -0,0 +1,137 @@
+/**
+ * Audit Log Service
+ *
+ * Append-only audit trail of staff actions: who approved, denied, edited or
+ * deleted a purchase order, changed refinement rules, reviewed drafts or
+ * touched credentials. Events carry redacted before/after snapshots and are
+ * only written while the merchant's auditLogging setting is on. Rows are
+ * never updated or deleted (the table rejects both).
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import {
+  AUDIT_LIMITS,
+  auditEventsToCsv,
+  buildAuditWhere,
+  changedFields,
+  normalizeAuditFilters,
+  toSnapshot
+} from './auditEngine.js'
+
+export class AuditLogService {
+  async isEnabled(merchant) {
+    if (typeof merchant?.auditLogging === 'boolean') return merchant.auditLogging
+
+    const stored = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchant.id },
+        select: { auditLogging: true }
+      }),
+      `Get audit logging setting for ${merchant.id}`
+    )
+    return stored?.auditLogging ?? true
+  }
+
+  /**
+   * Write one event. Failures are logged and never break the action being audited.
+   * `force` writes even when audit logging is off (used for turning it off).
+   */
+  async record(merchant, event, context = {}) {
+    try {
+      if (!merchant?.id) return null
+      if (!event.force && !(await this.isEnabled(merchant))) return null
+
+      const before = toSnapshot(event.entityType, event.before)
+      const after = toSnapshot(event.entityType, event.after)
+      const staff = context.staffUser || null
+
+      return await prismaOperation(
+        (client) => client.auditEvent.create({
+          data: {
+            merchantId: merchant.id,
+            staffUserId: staff?.id || null,
+            actorName: staff?.name || context.actorName || null,
+            actorRole: staff?.role || null,
+            action: event.action,
+            entityType: event.entityType,
+            entityId: event.entityId ? String(event.entityId) : null,
+            before,
+            after,
+            changedFields: changedFields(before, after),
+            metadata: toSnapshot(null, event.metadata || {}),
+            ipAddress: context.ipAddress || null,
+            userAgent: context.userAgent || null
+          }
+        }),
+        `Record audit event ${event.action}`
+      )
+    } catch (error) {
+      console.error(`⚠️ Failed to write audit event ${event.action}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Record an event for the staff member and client behind an authenticated request
+   */
+  async recordFromRequest(req, event) {
+    return this.record(req.merchant, {
+      ...event,
+      metadata: { method: req.method, path: req.originalUrl, ...(event.metadata || {}) }
+    }, {
+      staffUser: req.staffUser,
+      ipAddress: req.ip,
+      userAgent: req.get?.('User-Agent')
+    })
+  }
+
+  /**
+   * Newest-first page of events. `nextCursor` is the ID to pass as `cursor` for the next page.
+   */
+  async list(merchantId, query = {}) {
+    const filters = normalizeAuditFilters(query)
+    const events = await prismaOperation(
+      (client) => client.auditEvent.findMany({
+        where: buildAuditWhere(merchantId, filters),
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: filters.limit + 1,
+        ...(filters.cursor ? { cursor: { id: filters.cursor }, skip: 1 } : {})
+      }),
+      `List audit events for ${merchantId}`
+    )
+
+    const hasMore = events.length > filters.limit
+    const page = hasMore ? events.slice(0, filters.limit) : events
+    return {
+      events: page,
+      nextCursor: hasMore ? page[page.length - 1].id : null
+    }
+  }
+
+  /**
+   * Every event matching the filters (oldest first, capped) as CSV or JSON
+   */
+  async export(merchantId, query = {}, format = 'csv') {
+    const filters = normalizeAuditFilters(
+      { ...query, limit: query.limit || AUDIT_LIMITS.maxExportRows },
+      { maxLimit: AUDIT_LIMITS.maxExportRows }
+    )
+    const events = await prismaOperation(
+      (client) => client.auditEvent.findMany({
+        where: buildAuditWhere(merchantId, filters),
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: filters.limit
+      }),
+      `Export audit events for ${merchantId}`
+    )
+
+    return {
+      count: events.length,
+      truncated: events.length === filters.limit,
+      body: format === 'json' ? JSON.stringify(events, null, 2) : auditEventsToCsv(events)
+    }
+  }
+}
+
+export const auditLogService = new AuditLogService()
+export default auditLogService
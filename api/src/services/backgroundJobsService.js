@@ -3,6 +3,9 @@
  * 
  * Schedules and runs periodic background jobs including:
  * - Daily supplier metrics calculation
+ * - Supplier SFTP / folder drop polling
+ * - Supplier API sync schedules
+ * - Re-encryption of stored secrets after key rotation
  * - Data cleanup tasks
  * - Health checks
  */
@@ -10,6 +13,9 @@
 import cron from 'node-cron'
 import { db } from '../lib/db.js'
 import { calculateAllSupplierMetrics } from './supplierMetricsService.js'
+import { supplierFileFetchService } from './supplierFileFetchService.js'
+import { syncScheduleService } from './syncScheduleService.js'
+import { secretStoreService } from './secretStoreService.js'
 
 let isInitialized = false
 let scheduledJobs = []
@@ -57,6 +63,27 @@ export function initializeBackgroundJobs() {
 
   scheduledJobs.push({ name: 'Auto-Link Unlinked POs', job: autoLinkJob })
 
+  // Poll supplier file drops every 5 minutes (each supplier runs on its own nextSync)
+  const supplierFetchJob = cron.schedule('*/5 * * * *', async () => {
+    await fetchSupplierDrops()
+  })
+
+  scheduledJobs.push({ name: 'Supplier File Drops', job: supplierFetchJob })
+
+  // Run supplier API sync schedules every minute (each schedule fires on its own cron times)
+  const syncSchedulesJob = cron.schedule('* * * * *', async () => {
+    await runSyncSchedules()
+  })
+
+  scheduledJobs.push({ name: 'Supplier Sync Schedules', job: syncSchedulesJob })
+
+  // Re-seal stored secrets under the active encryption key nightly at 3:30 AM
+  const secretReencryptionJob = cron.schedule('30 3 * * *', async () => {
+    await reencryptSecrets()
+  })
+
+  scheduledJobs.push({ name: 'Secret Re-encryption', job: secretReencryptionJob })
+
   isInitialized = true
   console.log(`✅ ${scheduledJobs.length} background jobs initialized`)
 }
@@ -310,6 +337,74 @@ async function autoLinkUnlinkedPOs() {
   }
 }
 
+/**
+ * Pull new PO files from suppliers whose SFTP / folder drop is due
+ */
+async function fetchSupplierDrops() {
+  const startTime = Date.now()
+
+  try {
+    const results = await supplierFileFetchService.runDueFetches()
+    if (results.suppliers === 0) return results
+
+    console.log(`📂 Supplier drops polled: ${results.suppliers} supplier(s), ${results.queued} file(s) queued, ${results.failed} failed`)
+    await logJobExecution('supplier_file_fetch', { ...results, duration: Date.now() - startTime })
+    return results
+  } catch (error) {
+    console.error('❌ Supplier file fetch job failed:', error)
+    await logJobExecution('supplier_file_fetch', {
+      error: error.message,
+      failed: true
+    })
+  }
+}
+
+/**
+ * Run supplier API sync schedules whose next run is due
+ */
+async function runSyncSchedules() {
+  const startTime = Date.now()
+
+  try {
+    const results = await syncScheduleService.runDueSchedules()
+    if (results.schedules === 0) return results
+
+    console.log(`🗓️ Sync schedules run: ${results.schedules} schedule(s), ${results.queued} order(s) queued, ${results.failed} failed`)
+    await logJobExecution('sync_schedules', { ...results, duration: Date.now() - startTime })
+    return results
+  } catch (error) {
+    console.error('❌ Sync schedules job failed:', error)
+    await logJobExecution('sync_schedules', {
+      error: error.message,
+      failed: true
+    })
+  }
+}
+
+/**
+ * Re-encrypt merchant credentials, supplier drop logins and sync schedule
+ * secrets still sealed with a retired key or not matching dataEncryption
+ */
+async function reencryptSecrets() {
+  const startTime = Date.now()
+
+  try {
+    const results = await secretStoreService.rotateAll()
+    const changed = results.encrypted + results.decrypted + results.resealed
+    if (changed === 0 && results.failed === 0) return results
+
+    console.log(`🔐 Secrets re-encrypted: ${results.resealed} re-sealed, ${results.encrypted} encrypted, ${results.decrypted} decrypted, ${results.failed} failed`)
+    await logJobExecution('secret_reencryption', { ...results, duration: Date.now() - startTime })
+    return results
+  } catch (error) {
+    console.error('❌ Secret re-encryption job failed:', error)
+    await logJobExecution('secret_reencryption', {
+      error: error.message,
+      failed: true
+    })
+  }
+}
+
 /**
  * Log job execution to database (optional - for audit trail)
  */
@@ -340,6 +435,15 @@ export async function triggerJob(jobName) {
     case 'autolink':
       await autoLinkUnlinkedPOs()
       break
+    case 'supplierfetch':
+      await fetchSupplierDrops()
+      break
+    case 'syncschedules':
+      await runSyncSchedules()
+      break
+    case 'reencrypt':
+      await reencryptSecrets()
+      break
     default:
       console.error(`Unknown job: ${jobName}`)
       throw new Error(`Unknown job: ${jobName}`)
@@ -0,0 +1,352 @@
+/**
+ * Column Mapping Engine
+ * Deterministic line-item extraction for CSV / Excel purchase orders.
+ *
+ * - Finds the header row in each sheet (titles, addresses and notes above it
+ *   are scanned for PO number, supplier and date)
+ * - Maps header cells to sku, description, quantity, unitCost, total, barcode
+ *   by alias, or with a mapping the merchant saved for the supplier
+ * - Reads rows until the table ends, skipping blank and subtotal rows
+ * - Produces the same extraction shape as the AI parser so the rest of the
+ *   workflow does not care which path ran
+ */
+
+export const MAPPING_FIELDS = ['sku', 'description', 'quantity', 'unitCost', 'total', 'barcode']
+
+export const MAPPING_DEFAULTS = {
+  maxHeaderScanRows: 30,
+  confidence: 0.95
+}
+
+// Longest alias wins, so "unit price" beats "price" and "item description" beats "item"
+const FIELD_ALIASES = {
+  sku: ['sku', 'item #', 'item no', 'item number', 'item code', 'product code', 'product id', 'part #', 'part no', 'part number', 'style #', 'style', 'article', 'ref', 'code', 'vendor sku', 'supplier sku', 'model'],
+  description: ['description', 'item description', 'product description', 'product name', 'product', 'item name', 'name', 'title', 'item', 'details'],
+  quantity: ['qty', 'quantity', 'qty ordered', 'order qty', 'ordered qty', 'quantity ordered', 'units', 'ordered', 'order quantity', 'pcs', 'count'],
+  unitCost: ['unit cost', 'unit price', 'price', 'cost', 'each', 'price each', 'cost each', 'rate', 'price/unit', 'wholesale', 'wholesale price', 'net price'],
+  total: ['total', 'amount', 'line total', 'extended', 'ext price', 'extended price', 'ext cost', 'extended cost', 'line amount', 'net amount', 'total price', 'total cost'],
+  barcode: ['barcode', 'upc', 'ean', 'gtin', 'upc code', 'ean code', 'upc/ean']
+}
+
+// Checked in order, one field per cell ("PO Date" is a date, not a PO number)
+const HEADER_LABELS = {
+  orderDate: /^(?:purchase\s*order|order|po|invoice)?\s*date\s*:?\s*(.*)$/i,
+  poNumber: /^(?:purchase\s*order|p\.?\s*o\.?)\s*(?:number|no\.?|#)?\s*:?\s*(.*)$/i,
+  supplierName: /^(?:supplier|vendor)(?:\s*name)?\s*:?\s*(.*)$/i
+}
+
+const TOTALS_ROW = /^(?:sub\s*-?total|total|grand\s*total|tax|shipping|freight|amount\s*due|balance)\b/i
+
+export function normalizeHeader(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[_\n\r\t]+/g, ' ')
+    .replace(/[^a-z0-9#/ ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Best field for a header cell
+ * @returns {{ field: string, score: number }|null}
+ */
+export function matchHeaderCell(value) {
+  const header = normalizeHeader(value)
+  if (!header || header.length > 40) return null
+
+  let best = null
+  for (const field of MAPPING_FIELDS) {
+    for (const alias of FIELD_ALIASES[field]) {
+      let score = 0
+      if (header === alias) score = 2 + alias.length / 100
+      else if (new RegExp(`(^| )${alias.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}( |$)`).test(header)) score = 1 + alias.length / 100
+      if (score > 0 && (!best || score > best.score)) best = { field, score }
+    }
+  }
+  return best
+}
+
+/**
+ * Assign columns to fields for one candidate header row; each column and field is used once
+ */
+export function mapHeaderRow(row = []) {
+  const candidates = []
+  row.forEach((cell, index) => {
+    const match = matchHeaderCell(cell)
+    if (match) candidates.push({ ...match, index })
+  })
+  candidates.sort((a, b) => b.score - a.score)
+
+  const columns = {}
+  const used = new Set()
+  for (const candidate of candidates) {
+    if (candidate.field in columns || used.has(candidate.index)) continue
+    columns[candidate.field] = candidate.index
+    used.add(candidate.index)
+  }
+  return columns
+}
+
+const isUsableMapping = (columns) =>
+  'quantity' in columns &&
+  ('sku' in columns || 'description' in columns) &&
+  ('unitCost' in columns || 'total' in columns)
+
+/**
+ * Locate the header row by alias matching
+ * @returns {{ headerRowIndex: number, columns: Object }|null}
+ */
+export function detectHeaderRow(rows = [], options = {}) {
+  const { maxHeaderScanRows } = { ...MAPPING_DEFAULTS, ...options }
+  let best = null
+
+  rows.slice(0, maxHeaderScanRows).forEach((row, index) => {
+    const columns = mapHeaderRow(row)
+    if (!isUsableMapping(columns)) return
+    const score = Object.keys(columns).length
+    if (!best || score > best.score) best = { headerRowIndex: index, columns, score }
+  })
+
+  return best ? { headerRowIndex: best.headerRowIndex, columns: best.columns } : null
+}
+
+/**
+ * Locate the header row for a saved mapping ({ field: header text })
+ * @returns {{ headerRowIndex: number, columns: Object }|null}
+ */
+export function locateSavedMapping(rows = [], savedColumns = {}, options = {}) {
+  const { maxHeaderScanRows } = { ...MAPPING_DEFAULTS, ...options }
+  const wanted = Object.entries(savedColumns).filter(([field, header]) => MAPPING_FIELDS.includes(field) && header)
+  if (wanted.length === 0) return null
+
+  for (let index = 0; index < Math.min(rows.length, maxHeaderScanRows); index++) {
+    const headers = rows[index].map(normalizeHeader)
+    const columns = {}
+    for (const [field, header] of wanted) {
+      const column = headers.indexOf(normalizeHeader(header))
+      if (column === -1) break
+      columns[field] = column
+    }
+    if (Object.keys(columns).length === wanted.length && isUsableMapping(columns)) {
+      return { headerRowIndex: index, columns }
+    }
+  }
+  return null
+}
+
+/**
+ * "$1,234.50", "(12.00)", "12 ea" → number; null when there is no number
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (value === null || value === undefined) return null
+  const text = String(value).trim()
+  if (!text) return null
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-')
+  const cleaned = text.replace(/[^0-9.,]/g, '')
+  if (!cleaned) return null
+  // "1.234,50" (European) vs "1,234.50"
+  const normalized = /,\d{1,2}$/.test(cleaned) && !/\.\d{1,2}$/.test(cleaned)
+    ? cleaned.replace(/\./g, '').replace(',', '.')
+    : cleaned.replace(/,/g, '')
+  const number = parseFloat(normalized)
+  if (!Number.isFinite(number)) return null
+  return negative ? -number : number
+}
+
+const cellText = (row, index) => {
+  if (index === undefined) return null
+  const value = row[index]
+  if (value === null || value === undefined) return null
+  const text = String(value).trim()
+  return text || null
+}
+
+// Excel stores dates as days since 1899-12-30
+const toDateString = (value) => {
+  if (typeof value === 'number' && value > 20000 && value < 80000) {
+    return new Date(Date.UTC(1899, 11, 30) + value * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  }
+  return String(value).trim()
+}
+
+const round = (value, places = 4) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places)
+
+/**
+ * Read line items below the header row
+ * @returns {{ lineItems: Array, totals: Object, skippedRows: number }}
+ */
+export function extractRows(rows = [], headerRowIndex, columns) {
+  const lineItems = []
+  const totals = {}
+  let skippedRows = 0
+
+  for (const row of rows.slice(headerRowIndex + 1)) {
+    const texts = row.map((cell) => String(cell ?? '').trim())
+    if (texts.every((text) => !text)) continue
+
+    const sku = cellText(row, columns.sku)
+    const description = cellText(row, columns.description)
+    const label = texts.find((text) => text && parseNumber(text) === null) || ''
+
+    // Subtotal / tax / total rows below the table
+    // (the label often sits in the SKU column, so only rows with both SKU and description are products)
+    if (!(sku && description) && TOTALS_ROW.test(label) && parseNumber(cellText(row, columns.quantity)) === null) {
+      const amount = [...row].reverse().map(parseNumber).find((number) => number !== null)
+      const key = /sub/i.test(label) ? 'subtotal' : /tax/i.test(label) ? 'tax' : /ship|freight/i.test(label) ? 'shipping' : 'total'
+      if (amount !== null && amount !== undefined) totals[key] = amount
+      continue
+    }
+
+    let quantity = parseNumber(cellText(row, columns.quantity))
+    let unitPrice = parseNumber(cellText(row, columns.unitCost))
+    let total = parseNumber(cellText(row, columns.total))
+
+    if (!sku && !description) {
+      skippedRows++
+      continue
+    }
+
+    if (quantity === null && unitPrice && total !== null) quantity = round(total / unitPrice, 2)
+    if (unitPrice === null && quantity && total !== null) unitPrice = round(total / quantity)
+    if (total === null && quantity !== null && unitPrice !== null) total = round(quantity * unitPrice, 2)
+
+    // Section headings and notes inside the table have no quantity or amount
+    if (quantity === null || (unitPrice === null && total === null) || quantity === 0) {
+      skippedRows++
+      continue
+    }
+
+    lineItems.push({
+      productCode: sku,
+      sku,
+      description: description || sku,
+      quantity,
+      unitPrice,
+      total,
+      barcode: cellText(row, columns.barcode)
+    })
+  }
+
+  return { lineItems, totals, skippedRows }
+}
+
+/**
+ * PO number / supplier / date from "Label: value" cells or label + next cell above the table
+ */
+export function extractHeaderFields(rows = []) {
+  const fields = {}
+  for (const row of rows) {
+    row.forEach((cell, index) => {
+      const text = String(cell ?? '').trim()
+      if (!text) return
+      for (const [field, pattern] of Object.entries(HEADER_LABELS)) {
+        const match = text.match(pattern)
+        if (!match) continue
+        if (!fields[field]) {
+          const inline = match[1]?.trim()
+          const next = row.slice(index + 1).find((value) => String(value ?? '').trim())
+          const value = inline || next
+          if (value !== undefined && value !== '') fields[field] = field === 'orderDate' ? toDateString(value) : String(value).trim()
+        }
+        break
+      }
+    })
+  }
+  return fields
+}
+
+/**
+ * Extract every sheet that has a usable table
+ * @param {Array<{ name: string, rows: Array }>} sheets
+ * @param {Object} options - { savedColumns } to use a saved supplier mapping instead of detection
+ * @returns {Object|null} null when no sheet fits
+ */
+export function extractFromSheets(sheets = [], options = {}) {
+  const { savedColumns } = options
+  const lineItems = []
+  const totals = {}
+  const headerFields = {}
+  const sheetSummaries = []
+
+  for (const sheet of sheets) {
+    const rows = sheet.rows || []
+    const located = savedColumns ? locateSavedMapping(rows, savedColumns, options) : detectHeaderRow(rows, options)
+    if (!located) continue
+
+    const extracted = extractRows(rows, located.headerRowIndex, located.columns)
+    if (extracted.lineItems.length === 0) continue
+
+    lineItems.push(...extracted.lineItems)
+    for (const [key, value] of Object.entries(extracted.totals)) {
+      totals[key] = (totals[key] || 0) + value
+    }
+    for (const [key, value] of Object.entries(extractHeaderFields(rows.slice(0, located.headerRowIndex)))) {
+      if (!headerFields[key]) headerFields[key] = value
+    }
+
+    const headerRow = rows[located.headerRowIndex]
+    sheetSummaries.push({
+      name: sheet.name,
+      headerRowIndex: located.headerRowIndex,
+      columns: Object.fromEntries(Object.entries(located.columns).map(([field, index]) => [field, String(headerRow[index] ?? '')])),
+      lineItems: extracted.lineItems.length,
+      skippedRows: extracted.skippedRows
+    })
+  }
+
+  if (lineItems.length === 0) return null
+  return { lineItems, totals, headerFields, sheets: sheetSummaries }
+}
+
+/**
+ * Wrap a deterministic extraction in the AI parser's result shape
+ */
+export function buildExtractionResult(extraction, options = {}) {
+  const { confidence } = { ...MAPPING_DEFAULTS, ...options }
+  const { lineItems, totals, headerFields } = extraction
+  const priced = lineItems.filter((item) => item.unitPrice !== null).length
+  const lineItemConfidence = lineItems.length > 0 ? priced / lineItems.length : 0
+
+  const subtotal = totals.subtotal ?? Math.round(lineItems.reduce((sum, item) => sum + (item.total || 0), 0) * 100) / 100
+
+  return {
+    confidence: Math.round(confidence * lineItemConfidence * 100) / 100,
+    extractedData: {
+      poNumber: headerFields.poNumber || null,
+      supplier: { name: headerFields.supplierName || null },
+      lineItems,
+      dates: { orderDate: headerFields.orderDate || null },
+      totals: {
+        subtotal,
+        tax: totals.tax ?? null,
+        shipping: totals.shipping ?? null,
+        total: totals.total ?? subtotal
+      },
+      notes: null
+    },
+    fieldConfidences: {
+      lineItems: lineItemConfidence,
+      poNumber: headerFields.poNumber ? 0.9 : 0,
+      supplier: headerFields.supplierName ? 0.9 : 0
+    },
+    qualityIndicators: {},
+    issues: priced < lineItems.length ? [`${lineItems.length - priced} line item(s) have no unit price`] : [],
+    suggestions: []
+  }
+}
+
+export default {
+  MAPPING_FIELDS,
+  MAPPING_DEFAULTS,
+  normalizeHeader,
+  matchHeaderCell,
+  mapHeaderRow,
+  detectHeaderRow,
+  locateSavedMapping,
+  parseNumber,
+  extractRows,
+  extractHeaderFields,
+  extractFromSheets,
+  buildExtractionResult
+}
@@ -0,0 +1,168 @@
+/**
+ * Column Mapping Service
+ *
+ * Parses CSV / Excel purchase orders without an LLM call:
+ * 1. The supplier's saved mapping (when the supplier is known up front)
+ * 2. Any saved mapping of the merchant whose header names appear in the file
+ * 3. Automatic header detection by alias
+ * Only when none of these fit does the document go to the AI parser.
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { fileParsingService } from '../lib/fileParsingService.js'
+import {
+  MAPPING_FIELDS,
+  buildExtractionResult,
+  detectHeaderRow,
+  extractFromSheets,
+  mapHeaderRow
+} from './columnMappingEngine.js'
+
+export const SPREADSHEET_MIME_TYPES = [
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+]
+
+export const isSpreadsheet = (mimeType) => SPREADSHEET_MIME_TYPES.includes(mimeType)
+
+const PREVIEW_ROWS = 5
+
+export class ColumnMappingService {
+  async getMapping(merchantId, supplierId) {
+    return await prismaOperation(
+      (client) => client.supplierColumnMapping.findFirst({
+        where: { merchantId, supplierId },
+        include: { supplier: { select: { id: true, name: true } } }
+      }),
+      `Get column mapping for supplier ${supplierId}`
+    )
+  }
+
+  /**
+   * Save header names per field for a supplier
+   * @param {Object} columns - { sku: 'Item #', quantity: 'Qty', ... }
+   */
+  async saveMapping(merchantId, supplierId, columns = {}) {
+    const cleaned = {}
+    for (const [field, header] of Object.entries(columns || {})) {
+      if (!MAPPING_FIELDS.includes(field)) {
+        throw new Error(`Unknown field "${field}". Expected one of: ${MAPPING_FIELDS.join(', ')}`)
+      }
+      if (typeof header === 'string' && header.trim()) cleaned[field] = header.trim()
+    }
+
+    if (!cleaned.quantity || !(cleaned.sku || cleaned.description) || !(cleaned.unitCost || cleaned.total)) {
+      throw new Error('A mapping needs quantity, sku or description, and unitCost or total columns')
+    }
+
+    return await prismaOperation(
+      (client) => client.supplierColumnMapping.upsert({
+        where: { supplierId },
+        create: { merchantId, supplierId, columns: cleaned },
+        update: { columns: cleaned }
+      }),
+      `Save column mapping for supplier ${supplierId}`
+    )
+  }
+
+  async deleteMapping(merchantId, supplierId) {
+    const result = await prismaOperation(
+      (client) => client.supplierColumnMapping.deleteMany({ where: { merchantId, supplierId } }),
+      `Delete column mapping for supplier ${supplierId}`
+    )
+    return result.count > 0
+  }
+
+  /**
+   * Headers, suggested mapping and sample rows per sheet, for building a mapping
+   */
+  previewSpreadsheet(buffer, mimeType) {
+    const sheets = fileParsingService.readSpreadsheetRows(buffer, mimeType)
+
+    return sheets.map((sheet) => {
+      const detected = detectHeaderRow(sheet.rows)
+      // Without a recognisable header, offer the first row that looks like one
+      const headerRowIndex = detected
+        ? detected.headerRowIndex
+        : Math.max(0, sheet.rows.findIndex((row) => row.filter((cell) => String(cell).trim()).length >= 3))
+      const headerRow = sheet.rows[headerRowIndex] || []
+      const columns = detected ? detected.columns : mapHeaderRow(headerRow)
+
+      return {
+        name: sheet.name,
+        headerRowIndex,
+        headers: headerRow.map((cell) => String(cell ?? '').trim()),
+        suggestedColumns: Object.fromEntries(
+          Object.entries(columns).map(([field, index]) => [field, String(headerRow[index] ?? '').trim()])
+        ),
+        detected: Boolean(detected),
+        sampleRows: sheet.rows.slice(headerRowIndex + 1, headerRowIndex + 1 + PREVIEW_ROWS)
+      }
+    })
+  }
+
+  /**
+   * Deterministic extraction for a spreadsheet PO
+   * @returns {Promise<Object|null>} { parsedResult, summary } in the AI result shape, or null to fall back to AI
+   */
+  async parseSpreadsheet(merchantId, buffer, { mimeType, supplierId } = {}) {
+    const sheets = fileParsingService.readSpreadsheetRows(buffer, mimeType)
+
+    const savedMappings = merchantId
+      ? await prismaOperation(
+        (client) => client.supplierColumnMapping.findMany({
+          where: { merchantId },
+          orderBy: { updatedAt: 'desc' }
+        }),
+        `Get column mappings for ${merchantId}`
+      )
+      : []
+
+    // The known supplier's mapping first, then any other saved mapping that fits the headers
+    const ordered = [
+      ...savedMappings.filter((mapping) => mapping.supplierId === supplierId),
+      ...savedMappings.filter((mapping) => mapping.supplierId !== supplierId)
+    ]
+
+    for (const mapping of ordered) {
+      const extraction = extractFromSheets(sheets, { savedColumns: mapping.columns })
+      if (!extraction) continue
+
+      await prismaOperation(
+        (client) => client.supplierColumnMapping.update({
+          where: { id: mapping.id },
+          data: { timesUsed: { increment: 1 }, lastUsedAt: new Date() }
+        }),
+        `Record column mapping use ${mapping.id}`
+      )
+
+      console.log(`📐 Spreadsheet parsed with saved mapping for supplier ${mapping.supplierId}: ${extraction.lineItems.length} line items`)
+      return this._buildResult(extraction, { source: 'saved', supplierId: mapping.supplierId })
+    }
+
+    const detected = extractFromSheets(sheets)
+    if (!detected) {
+      console.log('📐 No column mapping fits this spreadsheet - falling back to AI parsing')
+      return null
+    }
+
+    console.log(`📐 Spreadsheet parsed with detected columns: ${detected.lineItems.length} line items`)
+    return this._buildResult(detected, { source: 'detected', supplierId: null })
+  }
+
+  _buildResult(extraction, { source, supplierId }) {
+    return {
+      parsedResult: buildExtractionResult(extraction),
+      summary: {
+        source,
+        supplierId,
+        sheets: extraction.sheets,
+        lineItems: extraction.lineItems.length
+      }
+    }
+  }
+}
+
+export const columnMappingService = new ColumnMappingService()
+export default columnMappingService
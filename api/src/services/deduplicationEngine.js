@@ -0,0 +1,259 @@
+/**
+ * Deduplication Engine
+ * Evaluates merchant DeduplicationRule rows against an incoming line item and
+ * a set of candidates (prior product drafts and products already synced to
+ * Shopify) to decide whether the item duplicates something that exists.
+ *
+ * Evaluation order:
+ * 1. Enabled rules sorted by priority (highest first) - first match wins
+ * 2. Each rule scores every candidate across its matchFields using its
+ *    matchAlgorithm (EXACT, FUZZY, SEMANTIC, or REGEX_PATTERN on matchPattern)
+ * 3. The best candidate at or above the rule's matchThreshold is the duplicate
+ * 4. The match carries the rule's onDuplicateAction (SKIP when unset) for the
+ *    caller to act on
+ */
+
+// Field aliases so rules can use either schema or UI naming
+const FIELD_ALIASES = {
+  sku: ['sku'],
+  barcode: ['barcode', 'barcodes'],
+  title: ['title', 'productName'],
+  productname: ['title', 'productName'],
+  name: ['title', 'productName'],
+  vendor: ['vendor', 'supplierName'],
+  supplier: ['supplierId', 'vendor', 'supplierName'],
+  supplierid: ['supplierId'],
+  suppliername: ['supplierName', 'vendor']
+}
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ */
+export function normalizeValue(value) {
+  if (value === null || value === undefined) return ''
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function levenshteinDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0]
+    previous[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j]
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : Math.min(diagonal, previous[j - 1], above) + 1
+      diagonal = above
+    }
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Edit-distance similarity between two normalized strings (0-1)
+ */
+export function fuzzySimilarity(a, b) {
+  const s1 = normalizeValue(a)
+  const s2 = normalizeValue(b)
+  if (!s1 || !s2) return 0
+  if (s1 === s2) return 1
+
+  const maxLen = Math.max(s1.length, s2.length)
+  return Math.max(0, 1 - levenshteinDistance(s1, s2) / maxLen)
+}
+
+/**
+ * Token-set overlap (Jaccard) so word order and filler words matter less
+ */
+export function tokenSimilarity(a, b) {
+  const tokensA = new Set(normalizeValue(a).split(' ').filter(Boolean))
+  const tokensB = new Set(normalizeValue(b).split(' ').filter(Boolean))
+  if (tokensA.size === 0 || tokensB.size === 0) return 0
+
+  let shared = 0
+  for (const token of tokensA) {
+    if (tokensB.has(token)) shared++
+  }
+
+  return shared / (tokensA.size + tokensB.size - shared)
+}
+
+function regexSimilarity(a, b, pattern) {
+  if (!pattern) return 0
+
+  let regex
+  try {
+    regex = new RegExp(pattern, 'i')
+  } catch {
+    return 0
+  }
+
+  const matchA = String(a).match(regex)
+  const matchB = String(b).match(regex)
+  if (!matchA || !matchB) return 0
+
+  // Compare the first capture group when present, otherwise the whole match
+  const keyA = normalizeValue(matchA[1] ?? matchA[0])
+  const keyB = normalizeValue(matchB[1] ?? matchB[0])
+  return keyA && keyA === keyB ? 1 : 0
+}
+
+/**
+ * Resolve the values a record exposes for a rule field
+ */
+export function getFieldValues(record, field) {
+  const aliases = FIELD_ALIASES[String(field).toLowerCase()] || [field]
+  const values = []
+
+  for (const alias of aliases) {
+    const value = record?.[alias]
+    if (Array.isArray(value)) {
+      values.push(...value)
+    } else if (value !== null && value !== undefined && value !== '') {
+      values.push(value)
+    }
+  }
+
+  return values.filter(value => normalizeValue(value) !== '')
+}
+
+/**
+ * Compare two values with a rule's algorithm (0-1)
+ */
+export function compareValues(a, b, rule) {
+  switch (rule.matchAlgorithm) {
+    case 'FUZZY':
+      return fuzzySimilarity(a, b)
+    case 'SEMANTIC':
+      return Math.max(tokenSimilarity(a, b), fuzzySimilarity(a, b))
+    case 'REGEX_PATTERN':
+      return regexSimilarity(a, b, rule.matchPattern)
+    case 'CUSTOM':
+      // Custom matchers are not executable server-side
+      return 0
+    case 'EXACT':
+    default:
+      return normalizeValue(a) === normalizeValue(b) ? 1 : 0
+  }
+}
+
+/**
+ * Score a candidate against the incoming item across a rule's matchFields.
+ * Fields missing on either side count as no match, so a rule on
+ * ['sku', 'barcode'] cannot fire on SKU alone at threshold 1.
+ * @returns {{ score: number, fieldScores: Object }}
+ */
+export function scoreCandidate(rule, incoming, candidate) {
+  const fields = Array.isArray(rule.matchFields) && rule.matchFields.length > 0
+    ? rule.matchFields
+    : ['sku']
+  const fieldScores = {}
+
+  for (const field of fields) {
+    const incomingValues = getFieldValues(incoming, field)
+    const candidateValues = getFieldValues(candidate, field)
+    let best = 0
+
+    for (const a of incomingValues) {
+      for (const b of candidateValues) {
+        best = Math.max(best, compareValues(a, b, rule))
+        if (best === 1) break
+      }
+      if (best === 1) break
+    }
+
+    fieldScores[field] = Math.round(best * 1000) / 1000
+  }
+
+  const total = Object.values(fieldScores).reduce((sum, value) => sum + value, 0)
+  return {
+    score: Math.round((total / fields.length) * 1000) / 1000,
+    fieldScores
+  }
+}
+
+/**
+ * Sort rules by priority (highest first), keeping original order for ties
+ */
+export function sortRulesByPriority(rules = []) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => (b.rule.priority ?? 0) - (a.rule.priority ?? 0) || a.index - b.index)
+    .map(entry => entry.rule)
+}
+
+/**
+ * Find the first rule that flags the incoming item as a duplicate
+ * @param {Object} params
+ * @param {Object} params.incoming - { sku, barcode, title, vendor, supplierId, supplierName }
+ * @param {Array} params.rules - DeduplicationRule rows
+ * @param {Array} params.candidates - Existing drafts/products in the same shape as incoming
+ * @returns {Object|null} { rule, candidate, score, fieldScores, action }
+ */
+export function findDuplicate({ incoming, rules = [], candidates = [] }) {
+  if (!incoming || candidates.length === 0) return null
+
+  for (const rule of sortRulesByPriority(rules)) {
+    if (rule.isEnabled === false) continue
+
+    const threshold = rule.matchThreshold ?? 0.9
+    let best = null
+
+    for (const candidate of candidates) {
+      const result = scoreCandidate(rule, incoming, candidate)
+      if (result.score >= threshold && (!best || result.score > best.score)) {
+        best = { ...result, candidate }
+      }
+    }
+
+    if (best) {
+      return {
+        rule,
+        candidate: best.candidate,
+        score: best.score,
+        fieldScores: best.fieldScores,
+        action: rule.onDuplicateAction || 'SKIP'
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Check a deduplication rule can match before it is saved
+ * Throws with a merchant-facing message when it can't
+ * @param {Object} rule - DeduplicationRule fields from the rule editor
+ */
+export function validateDeduplicationRule(rule = {}) {
+  if (rule.matchAlgorithm !== 'REGEX_PATTERN') return
+
+  const pattern = rule.matchPattern
+  if (!pattern || !String(pattern).trim()) {
+    throw new Error('A regex pattern rule needs a pattern (matchPattern)')
+  }
+  try {
+    new RegExp(pattern, 'i')
+  } catch (error) {
+    throw new Error(`Invalid regex pattern: ${error.message}`)
+  }
+}
+
+export default {
+  normalizeValue,
+  fuzzySimilarity,
+  tokenSimilarity,
+  getFieldValues,
+  compareValues,
+  scoreCandidate,
+  sortRulesByPriority,
+  findDuplicate,
+  validateDeduplicationRule
+}
@@ -0,0 +1,122 @@
+/**
+ * Delivery Performance Engine
+ * Supplier lead time and on-time / in-full (OTIF) from real arrival events.
+ *
+ * Per PO:
+ * - Ordered at: sentAt (outbound) → orderDate → createdAt
+ * - Expected arrival: expectedArrivalDate → dueDate
+ * - Arrivals: receipt timestamps recorded when goods are received
+ * - In full: every line's accepted quantity (received - damaged) covers the order
+ *
+ * A PO counts toward on-time once it is fully received, or once its expected
+ * arrival date has passed without it being fully received (late by definition).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const round = (value, places = 2) => {
+  const factor = Math.pow(10, places)
+  return Math.round(value * factor) / factor
+}
+
+const toDate = (value) => {
+  if (!value) return null
+  const date = value instanceof Date ? value : new Date(value)
+  return isNaN(date.getTime()) ? null : date
+}
+
+const percent = (count, total) => (total > 0 ? round((count / total) * 100) : null)
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null)
+
+function standardDeviation(values) {
+  if (values.length < 2) return values.length === 1 ? 0 : null
+  const average = mean(values)
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / values.length
+  return Math.sqrt(variance)
+}
+
+/**
+ * Delivery facts for one PO
+ * @param {Object} po - { sentAt, orderDate, createdAt, expectedArrivalDate, dueDate, status, lineItems, receipts }
+ * @param {Date} now
+ */
+export function buildDeliveryRecord(po, now = new Date()) {
+  const orderedAt = toDate(po.sentAt) || toDate(po.orderDate) || toDate(po.createdAt)
+  const expectedArrival = toDate(po.expectedArrivalDate) || toDate(po.dueDate)
+
+  const arrivals = (po.receipts || [])
+    .map((receipt) => toDate(receipt.receivedAt))
+    .filter(Boolean)
+    .sort((a, b) => a - b)
+  const firstArrivalAt = arrivals[0] || null
+  const lastArrivalAt = arrivals[arrivals.length - 1] || null
+
+  const lineItems = po.lineItems || []
+  const inFull = lineItems.length > 0 && lineItems.every((item) =>
+    (item.quantityReceived || 0) - (item.quantityDamaged || 0) >= (item.quantity || 0)
+  )
+  // Closed short counts as complete (nothing else is coming), but not in full
+  const complete = inFull || po.status === 'received'
+  const completedAt = complete ? (toDate(po.receivedAt) || lastArrivalAt) : null
+
+  const leadTimeDays = orderedAt && firstArrivalAt
+    ? round((firstArrivalAt - orderedAt) / DAY_MS)
+    : null
+
+  // Expected dates are calendar days - anything on that day is on time
+  const deadline = expectedArrival ? new Date(expectedArrival.getTime() + DAY_MS) : null
+
+  let onTime = null
+  let arrivalDelayDays = null
+  if (deadline) {
+    if (completedAt) {
+      onTime = completedAt < deadline
+      arrivalDelayDays = round((completedAt - expectedArrival) / DAY_MS)
+    } else if (now >= deadline) {
+      onTime = false
+    }
+  }
+
+  return {
+    orderedAt,
+    expectedArrival,
+    firstArrivalAt,
+    completedAt,
+    complete,
+    inFull: complete ? inFull : null,
+    onTime,
+    leadTimeDays,
+    arrivalDelayDays
+  }
+}
+
+/**
+ * Roll delivery records up into supplier metrics
+ * @returns {Object} rates are percentages (null when there is nothing to measure)
+ */
+export function summarizeDeliveryPerformance(records = []) {
+  const leadTimes = records.map((record) => record.leadTimeDays).filter((value) => value !== null)
+  const delays = records.map((record) => record.arrivalDelayDays).filter((value) => value !== null)
+  const timed = records.filter((record) => record.onTime !== null)
+  const completed = records.filter((record) => record.complete)
+
+  const averageLeadTime = mean(leadTimes)
+  const leadTimeStdDev = standardDeviation(leadTimes)
+  const averageDelay = mean(delays)
+
+  return {
+    deliveriesMeasured: timed.length,
+    avgLeadTimeDays: averageLeadTime === null ? null : round(averageLeadTime),
+    leadTimeStdDevDays: leadTimeStdDev === null ? null : round(leadTimeStdDev),
+    avgArrivalDelayDays: averageDelay === null ? null : round(averageDelay),
+    onTimeRate: percent(timed.filter((record) => record.onTime).length, timed.length),
+    inFullRate: percent(completed.filter((record) => record.inFull).length, completed.length),
+    otifRate: percent(timed.filter((record) => record.onTime && record.inFull).length, timed.length)
+  }
+}
+
+export default {
+  buildDeliveryRecord,
+  summarizeDeliveryPerformance
+}
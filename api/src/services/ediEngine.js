@@ -0,0 +1,954 @@
+/**
+ * EDI Engine
+ *
+ * Pure X12 / EDIFACT handling for wholesale suppliers:
+ * - Tokenizing X12 interchanges (ISA/GS/ST) and EDIFACT interchanges (UNA/UNB/UNH)
+ * - X12 850 and EDIFACT ORDERS -> the parsed-result shape persistAIResults consumes
+ * - X12 856 ship notices -> expected shipment lines per purchase order
+ * - X12 855 purchase order acknowledgements
+ * - Trading partner lookup against Supplier.connectionConfig.edi
+ */
+
+export const EDI_MIME_TYPES = {
+  x12: 'application/edi-x12',
+  edifact: 'application/edifact'
+}
+
+export const EDI_STANDARDS = ['x12', 'edifact']
+
+// X12 855 acknowledgement types (BAK02)
+export const ACK_TYPES = {
+  AD: 'Accepted, no changes',
+  AC: 'Accepted with changes',
+  RJ: 'Rejected'
+}
+
+// Item identifier qualifiers, most useful as a SKU first
+const X12_SKU_QUALIFIERS = ['VP', 'VN', 'SK', 'MG', 'BP', 'IN']
+const X12_BARCODE_QUALIFIERS = ['UP', 'UK', 'EN', 'UA']
+const EDIFACT_SKU_TYPES = ['SA', 'VN', 'MF', 'BP', 'IN']
+const EDIFACT_BARCODE_TYPES = ['EN', 'SRV', 'UP', 'GTIN']
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const number = Number(String(value).replace(',', '.'))
+  return Number.isFinite(number) ? number : null
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+/**
+ * CCYYMMDD / YYMMDD (optionally with HHMM) -> ISO date string
+ */
+export function formatEdiDate(date, time = '') {
+  const value = String(date || '').trim()
+  let year
+  let rest
+  if (/^\d{8}/.test(value)) {
+    year = value.slice(0, 4)
+    rest = value.slice(4)
+  } else if (/^\d{6}$/.test(value)) {
+    year = `20${value.slice(0, 2)}`
+    rest = value.slice(2)
+  } else {
+    return null
+  }
+
+  const month = rest.slice(0, 2)
+  const day = rest.slice(2, 4)
+  const clock = String(time || rest.slice(4) || '').padEnd(4, '0').slice(0, 4)
+  const iso = `${year}-${month}-${day}T${clock.slice(0, 2)}:${clock.slice(2, 4)}:00.000Z`
+  return Number.isNaN(Date.parse(iso)) ? null : (clock === '0000' ? `${year}-${month}-${day}` : iso)
+}
+
+/**
+ * Which EDI standard a document is written in, if any
+ * @returns {'x12'|'edifact'|null}
+ */
+export function detectEdiStandard(content) {
+  const text = String(content || '').replace(/^﻿/, '').trimStart()
+  if (/^ISA.{100}/s.test(text)) return 'x12'
+  if (/^UN[AB][^a-z]/.test(text)) return 'edifact'
+  return null
+}
+
+/**
+ * Whether a file is an EDI interchange: by MIME type, or by the header of a
+ * text / untyped file (EDI often arrives as .txt or application/octet-stream)
+ * @param {Buffer} content
+ * @param {string} mimeType - resolved MIME type
+ */
+export function isEdiDocument(content, mimeType) {
+  if (Object.values(EDI_MIME_TYPES).includes(mimeType)) return true
+  if (!Buffer.isBuffer(content) || !['text/plain', 'application/octet-stream', ''].includes(mimeType || '')) return false
+  return detectEdiStandard(content.subarray(0, 512).toString('utf8')) !== null
+}
+
+// ---------------------------------------------------------------------------
+// X12
+// ---------------------------------------------------------------------------
+
+/**
+ * Split an X12 interchange into transaction sets
+ * Delimiters come from the fixed-width ISA segment
+ * @returns {{ standard, delimiters, interchange, transactions: Array<{ type, controlNumber, group, segments, raw }> }}
+ */
+export function parseX12(content) {
+  const text = String(content || '').replace(/^﻿/, '').trimStart()
+  if (!text.startsWith('ISA') || text.length < 106) {
+    throw new Error('Not an X12 interchange (missing ISA header)')
+  }
+
+  const delimiters = { element: text[3], component: text[104], segment: text[105] }
+  const rawSegments = text
+    .split(delimiters.segment)
+    .map((segment) => segment.replace(/^[\r\n]+|[\r\n]+$/g, ''))
+    .filter(Boolean)
+
+  let interchange = null
+  let group = null
+  let current = null
+  const transactions = []
+
+  for (const raw of rawSegments) {
+    const segment = raw.split(delimiters.element)
+    switch (segment[0]) {
+      case 'ISA':
+        interchange = {
+          raw,
+          senderQualifier: segment[5]?.trim() || '',
+          senderId: segment[6]?.trim() || '',
+          receiverQualifier: segment[7]?.trim() || '',
+          receiverId: segment[8]?.trim() || '',
+          date: formatEdiDate(segment[9], segment[10]),
+          controlNumber: segment[13]?.trim() || '',
+          usageIndicator: segment[15]?.trim() || 'P'
+        }
+        break
+      case 'GS':
+        group = {
+          raw,
+          functionalId: segment[1] || '',
+          senderCode: segment[2] || '',
+          receiverCode: segment[3] || '',
+          controlNumber: segment[6] || '',
+          version: segment[8] || ''
+        }
+        break
+      case 'ST':
+        current = { type: segment[1], controlNumber: segment[2], group, segments: [], raw: [raw] }
+        break
+      case 'SE':
+        if (current) {
+          current.raw.push(raw)
+          transactions.push(current)
+          current = null
+        }
+        break
+      case 'GE':
+      case 'IEA':
+        break
+      default:
+        if (current) {
+          current.segments.push(segment)
+          current.raw.push(raw)
+        }
+    }
+  }
+
+  if (!interchange) {
+    throw new Error('X12 interchange has no ISA segment')
+  }
+
+  return { standard: 'x12', delimiters, interchange, transactions }
+}
+
+/**
+ * Identifier pairs from PO1 / LIN elements (qualifier, value, qualifier, value...)
+ */
+function readIdentifierPairs(segment, startIndex) {
+  const ids = {}
+  for (let index = startIndex; index + 1 < segment.length; index += 2) {
+    if (segment[index] && segment[index + 1] && !ids[segment[index]]) {
+      ids[segment[index]] = segment[index + 1]
+    }
+  }
+  return ids
+}
+
+const firstOf = (ids, qualifiers) => {
+  const qualifier = qualifiers.find((candidate) => ids[candidate])
+  return qualifier ? ids[qualifier] : null
+}
+
+/**
+ * X12 850 purchase order
+ * @returns {Object} { poNumber, orderDate, currency, dates, parties, lineItems, totals, references, notes, declaredLineCount }
+ */
+export function parseX12PurchaseOrder(transaction) {
+  const order = {
+    poNumber: null,
+    orderDate: null,
+    currency: null,
+    dates: {},
+    parties: {},
+    lineItems: [],
+    totals: { tax: null, shipping: null, total: null },
+    references: {},
+    notes: [],
+    declaredLineCount: null
+  }
+  let party = null
+  let item = null
+
+  for (const segment of transaction.segments) {
+    switch (segment[0]) {
+      case 'BEG':
+        order.purpose = segment[1] || null
+        order.orderType = segment[2] || null
+        order.poNumber = segment[3] || null
+        order.orderDate = formatEdiDate(segment[5])
+        break
+      case 'CUR':
+        order.currency = segment[2] || null
+        break
+      case 'REF':
+        if (item) item.references[segment[1]] = segment[2] || segment[3] || ''
+        else order.references[segment[1]] = segment[2] || segment[3] || ''
+        break
+      case 'DTM': {
+        const date = formatEdiDate(segment[2], segment[3])
+        if (segment[1] === '002') order.dates.expectedDelivery = date
+        if (segment[1] === '010') order.dates.requestedShip = date
+        if (segment[1] === '037') order.dates.shipNotBefore = date
+        if (segment[1] === '038') order.dates.shipNoLater = date
+        break
+      }
+      case 'N1':
+        party = { code: segment[1], name: segment[2] || null, idQualifier: segment[3] || null, id: segment[4] || null }
+        order.parties[segment[1]] = party
+        break
+      case 'N3':
+        if (party) party.address = [segment[1], segment[2]].filter(Boolean).join(', ')
+        break
+      case 'N4':
+        if (party) Object.assign(party, { city: segment[1] || null, state: segment[2] || null, postalCode: segment[3] || null, country: segment[4] || null })
+        break
+      case 'PER': {
+        const target = party || order
+        for (let index = 3; index + 1 < segment.length; index += 2) {
+          if (segment[index] === 'EM') target.email = segment[index + 1]
+          if (segment[index] === 'TE') target.phone = segment[index + 1]
+        }
+        if (segment[2]) target.contactName = segment[2]
+        break
+      }
+      case 'PO1': {
+        party = null
+        const ids = readIdentifierPairs(segment, 6)
+        item = {
+          lineNumber: segment[1] || String(order.lineItems.length + 1),
+          quantity: toNumber(segment[2]),
+          uom: segment[3] || null,
+          unitPrice: toNumber(segment[4]),
+          sku: firstOf(ids, X12_SKU_QUALIFIERS) || firstOf(ids, X12_BARCODE_QUALIFIERS),
+          barcode: firstOf(ids, X12_BARCODE_QUALIFIERS),
+          buyerPartNumber: ids.BP || ids.IN || null,
+          identifiers: ids,
+          description: null,
+          references: {}
+        }
+        order.lineItems.push(item)
+        break
+      }
+      case 'PID':
+        if (item && (segment[1] === 'F' || segment[1] === 'X') && segment[5]) {
+          item.description = item.description ? `${item.description} ${segment[5]}` : segment[5]
+        }
+        break
+      case 'TXI': {
+        const amount = toNumber(segment[2])
+        if (amount !== null) order.totals.tax = roundMoney((order.totals.tax || 0) + amount)
+        break
+      }
+      case 'SAC': {
+        // SAC05 is an implied-decimal amount (N2)
+        const amount = toNumber(segment[5])
+        if (amount !== null && segment[2] === 'D240') {
+          const signed = (segment[1] === 'A' ? -1 : 1) * amount / 100
+          order.totals.shipping = roundMoney((order.totals.shipping || 0) + signed)
+        }
+        break
+      }
+      case 'NTE':
+        if (segment[2]) order.notes.push(segment[2])
+        break
+      case 'MSG':
+        if (segment[1]) order.notes.push(segment[1])
+        break
+      case 'CTT':
+        order.declaredLineCount = toNumber(segment[1])
+        item = null
+        break
+      case 'AMT':
+        if (segment[1] === 'TT') order.totals.total = toNumber(segment[2])
+        break
+    }
+  }
+
+  return order
+}
+
+/**
+ * X12 856 ship notice (ASN)
+ * Items are grouped under the order-level (PRF) purchase order they ship against
+ * @returns {Object} { shipmentId, shippedAt, expectedArrivalDate, carrier, trackingNumber, orders: [{ poNumber, items }] }
+ */
+export function parseX12ShipNotice(transaction) {
+  const notice = {
+    shipmentId: null,
+    noticeDate: null,
+    shippedAt: null,
+    expectedArrivalDate: null,
+    carrier: null,
+    trackingNumber: null,
+    billOfLading: null,
+    orders: []
+  }
+  let order = null
+  let item = null
+
+  const ensureOrder = () => {
+    if (!order) {
+      order = { poNumber: null, items: [] }
+      notice.orders.push(order)
+    }
+    return order
+  }
+
+  for (const segment of transaction.segments) {
+    switch (segment[0]) {
+      case 'BSN':
+        notice.shipmentId = segment[2] || null
+        notice.noticeDate = formatEdiDate(segment[3], segment[4])
+        break
+      case 'DTM':
+        if (segment[1] === '011') notice.shippedAt = formatEdiDate(segment[2], segment[3])
+        if (segment[1] === '017' || segment[1] === '067') notice.expectedArrivalDate = formatEdiDate(segment[2], segment[3])
+        break
+      case 'TD5':
+        notice.carrier = segment[5] || segment[3] || notice.carrier
+        break
+      case 'REF':
+        if (segment[1] === 'CN' || segment[1] === '2I') notice.trackingNumber = notice.trackingNumber || segment[2] || null
+        if (segment[1] === 'BM') notice.billOfLading = segment[2] || null
+        break
+      case 'HL':
+        if (segment[3] === 'O') {
+          order = { poNumber: null, items: [] }
+          notice.orders.push(order)
+        }
+        item = null
+        break
+      case 'PRF':
+        ensureOrder().poNumber = segment[1] || null
+        break
+      case 'LIN': {
+        const ids = readIdentifierPairs(segment, 2)
+        item = {
+          lineNumber: segment[1] || null,
+          sku: firstOf(ids, X12_SKU_QUALIFIERS) || firstOf(ids, X12_BARCODE_QUALIFIERS),
+          barcode: firstOf(ids, X12_BARCODE_QUALIFIERS),
+          buyerPartNumber: ids.BP || ids.IN || null,
+          description: null,
+          quantityShipped: 0,
+          uom: null
+        }
+        ensureOrder().items.push(item)
+        break
+      }
+      case 'SN1':
+        if (item) {
+          item.quantityShipped = toNumber(segment[2]) || 0
+          item.uom = segment[3] || null
+          if (!item.lineNumber && segment[1]) item.lineNumber = segment[1]
+        }
+        break
+      case 'PID':
+        if (item && segment[5]) item.description = segment[5]
+        break
+    }
+  }
+
+  notice.orders = notice.orders.filter((entry) => entry.poNumber || entry.items.length > 0)
+  return notice
+}
+
+const padIsa = (value, length) => String(value || '').slice(0, length).padEnd(length, ' ')
+
+const ediDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '')
+const ediTime = (date) => date.toISOString().slice(11, 16).replace(':', '')
+
+/**
+ * X12 855 purchase order acknowledgement
+ * @param {Object} order - { poNumber, orderDate, lineItems: [{ lineNumber, sku, quantity, quantityAcknowledged?, uom, unitPrice, status? }] }
+ * @param {Object} envelope - { senderQualifier, senderId, receiverQualifier, receiverId, controlNumber, ackType, date, usageIndicator }
+ *   sender is this store, receiver the supplier; line status is 'accepted' | 'rejected' | 'changed'
+ * @returns {string}
+ */
+export function buildX12Acknowledgement(order, {
+  senderQualifier = 'ZZ',
+  senderId,
+  receiverQualifier = 'ZZ',
+  receiverId,
+  controlNumber = 1,
+  ackType = 'AD',
+  date = new Date(),
+  usageIndicator = 'P'
+} = {}) {
+  if (!ACK_TYPES[ackType]) {
+    throw new Error(`ackType must be one of: ${Object.keys(ACK_TYPES).join(', ')}`)
+  }
+  if (!senderId || !receiverId) {
+    throw new Error('Both interchange IDs are needed for an acknowledgement')
+  }
+
+  const control = String(controlNumber).replace(/\D/g, '').slice(-9).padStart(9, '0')
+  const groupControl = String(Number(control))
+  const orderDate = order.orderDate ? String(order.orderDate).slice(0, 10).replace(/-/g, '') : ''
+
+  const body = [
+    ['ST', '855', '0001'],
+    ['BAK', '00', ackType, order.poNumber || '', orderDate, '', '', '', '', ediDate(date)]
+  ]
+
+  const lineItems = order.lineItems || []
+  for (const [index, line] of lineItems.entries()) {
+    const quantity = line.quantity ?? 0
+    const uom = line.uom || 'EA'
+    body.push(['PO1', line.lineNumber || String(index + 1), String(quantity), uom, line.unitPrice ?? '', '', 'VP', line.sku || ''])
+
+    const status = ackType === 'RJ' ? 'rejected' : (line.status || 'accepted')
+    if (status === 'rejected') {
+      body.push(['ACK', 'IR', String(quantity), uom])
+    } else if (status === 'changed') {
+      body.push(['ACK', 'IQ', String(line.quantityAcknowledged ?? quantity), uom])
+    } else {
+      body.push(['ACK', 'IA', String(quantity), uom])
+    }
+  }
+
+  body.push(['CTT', String(lineItems.length)])
+  body.push(['SE', String(body.length + 1), '0001'])
+
+  const segments = [
+    ['ISA', '00', padIsa('', 10), '00', padIsa('', 10), senderQualifier, padIsa(senderId, 15), receiverQualifier,
+      padIsa(receiverId, 15), ediDate(date).slice(2), ediTime(date), 'U', '00401', control, '0', usageIndicator, '>'],
+    ['GS', 'PR', senderId, receiverId, ediDate(date), ediTime(date), groupControl, 'X', '004010'],
+    ...body,
+    ['GE', '1', groupControl],
+    ['IEA', '1', control]
+  ]
+
+  return segments
+    .map((segment) => segment.map((element) => String(element ?? '')).join('*').replace(/\*+$/, ''))
+    .join('~\n') + '~\n'
+}
+
+// ---------------------------------------------------------------------------
+// EDIFACT
+// ---------------------------------------------------------------------------
+
+/**
+ * Split text on a separator, honoring the EDIFACT release character
+ */
+function splitReleased(text, separator, release) {
+  const parts = []
+  let current = ''
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+    if (char === release && index + 1 < text.length) {
+      current += char + text[index + 1]
+      index++
+    } else if (char === separator) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  parts.push(current)
+  return parts
+}
+
+const unrelease = (value, release) => value.replace(new RegExp(`\\${release}(.)`, 'g'), '$1')
+
+/**
+ * Split an EDIFACT interchange into messages
+ * Segments are { tag, elements: [[component, ...], ...] }
+ * @returns {{ standard, delimiters, interchange, transactions: Array<{ type, controlNumber, segments, raw }> }}
+ */
+export function parseEdifact(content) {
+  let text = String(content || '').replace(/^﻿/, '').trimStart()
+  const delimiters = { component: ':', element: '+', decimal: '.', release: '?', segment: "'" }
+  let serviceAdvice = null
+
+  if (text.startsWith('UNA')) {
+    serviceAdvice = text.slice(0, 9)
+    delimiters.component = text[3]
+    delimiters.element = text[4]
+    delimiters.decimal = text[5]
+    delimiters.release = text[6]
+    delimiters.segment = text[8]
+    text = text.slice(9)
+  }
+
+  const rawSegments = splitReleased(text, delimiters.segment, delimiters.release)
+    .map((segment) => segment.replace(/^[\r\n\s]+|[\r\n]+$/g, ''))
+    .filter(Boolean)
+
+  let interchange = null
+  let current = null
+  const transactions = []
+
+  for (const raw of rawSegments) {
+    const elements = splitReleased(raw, delimiters.element, delimiters.release)
+      .map((element) => splitReleased(element, delimiters.component, delimiters.release).map((value) => unrelease(value, delimiters.release)))
+    const tag = elements.shift()[0]
+    const segment = { tag, elements }
+    const component = (elementIndex, componentIndex = 0) => elements[elementIndex - 1]?.[componentIndex] || ''
+
+    switch (tag) {
+      case 'UNB':
+        interchange = {
+          raw,
+          serviceAdvice,
+          syntax: component(1),
+          senderId: component(2),
+          senderQualifier: component(2, 1),
+          receiverId: component(3),
+          receiverQualifier: component(3, 1),
+          date: formatEdiDate(component(4), component(4, 1)),
+          controlNumber: component(5)
+        }
+        break
+      case 'UNH':
+        current = { type: component(2), version: component(2, 1) + component(2, 2), controlNumber: component(1), segments: [], raw: [raw] }
+        break
+      case 'UNT':
+        if (current) {
+          current.raw.push(raw)
+          transactions.push(current)
+          current = null
+        }
+        break
+      case 'UNZ':
+      case 'UNG':
+      case 'UNE':
+        break
+      default:
+        if (current) {
+          current.segments.push(segment)
+          current.raw.push(raw)
+        }
+    }
+  }
+
+  if (!interchange) {
+    throw new Error('EDIFACT interchange has no UNB segment')
+  }
+
+  return { standard: 'edifact', delimiters, interchange, transactions }
+}
+
+const edifactValue = (segment, elementIndex, componentIndex = 0) => segment.elements[elementIndex - 1]?.[componentIndex] || ''
+
+/**
+ * EDIFACT DTM value (format 102 = CCYYMMDD, 203 = CCYYMMDDHHMM, 101 = YYMMDD)
+ */
+function edifactDate(segment) {
+  const value = edifactValue(segment, 1, 1)
+  const format = edifactValue(segment, 1, 2)
+  if (format === '203') return formatEdiDate(value.slice(0, 8), value.slice(8, 12))
+  return formatEdiDate(value)
+}
+
+const edifactNumber = (value, decimal) => toNumber(decimal === '.' ? value : String(value).replace(decimal, '.'))
+
+/**
+ * EDIFACT ORDERS message
+ * @returns {Object} same shape as parseX12PurchaseOrder
+ */
+export function parseEdifactOrder(transaction, { decimal = '.' } = {}) {
+  const order = {
+    poNumber: null,
+    orderDate: null,
+    currency: null,
+    dates: {},
+    parties: {},
+    lineItems: [],
+    totals: { tax: null, shipping: null, total: null },
+    references: {},
+    notes: [],
+    declaredLineCount: null
+  }
+  let party = null
+  let item = null
+  let inSummary = false
+
+  for (const segment of transaction.segments) {
+    const value = (elementIndex, componentIndex) => edifactValue(segment, elementIndex, componentIndex)
+
+    switch (segment.tag) {
+      case 'BGM':
+        order.poNumber = value(2) || null
+        order.orderType = value(1) || null
+        break
+      case 'DTM': {
+        const qualifier = value(1)
+        const date = edifactDate(segment)
+        if (item) break
+        if (qualifier === '137' || qualifier === '4') order.orderDate = date
+        if (qualifier === '2') order.dates.expectedDelivery = date
+        if (qualifier === '10') order.dates.requestedShip = date
+        break
+      }
+      case 'CUX':
+        order.currency = value(1, 1) || null
+        break
+      case 'RFF':
+        order.references[value(1)] = value(1, 1)
+        break
+      case 'NAD':
+        party = {
+          code: value(1),
+          id: value(2) || null,
+          name: value(4) || value(3) || null,
+          address: value(5) || null,
+          city: value(6) || null,
+          postalCode: value(8) || null,
+          country: value(9) || null
+        }
+        order.parties[value(1)] = party
+        break
+      case 'COM':
+        if (party && value(1, 1) === 'EM') party.email = value(1)
+        if (party && value(1, 1) === 'TE') party.phone = value(1)
+        break
+      case 'LIN': {
+        party = null
+        const id = value(3)
+        const type = value(3, 1)
+        item = {
+          lineNumber: value(1) || String(order.lineItems.length + 1),
+          quantity: null,
+          uom: null,
+          unitPrice: null,
+          lineAmount: null,
+          sku: EDIFACT_BARCODE_TYPES.includes(type) ? null : (id || null),
+          barcode: EDIFACT_BARCODE_TYPES.includes(type) ? id : null,
+          buyerPartNumber: null,
+          identifiers: id ? { [type || 'LIN']: id } : {},
+          description: null,
+          references: {}
+        }
+        order.lineItems.push(item)
+        break
+      }
+      case 'PIA':
+        if (item) {
+          for (let index = 2; index <= segment.elements.length; index++) {
+            const id = value(index)
+            const type = value(index, 1)
+            if (!id) continue
+            item.identifiers[type] = item.identifiers[type] || id
+            if (type === 'BP' || type === 'IN') item.buyerPartNumber = item.buyerPartNumber || id
+          }
+          const sku = firstOf(item.identifiers, EDIFACT_SKU_TYPES)
+          if (sku) item.sku = sku
+        }
+        break
+      case 'IMD':
+        if (item) {
+          const description = value(3, 3) || value(3, 4)
+          if (description) item.description = item.description ? `${item.description} ${description}` : description
+        }
+        break
+      case 'QTY':
+        if (item && (value(1) === '21' || value(1) === '1')) {
+          item.quantity = edifactNumber(value(1, 1), decimal)
+          item.uom = value(1, 2) || null
+        }
+        break
+      case 'PRI':
+        // Net price (AAA) wins over gross (AAB)
+        if (item && (value(1) === 'AAA' || (value(1) === 'AAB' && item.unitPrice === null))) {
+          item.unitPrice = edifactNumber(value(1, 1), decimal)
+        }
+        break
+      case 'MOA': {
+        const amount = edifactNumber(value(1, 1), decimal)
+        if (!inSummary && item && value(1) === '203') item.lineAmount = amount
+        if (inSummary && (value(1) === '86' || value(1) === '9' || value(1) === '128')) order.totals.total = amount
+        if (inSummary && (value(1) === '124' || value(1) === '176')) order.totals.tax = amount
+        if (inSummary && value(1) === '64') order.totals.shipping = amount
+        break
+      }
+      case 'FTX': {
+        const text = (segment.elements[3] || []).filter(Boolean).join(' ')
+        if (text) order.notes.push(text)
+        break
+      }
+      case 'UNS':
+        inSummary = true
+        item = null
+        break
+      case 'CNT':
+        if (value(1) === '2') order.declaredLineCount = toNumber(value(1, 1))
+        break
+    }
+  }
+
+  for (const line of order.lineItems) {
+    if (!line.sku) line.sku = line.barcode
+    if (line.unitPrice === null && line.lineAmount !== null && line.quantity) {
+      line.unitPrice = roundMoney(line.lineAmount / line.quantity)
+    }
+  }
+
+  return order
+}
+
+// ---------------------------------------------------------------------------
+// Shared
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse any EDI interchange
+ */
+export function parseInterchange(content) {
+  const standard = detectEdiStandard(content)
+  if (standard === 'x12') return parseX12(content)
+  if (standard === 'edifact') return parseEdifact(content)
+  throw new Error('Document is not an X12 or EDIFACT interchange')
+}
+
+export const isPurchaseOrderTransaction = (transaction) => transaction.type === '850' || transaction.type === 'ORDERS'
+export const isShipNoticeTransaction = (transaction) => transaction.type === '856'
+
+/**
+ * Purchase order from one 850 / ORDERS transaction
+ */
+export function parsePurchaseOrderTransaction(interchange, transaction) {
+  return interchange.standard === 'x12'
+    ? parseX12PurchaseOrder(transaction)
+    : parseEdifactOrder(transaction, { decimal: interchange.delimiters.decimal })
+}
+
+/**
+ * One transaction re-wrapped in its own interchange envelope, so each
+ * purchase order in a batch can be queued as its own upload
+ */
+export function extractTransactionDocument(interchange, transaction) {
+  const { delimiters } = interchange
+  if (interchange.standard === 'x12') {
+    const control = interchange.interchange.controlNumber
+    const group = transaction.group
+    return [
+      interchange.interchange.raw,
+      ...(group ? [group.raw] : []),
+      ...transaction.raw,
+      ...(group ? [['GE', '1', group.controlNumber].join(delimiters.element)] : []),
+      ['IEA', '1', control].join(delimiters.element)
+    ].join(delimiters.segment + '\n') + delimiters.segment + '\n'
+  }
+
+  const control = interchange.interchange.controlNumber
+  return [
+    ...(interchange.interchange.serviceAdvice ? [interchange.interchange.serviceAdvice.slice(0, -1)] : []),
+    interchange.interchange.raw,
+    ...transaction.raw,
+    ['UNZ', '1', control].join(delimiters.element)
+  ].join(delimiters.segment + '\n') + delimiters.segment + '\n'
+}
+
+const SUPPLIER_PARTY_CODES = ['SU', 'VN', 'SE']
+
+/**
+ * Purchase order -> the parsed-result shape enhanceAIResult / persistAIResults consume
+ * @param {Object} order - from parseX12PurchaseOrder / parseEdifactOrder
+ * @param {Object} context - { standard, interchange, transactionControlNumber, supplierName }
+ */
+export function buildEdiParsedResult(order, { standard, interchange = {}, transactionControlNumber = null, supplierName = null } = {}) {
+  const supplierParty = SUPPLIER_PARTY_CODES.map((code) => order.parties[code]).find(Boolean) || null
+  const lineItems = order.lineItems.map((line) => ({
+    productCode: line.sku,
+    sku: line.sku,
+    description: line.description || line.sku,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    total: line.lineAmount ?? (line.quantity !== null && line.unitPrice !== null ? roundMoney(line.quantity * line.unitPrice) : null),
+    barcode: line.barcode,
+    uom: line.uom,
+    lineNumber: line.lineNumber
+  }))
+
+  const subtotal = roundMoney(lineItems.reduce((sum, line) => sum + (line.total || 0), 0))
+  const issues = []
+  const unpriced = lineItems.filter((line) => line.unitPrice === null).length
+  if (unpriced > 0) issues.push(`${unpriced} line item(s) have no unit price`)
+  if (order.declaredLineCount !== null && order.declaredLineCount !== lineItems.length) {
+    issues.push(`Document declares ${order.declaredLineCount} line item(s) but contains ${lineItems.length}`)
+  }
+
+  return {
+    confidence: issues.length > 0 ? 0.9 : 0.99,
+    extractedData: {
+      poNumber: order.poNumber,
+      supplierName: supplierName || supplierParty?.name || null,
+      vendor: {
+        name: supplierName || supplierParty?.name || null,
+        email: supplierParty?.email || null,
+        phone: supplierParty?.phone || null,
+        address: supplierParty?.address || null
+      },
+      lineItems,
+      dates: {
+        orderDate: order.orderDate,
+        expectedDelivery: order.dates.expectedDelivery || null
+      },
+      totals: {
+        subtotal,
+        tax: order.totals.tax,
+        shipping: order.totals.shipping,
+        total: order.totals.total ?? roundMoney(subtotal + (order.totals.tax || 0) + (order.totals.shipping || 0))
+      },
+      currency: order.currency,
+      shipTo: order.parties.ST || order.parties.DP || null,
+      buyer: order.parties.BY || null,
+      notes: order.notes.length > 0 ? order.notes.join('\n') : null,
+      edi: {
+        standard,
+        senderQualifier: interchange.senderQualifier || null,
+        senderId: interchange.senderId || null,
+        receiverQualifier: interchange.receiverQualifier || null,
+        receiverId: interchange.receiverId || null,
+        interchangeControlNumber: interchange.controlNumber || null,
+        transactionControlNumber,
+        supplierPartyId: supplierParty?.id || null
+      }
+    },
+    fieldConfidences: {
+      lineItems: lineItems.length > 0 ? 1 - unpriced / lineItems.length : 0,
+      poNumber: order.poNumber ? 1 : 0,
+      supplier: supplierName || supplierParty?.name ? 1 : 0
+    },
+    qualityIndicators: {},
+    issues,
+    suggestions: []
+  }
+}
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '')
+
+/**
+ * Validate trading partner settings stored as Supplier.connectionConfig.edi
+ * @param {Object} settings - { standard, partnerId, partnerQualifier, ourId, ourQualifier }
+ * @returns {Object} normalized settings
+ */
+export function normalizeTradingPartner(settings = {}) {
+  const standard = settings.standard || 'x12'
+  if (!EDI_STANDARDS.includes(standard)) {
+    throw new Error(`standard must be one of: ${EDI_STANDARDS.join(', ')}`)
+  }
+
+  const partnerId = trimmed(settings.partnerId)
+  if (!partnerId) {
+    throw new Error('The supplier\'s EDI sender ID is required')
+  }
+  const ourId = trimmed(settings.ourId)
+  if (standard === 'x12' && (partnerId.length > 15 || ourId.length > 15)) {
+    throw new Error('X12 interchange IDs are at most 15 characters')
+  }
+
+  return {
+    standard,
+    partnerId,
+    partnerQualifier: trimmed(settings.partnerQualifier) || null,
+    ourId: ourId || null,
+    ourQualifier: trimmed(settings.ourQualifier) || null,
+    lastControlNumber: Number(settings.lastControlNumber) || 0
+  }
+}
+
+/**
+ * Supplier whose trading partner settings (connectionConfig.edi) match an interchange sender
+ * @param {Array<{ id, connectionConfig }>} suppliers
+ * @param {Object} sender - { senderId, senderQualifier, applicationSenderId }
+ * @returns {Object|null} the supplier
+ */
+export function matchTradingPartner(suppliers, { senderId, senderQualifier, applicationSenderId } = {}) {
+  const normalize = (value) => String(value || '').trim().toUpperCase()
+  const ids = [senderId, applicationSenderId].map(normalize).filter(Boolean)
+  if (ids.length === 0) return null
+
+  return suppliers.find((supplier) => {
+    const edi = supplier.connectionConfig?.edi
+    if (!edi?.partnerId || !ids.includes(normalize(edi.partnerId))) return false
+    return !edi.partnerQualifier || !senderQualifier || normalize(edi.partnerQualifier) === normalize(senderQualifier)
+  }) || null
+}
+
+/**
+ * PO line items an ASN order ships, matched by SKU then barcode
+ * @param {Array<{ id, sku }>} lineItems - POLineItem rows
+ * @param {Array} items - parseX12ShipNotice order items
+ * @returns {{ lines: Array<{ lineItemId, sku, quantityShipped }>, unmatched: Array }}
+ */
+export function matchShipNoticeLines(lineItems, items = []) {
+  const normalize = (value) => String(value || '').trim().toUpperCase()
+  const byLine = new Map()
+  const unmatched = []
+
+  for (const item of items) {
+    const keys = [item.sku, item.barcode, item.buyerPartNumber].map(normalize).filter(Boolean)
+    const lineItem = lineItems.find((candidate) => keys.includes(normalize(candidate.sku)))
+    if (!lineItem) {
+      unmatched.push({ sku: item.sku, barcode: item.barcode, description: item.description, quantityShipped: item.quantityShipped })
+      continue
+    }
+
+    const existing = byLine.get(lineItem.id)
+    if (existing) {
+      existing.quantityShipped += item.quantityShipped
+    } else {
+      byLine.set(lineItem.id, { lineItemId: lineItem.id, sku: lineItem.sku, quantityShipped: item.quantityShipped })
+    }
+  }
+
+  return { lines: [...byLine.values()], unmatched }
+}
+
+export default {
+  EDI_MIME_TYPES,
+  EDI_STANDARDS,
+  ACK_TYPES,
+  formatEdiDate,
+  detectEdiStandard,
+  isEdiDocument,
+  parseX12,
+  parseX12PurchaseOrder,
+  parseX12ShipNotice,
+  buildX12Acknowledgement,
+  parseEdifact,
+  parseEdifactOrder,
+  parseInterchange,
+  isPurchaseOrderTransaction,
+  isShipNoticeTransaction,
+  parsePurchaseOrderTransaction,
+  extractTransactionDocument,
+  buildEdiParsedResult,
+  normalizeTradingPartner,
+  matchTradingPartner,
+  matchShipNoticeLines
+}
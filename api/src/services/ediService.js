@@ -0,0 +1,355 @@
+/**
+ * EDI Service
+ *
+ * Wires the EDI engine into the PO pipeline:
+ * - Trading partner settings live in Supplier.connectionConfig.edi
+ * - 850 / ORDERS interchanges are split per order and queued through the
+ *   normal upload workflow, where enhancedAIService maps them without an LLM
+ * - 856 ship notices become ShipNotice rows that prefill receiving
+ * - 855 acknowledgements are generated from the stored PO
+ */
+
+import path from 'path'
+import { prismaOperation } from '../lib/db.js'
+import { poIngestionService } from './poIngestionService.js'
+import {
+  EDI_MIME_TYPES,
+  buildEdiParsedResult,
+  buildX12Acknowledgement,
+  extractTransactionDocument,
+  isPurchaseOrderTransaction,
+  isShipNoticeTransaction,
+  matchShipNoticeLines,
+  matchTradingPartner,
+  normalizeTradingPartner,
+  parseInterchange,
+  parsePurchaseOrderTransaction,
+  parseX12ShipNotice
+} from './ediEngine.js'
+
+const toDate = (value) => (value ? new Date(value) : null)
+
+export class EdiService {
+  async _getSupplier(merchantId, supplierId) {
+    return await prismaOperation(
+      (client) => client.supplier.findFirst({ where: { id: supplierId, merchantId } }),
+      `Get supplier ${supplierId} for EDI`
+    )
+  }
+
+  async getTradingPartner(merchantId, supplierId) {
+    const supplier = await this._getSupplier(merchantId, supplierId)
+    if (!supplier) return null
+    return { supplierId: supplier.id, edi: supplier.connectionConfig?.edi || null }
+  }
+
+  /**
+   * Save (or clear, with null) the supplier's trading partner IDs
+   * @param {Object|null} settings - { standard, partnerId, partnerQualifier, ourId, ourQualifier }
+   */
+  async saveTradingPartner(merchantId, supplierId, settings) {
+    const supplier = await this._getSupplier(merchantId, supplierId)
+    if (!supplier) return null
+
+    const { edi: stored, ...connectionConfig } = supplier.connectionConfig || {}
+    let edi = null
+    if (settings) {
+      edi = normalizeTradingPartner({ ...settings, lastControlNumber: stored?.lastControlNumber })
+
+      const suppliers = await prismaOperation(
+        (client) => client.supplier.findMany({
+          where: { merchantId, id: { not: supplier.id } },
+          select: { id: true, name: true, connectionConfig: true }
+        }),
+        `Check EDI partner ID ${edi.partnerId}`
+      )
+      const conflict = matchTradingPartner(suppliers, { senderId: edi.partnerId, senderQualifier: edi.partnerQualifier })
+      if (conflict) {
+        throw new Error(`EDI sender ID ${edi.partnerId} is already used by ${conflict.name}`)
+      }
+    }
+
+    await prismaOperation(
+      (client) => client.supplier.update({
+        where: { id: supplier.id },
+        data: { connectionConfig: edi ? { ...connectionConfig, edi } : connectionConfig }
+      }),
+      `Save EDI trading partner for supplier ${supplier.id}`
+    )
+
+    console.log(`🔗 ${edi ? `Saved EDI partner ${edi.partnerId}` : 'Cleared EDI partner'} for supplier ${supplier.name}`)
+    return { supplierId: supplier.id, edi }
+  }
+
+  /**
+   * Supplier for an interchange: the one it was uploaded for, else the trading partner
+   * whose sender ID matches the envelope
+   */
+  async resolveSupplier(merchantId, interchange, supplierId = null) {
+    if (supplierId) {
+      return await this._getSupplier(merchantId, supplierId)
+    }
+
+    const suppliers = await prismaOperation(
+      (client) => client.supplier.findMany({
+        where: { merchantId, status: 'active' },
+        select: { id: true, name: true, connectionConfig: true }
+      }),
+      'List suppliers for EDI partner lookup'
+    )
+    return matchTradingPartner(suppliers, {
+      senderId: interchange.interchange.senderId,
+      senderQualifier: interchange.interchange.senderQualifier,
+      applicationSenderId: interchange.transactions[0]?.group?.senderCode
+    })
+  }
+
+  /**
+   * Purchase order from an uploaded 850 / ORDERS file, in the parsed-result
+   * shape persistAIResults consumes
+   * @returns {Promise<{ parsedResult, standard, supplier }>}
+   */
+  async parseOrderDocument(merchantId, buffer, { supplierId = null } = {}) {
+    const interchange = parseInterchange(buffer.toString('utf8'))
+    const orders = interchange.transactions.filter(isPurchaseOrderTransaction)
+    if (orders.length === 0) {
+      const types = [...new Set(interchange.transactions.map((transaction) => transaction.type))].join(', ') || 'none'
+      throw new Error(`EDI interchange has no purchase orders (transaction types: ${types})`)
+    }
+
+    const supplier = merchantId ? await this.resolveSupplier(merchantId, interchange, supplierId) : null
+    const order = parsePurchaseOrderTransaction(interchange, orders[0])
+    const parsedResult = buildEdiParsedResult(order, {
+      standard: interchange.standard,
+      interchange: interchange.interchange,
+      transactionControlNumber: orders[0].controlNumber,
+      supplierName: supplier?.name || null
+    })
+
+    if (orders.length > 1) {
+      parsedResult.issues.push(`Interchange holds ${orders.length} purchase orders; only ${order.poNumber} was read. Send the file to the EDI inbox to import each order`)
+    }
+
+    return { parsedResult, standard: interchange.standard, supplier }
+  }
+
+  /**
+   * Import an EDI interchange: purchase orders are queued one upload per order,
+   * ship notices are applied to the orders they reference
+   * @param {Object} file - { buffer, fileName, supplierId, source, metadata }
+   * @returns {Promise<{ standard, supplierId, uploads, shipNotices, skipped }>}
+   */
+  async ingest(merchantId, { buffer, fileName = 'edi-interchange.edi', supplierId = null, source = 'edi', metadata = {} }) {
+    const interchange = parseInterchange(buffer.toString('utf8'))
+    const supplier = await this.resolveSupplier(merchantId, interchange, supplierId)
+    const mimeType = EDI_MIME_TYPES[interchange.standard]
+    const orders = interchange.transactions.filter(isPurchaseOrderTransaction)
+    const { name: baseName } = path.parse(fileName)
+
+    const result = {
+      standard: interchange.standard,
+      senderId: interchange.interchange.senderId,
+      supplierId: supplier?.id || null,
+      uploads: [],
+      shipNotices: [],
+      skipped: []
+    }
+
+    for (const transaction of interchange.transactions) {
+      if (isPurchaseOrderTransaction(transaction)) {
+        const order = parsePurchaseOrderTransaction(interchange, transaction)
+        const document = orders.length > 1 ? extractTransactionDocument(interchange, transaction) : buffer.toString('utf8')
+        const queued = await poIngestionService.ingestFile(merchantId, {
+          buffer: Buffer.from(document, 'utf8'),
+          fileName: orders.length > 1 ? `${baseName}-${order.poNumber || transaction.controlNumber}.edi` : fileName,
+          mimeType,
+          supplierId: supplier?.id || null,
+          source,
+          metadata: {
+            ...metadata,
+            edi: {
+              standard: interchange.standard,
+              senderId: interchange.interchange.senderId,
+              interchangeControlNumber: interchange.interchange.controlNumber,
+              transactionControlNumber: transaction.controlNumber
+            }
+          }
+        })
+        result.uploads.push({ ...queued, poNumber: order.poNumber })
+      } else if (interchange.standard === 'x12' && isShipNoticeTransaction(transaction)) {
+        const notice = parseX12ShipNotice(transaction)
+        const applied = await this.applyShipNotice(merchantId, notice, {
+          supplierId: supplier?.id || null,
+          fallbackShipmentId: `${interchange.interchange.controlNumber}-${transaction.controlNumber}`
+        })
+        result.shipNotices.push(...applied.shipNotices)
+        result.skipped.push(...applied.skipped)
+      } else {
+        result.skipped.push({ type: transaction.type, controlNumber: transaction.controlNumber, reason: 'unsupported_transaction' })
+      }
+    }
+
+    console.log(`🔗 EDI ${interchange.standard} from ${result.senderId}: ${result.uploads.length} order(s) queued, ${result.shipNotices.length} ship notice(s), ${result.skipped.length} skipped`)
+    return result
+  }
+
+  /**
+   * Record an ASN against each PO it ships and move the PO's shipped/arrival dates
+   * @param {Object} notice - parseX12ShipNotice result
+   */
+  async applyShipNotice(merchantId, notice, { supplierId = null, fallbackShipmentId = null } = {}) {
+    const shipmentId = notice.shipmentId || fallbackShipmentId
+    const shipNotices = []
+    const skipped = []
+
+    for (const entry of notice.orders) {
+      const order = entry.poNumber
+        ? await prismaOperation(
+          (client) => client.purchaseOrder.findUnique({
+            where: { merchantId_number: { merchantId, number: entry.poNumber } },
+            select: { id: true, number: true, supplierId: true, lineItems: { select: { id: true, sku: true } } }
+          }),
+          `Find PO ${entry.poNumber} for ship notice ${shipmentId}`
+        )
+        : null
+
+      if (!order) {
+        skipped.push({ type: '856', shipmentId, poNumber: entry.poNumber, reason: 'unknown_purchase_order' })
+        continue
+      }
+
+      const { lines, unmatched } = matchShipNoticeLines(order.lineItems, entry.items)
+      const data = {
+        supplierId: supplierId || order.supplierId,
+        carrier: notice.carrier,
+        trackingNumber: notice.trackingNumber,
+        shippedAt: toDate(notice.shippedAt || notice.noticeDate),
+        expectedArrivalDate: toDate(notice.expectedArrivalDate),
+        lines,
+        unmatchedLines: unmatched
+      }
+
+      const [shipNotice] = await prismaOperation(
+        (client) => client.$transaction([
+          client.shipNotice.upsert({
+            where: { purchaseOrderId_shipmentId: { purchaseOrderId: order.id, shipmentId } },
+            create: { merchantId, purchaseOrderId: order.id, shipmentId, ...data },
+            update: data
+          }),
+          client.purchaseOrder.update({
+            where: { id: order.id },
+            data: {
+              ...(data.shippedAt ? { shippedAt: data.shippedAt } : {}),
+              ...(data.expectedArrivalDate ? { expectedArrivalDate: data.expectedArrivalDate } : {})
+            }
+          })
+        ]),
+        `Apply ship notice ${shipmentId} to PO ${order.number}`
+      )
+
+      shipNotices.push({
+        id: shipNotice.id,
+        purchaseOrderId: order.id,
+        poNumber: order.number,
+        shipmentId,
+        lines: lines.length,
+        unmatchedLines: unmatched.length
+      })
+    }
+
+    return { shipNotices, skipped }
+  }
+
+  async listShipNotices(merchantId, purchaseOrderId) {
+    return await prismaOperation(
+      (client) => client.shipNotice.findMany({
+        where: { merchantId, purchaseOrderId },
+        orderBy: { createdAt: 'desc' }
+      }),
+      `List ship notices for PO ${purchaseOrderId}`
+    )
+  }
+
+  /**
+   * X12 855 for a stored purchase order
+   * @param {Object} options - { ackType: 'AD'|'AC'|'RJ', lines: [{ lineItemId, status, quantity }] }
+   * @returns {Promise<{ fileName, content, controlNumber }|null>} null when the PO doesn't exist
+   */
+  async buildAcknowledgement(merchantId, purchaseOrderId, { ackType = 'AD', lines: overrides = [] } = {}) {
+    const order = await prismaOperation(
+      (client) => client.purchaseOrder.findFirst({
+        where: { id: purchaseOrderId, merchantId },
+        include: {
+          supplier: true,
+          lineItems: { orderBy: { createdAt: 'asc' } }
+        }
+      }),
+      `Get PO ${purchaseOrderId} for 855`
+    )
+    if (!order) return null
+
+    const partner = order.supplier?.connectionConfig?.edi || null
+    const received = order.rawData?.edi || {}
+    if (partner?.standard === 'edifact' || received.standard === 'edifact') {
+      throw new Error('855 acknowledgements are only generated for X12 trading partners')
+    }
+
+    const senderId = partner?.ourId || received.receiverId
+    const receiverId = partner?.partnerId || received.senderId
+    if (!senderId || !receiverId) {
+      throw new Error('Set up the supplier\'s EDI trading partner IDs before sending acknowledgements')
+    }
+
+    // Line numbers and units come from the original 850 when there was one
+    const sourceLines = Array.isArray(order.rawData?.lineItems) ? order.rawData.lineItems : []
+    const overrideById = new Map(overrides.map((line) => [line.lineItemId, line]))
+    const lineItems = order.lineItems.map((item, index) => {
+      const source = sourceLines.find((line) => line.sku === item.sku) || sourceLines[index] || {}
+      const override = overrideById.get(item.id) || {}
+      return {
+        lineNumber: source.lineNumber || String(index + 1),
+        sku: item.sku,
+        quantity: item.quantity,
+        quantityAcknowledged: override.quantity ?? item.quantity,
+        uom: source.uom || 'EA',
+        unitPrice: item.unitCost,
+        status: override.status || 'accepted'
+      }
+    })
+
+    const controlNumber = (Number(partner?.lastControlNumber) || 0) + 1
+    const content = buildX12Acknowledgement({
+      poNumber: order.number,
+      orderDate: order.orderDate?.toISOString() || null,
+      lineItems
+    }, {
+      senderQualifier: partner?.ourQualifier || received.receiverQualifier || 'ZZ',
+      senderId,
+      receiverQualifier: partner?.partnerQualifier || received.senderQualifier || 'ZZ',
+      receiverId,
+      controlNumber,
+      ackType
+    })
+
+    if (partner) {
+      await prismaOperation(
+        (client) => client.supplier.update({
+          where: { id: order.supplier.id },
+          data: {
+            connectionConfig: {
+              ...order.supplier.connectionConfig,
+              edi: { ...partner, lastControlNumber: controlNumber }
+            }
+          }
+        }),
+        `Advance EDI control number for supplier ${order.supplier.id}`
+      )
+    }
+
+    console.log(`🔗 Built 855 (${ackType}) for PO ${order.number}, control number ${controlNumber}`)
+    return { fileName: `855-${order.number}.edi`, content, controlNumber }
+  }
+}
+
+export const ediService = new EdiService()
+export default ediService
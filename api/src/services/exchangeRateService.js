@@ -0,0 +1,265 @@
+/**
+ * Exchange Rate Service
+ *
+ * Resolves currency conversion rates for purchase order normalization.
+ * Rates come from a chain of pluggable providers, tried in order:
+ * 1. merchant_table - per-merchant rates stored in ExchangeRate (editable via /api/exchange-rates)
+ * 2. feed - optional HTTP feed adapter, enabled when EXCHANGE_RATE_FEED_URL is set
+ *
+ * A provider implements `async getRate({ merchantId, fromCurrency, toCurrency })`
+ * and returns `{ rate, rateDate }` or null when it has no rate.
+ */
+
+import { prismaOperation } from '../lib/db.js'
+
+const FEED_CACHE_TTL_MS = 60 * 60 * 1000
+
+export function normalizeCurrencyCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : ''
+}
+
+/**
+ * Convert an amount with a rate, rounded to cents
+ */
+export function convertAmount(amount, rate) {
+  const value = Number(amount)
+  if (!Number.isFinite(value)) return 0
+  return Math.round(value * Number(rate) * 100) / 100
+}
+
+/**
+ * Rates stored per merchant. Uses the inverse of a stored pair when only
+ * the opposite direction has been entered.
+ */
+export const merchantTableProvider = {
+  name: 'merchant_table',
+
+  async getRate({ merchantId, fromCurrency, toCurrency }) {
+    if (!merchantId) return null
+
+    const rows = await prismaOperation(
+      (client) => client.exchangeRate.findMany({
+        where: {
+          merchantId,
+          OR: [
+            { baseCurrency: fromCurrency, quoteCurrency: toCurrency },
+            { baseCurrency: toCurrency, quoteCurrency: fromCurrency }
+          ]
+        }
+      }),
+      `Find exchange rate ${fromCurrency}->${toCurrency} for ${merchantId}`
+    )
+
+    const direct = rows.find(row => row.baseCurrency === fromCurrency)
+    if (direct) {
+      return { rate: direct.rate, rateDate: direct.effectiveDate }
+    }
+
+    const inverse = rows.find(row => row.baseCurrency === toCurrency && row.rate > 0)
+    if (inverse) {
+      return { rate: 1 / inverse.rate, rateDate: inverse.effectiveDate }
+    }
+
+    return null
+  }
+}
+
+/**
+ * HTTP feed adapter. Expects `GET {url}?base=EUR` to return
+ * `{ "base": "EUR", "date": "2026-01-31", "rates": { "USD": 1.08, ... } }`
+ * which is the shape used by most public rate APIs.
+ */
+export function createFeedProvider({ url, apiKey, fetchImpl = globalThis.fetch, ttlMs = FEED_CACHE_TTL_MS } = {}) {
+  const cache = new Map()
+
+  return {
+    name: 'feed',
+
+    async fetchRates(baseCurrency) {
+      const cached = cache.get(baseCurrency)
+      if (cached && Date.now() - cached.fetchedAt < ttlMs) {
+        return cached.payload
+      }
+
+      const feedUrl = new URL(url)
+      feedUrl.searchParams.set('base', baseCurrency)
+
+      const response = await fetchImpl(feedUrl.toString(), {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      })
+      if (!response.ok) {
+        throw new Error(`Exchange rate feed returned ${response.status}`)
+      }
+
+      const payload = await response.json()
+      cache.set(baseCurrency, { payload, fetchedAt: Date.now() })
+      return payload
+    },
+
+    async getRate({ fromCurrency, toCurrency }) {
+      const payload = await this.fetchRates(fromCurrency)
+      const rate = Number(payload?.rates?.[toCurrency])
+      if (!Number.isFinite(rate) || rate <= 0) return null
+
+      return {
+        rate,
+        rateDate: payload.date ? new Date(payload.date) : new Date()
+      }
+    }
+  }
+}
+
+export class ExchangeRateService {
+  constructor(providers) {
+    this.providers = providers || ExchangeRateService.defaultProviders()
+  }
+
+  static defaultProviders() {
+    const providers = [merchantTableProvider]
+    if (process.env.EXCHANGE_RATE_FEED_URL) {
+      providers.push(createFeedProvider({
+        url: process.env.EXCHANGE_RATE_FEED_URL,
+        apiKey: process.env.EXCHANGE_RATE_FEED_API_KEY
+      }))
+    }
+    return providers
+  }
+
+  /**
+   * Add a provider to the end of the chain (or the front with { prepend: true })
+   */
+  registerProvider(provider, options = {}) {
+    if (!provider?.name || typeof provider.getRate !== 'function') {
+      throw new Error('Exchange rate provider must have a name and a getRate function')
+    }
+    this.providers = this.providers.filter(existing => existing.name !== provider.name)
+    if (options.prepend) {
+      this.providers.unshift(provider)
+    } else {
+      this.providers.push(provider)
+    }
+  }
+
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name) || null
+  }
+
+  /**
+   * Resolve a conversion rate
+   * @returns {Promise<Object|null>} { fromCurrency, toCurrency, rate, rateDate, source } or null
+   */
+  async getRate(merchantId, fromCurrency, toCurrency) {
+    const from = normalizeCurrencyCode(fromCurrency)
+    const to = normalizeCurrencyCode(toCurrency)
+
+    if (!from || !to || from === to) {
+      return { fromCurrency: from || to, toCurrency: to || from, rate: 1, rateDate: new Date(), source: 'identity' }
+    }
+
+    for (const provider of this.providers) {
+      try {
+        const result = await provider.getRate({ merchantId, fromCurrency: from, toCurrency: to })
+        if (result && Number.isFinite(Number(result.rate)) && Number(result.rate) > 0) {
+          return {
+            fromCurrency: from,
+            toCurrency: to,
+            rate: Number(result.rate),
+            rateDate: result.rateDate ? new Date(result.rateDate) : new Date(),
+            source: provider.name
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Exchange rate provider ${provider.name} failed for ${from}->${to}:`, error.message)
+      }
+    }
+
+    return null
+  }
+
+  async listRates(merchantId) {
+    return await prismaOperation(
+      (client) => client.exchangeRate.findMany({
+        where: { merchantId },
+        orderBy: [{ baseCurrency: 'asc' }, { quoteCurrency: 'asc' }]
+      }),
+      `List exchange rates for ${merchantId}`
+    )
+  }
+
+  /**
+   * Create or replace the merchant's rate for a currency pair
+   */
+  async upsertRate(merchantId, { baseCurrency, quoteCurrency, rate, effectiveDate, source = 'manual' }) {
+    const base = normalizeCurrencyCode(baseCurrency)
+    const quote = normalizeCurrencyCode(quoteCurrency)
+    const numericRate = Number(rate)
+
+    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) {
+      throw new Error('baseCurrency and quoteCurrency must be 3-letter ISO codes')
+    }
+    if (base === quote) {
+      throw new Error('baseCurrency and quoteCurrency must differ')
+    }
+    if (!Number.isFinite(numericRate) || numericRate <= 0) {
+      throw new Error('rate must be a positive number')
+    }
+
+    const data = {
+      rate: numericRate,
+      effectiveDate: effectiveDate ? new Date(effectiveDate) : new Date(),
+      source
+    }
+
+    return await prismaOperation(
+      (client) => client.exchangeRate.upsert({
+        where: {
+          merchantId_baseCurrency_quoteCurrency: { merchantId, baseCurrency: base, quoteCurrency: quote }
+        },
+        update: data,
+        create: { merchantId, baseCurrency: base, quoteCurrency: quote, ...data }
+      }),
+      `Upsert exchange rate ${base}->${quote} for ${merchantId}`
+    )
+  }
+
+  async deleteRate(merchantId, rateId) {
+    const result = await prismaOperation(
+      (client) => client.exchangeRate.deleteMany({
+        where: { id: rateId, merchantId }
+      }),
+      `Delete exchange rate ${rateId} for ${merchantId}`
+    )
+    return result.count > 0
+  }
+
+  /**
+   * Pull current rates from the feed into the merchant's table
+   */
+  async refreshFromFeed(merchantId, baseCurrency, quoteCurrencies = []) {
+    const feed = this.getProvider('feed')
+    if (!feed) {
+      throw new Error('No exchange rate feed configured (set EXCHANGE_RATE_FEED_URL)')
+    }
+
+    const saved = []
+    for (const quote of quoteCurrencies) {
+      const result = await feed.getRate({
+        fromCurrency: normalizeCurrencyCode(baseCurrency),
+        toCurrency: normalizeCurrencyCode(quote)
+      })
+      if (result) {
+        saved.push(await this.upsertRate(merchantId, {
+          baseCurrency,
+          quoteCurrency: quote,
+          rate: result.rate,
+          effectiveDate: result.rateDate,
+          source: 'feed'
+        }))
+      }
+    }
+    return saved
+  }
+}
+
+export const exchangeRateService = new ExchangeRateService()
+export default exchangeRateService
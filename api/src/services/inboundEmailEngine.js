@@ -0,0 +1,130 @@
+/**
+ * Inbound Email Engine
+ *
+ * Pure helpers for inbound PO email:
+ * - Per-merchant inbound address tokens (<token>@domain, or orders+<token>@domain)
+ * - Sender resolution, preferring the original sender of forwarded messages
+ * - Supplier matching by sender domain
+ */
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+'-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+
+// Shared mailbox providers say nothing about which supplier sent the message
+export const FREE_MAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.com',
+  'gmx.de',
+  'web.de'
+]
+
+const FORWARD_SUBJECT = /^\s*(fwd?|fw|wg|tr)\s*:/i
+const FORWARD_MARKERS = /(-{2,}\s*forwarded message\s*-{2,}|-{2,}\s*original message\s*-{2,}|begin forwarded message:)/i
+const QUOTED_FROM = /^[>\s]*(?:from|von|de)\s*:\s*(.+)$/gim
+
+/**
+ * Token for a merchant's inbound address, e.g. "acme-store-k3f9q2"
+ * @param {string} shopDomain - e.g. acme-store.myshopify.com
+ * @param {string} suffix - random characters that make the address unguessable
+ */
+export function buildInboundToken(shopDomain, suffix) {
+  const slug = String(shopDomain || 'store')
+    .toLowerCase()
+    .replace(/\.myshopify\.com$/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30)
+  return `${slug || 'store'}-${String(suffix).toLowerCase()}`
+}
+
+/**
+ * Bare, lowercased addresses in a header value ("Acme <orders@acme.com>, b@c.io")
+ */
+export function extractAddresses(value) {
+  return [...new Set((String(value || '').match(EMAIL_PATTERN) || []).map((address) => address.toLowerCase()))]
+}
+
+/**
+ * Inbound token from a recipient address on the inbound domain
+ * Supports plus-addressing so a shared mailbox can front the inbound domain
+ * @returns {string|null}
+ */
+export function parseRecipientToken(address, inboundDomain) {
+  const [localPart, domain] = String(address || '').toLowerCase().split('@')
+  if (!localPart || !domain) return null
+  if (inboundDomain && domain !== String(inboundDomain).toLowerCase()) return null
+
+  const token = localPart.includes('+') ? localPart.slice(localPart.indexOf('+') + 1) : localPart
+  return token || null
+}
+
+export function isForwarded(email) {
+  return FORWARD_SUBJECT.test(email.subject || '') || FORWARD_MARKERS.test(email.text || '')
+}
+
+/**
+ * Addresses that may identify the supplier, most likely first
+ * Forwarded messages put the original sender (quoted "From:" lines) ahead of the forwarding buyer
+ */
+export function senderCandidates(email) {
+  const quotedSenders = []
+  for (const match of String(email.text || '').matchAll(QUOTED_FROM)) {
+    quotedSenders.push(...extractAddresses(match[1]))
+  }
+
+  const direct = [...extractAddresses(email.replyTo), ...extractAddresses(email.from)]
+  const ordered = isForwarded(email) ? [...quotedSenders, ...direct] : [...direct, ...quotedSenders]
+  return [...new Set(ordered)]
+}
+
+/**
+ * Pick the supplier whose contact email or website shares the sender's domain
+ * A free-mail domain only matches on the exact contact address; a domain shared
+ * by several suppliers is ambiguous and does not match
+ * @param {Array<{ id, contactEmail, website }>} suppliers
+ * @param {Array<string>} addresses - from senderCandidates
+ * @param {Function} extractDomain - supplierMatchingService.extractDomain
+ * @param {Object} options - { excludeDomains: domains of the merchant's own staff }
+ * @returns {{ supplierId, address, domain, matchedBy }|null}
+ */
+export function matchSupplierBySender(suppliers, addresses, extractDomain, { excludeDomains = [] } = {}) {
+  const excluded = excludeDomains.filter(Boolean).map((domain) => domain.toLowerCase())
+
+  for (const address of addresses) {
+    const exact = suppliers.filter((supplier) => supplier.contactEmail && supplier.contactEmail.toLowerCase() === address)
+    if (exact.length === 1) {
+      return { supplierId: exact[0].id, address, domain: extractDomain(address), matchedBy: 'address' }
+    }
+
+    const domain = extractDomain(address)
+    if (!domain || excluded.includes(domain) || FREE_MAIL_DOMAINS.includes(domain)) continue
+
+    const byDomain = suppliers.filter((supplier) =>
+      extractDomain(supplier.contactEmail) === domain || extractDomain(supplier.website) === domain
+    )
+    if (byDomain.length === 1) {
+      return { supplierId: byDomain[0].id, address, domain, matchedBy: 'domain' }
+    }
+  }
+
+  return null
+}
+
+export default {
+  FREE_MAIL_DOMAINS,
+  buildInboundToken,
+  extractAddresses,
+  parseRecipientToken,
+  isForwarded,
+  senderCandidates,
+  matchSupplierBySender
+}
@@ -0,0 +1,240 @@
+/**
+ * Inbound Email Service
+ *
+ * Each merchant gets a unique inbound address (<token>@INBOUND_EMAIL_DOMAIN).
+ * Raw MIME messages delivered to it (webhook from an SMTP relay or local
+ * stand-in) are split into PO candidates - every supported attachment, plus the
+ * body when it carries the order - and each candidate becomes an Upload with a
+ * pending workflow. The supplier is linked from the sender's domain.
+ */
+
+import crypto from 'crypto'
+import { prismaOperation } from '../lib/db.js'
+import { SUPPORTED_MIME_TYPES } from '../lib/fileParsingService.js'
+import { buildEmailCandidates, parseEmail } from '../lib/documentTextExtractors.js'
+import supplierMatchingService from './supplierMatchingService.js'
+import { poIngestionService } from './poIngestionService.js'
+import { ediService } from './ediService.js'
+import { isEdiDocument } from './ediEngine.js'
+import {
+  buildInboundToken,
+  extractAddresses,
+  matchSupplierBySender,
+  parseRecipientToken,
+  senderCandidates
+} from './inboundEmailEngine.js'
+
+const DEFAULT_INBOUND_DOMAIN = 'inbound.localhost'
+
+export class InboundEmailService {
+  get domain() {
+    return (process.env.INBOUND_EMAIL_DOMAIN || DEFAULT_INBOUND_DOMAIN).toLowerCase()
+  }
+
+  _addressFor(token) {
+    return `${token}@${this.domain}`
+  }
+
+  async _assignToken(merchantId) {
+    const merchant = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { shopDomain: true }
+      }),
+      `Get merchant ${merchantId} for inbound address`
+    )
+    if (!merchant) {
+      throw new Error('Merchant not found')
+    }
+
+    const token = buildInboundToken(merchant.shopDomain, crypto.randomBytes(4).toString('hex'))
+    await prismaOperation(
+      (client) => client.merchant.update({
+        where: { id: merchantId },
+        data: { inboundEmailToken: token }
+      }),
+      `Assign inbound address for ${merchantId}`
+    )
+    return token
+  }
+
+  /**
+   * The merchant's inbound address, assigned on first use
+   */
+  async getAddress(merchantId) {
+    const merchant = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { inboundEmailToken: true }
+      }),
+      `Get inbound address for ${merchantId}`
+    )
+
+    const token = merchant?.inboundEmailToken || await this._assignToken(merchantId)
+    return { address: this._addressFor(token), token, domain: this.domain }
+  }
+
+  /**
+   * Replace the inbound address (e.g. after it leaked); the old one stops working
+   */
+  async regenerateAddress(merchantId) {
+    const token = await this._assignToken(merchantId)
+    console.log(`📧 Regenerated inbound address for merchant ${merchantId}`)
+    return { address: this._addressFor(token), token, domain: this.domain }
+  }
+
+  async listMessages(merchantId, { limit = 25 } = {}) {
+    return await prismaOperation(
+      (client) => client.inboundEmail.findMany({
+        where: { merchantId },
+        include: { supplier: { select: { id: true, name: true } } },
+        orderBy: { receivedAt: 'desc' },
+        take: Math.min(Number(limit) || 25, 100)
+      }),
+      `List inbound emails for ${merchantId}`
+    )
+  }
+
+  async _findMerchant(recipients) {
+    for (const recipient of recipients) {
+      const token = parseRecipientToken(recipient, this.domain)
+      if (!token) continue
+
+      const merchant = await prismaOperation(
+        (client) => client.merchant.findUnique({
+          where: { inboundEmailToken: token },
+          select: { id: true, shopDomain: true, email: true }
+        }),
+        `Resolve inbound address ${recipient}`
+      )
+      if (merchant) return { merchant, recipient }
+    }
+    return null
+  }
+
+  async _matchSupplier(merchant, email) {
+    const suppliers = await prismaOperation(
+      (client) => client.supplier.findMany({
+        where: { merchantId: merchant.id },
+        select: { id: true, contactEmail: true, website: true }
+      }),
+      `Get suppliers for ${merchant.id}`
+    )
+
+    return matchSupplierBySender(suppliers, senderCandidates(email), supplierMatchingService.extractDomain, {
+      // Buyers forwarding from the store's own domain are not the supplier
+      excludeDomains: [supplierMatchingService.extractDomain(merchant.email), this.domain]
+    })
+  }
+
+  /**
+   * Ingest a raw MIME message
+   * @param {Buffer|string} rawMessage - RFC822 message
+   * @param {Object} envelope - { recipient } SMTP envelope recipient when the relay provides it
+   * @returns {Promise<Object>} { status: 'processed'|'ignored'|'duplicate'|'unknown_recipient', inboundEmail, uploads }
+   */
+  async receive(rawMessage, { recipient } = {}) {
+    const email = parseEmail(rawMessage)
+    const recipients = [
+      ...extractAddresses(recipient),
+      ...extractAddresses(email.deliveredTo),
+      ...extractAddresses(email.to),
+      ...extractAddresses(email.cc)
+    ]
+
+    const resolved = await this._findMerchant(recipients)
+    if (!resolved) {
+      console.warn(`📧 Inbound email "${email.subject}" has no known recipient (${recipients.join(', ') || 'none'})`)
+      return { status: 'unknown_recipient', inboundEmail: null, uploads: [] }
+    }
+
+    const { merchant } = resolved
+    if (email.messageId) {
+      const existing = await prismaOperation(
+        (client) => client.inboundEmail.findUnique({
+          where: { merchantId_messageId: { merchantId: merchant.id, messageId: email.messageId } }
+        }),
+        `Check inbound email ${email.messageId}`
+      )
+      if (existing) {
+        console.log(`📧 Inbound email ${email.messageId} already received - skipping`)
+        return { status: 'duplicate', inboundEmail: existing, uploads: [] }
+      }
+    }
+
+    const supplierMatch = await this._matchSupplier(merchant, email)
+    const candidates = buildEmailCandidates(email, {
+      isSupported: (mimeType) => SUPPORTED_MIME_TYPES.includes(mimeType)
+    })
+
+    const inboundEmail = await prismaOperation(
+      (client) => client.inboundEmail.create({
+        data: {
+          merchantId: merchant.id,
+          supplierId: supplierMatch?.supplierId || null,
+          messageId: email.messageId,
+          fromAddress: email.from || 'unknown',
+          recipient: resolved.recipient,
+          subject: email.subject || null,
+          status: 'received',
+          attachmentCount: email.attachments.length
+        }
+      }),
+      `Record inbound email for ${merchant.id}`
+    )
+
+    const uploads = []
+    const failures = []
+    for (const candidate of candidates) {
+      try {
+        const file = {
+          buffer: candidate.content,
+          fileName: candidate.fileName,
+          supplierId: supplierMatch?.supplierId || null,
+          source: 'email',
+          metadata: {
+            inboundEmailId: inboundEmail.id,
+            emailSubject: email.subject,
+            emailFrom: email.from,
+            candidateSource: candidate.source
+          }
+        }
+
+        // EDI attachments can carry several orders or ship notices
+        if (isEdiDocument(candidate.content, candidate.mimeType)) {
+          const imported = await ediService.ingest(merchant.id, file)
+          uploads.push(...imported.uploads.map((queued) => ({ ...queued, fileName: candidate.fileName })))
+          continue
+        }
+
+        const queued = await poIngestionService.ingestFile(merchant.id, { ...file, mimeType: candidate.mimeType })
+        uploads.push({ ...queued, fileName: candidate.fileName })
+      } catch (error) {
+        console.error(`❌ Failed to queue ${candidate.fileName} from inbound email ${inboundEmail.id}:`, error)
+        failures.push(`${candidate.fileName}: ${error.message}`)
+      }
+    }
+
+    const status = uploads.length > 0 ? 'processed' : (failures.length > 0 ? 'failed' : 'ignored')
+    const updated = await prismaOperation(
+      (client) => client.inboundEmail.update({
+        where: { id: inboundEmail.id },
+        data: {
+          status,
+          uploadIds: uploads.map((upload) => upload.uploadId),
+          errorMessage: failures.length > 0
+            ? failures.join('; ')
+            : (candidates.length === 0 ? 'No body text or supported attachments' : null)
+        }
+      }),
+      `Update inbound email ${inboundEmail.id}`
+    )
+
+    const supplierNote = supplierMatch ? `, supplier ${supplierMatch.supplierId} via ${supplierMatch.domain}` : ''
+    console.log(`📧 Inbound email "${email.subject}" for ${merchant.shopDomain}: ${uploads.length}/${candidates.length} PO candidate(s) queued${supplierNote}`)
+    return { status, inboundEmail: updated, uploads }
+  }
+}
+
+export const inboundEmailService = new InboundEmailService()
+export default inboundEmailService
@@ -0,0 +1,240 @@
+/**
+ * Outbound Purchase Order Engine
+ * Pure helpers for purchase orders we send to suppliers:
+ * - Line item totals
+ * - CSV and PDF documents for emailing the order
+ * - Matching an uploaded supplier confirmation back to the outbound order
+ *
+ * Persistence lives in outboundPurchaseOrderService.
+ */
+
+export const OUTBOUND_STATUSES = ['draft', 'sent', 'confirmed', 'cancelled']
+
+// Minimum SKU overlap for a confirmation without an explicit PO reference
+export const CONFIRMATION_MATCH_THRESHOLD = 0.6
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+const normalizeReference = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+const normalizeName = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Fill in totals for outbound line items
+ * @param {Array} items - { sku, productName, quantity, unitCost }
+ */
+export function calculateLineTotals(items = []) {
+  const lineItems = items.map((item) => {
+    const quantity = Math.max(0, parseInt(item.quantity) || 0)
+    const unitCost = roundMoney(item.unitCost)
+    return {
+      ...item,
+      quantity,
+      unitCost,
+      totalCost: roundMoney(quantity * unitCost)
+    }
+  })
+
+  const totalAmount = roundMoney(lineItems.reduce((sum, item) => sum + item.totalCost, 0))
+  return { lineItems, totalAmount }
+}
+
+/**
+ * Next OUT- number after the highest one in use; gaps left by deleted orders are not reused
+ * @param {Array<string>} numbers - existing PO numbers starting with OUT-
+ */
+export function nextOutboundNumber(numbers = []) {
+  const highest = numbers.reduce((max, number) => {
+    const match = /^OUT-(\d+)$/.exec(number || '')
+    return match ? Math.max(max, parseInt(match[1], 10)) : max
+  }, 0)
+  return `OUT-${String(highest + 1).padStart(5, '0')}`
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * One row per line item, with the PO header repeated so the file stands on its own
+ */
+export function buildPurchaseOrderCsv(order) {
+  const header = ['PO Number', 'Supplier', 'SKU', 'Product', 'Quantity', 'Unit Cost', 'Total Cost', 'Currency']
+  const rows = (order.lineItems || []).map((item) => [
+    order.number,
+    order.supplierName,
+    item.sku,
+    item.productName,
+    item.quantity,
+    roundMoney(item.unitCost).toFixed(2),
+    roundMoney(item.totalCost).toFixed(2),
+    order.currency
+  ])
+
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)')
+}
+
+function fit(value, width, alignRight = false) {
+  const text = String(value ?? '')
+  const clipped = text.length > width ? `${text.slice(0, width - 1)}~` : text
+  return alignRight ? clipped.padStart(width) : clipped.padEnd(width)
+}
+
+/**
+ * Plain-text layout of the order, one entry per PDF line
+ */
+export function buildPurchaseOrderLines(order) {
+  const currency = order.currency || 'USD'
+  const money = (value) => `${roundMoney(value).toFixed(2)}`
+  const date = order.orderDate ? new Date(order.orderDate) : new Date(order.createdAt || Date.now())
+
+  const lines = [
+    'PURCHASE ORDER',
+    '',
+    `PO Number: ${order.number}`,
+    `Date:      ${date.toISOString().slice(0, 10)}`,
+    `Supplier:  ${order.supplierName}`
+  ]
+  if (order.supplier?.contactEmail) lines.push(`Email:     ${order.supplier.contactEmail}`)
+  if (order.supplier?.address) lines.push(`Address:   ${order.supplier.address}`)
+  if (order.dueDate) lines.push(`Needed by: ${new Date(order.dueDate).toISOString().slice(0, 10)}`)
+  lines.push('')
+
+  lines.push(`${fit('SKU', 16)} ${fit('Product', 34)} ${fit('Qty', 6, true)} ${fit('Unit', 10, true)} ${fit('Total', 12, true)}`)
+  lines.push('-'.repeat(82))
+  for (const item of order.lineItems || []) {
+    lines.push(`${fit(item.sku, 16)} ${fit(item.productName, 34)} ${fit(item.quantity, 6, true)} ${fit(money(item.unitCost), 10, true)} ${fit(money(item.totalCost), 12, true)}`)
+  }
+  lines.push('-'.repeat(82))
+  lines.push(`${fit(`Total (${currency})`, 70)} ${fit(money(order.totalAmount), 12, true)}`)
+
+  if (order.processingNotes) {
+    lines.push('', 'Notes:', ...String(order.processingNotes).split(/\r?\n/))
+  }
+  lines.push('', `Please reference ${order.number} on your order confirmation.`)
+
+  return lines
+}
+
+/**
+ * Render the order as a minimal single-font PDF (Courier, US Letter)
+ * @returns {Buffer}
+ */
+export function buildPurchaseOrderPdf(order) {
+  const linesPerPage = 60
+  const lines = buildPurchaseOrderLines(order)
+  const pages = []
+  for (let i = 0; i < lines.length; i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage))
+  }
+
+  // Object layout: 1 catalog, 2 page tree, 3 font, then a page + content stream per page
+  const objects = []
+  const pageIds = pages.map((_, index) => 4 + index * 2)
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>'
+
+  pages.forEach((pageLines, index) => {
+    const pageId = pageIds[index]
+    const body = pageLines.map((line) => `(${pdfText(line)}) Tj T*`).join('\n')
+    const stream = `BT\n/F1 9 Tf\n12 TL\n40 750 Td\n${body}\nET`
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+  })
+
+  let pdf = '%PDF-1.4\n'
+  const offsets = []
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1')
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1')
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(pdf, 'latin1')
+}
+
+/**
+ * Score how likely an inbound document is the supplier's confirmation of an outbound order
+ * @param {Object} inbound - { number, supplierId, supplierName, rawData, lineItems: [{ sku }] }
+ * @param {Object} outbound - same shape, for the order we sent
+ * @returns {{ score: number, referenceMatch: boolean, supplierMatch: boolean, skuOverlap: number }}
+ */
+export function scoreConfirmationMatch(inbound, outbound) {
+  const reference = normalizeReference(outbound.number)
+  const inboundText = normalizeReference(`${inbound.number ?? ''} ${JSON.stringify(inbound.rawData ?? '')}`)
+  const referenceMatch = reference.length >= 4 && inboundText.includes(reference)
+
+  const supplierMatch = Boolean(
+    (inbound.supplierId && inbound.supplierId === outbound.supplierId) ||
+    (normalizeName(inbound.supplierName) && normalizeName(inbound.supplierName) === normalizeName(outbound.supplierName))
+  )
+
+  const outboundSkus = new Set((outbound.lineItems || []).map((item) => normalizeReference(item.sku)).filter(Boolean))
+  const inboundSkus = new Set((inbound.lineItems || []).map((item) => normalizeReference(item.sku)).filter(Boolean))
+  let shared = 0
+  for (const sku of outboundSkus) {
+    if (inboundSkus.has(sku)) shared++
+  }
+  const skuOverlap = outboundSkus.size > 0 ? Math.round((shared / outboundSkus.size) * 1000) / 1000 : 0
+
+  let score = 0
+  if (referenceMatch) {
+    score = 1
+  } else if (supplierMatch) {
+    score = skuOverlap
+  }
+
+  return { score, referenceMatch, supplierMatch, skuOverlap }
+}
+
+/**
+ * Pick the outbound order an inbound confirmation belongs to
+ * Ties go to the most recently sent order.
+ * @returns {Object|null} { order, ...score } or null when nothing clears the threshold
+ */
+export function findConfirmationMatch(inbound, outboundOrders = [], threshold = CONFIRMATION_MATCH_THRESHOLD) {
+  let best = null
+
+  for (const order of outboundOrders) {
+    const result = scoreConfirmationMatch(inbound, order)
+    if (result.score < threshold) continue
+
+    const sentAt = new Date(order.sentAt || order.createdAt || 0).getTime()
+    if (!best || result.score > best.score || (result.score === best.score && sentAt > best.sentAt)) {
+      best = { order, ...result, sentAt }
+    }
+  }
+
+  if (!best) return null
+  const { sentAt, ...match } = best
+  return match
+}
+
+export default {
+  OUTBOUND_STATUSES,
+  CONFIRMATION_MATCH_THRESHOLD,
+  calculateLineTotals,
+  nextOutboundNumber,
+  buildPurchaseOrderCsv,
+  buildPurchaseOrderLines,
+  buildPurchaseOrderPdf,
+  scoreConfirmationMatch,
+  findConfirmationMatch
+}
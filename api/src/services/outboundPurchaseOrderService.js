@@ -0,0 +1,336 @@
+/**
+ * Outbound Purchase Order Service
+ *
+ * Draft purchase orders we send to suppliers, stored as PurchaseOrder rows with
+ * direction 'outbound' so they list alongside ingested (inbound) supplier POs:
+ * - Created manually or from a restock suggestion
+ * - Unit costs default to the last price paid for the SKU (POLineItem history)
+ * - When the supplier's confirmation is uploaded and parsed, it is linked back
+ *   to the outbound order and the order is marked confirmed
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { restockService } from './restockService.js'
+import {
+  OUTBOUND_STATUSES,
+  calculateLineTotals,
+  findConfirmationMatch,
+  nextOutboundNumber
+} from './outboundPurchaseOrderEngine.js'
+
+// Outbound orders still waiting on a supplier confirmation
+const AWAITING_CONFIRMATION = ['draft', 'sent']
+
+// Attempts at a generated number when a concurrent draft takes it first
+const NUMBER_ATTEMPTS = 5
+
+export class OutboundPurchaseOrderService {
+  /**
+   * Last price paid for each SKU, preferring the given supplier's history
+   * @returns {Promise<Object>} sku -> { unitCost, productName, purchaseOrderNumber, supplierName }
+   */
+  async getLastPaidCosts(merchantId, skus, supplierId = null) {
+    const costs = {}
+
+    for (const sku of [...new Set(skus.filter(Boolean))]) {
+      const lineItem = await prismaOperation(
+        async (client) => {
+          const select = {
+            unitCost: true,
+            productName: true,
+            purchaseOrder: { select: { number: true, supplierName: true } }
+          }
+          const base = { sku, purchaseOrder: { merchantId, direction: 'inbound' } }
+
+          if (supplierId) {
+            const fromSupplier = await client.pOLineItem.findFirst({
+              where: { ...base, purchaseOrder: { ...base.purchaseOrder, supplierId } },
+              orderBy: { createdAt: 'desc' },
+              select
+            })
+            if (fromSupplier) return fromSupplier
+          }
+
+          return client.pOLineItem.findFirst({
+            where: base,
+            orderBy: { createdAt: 'desc' },
+            select
+          })
+        },
+        `Get last paid cost for ${sku}`
+      )
+
+      if (lineItem) {
+        costs[sku] = {
+          unitCost: lineItem.unitCost,
+          productName: lineItem.productName,
+          purchaseOrderNumber: lineItem.purchaseOrder.number,
+          supplierName: lineItem.purchaseOrder.supplierName
+        }
+      }
+    }
+
+    return costs
+  }
+
+  async generateNumber(merchantId) {
+    const orders = await prismaOperation(
+      (client) => client.purchaseOrder.findMany({
+        where: { merchantId, number: { startsWith: 'OUT-' } },
+        select: { number: true }
+      }),
+      `Get outbound PO numbers for ${merchantId}`
+    )
+    return nextOutboundNumber(orders.map((order) => order.number))
+  }
+
+  /**
+   * Create a draft outbound PO
+   * @param {string} merchantId
+   * @param {Object} input - { supplierId, items: [{ sku, quantity, unitCost?, productName? }], number?, dueDate?, notes?, currency? }
+   */
+  async createDraft(merchantId, input = {}) {
+    const { supplierId, items = [], dueDate, notes } = input
+
+    if (!supplierId) {
+      throw new Error('supplierId is required')
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('At least one item is required')
+    }
+    for (const item of items) {
+      if (!item?.sku) {
+        throw new Error('Each item requires a sku')
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        throw new Error(`Quantity for ${item.sku} must be a positive integer`)
+      }
+    }
+
+    const supplier = await prismaOperation(
+      (client) => client.supplier.findFirst({
+        where: { id: supplierId, merchantId },
+        select: { id: true, name: true }
+      }),
+      `Get supplier ${supplierId}`
+    )
+    if (!supplier) {
+      throw new Error('Supplier not found')
+    }
+
+    const lastCosts = await this.getLastPaidCosts(merchantId, items.map((item) => item.sku), supplier.id)
+    const { lineItems, totalAmount } = calculateLineTotals(items.map((item) => ({
+      sku: item.sku,
+      productName: item.productName || lastCosts[item.sku]?.productName || item.sku,
+      quantity: item.quantity,
+      unitCost: item.unitCost ?? lastCosts[item.sku]?.unitCost ?? 0
+    })))
+
+    const merchant = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { currency: true }
+      }),
+      `Get currency for ${merchantId}`
+    )
+
+    // A generated number can be taken by a draft created at the same moment;
+    // a number the merchant typed in is reported back instead
+    let order
+    for (let attempt = 1; ; attempt++) {
+      const number = input.number || await this.generateNumber(merchantId)
+      try {
+        order = await prismaOperation(
+          (client) => client.purchaseOrder.create({
+            data: {
+              merchantId,
+              number,
+              direction: 'outbound',
+              status: 'draft',
+              jobStatus: 'completed',
+              supplierId: supplier.id,
+              supplierName: supplier.name,
+              currency: input.currency || merchant?.currency || 'USD',
+              orderDate: new Date(),
+              dueDate: dueDate ? new Date(dueDate) : null,
+              totalAmount,
+              confidence: 1,
+              processingNotes: notes || null,
+              rawData: { source: input.source || 'manual', restockSuggestionId: input.restockSuggestionId || null },
+              lineItems: {
+                create: lineItems.map((item) => ({
+                  sku: item.sku,
+                  productName: item.productName,
+                  quantity: item.quantity,
+                  unitCost: item.unitCost,
+                  totalCost: item.totalCost,
+                  confidence: 1,
+                  status: 'pending'
+                }))
+              }
+            },
+            include: {
+              supplier: true,
+              lineItems: { orderBy: { createdAt: 'asc' } }
+            }
+          }),
+          `Create outbound PO ${number}`
+        )
+        break
+      } catch (error) {
+        if (error.code !== 'P2002' || input.number || attempt >= NUMBER_ATTEMPTS) throw error
+        console.warn(`⚠️ Outbound PO number ${number} was taken, retrying (${attempt}/${NUMBER_ATTEMPTS})`)
+      }
+    }
+
+    console.log(`📝 Created outbound PO ${order.number} for ${supplier.name} (${lineItems.length} items)`)
+    return order
+  }
+
+  /**
+   * Turn an open restock suggestion into a draft PO and mark the suggestion ordered
+   */
+  async createFromRestockSuggestion(merchantId, suggestionId, overrides = {}) {
+    const suggestion = await prismaOperation(
+      (client) => client.restockSuggestion.findFirst({
+        where: { id: suggestionId, merchantId },
+        include: { items: true }
+      }),
+      `Get restock suggestion ${suggestionId}`
+    )
+
+    if (!suggestion) return null
+    if (!suggestion.supplierId) {
+      throw new Error('Restock suggestion has no supplier - create the draft manually')
+    }
+    if (suggestion.items.length === 0) {
+      throw new Error('Restock suggestion has no items')
+    }
+
+    const order = await this.createDraft(merchantId, {
+      ...overrides,
+      supplierId: suggestion.supplierId,
+      source: 'restock_suggestion',
+      restockSuggestionId: suggestion.id,
+      items: suggestion.items.map((item) => ({
+        sku: item.sku,
+        productName: item.productTitle || undefined,
+        quantity: Math.max(1, item.suggestedQuantity),
+        unitCost: item.lastUnitCost ?? undefined
+      }))
+    })
+
+    await restockService.updateSuggestionStatus(merchantId, suggestion.id, 'ordered')
+    return order
+  }
+
+  async getOrder(merchantId, id) {
+    return await prismaOperation(
+      (client) => client.purchaseOrder.findFirst({
+        where: { id, merchantId, direction: 'outbound' },
+        include: {
+          supplier: true,
+          lineItems: { orderBy: { createdAt: 'asc' } }
+        }
+      }),
+      `Get outbound PO ${id}`
+    )
+  }
+
+  async updateStatus(merchantId, id, status) {
+    if (!OUTBOUND_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Must be one of ${OUTBOUND_STATUSES.join(', ')}`)
+    }
+
+    const result = await prismaOperation(
+      (client) => client.purchaseOrder.updateMany({
+        where: { id, merchantId, direction: 'outbound' },
+        data: {
+          status,
+          ...(status === 'sent' ? { sentAt: new Date() } : {}),
+          ...(status === 'confirmed' ? { confirmedAt: new Date() } : {})
+        }
+      }),
+      `Update outbound PO ${id}`
+    )
+    return result.count > 0
+  }
+
+  /**
+   * Link a freshly parsed inbound PO to the outbound order it confirms
+   * @returns {Promise<Object|null>} { outboundPurchaseOrderId, number, score, referenceMatch, skuOverlap }
+   */
+  async linkConfirmation(merchantId, inboundPurchaseOrderId) {
+    const inbound = await prismaOperation(
+      (client) => client.purchaseOrder.findFirst({
+        where: { id: inboundPurchaseOrderId, merchantId },
+        select: {
+          id: true,
+          number: true,
+          direction: true,
+          supplierId: true,
+          supplierName: true,
+          rawData: true,
+          linkedPurchaseOrderId: true,
+          lineItems: { select: { sku: true } }
+        }
+      }),
+      `Get inbound PO ${inboundPurchaseOrderId}`
+    )
+
+    if (!inbound || inbound.direction !== 'inbound' || inbound.linkedPurchaseOrderId) {
+      return null
+    }
+
+    const candidates = await prismaOperation(
+      (client) => client.purchaseOrder.findMany({
+        where: {
+          merchantId,
+          direction: 'outbound',
+          status: { in: AWAITING_CONFIRMATION }
+        },
+        select: {
+          id: true,
+          number: true,
+          supplierId: true,
+          supplierName: true,
+          sentAt: true,
+          createdAt: true,
+          lineItems: { select: { sku: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 200
+      }),
+      `Get outbound POs awaiting confirmation for ${merchantId}`
+    )
+
+    const match = findConfirmationMatch(inbound, candidates)
+    if (!match) return null
+
+    await prismaOperation(
+      (client) => client.$transaction([
+        client.purchaseOrder.update({
+          where: { id: inbound.id },
+          data: { linkedPurchaseOrderId: match.order.id }
+        }),
+        client.purchaseOrder.update({
+          where: { id: match.order.id },
+          data: { status: 'confirmed', confirmedAt: new Date() }
+        })
+      ]),
+      `Link confirmation ${inbound.number} to ${match.order.number}`
+    )
+
+    console.log(`🔗 Linked supplier confirmation ${inbound.number} to outbound PO ${match.order.number} (score ${match.score})`)
+    return {
+      outboundPurchaseOrderId: match.order.id,
+      number: match.order.number,
+      score: match.score,
+      referenceMatch: match.referenceMatch,
+      skuOverlap: match.skuOverlap
+    }
+  }
+}
+
+export const outboundPurchaseOrderService = new OutboundPurchaseOrderService()
+export default outboundPurchaseOrderService
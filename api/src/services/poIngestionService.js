@@ -0,0 +1,113 @@
+/**
+ * PO Ingestion Service
+ *
+ * Queues a PO file that did not arrive through POST /api/upload/po-file
+ * (inbound email, supplier file drops): creates the purchase order, stores the
+ * file, records the Upload and a pending workflow execution. The workflow cron
+ * picks pending workflows up and runs the normal processing stages.
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { storageService } from '../lib/storageService.js'
+
+export class PoIngestionService {
+  /**
+   * @param {Object} file - { buffer, fileName, mimeType, supplierId, source, metadata }
+   * @returns {Promise<{ purchaseOrderId, uploadId, workflowId }>}
+   */
+  async ingestFile(merchantId, { buffer, fileName, mimeType, supplierId = null, source, metadata = {} }) {
+    const purchaseOrder = await prismaOperation(
+      (client) => client.purchaseOrder.create({
+        data: {
+          number: `PO-${Date.now()}`, // Temporary number, will be updated by AI processing
+          supplierName: 'Processing...',
+          totalAmount: 0,
+          currency: 'USD',
+          status: 'processing',
+          confidence: 0.0,
+          fileName,
+          fileSize: buffer.length,
+          jobStatus: 'pending',
+          merchantId,
+          supplierId
+        }
+      }),
+      `Create PO for ${source} file ${fileName}`
+    )
+
+    const uploadResult = await storageService.uploadFile(buffer, fileName, merchantId, purchaseOrder.id, mimeType)
+    if (!uploadResult.success) {
+      await prismaOperation(
+        (client) => client.purchaseOrder.delete({ where: { id: purchaseOrder.id } }),
+        `Remove PO ${purchaseOrder.id} after storage failure`
+      )
+      throw new Error(`File storage failed: ${uploadResult.error}`)
+    }
+
+    const upload = await prismaOperation(
+      (client) => client.upload.create({
+        data: {
+          fileName,
+          originalFileName: fileName,
+          fileSize: buffer.length,
+          mimeType,
+          fileUrl: uploadResult.filePath,
+          status: 'uploaded',
+          merchantId,
+          supplierId,
+          metadata: {
+            ...metadata,
+            source,
+            purchaseOrderId: purchaseOrder.id,
+            autoProcess: true,
+            uploadedAt: new Date().toISOString()
+          }
+        }
+      }),
+      `Create upload for ${source} file ${fileName}`
+    )
+
+    const workflowId = `wf_${Date.now()}_${upload.id.slice(0, 8)}`
+
+    await prismaOperation(
+      async (client) => {
+        await client.purchaseOrder.update({
+          where: { id: purchaseOrder.id },
+          data: { fileUrl: uploadResult.filePath }
+        })
+        await client.workflowExecution.create({
+          data: {
+            workflowId,
+            type: 'purchase_order_processing',
+            status: 'pending',
+            currentStage: null,
+            stagesTotal: 4,
+            stagesCompleted: 0,
+            progressPercent: 0,
+            inputData: {
+              uploadId: upload.id,
+              fileName,
+              fileSize: buffer.length,
+              mimeType,
+              source
+            },
+            merchantId,
+            uploadId: upload.id,
+            purchaseOrderId: purchaseOrder.id
+          }
+        })
+        await client.upload.update({
+          where: { id: upload.id },
+          data: { workflowId }
+        })
+      },
+      `Queue workflow for upload ${upload.id}`
+    )
+
+    console.log(`📥 Queued ${source} file ${fileName} as upload ${upload.id} (workflow ${workflowId})`)
+    return { purchaseOrderId: purchaseOrder.id, uploadId: upload.id, workflowId }
+  }
+}
+
+export const poIngestionService = new PoIngestionService()
+export default poIngestionService
@@ -0,0 +1,111 @@
+/**
+ * Price History Engine
+ * Unit cost history per SKU / supplier and cost-change detection.
+ *
+ * Points come from POLineItem rows (in store currency once normalized).
+ * A new PO line raises an alert when its unit cost moved more than the
+ * threshold from the last PO for the same SKU and supplier.
+ */
+
+export const PRICE_ALERT_DEFAULTS = {
+  thresholdPercent: 10
+}
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+export function calculateChangePercent(previous, next) {
+  if (!previous || previous <= 0 || next === null || next === undefined) return null
+  return Math.round(((next - previous) / previous) * 10000) / 100
+}
+
+/**
+ * Compare new PO lines with the last price paid to the same supplier
+ * @param {Array} lines - [{ id, sku, productName, unitCost }]
+ * @param {Object} previousBySku - sku -> { unitCost, purchaseOrderId, purchaseOrderNumber }
+ * @param {number} thresholdPercent
+ * @returns {Array} changes at or beyond the threshold
+ */
+export function detectPriceChanges(lines = [], previousBySku = {}, thresholdPercent = PRICE_ALERT_DEFAULTS.thresholdPercent) {
+  const changes = []
+  const seen = new Set()
+
+  for (const line of lines) {
+    if (!line.sku || seen.has(line.sku)) continue
+    seen.add(line.sku)
+
+    const previous = previousBySku[line.sku]
+    if (!previous) continue
+
+    const changePercent = calculateChangePercent(previous.unitCost, line.unitCost)
+    if (changePercent === null || Math.abs(changePercent) < thresholdPercent) continue
+
+    changes.push({
+      lineItemId: line.id || null,
+      sku: line.sku,
+      productName: line.productName || null,
+      previousUnitCost: roundMoney(previous.unitCost),
+      newUnitCost: roundMoney(line.unitCost),
+      changePercent,
+      direction: changePercent > 0 ? 'increase' : 'decrease',
+      previousPurchaseOrderId: previous.purchaseOrderId || null,
+      previousPurchaseOrderNumber: previous.purchaseOrderNumber || null
+    })
+  }
+
+  return changes
+}
+
+function summarizePoints(points) {
+  if (points.length === 0) {
+    return { count: 0, latest: null, min: null, max: null, average: null, changePercent: null }
+  }
+
+  const costs = points.map((point) => point.unitCost)
+  const first = points[0].unitCost
+  const latest = points[points.length - 1].unitCost
+
+  return {
+    count: points.length,
+    latest: roundMoney(latest),
+    min: roundMoney(Math.min(...costs)),
+    max: roundMoney(Math.max(...costs)),
+    average: roundMoney(costs.reduce((sum, cost) => sum + cost, 0) / costs.length),
+    changePercent: calculateChangePercent(first, latest)
+  }
+}
+
+/**
+ * Build a chronological history with overall and per-supplier summaries
+ * @param {Array} points - [{ date, unitCost, quantity, supplierId, supplierName, purchaseOrderId, purchaseOrderNumber }]
+ */
+export function buildPriceHistory(points = []) {
+  const sorted = [...points]
+    .filter((point) => point.date && Number.isFinite(Number(point.unitCost)))
+    .map((point) => ({ ...point, unitCost: roundMoney(point.unitCost), date: new Date(point.date).toISOString() }))
+    .sort((a, b) => a.date.localeCompare(b.date))
+
+  const groups = new Map()
+  for (const point of sorted) {
+    const key = point.supplierId || point.supplierName || 'unknown'
+    if (!groups.has(key)) {
+      groups.set(key, { supplierId: point.supplierId || null, supplierName: point.supplierName || null, points: [] })
+    }
+    groups.get(key).points.push(point)
+  }
+
+  return {
+    points: sorted,
+    summary: summarizePoints(sorted),
+    suppliers: [...groups.values()].map((group) => ({
+      ...group,
+      summary: summarizePoints(group.points)
+    }))
+  }
+}
+
+export default {
+  PRICE_ALERT_DEFAULTS,
+  calculateChangePercent,
+  detectPriceChanges,
+  buildPriceHistory
+}
@@ -0,0 +1,275 @@
+/**
+ * Price History Service
+ *
+ * Supplier unit cost history built from PO line items, plus cost-change alerts:
+ * - History per SKU (optionally one supplier) and per supplier across SKUs
+ * - After a PO's costs are normalized, each line is compared with the last
+ *   inbound PO for the same SKU and supplier; moves beyond the merchant's
+ *   threshold (settings.priceAlerts.thresholdPercent) become PriceAlerts
+ * - Open alerts show on the PO review screen and in merchant notifications
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import {
+  PRICE_ALERT_DEFAULTS,
+  buildPriceHistory,
+  detectPriceChanges
+} from './priceHistoryEngine.js'
+
+export const PRICE_ALERT_STATUSES = ['open', 'acknowledged']
+
+const HISTORY_LINE_SELECT = {
+  sku: true,
+  productName: true,
+  unitCost: true,
+  quantity: true,
+  createdAt: true,
+  purchaseOrder: {
+    select: {
+      id: true,
+      number: true,
+      supplierId: true,
+      supplierName: true,
+      orderDate: true,
+      createdAt: true,
+      currency: true
+    }
+  }
+}
+
+// Only supplier-issued POs reflect supplier pricing; outbound drafts reuse our own last cost
+const historyScope = (merchantId) => ({
+  merchantId,
+  direction: 'inbound',
+  status: { notIn: ['failed', 'cancelled'] }
+})
+
+const toPoint = (line) => ({
+  date: line.purchaseOrder.orderDate || line.purchaseOrder.createdAt,
+  unitCost: line.unitCost,
+  quantity: line.quantity,
+  productName: line.productName,
+  supplierId: line.purchaseOrder.supplierId,
+  supplierName: line.purchaseOrder.supplierName,
+  purchaseOrderId: line.purchaseOrder.id,
+  purchaseOrderNumber: line.purchaseOrder.number
+})
+
+export class PriceHistoryService {
+  async getSettings(merchantId) {
+    const merchant = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { settings: true }
+      }),
+      `Get price alert settings for ${merchantId}`
+    )
+
+    const threshold = Number(merchant?.settings?.priceAlerts?.thresholdPercent)
+    return {
+      thresholdPercent: Number.isFinite(threshold) && threshold > 0 ? threshold : PRICE_ALERT_DEFAULTS.thresholdPercent
+    }
+  }
+
+  async updateSettings(merchantId, { thresholdPercent }) {
+    const threshold = Number(thresholdPercent)
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1000) {
+      throw new Error('thresholdPercent must be a number between 0 and 1000')
+    }
+
+    const merchant = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { settings: true }
+      }),
+      `Get settings for ${merchantId}`
+    )
+
+    const settings = merchant?.settings || {}
+    await prismaOperation(
+      (client) => client.merchant.update({
+        where: { id: merchantId },
+        data: { settings: { ...settings, priceAlerts: { ...(settings.priceAlerts || {}), thresholdPercent: threshold } } }
+      }),
+      `Update price alert settings for ${merchantId}`
+    )
+
+    return { thresholdPercent: threshold }
+  }
+
+  /**
+   * Unit cost history for one SKU, optionally limited to one supplier
+   */
+  async getSkuHistory(merchantId, sku, { supplierId, limit = 200 } = {}) {
+    const lines = await prismaOperation(
+      (client) => client.pOLineItem.findMany({
+        where: {
+          sku,
+          purchaseOrder: { ...historyScope(merchantId), ...(supplierId ? { supplierId } : {}) }
+        },
+        select: HISTORY_LINE_SELECT,
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      `Get price history for ${sku}`
+    )
+
+    return { sku, ...buildPriceHistory(lines.map(toPoint)) }
+  }
+
+  /**
+   * Latest cost and change per SKU for one supplier
+   */
+  async getSupplierHistory(merchantId, supplierId, { limit = 1000 } = {}) {
+    const lines = await prismaOperation(
+      (client) => client.pOLineItem.findMany({
+        where: { purchaseOrder: { ...historyScope(merchantId), supplierId } },
+        select: HISTORY_LINE_SELECT,
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      `Get price history for supplier ${supplierId}`
+    )
+
+    const bySku = new Map()
+    for (const line of lines) {
+      if (!line.sku) continue
+      if (!bySku.has(line.sku)) bySku.set(line.sku, [])
+      bySku.get(line.sku).push(toPoint(line))
+    }
+
+    const skus = [...bySku.entries()].map(([sku, points]) => {
+      const history = buildPriceHistory(points)
+      return {
+        sku,
+        productName: points[0].productName,
+        points: history.points,
+        summary: history.summary
+      }
+    })
+
+    // Biggest movers first
+    skus.sort((a, b) => Math.abs(b.summary.changePercent || 0) - Math.abs(a.summary.changePercent || 0))
+    return { supplierId, skus }
+  }
+
+  /**
+   * Compare a freshly parsed PO against the last PO for each SKU from the same
+   * supplier and raise alerts. Re-running replaces the PO's open alerts.
+   * @returns {Promise<Array>} created alerts
+   */
+  async checkPurchaseOrder(merchantId, purchaseOrderId) {
+    const order = await prismaOperation(
+      (client) => client.purchaseOrder.findFirst({
+        where: { id: purchaseOrderId, merchantId },
+        select: {
+          id: true,
+          number: true,
+          direction: true,
+          supplierId: true,
+          supplierName: true,
+          currency: true,
+          createdAt: true,
+          lineItems: { select: { id: true, sku: true, productName: true, unitCost: true } }
+        }
+      }),
+      `Get PO ${purchaseOrderId} for price check`
+    )
+
+    if (!order || order.direction === 'outbound') return []
+    if (!order.supplierId && !order.supplierName) return []
+
+    const { thresholdPercent } = await this.getSettings(merchantId)
+    const supplierScope = order.supplierId ? { supplierId: order.supplierId } : { supplierName: order.supplierName }
+
+    const previousBySku = {}
+    for (const sku of [...new Set(order.lineItems.map((item) => item.sku).filter(Boolean))]) {
+      const previous = await prismaOperation(
+        (client) => client.pOLineItem.findFirst({
+          where: {
+            sku,
+            purchaseOrder: {
+              ...historyScope(merchantId),
+              ...supplierScope,
+              id: { not: order.id },
+              createdAt: { lt: order.createdAt }
+            }
+          },
+          orderBy: { createdAt: 'desc' },
+          select: { unitCost: true, purchaseOrder: { select: { id: true, number: true } } }
+        }),
+        `Get previous cost for ${sku}`
+      )
+
+      if (previous) {
+        previousBySku[sku] = {
+          unitCost: previous.unitCost,
+          purchaseOrderId: previous.purchaseOrder.id,
+          purchaseOrderNumber: previous.purchaseOrder.number
+        }
+      }
+    }
+
+    const changes = detectPriceChanges(order.lineItems, previousBySku, thresholdPercent)
+
+    const alerts = await prismaOperation(
+      (client) => client.$transaction(async (tx) => {
+        await tx.priceAlert.deleteMany({ where: { purchaseOrderId: order.id, status: 'open' } })
+
+        const created = []
+        for (const change of changes) {
+          const { direction, ...fields } = change
+          created.push(await tx.priceAlert.create({
+            data: {
+              ...fields,
+              merchantId,
+              purchaseOrderId: order.id,
+              supplierId: order.supplierId,
+              supplierName: order.supplierName,
+              thresholdPercent,
+              currency: order.currency
+            }
+          }))
+        }
+        return created
+      }),
+      `Store price alerts for PO ${order.number}`
+    )
+
+    if (alerts.length > 0) {
+      console.log(`💲 PO ${order.number}: ${alerts.length} unit cost change(s) beyond ${thresholdPercent}%`)
+    }
+    return alerts
+  }
+
+  async listAlerts(merchantId, { status, purchaseOrderId, sku, limit = 50 } = {}) {
+    return await prismaOperation(
+      (client) => client.priceAlert.findMany({
+        where: {
+          merchantId,
+          ...(status ? { status } : {}),
+          ...(purchaseOrderId ? { purchaseOrderId } : {}),
+          ...(sku ? { sku } : {})
+        },
+        include: { purchaseOrder: { select: { id: true, number: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      `List price alerts for ${merchantId}`
+    )
+  }
+
+  async acknowledgeAlert(merchantId, alertId) {
+    const result = await prismaOperation(
+      (client) => client.priceAlert.updateMany({
+        where: { id: alertId, merchantId },
+        data: { status: 'acknowledged', acknowledgedAt: new Date() }
+      }),
+      `Acknowledge price alert ${alertId}`
+    )
+    return result.count > 0
+  }
+}
+
+export const priceHistoryService = new PriceHistoryService()
+export default priceHistoryService
@@ -0,0 +1,533 @@
+/**
+ * Pricing Rule Engine
+ * Evaluates merchant PricingRule rows against a product and produces a
+ * refined retail price together with a trace of every adjustment made.
+ *
+ * Evaluation order:
+ * 1. Enabled rules sorted by priority (highest first) - first match wins
+ * 2. Rule currency conversion (sourceCurrency → targetCurrency)
+ * 3. Markup (PERCENTAGE, FIXED_AMOUNT, MARGIN_BASED, CUSTOM_FORMULA)
+ * 4. Rule min/max price bounds
+ * 5. Rounding (rule rounding, or the merchant's global rounding setting)
+ *
+ * When no rule matches, the merchant's pricingConfig.globalMarkup applies.
+ * A rule that throws while pricing (e.g. a broken CUSTOM_FORMULA) is recorded
+ * in the trace as a rule_error and evaluation moves on to the next rule.
+ */
+
+// Legacy lowercase rounding values from pricingConfig.roundingRules.rule
+const LEGACY_ROUNDING_RULES = {
+  none: 'NONE',
+  nearest_cent: 'NEAREST_CENT',
+  nearest_nickel: 'NEAREST_NICKEL',
+  nearest_dime: 'NEAREST_DIME',
+  nearest_quarter: 'NEAREST_QUARTER',
+  nearest_half: 'NEAREST_HALF',
+  nearest_dollar: 'NEAREST_DOLLAR',
+  psychological_99: 'PSYCHOLOGICAL_99',
+  psychological_95: 'PSYCHOLOGICAL_95',
+  round_up: 'ROUND_UP',
+  round_down: 'ROUND_DOWN'
+}
+
+const ROUNDING_INCREMENTS = {
+  NEAREST_CENT: 0.01,
+  NEAREST_NICKEL: 0.05,
+  NEAREST_DIME: 0.1,
+  NEAREST_QUARTER: 0.25,
+  NEAREST_HALF: 0.5,
+  NEAREST_DOLLAR: 1
+}
+
+/**
+ * Round to whole cents, avoiding binary floating point artifacts
+ * @param {number} value
+ * @returns {number}
+ */
+function toCents(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100
+}
+
+/**
+ * Apply a RoundingRule to a price
+ * @param {number} price - Price to round
+ * @param {string} rule - RoundingRule enum value (or legacy lowercase config value)
+ * @returns {number} - Rounded price
+ */
+export function roundPrice(price, rule) {
+  const normalizedRule = LEGACY_ROUNDING_RULES[rule] || rule || 'NONE'
+
+  if (ROUNDING_INCREMENTS[normalizedRule]) {
+    const increment = ROUNDING_INCREMENTS[normalizedRule]
+    return toCents(Math.round(price / increment) * increment)
+  }
+
+  switch (normalizedRule) {
+    case 'PSYCHOLOGICAL_99':
+      // 12.40 → 12.99, 13.00 → 12.99
+      return price < 1 ? 0.99 : toCents(Math.ceil(toCents(price)) - 0.01)
+    case 'PSYCHOLOGICAL_95':
+      return price < 1 ? 0.95 : toCents(Math.ceil(toCents(price)) - 0.05)
+    case 'ROUND_UP':
+      return Math.ceil(toCents(price))
+    case 'ROUND_DOWN':
+      return Math.floor(toCents(price))
+    case 'NONE':
+    default:
+      return price
+  }
+}
+
+/**
+ * Read a product field used by rule conditions
+ * @param {Object} product - Product context
+ * @param {string} field - Field name
+ */
+function getProductField(product, field) {
+  switch (field) {
+    case 'supplier':
+      return product.supplierName ?? product.supplier?.name ?? product.supplier
+    case 'price_range':
+    case 'cost':
+      return product.cost
+    case 'sku_pattern':
+    case 'sku':
+      return product.sku
+    case 'product_title':
+    case 'title':
+      return product.title
+    default:
+      return product[field]
+  }
+}
+
+/**
+ * Evaluate a single condition ({ field, operator, value })
+ * @param {Object} condition - Condition definition
+ * @param {Object} product - Product context
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, product) {
+  if (!condition || !condition.field) return false
+
+  const actual = getProductField(product, condition.field)
+  const expected = condition.value
+  const operator = condition.operator || 'equals'
+
+  if (actual === undefined || actual === null) return false
+
+  const actualText = String(actual).toLowerCase()
+  const expectedText = String(expected ?? '').toLowerCase()
+
+  switch (operator) {
+    case 'equals':
+      return actualText === expectedText
+    case 'not_equals':
+      return actualText !== expectedText
+    case 'contains':
+      return actualText.includes(expectedText)
+    case 'starts_with':
+      return actualText.startsWith(expectedText)
+    case 'ends_with':
+      return actualText.endsWith(expectedText)
+    case 'in':
+      return Array.isArray(expected) && expected.map(v => String(v).toLowerCase()).includes(actualText)
+    case 'regex':
+      try {
+        return new RegExp(expected, 'i').test(String(actual))
+      } catch {
+        return false
+      }
+    case 'range': {
+      const [min, max] = Array.isArray(expected) ? expected : []
+      const numeric = parseFloat(actual)
+      return !isNaN(numeric) &&
+        (min === undefined || min === null || numeric >= min) &&
+        (max === undefined || max === null || numeric <= max)
+    }
+    case 'gt':
+      return parseFloat(actual) > parseFloat(expected)
+    case 'gte':
+      return parseFloat(actual) >= parseFloat(expected)
+    case 'lt':
+      return parseFloat(actual) < parseFloat(expected)
+    case 'lte':
+      return parseFloat(actual) <= parseFloat(expected)
+    default:
+      return false
+  }
+}
+
+function toLowerList(value) {
+  if (value === undefined || value === null) return []
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase())
+}
+
+/**
+ * Check whether a pricing rule applies to a product
+ * @param {Object} rule - PricingRule row
+ * @param {Object} product - { cost, sku, title, category, productType, tags, supplierId, supplierName }
+ * @returns {boolean}
+ */
+export function ruleMatchesProduct(rule, product) {
+  const conditions = rule.conditions || {}
+
+  switch (rule.ruleType) {
+    case 'GLOBAL':
+      return true
+
+    case 'CATEGORY': {
+      const wanted = toLowerList(conditions.categories ?? conditions.category)
+      if (wanted.length === 0) return false
+      const productCategories = toLowerList([
+        product.category,
+        product.productType,
+        ...(product.tags || [])
+      ].filter(Boolean))
+      return productCategories.some(category => wanted.includes(category))
+    }
+
+    case 'SUPPLIER': {
+      const supplierIds = toLowerList(conditions.supplierIds ?? conditions.supplierId)
+      const supplierNames = toLowerList(conditions.supplierNames ?? conditions.supplierName)
+      const productSupplierName = getProductField(product, 'supplier')
+      return (
+        (product.supplierId && supplierIds.includes(String(product.supplierId).toLowerCase())) ||
+        (productSupplierName && supplierNames.includes(String(productSupplierName).toLowerCase()))
+      )
+    }
+
+    case 'SKU_PATTERN': {
+      if (!product.sku || !conditions.pattern) return false
+      try {
+        return new RegExp(conditions.pattern, 'i').test(product.sku)
+      } catch {
+        // Not a valid regex - treat '*' as a wildcard in a plain pattern
+        const escaped = conditions.pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+        return new RegExp(`^${escaped}$`, 'i').test(product.sku)
+      }
+    }
+
+    case 'PRICE_RANGE': {
+      const cost = parseFloat(product.cost)
+      if (isNaN(cost)) return false
+      const min = conditions.minCost ?? conditions.min
+      const max = conditions.maxCost ?? conditions.max
+      return (min === undefined || min === null || cost >= min) &&
+        (max === undefined || max === null || cost <= max)
+    }
+
+    case 'CONDITIONAL': {
+      const rules = Array.isArray(conditions) ? conditions : (conditions.rules || [])
+      if (rules.length === 0) return false
+      return conditions.match === 'any'
+        ? rules.some(condition => evaluateCondition(condition, product))
+        : rules.every(condition => evaluateCondition(condition, product))
+    }
+
+    default:
+      return false
+  }
+}
+
+/**
+ * Evaluate an arithmetic pricing formula without eval()
+ * Supports + - * / ( ), numbers, variables and min/max/round/ceil/floor
+ * @param {string} formula - e.g. "max(cost * 2, cost + 5)"
+ * @param {Object} variables - e.g. { cost: 10, markup: 40 }
+ * @returns {number}
+ */
+export function evaluateFormula(formula, variables = {}) {
+  const tokens = String(formula).match(/\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*|[-+*/(),]/g) || []
+  if (tokens.join('') !== String(formula).replace(/\s+/g, '')) {
+    throw new Error(`Invalid characters in pricing formula: ${formula}`)
+  }
+
+  const functions = { min: Math.min, max: Math.max, round: Math.round, ceil: Math.ceil, floor: Math.floor, abs: Math.abs }
+  let position = 0
+
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+
+  const parsePrimary = () => {
+    const token = next()
+    if (token === undefined) throw new Error('Unexpected end of pricing formula')
+    if (token === '(') {
+      const value = parseExpression()
+      if (next() !== ')') throw new Error('Missing closing parenthesis in pricing formula')
+      return value
+    }
+    if (token === '-') return -parsePrimary()
+    if (/^\d/.test(token)) return parseFloat(token)
+    if (functions[token]) {
+      if (next() !== '(') throw new Error(`Expected "(" after ${token}`)
+      const args = [parseExpression()]
+      while (peek() === ',') {
+        next()
+        args.push(parseExpression())
+      }
+      if (next() !== ')') throw new Error(`Missing closing parenthesis for ${token}`)
+      return functions[token](...args)
+    }
+    if (Object.prototype.hasOwnProperty.call(variables, token)) {
+      return Number(variables[token])
+    }
+    throw new Error(`Unknown identifier in pricing formula: ${token}`)
+  }
+
+  const parseTerm = () => {
+    let value = parsePrimary()
+    while (peek() === '*' || peek() === '/') {
+      const operator = next()
+      const right = parsePrimary()
+      value = operator === '*' ? value * right : value / right
+    }
+    return value
+  }
+
+  const parseExpression = () => {
+    let value = parseTerm()
+    while (peek() === '+' || peek() === '-') {
+      const operator = next()
+      const right = parseTerm()
+      value = operator === '+' ? value + right : value - right
+    }
+    return value
+  }
+
+  const result = parseExpression()
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token in pricing formula: ${tokens[position]}`)
+  }
+  if (!isFinite(result)) {
+    throw new Error(`Pricing formula did not produce a finite number: ${formula}`)
+  }
+  return result
+}
+
+/**
+ * Check a pricing rule can price products before it is saved
+ * Throws with a merchant-facing message when it can't
+ * @param {Object} rule - PricingRule fields from the rule editor
+ */
+export function validatePricingRule(rule = {}) {
+  const value = parseFloat(rule.markupValue) || 0
+
+  if (rule.markupType === 'MARGIN_BASED' && (value < 0 || value >= 100)) {
+    throw new Error('Margin must be at least 0% and below 100%')
+  }
+
+  if (rule.markupType === 'CUSTOM_FORMULA') {
+    const formula = rule.conditions?.formula
+    if (!formula || !String(formula).trim()) {
+      throw new Error('A custom formula rule needs a formula (conditions.formula)')
+    }
+    // Dry run with sample values catches syntax errors and unknown variables
+    evaluateFormula(formula, { cost: 10, markup: value, quantity: 1 })
+  }
+}
+
+/**
+ * Apply a rule's markup to a cost
+ * @param {number} cost - Unit cost (already converted to target currency)
+ * @param {Object} rule - PricingRule row
+ * @param {Object} product - Product context (for formula variables)
+ * @returns {{ price: number, description: string }}
+ */
+export function applyMarkup(cost, rule, product = {}) {
+  const value = parseFloat(rule.markupValue) || 0
+
+  switch (rule.markupType) {
+    case 'FIXED_AMOUNT':
+      return { price: cost + value, description: `Added $${value.toFixed(2)} fixed markup` }
+
+    case 'MARGIN_BASED': {
+      if (value >= 100) {
+        throw new Error(`Margin of ${value}% is not achievable`)
+      }
+      return {
+        price: cost / (1 - value / 100),
+        description: `Priced for ${value}% gross margin`
+      }
+    }
+
+    case 'CUSTOM_FORMULA': {
+      const formula = rule.conditions?.formula
+      if (!formula) {
+        throw new Error('CUSTOM_FORMULA rule has no conditions.formula')
+      }
+      const price = evaluateFormula(formula, {
+        cost,
+        markup: value,
+        quantity: parseFloat(product.quantity) || 1
+      })
+      return { price, description: `Applied formula ${formula}` }
+    }
+
+    case 'PERCENTAGE':
+    default:
+      return { price: cost * (1 + value / 100), description: `Applied ${value}% markup` }
+  }
+}
+
+/**
+ * Apply the merchant's global markup (pricingConfig.globalMarkup)
+ * globalMarkup.value is a multiplier for 'percentage' (1.5 = 50% markup)
+ */
+function applyGlobalMarkup(cost, pricingConfig) {
+  const markup = pricingConfig?.globalMarkup
+  if (!markup || !markup.value) {
+    return null
+  }
+
+  if (markup.type === 'fixed' || markup.type === 'fixed_amount') {
+    return { price: cost + markup.value, description: `Added $${markup.value} fixed markup` }
+  }
+
+  let multiplier = markup.value
+  if (markup.minMarkup && multiplier < markup.minMarkup) multiplier = markup.minMarkup
+  if (markup.maxMarkup && multiplier > markup.maxMarkup) multiplier = markup.maxMarkup
+
+  return {
+    price: cost * multiplier,
+    description: `Applied ${((multiplier - 1) * 100).toFixed(0)}% markup`
+  }
+}
+
+/**
+ * Sort enabled rules by priority (highest first), oldest first on ties
+ * @param {Array} rules - PricingRule rows
+ * @returns {Array}
+ */
+export function sortRulesByPriority(rules = []) {
+  return rules
+    .filter(rule => rule && rule.isEnabled !== false)
+    .sort((a, b) => {
+      if ((b.priority || 0) !== (a.priority || 0)) return (b.priority || 0) - (a.priority || 0)
+      return new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+    })
+}
+
+/**
+ * Price a cost with one matched rule: currency conversion, markup, then bounds
+ * @returns {Array<{ entry: Object, price: number }>} trace steps in order
+ */
+function priceWithRule(cost, rule, product) {
+  const ruleRef = { ruleId: rule.id, ruleName: rule.name, ruleType: rule.ruleType }
+  const steps = []
+  let price = cost
+  const step = (entry, newPrice) => {
+    steps.push({ entry: { ...ruleRef, ...entry }, price: newPrice })
+    price = newPrice
+  }
+
+  const sourceCurrency = rule.sourceCurrency || 'USD'
+  const targetCurrency = rule.targetCurrency || sourceCurrency
+  if (sourceCurrency !== targetCurrency && rule.exchangeRate) {
+    step({
+      type: 'currency_conversion',
+      description: `Converted ${sourceCurrency} → ${targetCurrency} at ${rule.exchangeRate}`
+    }, price * rule.exchangeRate)
+  }
+
+  const markupResult = applyMarkup(price, rule, product)
+  step({
+    type: 'pricing_rule',
+    markupType: rule.markupType,
+    markupValue: rule.markupValue,
+    description: `${rule.name}: ${markupResult.description}`
+  }, markupResult.price)
+
+  if (rule.minPrice !== null && rule.minPrice !== undefined && price < rule.minPrice) {
+    step({ type: 'price_bounds', description: `Raised to rule minimum price $${rule.minPrice}` }, rule.minPrice)
+  }
+  if (rule.maxPrice !== null && rule.maxPrice !== undefined && price > rule.maxPrice) {
+    step({ type: 'price_bounds', description: `Capped at rule maximum price $${rule.maxPrice}` }, rule.maxPrice)
+  }
+
+  return steps
+}
+
+/**
+ * Evaluate pricing rules for a product
+ * @param {Object} params
+ * @param {Object} params.product - { cost, sku, title, category, productType, tags, supplierId, supplierName, quantity }
+ * @param {Array} params.rules - PricingRule rows for the merchant
+ * @param {Object} params.pricingConfig - MerchantRefinementConfig.pricingConfig
+ * @returns {Object} - { originalPrice, adjustedPrice, markup, appliedRules, matchedRule }
+ */
+export function evaluatePricing({ product, rules = [], pricingConfig = {} }) {
+  const originalPrice = parseFloat(product.cost) || 0
+  const appliedRules = []
+  let price = originalPrice
+  let matchedRule = null
+
+  const record = (entry, newValue) => {
+    appliedRules.push({ ...entry, originalValue: toCents(price), newValue: toCents(newValue) })
+    price = newValue
+  }
+
+  // A rule that can't price the product (bad formula, impossible margin) is
+  // skipped and noted in the trace; the next matching rule gets a turn
+  for (const rule of sortRulesByPriority(rules)) {
+    let steps
+    try {
+      if (!ruleMatchesProduct(rule, product)) continue
+      steps = priceWithRule(price, rule, product)
+    } catch (error) {
+      appliedRules.push({
+        type: 'rule_error',
+        ruleId: rule.id,
+        ruleName: rule.name,
+        ruleType: rule.ruleType,
+        description: `Skipped ${rule.name}: ${error.message}`
+      })
+      continue
+    }
+
+    matchedRule = rule
+    steps.forEach(step => record(step.entry, step.price))
+    break
+  }
+
+  if (!matchedRule) {
+    const globalResult = applyGlobalMarkup(price, pricingConfig)
+    if (globalResult) {
+      record({ type: 'global_markup', description: globalResult.description }, globalResult.price)
+    }
+  }
+
+  // A rule's own rounding wins; NONE defers to the merchant's global rounding setting
+  const globalRounding = pricingConfig?.roundingRules?.enabled ? pricingConfig.roundingRules.rule : 'NONE'
+  const roundingRule = matchedRule && matchedRule.roundingRule && matchedRule.roundingRule !== 'NONE'
+    ? matchedRule.roundingRule
+    : globalRounding
+  const rounded = roundPrice(price, roundingRule)
+  if (toCents(rounded) !== toCents(price)) {
+    record({ type: 'rounding', description: `Applied ${roundingRule} rounding` }, rounded)
+  }
+
+  const minPrice = pricingConfig?.priceValidation?.minPrice || 0.01
+  const adjustedPrice = Math.max(minPrice, toCents(price))
+
+  return {
+    originalPrice,
+    adjustedPrice,
+    markup: toCents(adjustedPrice - originalPrice),
+    appliedRules,
+    matchedRule: matchedRule
+      ? { id: matchedRule.id, name: matchedRule.name, ruleType: matchedRule.ruleType, priority: matchedRule.priority }
+      : null
+  }
+}
+
+export default {
+  evaluatePricing,
+  ruleMatchesProduct,
+  applyMarkup,
+  validatePricingRule,
+  roundPrice,
+  evaluateFormula,
+  evaluateCondition,
+  sortRulesByPriority
+}
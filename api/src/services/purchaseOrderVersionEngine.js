@@ -0,0 +1,151 @@
+/**
+ * Purchase Order Version Engine
+ * Snapshots of a PO's line items per processing run, and line-level diffs
+ * between two snapshots.
+ *
+ * Lines are paired by SKU, then by product name (so a corrected SKU shows up
+ * as a change rather than a remove + add). Changed lines report field-level
+ * from/to values for quantity, unit cost and SKU.
+ *
+ * A re-run of a PO that already has lines is kept as a pending version; the
+ * PO's lines only change once the merchant accepts it.
+ */
+
+export const DIFF_FIELDS = ['sku', 'quantity', 'unitCost']
+
+export const VERSION_STATUSES = {
+  APPLIED: 'applied',
+  PENDING: 'pending',
+  REJECTED: 'rejected',
+  SUPERSEDED: 'superseded'
+}
+
+// Parts of an AI result persistence needs to apply a pending version later
+const STAGED_RESULT_FIELDS = ['model', 'confidence', 'extractedData', 'processingNotes', 'processingMethod', 'documentType', 'industry', 'dataQuality', 'warnings']
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+const normalizeSku = (value) => String(value ?? '').trim().toUpperCase()
+
+const normalizeName = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+/**
+ * Reduce persisted line items to the fields a version keeps
+ */
+export function buildVersionLines(lineItems = []) {
+  return (lineItems || []).map((item) => ({
+    sku: item.sku || null,
+    productName: item.productName || null,
+    quantity: Number(item.quantity) || 0,
+    unitCost: roundMoney(item.unitCost),
+    totalCost: roundMoney(item.totalCost ?? (Number(item.quantity) || 0) * (Number(item.unitCost) || 0))
+  }))
+}
+
+/**
+ * Slice of an AI result stored with a pending version
+ */
+export function pickStagedResult(aiResult = {}) {
+  const staged = {}
+  for (const field of STAGED_RESULT_FIELDS) {
+    if (aiResult[field] !== undefined) staged[field] = aiResult[field]
+  }
+  return staged
+}
+
+function fieldChanges(fromLine, toLine) {
+  const changes = []
+  for (const field of DIFF_FIELDS) {
+    const before = fromLine[field]
+    const after = toLine[field]
+    const same = field === 'sku'
+      ? normalizeSku(before) === normalizeSku(after)
+      : Number(before) === Number(after)
+    if (!same) {
+      const change = { field, from: before ?? null, to: after ?? null }
+      if (field !== 'sku') change.difference = roundMoney(Number(after) - Number(before))
+      changes.push(change)
+    }
+  }
+  return changes
+}
+
+/**
+ * Diff two sets of version lines
+ * @returns {Object} { added, removed, changed, unchanged, summary }
+ */
+export function diffVersionLines(fromLines = [], toLines = []) {
+  const remaining = [...fromLines]
+  const added = []
+  const changed = []
+  let unchanged = 0
+
+  const takeWhere = (predicate) => {
+    const index = remaining.findIndex(predicate)
+    return index === -1 ? null : remaining.splice(index, 1)[0]
+  }
+
+  // Exact SKU pairs first so a name match can't steal a line that has its own SKU match
+  const pending = []
+  for (const toLine of toLines) {
+    const sku = normalizeSku(toLine.sku)
+    pending.push({
+      fromLine: sku ? takeWhere((line) => normalizeSku(line.sku) === sku) : null,
+      toLine
+    })
+  }
+
+  for (const pair of pending) {
+    if (!pair.fromLine) {
+      const name = normalizeName(pair.toLine.productName)
+      pair.fromLine = name ? takeWhere((line) => normalizeName(line.productName) === name) : null
+    }
+
+    if (!pair.fromLine) {
+      added.push(pair.toLine)
+      continue
+    }
+
+    const changes = fieldChanges(pair.fromLine, pair.toLine)
+    if (changes.length === 0) {
+      unchanged++
+    } else {
+      changed.push({
+        sku: pair.toLine.sku,
+        productName: pair.toLine.productName || pair.fromLine.productName,
+        from: pair.fromLine,
+        to: pair.toLine,
+        changes
+      })
+    }
+  }
+
+  const removed = remaining
+  const fromTotal = roundMoney(fromLines.reduce((sum, line) => sum + (line.totalCost || 0), 0))
+  const toTotal = roundMoney(toLines.reduce((sum, line) => sum + (line.totalCost || 0), 0))
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+      hasChanges: added.length + removed.length + changed.length > 0,
+      fromTotal,
+      toTotal,
+      totalDifference: roundMoney(toTotal - fromTotal)
+    }
+  }
+}
+
+export default {
+  DIFF_FIELDS,
+  VERSION_STATUSES,
+  pickStagedResult,
+  buildVersionLines,
+  diffVersionLines
+}
@@ -0,0 +1,309 @@
+/**
+ * Purchase Order Version Service
+ *
+ * Keeps a snapshot of a PO's line items after every processing run so a
+ * reprocess or a revised supplier PO can be reviewed against what was there:
+ * - Persistence records a version inside its transaction (and a baseline of
+ *   the old lines the first time an unversioned PO is overwritten)
+ * - When a re-uploaded PO collides with an existing PO number, the new
+ *   version points at that PO as the one it revises
+ * - Re-running a PO that already has lines stages a pending version instead;
+ *   accepting it replaces the lines (through persistence), rejecting it leaves
+ *   the PO as it was
+ * - Diffs compare any two versions, or a PO against the PO it revises
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { VERSION_STATUSES, buildVersionLines, diffVersionLines, pickStagedResult } from './purchaseOrderVersionEngine.js'
+
+export class VersionNotPendingError extends Error {
+  constructor(versionId) {
+    super('This version has already been reviewed')
+    this.code = 'VERSION_NOT_PENDING'
+    this.versionId = versionId
+  }
+}
+
+const VERSION_SUMMARY_SELECT = {
+  id: true,
+  version: true,
+  source: true,
+  fileName: true,
+  number: true,
+  supplierName: true,
+  totalAmount: true,
+  currency: true,
+  revisionOfPurchaseOrderId: true,
+  status: true,
+  reviewedAt: true,
+  createdAt: true
+}
+
+export class PurchaseOrderVersionService {
+  async nextVersionNumber(tx, purchaseOrderId) {
+    const latest = await tx.purchaseOrderVersion.findFirst({
+      where: { purchaseOrderId },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    })
+    return (latest?.version || 0) + 1
+  }
+
+  /**
+   * Snapshot the lines a PO has right now, if it has never been versioned.
+   * Called before persistence replaces the line items.
+   */
+  async recordBaseline(tx, purchaseOrderId) {
+    const existing = await tx.purchaseOrderVersion.count({ where: { purchaseOrderId } })
+    if (existing > 0) return null
+
+    const order = await tx.purchaseOrder.findUnique({
+      where: { id: purchaseOrderId },
+      select: {
+        id: true,
+        merchantId: true,
+        number: true,
+        supplierName: true,
+        totalAmount: true,
+        currency: true,
+        fileName: true,
+        lineItems: { select: { sku: true, productName: true, quantity: true, unitCost: true, totalCost: true } }
+      }
+    })
+    if (!order || order.lineItems.length === 0) return null
+
+    return await tx.purchaseOrderVersion.create({
+      data: {
+        merchantId: order.merchantId,
+        purchaseOrderId: order.id,
+        version: 1,
+        source: 'baseline',
+        fileName: order.fileName,
+        number: order.number,
+        supplierName: order.supplierName,
+        totalAmount: order.totalAmount || 0,
+        currency: order.currency,
+        lineItems: buildVersionLines(order.lineItems)
+      }
+    })
+  }
+
+  async findRevisedOrder(tx, purchaseOrder, revisionOfNumber) {
+    if (!revisionOfNumber) return null
+    return await tx.purchaseOrder.findFirst({
+      where: {
+        merchantId: purchaseOrder.merchantId,
+        number: revisionOfNumber,
+        id: { not: purchaseOrder.id }
+      },
+      select: { id: true }
+    })
+  }
+
+  /**
+   * Record the result of a processing run
+   * @param {Object} tx - transaction client
+   * @param {Object} params - { purchaseOrder, lineItems, workflowId?, fileName?, revisionOfNumber?, stagedVersionId? }
+   *   stagedVersionId marks that pending version applied instead of adding a new one
+   */
+  async recordVersion(tx, { purchaseOrder, lineItems, workflowId = null, fileName = null, revisionOfNumber = null, stagedVersionId = null }) {
+    if (stagedVersionId) {
+      // Claim the version so two accepts can't both replace the lines
+      const claimed = await tx.purchaseOrderVersion.updateMany({
+        where: { id: stagedVersionId, status: VERSION_STATUSES.PENDING },
+        data: {
+          status: VERSION_STATUSES.APPLIED,
+          reviewedAt: new Date(),
+          number: purchaseOrder.number,
+          supplierName: purchaseOrder.supplierName,
+          totalAmount: purchaseOrder.totalAmount || 0,
+          currency: purchaseOrder.currency,
+          lineItems: buildVersionLines(lineItems)
+        }
+      })
+      if (claimed.count === 0) throw new VersionNotPendingError(stagedVersionId)
+      return await tx.purchaseOrderVersion.findUnique({ where: { id: stagedVersionId } })
+    }
+
+    const version = await this.nextVersionNumber(tx, purchaseOrder.id)
+    const revisionOf = await this.findRevisedOrder(tx, purchaseOrder, revisionOfNumber)
+
+    let source = version === 1 ? 'initial' : 'reprocess'
+    if (revisionOf) source = 'revision'
+
+    return await tx.purchaseOrderVersion.create({
+      data: {
+        merchantId: purchaseOrder.merchantId,
+        purchaseOrderId: purchaseOrder.id,
+        version,
+        source,
+        workflowId,
+        fileName: fileName || purchaseOrder.fileName || null,
+        number: purchaseOrder.number,
+        supplierName: purchaseOrder.supplierName,
+        totalAmount: purchaseOrder.totalAmount || 0,
+        currency: purchaseOrder.currency,
+        lineItems: buildVersionLines(lineItems),
+        revisionOfPurchaseOrderId: revisionOf?.id || null
+      }
+    })
+  }
+
+  /**
+   * Keep a re-run of a PO that already has lines as a pending version
+   * @param {Object} tx - transaction client
+   * @param {Object} params - { purchaseOrderId, aiResult, lineItems (rows the run would create), workflowId?, fileName?, revisionOfNumber? }
+   * @returns {Promise<{ purchaseOrder, version }|null>} null when the PO has no lines yet and the run applies directly
+   */
+  async stageVersion(tx, { purchaseOrderId, aiResult, lineItems, workflowId = null, fileName = null, revisionOfNumber = null }) {
+    const purchaseOrder = await tx.purchaseOrder.findUnique({
+      where: { id: purchaseOrderId },
+      include: { lineItems: { orderBy: { createdAt: 'asc' } } }
+    })
+    if (!purchaseOrder || purchaseOrder.lineItems.length === 0) return null
+
+    await this.recordBaseline(tx, purchaseOrderId)
+
+    // Only the newest run is up for review
+    await tx.purchaseOrderVersion.updateMany({
+      where: { purchaseOrderId, status: VERSION_STATUSES.PENDING },
+      data: { status: VERSION_STATUSES.SUPERSEDED }
+    })
+
+    const extractedData = aiResult.extractedData || {}
+    const versionLines = buildVersionLines(lineItems)
+    const revisionOf = await this.findRevisedOrder(tx, purchaseOrder, revisionOfNumber)
+
+    const version = await tx.purchaseOrderVersion.create({
+      data: {
+        merchantId: purchaseOrder.merchantId,
+        purchaseOrderId,
+        version: await this.nextVersionNumber(tx, purchaseOrderId),
+        source: revisionOf ? 'revision' : 'reprocess',
+        status: VERSION_STATUSES.PENDING,
+        workflowId,
+        fileName: fileName || purchaseOrder.fileName || null,
+        number: extractedData.poNumber || extractedData.number || purchaseOrder.number,
+        supplierName: extractedData.vendor?.name || extractedData.supplierName || purchaseOrder.supplierName,
+        totalAmount: versionLines.reduce((sum, line) => sum + line.totalCost, 0),
+        currency: extractedData.currency || purchaseOrder.currency,
+        lineItems: versionLines,
+        revisionOfPurchaseOrderId: revisionOf?.id || null,
+        stagedResult: pickStagedResult(aiResult)
+      }
+    })
+
+    return { purchaseOrder, version }
+  }
+
+  /**
+   * Discard a pending version; the PO keeps its current lines
+   * @returns {Promise<boolean>} false if that version isn't pending
+   */
+  async rejectVersion(merchantId, purchaseOrderId, version) {
+    const result = await prismaOperation(
+      (client) => client.purchaseOrderVersion.updateMany({
+        where: { merchantId, purchaseOrderId, version, status: VERSION_STATUSES.PENDING },
+        data: { status: VERSION_STATUSES.REJECTED, reviewedAt: new Date() }
+      }),
+      `Reject version ${version} of PO ${purchaseOrderId}`
+    )
+    return result.count > 0
+  }
+
+  async listVersions(merchantId, purchaseOrderId) {
+    return await prismaOperation(
+      (client) => client.purchaseOrderVersion.findMany({
+        where: { merchantId, purchaseOrderId },
+        select: VERSION_SUMMARY_SELECT,
+        orderBy: { version: 'desc' }
+      }),
+      `List versions for PO ${purchaseOrderId}`
+    )
+  }
+
+  async getVersion(merchantId, purchaseOrderId, version) {
+    return await prismaOperation(
+      (client) => client.purchaseOrderVersion.findFirst({
+        where: { merchantId, purchaseOrderId, version },
+        include: { revisionOf: { select: { id: true, number: true } } }
+      }),
+      `Get version ${version} of PO ${purchaseOrderId}`
+    )
+  }
+
+  async getLatestVersion(merchantId, purchaseOrderId, { appliedOnly = false } = {}) {
+    return await prismaOperation(
+      (client) => client.purchaseOrderVersion.findFirst({
+        where: { merchantId, purchaseOrderId, ...(appliedOnly ? { status: VERSION_STATUSES.APPLIED } : {}) },
+        orderBy: { version: 'desc' },
+        include: { revisionOf: { select: { id: true, number: true } } }
+      }),
+      `Get latest version of PO ${purchaseOrderId}`
+    )
+  }
+
+  /**
+   * Line-level diff for a PO.
+   * - from/to: version numbers (defaults: the two most recent versions)
+   * - compareTo: another PO id; diffs its latest version against this PO's latest
+   * When the latest version revises another PO and nothing else is asked for,
+   * the diff is against that PO. A pending version is compared with the lines
+   * the PO has now (its latest applied version).
+   * @returns {Promise<Object|null>} null if the PO has no versions
+   */
+  async getDiff(merchantId, purchaseOrderId, { from, to, compareTo } = {}) {
+    const toVersion = to
+      ? await this.getVersion(merchantId, purchaseOrderId, to)
+      : await this.getLatestVersion(merchantId, purchaseOrderId)
+    if (!toVersion) return null
+
+    let fromVersion = null
+    let basis = 'version'
+
+    const reviewingPending = toVersion.status === VERSION_STATUSES.PENDING
+    if (compareTo || (!from && !reviewingPending && toVersion.revisionOf && toVersion.source === 'revision')) {
+      const otherId = compareTo || toVersion.revisionOf.id
+      fromVersion = await this.getLatestVersion(merchantId, otherId, { appliedOnly: true })
+      if (!fromVersion) {
+        throw new Error('The purchase order to compare against has no versions')
+      }
+      basis = 'purchase_order'
+    } else if (from) {
+      fromVersion = await this.getVersion(merchantId, purchaseOrderId, from)
+      if (!fromVersion) {
+        throw new Error(`Version ${from} not found`)
+      }
+    } else if (toVersion.version > 1) {
+      fromVersion = await prismaOperation(
+        (client) => client.purchaseOrderVersion.findFirst({
+          where: { merchantId, purchaseOrderId, version: { lt: toVersion.version }, status: VERSION_STATUSES.APPLIED },
+          orderBy: { version: 'desc' }
+        }),
+        `Get previous version of PO ${purchaseOrderId}`
+      )
+    }
+
+    const describe = (version) => version && {
+      id: version.id,
+      purchaseOrderId: version.purchaseOrderId,
+      version: version.version,
+      source: version.source,
+      status: version.status,
+      number: version.number,
+      fileName: version.fileName,
+      totalAmount: version.totalAmount,
+      createdAt: version.createdAt
+    }
+
+    return {
+      basis,
+      from: describe(fromVersion),
+      to: describe(toVersion),
+      ...diffVersionLines(fromVersion?.lineItems || [], toVersion.lineItems || [])
+    }
+  }
+}
+
+export const purchaseOrderVersionService = new PurchaseOrderVersionService()
+export default purchaseOrderVersionService
@@ -0,0 +1,109 @@
+/**
+ * Realtime Token Engine
+ *
+ * Short-lived, HMAC-signed tokens for the SSE stream. EventSource cannot send
+ * an Authorization header, so the app trades its Shopify session token for one
+ * of these and passes it in the query string. A token is bound to one merchant
+ * (and the staff user who asked for it) and carries its own expiry.
+ *
+ * Format: base64url(JSON payload) "." base64url(HMAC-SHA256)
+ */
+
+import crypto from 'crypto'
+
+export const REALTIME_TOKEN_LIMITS = {
+  defaultTtlSeconds: 300,
+  minTtlSeconds: 30,
+  maxTtlSeconds: 3600
+}
+
+const TOKEN_VERSION = 1
+
+// Keeps these signatures distinct from other HMACs made with the same secret
+const SIGNING_CONTEXT = 'realtime-sse'
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url')
+
+function signature(secret, encodedPayload) {
+  return crypto.createHmac('sha256', secret).update(`${SIGNING_CONTEXT}.${encodedPayload}`).digest()
+}
+
+/**
+ * Clamp a configured lifetime to the allowed range
+ * @param {string|number|undefined} value - e.g. REALTIME_TOKEN_TTL_SECONDS
+ * @returns {number} seconds
+ */
+export function resolveTtlSeconds(value) {
+  const seconds = Number.parseInt(value, 10)
+  if (!Number.isFinite(seconds)) return REALTIME_TOKEN_LIMITS.defaultTtlSeconds
+  return Math.min(Math.max(seconds, REALTIME_TOKEN_LIMITS.minTtlSeconds), REALTIME_TOKEN_LIMITS.maxTtlSeconds)
+}
+
+/**
+ * Issue a token for a merchant's realtime stream
+ * @param {Object} subject - { merchantId, staffUserId }
+ * @param {Object} options - { secret, ttlSeconds, now }
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export function signRealtimeToken({ merchantId, staffUserId = null }, { secret, ttlSeconds = REALTIME_TOKEN_LIMITS.defaultTtlSeconds, now = new Date() } = {}) {
+  if (!secret) throw new Error('A signing secret is required')
+  if (!merchantId) throw new Error('merchantId is required')
+
+  const issuedAt = Math.floor(now.getTime() / 1000)
+  const payload = {
+    v: TOKEN_VERSION,
+    merchantId,
+    staffUserId,
+    iat: issuedAt,
+    exp: issuedAt + resolveTtlSeconds(ttlSeconds)
+  }
+
+  const encodedPayload = toBase64Url(JSON.stringify(payload))
+  return {
+    token: `${encodedPayload}.${toBase64Url(signature(secret, encodedPayload))}`,
+    expiresAt: new Date(payload.exp * 1000)
+  }
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token
+ * @param {Object} options - { secret, now }
+ * @returns {{ valid: true, payload: Object } | { valid: false, reason: string }}
+ *   reason is missing, malformed, bad_signature or expired
+ */
+export function verifyRealtimeToken(token, { secret, now = new Date() } = {}) {
+  if (!secret) throw new Error('A signing secret is required')
+  if (!token || typeof token !== 'string') return { valid: false, reason: 'missing' }
+
+  const parts = token.split('.')
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { valid: false, reason: 'malformed' }
+
+  const [encodedPayload, encodedSignature] = parts
+  const expected = signature(secret, encodedPayload)
+  const provided = Buffer.from(encodedSignature, 'base64url')
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { valid: false, reason: 'bad_signature' }
+  }
+
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'))
+  } catch {
+    return { valid: false, reason: 'malformed' }
+  }
+  if (payload?.v !== TOKEN_VERSION || !payload.merchantId || !Number.isInteger(payload.exp)) {
+    return { valid: false, reason: 'malformed' }
+  }
+
+  if (payload.exp * 1000 <= now.getTime()) return { valid: false, reason: 'expired' }
+
+  return { valid: true, payload }
+}
+
+export default {
+  REALTIME_TOKEN_LIMITS,
+  resolveTtlSeconds,
+  signRealtimeToken,
+  verifyRealtimeToken
+}
@@ -0,0 +1,149 @@
+/**
+ * Receiving Engine
+ * Validates shipments received against a purchase order and works out
+ * per-line over/short/damaged counts and the resulting PO status.
+ *
+ * Quantities:
+ * - quantityReceived: units that physically arrived in the shipment
+ * - quantityDamaged: the part of quantityReceived that can't be sold
+ * - inventory delta: received - damaged, the amount added to Shopify stock
+ *
+ * A PO is received once no line is short (or the merchant closes it short), and
+ * partially received while something has arrived but lines are still short.
+ */
+
+export const RECEIVING_STATUSES = {
+  PARTIAL: 'partially_received',
+  RECEIVED: 'received'
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0
+
+/**
+ * Running totals for a line item
+ * @param {Object} lineItem - POLineItem ({ quantity, quantityReceived, quantityDamaged })
+ */
+export function summarizeLineItem(lineItem) {
+  const ordered = lineItem.quantity || 0
+  const received = lineItem.quantityReceived || 0
+  const damaged = lineItem.quantityDamaged || 0
+
+  return {
+    ordered,
+    received,
+    damaged,
+    accepted: Math.max(0, received - damaged),
+    short: Math.max(0, ordered - received),
+    over: Math.max(0, received - ordered)
+  }
+}
+
+/**
+ * Validate a receipt against the PO's line items
+ * @param {Array} lineItems - POLineItem rows of the PO
+ * @param {Array} lines - [{ lineItemId, quantityReceived, quantityDamaged }]
+ * @returns {Array} normalized lines with sku and inventoryDelta
+ * @throws {Error} when a line is invalid
+ */
+export function validateReceiptLines(lineItems = [], lines = []) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new Error('At least one line is required')
+  }
+
+  const byId = new Map(lineItems.map((item) => [item.id, item]))
+  const seen = new Set()
+  const normalized = []
+
+  for (const line of lines) {
+    const lineItem = byId.get(line?.lineItemId)
+    if (!lineItem) {
+      throw new Error(`Line item ${line?.lineItemId} does not belong to this purchase order`)
+    }
+    if (seen.has(lineItem.id)) {
+      throw new Error(`Line item ${lineItem.sku} appears more than once`)
+    }
+    seen.add(lineItem.id)
+
+    const quantityReceived = line.quantityReceived ?? 0
+    const quantityDamaged = line.quantityDamaged ?? 0
+    if (!isCount(quantityReceived) || !isCount(quantityDamaged)) {
+      throw new Error(`Quantities for ${lineItem.sku} must be non-negative integers`)
+    }
+    if (quantityDamaged > quantityReceived) {
+      throw new Error(`Damaged quantity for ${lineItem.sku} cannot exceed the received quantity`)
+    }
+    if (quantityReceived === 0) continue
+
+    normalized.push({
+      lineItemId: lineItem.id,
+      sku: lineItem.sku,
+      quantityReceived,
+      quantityDamaged,
+      inventoryDelta: quantityReceived - quantityDamaged
+    })
+  }
+
+  if (normalized.length === 0) {
+    throw new Error('Receipt has no received quantities')
+  }
+
+  return normalized
+}
+
+/**
+ * Line items with the receipt's quantities added on
+ */
+export function applyReceiptToLineItems(lineItems = [], receiptLines = []) {
+  const byId = new Map(receiptLines.map((line) => [line.lineItemId, line]))
+
+  return lineItems.map((item) => {
+    const line = byId.get(item.id)
+    if (!line) return item
+    return {
+      ...item,
+      quantityReceived: (item.quantityReceived || 0) + line.quantityReceived,
+      quantityDamaged: (item.quantityDamaged || 0) + line.quantityDamaged
+    }
+  })
+}
+
+/**
+ * PO status after receiving
+ * @param {Array} lineItems - line items with updated running totals
+ * @param {Object} options - { closeShort } treats remaining shortages as never arriving
+ * @returns {string|null} 'received', 'partially_received' or null if nothing has arrived
+ */
+export function deriveReceivingStatus(lineItems = [], { closeShort = false } = {}) {
+  if (lineItems.length === 0) return null
+
+  const summaries = lineItems.map(summarizeLineItem)
+  const anyReceived = summaries.some((line) => line.received > 0)
+  if (!anyReceived) return null
+
+  if (closeShort || summaries.every((line) => line.short === 0)) {
+    return RECEIVING_STATUSES.RECEIVED
+  }
+  return RECEIVING_STATUSES.PARTIAL
+}
+
+/**
+ * Order-level over/short/damaged totals for display
+ */
+export function summarizeReceiving(lineItems = []) {
+  return lineItems.map(summarizeLineItem).reduce((totals, line) => ({
+    ordered: totals.ordered + line.ordered,
+    received: totals.received + line.received,
+    damaged: totals.damaged + line.damaged,
+    short: totals.short + line.short,
+    over: totals.over + line.over
+  }), { ordered: 0, received: 0, damaged: 0, short: 0, over: 0 })
+}
+
+export default {
+  RECEIVING_STATUSES,
+  summarizeLineItem,
+  validateReceiptLines,
+  applyReceiptToLineItems,
+  deriveReceivingStatus,
+  summarizeReceiving
+}
@@ -0,0 +1,379 @@
+/**
+ * Receiving Service
+ *
+ * Records what physically arrived for a purchase order:
+ * - Each shipment is a PurchaseOrderReceipt with per-line received/damaged counts
+ * - Running totals live on POLineItem (quantityReceived, quantityDamaged)
+ * - Shopify inventory at the chosen location is adjusted by each line's
+ *   received delta (received - damaged); failed adjustments can be retried
+ *   without double-counting
+ * - The PO moves to partially_received / received
+ * - Expected ship/arrival dates live on the PO; together with receipt
+ *   timestamps they drive supplier lead time and OTIF metrics
+ * - Open EDI ship notices (ASNs) are returned so receiving can be prefilled
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { shopifySyncService } from '../lib/shopifySyncService.js'
+import {
+  RECEIVING_STATUSES,
+  deriveReceivingStatus,
+  summarizeLineItem,
+  summarizeReceiving,
+  validateReceiptLines
+} from './receivingEngine.js'
+
+// Statuses that can't take receipts
+const CLOSED_STATUSES = ['cancelled', 'draft']
+
+const DELIVERY_DATE_FIELDS = ['expectedShipDate', 'expectedArrivalDate', 'shippedAt']
+
+function toGid(type, id) {
+  if (id === null || id === undefined || id === '') return null
+  const value = String(id)
+  return value.startsWith('gid://') ? value : `gid://shopify/${type}/${value}`
+}
+
+/**
+ * Thrown when a change would replace the line items of a PO that has receipts;
+ * the receipt lines would go with them while the stock they added stays in Shopify
+ */
+export class PurchaseOrderReceivedError extends Error {
+  constructor(purchaseOrderId, receiptCount) {
+    super(`Purchase order ${purchaseOrderId} has ${receiptCount} receipt(s) recorded; its line items can't be replaced`)
+    this.code = 'PO_HAS_RECEIPTS'
+    this.purchaseOrderId = purchaseOrderId
+    this.receiptCount = receiptCount
+  }
+}
+
+export class ReceivingService {
+  /**
+   * Receiving progress and receipt history for a PO
+   */
+  async getReceiving(merchantId, purchaseOrderId) {
+    const order = await prismaOperation(
+      (client) => client.purchaseOrder.findFirst({
+        where: { id: purchaseOrderId, merchantId },
+        select: {
+          id: true,
+          number: true,
+          status: true,
+          receivedAt: true,
+          expectedShipDate: true,
+          expectedArrivalDate: true,
+          shippedAt: true,
+          dueDate: true,
+          lineItems: {
+            select: {
+              id: true,
+              sku: true,
+              productName: true,
+              quantity: true,
+              quantityReceived: true,
+              quantityDamaged: true
+            },
+            orderBy: { createdAt: 'asc' }
+          },
+          receipts: {
+            include: { lines: true },
+            orderBy: { receivedAt: 'desc' }
+          },
+          shipNotices: {
+            where: { status: 'open' },
+            orderBy: { createdAt: 'desc' }
+          }
+        }
+      }),
+      `Get receiving for PO ${purchaseOrderId}`
+    )
+
+    if (!order) return null
+
+    return {
+      purchaseOrderId: order.id,
+      number: order.number,
+      status: order.status,
+      receivedAt: order.receivedAt,
+      expectedShipDate: order.expectedShipDate,
+      expectedArrivalDate: order.expectedArrivalDate || order.dueDate,
+      shippedAt: order.shippedAt,
+      summary: summarizeReceiving(order.lineItems),
+      lines: order.lineItems.map((item) => ({
+        id: item.id,
+        sku: item.sku,
+        productName: item.productName,
+        ...summarizeLineItem(item)
+      })),
+      receipts: order.receipts,
+      shipNotices: order.shipNotices
+    }
+  }
+
+  /**
+   * Set expected ship/arrival dates and when the supplier shipped.
+   * Fields that are omitted are left alone; null clears a date.
+   * @returns {Promise<Object|null>} the updated dates, or null if the PO doesn't exist
+   */
+  async updateDeliveryDates(merchantId, purchaseOrderId, input = {}) {
+    const data = {}
+    for (const field of DELIVERY_DATE_FIELDS) {
+      if (input[field] === undefined) continue
+      if (input[field] === null || input[field] === '') {
+        data[field] = null
+        continue
+      }
+      const date = new Date(input[field])
+      if (isNaN(date.getTime())) {
+        throw new Error(`${field} must be a valid date`)
+      }
+      data[field] = date
+    }
+
+    if (Object.keys(data).length === 0) {
+      throw new Error(`Provide at least one of: ${DELIVERY_DATE_FIELDS.join(', ')}`)
+    }
+
+    const result = await prismaOperation(
+      (client) => client.purchaseOrder.updateMany({
+        where: { id: purchaseOrderId, merchantId },
+        data
+      }),
+      `Update delivery dates for PO ${purchaseOrderId}`
+    )
+    if (result.count === 0) return null
+
+    return await prismaOperation(
+      (client) => client.purchaseOrder.findUnique({
+        where: { id: purchaseOrderId },
+        select: { id: true, expectedShipDate: true, expectedArrivalDate: true, shippedAt: true }
+      }),
+      `Get delivery dates for PO ${purchaseOrderId}`
+    )
+  }
+
+  async listLocations(merchantId) {
+    const shopifyClient = await shopifySyncService.getShopifyClient(merchantId)
+    return await shopifyClient.getLocations()
+  }
+
+  /**
+   * Shopify inventory item for a line item - local variant mirror first, then a SKU lookup
+   */
+  async resolveInventoryItemId(merchantId, lineItem, shopifyClient) {
+    const variant = await prismaOperation(
+      (client) => client.shopifyVariant.findFirst({
+        where: {
+          merchantId,
+          deletedAt: null,
+          inventoryItemId: { not: null },
+          OR: [
+            ...(lineItem.shopifyVariantId ? [{ shopifyVariantId: toGid('ProductVariant', lineItem.shopifyVariantId) }] : []),
+            { sku: lineItem.sku }
+          ]
+        },
+        select: { inventoryItemId: true }
+      }),
+      `Find inventory item for ${lineItem.sku}`
+    )
+
+    if (variant?.inventoryItemId) {
+      return toGid('InventoryItem', variant.inventoryItemId)
+    }
+
+    if (!shopifyClient) return null
+
+    const lookup = await shopifyClient.findProductBySku(lineItem.sku)
+    return lookup.variant?.inventoryItem?.id || null
+  }
+
+  /**
+   * Record a shipment against a PO and push the received delta to Shopify
+   * @param {string} merchantId
+   * @param {string} purchaseOrderId
+   * @param {Object} input - { locationId?, locationName?, reference?, notes?, receivedAt?, closeShort?, shipNoticeId?, lines: [{ lineItemId, quantityReceived, quantityDamaged }] }
+   * @returns {Promise<Object|null>} { receipt, status, inventory } or null if the PO doesn't exist
+   */
+  async recordReceipt(merchantId, purchaseOrderId, input = {}) {
+    const order = await prismaOperation(
+      (client) => client.purchaseOrder.findFirst({
+        where: { id: purchaseOrderId, merchantId },
+        select: {
+          id: true,
+          number: true,
+          status: true,
+          lineItems: { select: { id: true, sku: true, quantity: true } }
+        }
+      }),
+      `Get PO ${purchaseOrderId} for receiving`
+    )
+
+    if (!order) return null
+    if (CLOSED_STATUSES.includes(order.status)) {
+      throw new Error(`Cannot receive against a ${order.status} purchase order`)
+    }
+
+    const lines = validateReceiptLines(order.lineItems, input.lines)
+
+    let shopifyClient = null
+    try {
+      shopifyClient = await shopifySyncService.getShopifyClient(merchantId)
+    } catch (error) {
+      console.warn(`⚠️ Shopify client unavailable for receiving: ${error.message}`)
+    }
+
+    let locationId = input.locationId ? toGid('Location', input.locationId) : null
+    if (!locationId && shopifyClient) {
+      locationId = await shopifyClient.getPrimaryLocationId()
+    }
+    if (!locationId) {
+      throw new Error('locationId is required')
+    }
+
+    const { receipt, status } = await prismaOperation(
+      (client) => client.$transaction(async (tx) => {
+        const created = await tx.purchaseOrderReceipt.create({
+          data: {
+            merchantId,
+            purchaseOrderId: order.id,
+            locationId,
+            locationName: input.locationName || null,
+            reference: input.reference || null,
+            notes: input.notes || null,
+            receivedAt: input.receivedAt ? new Date(input.receivedAt) : new Date(),
+            lines: {
+              create: lines.map((line) => ({
+                ...line,
+                inventoryStatus: line.inventoryDelta > 0 ? 'pending' : 'skipped'
+              }))
+            }
+          },
+          include: { lines: true }
+        })
+
+        // The ASN this shipment was received against no longer prefills receiving
+        if (input.shipNoticeId) {
+          await tx.shipNotice.updateMany({
+            where: { id: input.shipNoticeId, purchaseOrderId: order.id },
+            data: { status: 'received', receiptId: created.id }
+          })
+        }
+
+        for (const line of lines) {
+          await tx.pOLineItem.update({
+            where: { id: line.lineItemId },
+            data: {
+              quantityReceived: { increment: line.quantityReceived },
+              quantityDamaged: { increment: line.quantityDamaged }
+            }
+          })
+        }
+
+        // Re-read totals inside the transaction so concurrent receipts see each other
+        const lineItems = await tx.pOLineItem.findMany({
+          where: { purchaseOrderId: order.id },
+          select: { quantity: true, quantityReceived: true, quantityDamaged: true }
+        })
+        const nextStatus = deriveReceivingStatus(lineItems, { closeShort: input.closeShort === true })
+
+        if (nextStatus) {
+          await tx.purchaseOrder.update({
+            where: { id: order.id },
+            data: {
+              status: nextStatus,
+              ...(nextStatus === RECEIVING_STATUSES.RECEIVED ? { receivedAt: new Date() } : {})
+            }
+          })
+        }
+
+        return { receipt: created, status: nextStatus }
+      }),
+      `Record receipt for PO ${order.number}`
+    )
+
+    console.log(`📥 Received ${lines.length} line(s) for PO ${order.number} → ${status}`)
+
+    const inventory = await this.adjustInventoryForReceipt(merchantId, receipt.id, shopifyClient)
+    return { receipt, status, inventory }
+  }
+
+  /**
+   * Push pending or failed receipt lines to Shopify. Lines that were already
+   * adjusted are never sent again, so this is safe to retry.
+   */
+  async adjustInventoryForReceipt(merchantId, receiptId, shopifyClient = null) {
+    const receipt = await prismaOperation(
+      (client) => client.purchaseOrderReceipt.findFirst({
+        where: { id: receiptId, merchantId },
+        include: {
+          lines: {
+            where: { inventoryStatus: { in: ['pending', 'failed'] } },
+            include: { lineItem: { select: { sku: true, shopifyVariantId: true } } }
+          }
+        }
+      }),
+      `Get receipt ${receiptId}`
+    )
+
+    if (!receipt) return null
+
+    if (!shopifyClient) {
+      try {
+        shopifyClient = await shopifySyncService.getShopifyClient(merchantId)
+      } catch (error) {
+        console.warn(`⚠️ Shopify client unavailable for receipt ${receiptId}: ${error.message}`)
+      }
+    }
+
+    const results = { adjusted: 0, failed: 0, errors: [] }
+
+    for (const line of receipt.lines) {
+      let update
+      try {
+        if (!shopifyClient) {
+          throw new Error('Shopify is not connected')
+        }
+
+        const inventoryItemId = line.inventoryItemId ||
+          await this.resolveInventoryItemId(merchantId, line.lineItem, shopifyClient)
+        if (!inventoryItemId) {
+          throw new Error(`No Shopify inventory item found for SKU ${line.sku}`)
+        }
+
+        await shopifyClient.adjustInventoryQuantity(inventoryItemId, receipt.locationId, line.inventoryDelta)
+
+        update = { inventoryItemId, inventoryStatus: 'adjusted', inventoryError: null, adjustedAt: new Date() }
+        results.adjusted++
+      } catch (error) {
+        update = { inventoryStatus: 'failed', inventoryError: error.message }
+        results.failed++
+        results.errors.push({ sku: line.sku, error: error.message })
+        console.error(`❌ Inventory adjustment failed for ${line.sku} (receipt ${receiptId}):`, error.message)
+      }
+
+      await prismaOperation(
+        (client) => client.purchaseOrderReceiptLine.update({
+          where: { id: line.id },
+          data: update
+        }),
+        `Update receipt line ${line.id}`
+      )
+    }
+
+    return results
+  }
+
+  /**
+   * Refuse to replace a PO's line items once goods have been received against them
+   * @param {Object} client - Prisma client or transaction the replacement runs in
+   */
+  async assertNoReceipts(client, purchaseOrderId) {
+    const receiptCount = await client.purchaseOrderReceipt.count({ where: { purchaseOrderId } })
+    if (receiptCount > 0) {
+      throw new PurchaseOrderReceivedError(purchaseOrderId, receiptCount)
+    }
+  }
+}
+
+export const receivingService = new ReceivingService()
+export default receivingService
@@ -1,5 +1,7 @@
 // Refinement Configuration Service
 import { db, prismaOperation } from '../lib/db.js';
+import { evaluatePricing, validatePricingRule } from './pricingRuleEngine.js';
+import { findDuplicate, validateDeduplicationRule } from './deduplicationEngine.js';
 
 export class RefinementConfigService {
   constructor(prisma) {
@@ -364,8 +366,11 @@ export class RefinementConfigService {
 
   /**
    * Add or update a pricing rule
+   * Throws (without an error code) when the formula or margin can't price anything
    */
   async addPricingRule(merchantId, rule) {
+    validatePricingRule(rule);
+
     const prisma = await this.getPrisma();
     const config = await this.ensureConfigExists(merchantId);
     
@@ -382,11 +387,81 @@ export class RefinementConfigService {
         roundingRule: rule.roundingRule,
         minPrice: rule.minPrice,
         maxPrice: rule.maxPrice,
+        sourceCurrency: rule.sourceCurrency,
+        targetCurrency: rule.targetCurrency,
+        exchangeRate: rule.exchangeRate,
+        isEnabled: rule.isEnabled ?? true,
         priority: rule.priority ?? 0
       }
     });
   }
 
+  /**
+   * Get enabled pricing rules for a merchant, highest priority first
+   */
+  async getPricingRules(merchantId) {
+    await this.getPrisma();
+    return await prismaOperation(
+      (client) => client.pricingRule.findMany({
+        where: { merchantId, isEnabled: true },
+        orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+      }),
+      `Get pricing rules for ${merchantId}`
+    );
+  }
+
+  /**
+   * Record that a pricing rule priced a product
+   */
+  async recordPricingRuleUsage(ruleId) {
+    const prisma = await this.getPrisma();
+    try {
+      await prisma.pricingRule.update({
+        where: { id: ruleId },
+        data: {
+          applicationCount: { increment: 1 },
+          lastUsed: new Date()
+        }
+      });
+    } catch (error) {
+      // Usage stats must never block pricing
+      console.warn(`⚠️ Failed to record usage for pricing rule ${ruleId}:`, error.message);
+    }
+  }
+
+  /**
+   * Price a product with the merchant's pricing rules
+   * @param {string} merchantId
+   * @param {Object} product - { price, sku, title, category, productType, tags, supplierId, supplierName }
+   * @param {Object} options - { recordUsage: bump applicationCount/lastUsed on the matched rule }
+   */
+  async applyPricingRules(merchantId, product, options = {}) {
+    const config = await this.getMerchantConfig(merchantId);
+
+    if (!config || !config.pricingConfig || !config.pricingConfig.enabled) {
+      return {
+        originalPrice: parseFloat(product.price),
+        adjustedPrice: parseFloat(product.price),
+        appliedRules: [],
+        matchedRule: null,
+        markup: 0
+      };
+    }
+
+    const rules = await this.getPricingRules(merchantId);
+    const result = evaluatePricing({
+      product: { ...product, cost: product.price },
+      rules,
+      pricingConfig: config.pricingConfig
+    });
+
+    if (options.recordUsage && result.matchedRule) {
+      await this.recordPricingRuleUsage(result.matchedRule.id);
+    }
+
+    return result;
+  }
+
   /**
    * Add content rule
    */
@@ -415,6 +490,10 @@ export class RefinementConfigService {
    * Add deduplication rule
    */
   async addDeduplicationRule(merchantId, rule) {
+    const matchAlgorithm = rule.matchAlgorithm ?? rule.matchType ?? 'EXACT';
+    const matchPattern = rule.matchPattern ?? null;
+    validateDeduplicationRule({ matchAlgorithm, matchPattern });
+
     const prisma = await this.getPrisma();
     const config = await this.ensureConfigExists(merchantId);
     
@@ -424,17 +503,184 @@ export class RefinementConfigService {
         configId: config.id,
         name: rule.name,
         description: rule.description,
-        matchFields: rule.matchFields,
-        matchType: rule.matchType,
-        threshold: rule.threshold,
-        action: rule.action,
-        mergeStrategy: rule.mergeStrategy,
-        conditions: rule.conditions,
+        matchFields: rule.matchFields ?? ['sku'],
+        matchAlgorithm,
+        matchThreshold: rule.matchThreshold ?? rule.threshold ?? 0.9,
+        onDuplicateAction: rule.onDuplicateAction ?? rule.action ?? 'SKIP',
+        updateExisting: rule.updateExisting ?? false,
+        mergeBehavior: rule.mergeBehavior ?? rule.mergeStrategy,
+        matchPattern,
+        isEnabled: rule.isEnabled ?? true,
         priority: rule.priority ?? 0
       }
     });
   }
 
+  /**
+   * Get enabled deduplication rules for a merchant, highest priority first
+   */
+  async getDeduplicationRules(merchantId) {
+    await this.getPrisma();
+    return await prismaOperation(
+      (client) => client.deduplicationRule.findMany({
+        where: { merchantId, isEnabled: true },
+        orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+      }),
+      `Get deduplication rules for ${merchantId}`
+    );
+  }
+
+  /**
+   * Load existing drafts and synced products a new line item could duplicate
+   * @param {string} merchantId
+   * @param {string} excludePurchaseOrderId - PO currently being processed
+   */
+  async getDeduplicationCandidates(merchantId, excludePurchaseOrderId, limit = 500) {
+    await this.getPrisma();
+
+    const drafts = await prismaOperation(
+      (client) => client.productDraft.findMany({
+        where: {
+          merchantId,
+          purchaseOrderId: { not: excludePurchaseOrderId }
+        },
+        select: {
+          id: true,
+          purchaseOrderId: true,
+          lineItemId: true,
+          supplierId: true,
+          originalTitle: true,
+          refinedTitle: true,
+          sku: true,
+          vendor: true,
+          status: true,
+          shopifyProductId: true,
+          shopifyVariantId: true,
+          POLineItem: { select: { sku: true } },
+          variants: { select: { sku: true, barcode: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      `Get deduplication draft candidates for ${merchantId}`
+    );
+
+    // Line items synced to Shopify before drafts existed still count as products
+    const syncedLineItems = await prismaOperation(
+      (client) => client.pOLineItem.findMany({
+        where: {
+          shopifyProductId: { not: null },
+          ProductDraft: null,
+          purchaseOrderId: { not: excludePurchaseOrderId },
+          purchaseOrder: { merchantId }
+        },
+        select: {
+          id: true,
+          purchaseOrderId: true,
+          sku: true,
+          productName: true,
+          shopifyProductId: true,
+          shopifyVariantId: true,
+          purchaseOrder: { select: { supplierId: true, supplierName: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      `Get synced line item candidates for ${merchantId}`
+    );
+
+    return [
+      ...drafts.map(draft => ({
+        source: 'product_draft',
+        id: draft.id,
+        purchaseOrderId: draft.purchaseOrderId,
+        lineItemId: draft.lineItemId,
+        sku: [draft.sku, draft.POLineItem?.sku, ...draft.variants.map(variant => variant.sku)].filter(Boolean),
+        barcode: draft.variants.map(variant => variant.barcode).filter(Boolean),
+        title: [draft.refinedTitle, draft.originalTitle].filter(Boolean),
+        vendor: draft.vendor,
+        supplierId: draft.supplierId,
+        status: draft.status,
+        shopifyProductId: draft.shopifyProductId,
+        shopifyVariantId: draft.shopifyVariantId
+      })),
+      ...syncedLineItems.map(item => ({
+        source: 'shopify_product',
+        id: item.id,
+        purchaseOrderId: item.purchaseOrderId,
+        lineItemId: item.id,
+        sku: item.sku,
+        title: item.productName,
+        supplierId: item.purchaseOrder?.supplierId,
+        supplierName: item.purchaseOrder?.supplierName,
+        shopifyProductId: item.shopifyProductId,
+        shopifyVariantId: item.shopifyVariantId
+      }))
+    ];
+  }
+
+  /**
+   * Record that a deduplication rule flagged a duplicate
+   */
+  async recordDeduplicationRuleMatch(ruleId) {
+    const prisma = await this.getPrisma();
+    try {
+      await prisma.deduplicationRule.update({
+        where: { id: ruleId },
+        data: {
+          matchCount: { increment: 1 },
+          lastUsed: new Date()
+        }
+      });
+    } catch (error) {
+      // Match stats must never block draft creation
+      console.warn(`⚠️ Failed to record match for deduplication rule ${ruleId}:`, error.message);
+    }
+  }
+
+  /**
+   * Load the rules and candidates every line item of one PO is checked against
+   * @param {string} merchantId
+   * @param {string} purchaseOrderId - PO being processed; its own drafts are not candidates
+   * @returns {Object|null} { rules, candidates }, or null when deduplication is off or has no rules
+   */
+  async loadDeduplicationContext(merchantId, purchaseOrderId) {
+    const config = await this.getMerchantConfig(merchantId);
+
+    if (config?.deduplicationConfig && config.deduplicationConfig.enabled === false) {
+      return null;
+    }
+
+    const rules = await this.getDeduplicationRules(merchantId);
+    if (rules.length === 0) return null;
+
+    const candidates = await this.getDeduplicationCandidates(merchantId, purchaseOrderId);
+    return { rules, candidates };
+  }
+
+  /**
+   * Check a line item against the merchant's deduplication rules
+   * @param {string} merchantId
+   * @param {Object} product - { sku, barcode, title, vendor, supplierId, supplierName, purchaseOrderId }
+   * @param {Object} options - { recordMatch: bump matchCount/lastUsed on the rule that fired,
+   *   context: loadDeduplicationContext() result, so a PO's line items share one load }
+   * @returns {Object|null} { rule, candidate, score, fieldScores, action }
+   */
+  async findDuplicateProduct(merchantId, product, options = {}) {
+    const context = options.context !== undefined
+      ? options.context
+      : await this.loadDeduplicationContext(merchantId, product.purchaseOrderId);
+    if (!context) return null;
+
+    const match = findDuplicate({ incoming: product, rules: context.rules, candidates: context.candidates });
+
+    if (match && options.recordMatch) {
+      await this.recordDeduplicationRuleMatch(match.rule.id);
+    }
+
+    return match;
+  }
+
   /**
    * Update category mapping
    */
@@ -508,97 +754,10 @@ export class RefinementConfigService {
   }
 
   /**
-   * Test pricing rules against sample data
+   * Test pricing rules against sample data (does not count as rule usage)
    */
   async testPricingRules(merchantId, sampleProduct) {
-    console.log('🔧 testPricingRules called:');
-    console.log('  merchantId:', merchantId);
-    console.log('  sampleProduct:', JSON.stringify(sampleProduct));
-    
-    const config = await this.getMerchantConfig(merchantId);
-    
-    console.log('🔧 Config loaded:');
-    console.log('  exists:', !!config);
-    console.log('  pricingConfig exists:', !!config?.pricingConfig);
-    console.log('  pricingConfig.enabled:', config?.pricingConfig?.enabled);
-    
-    if (!config || !config.pricingConfig || !config.pricingConfig.enabled) {
-      console.log('❌ Config check failed - returning original price');
-      return {
-        originalPrice: sampleProduct.price,
-        adjustedPrice: sampleProduct.price,
-        appliedRules: [],
-        markup: 0
-      };
-    }
-
-    let adjustedPrice = parseFloat(sampleProduct.price);
-    const appliedRules = [];
-
-    console.log('✅ Config check passed - applying rules');
-    console.log('  Starting price:', adjustedPrice);
-
-    // Apply global markup
-    if (config.pricingConfig.globalMarkup && config.pricingConfig.globalMarkup.value) {
-      const markup = config.pricingConfig.globalMarkup;
-      console.log('  Global markup:', markup);
-      
-      if (markup.type === 'percentage') {
-        adjustedPrice = adjustedPrice * markup.value;
-        console.log(`  Applied ${markup.value}x multiplier → $${adjustedPrice}`);
-        appliedRules.push({
-          type: 'global_markup',
-          description: `Applied ${((markup.value - 1) * 100).toFixed(0)}% markup`,
-          originalValue: sampleProduct.price,
-          newValue: adjustedPrice
-        });
-      } else if (markup.type === 'fixed') {
-        adjustedPrice = adjustedPrice + markup.value;
-        appliedRules.push({
-          type: 'global_markup',
-          description: `Added $${markup.value} fixed markup`,
-          originalValue: sampleProduct.price,
-          newValue: adjustedPrice
-        });
-      }
-    }
-
-    // Apply rounding rules
-    if (config.pricingConfig.roundingRules && config.pricingConfig.roundingRules.enabled) {
-      const roundingRule = config.pricingConfig.roundingRules.rule;
-      const originalPrice = adjustedPrice;
-      
-      switch (roundingRule) {
-        case 'psychological_99':
-          adjustedPrice = Math.floor(adjustedPrice) - 0.01;
-          break;
-        case 'round_up':
-          adjustedPrice = Math.ceil(adjustedPrice);
-          break;
-        case 'round_down':
-          adjustedPrice = Math.floor(adjustedPrice);
-          break;
-        case 'nearest_dollar':
-          adjustedPrice = Math.round(adjustedPrice);
-          break;
-      }
-      
-      if (originalPrice !== adjustedPrice) {
-        appliedRules.push({
-          type: 'rounding',
-          description: `Applied ${roundingRule} rounding`,
-          originalValue: originalPrice,
-          newValue: adjustedPrice
-        });
-      }
-    }
-
-    return {
-      originalPrice: parseFloat(sampleProduct.price),
-      adjustedPrice: Math.max(0.01, adjustedPrice), // Ensure minimum price
-      appliedRules,
-      markup: adjustedPrice - parseFloat(sampleProduct.price)
-    };
+    return this.applyPricingRules(merchantId, sampleProduct, { recordUsage: false });
   }
 
   /**
@@ -733,57 +892,46 @@ export class RefinementConfigService {
 
   /**
    * Calculate refined pricing based on merchant configuration
+   * @param {number} unitCost - Supplier unit cost
+   * @param {Object} merchantConfig - MerchantRefinementConfig row
+   * @param {Object} product - Product context used by rule conditions (sku, title, supplierId...)
    */
-  async calculateRefinedPricing(unitCost, merchantConfig) {
-    const pricing = merchantConfig?.pricing || this.getDefaultPricingConfig();
-    const appliedRules = [];
-    
-    // Start with the unit cost
-    let refinedPrice = parseFloat(unitCost) || 0;
-    let markup = pricing.globalMarkup?.value || 1.5;
-    
-    // Apply global markup
-    refinedPrice = refinedPrice * markup;
-    appliedRules.push({
-      type: 'global_markup',
-      value: markup,
-      description: `Applied ${((markup - 1) * 100).toFixed(1)}% markup`
-    });
-    
-    // Apply minimum markup constraint
-    const minMarkup = pricing.globalMarkup?.minMarkup || 1.1;
-    if (markup < minMarkup) {
-      const oldPrice = refinedPrice;
-      refinedPrice = parseFloat(unitCost) * minMarkup;
-      appliedRules.push({
-        type: 'minimum_markup',
-        value: minMarkup,
-        description: `Applied minimum markup constraint (${((minMarkup - 1) * 100).toFixed(1)}%)`
-      });
-    }
-    
-    // Apply maximum markup constraint
-    const maxMarkup = pricing.globalMarkup?.maxMarkup || 3.0;
-    if (markup > maxMarkup) {
-      const oldPrice = refinedPrice;
-      refinedPrice = parseFloat(unitCost) * maxMarkup;
-      appliedRules.push({
-        type: 'maximum_markup',
-        value: maxMarkup,
-        description: `Applied maximum markup constraint (${((maxMarkup - 1) * 100).toFixed(1)}%)`
-      });
+  async calculateRefinedPricing(unitCost, merchantConfig, product = {}) {
+    const pricingConfig = merchantConfig?.pricingConfig || merchantConfig?.pricing || this.getDefaultPricingConfig();
+    const cost = parseFloat(unitCost) || 0;
+
+    // Same switch applyPricingRules honours: no rules and no global markup
+    if (!pricingConfig.enabled) {
+      return {
+        originalCost: cost,
+        refinedPrice: cost,
+        markup: cost > 0 ? 1 : 0,
+        margin: 0,
+        appliedRules: [],
+        matchedPricingRule: null,
+        pricingStrategy: 'disabled'
+      };
     }
-    
-    // Round to reasonable precision
-    refinedPrice = Math.round(refinedPrice * 100) / 100;
-    
+
+    const rules = merchantConfig?.merchantId
+      ? await this.getPricingRules(merchantConfig.merchantId)
+      : [];
+
+    const result = evaluatePricing({
+      product: { ...product, cost: unitCost },
+      rules,
+      pricingConfig
+    });
+
+    // Rule usage is recorded once per line item, when its product draft is priced
     return {
-      originalCost: parseFloat(unitCost),
-      refinedPrice: refinedPrice,
-      markup: refinedPrice / parseFloat(unitCost),
-      margin: ((refinedPrice - parseFloat(unitCost)) / refinedPrice * 100),
-      appliedRules: appliedRules,
-      pricingStrategy: 'global_markup'
+      originalCost: cost,
+      refinedPrice: result.adjustedPrice,
+      markup: cost > 0 ? result.adjustedPrice / cost : 0,
+      margin: result.adjustedPrice > 0 ? ((result.adjustedPrice - cost) / result.adjustedPrice * 100) : 0,
+      appliedRules: result.appliedRules,
+      matchedPricingRule: result.matchedRule,
+      pricingStrategy: result.matchedRule ? 'pricing_rule' : 'global_markup'
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Reorder Point Engine
+ * Decides when a variant needs restocking and how much to reorder.
+ *
+ * Threshold resolution:
+ * 1. Merchant ReorderPoint with a fixed threshold
+ * 2. ReorderPoint with useSalesVelocity - velocity × (lead time + safety stock days)
+ * 3. No ReorderPoint - derived from velocity when auto-derivation is on,
+ *    otherwise the merchant's default threshold (if any)
+ *
+ * Sales velocity is units sold per day, taken from the InventoryChange rows
+ * recorded for orders/created and orders/cancelled webhooks. An explicit
+ * reorderQuantity wins; otherwise the suggestion tops stock up to the threshold
+ * plus coverageDays of sales (twice the threshold with no sales history).
+ */
+
+export const RESTOCK_DEFAULTS = {
+  leadTimeDays: 7,
+  safetyStockDays: 7,
+  velocityWindowDays: 30,
+  coverageDays: 30,
+  autoDeriveThresholds: true,
+  defaultThreshold: null
+}
+
+const ORDER_SOURCES = ['order_created', 'order_cancelled']
+
+/**
+ * Units sold per day over the window. Cancellations offset sales.
+ * @param {Array} changes - InventoryChange rows ({ delta, source, createdAt })
+ */
+export function calculateSalesVelocity(changes = [], windowDays = RESTOCK_DEFAULTS.velocityWindowDays, now = new Date()) {
+  if (!windowDays || windowDays <= 0) return 0
+
+  const since = now.getTime() - windowDays * 24 * 60 * 60 * 1000
+  let netChange = 0
+
+  for (const change of changes) {
+    if (!ORDER_SOURCES.includes(change.source)) continue
+    if (new Date(change.createdAt).getTime() < since) continue
+    netChange += Number(change.delta) || 0
+  }
+
+  // Order deltas are negative for sales
+  const unitsSold = Math.max(0, -netChange)
+  return Math.round((unitsSold / windowDays) * 1000) / 1000
+}
+
+export function deriveThresholdFromVelocity(velocity, leadTimeDays, safetyStockDays) {
+  if (!velocity || velocity <= 0) return null
+  return Math.ceil(velocity * ((leadTimeDays ?? 0) + (safetyStockDays ?? 0)))
+}
+
+/**
+ * Work out the reorder threshold for a variant
+ * @returns {{ threshold: number|null, source: string|null }}
+ */
+export function resolveThreshold({ reorderPoint = null, velocity = 0, settings = {} }) {
+  const config = { ...RESTOCK_DEFAULTS, ...settings }
+
+  if (reorderPoint) {
+    if (reorderPoint.isEnabled === false) {
+      return { threshold: null, source: null }
+    }
+
+    if (reorderPoint.useSalesVelocity) {
+      const derived = deriveThresholdFromVelocity(
+        velocity,
+        reorderPoint.leadTimeDays ?? config.leadTimeDays,
+        reorderPoint.safetyStockDays ?? config.safetyStockDays
+      )
+      if (derived !== null) {
+        return { threshold: derived, source: 'velocity' }
+      }
+    }
+
+    if (reorderPoint.threshold !== null && reorderPoint.threshold !== undefined) {
+      return { threshold: reorderPoint.threshold, source: 'manual' }
+    }
+
+    return { threshold: null, source: null }
+  }
+
+  if (config.autoDeriveThresholds) {
+    const derived = deriveThresholdFromVelocity(velocity, config.leadTimeDays, config.safetyStockDays)
+    if (derived !== null) {
+      return { threshold: derived, source: 'velocity' }
+    }
+  }
+
+  if (config.defaultThreshold !== null && config.defaultThreshold !== undefined) {
+    return { threshold: config.defaultThreshold, source: 'default' }
+  }
+
+  return { threshold: null, source: null }
+}
+
+/**
+ * How many units to reorder to get back above the threshold
+ */
+export function suggestReorderQuantity({ available, threshold, velocity = 0, reorderQuantity = null, coverageDays = RESTOCK_DEFAULTS.coverageDays }) {
+  if (reorderQuantity && reorderQuantity > 0) {
+    return reorderQuantity
+  }
+
+  const onHand = Math.max(0, available ?? 0)
+  const target = velocity > 0
+    ? Math.ceil(velocity * coverageDays) + threshold
+    : threshold * 2
+
+  return Math.max(1, target - onHand)
+}
+
+/**
+ * Evaluate a variant's stock against its reorder point
+ * @returns {Object} { needsRestock, threshold, thresholdSource, suggestedQuantity, velocity }
+ */
+export function evaluateRestockNeed({ available, reorderPoint = null, changes = [], settings = {}, now = new Date() }) {
+  const config = { ...RESTOCK_DEFAULTS, ...settings }
+  const velocity = calculateSalesVelocity(changes, config.velocityWindowDays, now)
+  const { threshold, source } = resolveThreshold({ reorderPoint, velocity, settings: config })
+
+  if (threshold === null || available >= threshold) {
+    return { needsRestock: false, threshold, thresholdSource: source, suggestedQuantity: 0, velocity }
+  }
+
+  return {
+    needsRestock: true,
+    threshold,
+    thresholdSource: source,
+    velocity,
+    suggestedQuantity: suggestReorderQuantity({
+      available,
+      threshold,
+      velocity,
+      reorderQuantity: reorderPoint?.reorderQuantity,
+      coverageDays: config.coverageDays
+    })
+  }
+}
+
+export default {
+  RESTOCK_DEFAULTS,
+  calculateSalesVelocity,
+  deriveThresholdFromVelocity,
+  resolveThreshold,
+  suggestReorderQuantity,
+  evaluateRestockNeed
+}
@@ -0,0 +1,300 @@
+/**
+ * Restock Service
+ *
+ * Turns inventory webhooks into restock suggestions:
+ * - Per-SKU reorder points (fixed or derived from sales velocity)
+ * - When stock drops below the threshold, the SKU is added to an open
+ *   suggestion for the supplier that last supplied it (from POLineItem history)
+ * - When stock recovers, the SKU is removed again
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { RESTOCK_DEFAULTS, evaluateRestockNeed } from './reorderPointEngine.js'
+
+const SUGGESTION_STATUSES = ['open', 'ordered', 'dismissed', 'resolved']
+
+export class RestockService {
+  /**
+   * Merchant-level overrides stored under Merchant.settings.restock
+   */
+  async getSettings(merchantId) {
+    const merchant = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { settings: true }
+      }),
+      `Get restock settings for ${merchantId}`
+    )
+    return { ...RESTOCK_DEFAULTS, ...(merchant?.settings?.restock || {}) }
+  }
+
+  async getOrderChanges(merchantId, sku, windowDays) {
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000)
+    return await prismaOperation(
+      (client) => client.inventoryChange.findMany({
+        where: {
+          merchantId,
+          sku,
+          source: { in: ['order_created', 'order_cancelled'] },
+          createdAt: { gte: since }
+        },
+        select: { delta: true, source: true, createdAt: true }
+      }),
+      `Get order history for ${sku}`
+    )
+  }
+
+  /**
+   * Supplier and cost from the most recent PO that contained the SKU
+   */
+  async findLastSupplier(merchantId, sku) {
+    const lineItem = await prismaOperation(
+      (client) => client.pOLineItem.findFirst({
+        where: {
+          sku,
+          purchaseOrder: { merchantId, direction: 'inbound' }
+        },
+        orderBy: { createdAt: 'desc' },
+        select: {
+          unitCost: true,
+          productName: true,
+          purchaseOrder: {
+            select: { id: true, number: true, supplierId: true, supplierName: true }
+          }
+        }
+      }),
+      `Find last supplier for ${sku}`
+    )
+
+    if (!lineItem) return null
+
+    return {
+      supplierId: lineItem.purchaseOrder.supplierId,
+      supplierName: lineItem.purchaseOrder.supplierName,
+      purchaseOrderId: lineItem.purchaseOrder.id,
+      purchaseOrderNumber: lineItem.purchaseOrder.number,
+      unitCost: lineItem.unitCost,
+      productName: lineItem.productName
+    }
+  }
+
+  /**
+   * Check a SKU's current stock (summed across locations) against its reorder point
+   * @param {string} merchantId
+   * @param {Object} variant - { sku, inventoryItemId, shopifyVariantId, productTitle }
+   */
+  async evaluateVariant(merchantId, variant) {
+    const { sku, inventoryItemId } = variant
+    if (!sku || !inventoryItemId) return null
+
+    const [settings, reorderPoint, totals] = await Promise.all([
+      this.getSettings(merchantId),
+      prismaOperation(
+        (client) => client.reorderPoint.findUnique({
+          where: { merchantId_sku: { merchantId, sku } }
+        }),
+        `Get reorder point for ${sku}`
+      ),
+      prismaOperation(
+        (client) => client.inventoryLevel.aggregate({
+          where: { merchantId, inventoryItemId },
+          _sum: { available: true },
+          _count: true
+        }),
+        `Sum inventory for ${inventoryItemId}`
+      )
+    ])
+
+    if (!totals._count) return null
+
+    const available = totals._sum.available ?? 0
+    const changes = await this.getOrderChanges(merchantId, sku, settings.velocityWindowDays)
+    const evaluation = evaluateRestockNeed({ available, reorderPoint, changes, settings })
+
+    if (evaluation.needsRestock) {
+      await this.addToSuggestion(merchantId, { ...variant, available }, evaluation)
+    } else {
+      await this.removeFromOpenSuggestions(merchantId, sku)
+    }
+
+    return { sku, available, ...evaluation }
+  }
+
+  /**
+   * Add or refresh a SKU on the open suggestion for its last supplier
+   */
+  async addToSuggestion(merchantId, variant, evaluation) {
+    const lastSupply = await this.findLastSupplier(merchantId, variant.sku)
+    const supplierName = lastSupply?.supplierName || 'Unassigned supplier'
+    const supplierId = lastSupply?.supplierId || null
+
+    const suggestion = await prismaOperation(
+      async (client) => {
+        const existing = await client.restockSuggestion.findFirst({
+          where: {
+            merchantId,
+            status: 'open',
+            ...(supplierId ? { supplierId } : { supplierId: null, supplierName })
+          }
+        })
+        return existing || client.restockSuggestion.create({
+          data: { merchantId, supplierId, supplierName, status: 'open' }
+        })
+      },
+      `Find or create restock suggestion for ${supplierName}`
+    )
+
+    const itemData = {
+      shopifyVariantId: variant.shopifyVariantId || null,
+      inventoryItemId: variant.inventoryItemId || null,
+      productTitle: variant.productTitle || lastSupply?.productName || null,
+      available: variant.available,
+      threshold: evaluation.threshold,
+      thresholdSource: evaluation.thresholdSource,
+      suggestedQuantity: evaluation.suggestedQuantity,
+      salesVelocity: evaluation.velocity,
+      lastUnitCost: lastSupply?.unitCost ?? null,
+      lastPurchaseOrderId: lastSupply?.purchaseOrderId || null
+    }
+
+    await prismaOperation(
+      (client) => client.restockSuggestionItem.upsert({
+        where: { suggestionId_sku: { suggestionId: suggestion.id, sku: variant.sku } },
+        update: itemData,
+        create: { suggestionId: suggestion.id, sku: variant.sku, ...itemData }
+      }),
+      `Upsert restock item ${variant.sku}`
+    )
+
+    // Touch the suggestion so lists sort by latest activity
+    await prismaOperation(
+      (client) => client.restockSuggestion.update({
+        where: { id: suggestion.id },
+        data: { updatedAt: new Date() }
+      }),
+      `Touch restock suggestion ${suggestion.id}`
+    )
+
+    console.log(`📦 Restock suggested: ${variant.sku} (${variant.available}/${evaluation.threshold}) → ${supplierName}`)
+    return suggestion
+  }
+
+  /**
+   * Drop a SKU from open suggestions once stock is back above its threshold
+   */
+  async removeFromOpenSuggestions(merchantId, sku) {
+    const removed = await prismaOperation(
+      (client) => client.restockSuggestionItem.deleteMany({
+        where: { sku, suggestion: { merchantId, status: 'open' } }
+      }),
+      `Remove ${sku} from open restock suggestions`
+    )
+
+    if (removed.count > 0) {
+      await prismaOperation(
+        (client) => client.restockSuggestion.updateMany({
+          where: { merchantId, status: 'open', items: { none: {} } },
+          data: { status: 'resolved', resolvedAt: new Date() }
+        }),
+        `Resolve empty restock suggestions for ${merchantId}`
+      )
+    }
+
+    return removed.count
+  }
+
+  async listSuggestions(merchantId, { status = 'open', limit = 50 } = {}) {
+    return await prismaOperation(
+      (client) => client.restockSuggestion.findMany({
+        where: {
+          merchantId,
+          ...(status && status !== 'all' ? { status } : {})
+        },
+        include: {
+          items: { orderBy: { available: 'asc' } },
+          supplier: { select: { id: true, name: true, contactEmail: true } }
+        },
+        orderBy: { updatedAt: 'desc' },
+        take: limit
+      }),
+      `List restock suggestions for ${merchantId}`
+    )
+  }
+
+  async updateSuggestionStatus(merchantId, suggestionId, status) {
+    if (!SUGGESTION_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Must be one of ${SUGGESTION_STATUSES.join(', ')}`)
+    }
+
+    const result = await prismaOperation(
+      (client) => client.restockSuggestion.updateMany({
+        where: { id: suggestionId, merchantId },
+        data: {
+          status,
+          resolvedAt: status === 'open' ? null : new Date()
+        }
+      }),
+      `Update restock suggestion ${suggestionId}`
+    )
+    return result.count > 0
+  }
+
+  async listReorderPoints(merchantId) {
+    return await prismaOperation(
+      (client) => client.reorderPoint.findMany({
+        where: { merchantId },
+        orderBy: { sku: 'asc' }
+      }),
+      `List reorder points for ${merchantId}`
+    )
+  }
+
+  /**
+   * Create or update the reorder point for a SKU
+   */
+  async upsertReorderPoint(merchantId, point) {
+    if (!point?.sku) {
+      throw new Error('sku is required')
+    }
+    if (!point.useSalesVelocity && (point.threshold === undefined || point.threshold === null)) {
+      throw new Error('threshold is required unless useSalesVelocity is enabled')
+    }
+    for (const field of ['threshold', 'reorderQuantity', 'leadTimeDays', 'safetyStockDays']) {
+      if (point[field] !== undefined && point[field] !== null && (!Number.isInteger(point[field]) || point[field] < 0)) {
+        throw new Error(`${field} must be a non-negative integer`)
+      }
+    }
+
+    const data = {
+      shopifyVariantId: point.shopifyVariantId ?? null,
+      threshold: point.threshold ?? null,
+      reorderQuantity: point.reorderQuantity ?? null,
+      useSalesVelocity: point.useSalesVelocity ?? false,
+      leadTimeDays: point.leadTimeDays ?? RESTOCK_DEFAULTS.leadTimeDays,
+      safetyStockDays: point.safetyStockDays ?? RESTOCK_DEFAULTS.safetyStockDays,
+      isEnabled: point.isEnabled ?? true
+    }
+
+    return await prismaOperation(
+      (client) => client.reorderPoint.upsert({
+        where: { merchantId_sku: { merchantId, sku: point.sku } },
+        update: data,
+        create: { merchantId, sku: point.sku, ...data }
+      }),
+      `Upsert reorder point ${point.sku}`
+    )
+  }
+
+  async deleteReorderPoint(merchantId, id) {
+    const result = await prismaOperation(
+      (client) => client.reorderPoint.deleteMany({
+        where: { id, merchantId }
+      }),
+      `Delete reorder point ${id}`
+    )
+    return result.count > 0
+  }
+}
+
+export const restockService = new RestockService()
+export default restockService
@@ -0,0 +1,121 @@
+/**
+ * Secret Rotation Engine
+ *
+ * Pure helpers for keeping stored secrets sealed the way the merchant's
+ * settings ask for: where the secrets live on each record (merchant
+ * credentials, supplier drop logins, sync schedule auth), what each stored
+ * value needs (encrypt, decrypt, re-seal under the active key or keep) and a
+ * per-key inventory for the encryption status screen.
+ */
+
+import { describeCiphertext } from '../utils/encryption.js'
+import { SECRET_FIELDS } from './supplierFileFetchEngine.js'
+import { SCHEDULE_SECRET_FIELDS } from './syncScheduleEngine.js'
+
+export const MERCHANT_SECRET_FIELDS = ['accessToken', 'webhookSecret']
+
+export const SECRET_ACTIONS = ['keep', 'encrypt', 'decrypt', 'reseal']
+
+/**
+ * What a stored secret needs so it matches the merchant's settings
+ * @param {string|null} value - Stored value
+ * @param {Object} target - { encryptAtRest, activeKeyId, dataKeyId }; dataKeyId
+ *   is set when the merchant's secrets are sealed with their own data key
+ * @returns {string} One of SECRET_ACTIONS
+ */
+export function planSecret(value, { encryptAtRest = true, activeKeyId, dataKeyId = null } = {}) {
+  if (!value || typeof value !== 'string') return 'keep'
+
+  const sealed = describeCiphertext(value)
+  if (!encryptAtRest) return sealed ? 'decrypt' : 'keep'
+  if (!sealed) return 'encrypt'
+
+  if (dataKeyId) {
+    return sealed.scheme === 'data_key' && sealed.keyId === dataKeyId ? 'keep' : 'reseal'
+  }
+  return sealed.scheme === 'master' && sealed.keyId === activeKeyId ? 'keep' : 'reseal'
+}
+
+/**
+ * Apply a transform to every secret in a record, returning a copy
+ * @param {string} kind - merchant, supplier_connection (Supplier.connectionConfig)
+ *   or sync_schedule (SyncSchedule.config)
+ * @param {Object|null} record - Record or JSON config holding the secrets
+ * @param {Function} transform - (value, path) => new value
+ * @returns {Object|null}
+ */
+export function mapSecrets(kind, record, transform) {
+  if (!record || typeof record !== 'object') return record
+
+  const mapped = { ...record }
+  const mapFields = (fields) => {
+    for (const field of fields) {
+      if (mapped[field]) mapped[field] = transform(mapped[field], field)
+    }
+  }
+
+  switch (kind) {
+    case 'merchant':
+      mapFields(MERCHANT_SECRET_FIELDS)
+      break
+    case 'supplier_connection':
+      mapFields(SECRET_FIELDS)
+      break
+    case 'sync_schedule':
+      mapFields(SCHEDULE_SECRET_FIELDS)
+      if (Array.isArray(record.customHeaders)) {
+        mapped.customHeaders = record.customHeaders.map((header, index) => (
+          header?.value ? { ...header, value: transform(header.value, `customHeaders.${index}`) } : header
+        ))
+      }
+      break
+    default:
+      throw new Error(`Unknown secret kind: ${kind}`)
+  }
+
+  return mapped
+}
+
+/**
+ * Every secret value in a record, in mapSecrets order
+ * @returns {Array<{path: string, value: string}>}
+ */
+export function listSecrets(kind, record) {
+  const secrets = []
+  mapSecrets(kind, record, (value, path) => {
+    secrets.push({ path, value })
+    return value
+  })
+  return secrets
+}
+
+/**
+ * Count stored secrets by how they are sealed
+ * @param {Array<string>} values - Stored secret values
+ * @returns {{total: number, plaintext: number, legacy: number, byKey: Object, dataKey: number}}
+ */
+export function summarizeSecrets(values) {
+  const summary = { total: 0, plaintext: 0, legacy: 0, byKey: {}, dataKey: 0 }
+
+  for (const value of values) {
+    if (!value) continue
+    summary.total++
+
+    const sealed = describeCiphertext(value)
+    if (!sealed) summary.plaintext++
+    else if (sealed.scheme === 'legacy') summary.legacy++
+    else if (sealed.scheme === 'data_key') summary.dataKey++
+    else summary.byKey[sealed.keyId] = (summary.byKey[sealed.keyId] || 0) + 1
+  }
+
+  return summary
+}
+
+export default {
+  MERCHANT_SECRET_FIELDS,
+  SECRET_ACTIONS,
+  planSecret,
+  mapSecrets,
+  listSecrets,
+  summarizeSecrets
+}
@@ -0,0 +1,334 @@
+/**
+ * Secret Store Service
+ *
+ * Seals and opens the secrets kept for a merchant (Shopify access token and
+ * webhook secret, supplier SFTP logins, sync schedule auth) according to the
+ * merchant's `dataEncryption` setting, and re-seals them when the master key
+ * rotates.
+ *
+ * With ENVELOPE_ENCRYPTION=true each merchant's secrets are sealed with their
+ * own data key, stored on the merchant wrapped by the master key; rotating the
+ * master key then only re-wraps data keys. The re-encryption job walks every
+ * merchant and brings each stored value in line with the active key and the
+ * merchant's settings.
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import {
+  currentKeyId,
+  dataKeyId,
+  decrypt,
+  decryptWithDataKey,
+  describeCiphertext,
+  encrypt,
+  encryptWithDataKey,
+  generateDataKey,
+  needsReencryption,
+  unwrapDataKey,
+  wrapDataKey
+} from '../utils/encryption.js'
+import { listSecrets, mapSecrets, planSecret, summarizeSecrets } from './secretRotationEngine.js'
+
+// Unwrapping a data key costs a key derivation; keep merchant key contexts briefly
+const CACHE_TTL_MS = 5 * 60 * 1000
+
+export class SecretStoreService {
+  constructor() {
+    this.cache = new Map()
+  }
+
+  get envelopeEnabled() {
+    return process.env.ENVELOPE_ENCRYPTION === 'true'
+  }
+
+  invalidate(merchantId) {
+    this.cache.delete(merchantId)
+  }
+
+  async _loadMerchant(merchantId) {
+    return prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { id: true, dataEncryption: true, dataKey: true, dataKeyRotatedAt: true }
+      }),
+      `Load encryption settings for merchant ${merchantId}`
+    )
+  }
+
+  /**
+   * How a merchant's secrets are sealed: { encryptAtRest, dataKey }.
+   * Unknown merchants (credentials saved before the merchant row exists) get
+   * the defaults: encrypted with the master key.
+   */
+  async _context(merchantId) {
+    const cached = this.cache.get(merchantId)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.context
+    }
+
+    const merchant = merchantId ? await this._loadMerchant(merchantId) : null
+    const context = {
+      encryptAtRest: merchant ? merchant.dataEncryption : true,
+      dataKey: merchant?.dataKey ? unwrapDataKey(merchant.dataKey) : null,
+      exists: Boolean(merchant)
+    }
+
+    this.cache.set(merchantId, { context, expiresAt: Date.now() + CACHE_TTL_MS })
+    return context
+  }
+
+  /**
+   * Key context for writes; creates the merchant's data key on first use when
+   * envelope encryption is on
+   */
+  async _writeContext(merchantId) {
+    const context = await this._context(merchantId)
+    if (!this.envelopeEnabled || !context.encryptAtRest || context.dataKey || !context.exists) {
+      return context
+    }
+
+    // updateMany on dataKey: null so parallel first writes keep a single key
+    const dataKey = generateDataKey()
+    await prismaOperation(
+      (client) => client.merchant.updateMany({
+        where: { id: merchantId, dataKey: null },
+        data: { dataKey: wrapDataKey(dataKey), dataKeyRotatedAt: new Date() }
+      }),
+      `Create data key for merchant ${merchantId}`
+    )
+    this.invalidate(merchantId)
+    console.log(`🔑 Created data key for merchant ${merchantId}`)
+    return this._context(merchantId)
+  }
+
+  _target(context) {
+    return {
+      encryptAtRest: context.encryptAtRest,
+      activeKeyId: currentKeyId(),
+      dataKeyId: this.envelopeEnabled && context.encryptAtRest && context.dataKey ? dataKeyId(context.dataKey) : null
+    }
+  }
+
+  _openWith(context, value) {
+    const sealed = describeCiphertext(value)
+    if (!sealed) return value
+    if (sealed.scheme !== 'data_key') return decrypt(value)
+    if (!context.dataKey) throw new Error('Failed to decrypt data')
+    return decryptWithDataKey(value, context.dataKey)
+  }
+
+  _sealWith(target, dataKey, plaintext) {
+    return target.dataKeyId ? encryptWithDataKey(plaintext, dataKey) : encrypt(plaintext)
+  }
+
+  /**
+   * Bring one stored value in line with the target, opening with `from`
+   * and sealing with `to` (they differ only while a data key rotates)
+   */
+  _conform(from, to, target, value) {
+    const action = planSecret(value, target)
+    if (action === 'keep') return { action, value }
+    if (action === 'encrypt') return { action, value: this._sealWith(target, to.dataKey, value) }
+
+    const plaintext = this._openWith(from, value)
+    return { action, value: action === 'decrypt' ? plaintext : this._sealWith(target, to.dataKey, plaintext) }
+  }
+
+  /**
+   * Seal a secret for storage, or leave it as plain text when the merchant
+   * turned data encryption off
+   */
+  async seal(merchantId, value) {
+    if (!value) return value
+    const context = await this._writeContext(merchantId)
+    return this._conform(context, context, this._target(context), value).value
+  }
+
+  /**
+   * Plain text of a stored secret, whichever way it was sealed
+   */
+  async open(merchantId, value) {
+    if (!value) return value
+    const context = await this._context(merchantId)
+    return this._openWith(context, value)
+  }
+
+  /**
+   * Seal every secret in a record (see secretRotationEngine.mapSecrets for kinds)
+   */
+  async sealSecrets(merchantId, kind, record) {
+    const context = await this._writeContext(merchantId)
+    const target = this._target(context)
+    return mapSecrets(kind, record, (value) => this._conform(context, context, target, value).value)
+  }
+
+  async openSecrets(merchantId, kind, record) {
+    const context = await this._context(merchantId)
+    return mapSecrets(kind, record, (value) => this._openWith(context, value))
+  }
+
+  async _loadSecrets(merchantId) {
+    return prismaOperation(
+      (client) => Promise.all([
+        client.merchant.findUnique({
+          where: { id: merchantId },
+          select: { id: true, accessToken: true, webhookSecret: true, dataEncryption: true, dataKey: true, dataKeyRotatedAt: true }
+        }),
+        client.supplier.findMany({
+          where: { merchantId },
+          select: { id: true, connectionConfig: true }
+        }),
+        client.syncSchedule.findMany({
+          where: { merchantId },
+          select: { id: true, config: true }
+        })
+      ]),
+      `Load stored secrets for merchant ${merchantId}`
+    )
+  }
+
+  /**
+   * Re-encrypt one merchant's secrets: re-seal values under retired keys,
+   * encrypt or decrypt to match dataEncryption, and re-wrap (or, with
+   * rotateDataKey, replace) their data key.
+   */
+  async rotateMerchant(merchantId, { rotateDataKey = false } = {}) {
+    const [merchant, suppliers, schedules] = await this._loadSecrets(merchantId)
+    if (!merchant) return null
+
+    this.invalidate(merchantId)
+    const from = await this._context(merchantId)
+
+    let dataKey = from.dataKey
+    let wrappedKey = merchant.dataKey
+    if (this.envelopeEnabled && merchant.dataEncryption && (rotateDataKey || !dataKey)) {
+      dataKey = generateDataKey()
+      wrappedKey = wrapDataKey(dataKey)
+    } else if (wrappedKey && needsReencryption(wrappedKey)) {
+      wrappedKey = wrapDataKey(dataKey)
+    }
+
+    const to = { encryptAtRest: merchant.dataEncryption, dataKey }
+    const target = this._target(to)
+    const summary = { merchantId, encrypted: 0, decrypted: 0, resealed: 0, failed: [], dataKeyRewrapped: wrappedKey !== merchant.dataKey }
+
+    const conformAll = (kind, record, label) => {
+      let changed = false
+      const mapped = mapSecrets(kind, record, (value, path) => {
+        try {
+          const result = this._conform(from, to, target, value)
+          if (result.action === 'keep') return value
+          summary[{ encrypt: 'encrypted', decrypt: 'decrypted', reseal: 'resealed' }[result.action]]++
+          changed = true
+          return result.value
+        } catch (error) {
+          summary.failed.push(`${label}.${path}`)
+          return value
+        }
+      })
+      return changed ? mapped : null
+    }
+
+    const updates = []
+    const merchantSecrets = conformAll('merchant', merchant, 'merchant')
+    if (merchantSecrets || summary.dataKeyRewrapped) {
+      updates.push((client) => client.merchant.update({
+        where: { id: merchantId },
+        data: {
+          ...(merchantSecrets && { accessToken: merchantSecrets.accessToken, webhookSecret: merchantSecrets.webhookSecret }),
+          ...(summary.dataKeyRewrapped && { dataKey: wrappedKey, dataKeyRotatedAt: new Date() })
+        }
+      }))
+    }
+    for (const supplier of suppliers) {
+      const connectionConfig = conformAll('supplier_connection', supplier.connectionConfig, `supplier:${supplier.id}`)
+      if (connectionConfig) {
+        updates.push((client) => client.supplier.update({ where: { id: supplier.id }, data: { connectionConfig } }))
+      }
+    }
+    for (const schedule of schedules) {
+      const config = conformAll('sync_schedule', schedule.config, `sync_schedule:${schedule.id}`)
+      if (config) {
+        updates.push((client) => client.syncSchedule.update({ where: { id: schedule.id }, data: { config } }))
+      }
+    }
+
+    // Values still sealed with the old data key would be lost with it
+    if (summary.failed.length > 0 && dataKey !== from.dataKey && from.dataKey) {
+      throw new Error(`Could not open ${summary.failed.join(', ')}; data key not rotated`)
+    }
+
+    if (updates.length > 0) {
+      await prismaOperation(
+        (client) => client.$transaction(updates.map((update) => update(client))),
+        `Re-encrypt secrets for merchant ${merchantId}`
+      )
+    }
+    this.invalidate(merchantId)
+
+    return summary
+  }
+
+  /**
+   * Re-encryption job: rotate every merchant's stored secrets
+   */
+  async rotateAll() {
+    const merchants = await prismaOperation(
+      (client) => client.merchant.findMany({ select: { id: true } }),
+      'List merchants for secret re-encryption'
+    )
+
+    const results = { merchants: merchants.length, encrypted: 0, decrypted: 0, resealed: 0, failed: 0 }
+    for (const { id } of merchants) {
+      try {
+        const summary = await this.rotateMerchant(id)
+        if (!summary) continue
+        results.encrypted += summary.encrypted
+        results.decrypted += summary.decrypted
+        results.resealed += summary.resealed
+        results.failed += summary.failed.length
+        if (summary.failed.length > 0) {
+          console.error(`🔐 Could not re-encrypt ${summary.failed.join(', ')} for merchant ${id}`)
+        }
+      } catch (error) {
+        results.failed++
+        console.error(`🔐 Secret re-encryption failed for merchant ${id}:`, error.message)
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * How a merchant's stored secrets are sealed, and how many the next
+   * re-encryption would change
+   */
+  async status(merchantId) {
+    const [merchant, suppliers, schedules] = await this._loadSecrets(merchantId)
+    if (!merchant) return null
+
+    const values = [
+      ...listSecrets('merchant', merchant),
+      ...suppliers.flatMap((supplier) => listSecrets('supplier_connection', supplier.connectionConfig)),
+      ...schedules.flatMap((schedule) => listSecrets('sync_schedule', schedule.config))
+    ].map(({ value }) => value)
+
+    const context = await this._context(merchantId)
+    const target = this._target(context)
+    if (this.envelopeEnabled && merchant.dataEncryption && !context.dataKey) {
+      target.dataKeyId = 'pending'
+    }
+
+    return {
+      dataEncryption: merchant.dataEncryption,
+      activeKeyId: target.activeKeyId,
+      envelopeEncryption: this.envelopeEnabled,
+      dataKeyRotatedAt: merchant.dataKeyRotatedAt,
+      secrets: summarizeSecrets(values),
+      pending: values.filter((value) => planSecret(value, target) !== 'keep').length
+    }
+  }
+}
+
+export const secretStoreService = new SecretStoreService()
+export default secretStoreService
@@ -1,5 +1,18 @@
 import { prismaOperation } from '../lib/db.js';
 
+const REVIEW_ACTIONS = {
+  PENDING_REVIEW: 'submitted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Review history / audit verb for an update that sets `status`
+ */
+export function reviewAction(status) {
+  return REVIEW_ACTIONS[status] || 'edited';
+}
+
 export class SimpleProductDraftService {
   constructor(dbProvider) {
     this.db = dbProvider;
@@ -91,14 +104,16 @@ export class SimpleProductDraftService {
 
   /**
    * Update a product draft
+   * With a reviewer (the acting staff member's name) the draft is stamped as
+   * reviewed by them and the change is recorded in its review history.
    */
-  async updateProductDraft(id, data) {
-    const updateData = { 
-      ...data,
-      reviewedAt: data.reviewedBy ? new Date() : undefined
-    };
-    
-    return await prismaOperation(
+  async updateProductDraft(id, data, { reviewer = null } = {}) {
+    const { reviewedBy, reviewedAt, ...changes } = data;
+    const updateData = reviewer
+      ? { ...changes, reviewedBy: reviewer, reviewedAt: new Date() }
+      : changes;
+
+    const productDraft = await prismaOperation(
       (client) => client.productDraft.update({
         where: { id },
         data: updateData,
@@ -114,6 +129,23 @@ export class SimpleProductDraftService {
       }),
       'Update product draft'
     );
+
+    if (reviewer) {
+      await prismaOperation(
+        (client) => client.productReviewHistory.create({
+          data: {
+            productDraftId: productDraft.id,
+            action: reviewAction(changes.status),
+            changes,
+            reviewedBy: reviewer,
+            reviewNotes: changes.reviewNotes ?? null
+          }
+        }),
+        'Record product review history'
+      );
+    }
+
+    return productDraft;
   }
 
   /**
@@ -0,0 +1,102 @@
+/**
+ * Staff Role Engine
+ *
+ * Pure role / permission rules for staff members acting within a merchant.
+ * Staff are identified by the Shopify user on the session token (`sub`);
+ * each carries one role and the role decides which guarded routes they reach.
+ *
+ *   viewer   - read-only: jobs, metrics, purchase orders
+ *   buyer    - viewer + retry / cancel jobs (uploads and edits are open to all)
+ *   approver - buyer + approve, deny and delete purchase orders, review drafts
+ *   admin    - everything, including refinement config, credentials, staff and the audit log
+ */
+
+export const STAFF_ROLES = ['viewer', 'buyer', 'approver', 'admin']
+
+export const STAFF_PERMISSIONS = [
+  'canViewJobs',
+  'canRetryJobs',
+  'canCancelJobs',
+  'canViewMetrics',
+  'canApprovePurchaseOrders',
+  'canDeletePurchaseOrders',
+  'canReviewProductDrafts',
+  'canEditRefinementConfig',
+  'canManageCredentials',
+  'canManageStaff',
+  'canViewAuditLog'
+]
+
+const ROLE_GRANTS = {
+  viewer: ['canViewJobs', 'canViewMetrics'],
+  buyer: ['canRetryJobs', 'canCancelJobs'],
+  approver: ['canApprovePurchaseOrders', 'canDeletePurchaseOrders', 'canReviewProductDrafts'],
+  admin: ['canEditRefinementConfig', 'canManageCredentials', 'canManageStaff', 'canViewAuditLog']
+}
+
+// Role staff get when first seen, unless they own the store or are the first user of the merchant
+export const DEFAULT_STAFF_ROLE = 'buyer'
+
+export function isValidRole(role) {
+  return STAFF_ROLES.includes(role)
+}
+
+/**
+ * Permission map for a role; each role inherits everything granted to the roles below it.
+ * Unknown roles get no permissions.
+ */
+export function permissionsForRole(role) {
+  const rank = STAFF_ROLES.indexOf(role)
+  const granted = new Set(STAFF_ROLES.slice(0, rank + 1).flatMap(name => ROLE_GRANTS[name]))
+  return Object.fromEntries(STAFF_PERMISSIONS.map(permission => [permission, granted.has(permission)]))
+}
+
+export function hasPermission(role, permission) {
+  return permissionsForRole(role)[permission] === true
+}
+
+/**
+ * Role for a staff member seen for the first time.
+ * Store owners and the first user of a merchant (normally whoever installed the app) become admins.
+ */
+export function initialRole({ accountOwner = false, isFirstStaff = false, defaultRole = DEFAULT_STAFF_ROLE } = {}) {
+  if (accountOwner || isFirstStaff) return 'admin'
+  return isValidRole(defaultRole) ? defaultRole : DEFAULT_STAFF_ROLE
+}
+
+/**
+ * Checks a role change. Throws when the role is unknown or when it would leave
+ * the merchant without an admin.
+ */
+export function validateRoleChange({ currentRole, nextRole, adminCount }) {
+  if (!isValidRole(nextRole)) {
+    throw new Error(`Role must be one of: ${STAFF_ROLES.join(', ')}`)
+  }
+  if (currentRole === 'admin' && nextRole !== 'admin' && adminCount <= 1) {
+    throw new Error('A merchant needs at least one admin')
+  }
+  return nextRole
+}
+
+/**
+ * Name recorded on reviews and shown in the UI: full name, then email, then the Shopify user ID
+ */
+export function staffDisplayName(staff) {
+  if (!staff) return null
+  const name = [staff.firstName, staff.lastName].filter(Boolean).join(' ').trim()
+  if (name) return name
+  if (staff.email) return staff.email
+  return staff.shopifyUserId ? `Shopify user ${staff.shopifyUserId}` : null
+}
+
+export default {
+  STAFF_ROLES,
+  STAFF_PERMISSIONS,
+  DEFAULT_STAFF_ROLE,
+  isValidRole,
+  permissionsForRole,
+  hasPermission,
+  initialRole,
+  validateRoleChange,
+  staffDisplayName
+}
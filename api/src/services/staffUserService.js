@@ -0,0 +1,176 @@
+/**
+ * Staff User Service
+ *
+ * Resolves the staff member behind each request from the Shopify session
+ * token's `sub` (the associated Shopify user) and keeps their role. Staff rows
+ * are created the first time a user opens the app; names and emails come from
+ * the stored online session when it belongs to that user.
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import {
+  DEFAULT_STAFF_ROLE,
+  initialRole,
+  permissionsForRole,
+  staffDisplayName,
+  validateRoleChange
+} from './staffRoleEngine.js'
+
+// Staff lookups run on every authenticated request; keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000
+
+export class StaffUserService {
+  constructor() {
+    this.cache = new Map()
+  }
+
+  get defaultRole() {
+    return process.env.STAFF_DEFAULT_ROLE || DEFAULT_STAFF_ROLE
+  }
+
+  _describe(staff) {
+    return {
+      id: staff.id,
+      shopifyUserId: staff.shopifyUserId,
+      email: staff.email,
+      firstName: staff.firstName,
+      lastName: staff.lastName,
+      name: staffDisplayName(staff),
+      accountOwner: staff.accountOwner,
+      role: staff.role,
+      permissions: permissionsForRole(staff.role),
+      lastSeenAt: staff.lastSeenAt,
+      createdAt: staff.createdAt
+    }
+  }
+
+  async _sessionDetails(merchantId, shopifyUserId) {
+    if (!/^\d+$/.test(shopifyUserId)) return {}
+
+    const session = await prismaOperation(
+      (client) => client.session.findFirst({
+        where: { merchantId, userId: BigInt(shopifyUserId) },
+        select: { email: true, firstName: true, lastName: true, accountOwner: true }
+      }),
+      `Find session for Shopify user ${shopifyUserId}`
+    )
+    if (!session) return {}
+
+    return {
+      email: session.email || undefined,
+      firstName: session.firstName || undefined,
+      lastName: session.lastName || undefined,
+      accountOwner: session.accountOwner || false
+    }
+  }
+
+  /**
+   * Staff member for an authenticated request, created on first sight.
+   * Returns null when the token carries no user (offline tokens).
+   */
+  async resolve(merchantId, tokenPayload) {
+    const shopifyUserId = tokenPayload?.sub ? String(tokenPayload.sub) : null
+    if (!merchantId || !shopifyUserId) return null
+
+    const cacheKey = `${merchantId}:${shopifyUserId}`
+    const cached = this.cache.get(cacheKey)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.staff
+    }
+
+    const details = await this._sessionDetails(merchantId, shopifyUserId)
+    const existing = await prismaOperation(
+      (client) => client.staffUser.findUnique({
+        where: { merchantId_shopifyUserId: { merchantId, shopifyUserId } }
+      }),
+      `Find staff user ${shopifyUserId}`
+    )
+
+    let staff
+    if (existing) {
+      staff = await prismaOperation(
+        (client) => client.staffUser.update({
+          where: { id: existing.id },
+          data: { ...details, lastSeenAt: new Date() }
+        }),
+        `Touch staff user ${existing.id}`
+      )
+    } else {
+      const staffCount = await prismaOperation(
+        (client) => client.staffUser.count({ where: { merchantId } }),
+        `Count staff for ${merchantId}`
+      )
+      const role = initialRole({
+        accountOwner: details.accountOwner,
+        isFirstStaff: staffCount === 0,
+        defaultRole: this.defaultRole
+      })
+
+      // upsert: parallel first requests from the same user race to create the row
+      staff = await prismaOperation(
+        (client) => client.staffUser.upsert({
+          where: { merchantId_shopifyUserId: { merchantId, shopifyUserId } },
+          create: { merchantId, shopifyUserId, role, ...details },
+          update: { lastSeenAt: new Date() }
+        }),
+        `Create staff user ${shopifyUserId}`
+      )
+      console.log(`👤 New staff user ${staffDisplayName(staff)} for merchant ${merchantId} (${staff.role})`)
+    }
+
+    const described = this._describe(staff)
+    this.cache.set(cacheKey, { staff: described, expiresAt: Date.now() + CACHE_TTL_MS })
+    return described
+  }
+
+  async list(merchantId) {
+    const staff = await prismaOperation(
+      (client) => client.staffUser.findMany({
+        where: { merchantId },
+        orderBy: { createdAt: 'asc' }
+      }),
+      `List staff for ${merchantId}`
+    )
+    return staff.map(member => this._describe(member))
+  }
+
+  async get(merchantId, staffId) {
+    const staff = await prismaOperation(
+      (client) => client.staffUser.findFirst({ where: { id: staffId, merchantId } }),
+      `Find staff user ${staffId}`
+    )
+    return staff ? this._describe(staff) : null
+  }
+
+  /**
+   * Change a staff member's role. Returns null when the staff member is not
+   * part of this merchant; throws on an invalid change.
+   */
+  async updateRole(merchantId, staffId, role) {
+    const staff = await prismaOperation(
+      (client) => client.staffUser.findFirst({ where: { id: staffId, merchantId } }),
+      `Find staff user ${staffId}`
+    )
+    if (!staff) return null
+
+    const adminCount = await prismaOperation(
+      (client) => client.staffUser.count({ where: { merchantId, role: 'admin' } }),
+      `Count admins for ${merchantId}`
+    )
+    validateRoleChange({ currentRole: staff.role, nextRole: role, adminCount })
+
+    const updated = await prismaOperation(
+      (client) => client.staffUser.update({
+        where: { id: staff.id },
+        data: { role }
+      }),
+      `Update role for staff user ${staff.id}`
+    )
+    this.cache.delete(`${merchantId}:${staff.shopifyUserId}`)
+
+    return this._describe(updated)
+  }
+}
+
+export const staffUserService = new StaffUserService()
+export default staffUserService
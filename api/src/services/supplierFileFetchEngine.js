@@ -0,0 +1,249 @@
+/**
+ * Supplier File Fetch Engine
+ *
+ * Pure helpers for pulling PO files from supplier drops (SFTP or a local
+ * directory): connection config validation, secret masking, file selection
+ * and next-run scheduling from Supplier.syncFrequency / syncTime.
+ */
+
+import crypto from 'crypto'
+
+export const FETCH_CONNECTION_TYPES = ['sftp', 'folder']
+
+// Same frequency values as the sync schedule dialog
+export const SYNC_FREQUENCY_MINUTES = {
+  every_15min: 15,
+  every_30min: 30,
+  hourly: 60,
+  every_4h: 240,
+  daily: 1440,
+  weekly: 10080
+}
+
+export const SECRET_FIELDS = ['password', 'privateKey', 'passphrase']
+export const SECRET_PLACEHOLDER = '********'
+
+export const FETCH_LIMITS = {
+  maxFilesPerRun: 50,
+  maxFileSize: 25 * 1024 * 1024 // Same as POST /api/upload/po-file
+}
+
+const AFTER_FETCH_ACTIONS = ['keep', 'move']
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '')
+
+// OpenSSH-style SHA256 fingerprint: 32 bytes as unpadded base64
+const FINGERPRINT_PATTERN = /^[A-Za-z0-9+/]{43}$/
+
+/**
+ * Normalize a host key fingerprint as shown by `ssh-keygen -lf` or `ssh-keyscan | ssh-keygen -lf -`
+ * @param {string} value - "SHA256:..." (the prefix and base64 padding are optional)
+ * @returns {string|null} "SHA256:<base64>", or null when the value is not a SHA256 fingerprint
+ */
+export function normalizeHostFingerprint(value) {
+  const fingerprint = trimmed(value).replace(/^SHA256:/i, '').replace(/=+$/, '')
+  return FINGERPRINT_PATTERN.test(fingerprint) ? `SHA256:${fingerprint}` : null
+}
+
+/**
+ * Fingerprint of the raw host key an SFTP server presents, in normalizeHostFingerprint form
+ * @param {Buffer} key
+ */
+export function hostKeyFingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`
+}
+
+/**
+ * Validate and normalize a supplier's fetch connection config
+ * Throws with a merchant-facing message when the config is unusable
+ * @param {string} connectionType - 'sftp' | 'folder'
+ * @param {Object} config - Supplier.connectionConfig
+ * @returns {Object} normalized config
+ */
+export function normalizeFetchConfig(connectionType, config = {}) {
+  if (!FETCH_CONNECTION_TYPES.includes(connectionType)) {
+    throw new Error(`Unsupported connection type "${connectionType}". Expected one of: ${FETCH_CONNECTION_TYPES.join(', ')}`)
+  }
+
+  const afterFetch = config.afterFetch || 'keep'
+  if (!AFTER_FETCH_ACTIONS.includes(afterFetch)) {
+    throw new Error(`afterFetch must be one of: ${AFTER_FETCH_ACTIONS.join(', ')}`)
+  }
+  if (afterFetch === 'move' && !trimmed(config.archiveDir)) {
+    throw new Error('archiveDir is required when processed files are moved')
+  }
+
+  const common = {
+    pattern: trimmed(config.pattern) || '*',
+    afterFetch,
+    archiveDir: trimmed(config.archiveDir) || null
+  }
+
+  if (connectionType === 'folder') {
+    if (!trimmed(config.path)) {
+      throw new Error('A folder path is required')
+    }
+    return { ...common, path: trimmed(config.path) }
+  }
+
+  const port = config.port === undefined || config.port === '' ? 22 : Number(config.port)
+  if (!trimmed(config.host)) throw new Error('SFTP host is required')
+  if (!trimmed(config.username)) throw new Error('SFTP username is required')
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('SFTP port must be between 1 and 65535')
+  if (!config.password && !config.privateKey) throw new Error('An SFTP password or private key is required')
+
+  const hostFingerprint = normalizeHostFingerprint(config.hostFingerprint)
+  if (!hostFingerprint) {
+    throw new Error('SFTP host key fingerprint is required (SHA256:..., as printed by ssh-keygen -lf)')
+  }
+
+  return {
+    ...common,
+    host: trimmed(config.host),
+    port,
+    username: trimmed(config.username),
+    hostFingerprint,
+    remoteDir: trimmed(config.remoteDir) || '.',
+    password: config.password || null,
+    privateKey: config.privateKey || null,
+    passphrase: config.passphrase || null
+  }
+}
+
+/**
+ * Copy of a config with secrets replaced by a placeholder, safe to return to the browser
+ */
+export function maskSecrets(config = {}) {
+  const masked = { ...config }
+  for (const field of SECRET_FIELDS) {
+    if (masked[field]) masked[field] = SECRET_PLACEHOLDER
+  }
+  return masked
+}
+
+/**
+ * Keep stored secrets the client sent back masked (or left out)
+ * @param {Object} stored - current connectionConfig
+ * @param {Object} incoming - config from the client
+ */
+export function mergeSecrets(stored = {}, incoming = {}) {
+  const merged = { ...incoming }
+  for (const field of SECRET_FIELDS) {
+    if (incoming[field] === SECRET_PLACEHOLDER || incoming[field] === undefined) {
+      merged[field] = stored[field] || null
+    }
+  }
+  return merged
+}
+
+/**
+ * Shell-style filename match; "*.csv, *.pdf" matches either, case-insensitive
+ */
+export function matchesPattern(fileName, pattern = '*') {
+  return String(pattern || '*')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .some((part) => {
+      const source = part
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.')
+      return new RegExp(`^${source}$`, 'i').test(fileName)
+    })
+}
+
+/**
+ * Files from a directory listing worth downloading, oldest first
+ * @param {Array<{ name, size, modifiedAt, isFile }>} entries
+ * @param {Object} options - { pattern, isSupported(fileName), maxFiles, maxFileSize }
+ * @returns {{ selected: Array, skipped: Array<{ name, reason }> }}
+ */
+export function selectFiles(entries = [], {
+  pattern = '*',
+  isSupported = () => true,
+  maxFiles = FETCH_LIMITS.maxFilesPerRun,
+  maxFileSize = FETCH_LIMITS.maxFileSize
+} = {}) {
+  const selected = []
+  const skipped = []
+
+  const files = entries
+    .filter((entry) => entry.isFile && !entry.name.startsWith('.') && matchesPattern(entry.name, pattern))
+    .sort((a, b) => (a.modifiedAt || 0) - (b.modifiedAt || 0))
+
+  for (const entry of files) {
+    if (!isSupported(entry.name)) {
+      skipped.push({ name: entry.name, reason: 'unsupported_type' })
+    } else if (entry.size > maxFileSize) {
+      skipped.push({ name: entry.name, reason: 'too_large' })
+    } else if (selected.length >= maxFiles) {
+      skipped.push({ name: entry.name, reason: 'run_limit' })
+    } else {
+      selected.push(entry)
+    }
+  }
+
+  return { selected, skipped }
+}
+
+/**
+ * When a supplier's drop should next be polled
+ * Daily and weekly polls run at syncTime ("HH:MM", UTC) when one is set
+ * @param {string} frequency - Supplier.syncFrequency
+ * @param {Date} from - time of the current run
+ * @param {string|null} syncTime - Supplier.syncTime
+ */
+export function computeNextSync(frequency, from = new Date(), syncTime = null) {
+  const minutes = SYNC_FREQUENCY_MINUTES[frequency] ?? SYNC_FREQUENCY_MINUTES.daily
+  const time = /^(\d{1,2}):(\d{2})$/.exec(syncTime || '')
+
+  if (minutes < SYNC_FREQUENCY_MINUTES.daily || !time) {
+    return new Date(from.getTime() + minutes * 60 * 1000)
+  }
+
+  const next = new Date(from)
+  next.setUTCHours(Number(time[1]), Number(time[2]), 0, 0)
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 1)
+  next.setUTCDate(next.getUTCDate() + minutes / SYNC_FREQUENCY_MINUTES.daily - 1)
+  return next
+}
+
+/**
+ * Overall run status from per-file outcomes
+ * @param {Array<{ status: 'queued'|'duplicate'|'skipped'|'failed' }>} files
+ */
+export function summarizeRun(files = [], connectionError = null) {
+  const count = (status) => files.filter((file) => file.status === status).length
+  const failed = count('failed')
+  const queued = count('queued')
+
+  let status = 'success'
+  if (connectionError) status = 'failed'
+  else if (failed > 0) status = queued > 0 ? 'partial' : 'failed'
+
+  return {
+    status,
+    filesFound: files.length,
+    filesQueued: queued,
+    filesSkipped: count('duplicate') + count('skipped'),
+    filesFailed: failed
+  }
+}
+
+export default {
+  FETCH_CONNECTION_TYPES,
+  SYNC_FREQUENCY_MINUTES,
+  SECRET_FIELDS,
+  SECRET_PLACEHOLDER,
+  FETCH_LIMITS,
+  normalizeHostFingerprint,
+  hostKeyFingerprint,
+  normalizeFetchConfig,
+  maskSecrets,
+  mergeSecrets,
+  matchesPattern,
+  selectFiles,
+  computeNextSync,
+  summarizeRun
+}
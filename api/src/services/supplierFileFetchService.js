@@ -0,0 +1,465 @@
+/**
+ * Supplier File Fetch Service
+ *
+ * Polls supplier drops configured on the Supplier record (connectionType
+ * 'sftp' or 'folder', connectionConfig, syncEnabled/syncFrequency/nextSync),
+ * de-duplicates files by SHA-256 and queues new ones through the normal
+ * upload workflow. Every poll is recorded as a SupplierFetchRun.
+ *
+ * Local folders must live under SUPPLIER_DROP_ROOT/<merchantId>. SFTP hosts
+ * must resolve only to public addresses (SUPPLIER_DROP_ALLOW_PRIVATE_HOSTS
+ * lifts that) and present the host key fingerprint saved with the connection;
+ * SFTP secrets in connectionConfig are sealed by the secret store.
+ */
+
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { prismaOperation } from '../lib/db.js'
+import { resolvePublicHost } from '../lib/publicHostResolver.js'
+import { SUPPORTED_MIME_TYPES, resolveMimeType } from '../lib/fileParsingService.js'
+import { poIngestionService } from './poIngestionService.js'
+import { ediService } from './ediService.js'
+import { isEdiDocument } from './ediEngine.js'
+import { isPrivateHost } from './syncScheduleEngine.js'
+import { secretStoreService } from './secretStoreService.js'
+import {
+  FETCH_CONNECTION_TYPES,
+  SYNC_FREQUENCY_MINUTES,
+  computeNextSync,
+  hostKeyFingerprint,
+  maskSecrets,
+  mergeSecrets,
+  normalizeFetchConfig,
+  selectFiles,
+  summarizeRun
+} from './supplierFileFetchEngine.js'
+
+const SFTP_READY_TIMEOUT_MS = 20000
+
+const isSupportedFile = (fileName) =>
+  SUPPORTED_MIME_TYPES.includes(resolveMimeType('application/octet-stream', fileName))
+
+const allowPrivateHosts = () => process.env.SUPPLIER_DROP_ALLOW_PRIVATE_HOSTS === 'true'
+
+/**
+ * Normalized fetch config, refusing SFTP hosts inside the server's own network
+ */
+function fetchConfigFor(connectionType, config) {
+  const normalized = normalizeFetchConfig(connectionType, config)
+  if (connectionType === 'sftp' && !allowPrivateHosts() && isPrivateHost(normalized.host)) {
+    throw new Error('SFTP host must not point at a private or local address')
+  }
+  return normalized
+}
+
+const isInside = (root, target) => target === root || target.startsWith(root + path.sep)
+
+/**
+ * The merchant's own directory under SUPPLIER_DROP_ROOT
+ */
+function merchantDropRoot(merchantId) {
+  const root = process.env.SUPPLIER_DROP_ROOT
+  if (!root) {
+    throw new Error('Local drop folders are disabled (SUPPLIER_DROP_ROOT is not set)')
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(merchantId || '')) {
+    throw new Error('Invalid merchant for a local drop folder')
+  }
+  return path.resolve(root, merchantId)
+}
+
+/**
+ * Resolve a merchant-supplied folder inside SUPPLIER_DROP_ROOT/<merchantId>
+ */
+function resolveDropPath(merchantId, folder) {
+  const merchantRoot = merchantDropRoot(merchantId)
+  const resolved = path.resolve(merchantRoot, folder.replace(/^\/+/, ''))
+  if (!isInside(merchantRoot, resolved)) {
+    throw new Error('Folder must be inside your drop folder')
+  }
+  return resolved
+}
+
+/**
+ * Reject folders that only stay inside the merchant root by name, e.g. through a symlink
+ */
+async function assertRealDropPath(merchantId, directory) {
+  const [realRoot, realDirectory] = await Promise.all([
+    fs.realpath(merchantDropRoot(merchantId)),
+    fs.realpath(directory)
+  ])
+  if (!isInside(realRoot, realDirectory)) {
+    throw new Error('Folder must be inside your drop folder')
+  }
+}
+
+async function openFolderSource(merchantId, config) {
+  const directory = resolveDropPath(merchantId, config.path)
+  const archiveDirectory = config.archiveDir ? resolveDropPath(merchantId, config.archiveDir) : null
+  await assertRealDropPath(merchantId, directory)
+
+  return {
+    async list() {
+      const entries = await fs.readdir(directory, { withFileTypes: true })
+      return await Promise.all(entries.map(async (entry) => {
+        const stats = entry.isFile() ? await fs.stat(path.join(directory, entry.name)) : null
+        return {
+          name: entry.name,
+          path: path.join(directory, entry.name),
+          isFile: entry.isFile(),
+          size: stats?.size ?? 0,
+          modifiedAt: stats?.mtimeMs ?? 0
+        }
+      }))
+    },
+    async read(file) {
+      return await fs.readFile(file.path)
+    },
+    async archive(file) {
+      await fs.mkdir(archiveDirectory, { recursive: true })
+      await assertRealDropPath(merchantId, archiveDirectory)
+      await fs.rename(file.path, path.join(archiveDirectory, file.name))
+    },
+    async close() {}
+  }
+}
+
+async function openSftpSource(config) {
+  const { default: SftpClient } = await import('ssh2-sftp-client')
+  const sftp = new SftpClient()
+  // Every address the name resolves to is checked, then the connection goes to that address
+  const { address } = await resolvePublicHost(config.host, { allowPrivate: allowPrivateHosts() })
+
+  await sftp.connect({
+    host: address,
+    port: config.port,
+    username: config.username,
+    password: config.password || undefined,
+    privateKey: config.privateKey || undefined,
+    passphrase: config.passphrase || undefined,
+    readyTimeout: SFTP_READY_TIMEOUT_MS,
+    // Refuse servers whose key doesn't match the one saved with the connection
+    hostVerifier: (key) => hostKeyFingerprint(key) === config.hostFingerprint
+  })
+
+  const remotePath = (name) => path.posix.join(config.remoteDir, name)
+
+  return {
+    async list() {
+      const entries = await sftp.list(config.remoteDir)
+      return entries.map((entry) => ({
+        name: entry.name,
+        path: remotePath(entry.name),
+        isFile: entry.type === '-',
+        size: entry.size,
+        modifiedAt: entry.modifyTime
+      }))
+    },
+    async read(file) {
+      return await sftp.get(file.path)
+    },
+    async archive(file) {
+      if (!(await sftp.exists(config.archiveDir))) {
+        await sftp.mkdir(config.archiveDir, true)
+      }
+      await sftp.rename(file.path, path.posix.join(config.archiveDir, file.name))
+    },
+    async close() {
+      await sftp.end()
+    }
+  }
+}
+
+export class SupplierFileFetchService {
+  constructor() {
+    // Supplier IDs with a poll in progress in this process
+    this.running = new Set()
+  }
+
+  async _getSupplier(merchantId, supplierId) {
+    return await prismaOperation(
+      (client) => client.supplier.findFirst({ where: { id: supplierId, merchantId } }),
+      `Get supplier ${supplierId} for file fetch`
+    )
+  }
+
+  _describe(supplier) {
+    return {
+      connectionType: supplier.connectionType,
+      enabled: FETCH_CONNECTION_TYPES.includes(supplier.connectionType) && supplier.syncEnabled,
+      syncEnabled: supplier.syncEnabled,
+      syncFrequency: supplier.syncFrequency,
+      syncTime: supplier.syncTime,
+      lastSync: supplier.lastSync,
+      nextSync: supplier.nextSync,
+      config: FETCH_CONNECTION_TYPES.includes(supplier.connectionType)
+        ? maskSecrets(supplier.connectionConfig || {})
+        : null
+    }
+  }
+
+  /**
+   * Fetch settings for the supplier page, secrets masked
+   */
+  async getSettings(merchantId, supplierId) {
+    const supplier = await this._getSupplier(merchantId, supplierId)
+    return supplier ? this._describe(supplier) : null
+  }
+
+  /**
+   * Save the drop connection and polling schedule
+   * @param {Object} settings - { connectionType, config, syncEnabled, syncFrequency, syncTime }
+   */
+  async saveSettings(merchantId, supplierId, { connectionType, config = {}, syncEnabled = true, syncFrequency = 'daily', syncTime = null }) {
+    const supplier = await this._getSupplier(merchantId, supplierId)
+    if (!supplier) return null
+
+    if (!SYNC_FREQUENCY_MINUTES[syncFrequency]) {
+      throw new Error(`syncFrequency must be one of: ${Object.keys(SYNC_FREQUENCY_MINUTES).join(', ')}`)
+    }
+    if (syncTime && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(syncTime)) {
+      throw new Error('syncTime must be HH:MM (UTC)')
+    }
+
+    const stored = supplier.connectionType === connectionType ? supplier.connectionConfig || {} : {}
+    const normalized = fetchConfigFor(connectionType, mergeSecrets(stored, config))
+    if (connectionType === 'folder') {
+      resolveDropPath(merchantId, normalized.path)
+      if (normalized.archiveDir) resolveDropPath(merchantId, normalized.archiveDir)
+    }
+
+    const sealed = await secretStoreService.sealSecrets(merchantId, 'supplier_connection', normalized)
+
+    const updated = await prismaOperation(
+      (client) => client.supplier.update({
+        where: { id: supplier.id },
+        data: {
+          connectionType,
+          // EDI trading partner IDs share connectionConfig with the drop settings
+          connectionConfig: supplier.connectionConfig?.edi ? { ...sealed, edi: supplier.connectionConfig.edi } : sealed,
+          syncEnabled: Boolean(syncEnabled),
+          syncFrequency,
+          syncTime: syncTime || null,
+          nextSync: syncEnabled ? computeNextSync(syncFrequency, new Date(), syncTime) : null
+        }
+      }),
+      `Save file fetch settings for supplier ${supplier.id}`
+    )
+
+    console.log(`📂 Saved ${connectionType} drop for supplier ${updated.name} (${syncEnabled ? syncFrequency : 'disabled'})`)
+    return this._describe(updated)
+  }
+
+  async listRuns(merchantId, supplierId, { limit = 20 } = {}) {
+    return await prismaOperation(
+      (client) => client.supplierFetchRun.findMany({
+        where: { merchantId, supplierId },
+        orderBy: { startedAt: 'desc' },
+        take: Math.min(Number(limit) || 20, 100)
+      }),
+      `List fetch runs for supplier ${supplierId}`
+    )
+  }
+
+  async _ingest(supplier, file, buffer) {
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex')
+
+    const seen = await prismaOperation(
+      (client) => client.supplierFetchedFile.findUnique({
+        where: { supplierId_fileHash: { supplierId: supplier.id, fileHash } }
+      }),
+      `Check fetched file ${file.name}`
+    )
+    if (seen) {
+      return { name: file.name, status: 'duplicate', fileHash, uploadId: seen.uploadId }
+    }
+
+    const mimeType = resolveMimeType('application/octet-stream', file.name)
+    let uploadId
+    let note = null
+    if (isEdiDocument(buffer, mimeType)) {
+      // One interchange can hold several orders and ship notices
+      const imported = await ediService.ingest(supplier.merchantId, {
+        buffer,
+        fileName: file.name,
+        supplierId: supplier.id,
+        source: supplier.connectionType,
+        metadata: { remotePath: file.path, fileHash }
+      })
+      uploadId = imported.uploads[0]?.uploadId || null
+      note = `${imported.uploads.length} order(s), ${imported.shipNotices.length} ship notice(s)`
+    } else {
+      const queued = await poIngestionService.ingestFile(supplier.merchantId, {
+        buffer,
+        fileName: file.name,
+        mimeType,
+        supplierId: supplier.id,
+        source: supplier.connectionType,
+        metadata: { remotePath: file.path, fileHash }
+      })
+      uploadId = queued.uploadId
+    }
+
+    await prismaOperation(
+      (client) => client.supplierFetchedFile.create({
+        data: {
+          merchantId: supplier.merchantId,
+          supplierId: supplier.id,
+          fileHash,
+          fileName: file.name,
+          remotePath: file.path,
+          fileSize: buffer.length,
+          uploadId
+        }
+      }),
+      `Record fetched file ${file.name}`
+    )
+
+    return { name: file.name, status: 'queued', fileHash, uploadId, ...(note ? { note } : {}) }
+  }
+
+  /**
+   * Poll one supplier's drop and queue new files
+   * @param {Object} supplier - Supplier record
+   * @param {Object} options - { trigger: 'schedule' | 'manual' }
+   * @returns {Promise<Object>} the SupplierFetchRun
+   */
+  async fetchSupplier(supplier, { trigger = 'schedule' } = {}) {
+    if (this.running.has(supplier.id)) {
+      throw new Error('A fetch is already running for this supplier')
+    }
+    this.running.add(supplier.id)
+
+    let run
+    try {
+      run = await prismaOperation(
+        (client) => client.supplierFetchRun.create({
+          data: { merchantId: supplier.merchantId, supplierId: supplier.id, trigger }
+        }),
+        `Start fetch run for supplier ${supplier.id}`
+      )
+    } catch (error) {
+      this.running.delete(supplier.id)
+      throw error
+    }
+
+    const files = []
+    let connectionError = null
+    let source = null
+
+    try {
+      const config = fetchConfigFor(supplier.connectionType, supplier.connectionConfig || {})
+      source = supplier.connectionType === 'sftp'
+        ? await openSftpSource(await secretStoreService.openSecrets(supplier.merchantId, 'supplier_connection', config))
+        : await openFolderSource(supplier.merchantId, config)
+
+      const { selected, skipped } = selectFiles(await source.list(), {
+        pattern: config.pattern,
+        isSupported: isSupportedFile
+      })
+      files.push(...skipped.map((file) => ({ name: file.name, status: 'skipped', reason: file.reason })))
+
+      for (const file of selected) {
+        try {
+          const result = await this._ingest(supplier, file, await source.read(file))
+          if (config.afterFetch === 'move') {
+            await source.archive(file)
+          }
+          files.push(result)
+        } catch (error) {
+          console.error(`❌ Failed to fetch ${file.name} for supplier ${supplier.name}:`, error.message)
+          files.push({ name: file.name, status: 'failed', error: error.message })
+        }
+      }
+    } catch (error) {
+      console.error(`❌ File fetch for supplier ${supplier.name} failed:`, error.message)
+      connectionError = error.message
+    } finally {
+      if (source) {
+        await source.close().catch((error) => console.warn(`⚠️ Closing ${supplier.connectionType} connection failed:`, error.message))
+      }
+      this.running.delete(supplier.id)
+    }
+
+    const summary = summarizeRun(files, connectionError)
+    const finishedAt = new Date()
+
+    const [finishedRun] = await prismaOperation(
+      (client) => client.$transaction([
+        client.supplierFetchRun.update({
+          where: { id: run.id },
+          data: {
+            status: summary.status,
+            filesFound: summary.filesFound,
+            filesQueued: summary.filesQueued,
+            filesSkipped: summary.filesSkipped,
+            files,
+            errorMessage: connectionError,
+            finishedAt
+          }
+        }),
+        client.supplier.update({
+          where: { id: supplier.id },
+          data: {
+            lastSync: finishedAt,
+            nextSync: supplier.syncEnabled
+              ? computeNextSync(supplier.syncFrequency, finishedAt, supplier.syncTime)
+              : supplier.nextSync
+          }
+        })
+      ]),
+      `Finish fetch run ${run.id}`
+    )
+
+    console.log(`📂 Fetched ${supplier.name} (${supplier.connectionType}): ${summary.filesQueued} queued, ${summary.filesSkipped} skipped, ${summary.filesFailed} failed`)
+    return finishedRun
+  }
+
+  /**
+   * Manual "fetch now" from the supplier page
+   */
+  async fetchNow(merchantId, supplierId) {
+    const supplier = await this._getSupplier(merchantId, supplierId)
+    if (!supplier) return null
+    if (!FETCH_CONNECTION_TYPES.includes(supplier.connectionType)) {
+      throw new Error('This supplier has no SFTP or folder drop configured')
+    }
+    return await this.fetchSupplier(supplier, { trigger: 'manual' })
+  }
+
+  /**
+   * Poll every supplier whose drop is due (scheduled job)
+   */
+  async runDueFetches(now = new Date()) {
+    const suppliers = await prismaOperation(
+      (client) => client.supplier.findMany({
+        where: {
+          syncEnabled: true,
+          status: 'active',
+          connectionType: { in: FETCH_CONNECTION_TYPES },
+          OR: [{ nextSync: null }, { nextSync: { lte: now } }]
+        },
+        orderBy: { nextSync: 'asc' }
+      }),
+      'Find suppliers due for file fetch'
+    )
+
+    const results = { suppliers: suppliers.length, queued: 0, failed: 0 }
+    for (const supplier of suppliers) {
+      if (this.running.has(supplier.id)) continue
+      try {
+        const run = await this.fetchSupplier(supplier)
+        results.queued += run.filesQueued
+        if (run.status === 'failed') results.failed++
+      } catch (error) {
+        console.error(`❌ Scheduled fetch for supplier ${supplier.id} failed:`, error.message)
+        results.failed++
+      }
+    }
+    return results
+  }
+}
+
+export const supplierFileFetchService = new SupplierFileFetchService()
+export default supplierFileFetchService
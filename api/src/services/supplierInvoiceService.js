@@ -0,0 +1,399 @@
+/**
+ * Supplier Invoice Service
+ *
+ * Three-way match between supplier invoices, purchase orders and receipts:
+ * - Uploaded invoices are parsed with the same AI pipeline as POs
+ * - Each invoice is linked to the PO it bills for by PO number, falling back
+ *   to supplier + SKU overlap (or picked by hand)
+ * - Invoice qty/price is compared with PO qty/price and received qty per line;
+ *   variances beyond the merchant's tolerances put the invoice in needs_review
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { enhancedAIService } from '../lib/enhancedAIService.js'
+import { storageService } from '../lib/storageService.js'
+import {
+  MATCH_DEFAULTS,
+  buildDiscrepancyReport,
+  extractDocumentReferences,
+  findPurchaseOrderMatch,
+  normalizeInvoiceLines
+} from './threeWayMatchEngine.js'
+
+export const INVOICE_STATUSES = ['processing', 'unmatched', 'matched', 'needs_review', 'approved', 'failed']
+
+// Mime types whose text we can scan for invoice / PO numbers
+const TEXT_MIME_TYPES = ['application/pdf', 'text/csv']
+
+// How far back to look for candidate POs when matching by supplier + SKUs
+const MATCH_LOOKBACK_DAYS = 365
+
+const MATCH_LINE_SELECT = {
+  id: true,
+  sku: true,
+  productName: true,
+  quantity: true,
+  unitCost: true,
+  quantityReceived: true,
+  quantityDamaged: true
+}
+
+export class SupplierInvoiceService {
+  async getTolerances(merchantId) {
+    const merchant = await prismaOperation(
+      (client) => client.merchant.findUnique({
+        where: { id: merchantId },
+        select: { settings: true }
+      }),
+      `Get three-way match settings for ${merchantId}`
+    )
+
+    const overrides = merchant?.settings?.threeWayMatch || {}
+    const tolerances = { ...MATCH_DEFAULTS }
+    for (const key of Object.keys(MATCH_DEFAULTS)) {
+      if (overrides[key] !== undefined && overrides[key] !== null) {
+        tolerances[key] = typeof MATCH_DEFAULTS[key] === 'boolean' ? overrides[key] === true : Number(overrides[key])
+      }
+    }
+    return tolerances
+  }
+
+  /**
+   * Store an uploaded invoice and start parsing it in the background
+   * @param {Object} file - multer file ({ buffer, originalname, mimetype, size })
+   * @param {Object} options - { purchaseOrderId?, supplierId? }
+   */
+  async createFromUpload(merchantId, file, options = {}) {
+    if (options.purchaseOrderId) {
+      const order = await prismaOperation(
+        (client) => client.purchaseOrder.findFirst({
+          where: { id: options.purchaseOrderId, merchantId },
+          select: { id: true }
+        }),
+        `Check PO ${options.purchaseOrderId} for invoice`
+      )
+      if (!order) {
+        throw new Error('Purchase order not found')
+      }
+    }
+
+    const invoice = await prismaOperation(
+      (client) => client.supplierInvoice.create({
+        data: {
+          merchantId,
+          purchaseOrderId: options.purchaseOrderId || null,
+          supplierId: options.supplierId || null,
+          fileName: file.originalname,
+          fileSize: file.size,
+          status: 'processing',
+          matchMethod: options.purchaseOrderId ? 'manual' : null
+        }
+      }),
+      `Create supplier invoice ${file.originalname}`
+    )
+
+    const uploadResult = await storageService.uploadFile(
+      file.buffer,
+      file.originalname,
+      merchantId,
+      `invoices/${invoice.id}`,
+      file.mimetype
+    )
+    if (uploadResult.success) {
+      await prismaOperation(
+        (client) => client.supplierInvoice.update({
+          where: { id: invoice.id },
+          data: { fileUrl: uploadResult.filePath }
+        }),
+        `Store file path for invoice ${invoice.id}`
+      )
+    } else {
+      console.warn(`⚠️ Invoice ${invoice.id} file storage failed: ${uploadResult.error}`)
+    }
+
+    // Runs after the response; a failure must still leave the invoice out of 'processing'
+    this.processInvoice(merchantId, invoice.id, file.buffer, file.mimetype)
+      .catch((error) => this.markFailed(invoice.id, error.message))
+      .catch((error) => console.error(`❌ Could not mark invoice ${invoice.id} failed:`, error.message))
+
+    return invoice
+  }
+
+  /**
+   * Parse the invoice document, then match it
+   */
+  async processInvoice(merchantId, invoiceId, buffer, mimeType) {
+    let referenceText = ''
+    if (TEXT_MIME_TYPES.includes(mimeType)) {
+      try {
+        const { fileParsingService } = await import('../lib/fileParsingService.js')
+        const parsed = await fileParsingService.parseFile(buffer, mimeType)
+        referenceText = parsed?.text || ''
+      } catch (error) {
+        console.warn(`⚠️ Could not read text from invoice ${invoiceId}: ${error.message}`)
+      }
+    }
+
+    const result = await enhancedAIService.parseDocument(buffer, `invoice_${invoiceId}`, {
+      mimeType,
+      merchantId
+    })
+
+    if (!result || result.success === false || !result.extractedData) {
+      await this.markFailed(invoiceId, result?.error || 'Invoice could not be parsed')
+      return null
+    }
+
+    const extracted = result.extractedData
+    const references = extractDocumentReferences(referenceText)
+    const aiReferences = [extracted.purchaseOrderNumber, extracted.poReference, extracted.poNumber].filter(Boolean)
+    const invoiceNumber = extracted.invoiceNumber || references.invoiceNumber || null
+    const poReferences = [...new Set([...references.poNumbers, ...aiReferences])]
+      .filter((reference) => reference !== invoiceNumber)
+
+    const invoiceDate = extracted.dates?.invoiceDate || extracted.invoiceDate
+    const parsedDate = invoiceDate ? new Date(invoiceDate) : null
+    const totalAmount = Number(extracted.totals?.total ?? extracted.totals?.grandTotal)
+
+    await prismaOperation(
+      (client) => client.supplierInvoice.update({
+        where: { id: invoiceId },
+        data: {
+          supplierName: extracted.supplier?.name || extracted.vendor?.name || null,
+          invoiceNumber,
+          poReference: poReferences[0] || null,
+          invoiceDate: parsedDate && !isNaN(parsedDate.getTime()) ? parsedDate : null,
+          currency: extracted.currency || extracted.totals?.currency || null,
+          totalAmount: Number.isFinite(totalAmount) ? totalAmount : null,
+          lineItems: normalizeInvoiceLines(extracted.lineItems),
+          rawData: { ...extracted, poReferences, confidence: result.confidence ?? null }
+        }
+      }),
+      `Store parsed invoice ${invoiceId}`
+    )
+
+    console.log(`🧾 Parsed invoice ${invoiceNumber || invoiceId} (${poReferences.length} PO reference(s))`)
+
+    return await this.matchInvoice(merchantId, invoiceId)
+  }
+
+  async markFailed(invoiceId, message) {
+    console.error(`❌ Invoice ${invoiceId} failed: ${message}`)
+    await prismaOperation(
+      (client) => client.supplierInvoice.update({
+        where: { id: invoiceId },
+        data: { status: 'failed', errorMessage: message }
+      }),
+      `Mark invoice ${invoiceId} failed`
+    )
+  }
+
+  /**
+   * Link an invoice to its PO and build the discrepancy report.
+   * Passing purchaseOrderId forces the link; otherwise it is found automatically.
+   * @returns {Promise<Object|null>} the updated invoice, or null if it doesn't exist
+   */
+  async matchInvoice(merchantId, invoiceId, purchaseOrderId = null) {
+    const invoice = await prismaOperation(
+      (client) => client.supplierInvoice.findFirst({
+        where: { id: invoiceId, merchantId }
+      }),
+      `Get invoice ${invoiceId}`
+    )
+    if (!invoice) return null
+
+    let order = null
+    let match = { matchMethod: invoice.matchMethod, matchScore: invoice.matchScore }
+    const targetId = purchaseOrderId || (invoice.matchMethod === 'manual' ? invoice.purchaseOrderId : null)
+
+    if (targetId) {
+      order = await prismaOperation(
+        (client) => client.purchaseOrder.findFirst({
+          where: { id: targetId, merchantId },
+          select: { id: true, number: true, supplierId: true, lineItems: { select: MATCH_LINE_SELECT } }
+        }),
+        `Get PO ${targetId} for invoice match`
+      )
+      if (!order) {
+        throw new Error('Purchase order not found')
+      }
+      match = { matchMethod: 'manual', matchScore: 1 }
+    } else {
+      const since = new Date(Date.now() - MATCH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+      const candidates = await prismaOperation(
+        (client) => client.purchaseOrder.findMany({
+          where: {
+            merchantId,
+            direction: 'inbound',
+            createdAt: { gte: since },
+            status: { notIn: ['failed', 'cancelled'] }
+          },
+          select: {
+            id: true,
+            number: true,
+            supplierId: true,
+            supplierName: true,
+            createdAt: true,
+            lineItems: { select: MATCH_LINE_SELECT }
+          }
+        }),
+        `Get candidate POs for invoice ${invoiceId}`
+      )
+
+      const found = findPurchaseOrderMatch({
+        poReferences: invoice.rawData?.poReferences || [invoice.poReference].filter(Boolean),
+        supplierId: invoice.supplierId,
+        supplierName: invoice.supplierName,
+        lineItems: invoice.lineItems
+      }, candidates)
+
+      if (found) {
+        order = found.purchaseOrder
+        match = {
+          matchMethod: found.referenceMatch ? 'po_number' : 'supplier_sku',
+          matchScore: found.score
+        }
+      }
+    }
+
+    if (!order) {
+      console.log(`🧾 Invoice ${invoice.invoiceNumber || invoiceId} did not match a purchase order`)
+      return await prismaOperation(
+        (client) => client.supplierInvoice.update({
+          where: { id: invoiceId },
+          data: { status: 'unmatched', purchaseOrderId: null, matchMethod: null, matchScore: null, discrepancyReport: null }
+        }),
+        `Mark invoice ${invoiceId} unmatched`
+      )
+    }
+
+    const report = buildDiscrepancyReport({
+      purchaseOrder: order,
+      invoiceLines: invoice.lineItems || [],
+      tolerances: await this.getTolerances(merchantId)
+    })
+
+    const updated = await prismaOperation(
+      (client) => client.supplierInvoice.update({
+        where: { id: invoiceId },
+        data: {
+          purchaseOrderId: order.id,
+          supplierId: invoice.supplierId || order.supplierId || null,
+          status: report.status,
+          ...match,
+          discrepancyReport: report,
+          errorMessage: null,
+          reviewedAt: null,
+          reviewNotes: null
+        }
+      }),
+      `Store invoice match for ${invoiceId}`
+    )
+
+    console.log(`🧾 Invoice ${invoice.invoiceNumber || invoiceId} → PO ${order.number} (${match.matchMethod}): ${report.status}, ${report.issueCount} issue(s)`)
+    return updated
+  }
+
+  async listInvoices(merchantId, { status, purchaseOrderId, limit = 50 } = {}) {
+    return await prismaOperation(
+      (client) => client.supplierInvoice.findMany({
+        where: {
+          merchantId,
+          ...(status ? { status } : {}),
+          ...(purchaseOrderId ? { purchaseOrderId } : {})
+        },
+        include: { purchaseOrder: { select: { id: true, number: true, supplierName: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+      }),
+      `List invoices for ${merchantId}`
+    )
+  }
+
+  async getInvoice(merchantId, invoiceId) {
+    return await prismaOperation(
+      (client) => client.supplierInvoice.findFirst({
+        where: { id: invoiceId, merchantId },
+        include: { purchaseOrder: { select: { id: true, number: true, supplierName: true, status: true } } }
+      }),
+      `Get invoice ${invoiceId}`
+    )
+  }
+
+  /**
+   * Accept an invoice after review, variances included
+   */
+  async approveInvoice(merchantId, invoiceId, notes = null) {
+    const invoice = await this.getInvoice(merchantId, invoiceId)
+    if (!invoice) return null
+    if (!['matched', 'needs_review'].includes(invoice.status)) {
+      throw new Error(`Cannot approve an invoice that is ${invoice.status}`)
+    }
+
+    return await prismaOperation(
+      (client) => client.supplierInvoice.update({
+        where: { id: invoiceId },
+        data: { status: 'approved', reviewedAt: new Date(), reviewNotes: notes || null }
+      }),
+      `Approve invoice ${invoiceId}`
+    )
+  }
+
+  /**
+   * Discrepancy report for every invoice billed against a PO.
+   * Reports are rebuilt so receipts recorded after the invoice are taken into account.
+   */
+  async getPurchaseOrderDiscrepancies(merchantId, purchaseOrderId) {
+    const order = await prismaOperation(
+      (client) => client.purchaseOrder.findFirst({
+        where: { id: purchaseOrderId, merchantId },
+        select: { id: true, number: true, lineItems: { select: MATCH_LINE_SELECT } }
+      }),
+      `Get PO ${purchaseOrderId} for discrepancies`
+    )
+    if (!order) return null
+
+    const invoices = await this.listInvoices(merchantId, { purchaseOrderId })
+    const tolerances = await this.getTolerances(merchantId)
+
+    const reports = []
+    for (const invoice of invoices) {
+      const report = buildDiscrepancyReport({ purchaseOrder: order, invoiceLines: invoice.lineItems || [], tolerances })
+
+      // Approved invoices keep their status; everything else follows the latest comparison
+      if (invoice.status !== 'approved' && invoice.status !== report.status) {
+        await prismaOperation(
+          (client) => client.supplierInvoice.update({
+            where: { id: invoice.id },
+            data: { status: report.status, discrepancyReport: report }
+          }),
+          `Refresh invoice ${invoice.id} discrepancies`
+        )
+        invoice.status = report.status
+      }
+
+      reports.push({
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        fileName: invoice.fileName,
+        status: invoice.status,
+        matchMethod: invoice.matchMethod,
+        reviewedAt: invoice.reviewedAt,
+        report
+      })
+    }
+
+    return {
+      purchaseOrderId: order.id,
+      number: order.number,
+      invoices: reports,
+      openIssues: reports
+        .filter((entry) => entry.status === 'needs_review')
+        .reduce((count, entry) => count + entry.report.issueCount, 0)
+    }
+  }
+}
+
+export const supplierInvoiceService = new SupplierInvoiceService()
+export default supplierInvoiceService
@@ -4,11 +4,13 @@
  * Calculates and stores supplier performance metrics including:
  * - Accuracy scores
  * - Processing times
+ * - Delivery performance (lead time, on-time / in-full) from receipts
  * - Status breakdowns
  * - Health scores
  */
 
 import { db } from '../lib/db.js'
+import { buildDeliveryRecord, summarizeDeliveryPerformance } from './deliveryPerformanceEngine.js'
 
 /**
  * Calculate comprehensive metrics for a specific supplier
@@ -22,7 +24,8 @@ export async function calculateSupplierMetrics(supplierId) {
     const purchaseOrders = await client.purchaseOrder.findMany({
       where: { supplierId },
       include: {
-        lineItems: true
+        lineItems: true,
+        receipts: { select: { receivedAt: true } }
       }
     })
 
@@ -30,6 +33,8 @@ export async function calculateSupplierMetrics(supplierId) {
       return getDefaultMetrics(supplierId)
     }
 
+    const delivery = calculateDeliveryPerformance(purchaseOrders)
+
     // Calculate metrics
     const metrics = {
       supplierId,
@@ -41,7 +46,6 @@ export async function calculateSupplierMetrics(supplierId) {
       
       // Performance
       avgProcessingTime: calculateAvgProcessingTime(purchaseOrders),
-      onTimeDeliveryRate: calculateOnTimeDeliveryRate(purchaseOrders),
       totalPOs: purchaseOrders.length,
       totalValue: calculateTotalValue(purchaseOrders),
       
@@ -56,6 +60,15 @@ export async function calculateSupplierMetrics(supplierId) {
       failedCount: purchaseOrders.filter(po => po.status === 'failed').length,
       needsReviewCount: purchaseOrders.filter(po => po.status === 'needs_review' || po.status === 'pending_review').length,
       
+      // Delivery
+      onTimeDeliveryRate: delivery.onTimeRate ?? 100, // Assume good if no data
+      deliveriesMeasured: delivery.deliveriesMeasured,
+      avgLeadTimeDays: delivery.avgLeadTimeDays,
+      leadTimeStdDevDays: delivery.leadTimeStdDevDays,
+      avgArrivalDelayDays: delivery.avgArrivalDelayDays,
+      inFullRate: delivery.inFullRate,
+      otifRate: delivery.otifRate,
+      
       // Health Score
       healthScore: 0, // Will be calculated below
       lastHealthCheck: new Date(),
@@ -216,22 +229,15 @@ function calculateAvgProcessingTime(purchaseOrders) {
 }
 
 /**
- * Calculate on-time delivery rate based on due dates
+ * Calculate lead time and on-time / in-full rates from expected dates and receipts
  */
-function calculateOnTimeDeliveryRate(purchaseOrders) {
-  const posWithDueDate = purchaseOrders.filter(po => 
-    po.dueDate && po.status === 'completed' && po.jobCompletedAt
-  )
-  
-  if (posWithDueDate.length === 0) return 100 // Assume good if no data
-  
-  const onTimePOs = posWithDueDate.filter(po => {
-    const completedDate = new Date(po.jobCompletedAt)
-    const dueDate = new Date(po.dueDate)
-    return completedDate <= dueDate
-  })
-  
-  return parseFloat(((onTimePOs.length / posWithDueDate.length) * 100).toFixed(2))
+function calculateDeliveryPerformance(purchaseOrders) {
+  const now = new Date()
+  const records = purchaseOrders
+    .filter(po => po.status !== 'draft' && po.status !== 'cancelled' && po.status !== 'failed')
+    .map(po => buildDeliveryRecord(po, now))
+
+  return summarizeDeliveryPerformance(records)
 }
 
 /**
@@ -317,7 +323,7 @@ function calculateHealthScore(metrics) {
     : 100
   
   // Calculate weighted average
-  const healthScore = 
+  let healthScore = 
     (accuracyScore * weights.accuracy) +
     (dataQualityScore * weights.dataQuality) +
     (errorScore * weights.errorRate) +
@@ -325,6 +331,11 @@ function calculateHealthScore(metrics) {
     (activityScore * weights.activity) +
     (completionScore * weights.completion)
   
+  // Once deliveries have been measured, OTIF makes up a quarter of the score
+  if (metrics.deliveriesMeasured > 0 && metrics.otifRate !== null && metrics.otifRate !== undefined) {
+    healthScore = (healthScore * 0.75) + (metrics.otifRate * 0.25)
+  }
+  
   return parseFloat(Math.min(100, Math.max(0, healthScore)).toFixed(2))
 }
 
@@ -339,6 +350,12 @@ function getDefaultMetrics(supplierId) {
     errorRate: 0,
     avgProcessingTime: 0,
     onTimeDeliveryRate: 100,
+    deliveriesMeasured: 0,
+    avgLeadTimeDays: null,
+    leadTimeStdDevDays: null,
+    avgArrivalDelayDays: null,
+    inFullRate: null,
+    otifRate: null,
     totalPOs: 0,
     totalValue: 0,
     recentPOs7Days: 0,
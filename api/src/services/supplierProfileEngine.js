@@ -0,0 +1,414 @@
+/**
+ * Supplier Profile Engine
+ * Per-supplier extraction profiles learned from merchant corrections.
+ *
+ * A profile collects, per supplier:
+ * - columnMappings: a value the AI put in one field belongs in another
+ *   (e.g. the supplier's "Item #" column landed in description instead of sku)
+ * - skuFormats: shapes of corrected SKUs (ABC-1234 → AAA-9999) and prefixes
+ *   the AI keeps dropping
+ * - packSizeRules: quantity / unit cost corrections that line up with the
+ *   pack size in the product name (cases vs units)
+ * - artifactPatterns: lines merchants removed as not being products
+ * - examples: the latest corrections, replayed as few-shot hints
+ *
+ * Every observation feeds the prompt hints except column mappings and
+ * artifact lines, which wait for `minOccurrences` like the deterministic
+ * post-processing does: one removal can be a product the merchant didn't want.
+ */
+
+export const PROFILE_DEFAULTS = {
+  minOccurrences: 2,
+  maxExamples: 10,
+  maxHintExamples: 5,
+  maxArtifactPatterns: 50
+}
+
+export const LEARNABLE_FIELDS = ['sku', 'productName', 'quantity', 'unitCost']
+
+// Profile fields are POLineItem fields; AI results use the extraction schema names
+const AI_FIELD_NAMES = {
+  sku: ['sku', 'productCode'],
+  productName: ['description', 'name'],
+  quantity: ['quantity'],
+  unitCost: ['unitPrice']
+}
+
+const PACK_SIZE_PATTERN = /(?:case|pack|box|carton)\s*(?:of|\/)\s*(\d+)|(\d+)\s*(?:ct|pk|pcs|count)\b|(\d+)\s*-?\s*pack\b/i
+
+const NAME_SUFFIXES = /\b(inc|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|pty)\b\.?/g
+
+export function emptyProfile() {
+  return {
+    columnMappings: [],
+    skuFormats: [],
+    packSizeRules: [],
+    artifactPatterns: [],
+    examples: [],
+    correctionCount: 0
+  }
+}
+
+export function normalizeSupplierName(name) {
+  if (!name || typeof name !== 'string') return ''
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(NAME_SUFFIXES, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Character-class shape of a SKU: letters → A, digits → 9, separators kept
+ */
+export function skuShape(sku) {
+  if (!sku) return ''
+  return String(sku).trim().toUpperCase().replace(/[A-Z]/g, 'A').replace(/[0-9]/g, '9')
+}
+
+export function parsePackSize(text) {
+  if (!text) return null
+  const match = String(text).match(PACK_SIZE_PATTERN)
+  if (!match) return null
+  const size = parseInt(match[1] || match[2] || match[3], 10)
+  return size > 1 ? size : null
+}
+
+const sameValue = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return false
+  const numberA = Number(a)
+  const numberB = Number(b)
+  if (a !== '' && b !== '' && Number.isFinite(numberA) && Number.isFinite(numberB)) {
+    return Math.abs(numberA - numberB) < 0.005
+  }
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+}
+
+/**
+ * Field-level corrections between the parsed line and the merchant's edit
+ * @param {Object} before - POLineItem as parsed
+ * @param {Object} after - fields the merchant submitted
+ */
+export function deriveCorrections(before = {}, after = {}) {
+  const corrections = []
+  for (const field of LEARNABLE_FIELDS) {
+    if (!(field in after) || after[field] === undefined) continue
+    if (sameValue(before[field], after[field])) continue
+    if ((before[field] === null || before[field] === '') && (after[field] === null || after[field] === '')) continue
+    corrections.push({
+      field,
+      from: before[field] ?? null,
+      to: after[field] ?? null,
+      productName: after.productName || before.productName || null
+    })
+  }
+  return corrections
+}
+
+const bump = (entries, matches, fields) => {
+  const existing = entries.find(matches)
+  if (existing) {
+    return entries.map((entry) => (entry === existing ? { ...entry, ...fields, count: entry.count + 1 } : entry))
+  }
+  return [...entries, { ...fields, count: 1 }]
+}
+
+/**
+ * Fold one edited line into a profile
+ * @returns {Object} new profile (input is not mutated)
+ */
+export function learnFromLineEdit(profile = emptyProfile(), before = {}, after = {}, options = {}) {
+  const { maxExamples } = { ...PROFILE_DEFAULTS, ...options }
+  const corrections = deriveCorrections(before, after)
+  if (corrections.length === 0) return profile
+
+  let { columnMappings, skuFormats, packSizeRules, examples } = { ...emptyProfile(), ...profile }
+
+  for (const correction of corrections) {
+    const { field, from, to } = correction
+
+    // Value the merchant typed was already on the line, in another field
+    const source = LEARNABLE_FIELDS.find((other) => other !== field && sameValue(before[other], to))
+    if (source) {
+      columnMappings = bump(columnMappings, (entry) => entry.from === source && entry.to === field, {
+        from: source,
+        to: field
+      })
+    }
+
+    if (field === 'sku' && to) {
+      const corrected = String(to).trim()
+      const original = from ? String(from).trim() : ''
+      const prefix = original && corrected.length > original.length && corrected.toUpperCase().endsWith(original.toUpperCase())
+        ? corrected.slice(0, corrected.length - original.length)
+        : null
+      const shape = skuShape(corrected)
+      skuFormats = bump(skuFormats, (entry) => entry.shape === shape && (entry.prefix || null) === prefix, {
+        shape,
+        prefix,
+        example: corrected
+      })
+    }
+
+    if ((field === 'quantity' || field === 'unitCost') && Number(from) > 0 && Number(to) > 0) {
+      const packSize = parsePackSize(after.productName || before.productName || before.description)
+      if (packSize) {
+        const ratio = Number(to) / Number(from)
+        const mode = Math.abs(ratio - packSize) < 0.01
+          ? 'multiply'
+          : Math.abs(ratio - 1 / packSize) < 0.0001 ? 'divide' : null
+        if (mode) {
+          packSizeRules = bump(packSizeRules, (entry) => entry.field === field && entry.mode === mode, {
+            field,
+            mode,
+            example: `${after.productName || before.productName}: ${from} → ${to}`
+          })
+        }
+      }
+    }
+  }
+
+  examples = [...corrections, ...examples].slice(0, maxExamples)
+
+  return {
+    ...profile,
+    columnMappings,
+    skuFormats,
+    packSizeRules,
+    examples,
+    correctionCount: (profile.correctionCount || 0) + corrections.length
+  }
+}
+
+const confirmed = (entries = [], minOccurrences) => entries.filter((entry) => entry.count >= minOccurrences)
+
+// Text of lines that are never products: totals, charges, paging and sign-offs
+const NON_PRODUCT_TEXT = /\b(sub-?total|total|tax|vat|gst|shipping|freight|delivery|handling|discount|deposit|balance|page\s+\d+|continued|thank\s+you|remit|terms)\b/i
+
+/**
+ * Whether a removed line item looks like document text rather than a product
+ * A line with a SKU, or a quantity and price but no tell-tale text, was a real
+ * product the merchant didn't want and must not be learned
+ * @param {Object} item - POLineItem { sku, productName, description, quantity, unitCost }
+ */
+export function isNonProductLine(item = {}) {
+  if (String(item.sku || '').trim()) return false
+  const text = `${item.productName || ''} ${item.description || ''}`
+  if (NON_PRODUCT_TEXT.test(text)) return true
+  return !(Number(item.quantity) > 0 && Number(item.unitCost) > 0)
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Remember a line the merchant removed as not being a product
+ */
+export function learnArtifactLine(profile = emptyProfile(), text, options = {}) {
+  const { maxArtifactPatterns } = { ...PROFILE_DEFAULTS, ...options }
+  const line = String(text || '').trim().replace(/\s+/g, ' ')
+  if (line.length < 4) return profile
+
+  // Lines starting with the removed text; numbers change between documents so match any digits
+  const source = `^[ \\t]*${escapeRegExp(line).replace(/\d+/g, '\\d+').replace(/ /g, '\\s+')}.*$`
+  const artifactPatterns = bump(profile.artifactPatterns || [], (entry) => entry.source === source, {
+    source,
+    flags: 'gim',
+    example: line
+  }).slice(-maxArtifactPatterns)
+
+  return { ...profile, artifactPatterns }
+}
+
+/**
+ * Compiled artifact patterns for the text preprocessor, once seen `minOccurrences` times
+ */
+export function buildArtifactPatterns(profile, options = {}) {
+  const { minOccurrences } = { ...PROFILE_DEFAULTS, ...options }
+  const patterns = []
+  for (const entry of confirmed(profile?.artifactPatterns, minOccurrences)) {
+    try {
+      patterns.push(new RegExp(entry.source, entry.flags || 'gim'))
+    } catch {
+      // Skip patterns that no longer compile
+    }
+  }
+  return patterns
+}
+
+const FIELD_LABELS = {
+  sku: 'SKU',
+  productName: 'description',
+  quantity: 'quantity',
+  unitCost: 'unit price'
+}
+
+/**
+ * Prompt guidance for the supplier's next document
+ * @returns {string|null}
+ */
+export function buildPromptHints(profile, supplierName, options = {}) {
+  if (!profile) return null
+  const { maxHintExamples, minOccurrences } = { ...PROFILE_DEFAULTS, ...options }
+  const hints = []
+
+  // A single matching value can be coincidence (qty 1, price 1); wait for a repeat
+  for (const mapping of confirmed(profile.columnMappings, minOccurrences)) {
+    hints.push(`Values you would place in "${FIELD_LABELS[mapping.from]}" are this supplier's ${FIELD_LABELS[mapping.to]} column - put them in ${FIELD_LABELS[mapping.to]}.`)
+  }
+
+  const formats = [...(profile.skuFormats || [])].sort((a, b) => b.count - a.count).slice(0, 3)
+  for (const format of formats) {
+    hints.push(format.prefix
+      ? `SKUs carry the "${format.prefix}" prefix, e.g. ${format.example}. Keep the prefix.`
+      : `SKUs look like ${format.example} (pattern ${format.shape}).`)
+  }
+
+  for (const rule of profile.packSizeRules || []) {
+    if (rule.field === 'quantity') {
+      hints.push(rule.mode === 'multiply'
+        ? 'The quantity column counts cases/packs: total units = quantity × pack size in the description.'
+        : 'The quantity column already counts units: do not multiply by the pack size in the description.')
+    } else {
+      hints.push(rule.mode === 'divide'
+        ? 'Prices are per case/pack: unit price = price ÷ pack size in the description.'
+        : 'Prices are already per unit even when the description mentions a pack size.')
+    }
+  }
+
+  const artifacts = confirmed(profile.artifactPatterns, minOccurrences)
+  if (artifacts.length > 0) {
+    const samples = artifacts.slice(-3).map((entry) => `"${entry.example}"`).join(', ')
+    hints.push(`Lines such as ${samples} are not products - never return them as line items.`)
+  }
+
+  const examples = (profile.examples || []).slice(0, maxHintExamples)
+  if (examples.length > 0) {
+    hints.push('Recent merchant corrections for this supplier:')
+    for (const example of examples) {
+      hints.push(`  - ${example.productName ? `"${example.productName}" ` : ''}${FIELD_LABELS[example.field]}: ${example.from ?? 'empty'} → ${example.to ?? 'empty'}`)
+    }
+  }
+
+  if (hints.length === 0) return null
+  return `Supplier-specific guidance${supplierName ? ` for ${supplierName}` : ''}, learned from merchant corrections:\n- ${hints.join('\n- ')}`
+}
+
+const readField = (item, field) => {
+  for (const name of AI_FIELD_NAMES[field]) {
+    if (item[name] !== undefined && item[name] !== null && item[name] !== '') return item[name]
+  }
+  return null
+}
+
+const writeField = (item, field, value) => {
+  const [primary, ...aliases] = AI_FIELD_NAMES[field]
+  item[primary] = value
+  for (const alias of aliases) {
+    if (alias in item) item[alias] = value
+  }
+}
+
+const roundTo = (value, places) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places)
+
+/**
+ * Apply confirmed rules to freshly extracted line items
+ * @param {Array} lineItems - AI extraction line items
+ * @returns {{ lineItems: Array, applied: Array<string> }}
+ */
+export function applyProfileToLineItems(lineItems = [], profile, options = {}) {
+  const { minOccurrences } = { ...PROFILE_DEFAULTS, ...options }
+  if (!profile || !Array.isArray(lineItems)) return { lineItems, applied: [] }
+
+  const mappings = confirmed(profile.columnMappings, minOccurrences)
+  const prefixes = confirmed(profile.skuFormats, minOccurrences).filter((format) => format.prefix)
+  const packRules = confirmed(profile.packSizeRules, minOccurrences)
+  const applied = new Set()
+
+  const adjusted = lineItems.map((original) => {
+    const item = { ...original }
+
+    for (const mapping of mappings) {
+      const value = readField(original, mapping.from)
+      if (value !== null) {
+        writeField(item, mapping.to, value)
+        applied.add(`${FIELD_LABELS[mapping.from]} → ${FIELD_LABELS[mapping.to]}`)
+      }
+    }
+
+    const sku = readField(item, 'sku')
+    if (sku) {
+      const prefix = prefixes.find((format) =>
+        !String(sku).toUpperCase().startsWith(format.prefix.toUpperCase()) &&
+        skuShape(`${format.prefix}${sku}`) === format.shape
+      )
+      if (prefix) {
+        writeField(item, 'sku', `${prefix.prefix}${sku}`)
+        applied.add(`SKU prefix ${prefix.prefix}`)
+      }
+    }
+
+    const packSize = parsePackSize(readField(item, 'productName'))
+    if (packSize) {
+      for (const rule of packRules) {
+        const value = Number(readField(item, rule.field))
+        if (!(value > 0)) continue
+        if (rule.mode === 'multiply') {
+          writeField(item, rule.field, rule.field === 'quantity' ? value * packSize : roundTo(value * packSize, 2))
+        } else if (rule.field === 'quantity') {
+          if (value % packSize !== 0) continue
+          writeField(item, rule.field, value / packSize)
+        } else {
+          writeField(item, rule.field, roundTo(value / packSize, 4))
+        }
+        applied.add(`${FIELD_LABELS[rule.field]} ${rule.mode === 'multiply' ? '×' : '÷'} pack size`)
+      }
+    }
+
+    return item
+  })
+
+  return { lineItems: adjusted, applied: [...applied] }
+}
+
+/**
+ * Pick the supplier whose name (or email domain) appears near the top of the document
+ * @param {Array} candidates - [{ supplierId, name, contactEmail }]
+ * @param {string} text
+ * @returns {string|null} supplierId
+ */
+export function matchSupplierByText(candidates = [], text = '', { headerChars = 3000 } = {}) {
+  if (!text) return null
+  const header = ` ${normalizeSupplierName(String(text).slice(0, headerChars))} `
+  const rawHeader = String(text).slice(0, headerChars).toLowerCase()
+
+  let best = null
+  for (const candidate of candidates) {
+    const name = normalizeSupplierName(candidate.name)
+    const domain = candidate.contactEmail?.split('@')[1]?.toLowerCase()
+    const score = name.length >= 3 && header.includes(` ${name} `)
+      ? name.length
+      : domain && rawHeader.includes(domain) ? domain.length : 0
+    if (score > 0 && (!best || score > best.score)) {
+      best = { supplierId: candidate.supplierId, score }
+    }
+  }
+  return best?.supplierId || null
+}
+
+export default {
+  PROFILE_DEFAULTS,
+  LEARNABLE_FIELDS,
+  emptyProfile,
+  normalizeSupplierName,
+  skuShape,
+  parsePackSize,
+  deriveCorrections,
+  learnFromLineEdit,
+  isNonProductLine,
+  learnArtifactLine,
+  buildArtifactPatterns,
+  buildPromptHints,
+  applyProfileToLineItems,
+  matchSupplierByText
+}
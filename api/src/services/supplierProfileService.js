@@ -0,0 +1,200 @@
+/**
+ * Supplier Profile Service
+ *
+ * Per-supplier parsing profiles learned from merchant corrections:
+ * - Line item edits (POST /api/purchase-orders/:id/edit, PUT /api/line-items/:id)
+ *   and removed junk lines are folded into the PO supplier's profile while
+ *   AISettings.learningMode is on
+ * - Before parsing, the document is matched to a profiled supplier; its artifact
+ *   lines are registered with the text preprocessor, its hints are added to the
+ *   prompt and its confirmed rules are applied to the extracted line items
+ */
+
+import { prismaOperation } from '../lib/db.js'
+import { textPreprocessor } from '../lib/textPreprocessor.js'
+import {
+  emptyProfile,
+  learnFromLineEdit,
+  isNonProductLine,
+  learnArtifactLine,
+  buildArtifactPatterns,
+  buildPromptHints,
+  applyProfileToLineItems,
+  matchSupplierByText
+} from './supplierProfileEngine.js'
+
+const PROFILE_FIELDS = ['columnMappings', 'skuFormats', 'packSizeRules', 'artifactPatterns', 'examples', 'correctionCount']
+
+const vendorKeyFor = (supplierId) => `supplier:${supplierId}`
+
+const pickProfileFields = (profile) =>
+  Object.fromEntries(PROFILE_FIELDS.map((field) => [field, profile[field]]))
+
+export class SupplierProfileService {
+  async isLearningEnabled(merchantId) {
+    const settings = await prismaOperation(
+      (client) => client.aISettings.findUnique({
+        where: { merchantId },
+        select: { learningMode: true }
+      }),
+      `Get learning mode for ${merchantId}`
+    )
+    // Schema default is on; merchants without settings yet are learning
+    return settings ? settings.learningMode !== false : true
+  }
+
+  async getProfile(merchantId, supplierId) {
+    return await prismaOperation(
+      (client) => client.supplierParsingProfile.findFirst({
+        where: { merchantId, supplierId },
+        include: { supplier: { select: { id: true, name: true } } }
+      }),
+      `Get parsing profile for supplier ${supplierId}`
+    )
+  }
+
+  async listProfiles(merchantId) {
+    return await prismaOperation(
+      (client) => client.supplierParsingProfile.findMany({
+        where: { merchantId },
+        include: { supplier: { select: { id: true, name: true } } },
+        orderBy: { updatedAt: 'desc' }
+      }),
+      `List parsing profiles for ${merchantId}`
+    )
+  }
+
+  async _saveProfile(merchantId, supplierId, profile) {
+    const data = { ...pickProfileFields(profile), lastLearnedAt: new Date() }
+    const saved = await prismaOperation(
+      (client) => client.supplierParsingProfile.upsert({
+        where: { supplierId },
+        create: { merchantId, supplierId, ...data },
+        update: data
+      }),
+      `Save parsing profile for supplier ${supplierId}`
+    )
+
+    textPreprocessor.registerVendorArtifacts(vendorKeyFor(supplierId), buildArtifactPatterns(saved), { replace: true })
+    return saved
+  }
+
+  /**
+   * Learn from merchant edits to a PO's line items
+   * @param {Array<{ before: Object, after: Object }>} edits - parsed line vs submitted fields
+   * @returns {Promise<Object|null>} updated profile, or null when nothing was learned
+   */
+  async learnFromLineItemEdits(merchantId, supplierId, edits = []) {
+    if (!supplierId || edits.length === 0) return null
+    if (!(await this.isLearningEnabled(merchantId))) return null
+
+    const existing = await this.getProfile(merchantId, supplierId)
+    const current = existing ? pickProfileFields(existing) : emptyProfile()
+
+    let profile = current
+    for (const { before, after } of edits) {
+      profile = learnFromLineEdit(profile, before, after)
+    }
+    if (profile.correctionCount === current.correctionCount) return null
+
+    console.log(`🧠 Learned ${profile.correctionCount - current.correctionCount} correction(s) for supplier ${supplierId}`)
+    return await this._saveProfile(merchantId, supplierId, profile)
+  }
+
+  /**
+   * Learn lines the merchant removed as not being products
+   * @param {Array<Object>} lineItems - removed POLineItems; ones that look like real products are ignored
+   */
+  async learnArtifactLines(merchantId, supplierId, lineItems = []) {
+    const lines = lineItems
+      .filter(isNonProductLine)
+      .map((item) => item.productName || item.description)
+      .filter(Boolean)
+    if (!supplierId || lines.length === 0) return null
+    if (!(await this.isLearningEnabled(merchantId))) return null
+
+    const existing = await this.getProfile(merchantId, supplierId)
+    let profile = existing ? pickProfileFields(existing) : emptyProfile()
+    for (const line of lines) {
+      profile = learnArtifactLine(profile, line)
+    }
+
+    return await this._saveProfile(merchantId, supplierId, profile)
+  }
+
+  /**
+   * Find the profile for a document about to be parsed
+   * @param {Object} params - { supplierId } when known up front, otherwise { text } to match on
+   * @returns {Promise<Object|null>} { supplierId, supplierName, vendorKey, hints, profile }
+   */
+  async resolveForDocument(merchantId, { supplierId, text } = {}) {
+    const profiles = await prismaOperation(
+      (client) => client.supplierParsingProfile.findMany({
+        where: { merchantId, ...(supplierId ? { supplierId } : {}) },
+        include: { supplier: { select: { id: true, name: true, contactEmail: true } } }
+      }),
+      `Get parsing profiles for ${merchantId}`
+    )
+    if (profiles.length === 0) return null
+
+    const matchedId = supplierId || matchSupplierByText(
+      profiles.map((profile) => ({
+        supplierId: profile.supplierId,
+        name: profile.supplier.name,
+        contactEmail: profile.supplier.contactEmail
+      })),
+      text
+    )
+    const profile = profiles.find((candidate) => candidate.supplierId === matchedId)
+    if (!profile) return null
+
+    const vendorKey = vendorKeyFor(profile.supplierId)
+    textPreprocessor.registerVendorArtifacts(vendorKey, buildArtifactPatterns(profile), { replace: true })
+
+    console.log(`🧠 Using parsing profile for ${profile.supplier.name} (${profile.correctionCount} corrections)`)
+    return {
+      supplierId: profile.supplierId,
+      supplierName: profile.supplier.name,
+      vendorKey,
+      hints: buildPromptHints(profile, profile.supplier.name),
+      profile
+    }
+  }
+
+  /**
+   * Apply a resolved profile's confirmed rules to an AI extraction in place
+   * @returns {Promise<Array<string>>} adjustments applied
+   */
+  async applyToResult(parsedResult, resolved) {
+    const lineItems = parsedResult?.extractedData?.lineItems
+    if (!resolved || !Array.isArray(lineItems)) return []
+
+    const { lineItems: adjusted, applied } = applyProfileToLineItems(lineItems, resolved.profile)
+    parsedResult.extractedData.lineItems = adjusted
+
+    if (applied.length > 0) {
+      await prismaOperation(
+        (client) => client.supplierParsingProfile.update({
+          where: { id: resolved.profile.id },
+          data: { lastAppliedAt: new Date() }
+        }),
+        `Mark parsing profile ${resolved.profile.id} applied`
+      )
+      console.log(`🧠 Applied ${resolved.supplierName} profile rules: ${applied.join(', ')}`)
+    }
+    return applied
+  }
+
+  async resetProfile(merchantId, supplierId) {
+    const result = await prismaOperation(
+      (client) => client.supplierParsingProfile.deleteMany({ where: { merchantId, supplierId } }),
+      `Reset parsing profile for supplier ${supplierId}`
+    )
+
+    textPreprocessor.registerVendorArtifacts(vendorKeyFor(supplierId), [], { replace: true })
+    return result.count > 0
+  }
+}
+
+export const supplierProfileService = new SupplierProfileService()
+export default supplierProfileService
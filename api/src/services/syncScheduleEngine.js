@@ -0,0 +1,604 @@
+/**
+ * Sync Schedule Engine
+ *
+ * Pure helpers for the supplier API pulls configured in the sync scheduler:
+ * schedule validation, cron expressions and next-run times in the schedule's
+ * timezone, secret masking, request headers for each auth method, and turning
+ * an orders endpoint response into PO documents for the upload workflow.
+ */
+
+import { SECRET_PLACEHOLDER, SYNC_FREQUENCY_MINUTES } from './supplierFileFetchEngine.js'
+
+export { SECRET_PLACEHOLDER }
+
+export const SCHEDULE_FREQUENCIES = [...Object.keys(SYNC_FREQUENCY_MINUTES), 'monthly']
+
+export const AUTH_METHODS = ['api_key', 'oauth2', 'basic_auth', 'bearer_token', 'custom_headers']
+
+export const SCHEDULE_SECRET_FIELDS = ['apiKey', 'apiSecret', 'password', 'bearerToken']
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+export const SCHEDULE_DEFAULTS = {
+  timezone: 'UTC',
+  time: '09:00',
+  endpoints: { orders: '/api/v1/orders', products: '', inventory: '', status: '' },
+  retryAttempts: 3,
+  timeout: 60,
+  batchSize: 100,
+  criticalErrorThreshold: 5
+}
+
+export const SCHEDULE_LIMITS = {
+  maxRetryAttempts: 5,
+  maxTimeoutSeconds: 300,
+  maxBatchSize: 500,
+  maxMonthlyDay: 28 // Every month has the day, so the cron expression and next run agree
+}
+
+// Minutes past midnight for each run of a sub-daily frequency
+const INTRADAY_STEP_MINUTES = {
+  every_15min: 15,
+  every_30min: 30,
+  hourly: 60,
+  every_4h: 240
+}
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '')
+
+const boundedInteger = (value, fallback, min, max) => {
+  const number = value === undefined || value === null || value === '' ? fallback : Number(value)
+  if (!Number.isFinite(number)) return fallback
+  return Math.min(Math.max(Math.round(number), min), max)
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Resolved IPv4/IPv6 address inside a private, loopback, link-local, CGNAT,
+ * multicast or reserved range (IPv4-mapped IPv6 is checked as IPv4)
+ */
+export function isPrivateAddress(address = '') {
+  const host = String(address).toLowerCase().replace(/^\[|\]$/g, '')
+
+  if (host.includes(':')) {
+    const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/)
+    if (mapped) return isPrivateAddress(mapped[1])
+    const mappedHex = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/)
+    if (mappedHex) {
+      const [high, low] = mappedHex.slice(1).map((group) => parseInt(group, 16))
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'))
+    }
+    return host === '::' || host === '::1' || /^(fc|fd|fe[89ab]|ff)/.test(host)
+  }
+
+  const octets = host.split('.').map((octet) => (/^\d{1,3}$/.test(octet) ? Number(octet) : NaN))
+  if (octets.length !== 4 || octets.some((octet) => !(octet >= 0 && octet <= 255))) return false
+  const [a, b, c] = octets
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    (a === 100 && b >= 64 && b <= 127)
+}
+
+/**
+ * Dotted-quad form of an IPv4 literal in any shape inet_aton accepts
+ * (127.1, 2130706433, 0x7f000001, 0177.0.0.1), or null for anything else
+ */
+function ipv4Literal(host) {
+  const parts = host.split('.')
+  if (parts.length > 4) return null
+  const values = parts.map((part) => {
+    if (/^0x[0-9a-f]+$/.test(part)) return parseInt(part, 16)
+    if (/^0[0-7]*$/.test(part)) return parseInt(part, 8)
+    if (/^[1-9]\d*$/.test(part)) return Number(part)
+    return NaN
+  })
+  if (values.some(Number.isNaN)) return null
+
+  const last = values.pop()
+  if (values.some((value) => value > 255) || last >= 256 ** (4 - values.length)) return null
+  const number = values.reduce((total, value, index) => total + value * 256 ** (3 - index), 0) + last
+  return [Math.floor(number / 2 ** 24), Math.floor(number / 2 ** 16) % 256, Math.floor(number / 256) % 256, number % 256].join('.')
+}
+
+/**
+ * Hostnames that obviously point inside the server's own network, for a
+ * friendly error when a connection is saved. Names and shorthand IPv4 forms
+ * can still resolve privately, so connections re-check every resolved address
+ * (see lib/publicHostResolver.js); SYNC_SCHEDULE_ALLOW_PRIVATE_HOSTS lifts both
+ */
+export function isPrivateHost(hostname = '') {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '')
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) return true
+  return isPrivateAddress(ipv4Literal(host) || host)
+}
+
+/**
+ * Validate and normalize a schedule from the sync scheduler dialog
+ * Throws with a merchant-facing message when the schedule is unusable
+ * @param {Object} input - flat ScheduleConfig from the dialog
+ * @param {Object} options - { allowPrivateHosts }
+ * @returns {{ supplierName, description, enabled, frequency, time, timezone, weekdays, monthlyDay, config }}
+ */
+export function normalizeSchedule(input = {}, { allowPrivateHosts = false } = {}) {
+  const supplierName = trimmed(input.supplierName)
+  if (!supplierName) throw new Error('Supplier name is required')
+
+  const frequency = input.frequency || 'daily'
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    throw new Error(`frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`)
+  }
+
+  const time = trimmed(input.time) || SCHEDULE_DEFAULTS.time
+  if (!TIME_PATTERN.test(time)) throw new Error('time must be HH:MM')
+
+  const timezone = trimmed(input.timezone) || SCHEDULE_DEFAULTS.timezone
+  if (!isValidTimeZone(timezone)) throw new Error(`Unknown timezone "${timezone}"`)
+
+  const weekdays = Array.isArray(input.weekdays) ? [...new Set(input.weekdays.map((day) => String(day).toLowerCase()))] : []
+  const unknownDay = weekdays.find((day) => !WEEKDAYS.includes(day))
+  if (unknownDay) throw new Error(`Unknown weekday "${unknownDay}"`)
+
+  const monthlyDay = boundedInteger(input.monthlyDay, 1, 1, SCHEDULE_LIMITS.maxMonthlyDay)
+
+  const authMethod = input.authMethod || 'api_key'
+  if (!AUTH_METHODS.includes(authMethod)) {
+    throw new Error(`authMethod must be one of: ${AUTH_METHODS.join(', ')}`)
+  }
+
+  const baseUrl = trimmed(input.baseUrl).replace(/\/+$/, '')
+  let parsedBaseUrl
+  try {
+    parsedBaseUrl = new URL(baseUrl)
+  } catch {
+    throw new Error('Base API URL must be a full http(s) URL')
+  }
+  if (!['http:', 'https:'].includes(parsedBaseUrl.protocol)) {
+    throw new Error('Base API URL must be a full http(s) URL')
+  }
+  if (!allowPrivateHosts && isPrivateHost(parsedBaseUrl.hostname)) {
+    throw new Error('Base API URL must not point at a private or local address')
+  }
+
+  // OAuth token URLs may live on a separate auth host
+  const authUrl = trimmed(input.authUrl) || null
+  if (authUrl && /^https?:\/\//i.test(authUrl) && !allowPrivateHosts && isPrivateHost(new URL(authUrl).hostname)) {
+    throw new Error('Token URL must not point at a private or local address')
+  }
+
+  const endpoints = { ...SCHEDULE_DEFAULTS.endpoints }
+  for (const key of Object.keys(endpoints)) {
+    if (input.endpoints?.[key] !== undefined) endpoints[key] = trimmed(input.endpoints[key])
+  }
+  if (!endpoints.orders) throw new Error('An orders endpoint is required')
+
+  const customHeaders = (Array.isArray(input.customHeaders) ? input.customHeaders : [])
+    .map((header) => ({ key: trimmed(header?.key), value: typeof header?.value === 'string' ? header.value : '' }))
+    .filter((header) => header.key)
+  if (customHeaders.some((header) => !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(header.key))) {
+    throw new Error('Custom header names may only contain letters, digits and -')
+  }
+
+  const config = {
+    category: trimmed(input.category) || 'other',
+    priority: trimmed(input.priority) || 'medium',
+    authMethod,
+    apiKey: input.apiKey || null,
+    apiSecret: input.apiSecret || null,
+    username: trimmed(input.username) || null,
+    password: input.password || null,
+    authUrl,
+    bearerToken: input.bearerToken || null,
+    customHeaders,
+    baseUrl,
+    endpoints,
+    aiModel: trimmed(input.aiModel) || null,
+    confidenceThreshold: boundedInteger(input.confidenceThreshold, 85, 0, 100),
+    autoApprove: Boolean(input.autoApprove),
+    parseInstructions: trimmed(input.parseInstructions),
+    fallbackToManual: input.fallbackToManual !== false,
+    fieldMappings: Object.fromEntries(
+      Object.entries(input.fieldMappings || {}).map(([field, key]) => [field, trimmed(key)]).filter(([, key]) => key)
+    ),
+    retryAttempts: boundedInteger(input.retryAttempts, SCHEDULE_DEFAULTS.retryAttempts, 0, SCHEDULE_LIMITS.maxRetryAttempts),
+    timeout: boundedInteger(input.timeout, SCHEDULE_DEFAULTS.timeout, 5, SCHEDULE_LIMITS.maxTimeoutSeconds),
+    rateLimit: boundedInteger(input.rateLimit, 60, 1, 10000),
+    batchSize: boundedInteger(input.batchSize, SCHEDULE_DEFAULTS.batchSize, 1, SCHEDULE_LIMITS.maxBatchSize),
+    emailNotifications: Boolean(input.emailNotifications),
+    notificationEmail: trimmed(input.notificationEmail) || null,
+    criticalErrorThreshold: boundedInteger(input.criticalErrorThreshold, SCHEDULE_DEFAULTS.criticalErrorThreshold, 1, 100),
+    autoDisableOnErrors: Boolean(input.autoDisableOnErrors),
+    validatePricing: input.validatePricing !== false,
+    priceVarianceThreshold: Number(input.priceVarianceThreshold) || 0,
+    requireApprovalAbove: Number(input.requireApprovalAbove) || 0,
+    stockLevelChecks: input.stockLevelChecks !== false
+  }
+
+  if (authMethod === 'api_key' && !config.apiKey) throw new Error('API Key is required for API key authentication')
+  if (authMethod === 'basic_auth' && (!config.username || !config.password)) {
+    throw new Error('Username and password are required for basic authentication')
+  }
+  if (authMethod === 'oauth2') {
+    if (!config.apiKey || !config.apiSecret) throw new Error('Client ID and Secret are required for OAuth 2.0')
+    if (!config.authUrl) throw new Error('A token URL is required for OAuth 2.0')
+  }
+  if (authMethod === 'bearer_token' && !config.bearerToken) throw new Error('Bearer token is required for token authentication')
+  if (authMethod === 'custom_headers' && customHeaders.length === 0) throw new Error('At least one custom header is required')
+  if (config.emailNotifications && !config.notificationEmail) {
+    throw new Error('Notification email is required when email notifications are enabled')
+  }
+
+  return {
+    supplierName,
+    description: trimmed(input.description) || null,
+    enabled: input.enabled !== false,
+    frequency,
+    time,
+    timezone,
+    weekdays: WEEKDAYS.filter((day) => weekdays.includes(day)),
+    monthlyDay,
+    config
+  }
+}
+
+/**
+ * Copy of a schedule config with secrets (and custom header values) replaced by a placeholder
+ */
+export function maskScheduleSecrets(config = {}) {
+  const masked = { ...config }
+  for (const field of SCHEDULE_SECRET_FIELDS) {
+    if (masked[field]) masked[field] = SECRET_PLACEHOLDER
+  }
+  if (Array.isArray(config.customHeaders)) {
+    masked.customHeaders = config.customHeaders.map((header) => ({ key: header.key, value: header.value ? SECRET_PLACEHOLDER : '' }))
+  }
+  return masked
+}
+
+/**
+ * Keep stored secrets the client sent back masked (or left out)
+ * @param {Object} stored - current SyncSchedule.config
+ * @param {Object} incoming - config from the client
+ */
+export function mergeScheduleSecrets(stored = {}, incoming = {}) {
+  const merged = { ...incoming }
+  for (const field of SCHEDULE_SECRET_FIELDS) {
+    if (incoming[field] === SECRET_PLACEHOLDER || incoming[field] === undefined) {
+      merged[field] = stored[field] || null
+    }
+  }
+  if (Array.isArray(incoming.customHeaders)) {
+    const storedHeaders = new Map((stored.customHeaders || []).map((header) => [header.key, header.value]))
+    merged.customHeaders = incoming.customHeaders.map((header) => (
+      header?.value === SECRET_PLACEHOLDER ? { key: header.key, value: storedHeaders.get(header.key) || '' } : header
+    ))
+  } else {
+    merged.customHeaders = stored.customHeaders || []
+  }
+  return merged
+}
+
+function parseTime(time) {
+  const match = TIME_PATTERN.exec(time || '') || TIME_PATTERN.exec(SCHEDULE_DEFAULTS.time)
+  return { hour: Number(match[1]), minute: Number(match[2]) }
+}
+
+function dayOfWeekField(weekdays = []) {
+  if (weekdays.length === 0 || weekdays.length === WEEKDAYS.length) return '*'
+  return weekdays.map((day) => WEEKDAYS.indexOf(day)).sort((a, b) => a - b).join(',')
+}
+
+/**
+ * Cron expression for a schedule, evaluated in the schedule's timezone
+ * Weekdays limit every frequency except weekly (first selected day) and monthly
+ * @param {Object} schedule - { frequency, time, weekdays, monthlyDay }
+ */
+export function toCronExpression({ frequency, time, weekdays = [], monthlyDay = 1 }) {
+  const { hour, minute } = parseTime(time)
+  const days = dayOfWeekField(weekdays)
+
+  switch (frequency) {
+    case 'every_15min':
+      return `*/15 * * * ${days}`
+    case 'every_30min':
+      return `*/30 * * * ${days}`
+    case 'hourly':
+      return `0 * * * ${days}`
+    case 'every_4h':
+      return `0 */4 * * ${days}`
+    case 'weekly':
+      return `${minute} ${hour} * * ${WEEKDAYS.indexOf(weekdays[0] || 'monday')}`
+    case 'monthly':
+      return `${minute} ${hour} ${monthlyDay} * *`
+    default:
+      return `${minute} ${hour} * * ${days}`
+  }
+}
+
+const zonedFormatters = new Map()
+
+function zonedParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+  const parts = Object.fromEntries(zonedFormatters.get(timeZone).formatToParts(date).map((part) => [part.type, Number(part.value)]))
+  return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second }
+}
+
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = zonedParts(date, timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+/**
+ * UTC instant for a wall-clock time in a timezone (DST gaps resolve forward)
+ */
+export function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month, day, hour, minute)
+  const firstGuess = wallClock - timeZoneOffsetMs(new Date(wallClock), timeZone)
+  const offset = timeZoneOffsetMs(new Date(firstGuess), timeZone)
+  return new Date(wallClock - offset)
+}
+
+function runsOnDay(schedule, date) {
+  const weekday = WEEKDAYS[date.getUTCDay()]
+  if (schedule.frequency === 'weekly') return weekday === (schedule.weekdays?.[0] || 'monday')
+  if (schedule.frequency === 'monthly') return date.getUTCDate() === (schedule.monthlyDay || 1)
+  return !schedule.weekdays?.length || schedule.weekdays.includes(weekday)
+}
+
+/**
+ * Next time a schedule's cron expression fires after `from`
+ * @param {Object} schedule - { frequency, time, timezone, weekdays, monthlyDay }
+ * @param {Date} from
+ * @returns {Date}
+ */
+export function computeNextRun(schedule, from = new Date()) {
+  const timeZone = schedule.timezone || SCHEDULE_DEFAULTS.timezone
+  const step = INTRADAY_STEP_MINUTES[schedule.frequency]
+  const { hour, minute } = parseTime(schedule.time)
+  const slots = step
+    ? Array.from({ length: (24 * 60) / step }, (_, index) => index * step)
+    : [hour * 60 + minute]
+
+  const today = zonedParts(from, timeZone)
+  // A monthly schedule fires within 31 days; one extra week covers weekday filters
+  for (let offset = 0; offset <= 38; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month, today.day + offset))
+    if (!runsOnDay(schedule, day)) continue
+
+    for (const slot of slots) {
+      const candidate = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), Math.floor(slot / 60), slot % 60, timeZone)
+      if (candidate > from) return candidate
+    }
+  }
+
+  // Unreachable with validated schedules; keep the schedule moving regardless
+  return new Date(from.getTime() + SYNC_FREQUENCY_MINUTES.daily * 60 * 1000)
+}
+
+/**
+ * OAuth token URL; relative paths resolve against the base URL
+ */
+export function resolveTokenUrl(baseUrl, authUrl) {
+  return /^https?:\/\//i.test(authUrl) ? new URL(authUrl).toString() : resolveEndpointUrl(baseUrl, authUrl)
+}
+
+/**
+ * Join the base URL and an endpoint path (absolute endpoint URLs must share the base's origin)
+ */
+export function resolveEndpointUrl(baseUrl, endpoint) {
+  const base = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`)
+  if (/^https?:\/\//i.test(endpoint)) {
+    const absolute = new URL(endpoint)
+    if (absolute.origin !== base.origin) throw new Error('Endpoints must be on the same host as the base API URL')
+    return absolute.toString()
+  }
+  return new URL(String(endpoint).replace(/^\/+/, ''), base).toString()
+}
+
+/**
+ * Request headers for the configured auth method, from decrypted secrets
+ * @param {Object} config - SyncSchedule.config with secrets revealed
+ * @param {Object} options - { accessToken } from the OAuth 2.0 token endpoint
+ */
+export function buildRequestHeaders(config, { accessToken = null } = {}) {
+  const headers = { Accept: 'application/json, text/csv, application/pdf, */*;q=0.5' }
+
+  switch (config.authMethod) {
+    case 'api_key':
+      headers['X-API-Key'] = config.apiKey
+      if (config.apiSecret) headers['X-API-Secret'] = config.apiSecret
+      break
+    case 'basic_auth':
+      headers.Authorization = `Basic ${Buffer.from(`${config.username}:${config.password}`).toString('base64')}`
+      break
+    case 'bearer_token':
+      headers.Authorization = `Bearer ${config.bearerToken}`
+      break
+    case 'oauth2':
+      if (accessToken) headers.Authorization = `Bearer ${accessToken}`
+      break
+  }
+
+  // Custom headers apply on top of any auth method
+  for (const header of config.customHeaders || []) {
+    if (header.key && header.value) headers[header.key] = header.value
+  }
+  return headers
+}
+
+const ORDER_COLLECTION_KEYS = ['orders', 'purchase_orders', 'purchaseOrders', 'data', 'results', 'items', 'records']
+const LINE_COLLECTION_KEYS = ['line_items', 'lineItems', 'items', 'lines', 'products']
+
+const firstValue = (record, keys) => {
+  for (const key of keys) {
+    if (record?.[key] !== undefined && record[key] !== null && record[key] !== '') return record[key]
+  }
+  return undefined
+}
+
+const isOrderRecord = (value) =>
+  value && typeof value === 'object' && !Array.isArray(value) && LINE_COLLECTION_KEYS.some((key) => Array.isArray(value[key]))
+
+/**
+ * Order records in a JSON orders response: a bare array, a wrapper such as
+ * { orders: [...] } / { data: [...] }, or a single order with line items
+ */
+export function extractOrderRecords(body) {
+  if (Array.isArray(body)) return body.filter(isOrderRecord)
+  if (!body || typeof body !== 'object') return []
+  if (isOrderRecord(body) && !ORDER_COLLECTION_KEYS.some((key) => Array.isArray(body[key]) && body[key].some(isOrderRecord))) {
+    return [body]
+  }
+
+  for (const key of ORDER_COLLECTION_KEYS) {
+    const value = body[key]
+    if (Array.isArray(value)) return value.filter(isOrderRecord)
+    if (value && typeof value === 'object') {
+      const nested = extractOrderRecords(value)
+      if (nested.length > 0) return nested
+    }
+  }
+  return []
+}
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * One JSON order as a CSV purchase order the column mapping engine reads
+ * deterministically: labelled header rows, then a SKU / Description / Qty /
+ * Unit Price / Total table. fieldMappings name the supplier's JSON keys
+ * ({ sku: 'product_id', quantity: 'qty', price: 'unit_price', ... }).
+ * @returns {{ key, poNumber, lineCount, csv }}
+ */
+export function orderToCsv(order, fieldMappings = {}, { supplierName = null } = {}) {
+  const mapped = (record, field, fallbacks) => firstValue(record, [fieldMappings[field], ...fallbacks].filter(Boolean))
+
+  const poNumber = firstValue(order, ['po_number', 'poNumber', 'purchase_order_number', 'order_number', 'orderNumber', 'number', 'id'])
+  const orderDate = firstValue(order, ['order_date', 'orderDate', 'date', 'created_at', 'createdAt'])
+  const supplier = firstValue(order, ['supplier_name', 'supplierName', 'vendor_name', 'vendorName', 'supplier', 'vendor'])
+  const currency = firstValue(order, ['currency', 'currency_code', 'currencyCode'])
+  const lines = firstValue(order, LINE_COLLECTION_KEYS) || []
+
+  const supplierLabel = (typeof supplier === 'object' ? supplier.name : supplier) ?? supplierName
+
+  const rows = []
+  if (poNumber !== undefined) rows.push(['PO Number', poNumber])
+  if (supplierLabel) rows.push(['Supplier', supplierLabel])
+  if (orderDate !== undefined) rows.push(['Order Date', orderDate])
+  if (currency !== undefined) rows.push(['Currency', currency])
+  rows.push([])
+  rows.push(['SKU', 'Description', 'Quantity', 'Unit Price', 'Total', 'Barcode'])
+
+  for (const line of lines) {
+    const quantity = mapped(line, 'quantity', ['quantity', 'qty', 'quantity_ordered', 'ordered'])
+    const unitPrice = mapped(line, 'price', ['unit_price', 'unitPrice', 'unit_cost', 'unitCost', 'price', 'cost'])
+    const computable = quantity !== undefined && unitPrice !== undefined && Number.isFinite(Number(quantity) * Number(unitPrice))
+    const total = firstValue(line, ['total', 'line_total', 'lineTotal', 'amount']) ??
+      (computable ? Math.round(Number(quantity) * Number(unitPrice) * 100) / 100 : '')
+    rows.push([
+      mapped(line, 'sku', ['sku', 'product_code', 'item_code']) ?? mapped(line, 'supplier_code', ['supplier_sku', 'vendor_sku']),
+      mapped(line, 'description', ['description', 'name', 'title', 'product_name']),
+      quantity,
+      unitPrice,
+      total,
+      firstValue(line, ['barcode', 'upc', 'ean', 'gtin'])
+    ])
+  }
+
+  return {
+    key: poNumber !== undefined ? `order:${poNumber}` : null,
+    poNumber: poNumber !== undefined ? String(poNumber) : null,
+    lineCount: lines.length,
+    csv: rows.map((row) => row.map(csvCell).join(',')).join('\n') + '\n'
+  }
+}
+
+/**
+ * Overall run status from per-item outcomes
+ * @param {Array<{ status: 'queued'|'duplicate'|'skipped'|'failed' }>} items
+ */
+export function summarizeScheduleRun(items = [], runError = null) {
+  const count = (status) => items.filter((item) => item.status === status).length
+  const failed = count('failed')
+  const queued = count('queued')
+
+  let status = 'success'
+  if (runError) status = 'failed'
+  else if (failed > 0) status = queued > 0 ? 'partial' : 'failed'
+
+  return {
+    status,
+    itemsFound: items.length,
+    itemsQueued: queued,
+    itemsSkipped: count('duplicate') + count('skipped'),
+    itemsFailed: failed
+  }
+}
+
+/**
+ * Failure streak after a run, and whether the schedule should switch itself off
+ * @param {Object} schedule - { consecutiveFailures, config: { criticalErrorThreshold, autoDisableOnErrors } }
+ * @param {string} status - run status
+ */
+export function nextFailureState(schedule, status) {
+  const consecutiveFailures = status === 'failed' ? (schedule.consecutiveFailures || 0) + 1 : 0
+  const threshold = schedule.config?.criticalErrorThreshold || SCHEDULE_DEFAULTS.criticalErrorThreshold
+  return {
+    consecutiveFailures,
+    disable: Boolean(schedule.config?.autoDisableOnErrors) && consecutiveFailures >= threshold
+  }
+}
+
+export default {
+  SCHEDULE_FREQUENCIES,
+  AUTH_METHODS,
+  SCHEDULE_SECRET_FIELDS,
+  SECRET_PLACEHOLDER,
+  WEEKDAYS,
+  SCHEDULE_DEFAULTS,
+  SCHEDULE_LIMITS,
+  isValidTimeZone,
+  isPrivateAddress,
+  isPrivateHost,
+  normalizeSchedule,
+  maskScheduleSecrets,
+  mergeScheduleSecrets,
+  toCronExpression,
+  zonedTimeToUtc,
+  computeNextRun,
+  resolveEndpointUrl,
+  resolveTokenUrl,
+  buildRequestHeaders,
+  extractOrderRecords,
+  orderToCsv,
+  summarizeScheduleRun,
+  nextFailureState
+}
@@ -0,0 +1,290 @@
+/**
+ * Three-Way Match Engine
+ * Compares a supplier invoice against the purchase order it bills for and
+ * the quantities actually received.
+ *
+ * Per line:
+ * - Price: invoice unit price vs PO unit cost
+ * - Quantity: invoice qty vs PO qty, and invoice qty vs received qty less
+ *   what arrived damaged
+ * - Lines billed but not on the PO, and PO lines missing from the invoice
+ *
+ * Variances beyond the merchant's tolerances flag the invoice for review.
+ * The PO itself is found by the PO number the invoice quotes, the supplier
+ * name and how many SKUs the two documents share.
+ */
+
+import { DEFAULT_PATTERNS } from '../lib/anchorExtractor.js'
+
+export const MATCH_DEFAULTS = {
+  priceTolerancePercent: 2,
+  priceToleranceAmount: 0.01,
+  quantityTolerance: 0,
+  requireReceipt: true,
+  matchThreshold: 0.6
+}
+
+const REFERENCE_VALUE = String.raw`([A-Z0-9][A-Z0-9\-_/.]{2,})`
+
+const anchorPattern = (id) => DEFAULT_PATTERNS.find((pattern) => pattern.id === id)?.pattern
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100
+
+// Units that arrived in sellable condition
+const acceptedQuantity = (line) => Math.max((line.quantityReceived || 0) - (line.quantityDamaged || 0), 0)
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (value === null || value === undefined || value === '') return null
+  const parsed = parseFloat(String(value).replace(/[^0-9.-]/g, ''))
+  return Number.isFinite(parsed) ? parsed : null
+}
+
+export const normalizeReference = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+const normalizeText = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+
+/**
+ * Pull invoice and PO numbers out of document text using the anchor patterns
+ * @returns {{ invoiceNumber: string|null, poNumbers: string[] }}
+ */
+export function extractDocumentReferences(text = '') {
+  const find = (id) => {
+    const source = anchorPattern(id)
+    if (!source) return []
+    const regex = new RegExp(`${source}${REFERENCE_VALUE}`, 'gi')
+    return [...String(text).matchAll(regex)].map((match) => match[1].replace(/[.\-/]+$/, ''))
+  }
+
+  const invoiceNumbers = find('invoice_number')
+  const poNumbers = [...new Set(find('po_number'))]
+
+  return {
+    invoiceNumber: invoiceNumbers[0] || null,
+    poNumbers
+  }
+}
+
+/**
+ * Normalize AI-extracted invoice lines
+ */
+export function normalizeInvoiceLines(lineItems = []) {
+  return (lineItems || [])
+    .map((item) => {
+      const quantity = toNumber(item.quantity) ?? 0
+      const total = toNumber(item.total ?? item.totalPrice ?? item.lineTotal)
+      let unitPrice = toNumber(item.unitPrice ?? item.unitCost ?? item.price)
+      if (unitPrice === null && total !== null && quantity > 0) {
+        unitPrice = total / quantity
+      }
+
+      return {
+        sku: item.sku || item.productCode || null,
+        description: item.description || item.productName || item.name || null,
+        quantity,
+        unitPrice: unitPrice === null ? null : roundMoney(unitPrice),
+        total: total === null ? roundMoney(quantity * (unitPrice || 0)) : roundMoney(total)
+      }
+    })
+    .filter((item) => item.sku || item.description)
+}
+
+/**
+ * Score how likely an invoice bills for a given PO
+ * @param {Object} invoice - { poReferences, supplierId, supplierName, lineItems }
+ * @param {Object} purchaseOrder - { number, supplierId, supplierName, lineItems }
+ */
+export function scorePurchaseOrderMatch(invoice, purchaseOrder) {
+  const poNumber = normalizeReference(purchaseOrder.number)
+  const references = (invoice.poReferences || []).map(normalizeReference)
+  const referenceMatch = poNumber.length >= 3 && references.includes(poNumber)
+
+  const supplierMatch = Boolean(
+    (invoice.supplierId && invoice.supplierId === purchaseOrder.supplierId) ||
+    (normalizeText(invoice.supplierName) && normalizeText(invoice.supplierName) === normalizeText(purchaseOrder.supplierName))
+  )
+
+  const poSkus = new Set((purchaseOrder.lineItems || []).map((item) => normalizeReference(item.sku)).filter(Boolean))
+  const invoiceSkus = new Set((invoice.lineItems || []).map((item) => normalizeReference(item.sku)).filter(Boolean))
+  let shared = 0
+  for (const sku of invoiceSkus) {
+    if (poSkus.has(sku)) shared++
+  }
+  const skuOverlap = invoiceSkus.size > 0 ? Math.round((shared / invoiceSkus.size) * 1000) / 1000 : 0
+
+  let score = 0
+  if (referenceMatch) {
+    score = 1
+  } else if (supplierMatch) {
+    score = skuOverlap
+  }
+
+  return { score, referenceMatch, supplierMatch, skuOverlap }
+}
+
+/**
+ * Pick the PO an invoice belongs to. Ties go to the most recent PO.
+ * @returns {Object|null} { purchaseOrder, score, referenceMatch, supplierMatch, skuOverlap }
+ */
+export function findPurchaseOrderMatch(invoice, purchaseOrders = [], threshold = MATCH_DEFAULTS.matchThreshold) {
+  let best = null
+
+  for (const purchaseOrder of purchaseOrders) {
+    const result = scorePurchaseOrderMatch(invoice, purchaseOrder)
+    if (result.score < threshold) continue
+
+    const createdAt = new Date(purchaseOrder.createdAt || 0).getTime()
+    if (!best || result.score > best.score || (result.score === best.score && createdAt > best.createdAt)) {
+      best = { purchaseOrder, ...result, createdAt }
+    }
+  }
+
+  if (!best) return null
+  const { createdAt, ...match } = best
+  return match
+}
+
+/**
+ * Pair invoice lines with PO lines - by SKU first, then by product name
+ * @returns {Array} [{ poLine, invoiceLine }] with either side possibly null
+ */
+export function pairLines(poLines = [], invoiceLines = []) {
+  const remaining = [...poLines]
+  const pairs = []
+
+  const takeWhere = (predicate) => {
+    const index = remaining.findIndex(predicate)
+    return index === -1 ? null : remaining.splice(index, 1)[0]
+  }
+
+  for (const invoiceLine of invoiceLines) {
+    const sku = normalizeReference(invoiceLine.sku)
+    const name = normalizeText(invoiceLine.description)
+
+    const poLine =
+      (sku && takeWhere((line) => normalizeReference(line.sku) === sku)) ||
+      (name && takeWhere((line) => normalizeText(line.productName) === name)) ||
+      (name && takeWhere((line) => {
+        const poName = normalizeText(line.productName)
+        return poName.length > 3 && (poName.includes(name) || name.includes(poName))
+      })) ||
+      null
+
+    pairs.push({ poLine, invoiceLine })
+  }
+
+  for (const poLine of remaining) {
+    pairs.push({ poLine, invoiceLine: null })
+  }
+
+  return pairs
+}
+
+function priceVariance(expected, actual, tolerances) {
+  if (expected === null || expected === undefined || actual === null || actual === undefined) return null
+
+  const difference = roundMoney(actual - expected)
+  const percent = expected > 0 ? Math.round((difference / expected) * 10000) / 100 : null
+  const allowed = Math.max(
+    tolerances.priceToleranceAmount,
+    expected * (tolerances.priceTolerancePercent / 100)
+  )
+
+  if (Math.abs(actual - expected) <= allowed + 1e-9) return null
+  return { type: 'price', expected: roundMoney(expected), actual: roundMoney(actual), difference, percent }
+}
+
+function quantityVariance(type, expected, actual, tolerances) {
+  const difference = actual - expected
+  if (Math.abs(difference) <= tolerances.quantityTolerance) return null
+  return { type, expected, actual, difference }
+}
+
+/**
+ * Compare an invoice with its PO and the received quantities
+ * @param {Object} params
+ * @param {Object} params.purchaseOrder - { lineItems: [{ id, sku, productName, quantity, unitCost, quantityReceived, quantityDamaged }] }
+ * @param {Array} params.invoiceLines - normalized invoice lines
+ * @param {Object} params.tolerances - overrides for MATCH_DEFAULTS
+ * @returns {Object} discrepancy report
+ */
+export function buildDiscrepancyReport({ purchaseOrder, invoiceLines = [], tolerances = {} }) {
+  const config = { ...MATCH_DEFAULTS, ...tolerances }
+  const poLines = purchaseOrder?.lineItems || []
+  const receivingRecorded = poLines.some((line) => (line.quantityReceived || 0) > 0)
+  const checkReceived = config.requireReceipt || receivingRecorded
+
+  const lines = pairLines(poLines, invoiceLines).map(({ poLine, invoiceLine }) => {
+    const variances = []
+
+    if (poLine && invoiceLine) {
+      const price = priceVariance(poLine.unitCost, invoiceLine.unitPrice, config)
+      if (price) variances.push(price)
+
+      const vsOrdered = quantityVariance('quantity_vs_po', poLine.quantity, invoiceLine.quantity, config)
+      if (vsOrdered) variances.push(vsOrdered)
+
+      // Only billing for more than arrived undamaged is a problem - under-billing is the supplier's loss
+      if (checkReceived) {
+        const accepted = acceptedQuantity(poLine)
+        if (invoiceLine.quantity - accepted > config.quantityTolerance) {
+          variances.push({ type: 'quantity_vs_received', expected: accepted, actual: invoiceLine.quantity, difference: invoiceLine.quantity - accepted })
+        }
+      }
+    } else if (invoiceLine) {
+      variances.push({ type: 'not_on_po', expected: 0, actual: invoiceLine.quantity, difference: invoiceLine.quantity })
+    } else {
+      variances.push({ type: 'not_invoiced', expected: poLine.quantity, actual: 0, difference: -poLine.quantity })
+    }
+
+    return {
+      lineItemId: poLine?.id || null,
+      sku: poLine?.sku || invoiceLine?.sku || null,
+      productName: poLine?.productName || invoiceLine?.description || null,
+      poQuantity: poLine?.quantity ?? null,
+      poUnitCost: poLine?.unitCost ?? null,
+      receivedQuantity: poLine ? (poLine.quantityReceived || 0) : null,
+      damagedQuantity: poLine ? (poLine.quantityDamaged || 0) : null,
+      invoiceQuantity: invoiceLine?.quantity ?? null,
+      invoiceUnitPrice: invoiceLine?.unitPrice ?? null,
+      invoiceTotal: invoiceLine?.total ?? null,
+      variances,
+      status: variances.length > 0 ? 'variance' : 'ok'
+    }
+  })
+
+  const poTotal = roundMoney(poLines.reduce((sum, line) => sum + (line.quantity || 0) * (line.unitCost || 0), 0))
+  const receivedValue = roundMoney(poLines.reduce((sum, line) => sum + acceptedQuantity(line) * (line.unitCost || 0), 0))
+  const invoiceTotal = roundMoney(invoiceLines.reduce((sum, line) => sum + (line.total || 0), 0))
+  const issueCount = lines.reduce((count, line) => count + line.variances.length, 0)
+
+  return {
+    status: issueCount > 0 ? 'needs_review' : 'matched',
+    issueCount,
+    receivingRecorded,
+    tolerances: {
+      priceTolerancePercent: config.priceTolerancePercent,
+      priceToleranceAmount: config.priceToleranceAmount,
+      quantityTolerance: config.quantityTolerance,
+      requireReceipt: config.requireReceipt
+    },
+    totals: {
+      poTotal,
+      receivedValue,
+      invoiceTotal,
+      difference: roundMoney(invoiceTotal - receivedValue)
+    },
+    lines
+  }
+}
+
+export default {
+  MATCH_DEFAULTS,
+  normalizeReference,
+  extractDocumentReferences,
+  normalizeInvoiceLines,
+  scorePurchaseOrderMatch,
+  findPurchaseOrderMatch,
+  pairLines,
+  buildDiscrepancyReport
+}
@@ -6,14 +6,67 @@ const SALT_LENGTH = 64;
 const TAG_LENGTH = 16;
 const KEY_LENGTH = 32;
 
+// Versioned ciphertexts carry the ID of the key that sealed them:
+//   master key: v2:<keyId>:salt:iv:encryptedData:authTag
+//   data key:   dk1:<dataKeyId>:iv:encryptedData:authTag
+// Unversioned salt:iv:encryptedData:authTag values predate key rotation and
+// were sealed with ENCRYPTION_KEY.
+const MASTER_PREFIX = 'v2';
+const DATA_KEY_PREFIX = 'dk1';
+export const LEGACY_KEY_ID = 'legacy';
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const HEX_PATTERN = /^[a-f0-9]+$/i;
+
 /**
- * Get encryption key from environment variable
+ * Master keyring from environment variables
+ *
+ * ENCRYPTION_KEYS holds `id:secret` pairs separated by commas, and
+ * ENCRYPTION_KEY_ID picks the key that seals new values (default: the first
+ * pair). ENCRYPTION_KEY on its own still works and is registered as the
+ * `legacy` key, so older values stay readable while they are re-encrypted.
  */
-function getEncryptionKey() {
-  const key = process.env.ENCRYPTION_KEY;
-  if (!key) {
+function getKeyring() {
+  const keys = new Map();
+
+  for (const entry of (process.env.ENCRYPTION_KEYS || '').split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const separator = trimmed.indexOf(':');
+    const id = trimmed.slice(0, separator);
+    const secret = trimmed.slice(separator + 1);
+    if (separator <= 0 || !KEY_ID_PATTERN.test(id) || !secret) {
+      throw new Error('ENCRYPTION_KEYS must be comma-separated id:secret pairs');
+    }
+    keys.set(id, secret);
+  }
+
+  if (process.env.ENCRYPTION_KEY && !keys.has(LEGACY_KEY_ID)) {
+    keys.set(LEGACY_KEY_ID, process.env.ENCRYPTION_KEY);
+  }
+
+  if (keys.size === 0) {
     throw new Error('ENCRYPTION_KEY environment variable is not set');
   }
+
+  const activeKeyId = process.env.ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`ENCRYPTION_KEY_ID ${activeKeyId} is not in the keyring`);
+  }
+
+  return { keys, activeKeyId };
+}
+
+/**
+ * Get a master key secret by ID
+ */
+function getEncryptionKey(keyId) {
+  const { keys } = getKeyring();
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key ${keyId} is not configured`);
+  }
   return key;
 }
 
@@ -24,65 +77,204 @@ function deriveKey(password, salt) {
   return crypto.pbkdf2Sync(password, salt, 100000, KEY_LENGTH, 'sha256');
 }
 
+function sealWithKey(text, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+
+  let encrypted = cipher.update(text, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+
+  return [iv.toString('hex'), encrypted, cipher.getAuthTag().toString('hex')];
+}
+
+function openWithKey(key, ivHex, encrypted, authTagHex) {
+  const authTag = Buffer.from(authTagHex, 'hex');
+  if (authTag.length !== TAG_LENGTH) {
+    throw new Error('Invalid authentication tag');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivHex, 'hex'));
+  decipher.setAuthTag(authTag);
+
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+}
+
+/**
+ * ID of the master key that seals new values
+ * @returns {string}
+ */
+export function currentKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+/**
+ * Identify how a stored value was sealed, without decrypting it
+ * @param {string} text - Stored value
+ * @returns {{scheme: string, keyId: string|null}|null} - scheme is master,
+ *   data_key or legacy; null when the value is not encrypted
+ */
+export function describeCiphertext(text) {
+  if (!text || typeof text !== 'string') return null;
+  const parts = text.split(':');
+  const isHex = (values) => values.every(part => HEX_PATTERN.test(part));
+
+  if (parts[0] === MASTER_PREFIX && parts.length === 6 && KEY_ID_PATTERN.test(parts[1]) && isHex(parts.slice(2))) {
+    return { scheme: 'master', keyId: parts[1] };
+  }
+  if (parts[0] === DATA_KEY_PREFIX && parts.length === 5 && isHex(parts.slice(1))) {
+    return { scheme: 'data_key', keyId: parts[1] };
+  }
+  if (parts.length === 4 && isHex(parts)) {
+    return { scheme: 'legacy', keyId: null };
+  }
+  return null;
+}
+
 /**
- * Encrypt a string value
+ * Encrypt a string value with the active master key
  * @param {string} text - Text to encrypt
- * @returns {string} - Encrypted text in format: salt:iv:encryptedData:authTag
+ * @returns {string} - Encrypted text in format: v2:keyId:salt:iv:encryptedData:authTag
  */
 export function encrypt(text) {
   if (!text) return null;
 
-  const password = getEncryptionKey();
+  const keyId = currentKeyId();
   const salt = crypto.randomBytes(SALT_LENGTH);
-  const key = deriveKey(password, salt);
-  const iv = crypto.randomBytes(IV_LENGTH);
-
-  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-  
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
-  const authTag = cipher.getAuthTag();
+  const key = deriveKey(getEncryptionKey(keyId), salt);
 
-  // Return format: salt:iv:encryptedData:authTag
-  return [
-    salt.toString('hex'),
-    iv.toString('hex'),
-    encrypted,
-    authTag.toString('hex')
-  ].join(':');
+  return [MASTER_PREFIX, keyId, salt.toString('hex'), ...sealWithKey(text, key)].join(':');
 }
 
 /**
- * Decrypt a string value
- * @param {string} encryptedText - Encrypted text in format: salt:iv:encryptedData:authTag
+ * Decrypt a value sealed with a master key (versioned or legacy format)
+ * @param {string} encryptedText - Encrypted text
  * @returns {string} - Decrypted text
  */
 export function decrypt(encryptedText) {
   if (!encryptedText) return null;
 
   try {
-    const password = getEncryptionKey();
+    const described = describeCiphertext(encryptedText);
     const parts = encryptedText.split(':');
-    
-    if (parts.length !== 4) {
-      throw new Error('Invalid encrypted text format');
+
+    if (described?.scheme === 'master') {
+      const [, keyId, saltHex, ivHex, encrypted, authTagHex] = parts;
+      const key = deriveKey(getEncryptionKey(keyId), Buffer.from(saltHex, 'hex'));
+      return openWithKey(key, ivHex, encrypted, authTagHex);
     }
 
-    const [saltHex, ivHex, encrypted, authTagHex] = parts;
-    
-    const salt = Buffer.from(saltHex, 'hex');
-    const iv = Buffer.from(ivHex, 'hex');
-    const authTag = Buffer.from(authTagHex, 'hex');
-    const key = deriveKey(password, salt);
+    if (described?.scheme === 'legacy') {
+      // No key ID in legacy values: try the legacy key first, then the rest of
+      // the ring (ENCRYPTION_KEY may have been moved into ENCRYPTION_KEYS)
+      const [saltHex, ivHex, encrypted, authTagHex] = parts;
+      const salt = Buffer.from(saltHex, 'hex');
+      const { keys } = getKeyring();
+      const candidates = [...keys.keys()].sort((a, b) => (b === LEGACY_KEY_ID) - (a === LEGACY_KEY_ID));
 
-    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
-    decipher.setAuthTag(authTag);
+      for (const keyId of candidates) {
+        try {
+          return openWithKey(deriveKey(keys.get(keyId), salt), ivHex, encrypted, authTagHex);
+        } catch {
+          // Wrong key, try the next one
+        }
+      }
+      throw new Error('No configured key opens this value');
+    }
 
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+    if (described?.scheme === 'data_key') {
+      throw new Error('Value is sealed with a data key; use decryptWithDataKey');
+    }
 
-    return decrypted;
+    throw new Error('Invalid encrypted text format');
+  } catch (error) {
+    console.error('Decryption error:', error.message);
+    throw new Error('Failed to decrypt data');
+  }
+}
+
+/**
+ * Whether a stored value should be re-sealed with the active master key
+ * @param {string} encryptedText - Stored value
+ * @returns {boolean} - True for legacy values and values sealed with a retired key
+ */
+export function needsReencryption(encryptedText) {
+  const described = describeCiphertext(encryptedText);
+  if (!described || described.scheme === 'data_key') return false;
+  return described.scheme === 'legacy' || described.keyId !== currentKeyId();
+}
+
+/**
+ * Generate a random per-merchant data key
+ * @returns {Buffer}
+ */
+export function generateDataKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+/**
+ * Short fingerprint of a data key, embedded in the values it seals
+ * @param {Buffer} dataKey
+ * @returns {string}
+ */
+export function dataKeyId(dataKey) {
+  return crypto.createHash('sha256').update(dataKey).digest('hex').slice(0, 12);
+}
+
+/**
+ * Wrap a data key with the active master key for storage
+ * @param {Buffer} dataKey
+ * @returns {string}
+ */
+export function wrapDataKey(dataKey) {
+  return encrypt(dataKey.toString('hex'));
+}
+
+/**
+ * Unwrap a stored data key
+ * @param {string} wrappedKey
+ * @returns {Buffer}
+ */
+export function unwrapDataKey(wrappedKey) {
+  const dataKey = Buffer.from(decrypt(wrappedKey), 'hex');
+  if (dataKey.length !== KEY_LENGTH) {
+    throw new Error('Invalid data key');
+  }
+  return dataKey;
+}
+
+/**
+ * Encrypt a string value with a data key
+ * @param {string} text - Text to encrypt
+ * @param {Buffer} dataKey - Unwrapped data key
+ * @returns {string} - Encrypted text in format: dk1:dataKeyId:iv:encryptedData:authTag
+ */
+export function encryptWithDataKey(text, dataKey) {
+  if (!text) return null;
+  return [DATA_KEY_PREFIX, dataKeyId(dataKey), ...sealWithKey(text, dataKey)].join(':');
+}
+
+/**
+ * Decrypt a value sealed with a data key
+ * @param {string} encryptedText - Encrypted text
+ * @param {Buffer} dataKey - Unwrapped data key
+ * @returns {string} - Decrypted text
+ */
+export function decryptWithDataKey(encryptedText, dataKey) {
+  if (!encryptedText) return null;
+
+  try {
+    const described = describeCiphertext(encryptedText);
+    if (described?.scheme !== 'data_key') {
+      throw new Error('Invalid encrypted text format');
+    }
+    if (described.keyId !== dataKeyId(dataKey)) {
+      throw new Error(`Value was sealed with data key ${described.keyId}`);
+    }
+
+    const [, , ivHex, encrypted, authTagHex] = encryptedText.split(':');
+    return openWithKey(dataKey, ivHex, encrypted, authTagHex);
   } catch (error) {
     console.error('Decryption error:', error.message);
     throw new Error('Failed to decrypt data');
@@ -105,7 +297,5 @@ export function hash(text) {
  * @returns {boolean} - True if text appears to be encrypted
  */
 export function isEncrypted(text) {
-  if (!text) return false;
-  const parts = text.split(':');
-  return parts.length === 4 && parts.every(part => /^[a-f0-9]+$/i.test(part));
+  return describeCiphertext(text) !== null;
 }
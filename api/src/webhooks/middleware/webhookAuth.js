@@ -115,6 +115,7 @@ export const webhookValidation = (req, res, next) => {
       'orders/cancelled',
       'products/create',
       'products/update',
+      'products/delete',
       'inventory_levels/update',
       'app/uninstalled'
     ]
@@ -260,12 +261,12 @@ async function getWebhookSecret(shopDomain) {
     
     const merchant = await prisma.merchant.findUnique({
       where: { shopDomain },
-      select: { webhookSecret: true }
+      select: { id: true, webhookSecret: true }
     })
     
     if (merchant?.webhookSecret) {
-      const { decrypt } = await import('../utils/encryption.js')
-      return decrypt(merchant.webhookSecret)
+      const { secretStoreService } = await import('../../services/secretStoreService.js')
+      return await secretStoreService.open(merchant.id, merchant.webhookSecret)
     }
     
     return null
@@ -290,6 +291,11 @@ function validateTopicPayload(topic, payload) {
     case 'products/update':
       return validateProductPayload(payload)
       
+    case 'products/delete':
+      return 'id' in payload
+        ? { valid: true }
+        : { valid: false, message: 'Missing required field: id', required: ['id'] }
+      
     case 'inventory_levels/update':
       return validateInventoryPayload(payload)
       
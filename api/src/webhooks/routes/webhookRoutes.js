@@ -176,6 +176,35 @@ router.post('/products/update', async (req, res) => {
   }
 })
 
+// Product deleted
+router.post('/products/delete', async (req, res) => {
+  try {
+    const result = await webhookService.processWebhook(
+      'products/delete',
+      req.body,
+      {
+        'x-shopify-topic': req.get('X-Shopify-Topic'),
+        'x-shopify-shop-domain': req.get('X-Shopify-Shop-Domain'),
+        'x-shopify-webhook-id': req.get('X-Shopify-Webhook-Id')
+      }
+    )
+    
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted webhook processed',
+      jobId: result.jobId
+    })
+    
+  } catch (error) {
+    console.error('Product deleted webhook error:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process product deleted webhook',
+      message: error.message
+    })
+  }
+})
+
 /**
  * Inventory Webhooks
  */
@@ -256,6 +285,7 @@ router.get('/health', (req, res) => {
       'orders/cancelled', 
       'products/create',
       'products/update',
+      'products/delete',
       'inventory_levels/update',
       'app/uninstalled'
     ]
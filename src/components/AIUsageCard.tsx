@@ -0,0 +1,188 @@
+/**
+ * AI Usage Card
+ *
+ * This month's OpenAI spend against the store's plan budget:
+ * - Daily cost chart and split by operation (document parsing, product
+ *   content generation)
+ * - Warning past the soft limit; once the budget is spent, new documents
+ *   are only read by spreadsheet column mapping until the month resets
+ */
+
+import { useState, useEffect } from 'react'
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Progress } from '@/components/ui/progress'
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from '@/components/ui/chart'
+import { ChartBar } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+
+interface UsageBucket {
+  calls: number
+  tokens: number
+  costUsd: number
+}
+
+interface DailyUsage extends UsageBucket {
+  date: string
+}
+
+interface BudgetStatus {
+  state: 'ok' | 'warning' | 'exceeded'
+  spentUsd: number
+  budgetUsd: number
+  softLimitUsd: number
+  remainingUsd: number
+  percentUsed: number
+  plan: string
+  month: string
+  enforced: boolean
+}
+
+interface AIUsage {
+  month: string
+  budget: BudgetStatus
+  totals: UsageBucket
+  byOperation: Record<string, UsageBucket>
+  byModel: Record<string, UsageBucket>
+  daily: DailyUsage[]
+}
+
+const OPERATION_LABELS: Record<string, string> = {
+  parse: 'Document parsing',
+  generation: 'Product content'
+}
+
+const chartConfig = {
+  costUsd: {
+    label: 'Cost',
+    color: 'var(--primary)'
+  }
+} satisfies ChartConfig
+
+const formatUsd = (value: number) =>
+  new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: value > 0 && value < 0.01 ? 4 : 2
+  }).format(value)
+
+export function AIUsageCard() {
+  const [usage, setUsage] = useState<AIUsage | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    const load = async () => {
+      const result = await authenticatedRequest<AIUsage>('/api/ai-usage')
+      if (result.success && result.data) {
+        setUsage(result.data)
+      } else {
+        setError(result.error || 'Could not load AI usage')
+      }
+    }
+    load()
+  }, [])
+
+  const budget = usage?.budget
+  const data = usage?.daily.map(day => ({
+    ...day,
+    label: new Date(`${day.date}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' })
+  })) || []
+
+  return (
+    <Card className="max-w-full overflow-hidden">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ChartBar className="w-5 h-5" />
+          AI Usage
+          {budget && budget.state === 'warning' && (
+            <Badge className="bg-warning/10 text-warning border-warning/20">{budget.percentUsed}% used</Badge>
+          )}
+          {budget && budget.state === 'exceeded' && (
+            <Badge className="bg-destructive/10 text-destructive border-destructive/20">Budget reached</Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          {budget
+            ? `${formatUsd(budget.spentUsd)} of ${formatUsd(budget.budgetUsd)} this month on the ${budget.plan} plan`
+            : 'OpenAI spend this month against your plan budget'}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {error ? (
+          <p className="text-muted-foreground">{error}</p>
+        ) : !usage || !budget ? (
+          <p className="text-muted-foreground">Loading…</p>
+        ) : (
+          <>
+            <Progress value={Math.min(budget.percentUsed, 100)} />
+
+            {budget.state === 'warning' && (
+              <p className="text-muted-foreground">
+                Over {Math.round((budget.softLimitUsd / budget.budgetUsd) * 100)}% of this month's AI budget is used.
+                Once the remaining {formatUsd(budget.remainingUsd)} is spent, only CSV and Excel files with a
+                recognisable column layout will be read until next month.
+              </p>
+            )}
+            {budget.state === 'exceeded' && (
+              <p className="text-muted-foreground">
+                {budget.enforced
+                  ? 'This month\'s AI budget is spent. CSV and Excel files are still read by column mapping; other documents and product content generation resume next month.'
+                  : 'This month\'s AI budget is spent, but enforcement is turned off for this store.'}
+              </p>
+            )}
+
+            {usage.totals.calls === 0 ? (
+              <p className="text-muted-foreground">No AI calls this month yet.</p>
+            ) : (
+              <>
+                <ChartContainer config={chartConfig} className="aspect-auto h-48 w-full">
+                  <BarChart data={data} margin={{ left: 8, right: 8 }}>
+                    <CartesianGrid vertical={false} />
+                    <XAxis dataKey="label" tickLine={false} axisLine={false} minTickGap={16} />
+                    <YAxis
+                      tickLine={false}
+                      axisLine={false}
+                      width={64}
+                      tickFormatter={(value: number) => formatUsd(value)}
+                    />
+                    <ChartTooltip
+                      content={
+                        <ChartTooltipContent
+                          formatter={(value, _name, item) => {
+                            const day = item.payload as DailyUsage
+                            return `${formatUsd(Number(value))} · ${day.calls} call(s), ${day.tokens.toLocaleString()} tokens`
+                          }}
+                        />
+                      }
+                    />
+                    <Bar dataKey="costUsd" fill="var(--color-costUsd)" radius={2} />
+                  </BarChart>
+                </ChartContainer>
+
+                <div className="grid grid-cols-3 gap-2">
+                  {Object.entries(OPERATION_LABELS).map(([operation, label]) => {
+                    const bucket = usage.byOperation[operation]
+                    return (
+                      <div key={operation} className="rounded-lg border p-3">
+                        <p className="text-xs text-muted-foreground">{label}</p>
+                        <p className="font-medium">{formatUsd(bucket?.costUsd || 0)}</p>
+                        <p className="text-xs text-muted-foreground">{bucket?.calls || 0} call(s)</p>
+                      </div>
+                    )
+                  })}
+                </div>
+
+                <p className="text-xs text-muted-foreground">
+                  {usage.totals.tokens.toLocaleString()} tokens across{' '}
+                  {Object.keys(usage.byModel).join(', ')}
+                </p>
+              </>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
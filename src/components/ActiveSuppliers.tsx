@@ -51,6 +51,10 @@ import {
 import { useSuppliers } from '../hooks/useMerchantData'
 import { safeFormatDate, safeFormatTime } from '@/lib/utils'
 import SupplierMetricsCard from './SupplierMetricsCard'
+import { SupplierParsingProfileCard } from './SupplierParsingProfileCard'
+import { SupplierColumnMappingCard } from './SupplierColumnMappingCard'
+import { SupplierFileDropCard } from './SupplierFileDropCard'
+import { SupplierEdiPartnerCard } from './SupplierEdiPartnerCard'
 import CreateSupplierDialog from './CreateSupplierDialog'
 
 interface Supplier {
@@ -666,8 +670,12 @@ function SupplierDetailView({ supplier }: { supplier: Supplier }) {
           </div>
         </TabsContent>
 
-        <TabsContent value="configuration" className="mt-4">
+        <TabsContent value="configuration" className="space-y-4 mt-4">
           <SupplierConfigForm supplier={supplier} />
+          <SupplierParsingProfileCard supplierId={supplier.id} />
+          <SupplierColumnMappingCard supplierId={supplier.id} />
+          <SupplierFileDropCard supplierId={supplier.id} />
+          <SupplierEdiPartnerCard supplierId={supplier.id} />
         </TabsContent>
 
         <TabsContent value="history" className="mt-4">
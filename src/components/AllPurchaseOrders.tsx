@@ -30,7 +30,9 @@ import {
   Warning,
   Check,
   ArrowLeft,
-  WarningCircle
+  WarningCircle,
+  Plus,
+  PaperPlaneTilt
 } from '@phosphor-icons/react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { Button } from '@/components/ui/button'
@@ -46,6 +48,8 @@ import { Separator } from '@/components/ui/separator'
 import { usePurchaseOrders } from '../hooks/useMerchantData'
 import { PurchaseOrderDetails } from './PurchaseOrderDetails'
 import { PurchaseOrderReviewPage } from './PurchaseOrderReviewPage'
+import { CreateDraftPODialog } from './CreateDraftPODialog'
+import { authenticatedRequest, authenticatedDownload } from '@/lib/shopifyApiService'
 
 interface PurchaseOrderItem {
   id: string
@@ -70,7 +74,11 @@ interface PurchaseOrder {
   dueDate?: string
   totalAmount: number
   currency: string
-  status: 'processing' | 'completed' | 'failed' | 'review_needed' | 'pending'
+  status: 'processing' | 'completed' | 'failed' | 'review_needed' | 'pending' | 'approved' | 'syncing' | 'synced' | 'sync_failed' | 'draft' | 'sent' | 'confirmed' | 'cancelled' | 'partially_received' | 'received'
+  direction?: 'inbound' | 'outbound'
+  linkedPurchaseOrderId?: string | null
+  sentAt?: string | null
+  confirmedAt?: string | null
   confidence: number
   fileName?: string
   fileSize?: number
@@ -150,6 +158,8 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   const [supplierFilter, setSupplierFilter] = useState('all')
+  const [directionFilter, setDirectionFilter] = useState('all')
+  const [showDraftDialog, setShowDraftDialog] = useState(false)
   const [sortField, setSortField] = useState<'number' | 'supplierName' | 'createdAt' | 'totalAmount'>('createdAt')
   const [sortDirection, setSortDirection] = useState<'asc' | 'desc'>('desc')
   const [currentPage, setCurrentPage] = useState(1)
@@ -197,7 +207,8 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
                            po.supplierName.toLowerCase().includes(searchTerm.toLowerCase())
       const matchesStatus = statusFilter === 'all' || po.status === statusFilter
       const matchesSupplier = supplierFilter === 'all' || po.supplierName === supplierFilter
-      return matchesSearch && matchesStatus && matchesSupplier
+      const matchesDirection = directionFilter === 'all' || (po.direction || 'inbound') === directionFilter
+      return matchesSearch && matchesStatus && matchesSupplier && matchesDirection
     })
     .sort((a, b) => {
       let aValue: any = a[sortField as keyof PurchaseOrder]
@@ -236,6 +247,26 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
     setSelectedPOs(newSelected)
   }
 
+  // Outbound PO actions
+  const handleExport = async (po: PurchaseOrder, format: 'csv' | 'pdf') => {
+    const result = await authenticatedDownload(`/api/purchase-orders/outbound/${po.id}/export.${format}`, `${po.number}.${format}`)
+    if (!result.success) {
+      alert(`Failed to export ${po.number}: ${result.error}`)
+    }
+  }
+
+  const handleMarkSent = async (po: PurchaseOrder) => {
+    const result = await authenticatedRequest(`/api/purchase-orders/outbound/${po.id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status: 'sent' })
+    })
+    if (result.success) {
+      refetch()
+    } else {
+      alert(`Failed to update ${po.number}: ${result.error}`)
+    }
+  }
+
   // Bulk delete handler
   const handleBulkDelete = async () => {
     setIsDeleting(true)
@@ -280,6 +311,25 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
         return <Badge className="bg-warning/10 text-warning border-warning/20"><Warning className="w-3 h-3 mr-1" />Review Needed</Badge>
       case 'failed':
         return <Badge variant="destructive"><X className="w-3 h-3 mr-1" />Failed</Badge>
+      case 'approved':
+      case 'syncing':
+        return <Badge className="bg-primary/10 text-primary border-primary/20"><Clock className="w-3 h-3 mr-1" />Syncing to Shopify</Badge>
+      case 'synced':
+        return <Badge className="bg-success/10 text-success border-success/20"><Check className="w-3 h-3 mr-1" />Synced</Badge>
+      case 'sync_failed':
+        return <Badge variant="destructive"><X className="w-3 h-3 mr-1" />Sync Failed</Badge>
+      case 'draft':
+        return <Badge variant="outline"><PencilSimple className="w-3 h-3 mr-1" />Draft</Badge>
+      case 'sent':
+        return <Badge className="bg-primary/10 text-primary border-primary/20"><PaperPlaneTilt className="w-3 h-3 mr-1" />Sent</Badge>
+      case 'confirmed':
+        return <Badge className="bg-success/10 text-success border-success/20"><CheckCircle className="w-3 h-3 mr-1" />Confirmed</Badge>
+      case 'cancelled':
+        return <Badge variant="outline" className="text-muted-foreground"><X className="w-3 h-3 mr-1" />Cancelled</Badge>
+      case 'partially_received':
+        return <Badge className="bg-warning/10 text-warning border-warning/20"><Truck className="w-3 h-3 mr-1" />Partially Received</Badge>
+      case 'received':
+        return <Badge className="bg-success/10 text-success border-success/20"><Truck className="w-3 h-3 mr-1" />Received</Badge>
       default:
         return <Badge variant="outline">Unknown</Badge>
     }
@@ -449,6 +499,10 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
               Delete {selectedPOs.size} Selected
             </Button>
           )}
+          <Button variant="outline" size="sm" onClick={() => setShowDraftDialog(true)}>
+            <Plus className="w-4 h-4 mr-2" />
+            New Draft PO
+          </Button>
           <Button variant="outline" size="sm">
             <DownloadSimple className="w-4 h-4 mr-2" />
             Export
@@ -522,6 +576,23 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
               <SelectItem value="processing">Processing</SelectItem>
               <SelectItem value="review_needed">Review Needed</SelectItem>
               <SelectItem value="failed">Failed</SelectItem>
+              <SelectItem value="synced">Synced</SelectItem>
+              <SelectItem value="sync_failed">Sync Failed</SelectItem>
+              <SelectItem value="draft">Draft</SelectItem>
+              <SelectItem value="sent">Sent</SelectItem>
+              <SelectItem value="confirmed">Confirmed</SelectItem>
+              <SelectItem value="partially_received">Partially Received</SelectItem>
+              <SelectItem value="received">Received</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={directionFilter} onValueChange={setDirectionFilter}>
+            <SelectTrigger className="w-[160px]">
+              <SelectValue placeholder="Filter by type" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Types</SelectItem>
+              <SelectItem value="inbound">Inbound</SelectItem>
+              <SelectItem value="outbound">Outbound</SelectItem>
             </SelectContent>
           </Select>
           <Select value={supplierFilter} onValueChange={setSupplierFilter}>
@@ -612,7 +683,17 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
                           className="w-4 h-4 cursor-pointer"
                         />
                       </TableCell>
-                      <TableCell onClick={() => setSelectedOrderId(po.id)} className="font-medium">{po.number}</TableCell>
+                      <TableCell onClick={() => setSelectedOrderId(po.id)} className="font-medium">
+                        <div className="flex items-center gap-2">
+                          {po.number}
+                          {po.direction === 'outbound' && (
+                            <Badge variant="outline" className="text-xs"><Truck className="w-3 h-3 mr-1" />Outbound</Badge>
+                          )}
+                          {po.linkedPurchaseOrderId && (
+                            <Badge variant="outline" className="text-xs">Confirmation</Badge>
+                          )}
+                        </div>
+                      </TableCell>
                       <TableCell onClick={() => setSelectedOrderId(po.id)}>
                         <div className="flex items-center gap-2">
                           <div className="w-8 h-8 rounded-full bg-primary/10 flex items-center justify-center">
@@ -641,6 +722,43 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
                       </TableCell>
                     <TableCell className="text-right">
                       <div className="flex items-center justify-end space-x-1">
+                        {po.direction === 'outbound' && (
+                          <>
+                            {po.status === 'draft' && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={(e) => {
+                                  e.stopPropagation()
+                                  handleMarkSent(po)
+                                }}
+                              >
+                                <PaperPlaneTilt className="w-4 h-4 mr-1" />
+                                Mark Sent
+                              </Button>
+                            )}
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                handleExport(po, 'pdf')
+                              }}
+                            >
+                              PDF
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                handleExport(po, 'csv')
+                              }}
+                            >
+                              CSV
+                            </Button>
+                          </>
+                        )}
                         {(po.status === 'review_needed' || po.status === 'processing') && (
                           <Button 
                             variant="outline" 
@@ -676,6 +794,12 @@ export function AllPurchaseOrders({ onBack }: AllPurchaseOrdersProps) {
         </CardContent>
       </Card>
 
+      <CreateDraftPODialog
+        open={showDraftDialog}
+        onOpenChange={setShowDraftDialog}
+        onCreated={() => refetch()}
+      />
+
       {/* Delete Confirmation Dialog */}
       <Dialog open={showDeleteConfirm} onOpenChange={setShowDeleteConfirm}>
         <DialogContent>
@@ -0,0 +1,185 @@
+/**
+ * Audit Log Card
+ *
+ * Recent audit events (who approved, denied, edited or deleted purchase orders,
+ * changed refinement rules, reviewed drafts or touched credentials), filterable
+ * by record type, with a CSV export for compliance reviews. Admins only.
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { ClipboardText, DownloadSimple } from '@phosphor-icons/react'
+import { authenticatedRequest, authenticatedDownload } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+import { safeFormatDateTime } from '@/lib/utils'
+
+interface AuditEvent {
+  id: string
+  actorName: string | null
+  actorRole: string | null
+  action: string
+  entityType: string
+  entityId: string | null
+  changedFields: string[]
+  createdAt: string
+}
+
+interface AuditEventPage {
+  events: AuditEvent[]
+  nextCursor: string | null
+  auditLogging: boolean
+}
+
+const ENTITY_LABELS: Record<string, string> = {
+  purchase_order: 'Purchase orders',
+  product_draft: 'Product drafts',
+  supplier: 'Suppliers',
+  refinement_config: 'Refinement settings',
+  category_mapping: 'Category mappings',
+  pricing_rule: 'Pricing rules',
+  content_rule: 'Content rules',
+  deduplication_rule: 'Deduplication rules',
+  credentials: 'Credentials',
+  security_settings: 'Security settings',
+  staff_user: 'Staff roles'
+}
+
+const PAGE_SIZE = 20
+
+export function AuditLogCard() {
+  const [events, setEvents] = useState<AuditEvent[]>([])
+  const [entityType, setEntityType] = useState('all')
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
+  const [auditLogging, setAuditLogging] = useState(true)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+
+  const buildQuery = (cursor?: string) => {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) })
+    if (entityType !== 'all') params.set('entityType', entityType)
+    if (cursor) params.set('cursor', cursor)
+    return params.toString()
+  }
+
+  const loadEvents = async (cursor?: string) => {
+    setLoading(true)
+    const result = await authenticatedRequest<AuditEventPage>(`/api/audit-log?${buildQuery(cursor)}`)
+    setLoading(false)
+
+    if (result.success && result.data) {
+      const page = result.data
+      setEvents(prev => cursor ? [...prev, ...page.events] : page.events)
+      setNextCursor(page.nextCursor)
+      setAuditLogging(page.auditLogging)
+      setError(null)
+    } else {
+      setError(result.error || 'Could not load the audit log')
+    }
+  }
+
+  useEffect(() => {
+    loadEvents()
+  }, [entityType])
+
+  const handleExport = async () => {
+    const params = new URLSearchParams({ format: 'csv' })
+    if (entityType !== 'all') params.set('entityType', entityType)
+    const result = await authenticatedDownload(
+      `/api/audit-log/export?${params.toString()}`,
+      `audit-log-${new Date().toISOString().slice(0, 10)}.csv`
+    )
+    if (!result.success) {
+      notificationService.showError(
+        'Export Failed',
+        result.error || 'Could not export the audit log',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardText className="w-5 h-5" />
+          Audit Log
+          {!auditLogging && <Badge variant="outline">Paused</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Who changed purchase orders, drafts, suppliers, pricing rules and credentials
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {error ? (
+          <p className="text-muted-foreground">{error}</p>
+        ) : (
+          <>
+            <div className="flex items-center gap-2">
+              <Select value={entityType} onValueChange={setEntityType}>
+                <SelectTrigger className="w-56">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All records</SelectItem>
+                  {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="outline" size="sm" className="ml-auto" onClick={handleExport}>
+                <DownloadSimple className="w-4 h-4 mr-2" />
+                Export CSV
+              </Button>
+            </div>
+
+            {!auditLogging && (
+              <p className="text-muted-foreground">
+                Audit logging is turned off, so new actions are not being recorded.
+              </p>
+            )}
+
+            {events.length === 0 && !loading ? (
+              <p className="text-muted-foreground">No audit events yet</p>
+            ) : (
+              <div className="divide-y rounded-lg border">
+                {events.map(event => (
+                  <div key={event.id} className="flex items-start gap-3 p-3">
+                    <div className="min-w-0 flex-1">
+                      <p className="font-medium">
+                        {event.action.replace(/[._]/g, ' ')}
+                        {event.entityId && <span className="ml-2 text-xs text-muted-foreground">{event.entityId}</span>}
+                      </p>
+                      <p className="text-xs text-muted-foreground truncate">
+                        {event.actorName || 'System'}{event.actorRole ? ` (${event.actorRole})` : ''}
+                        {event.changedFields.length > 0 && ` · changed ${event.changedFields.join(', ')}`}
+                      </p>
+                    </div>
+                    <span className="text-xs text-muted-foreground whitespace-nowrap">
+                      {safeFormatDateTime(event.createdAt)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {loading && <p className="text-muted-foreground">Loading…</p>}
+            {nextCursor && !loading && (
+              <Button variant="ghost" size="sm" onClick={() => loadEvents(nextCursor)}>
+                Load more
+              </Button>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
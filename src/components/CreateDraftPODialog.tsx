@@ -0,0 +1,255 @@
+/**
+ * Create Draft PO Dialog
+ *
+ * Builds an outbound purchase order to send to a supplier:
+ * - Pick a supplier and add SKUs with quantities
+ * - Unit costs default to the last price paid for each SKU
+ * - The saved draft can be exported as PDF/CSV from All Purchase Orders
+ */
+
+import { useState, useEffect } from 'react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Plus, Trash, Warning, ArrowsClockwise } from '@phosphor-icons/react'
+
+interface SupplierOption {
+  id: string
+  name: string
+}
+
+interface DraftLine {
+  sku: string
+  productName: string
+  quantity: string
+  unitCost: string
+}
+
+interface LastPaidCost {
+  unitCost: number
+  productName: string
+  purchaseOrderNumber: string
+  supplierName: string
+}
+
+interface CreateDraftPODialogProps {
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onCreated?: (order: any) => void
+}
+
+const EMPTY_LINE: DraftLine = { sku: '', productName: '', quantity: '1', unitCost: '' }
+
+export function CreateDraftPODialog({ open, onOpenChange, onCreated }: CreateDraftPODialogProps) {
+  const [suppliers, setSuppliers] = useState<SupplierOption[]>([])
+  const [supplierId, setSupplierId] = useState('')
+  const [lines, setLines] = useState<DraftLine[]>([{ ...EMPTY_LINE }])
+  const [notes, setNotes] = useState('')
+  const [error, setError] = useState<string | null>(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+
+    setSupplierId('')
+    setLines([{ ...EMPTY_LINE }])
+    setNotes('')
+    setError(null)
+
+    const loadSuppliers = async () => {
+      const result = await authenticatedRequest<SupplierOption[]>('/api/suppliers')
+      if (result.success && Array.isArray(result.data)) {
+        setSuppliers(result.data)
+      }
+    }
+    loadSuppliers()
+  }, [open])
+
+  const updateLine = (index: number, field: keyof DraftLine, value: string) => {
+    setLines(prev => prev.map((line, i) => i === index ? { ...line, [field]: value } : line))
+  }
+
+  // Fill in the last price paid for a SKU (only when the cost hasn't been typed in)
+  const fillLastCost = async (index: number) => {
+    const sku = lines[index]?.sku.trim()
+    if (!sku) return
+
+    const params = new URLSearchParams({ skus: sku })
+    if (supplierId) params.set('supplierId', supplierId)
+
+    const result = await authenticatedRequest<Record<string, LastPaidCost>>(`/api/purchase-orders/outbound/last-costs?${params.toString()}`)
+    const lastCost = result.success ? result.data?.[sku] : undefined
+    if (!lastCost) return
+
+    setLines(prev => prev.map((line, i) => i === index ? {
+      ...line,
+      unitCost: line.unitCost || lastCost.unitCost.toFixed(2),
+      productName: line.productName || lastCost.productName
+    } : line))
+  }
+
+  const total = lines.reduce((sum, line) => sum + (parseInt(line.quantity) || 0) * (parseFloat(line.unitCost) || 0), 0)
+
+  const handleSubmit = async () => {
+    const items = lines
+      .filter(line => line.sku.trim())
+      .map(line => ({
+        sku: line.sku.trim(),
+        productName: line.productName.trim() || undefined,
+        quantity: parseInt(line.quantity) || 0,
+        unitCost: line.unitCost === '' ? undefined : parseFloat(line.unitCost)
+      }))
+
+    if (!supplierId) {
+      setError('Select a supplier')
+      return
+    }
+    if (items.length === 0) {
+      setError('Add at least one SKU')
+      return
+    }
+
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      const result = await authenticatedRequest('/api/purchase-orders/outbound', {
+        method: 'POST',
+        body: JSON.stringify({ supplierId, items, notes: notes.trim() || undefined })
+      })
+
+      if (result.success) {
+        onOpenChange(false)
+        onCreated?.(result.data)
+      } else {
+        setError(result.error || 'Failed to create draft purchase order')
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>New Draft Purchase Order</DialogTitle>
+          <DialogDescription>
+            Order stock from a supplier. Unit costs default to the last price you paid.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Supplier</Label>
+            <Select value={supplierId} onValueChange={setSupplierId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Select a supplier" />
+              </SelectTrigger>
+              <SelectContent>
+                {suppliers.map(supplier => (
+                  <SelectItem key={supplier.id} value={supplier.id}>{supplier.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <div className="grid grid-cols-12 gap-2 text-xs font-medium text-muted-foreground">
+              <span className="col-span-3">SKU</span>
+              <span className="col-span-4">Product</span>
+              <span className="col-span-2">Quantity</span>
+              <span className="col-span-2">Unit Cost</span>
+            </div>
+            {lines.map((line, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2">
+                <Input
+                  className="col-span-3"
+                  value={line.sku}
+                  onChange={(e) => updateLine(index, 'sku', e.target.value)}
+                  onBlur={() => fillLastCost(index)}
+                  placeholder="SKU"
+                />
+                <Input
+                  className="col-span-4"
+                  value={line.productName}
+                  onChange={(e) => updateLine(index, 'productName', e.target.value)}
+                  placeholder="Product name"
+                />
+                <Input
+                  className="col-span-2"
+                  type="number"
+                  min="1"
+                  value={line.quantity}
+                  onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                />
+                <Input
+                  className="col-span-2"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={line.unitCost}
+                  onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                  placeholder="Last paid"
+                />
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="col-span-1"
+                  disabled={lines.length === 1}
+                  onClick={() => setLines(prev => prev.filter((_, i) => i !== index))}
+                >
+                  <Trash className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+            <Button variant="outline" size="sm" onClick={() => setLines(prev => [...prev, { ...EMPTY_LINE }])}>
+              <Plus className="w-4 h-4 mr-2" />
+              Add SKU
+            </Button>
+          </div>
+
+          <div className="space-y-2">
+            <Label>Notes for supplier</Label>
+            <Textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} />
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-2 text-sm text-destructive">
+              <Warning className="w-4 h-4" />
+              {error}
+            </div>
+          )}
+
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-muted-foreground">
+              Estimated total: <span className="font-mono font-medium text-foreground">{total.toFixed(2)}</span>
+            </span>
+            <div className="flex gap-2">
+              <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+              <Button onClick={handleSubmit} disabled={isSubmitting}>
+                {isSubmitting && <ArrowsClockwise className="w-4 h-4 mr-2 animate-spin" />}
+                Create Draft
+              </Button>
+            </div>
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,164 @@
+/**
+ * Encryption Keys Card
+ *
+ * How this store's stored secrets (Shopify credentials, supplier drop logins,
+ * sync schedule auth) are sealed: the active key, values still under a retired
+ * key or left as plain text, and a button to re-encrypt them now instead of
+ * waiting for the nightly job. Admins only.
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Key } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+import { safeFormatDateTime } from '@/lib/utils'
+
+interface SecretSummary {
+  total: number
+  plaintext: number
+  legacy: number
+  byKey: Record<string, number>
+  dataKey: number
+}
+
+interface EncryptionStatus {
+  dataEncryption: boolean
+  activeKeyId: string
+  envelopeEncryption: boolean
+  dataKeyRotatedAt: string | null
+  secrets: SecretSummary
+  pending: number
+}
+
+interface RotationResult {
+  encrypted: number
+  decrypted: number
+  resealed: number
+  failed: string[]
+  status: EncryptionStatus
+}
+
+export function EncryptionKeysCard() {
+  const [status, setStatus] = useState<EncryptionStatus | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [rotating, setRotating] = useState(false)
+
+  useEffect(() => {
+    const load = async () => {
+      const result = await authenticatedRequest<EncryptionStatus>('/api/security/encryption')
+      if (result.success && result.data) {
+        setStatus(result.data)
+      } else {
+        setError(result.error || 'Could not load encryption status')
+      }
+    }
+    load()
+  }, [])
+
+  const handleRotate = async (rotateDataKey: boolean) => {
+    setRotating(true)
+    const result = await authenticatedRequest<RotationResult>('/api/security/encryption/rotate', {
+      method: 'POST',
+      body: JSON.stringify({ rotateDataKey })
+    })
+    setRotating(false)
+
+    if (result.success && result.data) {
+      const { status: updated, resealed, encrypted, decrypted, failed } = result.data
+      setStatus(updated)
+      if (failed.length > 0) {
+        notificationService.showError(
+          'Re-encryption Incomplete',
+          `${failed.length} secret(s) could not be opened with the configured keys`,
+          { category: 'system', priority: 'high' }
+        )
+      } else {
+        notificationService.showSuccess(
+          'Secrets Re-encrypted',
+          `${resealed + encrypted + decrypted} secret(s) updated`,
+          { category: 'system', priority: 'low' }
+        )
+      }
+    } else {
+      notificationService.showError(
+        'Re-encryption Failed',
+        result.error || 'Could not re-encrypt stored secrets',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  const retiredKeys = status
+    ? Object.entries(status.secrets.byKey).filter(([keyId]) => keyId !== status.activeKeyId)
+    : []
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Key className="w-5 h-5" />
+          Encryption Keys
+          {status && <Badge variant="outline">Key {status.activeKeyId}</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Stored credentials are re-encrypted nightly when the key rotates
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {error ? (
+          <p className="text-muted-foreground">{error}</p>
+        ) : !status ? (
+          <p className="text-muted-foreground">Loading…</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="rounded-lg border p-3">
+                <p className="text-xs text-muted-foreground">Stored secrets</p>
+                <p className="font-medium">{status.secrets.total}</p>
+              </div>
+              <div className="rounded-lg border p-3">
+                <p className="text-xs text-muted-foreground">Waiting for re-encryption</p>
+                <p className="font-medium">{status.pending}</p>
+              </div>
+            </div>
+
+            {!status.dataEncryption && (
+              <p className="text-muted-foreground">
+                Data encryption is off, so secrets are stored as plain text.
+              </p>
+            )}
+            {status.envelopeEncryption && (
+              <p className="text-muted-foreground">
+                Secrets are sealed with this store's own data key
+                {status.dataKeyRotatedAt && ` (rotated ${safeFormatDateTime(status.dataKeyRotatedAt)})`}.
+              </p>
+            )}
+            {(retiredKeys.length > 0 || status.secrets.legacy > 0) && (
+              <p className="text-muted-foreground">
+                Still under older keys:{' '}
+                {[
+                  ...retiredKeys.map(([keyId, count]) => `${count} with ${keyId}`),
+                  ...(status.secrets.legacy > 0 ? [`${status.secrets.legacy} from before key rotation`] : [])
+                ].join(', ')}
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={() => handleRotate(false)} disabled={rotating || status.pending === 0}>
+                {rotating ? 'Re-encrypting…' : 'Re-encrypt now'}
+              </Button>
+              {status.envelopeEncryption && status.dataEncryption && (
+                <Button variant="ghost" size="sm" onClick={() => handleRotate(true)} disabled={rotating}>
+                  Rotate data key
+                </Button>
+              )}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
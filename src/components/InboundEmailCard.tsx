@@ -0,0 +1,147 @@
+/**
+ * Inbound Email Card
+ *
+ * The merchant's inbound PO address and the messages recently delivered to it.
+ * Forwarded supplier emails become uploads and run through the normal workflow.
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Envelope, Copy, ArrowsClockwise } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+import { safeFormatDateTime } from '@/lib/utils'
+
+interface InboundAddress {
+  address: string
+  token: string
+  domain: string
+}
+
+interface InboundMessage {
+  id: string
+  fromAddress: string
+  subject: string | null
+  status: 'received' | 'processed' | 'failed' | 'ignored'
+  attachmentCount: number
+  uploadIds: string[]
+  errorMessage: string | null
+  receivedAt: string
+  supplier: { id: string; name: string } | null
+}
+
+const STATUS_VARIANTS: Record<InboundMessage['status'], 'default' | 'secondary' | 'destructive' | 'outline'> = {
+  processed: 'default',
+  received: 'secondary',
+  ignored: 'outline',
+  failed: 'destructive'
+}
+
+export function InboundEmailCard() {
+  const [address, setAddress] = useState<InboundAddress | null>(null)
+  const [messages, setMessages] = useState<InboundMessage[]>([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    Promise.all([
+      authenticatedRequest<InboundAddress>('/api/inbound-email/address'),
+      authenticatedRequest<InboundMessage[]>('/api/inbound-email/messages?limit=10')
+    ]).then(([addressResult, messagesResult]) => {
+      if (addressResult.success && addressResult.data) setAddress(addressResult.data)
+      if (messagesResult.success && messagesResult.data) setMessages(messagesResult.data)
+      setLoading(false)
+    })
+  }, [])
+
+  const handleCopy = async () => {
+    if (!address) return
+    await navigator.clipboard.writeText(address.address)
+    notificationService.showSuccess('Address Copied', address.address, { category: 'system', priority: 'low' })
+  }
+
+  const handleRegenerate = async () => {
+    if (!confirm('Create a new inbound address? Mail sent to the current address will no longer be imported.')) return
+
+    setBusy(true)
+    const result = await authenticatedRequest<InboundAddress>('/api/inbound-email/address/regenerate', { method: 'POST' })
+    setBusy(false)
+
+    if (result.success && result.data) {
+      setAddress(result.data)
+      notificationService.showSuccess(
+        'Inbound Address Changed',
+        `Forward purchase orders to ${result.data.address}`,
+        { category: 'system', priority: 'medium' }
+      )
+    } else {
+      notificationService.showError(
+        'Regenerate Failed',
+        result.error || 'Could not create a new inbound address',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Envelope className="w-5 h-5" />
+          Inbound Email
+        </CardTitle>
+        <CardDescription>
+          Forward supplier emails here - attachments and order emails are imported as purchase orders
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="text-sm text-muted-foreground">Loading inbound address...</div>
+        ) : address ? (
+          <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2">
+            <code className="flex-1 min-w-0 truncate px-3 py-2 rounded-md bg-muted text-sm">{address.address}</code>
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={handleCopy}>
+                <Copy className="w-4 h-4 mr-1" />
+                Copy
+              </Button>
+              <Button variant="outline" size="sm" onClick={handleRegenerate} disabled={busy}>
+                <ArrowsClockwise className="w-4 h-4 mr-1" />
+                Regenerate
+              </Button>
+            </div>
+          </div>
+        ) : (
+          <div className="text-sm text-muted-foreground">Inbound address unavailable</div>
+        )}
+
+        {messages.length > 0 && (
+          <div className="space-y-2">
+            <div className="text-sm font-medium">Recent messages</div>
+            {messages.map(message => (
+              <div key={message.id} className="flex items-start justify-between gap-3 p-3 border border-border rounded-lg text-sm">
+                <div className="min-w-0">
+                  <div className="font-medium truncate">{message.subject || '(no subject)'}</div>
+                  <div className="text-muted-foreground truncate">
+                    {message.supplier?.name || message.fromAddress} • {safeFormatDateTime(message.receivedAt)}
+                  </div>
+                  {message.errorMessage && (
+                    <div className="text-muted-foreground truncate">{message.errorMessage}</div>
+                  )}
+                </div>
+                <div className="flex flex-col items-end gap-1 flex-shrink-0">
+                  <Badge variant={STATUS_VARIANTS[message.status] ?? 'outline'}>{message.status}</Badge>
+                  <span className="text-xs text-muted-foreground">
+                    {message.uploadIds.length} PO{message.uploadIds.length === 1 ? '' : 's'} queued
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,291 @@
+/**
+ * Invoice Match Panel
+ *
+ * Three-way match for a purchase order:
+ * - Upload the supplier's invoice for this PO
+ * - Per line: invoice qty/price vs PO qty/price vs received qty
+ * - Variances beyond tolerance are flagged; the invoice can be approved after review
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import {
+  Receipt,
+  UploadSimple,
+  CheckCircle,
+  Warning,
+  ArrowsClockwise as Refresh
+} from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+
+interface Variance {
+  type: 'price' | 'quantity_vs_po' | 'quantity_vs_received' | 'not_on_po' | 'not_invoiced'
+  expected: number
+  actual: number
+  difference: number
+  percent?: number | null
+}
+
+interface ReportLine {
+  lineItemId: string | null
+  sku: string | null
+  productName: string | null
+  poQuantity: number | null
+  poUnitCost: number | null
+  receivedQuantity: number | null
+  damagedQuantity: number | null
+  invoiceQuantity: number | null
+  invoiceUnitPrice: number | null
+  variances: Variance[]
+  status: 'ok' | 'variance'
+}
+
+interface DiscrepancyReport {
+  status: 'matched' | 'needs_review'
+  issueCount: number
+  totals: { poTotal: number; receivedValue: number; invoiceTotal: number; difference: number }
+  lines: ReportLine[]
+}
+
+interface InvoiceDiscrepancies {
+  invoiceId: string
+  invoiceNumber: string | null
+  invoiceDate: string | null
+  fileName: string | null
+  status: string
+  matchMethod: string | null
+  reviewedAt: string | null
+  report: DiscrepancyReport
+}
+
+interface DiscrepancyData {
+  invoices: InvoiceDiscrepancies[]
+  openIssues: number
+}
+
+interface InvoiceMatchPanelProps {
+  purchaseOrderId: string
+  currency?: string
+}
+
+const VARIANCE_LABELS: Record<Variance['type'], string> = {
+  price: 'Price',
+  quantity_vs_po: 'Qty vs PO',
+  quantity_vs_received: 'Qty vs received',
+  not_on_po: 'Not on PO',
+  not_invoiced: 'Not invoiced'
+}
+
+const statusBadge = (status: string) => {
+  switch (status) {
+    case 'approved':
+      return <Badge className="bg-success/10 text-success border-success/20">Approved</Badge>
+    case 'matched':
+      return <Badge className="bg-success/10 text-success border-success/20">Matched</Badge>
+    case 'needs_review':
+      return <Badge className="bg-warning/10 text-warning border-warning/20">Needs Review</Badge>
+    default:
+      return <Badge variant="outline">{status}</Badge>
+  }
+}
+
+export function InvoiceMatchPanel({ purchaseOrderId, currency = 'USD' }: InvoiceMatchPanelProps) {
+  const [data, setData] = useState<DiscrepancyData | null>(null)
+  const [isUploading, setIsUploading] = useState(false)
+  const fileInput = useRef<HTMLInputElement>(null)
+
+  const formatMoney = (value: number | null | undefined) =>
+    value === null || value === undefined
+      ? '—'
+      : new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value)
+
+  const loadDiscrepancies = async () => {
+    const result = await authenticatedRequest<DiscrepancyData>(`/api/purchase-orders/${purchaseOrderId}/discrepancies`)
+    if (result.success && result.data) {
+      setData(result.data)
+    }
+  }
+
+  useEffect(() => {
+    loadDiscrepancies()
+  }, [purchaseOrderId])
+
+  const handleUpload = async (file: File) => {
+    setIsUploading(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+      formData.append('purchaseOrderId', purchaseOrderId)
+
+      const result = await authenticatedRequest('/api/invoices/upload', {
+        method: 'POST',
+        body: formData
+      })
+
+      if (!result.success) {
+        notificationService.showError('Invoice upload failed', result.error || 'Please try again', { category: 'po', priority: 'high' })
+        return
+      }
+
+      notificationService.showSuccess(
+        'Invoice uploaded',
+        'The invoice is being read and compared with this order. Refresh in a moment to see the results.',
+        { category: 'po', priority: 'low' }
+      )
+      await loadDiscrepancies()
+    } finally {
+      setIsUploading(false)
+      if (fileInput.current) fileInput.current.value = ''
+    }
+  }
+
+  const approve = async (invoiceId: string) => {
+    const result = await authenticatedRequest(`/api/invoices/${invoiceId}/approve`, { method: 'POST' })
+    if (result.success) {
+      await loadDiscrepancies()
+    } else {
+      notificationService.showError('Could not approve invoice', result.error || 'Please try again', { category: 'po', priority: 'medium' })
+    }
+  }
+
+  if (!data) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Receipt className="w-5 h-5" />
+              Invoice Match
+              {data.openIssues > 0 && (
+                <Badge className="bg-warning/10 text-warning border-warning/20">{data.openIssues} open issue(s)</Badge>
+              )}
+            </CardTitle>
+            <CardDescription>Supplier invoices compared against ordered and received quantities</CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={loadDiscrepancies}>
+              <Refresh className="w-4 h-4" />
+            </Button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".pdf,.csv,image/*"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0]
+                if (file) handleUpload(file)
+              }}
+            />
+            <Button size="sm" onClick={() => fileInput.current?.click()} disabled={isUploading}>
+              {isUploading ? <Refresh className="w-4 h-4 mr-2 animate-spin" /> : <UploadSimple className="w-4 h-4 mr-2" />}
+              Upload Invoice
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {data.invoices.length === 0 && (
+          <p className="text-sm text-muted-foreground">No invoices have been matched to this purchase order yet.</p>
+        )}
+
+        {data.invoices.map(invoice => (
+          <div key={invoice.invoiceId} className="rounded-md border p-3 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="font-medium">{invoice.invoiceNumber ? `Invoice ${invoice.invoiceNumber}` : invoice.fileName}</span>
+                {invoice.invoiceDate && (
+                  <span className="text-muted-foreground">{new Date(invoice.invoiceDate).toLocaleDateString()}</span>
+                )}
+                {statusBadge(invoice.status)}
+              </div>
+              {(invoice.status === 'needs_review' || invoice.status === 'matched') && (
+                <Button variant="outline" size="sm" onClick={() => approve(invoice.invoiceId)}>
+                  <CheckCircle className="w-4 h-4 mr-1" />
+                  Approve
+                </Button>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+              <div>
+                <div className="text-muted-foreground">PO total</div>
+                <div>{formatMoney(invoice.report.totals.poTotal)}</div>
+              </div>
+              <div>
+                <div className="text-muted-foreground">Received value</div>
+                <div>{formatMoney(invoice.report.totals.receivedValue)}</div>
+              </div>
+              <div>
+                <div className="text-muted-foreground">Invoiced</div>
+                <div>{formatMoney(invoice.report.totals.invoiceTotal)}</div>
+              </div>
+              <div>
+                <div className="text-muted-foreground">Difference</div>
+                <div className={invoice.report.totals.difference > 0 ? 'text-destructive' : ''}>
+                  {formatMoney(invoice.report.totals.difference)}
+                </div>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground border-b">
+                    <th className="py-2 pr-2">SKU</th>
+                    <th className="py-2 pr-2">Product</th>
+                    <th className="py-2 pr-2 text-right">Ordered</th>
+                    <th className="py-2 pr-2 text-right">Received</th>
+                    <th className="py-2 pr-2 text-right">Invoiced</th>
+                    <th className="py-2 pr-2 text-right">PO price</th>
+                    <th className="py-2 pr-2 text-right">Invoice price</th>
+                    <th className="py-2">Variances</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invoice.report.lines.map((line, index) => (
+                    <tr key={line.lineItemId || `${line.sku}-${index}`} className="border-b last:border-0">
+                      <td className="py-2 pr-2 font-mono">{line.sku || '—'}</td>
+                      <td className="py-2 pr-2">{line.productName || '—'}</td>
+                      <td className="py-2 pr-2 text-right">{line.poQuantity ?? '—'}</td>
+                      <td className="py-2 pr-2 text-right">
+                        {line.receivedQuantity ?? '—'}
+                        {!!line.damagedQuantity && (
+                          <span className="block text-xs text-destructive">{line.damagedQuantity} damaged</span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-2 text-right">{line.invoiceQuantity ?? '—'}</td>
+                      <td className="py-2 pr-2 text-right">{formatMoney(line.poUnitCost)}</td>
+                      <td className="py-2 pr-2 text-right">{formatMoney(line.invoiceUnitPrice)}</td>
+                      <td className="py-2">
+                        {line.variances.length === 0 ? (
+                          <Badge variant="outline" className="text-success">OK</Badge>
+                        ) : (
+                          <div className="flex flex-wrap gap-1">
+                            {line.variances.map(variance => (
+                              <Badge key={variance.type} variant="outline" className="text-warning">
+                                <Warning className="w-3 h-3 mr-1" />
+                                {VARIANCE_LABELS[variance.type]}
+                                {variance.type === 'price'
+                                  ? ` ${variance.difference > 0 ? '+' : ''}${formatMoney(variance.difference)}`
+                                  : ` ${variance.difference > 0 ? '+' : ''}${variance.difference}`}
+                              </Badge>
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  )
+}
@@ -17,10 +17,13 @@ import {
   Gear,
   Funnel,
   CheckFat,
-  Clock
+  Clock,
+  Package,
+  FileText
 } from '@phosphor-icons/react'
 import { useKV } from '../hooks/useKV'
 import { formatRelativeTime } from '@/lib/utils'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
 
 interface NotificationItem {
   id: string
@@ -36,6 +39,25 @@ interface NotificationItem {
   actionLabel?: string
 }
 
+interface RestockSuggestionItem {
+  id: string
+  sku: string
+  productTitle?: string | null
+  available: number
+  threshold: number
+  suggestedQuantity: number
+  lastUnitCost?: number | null
+}
+
+interface RestockSuggestion {
+  id: string
+  supplierId?: string | null
+  supplierName: string
+  status: 'open' | 'ordered' | 'dismissed' | 'resolved'
+  updatedAt: string
+  items: RestockSuggestionItem[]
+}
+
 interface NotificationsPanelProps {
   isOpen: boolean
   onClose: () => void
@@ -117,13 +139,62 @@ export function NotificationsPanel({ isOpen, onClose, onNotificationUpdate, onOp
   ])
 
   const [filter, setFilter] = useState<'all' | 'unread' | 'priority'>('all')
+  const [restockSuggestions, setRestockSuggestions] = useState<RestockSuggestion[]>([])
 
   // Update parent component with unread count
   const unreadCount = notifications?.filter(n => !n.read).length || 0
   
   useEffect(() => {
-    onNotificationUpdate(unreadCount)
-  }, [unreadCount, onNotificationUpdate])
+    onNotificationUpdate(unreadCount + restockSuggestions.length)
+  }, [unreadCount, restockSuggestions.length, onNotificationUpdate])
+
+  // Load open restock suggestions whenever the panel opens
+  useEffect(() => {
+    if (!isOpen) return
+
+    let cancelled = false
+    authenticatedRequest<RestockSuggestion[]>('/api/restock/suggestions?status=open').then(result => {
+      if (!cancelled && result.success && Array.isArray(result.data)) {
+        setRestockSuggestions(result.data)
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen])
+
+  const updateRestockSuggestion = async (id: string, status: 'ordered' | 'dismissed') => {
+    const result = await authenticatedRequest(`/api/restock/suggestions/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status })
+    })
+
+    if (result.success) {
+      setRestockSuggestions(current => current.filter(s => s.id !== id))
+    }
+  }
+
+  // Turn a suggestion into a draft outbound PO (the API marks the suggestion ordered)
+  const createDraftFromSuggestion = async (suggestion: RestockSuggestion) => {
+    const result = await authenticatedRequest<{ number: string }>(`/api/purchase-orders/outbound/from-restock/${suggestion.id}`, {
+      method: 'POST'
+    })
+
+    if (result.success) {
+      setRestockSuggestions(current => current.filter(s => s.id !== suggestion.id))
+      setNotifications(current => [{
+        id: `draft-po-${suggestion.id}`,
+        type: 'success',
+        title: 'Draft PO created',
+        message: `${result.data?.number || 'Draft purchase order'} for ${suggestion.supplierName} is ready to export from All Purchase Orders.`,
+        timestamp: new Date().toISOString(),
+        read: false,
+        category: 'po',
+        priority: 'medium'
+      }, ...(current || [])])
+    }
+  }
 
   const getNotificationIcon = (type: string) => {
     switch (type) {
@@ -296,7 +367,84 @@ export function NotificationsPanel({ isOpen, onClose, onNotificationUpdate, onOp
               {/* Content */}
               <ScrollArea className="h-[500px]">
                 <CardContent className="p-0">
-                  {filteredNotifications.length === 0 ? (
+                  {/* Restock Suggestions */}
+                  {restockSuggestions.length > 0 && (
+                    <div className="border-b border-border">
+                      <div className="px-4 pt-3 pb-1 text-xs font-medium uppercase tracking-wide text-muted-foreground">
+                        Restock Suggestions
+                      </div>
+                      {restockSuggestions.map(suggestion => (
+                        <div key={suggestion.id} className="p-4 border-t border-border first:border-t-0 bg-warning/5">
+                          <div className="flex gap-3">
+                            <div className="flex-shrink-0 mt-0.5">
+                              <Package className="w-5 h-5 text-warning" />
+                            </div>
+                            <div className="flex-1 min-w-0">
+                              <h4 className="font-medium text-sm text-foreground leading-tight">
+                                Reorder from {suggestion.supplierName}
+                              </h4>
+                              <div className="flex items-center gap-2 mt-1 mb-2">
+                                <Badge variant="outline" className="text-xs h-5 px-1.5">
+                                  {suggestion.items.length} SKU{suggestion.items.length === 1 ? '' : 's'} below reorder point
+                                </Badge>
+                                <span className="text-xs text-muted-foreground flex items-center gap-1">
+                                  <Clock className="w-3 h-3" />
+                                  {formatRelativeTime(suggestion.updatedAt)}
+                                </span>
+                              </div>
+                              <ul className="space-y-1">
+                                {suggestion.items.slice(0, 3).map(item => (
+                                  <li key={item.id} className="text-sm text-muted-foreground flex justify-between gap-2">
+                                    <span className="truncate">
+                                      {item.productTitle || item.sku}
+                                      <span className="ml-1 text-xs">({item.available}/{item.threshold} in stock)</span>
+                                    </span>
+                                    <span className="flex-shrink-0 text-foreground">Order {item.suggestedQuantity}</span>
+                                  </li>
+                                ))}
+                              </ul>
+                              {suggestion.items.length > 3 && (
+                                <p className="text-xs text-muted-foreground mt-1">
+                                  +{suggestion.items.length - 3} more
+                                </p>
+                              )}
+                              <div className="flex items-center gap-2 mt-3">
+                                {suggestion.supplierId && (
+                                  <Button
+                                    size="sm"
+                                    className="h-7 text-xs"
+                                    onClick={() => createDraftFromSuggestion(suggestion)}
+                                  >
+                                    <FileText className="w-3 h-3 mr-1" />
+                                    Create Draft PO
+                                  </Button>
+                                )}
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  className="h-7 text-xs"
+                                  onClick={() => updateRestockSuggestion(suggestion.id, 'ordered')}
+                                >
+                                  <Check className="w-3 h-3 mr-1" />
+                                  Mark Ordered
+                                </Button>
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  className="h-7 text-xs text-muted-foreground"
+                                  onClick={() => updateRestockSuggestion(suggestion.id, 'dismissed')}
+                                >
+                                  Dismiss
+                                </Button>
+                              </div>
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {filteredNotifications.length === 0 && restockSuggestions.length === 0 ? (
                     <div className="flex flex-col items-center justify-center py-12 px-6 text-center">
                       <BellSlash className="w-12 h-12 text-muted-foreground mb-3" />
                       <h3 className="font-medium text-foreground mb-1">
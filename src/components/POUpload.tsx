@@ -472,7 +472,7 @@ export function POUpload() {
                   Bulk File Upload
                 </CardTitle>
                 <CardDescription>
-                  Drop multiple PO files here or click to browse. Supports PDF, Excel, CSV, and image formats.
+                  Drop multiple PO files here or click to browse. Supports PDF, Excel, CSV, Word, HTML, text, email, EDI and image formats.
                 </CardDescription>
                 <div className="flex items-center gap-2 pt-2">
                   <Badge variant="secondary" className="gap-1">
@@ -571,7 +571,7 @@ export function POUpload() {
                   multiple
                   className="hidden"
                   onChange={handleFileSelect}
-                  accept=".pdf,.xlsx,.xls,.csv,.jpg,.jpeg,.png"
+                  accept=".pdf,.xlsx,.xls,.csv,.jpg,.jpeg,.png,.docx,.html,.htm,.txt,.eml,.msg,.edi,.x12,.edifact,.edf"
                 />
               </CardContent>
             </Card>
@@ -0,0 +1,162 @@
+/**
+ * Price History Chart
+ *
+ * Supplier unit cost over time for one SKU, built from past inbound POs:
+ * - Line per PO, optionally limited to the current supplier
+ * - Latest / min / max and overall change since the first PO
+ */
+
+import { useState, useEffect } from 'react'
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from 'recharts'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from '@/components/ui/chart'
+import { ChartLine } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+
+interface PricePoint {
+  date: string
+  unitCost: number
+  quantity: number
+  supplierId: string | null
+  supplierName: string | null
+  purchaseOrderId: string
+  purchaseOrderNumber: string
+}
+
+interface PriceSummary {
+  count: number
+  latest: number | null
+  min: number | null
+  max: number | null
+  average: number | null
+  changePercent: number | null
+}
+
+interface PriceHistory {
+  sku: string
+  points: PricePoint[]
+  summary: PriceSummary
+}
+
+interface PriceHistoryChartProps {
+  sku: string
+  supplierId?: string
+  currency?: string
+}
+
+const chartConfig = {
+  unitCost: {
+    label: 'Unit cost',
+    color: 'var(--primary)'
+  }
+} satisfies ChartConfig
+
+export function PriceHistoryChart({ sku, supplierId, currency = 'USD' }: PriceHistoryChartProps) {
+  const [history, setHistory] = useState<PriceHistory | null>(null)
+  const [supplierOnly, setSupplierOnly] = useState(Boolean(supplierId))
+
+  const formatMoney = (value: number) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value)
+
+  useEffect(() => {
+    if (!sku) return
+    const query = supplierOnly && supplierId ? `?supplierId=${encodeURIComponent(supplierId)}` : ''
+    authenticatedRequest<PriceHistory>(`/api/price-history/sku/${encodeURIComponent(sku)}${query}`).then(result => {
+      setHistory(result.success && result.data ? result.data : null)
+    })
+  }, [sku, supplierId, supplierOnly])
+
+  if (!history) return null
+
+  const data = history.points.map(point => ({
+    ...point,
+    label: new Date(point.date).toLocaleDateString()
+  }))
+  const change = history.summary.changePercent
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <ChartLine className="w-5 h-5" />
+              Cost History
+              {change !== null && change !== 0 && (
+                <Badge className={change > 0
+                  ? 'bg-destructive/10 text-destructive border-destructive/20'
+                  : 'bg-success/10 text-success border-success/20'}>
+                  {change > 0 ? '+' : ''}{change}%
+                </Badge>
+              )}
+            </CardTitle>
+            <CardDescription>
+              Unit cost for {history.sku} across {history.summary.count} purchase order(s)
+            </CardDescription>
+          </div>
+          {supplierId && (
+            <Button variant="outline" size="sm" onClick={() => setSupplierOnly(!supplierOnly)}>
+              {supplierOnly ? 'All suppliers' : 'This supplier only'}
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {history.points.length < 2 ? (
+          <p className="text-sm text-muted-foreground">
+            Not enough purchase orders for this SKU to chart a trend yet.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <ChartContainer config={chartConfig} className="aspect-auto h-48 w-full">
+              <LineChart data={data} margin={{ left: 8, right: 8 }}>
+                <CartesianGrid vertical={false} />
+                <XAxis dataKey="label" tickLine={false} axisLine={false} />
+                <YAxis
+                  tickLine={false}
+                  axisLine={false}
+                  width={64}
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value: number) => formatMoney(value)}
+                />
+                <ChartTooltip
+                  content={
+                    <ChartTooltipContent
+                      labelFormatter={(_, payload) => {
+                        const point = payload?.[0]?.payload as PricePoint | undefined
+                        return point ? `PO ${point.purchaseOrderNumber} · ${point.supplierName || 'Unknown supplier'}` : ''
+                      }}
+                    />
+                  }
+                />
+                <Line
+                  dataKey="unitCost"
+                  type="stepAfter"
+                  stroke="var(--color-unitCost)"
+                  strokeWidth={2}
+                  dot
+                />
+              </LineChart>
+            </ChartContainer>
+            <div className="grid grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="text-muted-foreground">Latest</p>
+                <p className="font-semibold">{formatMoney(history.summary.latest ?? 0)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Lowest</p>
+                <p className="font-semibold">{formatMoney(history.summary.min ?? 0)}</p>
+              </div>
+              <div>
+                <p className="text-muted-foreground">Highest</p>
+                <p className="font-semibold">{formatMoney(history.summary.max ?? 0)}</p>
+              </div>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
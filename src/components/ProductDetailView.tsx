@@ -42,6 +42,7 @@ import {
 } from '@phosphor-icons/react'
 import { authenticatedRequest } from '@/lib/shopifyApiService'
 import { notificationService } from '@/lib/notificationService'
+import { PriceHistoryChart } from './PriceHistoryChart'
 
 interface ProductItem {
   id: string
@@ -860,7 +861,6 @@ export function ProductDetailView({
           estimatedMargin: margin,
           tags: editedTags,
           reviewNotes,
-          reviewedBy: 'user', // In real app, this would be the current user
           status: 'PENDING_REVIEW',
           // Shopify fields
           productType: editedProductType,
@@ -907,7 +907,6 @@ export function ProductDetailView({
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           status: 'APPROVED',
-          reviewedBy: 'user',
           reviewNotes: reviewNotes || 'Approved for Shopify sync'
         })
       })
@@ -1465,6 +1464,14 @@ export function ProductDetailView({
                     </div>
                   </CardContent>
                 </Card>
+
+                {item.sku && (
+                  <PriceHistoryChart
+                    sku={item.sku}
+                    supplierId={purchaseOrder.supplier?.id}
+                    currency={purchaseOrder.currency}
+                  />
+                )}
               </TabsContent>
 
               <TabsContent value="images" className="space-y-4">
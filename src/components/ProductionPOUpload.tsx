@@ -124,11 +124,21 @@ export function ProductionPOUpload({
       'image/webp',
       'text/csv',
       'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'text/html',
+      'text/plain',
+      'message/rfc822',
+      'application/vnd.ms-outlook',
+      'application/edi-x12',
+      'application/edifact'
     ]
+    // Browsers often report no type for .eml/.msg/.edi files; the server resolves them by extension
+    const allowedExtensions = ['eml', 'msg', 'edi', 'x12', 'edifact', 'edf']
+    const extension = file.name.split('.').pop()?.toLowerCase() || ''
 
-    if (!allowedTypes.includes(file.type)) {
-      toast.error('Invalid file type. Please upload PDF, images, CSV, or Excel files.')
+    if (!allowedTypes.includes(file.type) && !allowedExtensions.includes(extension)) {
+      toast.error('Invalid file type. Please upload PDF, images, CSV, Excel, Word, HTML, text, email, or EDI files.')
       return
     }
 
@@ -196,7 +206,7 @@ export function ProductionPOUpload({
             Upload Purchase Order
           </CardTitle>
           <CardDescription>
-            Upload PO files for AI processing. Supports PDF, Excel, CSV, and image formats.
+            Upload PO files for AI processing. Supports PDF, Excel, CSV, Word, HTML, text, email, EDI and image formats.
           </CardDescription>
         </CardHeader>
         <CardContent>
@@ -281,7 +291,7 @@ export function ProductionPOUpload({
               type="file"
               className="hidden"
               onChange={handleFileSelect}
-              accept=".pdf,.xlsx,.xls,.csv,.jpg,.jpeg,.png,.webp"
+              accept=".pdf,.xlsx,.xls,.csv,.jpg,.jpeg,.png,.webp,.docx,.html,.htm,.txt,.eml,.msg,.edi,.x12,.edifact,.edf"
               disabled={isUploading || isProcessing}
             />
           </motion.div>
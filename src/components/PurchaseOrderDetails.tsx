@@ -43,10 +43,13 @@ import {
 } from '@phosphor-icons/react'
 import { useKV } from '../hooks/useKV'
 import { notificationService } from '@/lib/notificationService'
-import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { authenticatedRequest, authenticatedDownload } from '@/lib/shopifyApiService'
 import { ProductRefinementDialog } from './ProductRefinementDialog'
 import { ProductDetailView } from './ProductDetailView'
 import { SupplierMatchSuggestions } from './SupplierMatchSuggestions'
+import { ReceivingPanel } from './ReceivingPanel'
+import { InvoiceMatchPanel } from './InvoiceMatchPanel'
+import { PurchaseOrderVersionDiff } from './PurchaseOrderVersionDiff'
 
 interface PurchaseOrder {
   id: string
@@ -74,6 +77,7 @@ interface PurchaseOrder {
   }>
   notes?: string
   aiProcessingNotes?: string
+  ediStandard?: 'x12' | 'edifact' | null
   originalFile: {
     name: string
     type: 'pdf' | 'image' | 'excel'
@@ -144,6 +148,7 @@ export function PurchaseOrderDetails({ orderId, onBack }: PurchaseOrderDetailsPr
   const [documentPreviewLoading, setDocumentPreviewLoading] = useState(false)
   const [showImageThumbnails, setShowImageThumbnails] = useState(false)
   const [lineItemImages, setLineItemImages] = useState<Record<string, string | null>>({})
+  const [reloadCount, setReloadCount] = useState(0)
 
   // Helper function to get document URL for preview
   const getDocumentUrl = () => {
@@ -188,6 +193,26 @@ export function PurchaseOrderDetails({ orderId, onBack }: PurchaseOrderDetailsPr
     }
   }
 
+  // X12 855 acknowledgement for orders that arrived as an 850
+  const handleDownloadAcknowledgement = async () => {
+    if (!purchaseOrder) return
+
+    const result = await authenticatedDownload(`/api/edi/purchase-orders/${purchaseOrder.id}/855`, `855-${purchaseOrder.number}.edi`)
+    if (result.success) {
+      notificationService.showSuccess(
+        'Acknowledgement Created',
+        `855 for ${purchaseOrder.number} is ready to send to the supplier.`,
+        { category: 'user', priority: 'low' }
+      )
+    } else {
+      notificationService.showError(
+        'Acknowledgement Failed',
+        'Check the supplier\'s EDI trading partner IDs and try again.',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
   // Fetch real PO data from API
   useEffect(() => {
     const fetchPurchaseOrder = async () => {
@@ -291,6 +316,7 @@ export function PurchaseOrderDetails({ orderId, onBack }: PurchaseOrderDetailsPr
               }))
             })(),
             notes: extractedData.notes || foundPO.processingNotes || 'No additional notes',
+            ediStandard: extractedData.edi?.standard || null,
             aiProcessingNotes: foundPO.rawData?.qualityAssessment?.overall === 'high' 
               ? `High confidence extraction (${Math.round((foundPO.confidence || 0) * 100)}%). Document processed successfully with ${foundPO.rawData?.qualityIndicators?.documentCompleteness || 'good'} completeness.`
               : `AI processing completed with ${Math.round((foundPO.confidence || 0) * 100)}% confidence. ${foundPO.rawData?.issues?.join('. ') || ''}`,
@@ -410,7 +436,7 @@ export function PurchaseOrderDetails({ orderId, onBack }: PurchaseOrderDetailsPr
     }
 
     fetchPurchaseOrder()
-  }, [orderId])
+  }, [orderId, reloadCount])
 
   // Fetch approved images for line items
   useEffect(() => {
@@ -832,6 +858,13 @@ export function PurchaseOrderDetails({ orderId, onBack }: PurchaseOrderDetailsPr
                 <Download className="w-4 h-4 mr-2" />
                 Download
               </Button>
+
+              {purchaseOrder.ediStandard === 'x12' && (
+                <Button variant="outline" className="w-full justify-start" size="sm" onClick={handleDownloadAcknowledgement}>
+                  <Download className="w-4 h-4 mr-2" />
+                  855 Acknowledgement
+                </Button>
+              )}
               
               <Separator />
               
@@ -1298,6 +1331,13 @@ export function PurchaseOrderDetails({ orderId, onBack }: PurchaseOrderDetailsPr
         </div>
       )}
 
+      {/* Changes since the previous processing run */}
+      <PurchaseOrderVersionDiff
+        purchaseOrderId={purchaseOrder.id}
+        currency={purchaseOrder.currency}
+        onReviewed={() => setReloadCount(count => count + 1)}
+      />
+
       {/* Items Table */}
       <Card>
         <CardHeader>
@@ -1416,6 +1456,12 @@ export function PurchaseOrderDetails({ orderId, onBack }: PurchaseOrderDetailsPr
         </CardContent>
       </Card>
 
+      {/* Receiving */}
+      <ReceivingPanel purchaseOrderId={purchaseOrder.id} />
+
+      {/* Invoice Match */}
+      <InvoiceMatchPanel purchaseOrderId={purchaseOrder.id} currency={purchaseOrder.currency} />
+
       {/* Approval Dialog */}
       <Dialog open={showApprovalDialog} onOpenChange={setShowApprovalDialog}>
         <DialogContent className="max-w-md">
@@ -6,10 +6,10 @@
  */
 
 import { useState, useEffect } from 'react'
-import { ArrowLeft, Loader2 } from 'lucide-react'
+import { ArrowLeft, Loader2, TrendingUp, TrendingDown } from 'lucide-react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent } from '@/components/ui/card'
-import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert'
 import MerchantReviewInterface from './admin/MerchantReviewInterface'
 import { authenticatedRequest } from '../lib/shopifyApiService'
 import { notificationService } from '../lib/notificationService'
@@ -38,6 +38,17 @@ interface LineItem {
   syncError?: string
 }
 
+interface PriceAlert {
+  id: string
+  sku: string
+  productName?: string
+  previousUnitCost: number
+  newUnitCost: number
+  changePercent: number
+  previousPurchaseOrderNumber?: string
+  currency?: string
+}
+
 interface Supplier {
   id: string
   name: string
@@ -87,11 +98,13 @@ export function PurchaseOrderReviewPage({
   })
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
+  const [priceAlerts, setPriceAlerts] = useState<PriceAlert[]>([])
 
   // Fetch purchase order data
   useEffect(() => {
     fetchPurchaseOrder()
     fetchAISettings()
+    fetchPriceAlerts()
   }, [purchaseOrderId])
 
   const fetchPurchaseOrder = async () => {
@@ -125,12 +138,57 @@ export function PurchaseOrderReviewPage({
     }
   }
 
+  const fetchPriceAlerts = async () => {
+    try {
+      const response = await authenticatedRequest<PriceAlert[]>(
+        `/api/price-history/alerts?purchaseOrderId=${purchaseOrderId}&status=open`
+      )
+
+      if (response.success && Array.isArray(response.data)) {
+        setPriceAlerts(response.data)
+      }
+    } catch (error) {
+      console.error('Error fetching price alerts:', error)
+    }
+  }
+
+  const handleAcknowledgePriceAlert = async (alertId: string) => {
+    const response = await authenticatedRequest(`/api/price-history/alerts/${alertId}/acknowledge`, {
+      method: 'POST'
+    })
+
+    if (response.success) {
+      setPriceAlerts(alerts => alerts.filter(alert => alert.id !== alertId))
+    } else {
+      notificationService.showError(
+        'Acknowledge Failed',
+        response.error || 'Could not acknowledge the price change',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
   const handleApprove = async (poId: string, editedData?: any) => {
     try {
       setIsLoading(true)
       
-      // If edited data is provided, update the PO first
-      if (editedData) {
+      // Lines marked as not being products are deleted and fed to the supplier's parsing profile
+      if (editedData?.removedLineItemIds?.length) {
+        const editResponse = await authenticatedRequest(`/purchase-orders/${poId}/edit`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            editedData: { removedLineItemIds: editedData.removedLineItemIds }
+          })
+        })
+
+        if (!editResponse.success) {
+          throw new Error(editResponse.error || 'Failed to remove line items')
+        }
+      } else if (editedData) {
+        // If edited data is provided, update the PO first
         const updateResponse = await authenticatedRequest(`/purchase-orders/${poId}`, {
           method: 'PUT',
           headers: {
@@ -365,6 +423,37 @@ export function PurchaseOrderReviewPage({
         </div>
       </div>
 
+      {/* Supplier cost changes vs the last PO */}
+      {priceAlerts.length > 0 && (
+        <Alert>
+          <TrendingUp className="h-4 w-4" />
+          <AlertTitle>Supplier price changes</AlertTitle>
+          <AlertDescription>
+            <div className="space-y-2 mt-2">
+              {priceAlerts.map(alert => (
+                <div key={alert.id} className="flex items-center justify-between gap-4">
+                  <span className="flex items-center gap-2">
+                    {alert.changePercent > 0
+                      ? <TrendingUp className="h-4 w-4 text-red-600" />
+                      : <TrendingDown className="h-4 w-4 text-green-600" />}
+                    <span className="font-mono">{alert.sku}</span>
+                    {alert.productName && <span className="text-gray-600">{alert.productName}</span>}
+                    <span>
+                      {alert.previousUnitCost.toFixed(2)} → {alert.newUnitCost.toFixed(2)} {alert.currency || purchaseOrder.currency}
+                      {' '}({alert.changePercent > 0 ? '+' : ''}{alert.changePercent}%
+                      {alert.previousPurchaseOrderNumber ? ` vs ${alert.previousPurchaseOrderNumber}` : ''})
+                    </span>
+                  </span>
+                  <Button variant="outline" size="sm" onClick={() => handleAcknowledgePriceAlert(alert.id)}>
+                    Acknowledge
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </AlertDescription>
+        </Alert>
+      )}
+
       {/* Merchant Review Interface */}
       <MerchantReviewInterface
         purchaseOrder={purchaseOrder}
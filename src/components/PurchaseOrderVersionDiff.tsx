@@ -0,0 +1,296 @@
+/**
+ * Purchase Order Version Diff
+ *
+ * Line-item changes between processing runs of a PO:
+ * - Added, removed and changed lines, with before/after qty, unit cost and SKU
+ * - Defaults to the latest run vs the one before it, or vs the PO a revised
+ *   upload replaces
+ * - A re-run of a PO that already has lines waits here as a pending version
+ *   until the merchant accepts or rejects it
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { GitDiff } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+
+interface VersionLine {
+  sku: string | null
+  productName: string | null
+  quantity: number
+  unitCost: number
+  totalCost: number
+}
+
+interface FieldChange {
+  field: 'sku' | 'quantity' | 'unitCost'
+  from: string | number | null
+  to: string | number | null
+  difference?: number
+}
+
+interface ChangedLine {
+  sku: string | null
+  productName: string | null
+  changes: FieldChange[]
+}
+
+type VersionStatus = 'applied' | 'pending' | 'rejected' | 'superseded'
+
+interface VersionInfo {
+  purchaseOrderId: string
+  version: number
+  source: string
+  status: VersionStatus
+  number: string
+  fileName: string | null
+  createdAt: string
+}
+
+interface VersionDiff {
+  basis: 'version' | 'purchase_order'
+  from: VersionInfo | null
+  to: VersionInfo
+  added: VersionLine[]
+  removed: VersionLine[]
+  changed: ChangedLine[]
+  summary: {
+    added: number
+    removed: number
+    changed: number
+    unchanged: number
+    hasChanges: boolean
+    fromTotal: number
+    toTotal: number
+    totalDifference: number
+  }
+}
+
+interface VersionSummary {
+  version: number
+  source: string
+  status: VersionStatus
+  createdAt: string
+}
+
+interface PurchaseOrderVersionDiffProps {
+  purchaseOrderId: string
+  currency?: string
+  /** Called after a pending version is accepted or rejected */
+  onReviewed?: () => void
+}
+
+const FIELD_LABELS: Record<FieldChange['field'], string> = {
+  sku: 'SKU',
+  quantity: 'Qty',
+  unitCost: 'Unit cost'
+}
+
+const SOURCE_LABELS: Record<string, string> = {
+  baseline: 'Before versioning',
+  initial: 'First run',
+  reprocess: 'Reprocessed',
+  revision: 'Revised upload'
+}
+
+const STATUS_LABELS: Record<VersionStatus, string> = {
+  applied: 'Applied',
+  pending: 'Waiting for review',
+  rejected: 'Rejected',
+  superseded: 'Superseded'
+}
+
+export function PurchaseOrderVersionDiff({ purchaseOrderId, currency = 'USD', onReviewed }: PurchaseOrderVersionDiffProps) {
+  const [versions, setVersions] = useState<VersionSummary[]>([])
+  const [fromVersion, setFromVersion] = useState<string>('')
+  const [diff, setDiff] = useState<VersionDiff | null>(null)
+  const [reviewing, setReviewing] = useState(false)
+  const [reloadCount, setReloadCount] = useState(0)
+
+  const formatMoney = (value: number) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value)
+
+  const formatValue = (change: FieldChange, value: string | number | null) =>
+    value === null ? '—' : change.field === 'unitCost' ? formatMoney(Number(value)) : String(value)
+
+  useEffect(() => {
+    authenticatedRequest<VersionSummary[]>(`/api/purchase-orders/${purchaseOrderId}/versions`).then(result => {
+      if (result.success && Array.isArray(result.data)) {
+        setVersions(result.data)
+      }
+    })
+  }, [purchaseOrderId, reloadCount])
+
+  useEffect(() => {
+    const query = fromVersion ? `?from=${fromVersion}` : ''
+    authenticatedRequest<VersionDiff>(`/api/purchase-orders/${purchaseOrderId}/versions/diff${query}`).then(result => {
+      setDiff(result.success && result.data ? result.data : null)
+    })
+  }, [purchaseOrderId, fromVersion, reloadCount])
+
+  const reviewVersion = async (version: number, decision: 'accept' | 'reject') => {
+    setReviewing(true)
+    const result = await authenticatedRequest(`/api/purchase-orders/${purchaseOrderId}/versions/${version}/${decision}`, {
+      method: 'POST'
+    })
+    setReviewing(false)
+
+    if (result.success) {
+      notificationService.showSuccess(
+        decision === 'accept' ? 'Version Accepted' : 'Version Rejected',
+        decision === 'accept'
+          ? `Version ${version} now replaces the purchase order's line items.`
+          : `The purchase order keeps its current line items.`,
+        { category: 'user', priority: 'low' }
+      )
+      setFromVersion('')
+      setReloadCount(count => count + 1)
+      onReviewed?.()
+    } else {
+      notificationService.showError(
+        decision === 'accept' ? 'Accept Failed' : 'Reject Failed',
+        result.error || 'Could not review this version',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  // Nothing to compare until a PO has been reprocessed or revises another PO
+  if (!diff || !diff.from) return null
+
+  const latest = versions[0]?.version
+  const pending = diff.to.status === 'pending'
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <GitDiff className="w-5 h-5" />
+              Changes
+              {diff.summary.hasChanges ? (
+                <Badge className="bg-warning/10 text-warning border-warning/20">
+                  {diff.summary.added + diff.summary.removed + diff.summary.changed} line(s) changed
+                </Badge>
+              ) : (
+                <Badge variant="outline">No line changes</Badge>
+              )}
+            </CardTitle>
+            <CardDescription>
+              {diff.basis === 'purchase_order'
+                ? `This upload revises PO ${diff.from.number} — compared with its latest version`
+                : `Version ${diff.to.version} (${SOURCE_LABELS[diff.to.source] || diff.to.source}) compared with version ${diff.from.version}`}
+              {diff.to.status !== 'applied' && ` · ${STATUS_LABELS[diff.to.status] || diff.to.status}`}
+              {' · '}
+              Total {formatMoney(diff.summary.fromTotal)} → {formatMoney(diff.summary.toTotal)}
+            </CardDescription>
+          </div>
+          {versions.length > 2 && (
+            <Select value={fromVersion} onValueChange={setFromVersion}>
+              <SelectTrigger className="w-48">
+                <SelectValue placeholder="Compare with previous" />
+              </SelectTrigger>
+              <SelectContent>
+                {versions
+                  .filter(version => version.version !== latest)
+                  .map(version => (
+                    <SelectItem key={version.version} value={String(version.version)}>
+                      Version {version.version} · {new Date(version.createdAt).toLocaleDateString()}
+                      {version.status !== 'applied' && ` · ${STATUS_LABELS[version.status] || version.status}`}
+                    </SelectItem>
+                  ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+        {pending && (
+          <div className="flex items-center justify-between gap-4 rounded-md border border-warning/20 bg-warning/10 p-3 text-sm">
+            <span>
+              This run hasn't changed the purchase order yet. Accept it to replace the current line items, or reject it to keep them.
+            </span>
+            <div className="flex gap-2 shrink-0">
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={reviewing}
+                onClick={() => reviewVersion(diff.to.version, 'reject')}
+              >
+                Reject
+              </Button>
+              <Button
+                size="sm"
+                disabled={reviewing}
+                onClick={() => reviewVersion(diff.to.version, 'accept')}
+              >
+                Accept version {diff.to.version}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardHeader>
+      {diff.summary.hasChanges && (
+        <CardContent>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-muted-foreground border-b">
+                  <th className="py-2 pr-2">Change</th>
+                  <th className="py-2 pr-2">SKU</th>
+                  <th className="py-2 pr-2">Product</th>
+                  <th className="py-2">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.added.map((line, index) => (
+                  <tr key={`added-${index}`} className="border-b last:border-0">
+                    <td className="py-2 pr-2"><Badge className="bg-success/10 text-success border-success/20">Added</Badge></td>
+                    <td className="py-2 pr-2 font-mono">{line.sku || '—'}</td>
+                    <td className="py-2 pr-2">{line.productName || '—'}</td>
+                    <td className="py-2">{line.quantity} × {formatMoney(line.unitCost)}</td>
+                  </tr>
+                ))}
+                {diff.removed.map((line, index) => (
+                  <tr key={`removed-${index}`} className="border-b last:border-0">
+                    <td className="py-2 pr-2"><Badge className="bg-destructive/10 text-destructive border-destructive/20">Removed</Badge></td>
+                    <td className="py-2 pr-2 font-mono line-through">{line.sku || '—'}</td>
+                    <td className="py-2 pr-2 line-through">{line.productName || '—'}</td>
+                    <td className="py-2">{line.quantity} × {formatMoney(line.unitCost)}</td>
+                  </tr>
+                ))}
+                {diff.changed.map((line, index) => (
+                  <tr key={`changed-${index}`} className="border-b last:border-0">
+                    <td className="py-2 pr-2"><Badge className="bg-warning/10 text-warning border-warning/20">Changed</Badge></td>
+                    <td className="py-2 pr-2 font-mono">{line.sku || '—'}</td>
+                    <td className="py-2 pr-2">{line.productName || '—'}</td>
+                    <td className="py-2">
+                      <div className="flex flex-wrap gap-2">
+                        {line.changes.map(change => (
+                          <span key={change.field}>
+                            <span className="text-muted-foreground">{FIELD_LABELS[change.field]}:</span>{' '}
+                            <span className="line-through">{formatValue(change, change.from)}</span>{' → '}
+                            <span className="font-medium">{formatValue(change, change.to)}</span>
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  )
+}
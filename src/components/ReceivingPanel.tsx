@@ -0,0 +1,464 @@
+/**
+ * Receiving Panel
+ *
+ * Records shipments received against a purchase order:
+ * - Received and damaged counts per line item, across multiple shipments
+ * - Over/short tracking against the ordered quantity
+ * - Shopify inventory at the chosen location goes up by received - damaged
+ * - Expected ship/arrival dates, which feed supplier lead time and OTIF
+ * - Open EDI ship notices (ASNs) prefill the shipment they announce
+ */
+
+import { useState, useEffect } from 'react'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import {
+  Truck,
+  CheckCircle,
+  Warning,
+  ArrowsClockwise as Refresh
+} from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+
+interface ReceivingLine {
+  id: string
+  sku: string
+  productName: string
+  ordered: number
+  received: number
+  damaged: number
+  accepted: number
+  short: number
+  over: number
+}
+
+interface ReceiptLine {
+  id: string
+  sku: string
+  quantityReceived: number
+  quantityDamaged: number
+  inventoryDelta: number
+  inventoryStatus: 'pending' | 'adjusted' | 'failed' | 'skipped'
+  inventoryError?: string | null
+}
+
+interface Receipt {
+  id: string
+  locationName?: string | null
+  reference?: string | null
+  receivedAt: string
+  lines: ReceiptLine[]
+}
+
+interface ShipNotice {
+  id: string
+  shipmentId: string
+  carrier?: string | null
+  trackingNumber?: string | null
+  shippedAt?: string | null
+  expectedArrivalDate?: string | null
+  lines: Array<{ lineItemId: string; sku: string; quantityShipped: number }>
+  unmatchedLines: Array<{ sku?: string | null; quantityShipped: number }>
+}
+
+interface ReceivingData {
+  status: string
+  expectedShipDate?: string | null
+  expectedArrivalDate?: string | null
+  shippedAt?: string | null
+  summary: { ordered: number; received: number; damaged: number; short: number; over: number }
+  lines: ReceivingLine[]
+  receipts: Receipt[]
+  shipNotices: ShipNotice[]
+}
+
+interface ShopifyLocation {
+  id: string
+  name: string
+}
+
+interface ReceivingPanelProps {
+  purchaseOrderId: string
+  onReceived?: (status: string | null) => void
+}
+
+type ShipmentInput = Record<string, { received: string; damaged: string }>
+
+type DeliveryDates = { expectedShipDate: string; expectedArrivalDate: string; shippedAt: string }
+
+const toDateInput = (value?: string | null) => (value ? value.slice(0, 10) : '')
+
+export function ReceivingPanel({ purchaseOrderId, onReceived }: ReceivingPanelProps) {
+  const [data, setData] = useState<ReceivingData | null>(null)
+  const [locations, setLocations] = useState<ShopifyLocation[]>([])
+  const [locationId, setLocationId] = useState('')
+  const [reference, setReference] = useState('')
+  const [closeShort, setCloseShort] = useState(false)
+  const [shipment, setShipment] = useState<ShipmentInput>({})
+  const [shipNoticeId, setShipNoticeId] = useState<string | null>(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [dates, setDates] = useState<DeliveryDates>({ expectedShipDate: '', expectedArrivalDate: '', shippedAt: '' })
+  const [isSavingDates, setIsSavingDates] = useState(false)
+
+  const loadReceiving = async () => {
+    const result = await authenticatedRequest<ReceivingData>(`/api/purchase-orders/${purchaseOrderId}/receiving`)
+    if (result.success && result.data) {
+      setData(result.data)
+      setDates({
+        expectedShipDate: toDateInput(result.data.expectedShipDate),
+        expectedArrivalDate: toDateInput(result.data.expectedArrivalDate),
+        shippedAt: toDateInput(result.data.shippedAt)
+      })
+    }
+  }
+
+  const saveDates = async () => {
+    setIsSavingDates(true)
+    try {
+      const result = await authenticatedRequest(`/api/purchase-orders/${purchaseOrderId}/delivery`, {
+        method: 'PATCH',
+        body: JSON.stringify({
+          expectedShipDate: dates.expectedShipDate || null,
+          expectedArrivalDate: dates.expectedArrivalDate || null,
+          shippedAt: dates.shippedAt || null
+        })
+      })
+      if (result.success) {
+        notificationService.showSuccess('Delivery dates saved', 'Supplier delivery metrics will use the new dates.', { category: 'po', priority: 'low' })
+      } else {
+        notificationService.showError('Could not save delivery dates', result.error || 'Please try again', { category: 'po', priority: 'medium' })
+      }
+    } finally {
+      setIsSavingDates(false)
+    }
+  }
+
+  useEffect(() => {
+    loadReceiving()
+    authenticatedRequest<ShopifyLocation[]>('/api/purchase-orders/receiving/locations').then(result => {
+      if (result.success && Array.isArray(result.data)) {
+        setLocations(result.data)
+        if (result.data.length > 0) {
+          setLocationId(current => current || result.data![0].id)
+        }
+      }
+    })
+  }, [purchaseOrderId])
+
+  const updateShipment = (lineId: string, field: 'received' | 'damaged', value: string) => {
+    setShipment(prev => ({
+      ...prev,
+      [lineId]: { ...(prev[lineId] || { received: '', damaged: '' }), [field]: value }
+    }))
+  }
+
+  // Fill this shipment with everything still outstanding
+  const receiveRemaining = () => {
+    if (!data) return
+    const next: ShipmentInput = {}
+    for (const line of data.lines) {
+      if (line.short > 0) next[line.id] = { received: String(line.short), damaged: '' }
+    }
+    setShipment(next)
+    setShipNoticeId(null)
+  }
+
+  // Fill this shipment with what the supplier's ship notice says is on the way
+  const receiveShipNotice = (notice: ShipNotice) => {
+    const next: ShipmentInput = {}
+    for (const line of notice.lines) {
+      next[line.lineItemId] = { received: String(line.quantityShipped), damaged: '' }
+    }
+    setShipment(next)
+    setReference(notice.shipmentId)
+    setShipNoticeId(notice.id)
+  }
+
+  const handleSubmit = async () => {
+    const lines = Object.entries(shipment)
+      .map(([lineItemId, value]) => ({
+        lineItemId,
+        quantityReceived: parseInt(value.received) || 0,
+        quantityDamaged: parseInt(value.damaged) || 0
+      }))
+      .filter(line => line.quantityReceived > 0)
+
+    if (lines.length === 0) {
+      setError('Enter the quantities that arrived')
+      return
+    }
+
+    setIsSubmitting(true)
+    setError(null)
+    try {
+      const location = locations.find(l => l.id === locationId)
+      const result = await authenticatedRequest<{ status: string | null; inventory: { adjusted: number; failed: number } }>(
+        `/api/purchase-orders/${purchaseOrderId}/receipts`,
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            locationId: locationId || undefined,
+            locationName: location?.name,
+            reference: reference.trim() || undefined,
+            shipNoticeId: shipNoticeId || undefined,
+            closeShort,
+            lines
+          })
+        }
+      )
+
+      if (!result.success) {
+        setError(result.error || 'Failed to record receipt')
+        return
+      }
+
+      const failed = result.data?.inventory?.failed || 0
+      if (failed > 0) {
+        notificationService.showError(
+          'Receipt recorded',
+          `${failed} line(s) could not be added to Shopify inventory. Retry from the receipt history.`,
+          { category: 'sync', priority: 'high' }
+        )
+      } else {
+        notificationService.showSuccess(
+          'Receipt recorded',
+          'Received stock was added to Shopify inventory.',
+          { category: 'po', priority: 'low' }
+        )
+      }
+
+      setShipment({})
+      setShipNoticeId(null)
+      setReference('')
+      setCloseShort(false)
+      await loadReceiving()
+      onReceived?.(result.data?.status ?? null)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const retryInventory = async (receiptId: string) => {
+    const result = await authenticatedRequest(`/api/purchase-orders/${purchaseOrderId}/receipts/${receiptId}/retry-inventory`, {
+      method: 'POST'
+    })
+    if (result.success) {
+      await loadReceiving()
+    }
+  }
+
+  if (!data) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Truck className="w-5 h-5" />
+          Receiving
+          {data.status === 'received' && <Badge className="bg-success/10 text-success border-success/20">Received</Badge>}
+          {data.status === 'partially_received' && <Badge className="bg-warning/10 text-warning border-warning/20">Partially Received</Badge>}
+        </CardTitle>
+        <CardDescription>
+          {data.summary.received} of {data.summary.ordered} units received
+          {data.summary.short > 0 && ` · ${data.summary.short} short`}
+          {data.summary.over > 0 && ` · ${data.summary.over} over`}
+          {data.summary.damaged > 0 && ` · ${data.summary.damaged} damaged`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="space-y-2">
+            <Label>Expected ship date</Label>
+            <Input type="date" value={dates.expectedShipDate} onChange={(e) => setDates({ ...dates, expectedShipDate: e.target.value })} />
+          </div>
+          <div className="space-y-2">
+            <Label>Expected arrival</Label>
+            <Input type="date" value={dates.expectedArrivalDate} onChange={(e) => setDates({ ...dates, expectedArrivalDate: e.target.value })} />
+          </div>
+          <div className="space-y-2">
+            <Label>Shipped on</Label>
+            <Input type="date" value={dates.shippedAt} onChange={(e) => setDates({ ...dates, shippedAt: e.target.value })} />
+          </div>
+          <Button variant="outline" onClick={saveDates} disabled={isSavingDates}>
+            Save Dates
+          </Button>
+        </div>
+
+        {data.shipNotices.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Expected shipments</h4>
+            {data.shipNotices.map(notice => (
+              <div key={notice.id} className="flex items-center justify-between gap-3 rounded-md border p-3 text-sm">
+                <div className="min-w-0">
+                  <div className="font-medium">
+                    {notice.shipmentId}
+                    {notice.carrier && ` · ${notice.carrier}`}
+                    {notice.trackingNumber && ` · ${notice.trackingNumber}`}
+                  </div>
+                  <div className="text-muted-foreground">
+                    {notice.lines.reduce((sum, line) => sum + line.quantityShipped, 0)} units on {notice.lines.length} line(s)
+                    {notice.expectedArrivalDate && ` · arriving ${toDateInput(notice.expectedArrivalDate)}`}
+                    {notice.unmatchedLines.length > 0 && ` · ${notice.unmatchedLines.length} item(s) not on this PO`}
+                  </div>
+                </div>
+                <Button
+                  variant={shipNoticeId === notice.id ? 'secondary' : 'outline'}
+                  size="sm"
+                  onClick={() => receiveShipNotice(notice)}
+                >
+                  Receive This Shipment
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-muted-foreground border-b">
+                <th className="py-2 pr-2">SKU</th>
+                <th className="py-2 pr-2">Product</th>
+                <th className="py-2 pr-2 text-right">Ordered</th>
+                <th className="py-2 pr-2 text-right">Received</th>
+                <th className="py-2 pr-2 text-right">Damaged</th>
+                <th className="py-2 pr-2">Status</th>
+                <th className="py-2 pr-2 w-24">This shipment</th>
+                <th className="py-2 w-24">Damaged</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.lines.map(line => (
+                <tr key={line.id} className="border-b last:border-0">
+                  <td className="py-2 pr-2 font-mono">{line.sku}</td>
+                  <td className="py-2 pr-2">{line.productName}</td>
+                  <td className="py-2 pr-2 text-right">{line.ordered}</td>
+                  <td className="py-2 pr-2 text-right">{line.received}</td>
+                  <td className="py-2 pr-2 text-right">{line.damaged}</td>
+                  <td className="py-2 pr-2">
+                    {line.over > 0 ? (
+                      <Badge variant="outline" className="text-warning">+{line.over} over</Badge>
+                    ) : line.short > 0 ? (
+                      <Badge variant="outline">{line.short} short</Badge>
+                    ) : (
+                      <Badge variant="outline" className="text-success">Complete</Badge>
+                    )}
+                  </td>
+                  <td className="py-2 pr-2">
+                    <Input
+                      type="number"
+                      min="0"
+                      value={shipment[line.id]?.received ?? ''}
+                      onChange={(e) => updateShipment(line.id, 'received', e.target.value)}
+                    />
+                  </td>
+                  <td className="py-2">
+                    <Input
+                      type="number"
+                      min="0"
+                      value={shipment[line.id]?.damaged ?? ''}
+                      onChange={(e) => updateShipment(line.id, 'damaged', e.target.value)}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div className="space-y-2">
+            <Label>Location</Label>
+            <Select value={locationId} onValueChange={setLocationId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Primary location" />
+              </SelectTrigger>
+              <SelectContent>
+                {locations.map(location => (
+                  <SelectItem key={location.id} value={location.id}>{location.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label>Packing slip / reference</Label>
+            <Input value={reference} onChange={(e) => setReference(e.target.value)} />
+          </div>
+          <div className="flex items-center gap-2 pb-2">
+            <Switch checked={closeShort} onCheckedChange={setCloseShort} id="close-short" />
+            <Label htmlFor="close-short" className="text-sm">Close order (remaining items won't arrive)</Label>
+          </div>
+        </div>
+
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-destructive">
+            <Warning className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={receiveRemaining}>Receive All Remaining</Button>
+          <Button onClick={handleSubmit} disabled={isSubmitting}>
+            {isSubmitting ? <Refresh className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle className="w-4 h-4 mr-2" />}
+            Record Receipt
+          </Button>
+        </div>
+
+        {data.receipts.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Receipt history</h4>
+            {data.receipts.map(receipt => {
+              const failedLines = receipt.lines.filter(line => line.inventoryStatus === 'failed')
+              return (
+                <div key={receipt.id} className="rounded-md border p-3 text-sm">
+                  <div className="flex items-center justify-between">
+                    <span>
+                      {new Date(receipt.receivedAt).toLocaleString()}
+                      {receipt.locationName && ` · ${receipt.locationName}`}
+                      {receipt.reference && ` · ${receipt.reference}`}
+                    </span>
+                    {failedLines.length > 0 && (
+                      <Button variant="outline" size="sm" onClick={() => retryInventory(receipt.id)}>
+                        <Refresh className="w-3 h-3 mr-1" />
+                        Retry Inventory
+                      </Button>
+                    )}
+                  </div>
+                  <ul className="mt-2 space-y-1 text-muted-foreground">
+                    {receipt.lines.map(line => (
+                      <li key={line.id} className="flex justify-between gap-2">
+                        <span className="font-mono">{line.sku}</span>
+                        <span>
+                          {line.quantityReceived} received
+                          {line.quantityDamaged > 0 && `, ${line.quantityDamaged} damaged`}
+                          {line.inventoryStatus === 'adjusted' && ` · +${line.inventoryDelta} in Shopify`}
+                          {line.inventoryStatus === 'failed' && (
+                            <span className="text-destructive"> · {line.inventoryError || 'Inventory update failed'}</span>
+                          )}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog'
 import { Button } from '@/components/ui/button'
@@ -35,8 +35,9 @@ import {
   Plus
 } from '@phosphor-icons/react'
 import { toast } from 'sonner'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
 
-interface ScheduleConfig {
+export interface ScheduleConfig {
   // Basic Info
   supplierName: string
   description: string
@@ -109,7 +110,19 @@ interface ScheduleConfig {
 interface ScheduleConfigDialogProps {
   open: boolean
   onOpenChange: (open: boolean) => void
-  onSave: (config: ScheduleConfig) => void
+  // Resolves true once the schedule is stored server-side
+  onSave: (config: ScheduleConfig) => Promise<boolean>
+  // Existing schedule to edit; secrets arrive masked and are kept unless changed
+  schedule?: { id: string; config: Partial<ScheduleConfig> } | null
+}
+
+interface ConnectionTestResult {
+  authentication: boolean
+  connectivity: boolean
+  dataFormat: boolean
+  rateLimit: boolean
+  ordersFound: number
+  message: string | null
 }
 
 const frequencyOptions = [
@@ -132,7 +145,60 @@ const weekdayOptions = [
   { value: 'sunday', label: 'Sunday' }
 ]
 
-export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleConfigDialogProps) {
+const DEFAULT_SCHEDULE_CONFIG: ScheduleConfig = {
+  supplierName: '',
+  description: '',
+  category: 'other',
+  priority: 'medium',
+  authMethod: 'api_key',
+  apiKey: '',
+  apiSecret: '',
+  username: '',
+  password: '',
+  authUrl: '',
+  bearerToken: '',
+  customHeaders: [],
+  baseUrl: '',
+  endpoints: {
+    orders: '/api/v1/orders',
+    products: '/api/v1/products', 
+    inventory: '/api/v1/inventory',
+    status: '/api/v1/status'
+  },
+  frequency: 'daily',
+  time: '09:00',
+  timezone: 'America/New_York',
+  enabled: true,
+  weekdays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+  monthlyDay: 1,
+  aiModel: 'gpt-4o-mini',
+  confidenceThreshold: 85,
+  autoApprove: false,
+  parseInstructions: '',
+  fallbackToManual: true,
+  fieldMappings: {
+    sku: 'product_id',
+    quantity: 'quantity_available',
+    price: 'unit_price',
+    supplier_code: 'supplier_sku',
+    description: 'product_name',
+    category: 'product_category'
+  },
+  retryAttempts: 3,
+  timeout: 60,
+  rateLimit: 60,
+  batchSize: 100,
+  emailNotifications: true,
+  notificationEmail: '',
+  criticalErrorThreshold: 5,
+  autoDisableOnErrors: false,
+  validatePricing: true,
+  priceVarianceThreshold: 20,
+  requireApprovalAbove: 1000,
+  stockLevelChecks: true
+}
+
+export function ScheduleConfigDialog({ open, onOpenChange, onSave, schedule }: ScheduleConfigDialogProps) {
   const [activeTab, setActiveTab] = useState('basic')
   const [showPassword, setShowPassword] = useState(false)
   const [testingConnection, setTestingConnection] = useState(false)
@@ -144,122 +210,62 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
     rateLimit: boolean
   } | null>(null)
   
-  const [config, setConfig] = useState<ScheduleConfig>({
-    supplierName: '',
-    description: '',
-    category: 'other',
-    priority: 'medium',
-    authMethod: 'api_key',
-    apiKey: '',
-    apiSecret: '',
-    username: '',
-    password: '',
-    authUrl: '',
-    bearerToken: '',
-    customHeaders: [],
-    baseUrl: '',
-    endpoints: {
-      orders: '/api/v1/orders',
-      products: '/api/v1/products', 
-      inventory: '/api/v1/inventory',
-      status: '/api/v1/status'
-    },
-    frequency: 'daily',
-    time: '09:00',
-    timezone: 'America/New_York',
-    enabled: true,
-    weekdays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
-    monthlyDay: 1,
-    aiModel: 'gpt-4o-mini',
-    confidenceThreshold: 85,
-    autoApprove: false,
-    parseInstructions: '',
-    fallbackToManual: true,
-    fieldMappings: {
-      sku: 'product_id',
-      quantity: 'quantity_available',
-      price: 'unit_price',
-      supplier_code: 'supplier_sku',
-      description: 'product_name',
-      category: 'product_category'
-    },
-    retryAttempts: 3,
-    timeout: 60,
-    rateLimit: 60,
-    batchSize: 100,
-    emailNotifications: true,
-    notificationEmail: '',
-    criticalErrorThreshold: 5,
-    autoDisableOnErrors: false,
-    validatePricing: true,
-    priceVarianceThreshold: 20,
-    requireApprovalAbove: 1000,
-    stockLevelChecks: true
-  })
+  const [config, setConfig] = useState<ScheduleConfig>(DEFAULT_SCHEDULE_CONFIG)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+    if (schedule) {
+      setConfig({
+        ...DEFAULT_SCHEDULE_CONFIG,
+        ...schedule.config,
+        fieldMappings: { ...DEFAULT_SCHEDULE_CONFIG.fieldMappings, ...schedule.config.fieldMappings }
+      })
+    } else {
+      setConfig(DEFAULT_SCHEDULE_CONFIG)
+    }
+    setActiveTab('basic')
+    setConnectionStatus('idle')
+    setTestResults(null)
+  }, [open, schedule])
 
   const comprehensiveConnectionTest = async () => {
     setTestingConnection(true)
     setConnectionStatus('testing')
     setTestResults(null)
-    
-    // Simulate comprehensive testing
-    try {
-      const results = {
-        authentication: false,
-        connectivity: false,
-        dataFormat: false,
-        rateLimit: false
-      }
-      
-      // Test authentication
-      await new Promise(resolve => setTimeout(resolve, 800))
-      results.authentication = Math.random() > 0.2
-      setTestResults({...results})
-      
-      if (!results.authentication) {
-        throw new Error('Authentication failed')
-      }
-      
-      // Test connectivity
-      await new Promise(resolve => setTimeout(resolve, 600))
-      results.connectivity = Math.random() > 0.15
-      setTestResults({...results})
-      
-      if (!results.connectivity) {
-        throw new Error('Connection failed')
-      }
-      
-      // Test data format
-      await new Promise(resolve => setTimeout(resolve, 700))
-      results.dataFormat = Math.random() > 0.1
-      setTestResults({...results})
-      
-      // Test rate limits
-      await new Promise(resolve => setTimeout(resolve, 500))
-      results.rateLimit = Math.random() > 0.05
-      setTestResults({...results})
-      
-      if (results.authentication && results.connectivity && results.dataFormat && results.rateLimit) {
-        setConnectionStatus('success')
-        toast.success('Comprehensive connection test passed! All systems operational.')
-      } else {
-        throw new Error('Some tests failed')
-      }
-      
-    } catch (error) {
+
+    // Authenticates and reads the orders endpoint server-side; nothing is imported
+    const result = await authenticatedRequest<ConnectionTestResult>('/api/sync-schedules/test', {
+      method: 'POST',
+      body: JSON.stringify({ ...config, scheduleId: schedule?.id })
+    })
+    setTestingConnection(false)
+
+    if (!result.success || !result.data) {
       setConnectionStatus('error')
-      toast.error('Connection test failed. Please verify your configuration and try again.')
-    } finally {
-      setTestingConnection(false)
+      toast.error(result.error || 'Connection test failed. Please verify your configuration and try again.')
+      return
+    }
+
+    const { authentication, connectivity, dataFormat, rateLimit, ordersFound, message } = result.data
+    setTestResults({ authentication, connectivity, dataFormat, rateLimit })
+
+    if (authentication && connectivity && dataFormat && rateLimit) {
+      setConnectionStatus('success')
+      toast.success(`Connection test passed: ${ordersFound} purchase order(s) available`)
+    } else {
+      setConnectionStatus('error')
+      toast.error(message || 'Connection test failed. Please verify your configuration and try again.')
     }
   }
 
-  const handleSave = () => {
+  const handleSave = async () => {
     // Comprehensive validation
     const errors: string[] = []
     
     if (!config.supplierName) errors.push('Supplier name is required')
     if (!config.baseUrl) errors.push('Base API URL is required')
+    if (!config.endpoints.orders) errors.push('Orders endpoint is required')
     
     if (config.authMethod === 'api_key' && !config.apiKey) {
       errors.push('API Key is required for API key authentication')
@@ -267,12 +273,15 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
     if (config.authMethod === 'basic_auth' && (!config.username || !config.password)) {
       errors.push('Username and password are required for basic authentication')
     }
-    if (config.authMethod === 'oauth2' && (!config.apiKey || !config.apiSecret)) {
-      errors.push('Client ID and Secret are required for OAuth 2.0')
+    if (config.authMethod === 'oauth2' && (!config.apiKey || !config.apiSecret || !config.authUrl)) {
+      errors.push('Client ID, Secret and token URL are required for OAuth 2.0')
     }
     if (config.authMethod === 'bearer_token' && !config.bearerToken) {
       errors.push('Bearer token is required for token authentication')
     }
+    if (config.authMethod === 'custom_headers' && !config.customHeaders.some(header => header.key)) {
+      errors.push('At least one custom header is required')
+    }
     
     if (config.emailNotifications && !config.notificationEmail) {
       errors.push('Notification email is required when email notifications are enabled')
@@ -283,9 +292,10 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
       return
     }
     
-    onSave(config)
-    onOpenChange(false)
-    toast.success('Schedule configuration saved successfully!')
+    setSaving(true)
+    const saved = await onSave(config)
+    setSaving(false)
+    if (saved) onOpenChange(false)
   }
 
   const addCustomHeader = () => {
@@ -303,8 +313,7 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
   }
 
   const updateCustomHeader = (index: number, field: 'key' | 'value', value: string) => {
-    const headers = [...config.customHeaders]
-    headers[index][field] = value
+    const headers = config.customHeaders.map((header, i) => (i === index ? { ...header, [field]: value } : header))
     setConfig({ ...config, customHeaders: headers })
   }
 
@@ -367,7 +376,7 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
               <Calendar className="w-6 h-6 text-primary" />
             </div>
             <div>
-              <span className="text-xl">Add New Sync Schedule</span>
+              <span className="text-xl">{schedule ? 'Edit Sync Schedule' : 'Add New Sync Schedule'}</span>
               <p className="text-sm font-normal text-muted-foreground mt-1">
                 Configure automated AI-powered purchase order retrieval and inventory synchronization
               </p>
@@ -638,9 +647,108 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
                               onChange={(e) => setConfig({...config, apiSecret: e.target.value})}
                             />
                           </div>
+                          <p className="text-xs text-muted-foreground md:col-span-2">
+                            Sent as the X-API-Key and X-API-Secret headers
+                          </p>
+                        </div>
+                      )}
+
+                      {config.authMethod === 'oauth2' && (
+                        <div className="grid gap-4 md:grid-cols-2">
+                          <div className="space-y-2">
+                            <Label htmlFor="oauth-client-id">Client ID *</Label>
+                            <Input
+                              id="oauth-client-id"
+                              value={config.apiKey}
+                              onChange={(e) => setConfig({...config, apiKey: e.target.value})}
+                            />
+                          </div>
+                          <div className="space-y-2">
+                            <Label htmlFor="oauth-client-secret">Client Secret *</Label>
+                            <Input
+                              id="oauth-client-secret"
+                              type="password"
+                              value={config.apiSecret}
+                              onChange={(e) => setConfig({...config, apiSecret: e.target.value})}
+                            />
+                          </div>
+                          <div className="space-y-2 md:col-span-2">
+                            <Label htmlFor="oauth-token-url">Token URL *</Label>
+                            <Input
+                              id="oauth-token-url"
+                              placeholder="https://auth.supplier.com/oauth/token"
+                              value={config.authUrl}
+                              onChange={(e) => setConfig({...config, authUrl: e.target.value})}
+                            />
+                            <p className="text-xs text-muted-foreground">
+                              Client credentials grant; a path is resolved against the base API URL
+                            </p>
+                          </div>
                         </div>
                       )}
 
+                      {config.authMethod === 'basic_auth' && (
+                        <div className="grid gap-4 md:grid-cols-2">
+                          <div className="space-y-2">
+                            <Label htmlFor="basic-username">Username *</Label>
+                            <Input
+                              id="basic-username"
+                              value={config.username}
+                              onChange={(e) => setConfig({...config, username: e.target.value})}
+                            />
+                          </div>
+                          <div className="space-y-2">
+                            <Label htmlFor="basic-password">Password *</Label>
+                            <Input
+                              id="basic-password"
+                              type="password"
+                              value={config.password}
+                              onChange={(e) => setConfig({...config, password: e.target.value})}
+                            />
+                          </div>
+                        </div>
+                      )}
+
+                      {config.authMethod === 'bearer_token' && (
+                        <div className="space-y-2">
+                          <Label htmlFor="bearer-token">Bearer Token *</Label>
+                          <Input
+                            id="bearer-token"
+                            type="password"
+                            value={config.bearerToken}
+                            onChange={(e) => setConfig({...config, bearerToken: e.target.value})}
+                          />
+                        </div>
+                      )}
+
+                      <div className="space-y-3">
+                        <div className="flex items-center justify-between">
+                          <Label>{config.authMethod === 'custom_headers' ? 'Headers *' : 'Additional Headers'}</Label>
+                          <Button type="button" variant="outline" size="sm" onClick={addCustomHeader}>
+                            <Plus className="w-4 h-4 mr-1" />
+                            Add Header
+                          </Button>
+                        </div>
+                        {config.customHeaders.map((header, index) => (
+                          <div key={index} className="flex items-center gap-2">
+                            <Input
+                              placeholder="X-Account-Id"
+                              value={header.key}
+                              onChange={(e) => updateCustomHeader(index, 'key', e.target.value)}
+                            />
+                            <Input
+                              type="password"
+                              placeholder="Value"
+                              value={header.value}
+                              onChange={(e) => updateCustomHeader(index, 'value', e.target.value)}
+                            />
+                            <Button type="button" variant="ghost" size="sm" onClick={() => removeCustomHeader(index)}>
+                              <X className="w-4 h-4" />
+                            </Button>
+                          </div>
+                        ))}
+                      </div>
+
                       <Separator />
 
                       {/* Enhanced Connection Testing */}
@@ -741,10 +849,78 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
                               <SelectItem value="America/Chicago">Central Time</SelectItem>
                               <SelectItem value="America/Denver">Mountain Time</SelectItem>
                               <SelectItem value="America/Los_Angeles">Pacific Time</SelectItem>
+                              <SelectItem value="Europe/London">London</SelectItem>
+                              <SelectItem value="UTC">UTC</SelectItem>
                             </SelectContent>
                           </Select>
                         </div>
                       </div>
+
+                      {config.frequency === 'weekly' && (
+                        <div className="space-y-2">
+                          <Label>Day of Week</Label>
+                          <Select
+                            value={config.weekdays[0] || 'monday'}
+                            onValueChange={(value) => setConfig({...config, weekdays: [value]})}
+                          >
+                            <SelectTrigger className="w-48">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {weekdayOptions.map(option => (
+                                <SelectItem key={option.value} value={option.value}>
+                                  {option.label}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
+                      )}
+
+                      {config.frequency === 'monthly' && (
+                        <div className="space-y-2">
+                          <Label>Day of Month</Label>
+                          <Input
+                            type="number"
+                            min="1"
+                            max="28"
+                            className="w-48"
+                            value={config.monthlyDay}
+                            onChange={(e) => setConfig({...config, monthlyDay: Number(e.target.value)})}
+                          />
+                        </div>
+                      )}
+
+                      {config.frequency !== 'weekly' && config.frequency !== 'monthly' && (
+                        <div className="space-y-2">
+                          <Label>Run On</Label>
+                          <div className="flex flex-wrap gap-2">
+                            {weekdayOptions.map(option => {
+                              const selected = config.weekdays.includes(option.value)
+                              return (
+                                <Button
+                                  key={option.value}
+                                  type="button"
+                                  size="sm"
+                                  variant={selected ? 'default' : 'outline'}
+                                  onClick={() => setConfig({
+                                    ...config,
+                                    weekdays: selected
+                                      ? config.weekdays.filter(day => day !== option.value)
+                                      : [...config.weekdays, option.value]
+                                  })}
+                                >
+                                  {option.label.slice(0, 3)}
+                                </Button>
+                              )
+                            })}
+                          </div>
+                          <p className="text-xs text-muted-foreground">
+                            {config.weekdays.length === 0 ? 'Runs every day' : 'Runs only on the selected days'}
+                            {['every_15min', 'every_30min', 'hourly', 'every_4h'].includes(config.frequency) && ', on the clock interval (time is not used)'}
+                          </p>
+                        </div>
+                      )}
                     </CardContent>
                   </Card>
                 </motion.div>
@@ -838,7 +1014,32 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
                             })}
                           />
                         </div>
+                        <div className="space-y-2">
+                          <Label>Unit Price Field</Label>
+                          <Input
+                            placeholder="unit_price"
+                            value={config.fieldMappings.price}
+                            onChange={(e) => setConfig({
+                              ...config,
+                              fieldMappings: {...config.fieldMappings, price: e.target.value}
+                            })}
+                          />
+                        </div>
+                        <div className="space-y-2">
+                          <Label>Description Field</Label>
+                          <Input
+                            placeholder="product_name"
+                            value={config.fieldMappings.description}
+                            onChange={(e) => setConfig({
+                              ...config,
+                              fieldMappings: {...config.fieldMappings, description: e.target.value}
+                            })}
+                          />
+                        </div>
                       </div>
+                      <p className="text-xs text-muted-foreground">
+                        Line item keys in the orders endpoint's JSON; common names are recognised when left blank
+                      </p>
                     </CardContent>
                   </Card>
                 </motion.div>
@@ -865,8 +1066,8 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
                           <Label>Retry Attempts</Label>
                           <Input
                             type="number"
-                            min="1"
-                            max="10"
+                            min="0"
+                            max="5"
                             value={config.retryAttempts}
                             onChange={(e) => setConfig({...config, retryAttempts: Number(e.target.value)})}
                           />
@@ -891,6 +1092,16 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
                             onChange={(e) => setConfig({...config, rateLimit: Number(e.target.value)})}
                           />
                         </div>
+                        <div className="space-y-2">
+                          <Label>Orders per Run</Label>
+                          <Input
+                            type="number"
+                            min="1"
+                            max="500"
+                            value={config.batchSize}
+                            onChange={(e) => setConfig({...config, batchSize: Number(e.target.value)})}
+                          />
+                        </div>
                       </div>
                     </CardContent>
                   </Card>
@@ -932,6 +1143,28 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
                           />
                         </div>
                       )}
+                      <Separator />
+                      <div className="flex items-center space-x-3">
+                        <Switch
+                          id="auto-disable"
+                          checked={config.autoDisableOnErrors}
+                          onCheckedChange={(checked) => setConfig({...config, autoDisableOnErrors: checked})}
+                        />
+                        <Label htmlFor="auto-disable">Pause the schedule after repeated failures</Label>
+                      </div>
+                      {config.autoDisableOnErrors && (
+                        <div className="space-y-2">
+                          <Label>Consecutive Failed Runs</Label>
+                          <Input
+                            type="number"
+                            min="1"
+                            max="100"
+                            className="w-48"
+                            value={config.criticalErrorThreshold}
+                            onChange={(e) => setConfig({...config, criticalErrorThreshold: Number(e.target.value)})}
+                          />
+                        </div>
+                      )}
                     </CardContent>
                   </Card>
                 </motion.div>
@@ -955,9 +1188,9 @@ export function ScheduleConfigDialog({ open, onOpenChange, onSave }: ScheduleCon
               {getConnectionStatusIcon()}
               {testingConnection ? 'Testing...' : 'Test & Validate'}
             </Button>
-            <Button onClick={handleSave} className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90">
+            <Button onClick={handleSave} disabled={saving} className="bg-gradient-to-r from-primary to-accent hover:from-primary/90 hover:to-accent/90">
               <Play className="w-4 h-4 mr-2" />
-              Create Schedule
+              {saving ? 'Saving...' : schedule ? 'Save Schedule' : 'Create Schedule'}
             </Button>
           </div>
         </div>
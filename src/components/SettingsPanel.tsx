@@ -25,6 +25,11 @@ import { useKV } from '../hooks/useKV'
 import { toast } from 'sonner'
 import { safeFormatDateTime } from '@/lib/utils'
 import { NotificationSettings } from './NotificationSettings'
+import { InboundEmailCard } from './InboundEmailCard'
+import { StaffRolesCard } from './StaffRolesCard'
+import { EncryptionKeysCard } from './EncryptionKeysCard'
+import { AuditLogCard } from './AuditLogCard'
+import { AIUsageCard } from './AIUsageCard'
 
 interface SupplierConnection {
   id: string
@@ -568,6 +573,8 @@ export function SettingsPanel() {
 
         {/* Suppliers Tab */}
         <TabsContent value="suppliers" className="space-y-6">
+          <InboundEmailCard />
+
           <Card>
               <CardHeader>
                 <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3">
@@ -821,6 +828,8 @@ export function SettingsPanel() {
                   </CardContent>
                 </Card>
 
+              <AIUsageCard />
+
               {/* Info Banner */}
               <div className="rounded-lg border border-blue-200 bg-blue-50 dark:border-blue-800 dark:bg-blue-950 p-4">
                   <div className="flex gap-3">
@@ -1394,6 +1403,12 @@ export function SettingsPanel() {
                 </div>
               </CardContent>
             </Card>
+
+          <EncryptionKeysCard />
+
+          <StaffRolesCard />
+
+          <AuditLogCard />
         </TabsContent>
       </Tabs>
     </div>
@@ -0,0 +1,151 @@
+/**
+ * Staff Roles Card
+ *
+ * Staff members of this store and their roles. Everyone sees their own role;
+ * admins can change the roles of others. Approvers approve, deny and delete
+ * purchase orders; only admins edit refinement rules, credentials and staff.
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { UsersThree } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+import { safeFormatDateTime } from '@/lib/utils'
+
+type StaffRole = 'viewer' | 'buyer' | 'approver' | 'admin'
+
+interface StaffUser {
+  id: string
+  shopifyUserId: string
+  email: string | null
+  name: string | null
+  accountOwner: boolean
+  role: StaffRole
+  permissions: Record<string, boolean>
+  lastSeenAt?: string
+}
+
+interface StaffList {
+  staff: StaffUser[]
+  roles: StaffRole[]
+}
+
+const ROLE_DESCRIPTIONS: Record<StaffRole, string> = {
+  viewer: 'Read only',
+  buyer: 'Upload and edit purchase orders',
+  approver: 'Approve, deny and delete purchase orders',
+  admin: 'Full access, including credentials and staff'
+}
+
+export function StaffRolesCard() {
+  const [me, setMe] = useState<StaffUser | null>(null)
+  const [staff, setStaff] = useState<StaffUser[]>([])
+  const [loading, setLoading] = useState(true)
+  const [savingId, setSavingId] = useState<string | null>(null)
+
+  useEffect(() => {
+    const load = async () => {
+      const current = await authenticatedRequest<StaffUser>('/api/staff/me')
+      const currentStaff = current.success ? current.data ?? null : null
+      setMe(currentStaff)
+
+      if (currentStaff?.permissions.canManageStaff) {
+        const list = await authenticatedRequest<StaffList>('/api/staff')
+        setStaff(list.success ? list.data?.staff ?? [] : [])
+      }
+      setLoading(false)
+    }
+    load()
+  }, [])
+
+  const handleRoleChange = async (member: StaffUser, role: string) => {
+    setSavingId(member.id)
+    const result = await authenticatedRequest<StaffUser>(`/api/staff/${member.id}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    })
+    setSavingId(null)
+
+    if (result.success && result.data) {
+      const updated = result.data
+      setStaff(prev => prev.map(existing => existing.id === updated.id ? updated : existing))
+      if (updated.id === me?.id) setMe(updated)
+      notificationService.showSuccess(
+        'Role Updated',
+        `${updated.name} is now ${updated.role}`,
+        { category: 'system', priority: 'low' }
+      )
+    } else {
+      notificationService.showError(
+        'Role Change Failed',
+        result.error || 'Could not change the staff role',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <UsersThree className="w-5 h-5" />
+          Staff Roles
+          {me && <Badge variant="outline">You: {me.role}</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Who can approve purchase orders, change refinement rules and manage credentials
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {loading ? (
+          <p className="text-muted-foreground">Loading…</p>
+        ) : !me ? (
+          <p className="text-muted-foreground">Staff roles are unavailable for this session</p>
+        ) : !me.permissions.canManageStaff ? (
+          <p className="text-muted-foreground">
+            You are signed in as {me.name} ({me.role}: {ROLE_DESCRIPTIONS[me.role].toLowerCase()}). Ask an admin to change your role.
+          </p>
+        ) : (
+          staff.map(member => (
+            <div key={member.id} className="flex items-center gap-3 rounded-lg border p-3">
+              <div className="min-w-0 flex-1">
+                <p className="font-medium truncate">
+                  {member.name}
+                  {member.accountOwner && <Badge variant="secondary" className="ml-2">Store owner</Badge>}
+                </p>
+                <p className="text-xs text-muted-foreground truncate">
+                  {member.email ? `${member.email} · ` : ''}Last seen {safeFormatDateTime(member.lastSeenAt)}
+                </p>
+              </div>
+              <Select
+                value={member.role}
+                onValueChange={(role) => handleRoleChange(member, role)}
+                disabled={savingId === member.id}
+              >
+                <SelectTrigger className="w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(ROLE_DESCRIPTIONS) as StaffRole[]).map(role => (
+                    <SelectItem key={role} value={role}>
+                      {role.charAt(0).toUpperCase() + role.slice(1)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,288 @@
+/**
+ * Supplier Column Mapping Card
+ *
+ * Which spreadsheet column holds each PO field for this supplier's CSV / Excel
+ * files. Upload a sample to pick from its headers; saved mappings let those
+ * files be parsed without the AI.
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { Table as TableIcon, UploadSimple, Trash } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+
+type MappingField = 'sku' | 'description' | 'quantity' | 'unitCost' | 'total' | 'barcode'
+
+type MappingColumns = Partial<Record<MappingField, string>>
+
+interface ColumnMapping {
+  id: string
+  supplierId: string
+  columns: MappingColumns
+  timesUsed: number
+  lastUsedAt: string | null
+}
+
+interface SheetPreview {
+  name: string
+  headerRowIndex: number
+  headers: string[]
+  suggestedColumns: MappingColumns
+  detected: boolean
+  sampleRows: Array<Array<string | number>>
+}
+
+interface SupplierColumnMappingCardProps {
+  supplierId: string
+}
+
+const FIELDS: Array<{ field: MappingField; label: string }> = [
+  { field: 'sku', label: 'SKU' },
+  { field: 'description', label: 'Description' },
+  { field: 'quantity', label: 'Quantity' },
+  { field: 'unitCost', label: 'Unit cost' },
+  { field: 'total', label: 'Line total' },
+  { field: 'barcode', label: 'Barcode' }
+]
+
+// Radix Select does not allow an empty item value
+const NOT_MAPPED = '__none__'
+
+export function SupplierColumnMappingCard({ supplierId }: SupplierColumnMappingCardProps) {
+  const [mapping, setMapping] = useState<ColumnMapping | null>(null)
+  const [columns, setColumns] = useState<MappingColumns>({})
+  const [preview, setPreview] = useState<SheetPreview | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const fileInput = useRef<HTMLInputElement>(null)
+
+  useEffect(() => {
+    setLoading(true)
+    setPreview(null)
+    authenticatedRequest<ColumnMapping | null>(`/api/suppliers/${supplierId}/column-mapping`).then(result => {
+      const saved = result.success ? result.data ?? null : null
+      setMapping(saved)
+      setColumns(saved?.columns ?? {})
+      setLoading(false)
+    })
+  }, [supplierId])
+
+  const handleUpload = async (file: File) => {
+    setBusy(true)
+    try {
+      const formData = new FormData()
+      formData.append('file', file)
+
+      const result = await authenticatedRequest<{ sheets: SheetPreview[] }>(
+        `/api/suppliers/${supplierId}/column-mapping/preview`,
+        { method: 'POST', body: formData }
+      )
+
+      const sheet = result.data?.sheets.find(candidate => candidate.headers.length > 0)
+      if (!result.success || !sheet) {
+        notificationService.showError(
+          'Could Not Read File',
+          result.error || 'No header row was found in this spreadsheet',
+          { category: 'system', priority: 'medium' }
+        )
+        return
+      }
+
+      setPreview(sheet)
+      // Keep what is already saved, fill the rest from detection
+      setColumns(prev => ({ ...sheet.suggestedColumns, ...prev }))
+    } finally {
+      setBusy(false)
+      if (fileInput.current) fileInput.current.value = ''
+    }
+  }
+
+  const handleSave = async () => {
+    setBusy(true)
+    const result = await authenticatedRequest<ColumnMapping>(`/api/suppliers/${supplierId}/column-mapping`, {
+      method: 'PUT',
+      body: JSON.stringify({ columns })
+    })
+    setBusy(false)
+
+    if (result.success && result.data) {
+      setMapping(result.data)
+      notificationService.showSuccess(
+        'Column Mapping Saved',
+        'Spreadsheets from this supplier will be read with these columns',
+        { category: 'system', priority: 'low' }
+      )
+    } else {
+      notificationService.showError(
+        'Save Failed',
+        result.error || 'Could not save the column mapping',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!confirm('Remove the saved column mapping for this supplier?')) return
+
+    setBusy(true)
+    const result = await authenticatedRequest(`/api/suppliers/${supplierId}/column-mapping`, { method: 'DELETE' })
+    setBusy(false)
+
+    if (result.success) {
+      setMapping(null)
+      setColumns({})
+      notificationService.showSuccess(
+        'Column Mapping Removed',
+        'Spreadsheets from this supplier will use automatic detection',
+        { category: 'system', priority: 'low' }
+      )
+    } else {
+      notificationService.showError(
+        'Remove Failed',
+        result.error || 'Could not remove the column mapping',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  const headerOptions = Array.from(new Set([
+    ...(preview?.headers ?? []),
+    ...Object.values(columns).filter((header): header is string => Boolean(header))
+  ].filter(Boolean)))
+
+  const setField = (field: MappingField, header: string) => {
+    setColumns(prev => {
+      const next = { ...prev }
+      if (header === NOT_MAPPED) {
+        delete next[field]
+      } else {
+        next[field] = header
+      }
+      return next
+    })
+  }
+
+  const isComplete = Boolean(
+    columns.quantity && (columns.sku || columns.description) && (columns.unitCost || columns.total)
+  )
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <TableIcon className="w-5 h-5" />
+              Spreadsheet Columns
+              {mapping && <Badge variant="outline">Used {mapping.timesUsed}×</Badge>}
+            </CardTitle>
+            <CardDescription>
+              CSV and Excel purchase orders matching these columns are read directly, without AI
+              {mapping?.lastUsedAt && ` · last used ${new Date(mapping.lastUsedAt).toLocaleDateString()}`}
+            </CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0]
+                if (file) handleUpload(file)
+              }}
+            />
+            <Button variant="outline" size="sm" onClick={() => fileInput.current?.click()} disabled={busy}>
+              <UploadSimple className="w-4 h-4 mr-2" />
+              Upload Sample
+            </Button>
+            {mapping && (
+              <Button variant="outline" size="sm" onClick={handleDelete} disabled={busy}>
+                <Trash className="w-4 h-4" />
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {loading ? (
+          <p className="text-muted-foreground">Loading…</p>
+        ) : headerOptions.length === 0 ? (
+          <p className="text-muted-foreground">
+            No mapping saved. Upload a sample CSV or Excel PO from this supplier to choose which column holds each field.
+          </p>
+        ) : (
+          <>
+            {preview && (
+              <p className="text-muted-foreground">
+                Sheet "{preview.name}", header on row {preview.headerRowIndex + 1}
+                {preview.detected ? ' · columns detected automatically' : ' · columns could not be detected, choose them below'}
+              </p>
+            )}
+
+            <div className="grid gap-3 sm:grid-cols-2">
+              {FIELDS.map(({ field, label }) => (
+                <div key={field} className="flex items-center justify-between gap-3">
+                  <span className="font-medium">{label}</span>
+                  <Select value={columns[field] ?? NOT_MAPPED} onValueChange={(value) => setField(field, value)}>
+                    <SelectTrigger className="w-48">
+                      <SelectValue placeholder="Not mapped" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={NOT_MAPPED}>Not mapped</SelectItem>
+                      {headerOptions.map(header => (
+                        <SelectItem key={header} value={header}>{header}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+
+            {preview && preview.sampleRows.length > 0 && (
+              <div className="overflow-x-auto rounded-md border">
+                <table className="w-full text-xs">
+                  <thead className="bg-muted">
+                    <tr>
+                      {preview.headers.map((header, index) => (
+                        <th key={index} className="px-2 py-1 text-left font-medium">{header}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.sampleRows.map((row, rowIndex) => (
+                      <tr key={rowIndex} className="border-t">
+                        {preview.headers.map((_, cellIndex) => (
+                          <td key={cellIndex} className="px-2 py-1">{String(row[cellIndex] ?? '')}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">
+                {isComplete ? 'Ready to save' : 'Map quantity, SKU or description, and unit cost or line total'}
+              </span>
+              <Button size="sm" onClick={handleSave} disabled={busy || !isComplete}>
+                Save Mapping
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
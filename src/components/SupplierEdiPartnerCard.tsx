@@ -0,0 +1,186 @@
+/**
+ * Supplier EDI Partner Card
+ *
+ * Interchange IDs that identify this supplier in X12 / EDIFACT envelopes.
+ * Inbound 850 / ORDERS and 856 files from the sender ID are attributed to the
+ * supplier, and 855 acknowledgements are addressed with these IDs.
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { FileCode } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+
+type EdiStandard = 'x12' | 'edifact'
+
+interface TradingPartner {
+  standard: EdiStandard
+  partnerId: string
+  partnerQualifier: string | null
+  ourId: string | null
+  ourQualifier: string | null
+  lastControlNumber: number
+}
+
+interface TradingPartnerResponse {
+  supplierId: string
+  edi: TradingPartner | null
+}
+
+interface SupplierEdiPartnerCardProps {
+  supplierId: string
+}
+
+const EMPTY_FORM = { standard: 'x12' as EdiStandard, partnerId: '', partnerQualifier: '', ourId: '', ourQualifier: '' }
+
+export function SupplierEdiPartnerCard({ supplierId }: SupplierEdiPartnerCardProps) {
+  const [partner, setPartner] = useState<TradingPartner | null>(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+
+  const applyPartner = (edi: TradingPartner | null) => {
+    setPartner(edi)
+    setForm(edi ? {
+      standard: edi.standard,
+      partnerId: edi.partnerId,
+      partnerQualifier: edi.partnerQualifier ?? '',
+      ourId: edi.ourId ?? '',
+      ourQualifier: edi.ourQualifier ?? ''
+    } : EMPTY_FORM)
+  }
+
+  useEffect(() => {
+    setLoading(true)
+    authenticatedRequest<TradingPartnerResponse>(`/api/suppliers/${supplierId}/edi`).then(result => {
+      applyPartner(result.success ? result.data?.edi ?? null : null)
+      setLoading(false)
+    })
+  }, [supplierId])
+
+  const setField = (field: keyof typeof EMPTY_FORM, value: string) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSave = async () => {
+    setBusy(true)
+    const result = await authenticatedRequest<TradingPartnerResponse>(`/api/suppliers/${supplierId}/edi`, {
+      method: 'PUT',
+      body: JSON.stringify(form)
+    })
+    setBusy(false)
+
+    if (result.success && result.data) {
+      applyPartner(result.data.edi)
+      notificationService.showSuccess(
+        'EDI Partner Saved',
+        `Interchanges from ${result.data.edi?.partnerId} are imported for this supplier`,
+        { category: 'system', priority: 'low' }
+      )
+    } else {
+      notificationService.showError(
+        'Save Failed',
+        result.error || 'Could not save the EDI trading partner',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  const handleRemove = async () => {
+    if (!confirm('Stop matching EDI interchanges to this supplier?')) return
+
+    setBusy(true)
+    const result = await authenticatedRequest<TradingPartnerResponse>(`/api/suppliers/${supplierId}/edi`, { method: 'DELETE' })
+    setBusy(false)
+
+    if (result.success) {
+      applyPartner(null)
+    } else {
+      notificationService.showError(
+        'Remove Failed',
+        result.error || 'Could not remove the EDI trading partner',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileCode className="w-5 h-5" />
+          EDI Trading Partner
+          {partner && <Badge variant="outline">{partner.standard === 'x12' ? 'X12' : 'EDIFACT'}</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Sender IDs for purchase orders (850 / ORDERS) and ship notices (856) from this supplier
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {loading ? (
+          <p className="text-muted-foreground">Loading…</p>
+        ) : (
+          <>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Standard</Label>
+                <Select value={form.standard} onValueChange={(value) => setField('standard', value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="x12">ANSI X12</SelectItem>
+                    <SelectItem value="edifact">UN/EDIFACT</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div />
+              <div className="space-y-1">
+                <Label>Supplier sender ID</Label>
+                <Input value={form.partnerId} placeholder="ACMEWHOLESALE" onChange={(e) => setField('partnerId', e.target.value)} />
+              </div>
+              <div className="space-y-1">
+                <Label>Supplier qualifier</Label>
+                <Input value={form.partnerQualifier} placeholder={form.standard === 'x12' ? 'ZZ' : '14'} onChange={(e) => setField('partnerQualifier', e.target.value)} />
+              </div>
+              <div className="space-y-1">
+                <Label>Our receiver ID</Label>
+                <Input value={form.ourId} onChange={(e) => setField('ourId', e.target.value)} />
+              </div>
+              <div className="space-y-1">
+                <Label>Our qualifier</Label>
+                <Input value={form.ourQualifier} placeholder={form.standard === 'x12' ? 'ZZ' : '14'} onChange={(e) => setField('ourQualifier', e.target.value)} />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2">
+              {partner && partner.lastControlNumber > 0 && (
+                <span className="text-muted-foreground">Last 855 control number {partner.lastControlNumber}</span>
+              )}
+              {partner && (
+                <Button variant="outline" size="sm" className="ml-auto" onClick={handleRemove} disabled={busy}>
+                  Remove
+                </Button>
+              )}
+              <Button size="sm" className={partner ? '' : 'ml-auto'} onClick={handleSave} disabled={busy || !form.partnerId.trim()}>
+                Save EDI Partner
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
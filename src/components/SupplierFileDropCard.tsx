@@ -0,0 +1,349 @@
+/**
+ * Supplier File Drop Card
+ *
+ * SFTP server or local folder the supplier drops PO files into, how often it is
+ * polled, and the history of past fetches. New files (by content hash) are
+ * queued through the normal upload workflow.
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Switch } from '@/components/ui/switch'
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select'
+import { FolderOpen, ArrowsClockwise } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+import { safeFormatDateTime } from '@/lib/utils'
+
+type DropType = 'sftp' | 'folder'
+
+interface DropConfig {
+  host?: string
+  port?: number | string
+  username?: string
+  hostFingerprint?: string
+  password?: string | null
+  privateKey?: string | null
+  remoteDir?: string
+  path?: string
+  pattern?: string
+  afterFetch?: 'keep' | 'move'
+  archiveDir?: string | null
+}
+
+interface FileDropSettings {
+  connectionType: string
+  enabled: boolean
+  syncEnabled: boolean
+  syncFrequency: string | null
+  syncTime: string | null
+  lastSync: string | null
+  nextSync: string | null
+  config: DropConfig | null
+}
+
+interface FetchRun {
+  id: string
+  trigger: 'schedule' | 'manual'
+  status: 'running' | 'success' | 'partial' | 'failed'
+  filesFound: number
+  filesQueued: number
+  filesSkipped: number
+  files: Array<{ name: string; status: string; reason?: string; error?: string }>
+  errorMessage: string | null
+  startedAt: string
+  finishedAt: string | null
+}
+
+interface SupplierFileDropCardProps {
+  supplierId: string
+}
+
+const FREQUENCIES = [
+  { value: 'every_15min', label: 'Every 15 minutes' },
+  { value: 'every_30min', label: 'Every 30 minutes' },
+  { value: 'hourly', label: 'Hourly' },
+  { value: 'every_4h', label: 'Every 4 hours' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' }
+]
+
+const RUN_VARIANTS: Record<FetchRun['status'], 'default' | 'secondary' | 'destructive' | 'outline'> = {
+  success: 'default',
+  partial: 'secondary',
+  running: 'outline',
+  failed: 'destructive'
+}
+
+const isDropType = (value: string): value is DropType => value === 'sftp' || value === 'folder'
+
+export function SupplierFileDropCard({ supplierId }: SupplierFileDropCardProps) {
+  const [settings, setSettings] = useState<FileDropSettings | null>(null)
+  const [dropType, setDropType] = useState<DropType>('sftp')
+  const [config, setConfig] = useState<DropConfig>({})
+  const [syncEnabled, setSyncEnabled] = useState(true)
+  const [syncFrequency, setSyncFrequency] = useState('daily')
+  const [syncTime, setSyncTime] = useState('')
+  const [runs, setRuns] = useState<FetchRun[]>([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+
+  const loadRuns = async () => {
+    const result = await authenticatedRequest<FetchRun[]>(`/api/suppliers/${supplierId}/file-fetch/runs?limit=10`)
+    if (result.success && result.data) setRuns(result.data)
+  }
+
+  useEffect(() => {
+    setLoading(true)
+    authenticatedRequest<FileDropSettings>(`/api/suppliers/${supplierId}/file-fetch`).then(result => {
+      const saved = result.success ? result.data ?? null : null
+      setSettings(saved)
+      if (saved && isDropType(saved.connectionType)) {
+        setDropType(saved.connectionType)
+        setConfig(saved.config ?? {})
+        setSyncEnabled(saved.syncEnabled)
+        setSyncFrequency(saved.syncFrequency || 'daily')
+        setSyncTime(saved.syncTime || '')
+      } else {
+        setConfig({})
+      }
+      setLoading(false)
+    })
+    loadRuns()
+  }, [supplierId])
+
+  const setField = (field: keyof DropConfig, value: string) => {
+    setConfig(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSave = async () => {
+    setBusy(true)
+    const result = await authenticatedRequest<FileDropSettings>(`/api/suppliers/${supplierId}/file-fetch`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        connectionType: dropType,
+        config,
+        syncEnabled,
+        syncFrequency,
+        syncTime: syncTime || null
+      })
+    })
+    setBusy(false)
+
+    if (result.success && result.data) {
+      setSettings(result.data)
+      setConfig(result.data.config ?? {})
+      notificationService.showSuccess(
+        'File Drop Saved',
+        syncEnabled ? `Next fetch ${safeFormatDateTime(result.data.nextSync)}` : 'Scheduled fetching is off',
+        { category: 'system', priority: 'low' }
+      )
+    } else {
+      notificationService.showError(
+        'Save Failed',
+        result.error || 'Could not save the file drop settings',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  const handleFetchNow = async () => {
+    setBusy(true)
+    const result = await authenticatedRequest<FetchRun>(`/api/suppliers/${supplierId}/file-fetch/run`, { method: 'POST' })
+    setBusy(false)
+    await loadRuns()
+
+    if (result.success && result.data) {
+      const run = result.data
+      if (run.status === 'failed') {
+        notificationService.showError(
+          'Fetch Failed',
+          run.errorMessage || 'No files could be fetched',
+          { category: 'system', priority: 'medium' }
+        )
+      } else {
+        notificationService.showSuccess(
+          'Fetch Complete',
+          `${run.filesQueued} new file${run.filesQueued === 1 ? '' : 's'} queued, ${run.filesSkipped} skipped`,
+          { category: 'system', priority: 'low' }
+        )
+      }
+    } else {
+      notificationService.showError(
+        'Fetch Failed',
+        result.error || 'Could not fetch supplier files',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <FolderOpen className="w-5 h-5" />
+              File Drop
+              {settings?.enabled && <Badge variant="outline">Scheduled</Badge>}
+            </CardTitle>
+            <CardDescription>
+              Pull PO files this supplier drops on SFTP or in a shared folder
+              {settings?.lastSync && ` · last fetched ${safeFormatDateTime(settings.lastSync)}`}
+            </CardDescription>
+          </div>
+          {settings && isDropType(settings.connectionType) && (
+            <Button variant="outline" size="sm" onClick={handleFetchNow} disabled={busy}>
+              <ArrowsClockwise className="w-4 h-4 mr-2" />
+              Fetch Now
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {loading ? (
+          <p className="text-muted-foreground">Loading…</p>
+        ) : (
+          <>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <div className="space-y-1">
+                <Label>Source</Label>
+                <Select value={dropType} onValueChange={(value) => isDropType(value) && setDropType(value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="sftp">SFTP server</SelectItem>
+                    <SelectItem value="folder">Local folder</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1">
+                <Label>File pattern</Label>
+                <Input value={config.pattern ?? ''} placeholder="*.csv, *.pdf" onChange={(e) => setField('pattern', e.target.value)} />
+              </div>
+
+              {dropType === 'sftp' ? (
+                <>
+                  <div className="space-y-1">
+                    <Label>Host</Label>
+                    <Input value={config.host ?? ''} placeholder="sftp.supplier.com" onChange={(e) => setField('host', e.target.value)} />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Port</Label>
+                    <Input value={String(config.port ?? '')} placeholder="22" onChange={(e) => setField('port', e.target.value)} />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Username</Label>
+                    <Input value={config.username ?? ''} onChange={(e) => setField('username', e.target.value)} />
+                  </div>
+                  <div className="space-y-1">
+                    <Label>Password</Label>
+                    <Input type="password" value={config.password ?? ''} onChange={(e) => setField('password', e.target.value)} />
+                  </div>
+                  <div className="space-y-1 sm:col-span-2">
+                    <Label>Host key fingerprint</Label>
+                    <Input
+                      value={config.hostFingerprint ?? ''}
+                      placeholder="SHA256:… (ssh-keyscan host | ssh-keygen -lf -)"
+                      onChange={(e) => setField('hostFingerprint', e.target.value)}
+                    />
+                  </div>
+                  <div className="space-y-1 sm:col-span-2">
+                    <Label>Remote directory</Label>
+                    <Input value={config.remoteDir ?? ''} placeholder="/outbound/orders" onChange={(e) => setField('remoteDir', e.target.value)} />
+                  </div>
+                </>
+              ) : (
+                <div className="space-y-1 sm:col-span-2">
+                  <Label>Folder (relative to your drop folder on the server)</Label>
+                  <Input value={config.path ?? ''} placeholder="acme/outbound" onChange={(e) => setField('path', e.target.value)} />
+                </div>
+              )}
+
+              <div className="space-y-1">
+                <Label>After fetching</Label>
+                <Select value={config.afterFetch ?? 'keep'} onValueChange={(value) => setField('afterFetch', value)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="keep">Leave files in place</SelectItem>
+                    <SelectItem value="move">Move to archive folder</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              {config.afterFetch === 'move' && (
+                <div className="space-y-1">
+                  <Label>Archive folder</Label>
+                  <Input value={config.archiveDir ?? ''} onChange={(e) => setField('archiveDir', e.target.value)} />
+                </div>
+              )}
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="flex items-center gap-2">
+                <Switch checked={syncEnabled} onCheckedChange={setSyncEnabled} />
+                <Label>Fetch automatically</Label>
+              </div>
+              <Select value={syncFrequency} onValueChange={setSyncFrequency} disabled={!syncEnabled}>
+                <SelectTrigger className="w-44">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {FREQUENCIES.map(frequency => (
+                    <SelectItem key={frequency.value} value={frequency.value}>{frequency.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {(syncFrequency === 'daily' || syncFrequency === 'weekly') && (
+                <Input
+                  className="w-28"
+                  value={syncTime}
+                  placeholder="02:00"
+                  disabled={!syncEnabled}
+                  onChange={(e) => setSyncTime(e.target.value)}
+                />
+              )}
+              <Button size="sm" className="ml-auto" onClick={handleSave} disabled={busy}>
+                Save File Drop
+              </Button>
+            </div>
+            {syncEnabled && settings?.nextSync && (
+              <p className="text-muted-foreground">Next fetch {safeFormatDateTime(settings.nextSync)} (times in UTC)</p>
+            )}
+
+            {runs.length > 0 && (
+              <div className="space-y-2">
+                <div className="font-medium">Fetch history</div>
+                {runs.map(run => (
+                  <div key={run.id} className="flex items-start justify-between gap-3 p-3 border border-border rounded-lg">
+                    <div className="min-w-0">
+                      <div>
+                        {safeFormatDateTime(run.startedAt)} · {run.trigger === 'manual' ? 'manual' : 'scheduled'}
+                      </div>
+                      <div className="text-muted-foreground truncate">
+                        {run.errorMessage || `${run.filesFound} found · ${run.filesQueued} queued · ${run.filesSkipped} skipped`}
+                      </div>
+                    </div>
+                    <Badge variant={RUN_VARIANTS[run.status] ?? 'outline'}>{run.status}</Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -5,6 +5,7 @@
  * - Health score with visual indicator
  * - Accuracy and quality metrics
  * - Performance statistics
+ * - Delivery performance (lead time, on-time / in-full)
  * - Recent activity trends
  * - Status breakdown
  */
@@ -22,7 +23,8 @@ import {
   DollarSign,
   Target,
   Zap,
-  RefreshCw
+  RefreshCw,
+  Truck
 } from 'lucide-react'
 import { motion } from 'framer-motion'
 
@@ -33,6 +35,12 @@ interface SupplierMetrics {
   errorRate: number
   avgProcessingTime: number
   onTimeDeliveryRate: number
+  deliveriesMeasured: number
+  avgLeadTimeDays: number | null
+  leadTimeStdDevDays: number | null
+  avgArrivalDelayDays: number | null
+  inFullRate: number | null
+  otifRate: number | null
   totalPOs: number
   totalValue: number
   recentPOs7Days: number
@@ -133,6 +141,10 @@ export default function SupplierMetricsCard({ supplierId, className = '' }: Supp
     return `${(ms / 60000).toFixed(1)}m`
   }
 
+  const formatRate = (value: number | null) => (value === null ? '—' : `${value.toFixed(0)}%`)
+
+  const formatDays = (value: number | null) => (value === null ? '—' : `${value.toFixed(1)}d`)
+
   const formatCurrency = (value: number) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -223,6 +235,52 @@ export default function SupplierMetricsCard({ supplierId, className = '' }: Supp
           />
         </div>
 
+        {/* Delivery Performance */}
+        <div className="bg-gray-50 rounded-lg p-4 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center gap-2">
+              <Truck className="w-4 h-4 text-gray-600" />
+              <h4 className="text-sm font-medium text-gray-700">Delivery Performance</h4>
+            </div>
+            <span className="text-xs text-gray-500">
+              {metrics.deliveriesMeasured > 0
+                ? `${metrics.deliveriesMeasured} deliveries measured`
+                : 'No received deliveries yet'}
+            </span>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div>
+              <div className="text-xs text-gray-500">OTIF</div>
+              <div className="text-xl font-bold text-gray-900">{formatRate(metrics.otifRate)}</div>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">On Time</div>
+              <div className="text-xl font-bold text-gray-900">
+                {metrics.deliveriesMeasured > 0 ? formatRate(metrics.onTimeDeliveryRate) : '—'}
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">In Full</div>
+              <div className="text-xl font-bold text-gray-900">{formatRate(metrics.inFullRate)}</div>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">Avg Lead Time</div>
+              <div className="text-xl font-bold text-gray-900">{formatDays(metrics.avgLeadTimeDays)}</div>
+              {metrics.leadTimeStdDevDays !== null && (
+                <div className="text-xs text-gray-500">± {metrics.leadTimeStdDevDays.toFixed(1)}d</div>
+              )}
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">Avg vs Expected</div>
+              <div className={`text-xl font-bold ${(metrics.avgArrivalDelayDays ?? 0) > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {metrics.avgArrivalDelayDays === null
+                  ? '—'
+                  : `${metrics.avgArrivalDelayDays > 0 ? '+' : ''}${metrics.avgArrivalDelayDays.toFixed(1)}d`}
+              </div>
+            </div>
+          </div>
+        </div>
+
         {/* Activity & Volume */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
           {/* Recent Activity */}
@@ -0,0 +1,190 @@
+/**
+ * Supplier Parsing Profile Card
+ *
+ * What the parser has learned about this supplier's documents from merchant
+ * corrections (column mappings, SKU formats, pack sizes, junk lines), the
+ * guidance sent to the AI for their next PO, and a reset.
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { Brain, ArrowCounterClockwise } from '@phosphor-icons/react'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+import { notificationService } from '@/lib/notificationService'
+
+type ProfileField = 'sku' | 'productName' | 'quantity' | 'unitCost'
+
+interface LearnedRule {
+  count: number
+}
+
+interface ParsingProfile {
+  id: string
+  supplierId: string
+  columnMappings: Array<LearnedRule & { from: ProfileField; to: ProfileField }>
+  skuFormats: Array<LearnedRule & { shape: string; prefix: string | null; example: string }>
+  packSizeRules: Array<LearnedRule & { field: 'quantity' | 'unitCost'; mode: 'multiply' | 'divide'; example: string }>
+  artifactPatterns: Array<LearnedRule & { source: string; example: string }>
+  examples: Array<{ field: ProfileField; from: string | number | null; to: string | number | null; productName: string | null }>
+  correctionCount: number
+  lastLearnedAt: string | null
+  lastAppliedAt: string | null
+  promptHints: string | null
+}
+
+interface SupplierParsingProfileCardProps {
+  supplierId: string
+}
+
+// Rules are applied automatically once seen this many times (matches the API default)
+const MIN_OCCURRENCES = 2
+
+const FIELD_LABELS: Record<ProfileField, string> = {
+  sku: 'SKU',
+  productName: 'Description',
+  quantity: 'Quantity',
+  unitCost: 'Unit cost'
+}
+
+function RuleBadge({ count }: LearnedRule) {
+  return count >= MIN_OCCURRENCES
+    ? <Badge className="bg-success/10 text-success border-success/20">Applied · seen {count}×</Badge>
+    : <Badge variant="outline">Hint only · seen {count}×</Badge>
+}
+
+export function SupplierParsingProfileCard({ supplierId }: SupplierParsingProfileCardProps) {
+  const [profile, setProfile] = useState<ParsingProfile | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [resetting, setResetting] = useState(false)
+
+  useEffect(() => {
+    setLoading(true)
+    authenticatedRequest<ParsingProfile | null>(`/api/suppliers/${supplierId}/parsing-profile`).then(result => {
+      setProfile(result.success ? result.data ?? null : null)
+      setLoading(false)
+    })
+  }, [supplierId])
+
+  const handleReset = async () => {
+    if (!confirm('Forget everything learned about this supplier\'s documents?')) return
+
+    setResetting(true)
+    const result = await authenticatedRequest(`/api/suppliers/${supplierId}/parsing-profile`, { method: 'DELETE' })
+    setResetting(false)
+
+    if (result.success) {
+      setProfile(null)
+      notificationService.showSuccess(
+        'Profile Reset',
+        'Future documents from this supplier will be parsed without learned rules',
+        { category: 'system', priority: 'low' }
+      )
+    } else {
+      notificationService.showError(
+        'Reset Failed',
+        result.error || 'Could not reset the parsing profile',
+        { category: 'system', priority: 'medium' }
+      )
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Brain className="w-5 h-5" />
+              Parsing Profile
+              {profile && <Badge variant="outline">{profile.correctionCount} correction(s)</Badge>}
+            </CardTitle>
+            <CardDescription>
+              Learned from your corrections to this supplier's purchase orders
+              {profile?.lastAppliedAt && ` · last used ${new Date(profile.lastAppliedAt).toLocaleDateString()}`}
+            </CardDescription>
+          </div>
+          {profile && (
+            <Button variant="outline" size="sm" onClick={handleReset} disabled={resetting}>
+              <ArrowCounterClockwise className="w-4 h-4 mr-2" />
+              {resetting ? 'Resetting…' : 'Reset'}
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4 text-sm">
+        {loading ? (
+          <p className="text-muted-foreground">Loading…</p>
+        ) : !profile ? (
+          <p className="text-muted-foreground">
+            Nothing learned yet. Corrections you make to SKUs, quantities, prices or removed lines on this supplier's
+            purchase orders are remembered here while learning mode is on.
+          </p>
+        ) : (
+          <>
+            {profile.columnMappings.length > 0 && (
+              <div className="space-y-2">
+                <p className="font-medium">Column mappings</p>
+                {profile.columnMappings.map(mapping => (
+                  <div key={`${mapping.from}-${mapping.to}`} className="flex items-center justify-between">
+                    <span>{FIELD_LABELS[mapping.from]} → {FIELD_LABELS[mapping.to]}</span>
+                    <RuleBadge count={mapping.count} />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {profile.skuFormats.length > 0 && (
+              <div className="space-y-2">
+                <p className="font-medium">SKU formats</p>
+                {profile.skuFormats.map(format => (
+                  <div key={`${format.shape}-${format.prefix}`} className="flex items-center justify-between">
+                    <span className="font-mono">
+                      {format.example}
+                      {format.prefix && <span className="text-muted-foreground font-sans"> · adds prefix {format.prefix}</span>}
+                    </span>
+                    <RuleBadge count={format.count} />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {profile.packSizeRules.length > 0 && (
+              <div className="space-y-2">
+                <p className="font-medium">Pack sizes</p>
+                {profile.packSizeRules.map(rule => (
+                  <div key={`${rule.field}-${rule.mode}`} className="flex items-center justify-between">
+                    <span>
+                      {FIELD_LABELS[rule.field]} {rule.mode === 'multiply' ? '×' : '÷'} pack size
+                      <span className="text-muted-foreground"> · {rule.example}</span>
+                    </span>
+                    <RuleBadge count={rule.count} />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {profile.artifactPatterns.length > 0 && (
+              <div className="space-y-2">
+                <p className="font-medium">Ignored lines</p>
+                <div className="flex flex-wrap gap-2">
+                  {profile.artifactPatterns.map(pattern => (
+                    <Badge key={pattern.source} variant="outline" className="font-mono">{pattern.example}</Badge>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {profile.promptHints && (
+              <div className="space-y-2">
+                <p className="font-medium">Guidance sent to the AI</p>
+                <pre className="whitespace-pre-wrap rounded-md bg-muted p-3 text-xs">{profile.promptHints}</pre>
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
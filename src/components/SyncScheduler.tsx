@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { motion } from 'framer-motion'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
@@ -12,26 +12,68 @@ import {
   Warning,
   X,
   Play,
-  Pause,
-  Gear
+  Gear,
+  Trash,
+  ClockCounterClockwise
 } from '@phosphor-icons/react'
-import { useKV } from '../hooks/useKV'
 import { toast } from 'sonner'
-import { ScheduleConfigDialog } from './ScheduleConfigDialog'
-import { safeFormatDateTime, safeFormatDate } from '@/lib/utils'
+import { ScheduleConfigDialog, type ScheduleConfig } from './ScheduleConfigDialog'
+import { safeFormatDateTime } from '@/lib/utils'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
+
+type ScheduleFrequency = ScheduleConfig['frequency']
+type RunStatus = 'success' | 'partial' | 'failed'
 
 interface SyncSchedule {
   id: string
-  supplier: string
-  frequency: 'daily' | 'weekly' | 'monthly'
-  time: string
+  supplierId: string | null
+  supplierName: string
+  description: string | null
   enabled: boolean
-  lastSync: string // ISO string timestamp
-  nextSync: string // ISO string timestamp
-  status: 'success' | 'warning' | 'error' | 'pending'
-  itemsUpdated: number
+  frequency: ScheduleFrequency
+  time: string | null
+  timezone: string
+  weekdays: string[]
+  monthlyDay: number | null
+  cronExpression: string
+  config: Partial<ScheduleConfig> // secrets masked
+  lastRunAt: string | null
+  lastStatus: RunStatus | null
+  lastError: string | null
+  lastItemCount: number
+  nextRunAt: string | null
+  consecutiveFailures: number
+}
+
+interface SyncScheduleRun {
+  id: string
+  trigger: 'schedule' | 'manual'
+  status: RunStatus | 'running'
+  itemsFound: number
+  itemsQueued: number
+  itemsSkipped: number
+  errorMessage: string | null
+  startedAt: string
+  finishedAt: string | null
+}
+
+interface SyncScheduleList {
+  schedules: SyncSchedule[]
+  stats: { runs: number; successful: number; successRate: number | null }
+}
+
+const frequencyLabels: Record<ScheduleFrequency, string> = {
+  every_15min: '15 min',
+  every_30min: '30 min',
+  hourly: 'Hourly',
+  every_4h: '4 hours',
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly'
 }
 
+const INTRADAY_FREQUENCIES: ScheduleFrequency[] = ['every_15min', 'every_30min', 'hourly', 'every_4h']
+
 const containerVariants = {
   hidden: { opacity: 0 },
   visible: {
@@ -47,97 +89,160 @@ const cardVariants = {
   visible: { y: 0, opacity: 1 }
 }
 
+// Dialog shape of a stored schedule; null fields fall back to the dialog defaults
+const toDialogConfig = (schedule: SyncSchedule): Partial<ScheduleConfig> => {
+  const fields = {
+    ...schedule.config,
+    supplierName: schedule.supplierName,
+    description: schedule.description,
+    enabled: schedule.enabled,
+    frequency: schedule.frequency,
+    time: schedule.time,
+    timezone: schedule.timezone,
+    weekdays: schedule.weekdays,
+    monthlyDay: schedule.monthlyDay
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null)) as Partial<ScheduleConfig>
+}
+
 export function SyncScheduler() {
   const [showConfigDialog, setShowConfigDialog] = useState(false)
-  const [schedules, setSchedules] = useKV<SyncSchedule[]>('sync-schedules', [
-    {
-      id: '1',
-      supplier: 'TechnoSupply Co.',
-      frequency: 'daily',
-      time: '09:00',
-      enabled: true,
-      lastSync: new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString(), // 4 hours ago
-      nextSync: new Date(Date.now() + 20 * 60 * 60 * 1000).toISOString(), // 20 hours from now
-      status: 'success',
-      itemsUpdated: 147
-    },
-    {
-      id: '2',
-      supplier: 'Global Parts Ltd.',
-      frequency: 'weekly',
-      time: '14:30',
-      enabled: true,
-      lastSync: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days ago
-      nextSync: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString(), // 5 days from now
-      status: 'warning',
-      itemsUpdated: 23
-    },
-    {
-      id: '3',
-      supplier: 'Premier Wholesale',
-      frequency: 'daily',
-      time: '16:00',
-      enabled: false,
-      lastSync: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(), // 7 days ago
-      nextSync: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString(), // 8 hours from now
-      status: 'error',
-      itemsUpdated: 0
+  const [editingSchedule, setEditingSchedule] = useState<SyncSchedule | null>(null)
+  const [schedules, setSchedules] = useState<SyncSchedule[]>([])
+  const [successRate, setSuccessRate] = useState<number | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [runningIds, setRunningIds] = useState<string[]>([])
+  const [historyId, setHistoryId] = useState<string | null>(null)
+  const [runs, setRuns] = useState<SyncScheduleRun[]>([])
+
+  const loadSchedules = async () => {
+    const result = await authenticatedRequest<SyncScheduleList>('/api/sync-schedules')
+    if (result.success && result.data) {
+      setSchedules(result.data.schedules)
+      setSuccessRate(result.data.stats.successRate)
+    } else {
+      toast.error(result.error || 'Failed to load sync schedules')
     }
-  ])
-
-  const toggleScheduleEnabled = (id: string) => {
-    setSchedules((current) => 
-      (current || []).map(schedule => 
-        schedule.id === id 
-          ? { ...schedule, enabled: !schedule.enabled }
-          : schedule
-      )
-    )
-    toast.success('Schedule updated successfully')
+    setLoading(false)
   }
 
-  const updateScheduleFrequency = (id: string, frequency: string) => {
-    setSchedules((current) => 
-      (current || []).map(schedule => 
-        schedule.id === id 
-          ? { ...schedule, frequency: frequency as SyncSchedule['frequency'] }
-          : schedule
-      )
-    )
-    toast.success('Frequency updated')
+  useEffect(() => {
+    loadSchedules()
+  }, [])
+
+  const replaceSchedule = (updated: SyncSchedule) => {
+    setSchedules(current => current.map(schedule => (schedule.id === updated.id ? updated : schedule)))
   }
 
-  const runSyncNow = (id: string, supplier: string) => {
-    toast.success(`Manual sync started for ${supplier}`)
+  const updateSchedule = async (id: string, changes: Partial<ScheduleConfig>, message: string) => {
+    const result = await authenticatedRequest<SyncSchedule>(`/api/sync-schedules/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
+    })
+    if (result.success && result.data) {
+      replaceSchedule(result.data)
+      toast.success(message)
+    } else {
+      toast.error(result.error || 'Failed to update schedule')
+    }
   }
 
-  const handleCreateSchedule = (config: any) => {
-    try {
-      const now = Date.now()
-      const oneDayMs = 24 * 60 * 60 * 1000
-      const oneHourMs = 60 * 60 * 1000
-      
-      const newSchedule: SyncSchedule = {
-        id: now.toString(),
-        supplier: config.supplierName || 'Unknown Supplier',
-        frequency: config.frequency === 'hourly' ? 'daily' : config.frequency, // Map hourly to daily for now
-        time: config.time || '09:00',
-        enabled: config.enabled ?? true,
-        lastSync: new Date(now - oneDayMs).toISOString(), // Yesterday
-        nextSync: new Date(now + (config.frequency === 'hourly' ? oneHourMs : oneDayMs)).toISOString(),
-        status: 'pending',
-        itemsUpdated: 0
-      }
-      
-      setSchedules((current) => [...(current || []), newSchedule])
-      toast.success(`Schedule created for ${config.supplierName || 'supplier'}`)
-    } catch (error) {
-      console.error('Error creating schedule:', error)
-      toast.error('Failed to create schedule. Please try again.')
+  const toggleScheduleEnabled = (schedule: SyncSchedule) =>
+    updateSchedule(schedule.id, { enabled: !schedule.enabled }, schedule.enabled ? 'Schedule paused' : 'Schedule enabled')
+
+  const updateScheduleFrequency = (id: string, frequency: string) =>
+    updateSchedule(id, { frequency: frequency as ScheduleFrequency }, 'Frequency updated')
+
+  const loadRuns = async (id: string) => {
+    const result = await authenticatedRequest<SyncScheduleRun[]>(`/api/sync-schedules/${id}/runs?limit=10`)
+    setRuns(result.success && result.data ? result.data : [])
+  }
+
+  const toggleHistory = (id: string) => {
+    if (historyId === id) {
+      setHistoryId(null)
+      return
+    }
+    setHistoryId(id)
+    setRuns([])
+    loadRuns(id)
+  }
+
+  const runSyncNow = async (schedule: SyncSchedule) => {
+    setRunningIds(current => [...current, schedule.id])
+    toast.info(`Sync started for ${schedule.supplierName}`)
+
+    const result = await authenticatedRequest<SyncScheduleRun>(`/api/sync-schedules/${schedule.id}/run`, { method: 'POST' })
+    setRunningIds(current => current.filter(id => id !== schedule.id))
+
+    if (!result.success || !result.data) {
+      toast.error(result.error || `Sync failed for ${schedule.supplierName}`)
+    } else if (result.data.status === 'failed') {
+      toast.error(`Sync failed for ${schedule.supplierName}: ${result.data.errorMessage || 'see run history'}`)
+    } else {
+      toast.success(`${schedule.supplierName}: ${result.data.itemsQueued} purchase order(s) queued, ${result.data.itemsSkipped} already imported`)
     }
+
+    await loadSchedules()
+    if (historyId === schedule.id) loadRuns(schedule.id)
   }
 
-  const getStatusBadge = (status: string) => {
+  const deleteSchedule = async (schedule: SyncSchedule) => {
+    if (!confirm(`Delete the sync schedule for ${schedule.supplierName} and its run history?`)) return
+
+    const result = await authenticatedRequest(`/api/sync-schedules/${schedule.id}`, { method: 'DELETE' })
+    if (result.success) {
+      setSchedules(current => current.filter(s => s.id !== schedule.id))
+      toast.success('Schedule deleted')
+    } else {
+      toast.error(result.error || 'Failed to delete schedule')
+    }
+  }
+
+  const handleSaveSchedule = async (config: ScheduleConfig) => {
+    const result = editingSchedule
+      ? await authenticatedRequest<SyncSchedule>(`/api/sync-schedules/${editingSchedule.id}`, {
+          method: 'PUT',
+          body: JSON.stringify(config)
+        })
+      : await authenticatedRequest<SyncSchedule>('/api/sync-schedules', {
+          method: 'POST',
+          body: JSON.stringify(config)
+        })
+
+    if (!result.success || !result.data) {
+      toast.error(result.error || 'Failed to save schedule. Please try again.')
+      return false
+    }
+
+    const saved = result.data
+    if (editingSchedule) {
+      replaceSchedule(saved)
+      toast.success(`Schedule updated for ${saved.supplierName}`)
+    } else {
+      setSchedules(current => [...current, saved])
+      toast.success(`Schedule created for ${saved.supplierName}`)
+    }
+    return true
+  }
+
+  // Stable while the dialog is open so it is not reset on every render
+  const dialogSchedule = useMemo(
+    () => (editingSchedule ? { id: editingSchedule.id, config: toDialogConfig(editingSchedule) } : null),
+    [editingSchedule]
+  )
+
+  const openCreateDialog = () => {
+    setEditingSchedule(null)
+    setShowConfigDialog(true)
+  }
+
+  const openEditDialog = (schedule: SyncSchedule) => {
+    setEditingSchedule(schedule)
+    setShowConfigDialog(true)
+  }
+
+  const getStatusBadge = (status: SyncScheduleRun['status'] | null) => {
     switch (status) {
       case 'success':
         return (
@@ -146,29 +251,34 @@ export function SyncScheduler() {
             Success
           </Badge>
         )
-      case 'warning':
+      case 'partial':
         return (
           <Badge variant="secondary" className="gap-1 bg-warning text-warning-foreground">
             <Warning className="w-3 h-3" />
-            Warning
+            Partial
           </Badge>
         )
-      case 'error':
+      case 'failed':
         return (
           <Badge variant="destructive" className="gap-1">
             <X className="w-3 h-3" />
-            Error
+            Failed
           </Badge>
         )
-      case 'pending':
+      case 'running':
+        return (
+          <Badge variant="outline" className="gap-1">
+            <Play className="w-3 h-3" />
+            Running
+          </Badge>
+        )
+      default:
         return (
           <Badge variant="outline" className="gap-1">
             <Clock className="w-3 h-3" />
             Pending
           </Badge>
         )
-      default:
-        return null
     }
   }
 
@@ -222,7 +332,7 @@ export function SyncScheduler() {
             Manage automated supplier synchronization schedules
           </p>
         </div>
-        <Button onClick={() => setShowConfigDialog(true)}>
+        <Button onClick={openCreateDialog}>
           <Calendar className="w-4 h-4 mr-2" />
           Add New Schedule
         </Button>
@@ -238,10 +348,10 @@ export function SyncScheduler() {
             </CardHeader>
             <CardContent>
               <div className="text-2xl font-bold">
-                {(schedules || []).filter(s => s.enabled).length}
+                {schedules.filter(s => s.enabled).length}
               </div>
               <p className="text-xs text-muted-foreground">
-                of {(schedules || []).length} total
+                of {schedules.length} total
               </p>
             </CardContent>
           </Card>
@@ -256,19 +366,19 @@ export function SyncScheduler() {
             <CardContent>
               <div className="text-2xl font-bold">
                 {(() => {
-                  const enabledSchedules = (schedules || []).filter(s => s.enabled)
+                  const enabledSchedules = schedules.filter(s => s.enabled)
                   if (enabledSchedules.length === 0) return 'None'
                   
                   try {
                     const nextSchedule = enabledSchedules
                       .map(s => ({
                         ...s,
-                        nextSyncDate: s.nextSync ? new Date(s.nextSync) : null
+                        nextSyncDate: s.nextRunAt ? new Date(s.nextRunAt) : null
                       }))
                       .filter(s => s.nextSyncDate && !isNaN(s.nextSyncDate.getTime()))
                       .sort((a, b) => a.nextSyncDate!.getTime() - b.nextSyncDate!.getTime())[0]
                     
-                    return nextSchedule ? formatTimeUntilNext(nextSchedule.nextSync) : 'None'
+                    return nextSchedule ? formatTimeUntilNext(nextSchedule.nextRunAt) : 'None'
                   } catch (error) {
                     console.error('Error calculating next sync:', error)
                     return 'Error'
@@ -289,7 +399,7 @@ export function SyncScheduler() {
               <Check className="h-4 w-4 text-muted-foreground" />
             </CardHeader>
             <CardContent>
-              <div className="text-2xl font-bold">92%</div>
+              <div className="text-2xl font-bold">{successRate === null ? '—' : `${successRate}%`}</div>
               <p className="text-xs text-muted-foreground">
                 Last 30 days
               </p>
@@ -309,77 +419,138 @@ export function SyncScheduler() {
           </CardHeader>
           <CardContent>
             <div className="space-y-4">
-              {(schedules || []).map((schedule, index) => (
+              {loading && (
+                <div className="text-center py-8 text-muted-foreground">
+                  Loading schedules…
+                </div>
+              )}
+
+              {!loading && schedules.length === 0 && (
+                <div className="text-center py-8 text-muted-foreground">
+                  No sync schedules yet. Add one to pull purchase orders from a supplier's API.
+                </div>
+              )}
+
+              {schedules.map((schedule, index) => (
                 <motion.div
                   key={schedule.id}
                   initial={{ x: -20, opacity: 0 }}
                   animate={{ x: 0, opacity: 1 }}
                   transition={{ delay: index * 0.1 }}
-                  className="flex items-center justify-between p-4 border border-border rounded-lg hover:bg-muted/50 transition-colors"
+                  className="p-4 border border-border rounded-lg hover:bg-muted/50 transition-colors"
                 >
-                  <div className="flex items-center gap-4">
-                    <Switch
-                      checked={schedule.enabled}
-                      onCheckedChange={() => toggleScheduleEnabled(schedule.id)}
-                    />
-                    <div>
-                      <div className="font-medium">{schedule.supplier}</div>
-                      <div className="text-sm text-muted-foreground">
-                        Last sync: {safeFormatDateTime(schedule.lastSync)}
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-4">
+                      <Switch
+                        checked={schedule.enabled}
+                        onCheckedChange={() => toggleScheduleEnabled(schedule)}
+                      />
+                      <div>
+                        <div className="font-medium">{schedule.supplierName}</div>
+                        <div className="text-sm text-muted-foreground">
+                          Last sync: {schedule.lastRunAt ? safeFormatDateTime(schedule.lastRunAt) : 'Never'}
+                        </div>
+                        {schedule.lastError && (
+                          <div className="text-xs text-destructive">
+                            {schedule.lastError}
+                            {schedule.consecutiveFailures > 1 && ` (${schedule.consecutiveFailures} failed runs in a row)`}
+                          </div>
+                        )}
                       </div>
                     </div>
-                  </div>
-
-                  <div className="flex items-center gap-4">
-                    <div className="flex items-center gap-2">
-                      <Select
-                        value={schedule.frequency}
-                        onValueChange={(value) => updateScheduleFrequency(schedule.id, value)}
-                      >
-                        <SelectTrigger className="w-24 h-8">
-                          <SelectValue />
-                        </SelectTrigger>
-                        <SelectContent>
-                          <SelectItem value="daily">Daily</SelectItem>
-                          <SelectItem value="weekly">Weekly</SelectItem>
-                          <SelectItem value="monthly">Monthly</SelectItem>
-                        </SelectContent>
-                      </Select>
-                      <span className="text-sm text-muted-foreground">
-                        at {schedule.time}
-                      </span>
-                    </div>
 
-                    <div className="text-right">
-                      <div className="text-sm font-medium">
-                        Next: {formatTimeUntilNext(schedule.nextSync)}
+                    <div className="flex items-center gap-4">
+                      <div className="flex items-center gap-2">
+                        <Select
+                          value={schedule.frequency}
+                          onValueChange={(value) => updateScheduleFrequency(schedule.id, value)}
+                        >
+                          <SelectTrigger className="w-28 h-8">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {Object.entries(frequencyLabels).map(([value, label]) => (
+                              <SelectItem key={value} value={value}>{label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                        <span className="text-sm text-muted-foreground" title={`${schedule.cronExpression} (${schedule.timezone})`}>
+                          {INTRADAY_FREQUENCIES.includes(schedule.frequency) ? schedule.timezone : `at ${schedule.time} ${schedule.timezone}`}
+                        </span>
                       </div>
-                      <div className="text-xs text-muted-foreground">
-                        {schedule.itemsUpdated} items last sync
+
+                      <div className="text-right">
+                        <div className="text-sm font-medium">
+                          Next: {schedule.enabled ? formatTimeUntilNext(schedule.nextRunAt) : 'Paused'}
+                        </div>
+                        <div className="text-xs text-muted-foreground">
+                          {schedule.lastItemCount} orders last sync
+                        </div>
                       </div>
-                    </div>
 
-                    <div className="flex items-center gap-2">
-                      {getStatusBadge(schedule.status)}
-                      <div className="flex gap-1">
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => runSyncNow(schedule.id, schedule.supplier)}
-                          className="h-8 w-8 p-0"
-                        >
-                          <Play className="w-4 h-4" />
-                        </Button>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          className="h-8 w-8 p-0"
-                        >
-                          <Gear className="w-4 h-4" />
-                        </Button>
+                      <div className="flex items-center gap-2">
+                        {getStatusBadge(runningIds.includes(schedule.id) ? 'running' : schedule.lastStatus)}
+                        <div className="flex gap-1">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => runSyncNow(schedule)}
+                            disabled={runningIds.includes(schedule.id)}
+                            className="h-8 w-8 p-0"
+                            title="Sync now"
+                          >
+                            <Play className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => toggleHistory(schedule.id)}
+                            className="h-8 w-8 p-0"
+                            title="Run history"
+                          >
+                            <ClockCounterClockwise className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => openEditDialog(schedule)}
+                            className="h-8 w-8 p-0"
+                            title="Edit schedule"
+                          >
+                            <Gear className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => deleteSchedule(schedule)}
+                            className="h-8 w-8 p-0"
+                            title="Delete schedule"
+                          >
+                            <Trash className="w-4 h-4" />
+                          </Button>
+                        </div>
                       </div>
                     </div>
                   </div>
+
+                  {historyId === schedule.id && (
+                    <div className="mt-4 border-t pt-3 space-y-2">
+                      {runs.length === 0 ? (
+                        <div className="text-sm text-muted-foreground">No runs yet</div>
+                      ) : runs.map(run => (
+                        <div key={run.id} className="flex items-center justify-between text-sm">
+                          <div className="flex items-center gap-3">
+                            {getStatusBadge(run.status)}
+                            <span>{safeFormatDateTime(run.startedAt)}</span>
+                            <span className="text-muted-foreground">{run.trigger === 'manual' ? 'Manual' : 'Scheduled'}</span>
+                          </div>
+                          <div className="text-right text-muted-foreground">
+                            {run.errorMessage || `${run.itemsQueued} queued, ${run.itemsSkipped} skipped of ${run.itemsFound}`}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </motion.div>
               ))}
             </div>
@@ -398,11 +569,11 @@ export function SyncScheduler() {
           </CardHeader>
           <CardContent>
             <div className="space-y-3">
-              {(schedules || [])
-                .filter(s => s.enabled && s.nextSync)
+              {schedules
+                .filter(s => s.enabled && s.nextRunAt)
                 .map(s => ({
                   ...s,
-                  nextSyncDate: s.nextSync ? new Date(s.nextSync) : null
+                  nextSyncDate: s.nextRunAt ? new Date(s.nextRunAt) : null
                 }))
                 .filter(s => s.nextSyncDate && !isNaN(s.nextSyncDate.getTime()))
                 .sort((a, b) => a.nextSyncDate!.getTime() - b.nextSyncDate!.getTime())
@@ -414,23 +585,23 @@ export function SyncScheduler() {
                   >
                     <div className="flex items-center gap-3">
                       <div className="w-2 h-2 rounded-full bg-primary" />
-                      <span className="font-medium">{schedule.supplier}</span>
+                      <span className="font-medium">{schedule.supplierName}</span>
                       <Badge variant="outline" className="text-xs">
-                        {schedule.frequency}
+                        {frequencyLabels[schedule.frequency]}
                       </Badge>
                     </div>
                     <div className="text-right">
                       <div className="text-sm font-medium">
-                        {safeFormatDate(schedule.nextSync)} at {schedule.time}
+                        {safeFormatDateTime(schedule.nextRunAt)}
                       </div>
                       <div className="text-xs text-muted-foreground">
-                        in {formatTimeUntilNext(schedule.nextSync)}
+                        in {formatTimeUntilNext(schedule.nextRunAt)}
                       </div>
                     </div>
                   </div>
                 ))}
               
-              {(schedules || []).filter(s => s.enabled).length === 0 && (
+              {schedules.filter(s => s.enabled).length === 0 && (
                 <div className="text-center py-8 text-muted-foreground">
                   No active sync schedules
                 </div>
@@ -444,7 +615,8 @@ export function SyncScheduler() {
       <ScheduleConfigDialog
         open={showConfigDialog}
         onOpenChange={setShowConfigDialog}
-        onSave={handleCreateSchedule}
+        onSave={handleSaveSchedule}
+        schedule={dialogSchedule}
       />
     </motion.div>
   )
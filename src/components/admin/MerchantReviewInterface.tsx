@@ -55,7 +55,9 @@ import {
   Package,
   Building2,
   DollarSign,
-  Eye
+  Eye,
+  Trash2,
+  Undo2
 } from 'lucide-react'
 
 interface LineItem {
@@ -124,11 +126,19 @@ export default function MerchantReviewInterface({
   const [showDenyDialog, setShowDenyDialog] = useState(false)
   const [denyReason, setDenyReason] = useState('')
   const [isProcessing, setIsProcessing] = useState(false)
+  // Lines marked as not being products (totals, freight, notes); removed on approval
+  const [removedLineItemIds, setRemovedLineItemIds] = useState<string[]>([])
+
+  const toggleRemoved = (lineItemId: string) => {
+    setRemovedLineItemIds(prev => prev.includes(lineItemId)
+      ? prev.filter(id => id !== lineItemId)
+      : [...prev, lineItemId])
+  }
 
   const handleApprove = async () => {
     setIsProcessing(true)
     try {
-      await onApprove(purchaseOrder.id)
+      await onApprove(purchaseOrder.id, removedLineItemIds.length > 0 ? { removedLineItemIds } : undefined)
     } finally {
       setIsProcessing(false)
     }
@@ -276,44 +286,65 @@ export default function MerchantReviewInterface({
                   <TableHead className="text-right">Unit Cost</TableHead>
                   <TableHead className="text-right">Total</TableHead>
                   <TableHead className="text-center">Confidence</TableHead>
+                  <TableHead />
                 </TableRow>
               </TableHeader>
               <TableBody>
-                {purchaseOrder.lineItems.map((item) => (
-                  <TableRow key={item.id}>
-                    <TableCell className="font-mono text-sm">
-                      {item.sku}
-                    </TableCell>
-                    <TableCell>
-                      <div>
-                        <div className="font-medium">{item.productName}</div>
-                        {item.description && (
-                          <div className="text-sm text-gray-500 truncate max-w-md">
-                            {item.description}
-                          </div>
-                        )}
-                      </div>
-                    </TableCell>
-                    <TableCell className="text-right">{item.quantity}</TableCell>
-                    <TableCell className="text-right">
-                      ${item.unitCost.toFixed(2)}
-                    </TableCell>
-                    <TableCell className="text-right font-medium">
-                      ${item.totalCost.toFixed(2)}
-                    </TableCell>
-                    <TableCell className="text-center">
-                      <Badge 
-                        variant={getConfidenceBadgeColor(item.confidence)}
-                        className="text-xs"
-                      >
-                        {Math.round(item.confidence * 100)}%
-                      </Badge>
-                    </TableCell>
-                  </TableRow>
-                ))}
+                {purchaseOrder.lineItems.map((item) => {
+                  const removed = removedLineItemIds.includes(item.id)
+                  return (
+                    <TableRow key={item.id} className={removed ? 'opacity-50 line-through' : undefined}>
+                      <TableCell className="font-mono text-sm">
+                        {item.sku}
+                      </TableCell>
+                      <TableCell>
+                        <div>
+                          <div className="font-medium">{item.productName}</div>
+                          {item.description && (
+                            <div className="text-sm text-gray-500 truncate max-w-md">
+                              {item.description}
+                            </div>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right">{item.quantity}</TableCell>
+                      <TableCell className="text-right">
+                        ${item.unitCost.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right font-medium">
+                        ${item.totalCost.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-center">
+                        <Badge 
+                          variant={getConfidenceBadgeColor(item.confidence)}
+                          className="text-xs"
+                        >
+                          {Math.round(item.confidence * 100)}%
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => toggleRemoved(item.id)}
+                          disabled={isLoading || isProcessing}
+                          title={removed ? 'Keep this line' : 'Not a product - remove this line'}
+                        >
+                          {removed ? <Undo2 className="h-4 w-4" /> : <Trash2 className="h-4 w-4" />}
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  )
+                })}
               </TableBody>
             </Table>
           </div>
+          {removedLineItemIds.length > 0 && (
+            <p className="mt-3 text-sm text-gray-600">
+              {removedLineItemIds.length} line{removedLineItemIds.length === 1 ? '' : 's'} will be removed on approval.
+              Lines like these that keep coming back are skipped in this supplier's future documents.
+            </p>
+          )}
         </CardContent>
       </Card>
 
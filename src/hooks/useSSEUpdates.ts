@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
-import { getShopDomain } from '@/lib/shopifyApiService'
+import { authenticatedRequest } from '@/lib/shopifyApiService'
 
 export interface SSEProgress {
   poId: string
@@ -45,6 +45,14 @@ export type SSEEvent =
   | { type: 'error'; data: SSEError }
   | { type: 'heartbeat'; data: { timestamp: number } }
 
+interface StreamToken {
+  token: string
+  expiresAt: string
+}
+
+// Fetch a new stream token when the cached one has less than this left
+const TOKEN_REFRESH_MARGIN_MS = 30000
+
 export interface UseSSEUpdatesOptions {
   reconnectInterval?: number
   maxReconnectAttempts?: number
@@ -67,6 +75,8 @@ export interface UseSSEUpdatesReturn {
  * 
  * Connects to /api/realtime/events and receives real-time workflow updates
  * Automatically handles reconnection and provides connection status
+ * Authenticates with a short-lived stream token from /api/realtime/token,
+ * fetched before connecting and refreshed when the server ends the stream
  * 
  * @example
  * ```tsx
@@ -96,6 +106,8 @@ export function useSSEUpdates(options: UseSSEUpdatesOptions = {}): UseSSEUpdates
   const eventSourceRef = useRef<EventSource | null>(null)
   const reconnectTimeoutRef = useRef<NodeJS.Timeout | null>(null)
   const heartbeatTimeoutRef = useRef<NodeJS.Timeout | null>(null)
+  const streamTokenRef = useRef<StreamToken | null>(null)
+  const unmountedRef = useRef(false)
 
   // Clear events manually
   const clearEvents = useCallback(() => {
@@ -127,8 +139,24 @@ export function useSSEUpdates(options: UseSSEUpdatesOptions = {}): UseSSEUpdates
     return () => clearInterval(interval)
   }, [checkHeartbeat])
 
+  // Cached stream token, or a fresh one when it is about to expire
+  const getStreamToken = useCallback(async (): Promise<string> => {
+    const cached = streamTokenRef.current
+    if (cached && new Date(cached.expiresAt).getTime() - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return cached.token
+    }
+
+    const result = await authenticatedRequest<StreamToken>('/api/realtime/token', { method: 'POST' })
+    if (!result.success || !result.data) {
+      throw new Error(result.error || 'Could not get a stream token')
+    }
+
+    streamTokenRef.current = result.data
+    return result.data.token
+  }, [])
+
   // Connect to SSE endpoint
-  const connect = useCallback(() => {
+  const connect = useCallback(async () => {
     // Don't reconnect if we've exceeded max attempts
     if (reconnectAttempts >= maxReconnectAttempts) {
       console.error('❌ SSE: Max reconnect attempts reached')
@@ -152,18 +180,11 @@ export function useSSEUpdates(options: UseSSEUpdatesOptions = {}): UseSSEUpdates
     setConnectionStatus('connecting')
 
     try {
-      // Get shop domain from URL parameters for authentication
-      const shop = getShopDomain()
+      // EventSource cannot send headers, so the stream token goes in the URL
+      const token = await getStreamToken()
+      if (unmountedRef.current) return
       
-      if (!shop) {
-        console.error('❌ SSE: No shop domain found in URL parameters')
-        setConnectionStatus('error')
-        return
-      }
-      
-      // Build SSE URL with shop parameter for authentication
-      const sseUrl = `/api/realtime/events?shop=${encodeURIComponent(shop)}`
-      console.log(`🔌 SSE: Connecting with shop: ${shop}`)
+      const sseUrl = `/api/realtime/events?token=${encodeURIComponent(token)}`
       
       const eventSource = new EventSource(sseUrl)
       eventSourceRef.current = eventSource
@@ -267,14 +288,24 @@ export function useSSEUpdates(options: UseSSEUpdatesOptions = {}): UseSSEUpdates
         }
       })
 
+      // Stream token ran out: reconnect straight away with a fresh one
+      eventSource.addEventListener('token_expired', () => {
+        console.log('🔑 SSE: Stream token expired, reconnecting...')
+        eventSource.close()
+        eventSourceRef.current = null
+        streamTokenRef.current = null
+        connect()
+      })
+
       // Connection error or closed
       eventSource.onerror = (err) => {
         console.error('❌ SSE: Connection error:', err)
         setConnectionStatus('error')
         
-        // Close the connection
+        // Close the connection; the token may have been rejected, so fetch a new one
         eventSource.close()
         eventSourceRef.current = null
+        streamTokenRef.current = null
 
         // Attempt to reconnect
         setReconnectAttempts(prev => prev + 1)
@@ -286,6 +317,7 @@ export function useSSEUpdates(options: UseSSEUpdatesOptions = {}): UseSSEUpdates
         }, reconnectInterval)
       }
     } catch (err) {
+      if (unmountedRef.current) return
       console.error('❌ SSE: Failed to create EventSource:', err)
       setConnectionStatus('error')
       
@@ -295,15 +327,17 @@ export function useSSEUpdates(options: UseSSEUpdatesOptions = {}): UseSSEUpdates
         connect()
       }, reconnectInterval)
     }
-  }, [reconnectAttempts, maxReconnectAttempts, reconnectInterval, onProgress, onStage, onCompletion, onError])
+  }, [reconnectAttempts, maxReconnectAttempts, reconnectInterval, onProgress, onStage, onCompletion, onError, getStreamToken])
 
   // Connect on mount
   useEffect(() => {
+    unmountedRef.current = false
     connect()
 
     // Cleanup on unmount
     return () => {
       console.log('🔌 SSE: Disconnecting...')
+      unmountedRef.current = true
       
       if (eventSourceRef.current) {
         eventSourceRef.current.close()
@@ -34,7 +34,7 @@ export interface Supplier {
   website?: string
   category?: string
   priority: 'low' | 'medium' | 'high' | 'critical'
-  connectionType: 'manual' | 'api' | 'email' | 'ftp'
+  connectionType: 'manual' | 'api' | 'email' | 'ftp' | 'sftp' | 'folder'
   connectionConfig: any
   status: 'active' | 'inactive' | 'error'
   syncEnabled: boolean
@@ -195,6 +195,44 @@ export async function authenticatedRequest<T>(
   }
 }
 
+/**
+ * Authenticated file download (CSV/PDF exports)
+ * Fetches the file with a session token and hands it to the browser as a download
+ */
+export async function authenticatedDownload(
+  endpoint: string,
+  fileName: string
+): Promise<{ success: boolean; error?: string }> {
+  try {
+    const apiEndpoint = endpoint.startsWith('/api') ? endpoint : `/api${endpoint}`
+    const sessionToken = await getSessionToken()
+
+    const response = await fetch(`${API_BASE_URL}${apiEndpoint}`, {
+      headers: sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}
+    })
+
+    if (!response.ok) {
+      throw new Error(`Download failed: ${response.status} ${response.statusText}`)
+    }
+
+    const blob = await response.blob()
+    const objectUrl = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = objectUrl
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(objectUrl)
+
+    return { success: true }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error'
+    console.error(`❌ Download failed for ${endpoint}:`, errorMessage)
+    return { success: false, error: errorMessage }
+  }
+}
+
 /**
  * Check if we're in Shopify environment
  */